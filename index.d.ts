@@ -3,6 +3,7 @@ import { CsrfSyncedToken } from 'csrf-sync';
 import { UserDirectoryList, User } from './src/users.js';
 import { CommandLineArguments } from './src/command-line.js';
 import { EVENT_NAMES } from './src/server-events.js';
+import { AdminPrincipal } from './src/admin-operators.js';
 
 /**
  * Event payload for SERVER_STARTED event.
@@ -45,6 +46,14 @@ declare global {
              * Last time the session was extended.
              */
             touch: number;
+            /**
+             * Whether an admin panel operator is logged in.
+             */
+            isAdmin: boolean;
+            /**
+             * Username of the logged in admin panel operator.
+             */
+            adminUser: string | null;
         }
     }
 
@@ -54,6 +63,10 @@ declare global {
                 profile: User;
                 directories: UserDirectoryList;
             };
+            /**
+             * Resolved admin panel principal, set by the admin router.
+             */
+            adminPrincipal?: AdminPrincipal;
         }
     }
 
@@ -225,6 +225,9 @@ import {
     getInstructStoppingSequences,
 } from './scripts/instruct-mode.js';
 import { initLocales, t } from './scripts/i18n.js';
+import { showGenerationLimitError } from './scripts/generation-limits.js';
+import { notifyStorageQuotaError } from './scripts/storage-quota.js';
+import { createChatSnapshot, forgetSavedChat, getChatDelta, rememberSavedChat } from './scripts/chat-delta.js';
 import { getFriendlyTokenizerName, getTokenCount, getTokenCountAsync, initTokenizers, saveTokenCache } from './scripts/tokenizers.js';
 import {
     user_avatar,
@@ -267,6 +270,10 @@ import { extractReasoningFromData, initReasoning, parseReasoningInSwipes, Prompt
 import { accountStorage } from './scripts/util/AccountStorage.js';
 import { initWelcomeScreen, openPermanentAssistantChat, openPermanentAssistantCard, getPermanentAssistantAvatar } from './scripts/welcome-screen.js';
 import { initDataMaid } from './scripts/data-maid.js';
+import { initChatSearch, openChatSearch } from './scripts/chat-search.js';
+import { initChatHistory, openChatHistory } from './scripts/chat-history.js';
+import { initSync, SYNC_CLIENT_ID } from './scripts/sync.js';
+import { closeChatWindow, ensureMessagesLoaded, initChatWindow, isUnloadedMessage, loadAllMessages, loadChatContext, openChatWindow } from './scripts/chat-window.js';
 import { clearItemizedPrompts, deleteItemizedPrompts, findItemizedPromptSet, initItemizedPrompts, itemizedParams, itemizedPrompts, loadItemizedPrompts, promptItemize, replaceItemizedPromptText, saveItemizedPrompts } from './scripts/itemized-prompts.js';
 import { getSystemMessageByType, initSystemMessages, SAFETY_CHAT, sendSystemMessage, system_message_types, system_messages } from './scripts/system-messages.js';
 import { event_types, eventSource } from './scripts/events.js';
@@ -589,6 +596,7 @@ export function getRequestHeaders({ omitContentType = false } = {}) {
     const headers = {
         'Content-Type': 'application/json',
         'X-CSRF-Token': token,
+        'X-Client-Id': SYNC_CLIENT_ID,
     };
 
     if (omitContentType) {
@@ -607,6 +615,7 @@ export function getSlideToggleOptions() {
 
 $.ajaxPrefilter((options, originalOptions, xhr) => {
     xhr.setRequestHeader('X-CSRF-Token', token);
+    xhr.setRequestHeader('X-Client-Id', SYNC_CLIENT_ID);
 });
 
 /**
@@ -696,6 +705,10 @@ async function firstLoadInit() {
     await initScrapers();
     initCustomSelectedSamplers();
     initDataMaid();
+    initChatSearch();
+    initChatWindow();
+    initChatHistory();
+    initSync();
     initItemizedPrompts();
     initAccessibility();
     addDebugFunctions();
@@ -1362,6 +1375,15 @@ export async function showMoreMessages(messagesToLoad = null) {
         messageId = getLastMessageId() + 1;
     }
 
+    try {
+        // Long chats are opened in windows, older messages are fetched when they are shown
+        await ensureMessagesLoaded(messageId - count);
+    } catch (error) {
+        console.error('Failed to load older messages', error);
+        toastr.error(t`Could not load older messages of the chat.`);
+        return;
+    }
+
     console.debug('Inserting messages before', messageId, 'count', count, 'chat length', chat.length);
     const prevHeight = chatElement.prop('scrollHeight');
     const isButtonInView = isElementInViewport($('#show_more_messages')[0]);
@@ -1444,6 +1466,8 @@ export function cancelDebouncedChatSave() {
 export async function clearChat() {
     cancelDebouncedChatSave();
     cancelDebouncedMetadataSave();
+    forgetSavedChat();
+    closeChatWindow();
     closeMessageEditor();
     extension_prompts = {};
     if (is_delete_mode) {
@@ -3500,6 +3524,16 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
         return Promise.resolve();
     }
 
+    try {
+        // Fetch the older messages of a windowed chat that the prompt may have room for
+        await loadChatContext(getMaxContextSize());
+    } catch (error) {
+        console.error('Failed to load older messages', error);
+        toastr.error(t`Could not load older messages of the chat.`);
+        unblockGeneration(type);
+        return Promise.resolve();
+    }
+
     if (!dryRun) {
         // Ping server to make sure it is still alive
         const pingResult = await pingServer();
@@ -4742,7 +4776,7 @@ export async function Generate(type, { automatic_trigger, force_name2, quiet_pro
      */
     function onError(exception) {
         // if the response JSON was thrown (novel|textgenerationwebui|kobold), show the error message
-        if (typeof exception?.error?.message === 'string') {
+        if (!showGenerationLimitError(exception) && typeof exception?.error?.message === 'string') {
             toastr.error(exception.error.message, t`Text generation error`, { timeOut: 10000, extendedTimeOut: 20000 });
         }
 
@@ -6410,21 +6444,63 @@ export async function saveChat({ chatName, withMetadata, mesId, force = false }
         }
     });
 
-    const trimmedChat = (mesId !== undefined && mesId >= 0 && mesId < chat.length)
+    let trimmedChat = (mesId !== undefined && mesId >= 0 && mesId < chat.length)
         ? chat.slice(0, Number(mesId) + 1)
         : chat.slice();
 
-    const chatToSave = [
-        {
-            user_name: name1,
-            character_name: name2,
-            create_date: chat_create_date,
-            chat_metadata: metadata,
-        },
-        ...trimmedChat,
-    ];
+    const header = {
+        user_name: name1,
+        character_name: name2,
+        create_date: chat_create_date,
+        chat_metadata: metadata,
+    };
+    let chatToSave = [header, ...trimmedChat];
+    const saveKey = `${characters[this_chid].avatar}/${fileName}`;
 
     try {
+        const delta = force ? null : getChatDelta(saveKey, header, trimmedChat);
+        if (delta && delta.ops.length === 0) {
+            return;
+        }
+        if (delta) {
+            const deltaResult = await fetch('/api/chats/save-delta', {
+                method: 'POST',
+                cache: 'no-cache',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({
+                    file_name: fileName,
+                    avatar_url: characters[this_chid].avatar,
+                    integrity: metadata.integrity,
+                    baseCount: delta.baseCount,
+                    ops: delta.ops,
+                }),
+            });
+
+            if (deltaResult.ok) {
+                delta.commit();
+                return;
+            }
+            if (deltaResult.status === 413) {
+                if (await notifyStorageQuotaError(deltaResult)) {
+                    return;
+                }
+                throw new Error(deltaResult.statusText);
+            }
+            // Out of sync with the file: send the whole chat, which also runs the integrity check
+            forgetSavedChat();
+        }
+
+        if (trimmedChat.some(isUnloadedMessage)) {
+            // A full save needs the older messages of a windowed chat
+            await loadAllMessages();
+            trimmedChat = chat.slice(0, trimmedChat.length);
+            chatToSave = [header, ...trimmedChat];
+            if (trimmedChat.some(isUnloadedMessage)) {
+                throw new Error('The chat has messages that were never loaded');
+            }
+        }
+
+        const snapshot = createChatSnapshot(saveKey, header, trimmedChat);
         const result = await fetch('/api/chats/save', {
             method: 'POST',
             cache: 'no-cache',
@@ -6439,6 +6515,11 @@ export async function saveChat({ chatName, withMetadata, mesId, force = false }
         });
 
         if (result.ok) {
+            rememberSavedChat(snapshot);
+            return;
+        }
+        forgetSavedChat();
+        if (await notifyStorageQuotaError(result)) {
             return;
         }
 
@@ -6631,24 +6712,32 @@ export async function getChat() {
     //console.log('/api/chats/get -- entered for -- ' + characters[this_chid].name);
     try {
         await unshallowCharacter(this_chid);
+        closeChatWindow();
 
-        const response = await $.ajax({
-            type: 'POST',
-            url: '/api/chats/get',
-            data: JSON.stringify({
-                ch_name: characters[this_chid].name,
-                file_name: characters[this_chid].chat,
-                avatar_url: characters[this_chid].avatar,
-            }),
-            dataType: 'json',
-            contentType: 'application/json',
-        });
+        const body = {
+            ch_name: characters[this_chid].name,
+            file_name: characters[this_chid].chat,
+            avatar_url: characters[this_chid].avatar,
+        };
+        const saveKey = `${body.avatar_url}/${body.file_name}`;
+        // Only the shown messages are fetched, older ones follow when they are needed
+        const response = power_user.chat_truncation && body.file_name
+            ? await openChatWindow(body, saveKey, power_user.chat_truncation)
+            : await $.ajax({
+                type: 'POST',
+                url: '/api/chats/get',
+                data: JSON.stringify(body),
+                dataType: 'json',
+                contentType: 'application/json',
+            });
         if (response[0] !== undefined) {
             chat.splice(0, chat.length, ...response);
             chat_create_date = chat[0]['create_date'];
             chat_metadata = chat[0]['chat_metadata'] ?? {};
 
             chat.shift();
+            // What the server has, so that changes saved on other devices can be merged in
+            rememberSavedChat(createChatSnapshot(saveKey, response[0], chat));
         } else {
             chat_create_date = humanizedDateTime();
         }
@@ -8963,6 +9052,9 @@ async function importCharacter(file, { preserveFileName = '', importTags = false
         });
 
         if (!result.ok) {
+            if (await notifyStorageQuotaError(result)) {
+                return;
+            }
             throw new Error(`Failed to import character: ${result.statusText}`);
         }
 
@@ -10062,6 +10154,14 @@ jQuery(async function () {
             await closeCurrentChat();
         }
 
+        else if (id == 'option_search_chats') {
+            openChatSearch();
+        }
+
+        else if (id == 'option_chat_history') {
+            openChatHistory();
+        }
+
         else if (id === 'option_settings') {
             //var checkBox = document.getElementById("waifuMode");
             var topBar = document.getElementById('top-bar');
@@ -179,6 +179,33 @@ function showConfirmDialog(title, message) {
     });
 }
 
+// Shows recovery codes once, they can't be retrieved later
+function showRecoveryCodes(codes) {
+    const result = showConfirmDialog('保存恢复码', '');
+    const messageEl = qs('#dialogMessage');
+    const hint = document.createElement('p');
+    hint.textContent = '丢失验证器时可用以下恢复码登录，每个只能使用一次。关闭后无法再次查看，请妥善保存：';
+    const list = document.createElement('div');
+    list.className = 'recovery-codes';
+    codes.forEach(code => {
+        const item = document.createElement('span');
+        item.textContent = code;
+        list.appendChild(item);
+    });
+    messageEl.replaceChildren(hint, list);
+    return result;
+}
+
+function renderTotpQr(container, uri) {
+    container.innerHTML = '';
+    // The QR library comes from a CDN, the secret below the code still works without it
+    if (!window.qrcode) return;
+    const qr = window.qrcode(0, 'M');
+    qr.addData(uri);
+    qr.make();
+    container.innerHTML = qr.createSvgTag(4, 8);
+}
+
 // ═══════════════════════════════════════════════════════════════
 // POINTS EDIT DIALOG
 // ═══════════════════════════════════════════════════════════════
@@ -222,6 +249,148 @@ function showPointsDialog(userHandle) {
     });
 }
 
+// ═══════════════════════════════════════════════════════════════
+// PLAN EDIT DIALOG
+// ═══════════════════════════════════════════════════════════════
+
+function showPlanDialog(userHandle, currentPlan) {
+    return new Promise((resolve) => {
+        const dialog = qs('#planDialog');
+        const planSelect = qs('#planSelect');
+        const daysInput = qs('#planDays');
+        const confirmBtn = qs('#planConfirm');
+        const cancelBtn = qs('#planCancel');
+
+        qs('#planDialogTitle').textContent = `设置套餐 · ${userHandle}`;
+        fillPlanSelect(planSelect, '默认套餐');
+        planSelect.value = currentPlan === plansConfig.defaultPlan ? '' : (currentPlan || '');
+        daysInput.value = '';
+        dialog.classList.remove('hidden');
+
+        const cleanup = () => {
+            dialog.classList.add('hidden');
+            confirmBtn.removeEventListener('click', onConfirm);
+            cancelBtn.removeEventListener('click', onCancel);
+        };
+
+        const onConfirm = () => {
+            const plan = planSelect.value || null;
+            const days = daysInput.value ? parseInt(daysInput.value) : null;
+            cleanup();
+            resolve({ plan, days });
+        };
+
+        const onCancel = () => {
+            cleanup();
+            resolve(null);
+        };
+
+        confirmBtn.addEventListener('click', onConfirm);
+        cancelBtn.addEventListener('click', onCancel);
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LIMITS EDIT DIALOG
+// ═══════════════════════════════════════════════════════════════
+
+function showLimitsDialog(userHandle, requestsPerMinute, maxConcurrent, storageQuotaMb) {
+    return new Promise((resolve) => {
+        const dialog = qs('#limitsDialog');
+        const rpmInput = qs('#limitsRpm');
+        const concurrentInput = qs('#limitsConcurrent');
+        const storageInput = qs('#limitsStorage');
+        const confirmBtn = qs('#limitsConfirm');
+        const cancelBtn = qs('#limitsCancel');
+
+        qs('#limitsDialogTitle').textContent = `设置限流 · ${userHandle}`;
+        rpmInput.value = requestsPerMinute ?? '';
+        concurrentInput.value = maxConcurrent ?? '';
+        storageInput.value = storageQuotaMb ?? '';
+        dialog.classList.remove('hidden');
+
+        const cleanup = () => {
+            dialog.classList.add('hidden');
+            confirmBtn.removeEventListener('click', onConfirm);
+            cancelBtn.removeEventListener('click', onCancel);
+        };
+
+        const onConfirm = () => {
+            const toLimit = (value) => value === '' ? null : parseInt(value);
+            const result = { requestsPerMinute: toLimit(rpmInput.value), maxConcurrent: toLimit(concurrentInput.value), storageQuotaMb: toLimit(storageInput.value) };
+            cleanup();
+            resolve(result);
+        };
+
+        const onCancel = () => {
+            cleanup();
+            resolve(null);
+        };
+
+        confirmBtn.addEventListener('click', onConfirm);
+        cancelBtn.addEventListener('click', onCancel);
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SESSION & PERMISSIONS
+// ═══════════════════════════════════════════════════════════════
+
+const ROLE_LABELS = {
+    'super-admin': '超级管理员',
+    'support': '客服',
+    'code-issuer': '发码员',
+};
+
+let adminSession = null;
+
+function hasPermission(permission) {
+    return !!adminSession?.permissions?.includes(permission);
+}
+
+function applyPermissions() {
+    qsa('[data-permission]').forEach(el => {
+        el.classList.toggle('hidden', !hasPermission(el.dataset.permission));
+    });
+
+    const identity = qs('#adminIdentity');
+    if (identity && adminSession) {
+        identity.textContent = `${adminSession.username} · ${ROLE_LABELS[adminSession.role] || adminSession.role}`;
+    }
+}
+
+async function enterApp() {
+    adminSession = await getJSON('/api/admin/session');
+    if (!adminSession.authenticated) {
+        throw { error: '需要管理员权限' };
+    }
+
+    applyPermissions();
+
+    // Hide login screen and show dashboard
+    qs('#loginScreen').classList.add('hidden');
+    const app = qs('#app');
+    app.classList.remove('hidden');
+
+    // Force sidebar and topbar visibility
+    const sidebar = qs('#sidebar');
+    const topbar = qs('.top-bar');
+    if (sidebar) {
+        sidebar.style.opacity = '1';
+        sidebar.style.display = 'flex';
+    }
+    if (topbar) {
+        topbar.style.opacity = '1';
+        topbar.style.display = 'flex';
+    }
+
+    // Setup navigation after app is visible
+    setupNavigationHandlers();
+
+    // Load initial data
+    await loadDashboard();
+}
+
 // ═══════════════════════════════════════════════════════════════
 // LOGIN
 // ═══════════════════════════════════════════════════════════════
@@ -247,29 +416,10 @@ async function handleLogin() {
 
         const result = await postJSON('/api/admin/login', { username, password });
 
-        if (result.success) {
-            // Hide login screen and show dashboard
-            qs('#loginScreen').classList.add('hidden');
-            const app = qs('#app');
-            app.classList.remove('hidden');
-
-            // Force sidebar and topbar visibility
-            const sidebar = qs('#sidebar');
-            const topbar = qs('.top-bar');
-            if (sidebar) {
-                sidebar.style.opacity = '1';
-                sidebar.style.display = 'flex';
-            }
-            if (topbar) {
-                topbar.style.opacity = '1';
-                topbar.style.display = 'flex';
-            }
-
-            // Setup navigation after app is visible
-            setupNavigationHandlers();
-
-            // Load initial data
-            await loadDashboard();
+        if (result.twoFactorRequired || result.twoFactorSetupRequired) {
+            showTwoFactorStep(result);
+        } else if (result.success) {
+            await enterApp();
             showToast('success', '登录成功', '欢迎回来，管理员！');
         }
     } catch (error) {
@@ -280,6 +430,51 @@ async function handleLogin() {
     }
 }
 
+function showTwoFactorStep({ twoFactorSetupRequired, secret, uri }) {
+    qs('.login-form').classList.add('hidden');
+    qs('#twoFactorStep').classList.remove('hidden');
+    qs('#twoFactorSetup').classList.toggle('hidden', !twoFactorSetupRequired);
+    if (twoFactorSetupRequired) {
+        renderTotpQr(qs('#twoFactorQr'), uri);
+        qs('#twoFactorSecret').textContent = secret;
+    }
+    qs('#twoFactorCode').focus();
+}
+
+async function handleTwoFactorLogin() {
+    const codeInput = qs('#twoFactorCode');
+    const errorDiv = qs('#twoFactorError');
+    const btn = qs('#twoFactorBtn');
+
+    const code = codeInput.value.trim();
+    if (!code) {
+        errorDiv.textContent = '请输入验证码';
+        errorDiv.classList.remove('hidden');
+        return;
+    }
+
+    try {
+        btn.disabled = true;
+        errorDiv.classList.add('hidden');
+        const result = await postJSON('/api/admin/login-2fa', { code });
+        if (result.recoveryCodes) {
+            await showRecoveryCodes(result.recoveryCodes);
+        }
+        await enterApp();
+        showToast('success', '登录成功', '欢迎回来，管理员！');
+    } catch (error) {
+        errorDiv.textContent = error.error || '验证失败';
+        errorDiv.classList.remove('hidden');
+        // 登录已过期时回到第一步
+        if (error.error === '登录已过期，请重新登录') {
+            qs('#twoFactorStep').classList.add('hidden');
+            qs('.login-form').classList.remove('hidden');
+        }
+    } finally {
+        btn.disabled = false;
+    }
+}
+
 async function handleLogout() {
     const confirmed = await showConfirmDialog('确认退出', '确定要退出管理后台吗？');
     if (!confirmed) return;
@@ -309,7 +504,9 @@ async function loadDashboard() {
         qs('#unusedCodes').textContent = stats.redeemCodes?.unused || 0;
 
         // Load system config
-        await loadSystemConfig();
+        if (hasPermission('config:write')) {
+            await loadSystemConfig();
+        }
     } catch (error) {
         console.error('Failed to load dashboard:', error);
         showToast('error', '加载失败', '无法加载系统统计信息');
@@ -352,6 +549,8 @@ async function handleRegistrationToggle() {
 // USER MANAGEMENT
 // ═══════════════════════════════════════════════════════════════
 
+const selectedUsers = new Set();
+
 async function loadUsers() {
     const loading = qs('#usersLoading');
     const table = qs('#usersTable');
@@ -361,8 +560,14 @@ async function loadUsers() {
         loading.classList.remove('hidden');
         table.classList.add('hidden');
 
-        const data = await getJSON('/api/admin/users');
+        const [data] = await Promise.all([getJSON('/api/admin/users'), loadPlanOptions()]);
         const users = data.users || [];
+        fillPlanSelect(qs('#bulkPlanFilter'), '全部');
+
+        // Users that are gone after the reload drop out of the selection
+        const handles = new Set(users.map(user => user.handle));
+        [...selectedUsers].filter(handle => !handles.has(handle)).forEach(handle => selectedUsers.delete(handle));
+        updateBulkSelectionCount();
 
         tbody.innerHTML = '';
 
@@ -376,8 +581,13 @@ async function loadUsers() {
                 row.innerHTML = `
                     <div class="table-cell" data-label="用户">
                         <div class="user-info">
-                            <div class="user-name">${escapeHtml(user.name)}</div>
+                            <label class="user-select">
+                                <input type="checkbox" class="user-select-checkbox" data-handle="${escapeHtml(user.handle)}" ${selectedUsers.has(user.handle) ? 'checked' : ''}>
+                                <span class="user-name">${escapeHtml(user.name)}</span>
+                            </label>
                             <div class="user-handle">@${escapeHtml(user.handle)}</div>
+                            <div class="user-handle">★ ${escapeHtml(user.planName || user.plan || '-')}${user.planExpiresAt ? ` · 至 ${formatDate(user.planExpiresAt)}` : ''}</div>
+                            <div class="user-handle">⏱ ${formatLimits(user.effectiveLimits)}${user.generationLimits ? ' · 单独设置' : ''}</div>
                         </div>
                     </div>
                     <div class="table-cell" data-label="积分">${user.points}</div>
@@ -386,23 +596,53 @@ async function loadUsers() {
                             ${user.accessOn ? '开启' : '关闭'}
                         </span>
                     </div>
-                    <div class="table-cell" data-label="存储">${user.storageSizeFormatted}</div>
+                    <div class="table-cell" data-label="存储">${user.storageSizeFormatted}${user.effectiveStorageQuotaMb > 0 ? ` / ${user.effectiveStorageQuotaMb} MB` : ''}${user.storageQuotaMb !== null ? ' · 单独设置' : ''}</div>
                     <div class="table-cell" data-label="状态">
                         <span class="status-badge ${user.enabled ? 'enabled' : 'disabled'}">
-                            ${user.enabled ? '正常' : '封禁'}
+                            ${user.enabled ? (user.pending ? '待认领' : '正常') : '封禁'}
                         </span>
                     </div>
                     <div class="table-cell" data-label="操作">
                         <div class="action-buttons">
+                            <button class="pixel-button action-btn-small" data-action="detail" data-handle="${escapeHtml(user.handle)}">
+                                <span class="button-content"><span class="button-text">详情</span></span>
+                            </button>
+                            ${hasPermission('users:points') ? `
                             <button class="pixel-button action-btn-small" data-action="points" data-handle="${escapeHtml(user.handle)}">
                                 <span class="button-content"><span class="button-text">积分</span></span>
-                            </button>
+                            </button>` : ''}
+                            ${hasPermission('users:plan') ? `
+                            <button class="pixel-button action-btn-small" data-action="plan" data-handle="${escapeHtml(user.handle)}" data-plan="${escapeHtml(user.plan || '')}">
+                                <span class="button-content"><span class="button-text">套餐</span></span>
+                            </button>` : ''}
+                            ${hasPermission('users:limits') ? `
+                            <button class="pixel-button action-btn-small" data-action="limits" data-handle="${escapeHtml(user.handle)}" data-rpm="${user.generationLimits?.requestsPerMinute ?? ''}" data-concurrent="${user.generationLimits?.maxConcurrent ?? ''}" data-storage="${user.storageQuotaMb ?? ''}">
+                                <span class="button-content"><span class="button-text">限流</span></span>
+                            </button>` : ''}
+                            ${hasPermission('transactions:read') ? `
+                            <button class="pixel-button action-btn-small" data-action="transactions" data-handle="${escapeHtml(user.handle)}">
+                                <span class="button-content"><span class="button-text">流水</span></span>
+                            </button>` : ''}
+                            ${hasPermission('users:password') ? `
+                            <button class="pixel-button action-btn-small" data-action="reset-code" data-handle="${escapeHtml(user.handle)}">
+                                <span class="button-content"><span class="button-text">重置码</span></span>
+                            </button>` : ''}
+                            ${hasPermission('users:password') && user.twoFactorEnabled ? `
+                            <button class="pixel-button action-btn-small" data-action="reset-2fa" data-handle="${escapeHtml(user.handle)}">
+                                <span class="button-content"><span class="button-text">关闭2FA</span></span>
+                            </button>` : ''}
+                            ${hasPermission('users:ban') ? `
+                            <button class="pixel-button action-btn-small" data-action="logout" data-handle="${escapeHtml(user.handle)}">
+                                <span class="button-content"><span class="button-text">下线</span></span>
+                            </button>` : ''}
+                            ${hasPermission('users:ban') ? `
                             <button class="pixel-button action-btn-small" data-action="ban" data-handle="${escapeHtml(user.handle)}">
                                 <span class="button-content"><span class="button-text">${user.enabled ? '封禁' : '解封'}</span></span>
-                            </button>
+                            </button>` : ''}
+                            ${hasPermission('users:delete') ? `
                             <button class="pixel-button action-btn-small danger" data-action="delete" data-handle="${escapeHtml(user.handle)}">
                                 <span class="button-content"><span class="button-text">删除数据</span></span>
-                            </button>
+                            </button>` : ''}
                         </div>
                     </div>
                 `;
@@ -414,6 +654,9 @@ async function loadUsers() {
             tbody.querySelectorAll('[data-action]').forEach(btn => {
                 btn.addEventListener('click', handleUserAction);
             });
+            tbody.querySelectorAll('.user-select-checkbox').forEach(checkbox => {
+                checkbox.addEventListener('change', handleUserSelect);
+            });
         }
 
         loading.classList.add('hidden');
@@ -435,6 +678,22 @@ async function handleUserAction(event) {
         if (result) {
             await modifyUserPoints(handle, result.action, result.amount);
         }
+    } else if (action === 'plan') {
+        await loadPlanOptions();
+        const result = await showPlanDialog(handle, btn.dataset.plan);
+        if (result) {
+            await setUserPlan(handle, result.plan, result.days);
+        }
+    } else if (action === 'limits') {
+        const result = await showLimitsDialog(handle, btn.dataset.rpm, btn.dataset.concurrent, btn.dataset.storage);
+        if (result) {
+            await setUserLimits(handle, result);
+        }
+    } else if (action === 'detail') {
+        await showUserDetail(handle);
+    } else if (action === 'transactions') {
+        qs('#transactionsHandle').value = handle;
+        switchPage('transactions');
     } else if (action === 'ban') {
         const currentText = btn.textContent.trim();
         const isCurrentlyEnabled = currentText === '封禁';
@@ -445,6 +704,24 @@ async function handleUserAction(event) {
         if (confirmed) {
             await toggleUserBan(handle);
         }
+    } else if (action === 'reset-code') {
+        const confirmed = await showConfirmDialog(
+            '生成重置码',
+            `确定要为用户 ${handle} 生成密码重置码吗？之前生成的重置码将失效。`,
+        );
+        if (confirmed) {
+            await issueResetCode(handle);
+        }
+    } else if (action === 'logout') {
+        await forceLogoutUser(handle);
+    } else if (action === 'reset-2fa') {
+        const confirmed = await showConfirmDialog(
+            '关闭两步验证',
+            `确定要关闭用户 ${handle} 的两步验证吗？请先确认对方身份，关闭后仅凭密码或第三方账号即可登录。`,
+        );
+        if (confirmed) {
+            await resetUserTwoFactor(handle);
+        }
     } else if (action === 'delete') {
         const confirmed = await showConfirmDialog(
             '确认删除',
@@ -467,263 +744,2087 @@ async function modifyUserPoints(handle, action, amount) {
     }
 }
 
-async function toggleUserBan(handle) {
+async function issueResetCode(handle) {
     try {
-        const result = await postJSON(`/api/admin/users/${handle}/toggle-ban`, {});
-        showToast('success', '操作成功', result.message || '状态已更新');
-        await loadUsers();
-        await loadDashboard();
+        const result = await postJSON(`/api/admin/users/${handle}/reset-code`, {});
+        await navigator.clipboard?.writeText(result.code).catch(() => null);
+        await showConfirmDialog(
+            '重置码已生成',
+            `用户 ${handle} 的重置码：${result.code}（已复制，${formatDate(result.expiresAt)} 前有效，只能使用一次）。关闭后无法再次查看，请交给用户在登录页“忘记密码”中使用。`,
+        );
     } catch (error) {
-        showToast('error', '操作失败', error.error || '操作失败');
+        showToast('error', '操作失败', error.error || '生成重置码失败');
     }
 }
 
-async function deleteUserData(handle) {
+async function forceLogoutUser(handle) {
+    let sessions;
     try {
-        const result = await deleteJSON(`/api/admin/users/${handle}/data`);
-        showToast('success', '删除成功', result.message || '用户数据已删除');
-        await loadUsers();
-        await loadDashboard();
+        ({ sessions } = await getJSON(`/api/admin/users/${handle}/sessions`));
     } catch (error) {
-        showToast('error', '删除失败', error.error || '删除用户数据失败');
+        showToast('error', '加载失败', error.error || '获取登录设备失败');
+        return;
+    }
+    if (sessions.length === 0) {
+        showToast('info', '无需下线', `用户 ${handle} 当前没有已登录的设备`);
+        return;
     }
-}
-
-// ═══════════════════════════════════════════════════════════════
-// REDEEM CODE MANAGEMENT
-// ═══════════════════════════════════════════════════════════════
 
-async function loadRedeemCodes() {
-    const loading = qs('#codesLoading');
-    const table = qs('#codesTable');
-    const tbody = qs('#codesTableBody');
+    const devices = sessions.map(session => `${session.device}（${session.ip}，${formatDate(session.lastSeenAt)}）`).join('、');
+    const confirmed = await showConfirmDialog(
+        '强制下线',
+        `用户 ${handle} 当前有 ${sessions.length} 个已登录的设备：${devices}。确定要全部下线吗？`,
+    );
+    if (!confirmed) return;
 
     try {
-        loading.classList.remove('hidden');
-        table.classList.add('hidden');
-
-        const data = await getJSON('/api/admin/redeem-codes');
-        const codes = data.codes || [];
-
-        tbody.innerHTML = '';
-
-        if (codes.length === 0) {
-            tbody.innerHTML = '<div class="table-row"><div class="table-cell" style="grid-column: 1 / -1; justify-content: center;">暂无兑换码</div></div>';
-        } else {
-            codes.forEach(code => {
-                const row = document.createElement('div');
-                row.className = 'table-row';
-
-                row.innerHTML = `
-                    <div class="table-cell" data-label="兑换码">
-                        <span class="code-text">${escapeHtml(code.code)}</span>
-                    </div>
-                    <div class="table-cell" data-label="积分">${code.points}</div>
-                    <div class="table-cell" data-label="状态">
-                        <span class="status-badge ${code.used ? 'used' : 'unused'}">
-                            ${code.used ? '已使用' : '未使用'}
-                        </span>
-                    </div>
-                    <div class="table-cell" data-label="使用者">${code.usedBy ? escapeHtml(code.usedBy) : '-'}</div>
-                    <div class="table-cell" data-label="创建时间">
-                        <span class="date-text">${formatDate(code.createdAt)}</span>
-                    </div>
-                    <div class="table-cell" data-label="操作">
-                        ${!code.used ? `
-                            <button class="pixel-button action-btn-small danger" data-action="delete-code" data-code="${escapeHtml(code.code)}">
-                                <span class="button-content"><span class="button-text">删除</span></span>
-                            </button>
-                        ` : '-'}
-                    </div>
-                `;
+        const result = await postJSON(`/api/admin/users/${handle}/logout`, {});
+        showToast('success', '操作成功', result.message || '用户已下线');
+    } catch (error) {
+        showToast('error', '操作失败', error.error || '强制下线失败');
+    }
+}
 
-                tbody.appendChild(row);
-            });
+async function resetUserTwoFactor(handle) {
+    try {
+        const result = await postJSON(`/api/admin/users/${handle}/2fa/reset`, {});
+        showToast('success', '操作成功', result.message || '两步验证已关闭');
+        await loadUsers();
+    } catch (error) {
+        showToast('error', '操作失败', error.error || '关闭两步验证失败');
+    }
+}
 
-            // Add event listeners to delete buttons
-            tbody.querySelectorAll('[data-action="delete-code"]').forEach(btn => {
-                btn.addEventListener('click', async (e) => {
-                    const code = e.currentTarget.dataset.code;
-                    const confirmed = await showConfirmDialog(
-                        '确认删除',
-                        `确定要删除兑换码 ${code} 吗？`
-                    );
-                    if (confirmed) {
-                        await deleteRedeemCode(code);
-                    }
-                });
-            });
-        }
+async function setUserPlan(handle, plan, days) {
+    try {
+        const result = await postJSON(`/api/admin/users/${handle}/plan`, { plan, days });
+        showToast('success', '操作成功', result.message || '套餐已设置');
+        await loadUsers();
+    } catch (error) {
+        showToast('error', '操作失败', error.error || '设置套餐失败');
+    }
+}
 
-        loading.classList.add('hidden');
-        table.classList.remove('hidden');
+async function setUserLimits(handle, limits) {
+    try {
+        const result = await postJSON(`/api/admin/users/${handle}/limits`, limits);
+        showToast('success', '操作成功', result.message || '限流已设置');
+        await loadUsers();
     } catch (error) {
-        console.error('Failed to load redeem codes:', error);
-        showToast('error', '加载失败', '无法加载兑换码列表');
-        loading.classList.add('hidden');
+        showToast('error', '操作失败', error.error || '设置限流失败');
     }
 }
 
-async function createRedeemCodes() {
-    const pointsInput = qs('#redeemPoints');
-    const countInput = qs('#redeemCount');
-    const createBtn = qs('#createRedeemBtn');
+// ──────────────────────────────────────────────────────────────
+// USER DETAIL
+// ──────────────────────────────────────────────────────────────
 
-    const points = parseInt(pointsInput.value);
-    const count = parseInt(countInput.value);
+const LOGIN_METHOD_LABELS = {
+    password: '密码',
+    oauth: '第三方登录',
+    register: '注册',
+    legacy: '早前登录',
+};
 
-    if (!points || points <= 0) {
-        showToast('error', '输入错误', '请输入有效的积分数量');
-        return;
-    }
+let userDetailHandle = null;
+
+function renderDetailItems(details) {
+    const { profile, account, checkIns, lastLogin, invite, referral, counts, storage } = details;
+    const items = [
+        ['用户名', `${profile.name} (@${profile.handle})`],
+        ['状态', `${profile.enabled ? '正常' : '封禁'}${profile.admin ? ' · 管理员' : ''}`],
+        ['注册时间', profile.created ? formatDate(profile.created) : '-'],
+        ['找回邮箱', profile.email || '-'],
+        ['登录方式', [profile.hasPassword ? '密码' : '', ...details.identities.map(identity => `${identity.provider}：${identity.name || identity.subject}`)].filter(Boolean).join('，') || '-'],
+        ['两步验证', profile.twoFactorEnabled ? '已开启' : '未开启'],
+        ['邀请码', invite ? `${invite.code}${invite.createdBy ? `（${invite.createdBy} 邀请）` : ''}` : '-'],
+        ['邀请达标', referral ? `${referral.qualifiedAt ? '已达标' : `活跃 ${referral.activeDays} 天`}${referral.sharedIp ? ' · 同 IP 注册' : ''}${REFERRAL_REVIEW_LABELS[referral.review] ?? ''}` : '-'],
+        ['积分', account ? String(account.points) : '-'],
+        ['访问', account ? (account.accessOn ? '开启' : '关闭') : '-'],
+        ['套餐', account ? `${account.planName}${account.planExpiresAt ? ` · 至 ${formatDate(account.planExpiresAt)}` : ''}` : '-'],
+        ['签到', `共 ${checkIns.total} 次 · 连续 ${checkIns.streak} 天 · 最长 ${checkIns.longestStreak} 天`],
+        ['最近登录', lastLogin ? `${formatDate(lastLogin.at)} · ${lastLogin.ip || '-'} · ${lastLogin.device} · ${LOGIN_METHOD_LABELS[lastLogin.method] || lastLogin.method}` : '-'],
+        ['在线设备', String(details.activeSessions)],
+        ['存储', `${formatSize(storage.bytes)}${storage.quotaMb > 0 ? ` / ${storage.quotaMb} MB` : ''}`],
+        ['角色 / 聊天', `${counts.characters} 个角色 · ${counts.chats} 个聊天 · ${counts.groups} 个群组 · ${counts.groupChats} 个群聊`],
+    ];
+
+    const grid = qs('#userDetailGrid');
+    grid.innerHTML = '';
+    items.forEach(([label, value]) => {
+        const item = document.createElement('div');
+        item.className = 'detail-item';
+        item.innerHTML = '<div class="setting-label"></div><div class="detail-value"></div>';
+        item.firstElementChild.textContent = label;
+        item.lastElementChild.textContent = value;
+        grid.appendChild(item);
+    });
+}
 
-    if (!count || count <= 0 || count > 100) {
-        showToast('error', '输入错误', '生成数量必须在1-100之间');
+function renderStorageBreakdown(storage) {
+    const container = qs('#userDetailStorage');
+    container.innerHTML = '';
+    const largest = storage.directories[0]?.bytes || 0;
+    if (largest === 0) {
+        container.innerHTML = '<div class="referral-meta">数据目录为空</div>';
         return;
     }
 
-    try {
-        createBtn.disabled = true;
-        const result = await postJSON('/api/admin/redeem-codes', { points, count });
+    storage.directories.filter(dir => dir.bytes > 0).forEach(dir => {
+        const row = document.createElement('div');
+        row.className = 'storage-row';
+        row.innerHTML = `
+            <span class="storage-name">${escapeHtml(dir.name)}</span>
+            <span class="storage-bar"><span style="width: ${Math.max(1, Math.round(dir.bytes / largest * 100))}%"></span></span>
+            <span class="storage-size">${formatSize(dir.bytes)}</span>`;
+        container.appendChild(row);
+    });
+}
 
-        showToast('success', '创建成功', result.message || `成功创建 ${count} 个兑换码`);
+function renderTimeline(details, transactions) {
+    const events = [];
+    if (details.profile.created) events.push({ at: details.profile.created, text: '注册账号' });
+    if (details.invite?.usedAt) events.push({ at: details.invite.usedAt, text: `使用邀请码 ${details.invite.code}` });
+    details.identities.forEach(identity => {
+        if (identity.linkedAt) events.push({ at: identity.linkedAt, text: `绑定 ${identity.provider}（${identity.name || identity.subject}）` });
+    });
+    if (details.referral?.qualifiedAt) events.push({ at: details.referral.qualifiedAt, text: `邀请达标，${details.invite?.createdBy || '邀请人'} 获得 ${details.referral.bonus} 积分` });
+    if (details.lastLogin) events.push({ at: details.lastLogin.at, text: `登录（${details.lastLogin.ip || '-'} · ${details.lastLogin.device}）` });
+    transactions.forEach(tx => {
+        const delta = tx.delta > 0 ? `+${tx.delta}` : String(tx.delta);
+        events.push({ at: tx.createdAt, text: `${TRANSACTION_REASONS[tx.reason] || tx.reason} ${delta}，余额 ${tx.balance}${tx.note ? `（${tx.note}）` : ''}` });
+    });
+    events.sort((a, b) => b.at - a.at);
 
-        // Reset inputs
-        pointsInput.value = '10';
-        countInput.value = '1';
+    const list = qs('#userDetailTimeline');
+    list.innerHTML = '';
+    if (events.length === 0) {
+        list.innerHTML = '<li class="referral-meta">暂无记录</li>';
+        return;
+    }
+    events.forEach(event => {
+        const item = document.createElement('li');
+        item.innerHTML = `<span class="date-text">${formatDate(event.at)}</span><span></span>`;
+        item.lastElementChild.textContent = event.text;
+        list.appendChild(item);
+    });
+}
 
-        await loadRedeemCodes();
-        await loadDashboard();
+async function showUserDetail(handle) {
+    userDetailHandle = handle;
+    switchPage('user-detail');
+    qs('#userDetailTitle').textContent = `用户详情 · ${handle}`;
+    qs('#userDetailLoading').classList.remove('hidden');
+    qs('#userDetailGrid').innerHTML = '';
+    qs('#userDetailStorage').innerHTML = '';
+    qs('#userDetailTimeline').innerHTML = '';
+
+    try {
+        const [details, history] = await Promise.all([
+            getJSON(`/api/admin/users/${encodeURIComponent(handle)}`),
+            hasPermission('transactions:read')
+                ? getJSON(`/api/admin/users/${encodeURIComponent(handle)}/transactions?pageSize=30`)
+                : Promise.resolve({ transactions: [] }),
+        ]);
+        renderDetailItems(details);
+        renderStorageBreakdown(details.storage);
+        renderTimeline(details, history.transactions);
     } catch (error) {
-        showToast('error', '创建失败', error.error || '创建兑换码失败');
+        showToast('error', '加载失败', error.error || '无法加载用户详情');
     } finally {
-        createBtn.disabled = false;
+        qs('#userDetailLoading').classList.add('hidden');
     }
 }
 
-async function deleteRedeemCode(code) {
-    try {
-        const result = await deleteJSON(`/api/admin/redeem-codes/${code}`);
-        showToast('success', '删除成功', result.message || '兑换码已删除');
-        await loadRedeemCodes();
+function backToUsers() {
+    switchPage('users');
+}
+
+function openUserDetailTransactions() {
+    qs('#transactionsHandle').value = userDetailHandle || '';
+    switchPage('transactions');
+}
+
+function formatLimits(limits) {
+    if (!limits) return '-';
+    const rpm = limits.requestsPerMinute > 0 ? `${limits.requestsPerMinute}次/分` : '不限频率';
+    const concurrent = limits.maxConcurrent > 0 ? `并发${limits.maxConcurrent}` : '不限并发';
+    return `${rpm} · ${concurrent}`;
+}
+
+async function toggleUserBan(handle) {
+    try {
+        const result = await postJSON(`/api/admin/users/${handle}/toggle-ban`, {});
+        showToast('success', '操作成功', result.message || '状态已更新');
+        await loadUsers();
+        await loadDashboard();
+    } catch (error) {
+        showToast('error', '操作失败', error.error || '操作失败');
+    }
+}
+
+async function deleteUserData(handle) {
+    try {
+        const result = await deleteJSON(`/api/admin/users/${handle}/data`);
+        showToast('success', '删除成功', result.message || '用户数据已删除');
+        await loadUsers();
+        await loadDashboard();
+    } catch (error) {
+        showToast('error', '删除失败', error.error || '删除用户数据失败');
+    }
+}
+
+async function mergeUsers() {
+    const source = qs('#mergeSourceHandle').value.trim().toLowerCase();
+    const target = qs('#mergeTargetHandle').value.trim().toLowerCase();
+
+    if (!source || !target || source === target) {
+        showToast('error', '输入错误', '请输入两个不同的用户名');
+        return;
+    }
+
+    const confirmed = await showConfirmDialog(
+        '确认合并',
+        `确定要将 ${source} 合并到 ${target} 吗？${source} 的数据、积分和登录方式将转移到 ${target}，随后 ${source} 会被删除，此操作不可撤销！`,
+    );
+    if (!confirmed) return;
+
+    const btn = qs('#mergeUsersBtn');
+    try {
+        btn.disabled = true;
+        const { result, message } = await postJSON('/api/admin/users/merge', { source, target });
+        showToast('success', '合并成功', `${message}，转移积分 ${result.points}，重命名冲突文件 ${result.renamed} 个`);
+        qs('#mergeSourceHandle').value = '';
+        qs('#mergeTargetHandle').value = '';
+        await loadUsers();
+        await loadDashboard();
+    } catch (error) {
+        showToast('error', '合并失败', error.error || '合并账号失败');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+// ──────────────────────────────────────────────────────────────
+// BULK ACTIONS & CSV
+// ──────────────────────────────────────────────────────────────
+
+const BULK_ACTIONS = {
+    points: { endpoint: 'points', label: '修改积分' },
+    plan: { endpoint: 'plan', label: '设置套餐' },
+    ban: { endpoint: 'ban', label: '封禁' },
+    unban: { endpoint: 'ban', label: '解封' },
+    'delete-data': { endpoint: 'delete-data', label: '删除数据' },
+};
+
+function updateBulkSelectionCount() {
+    qs('#bulkSelectionCount').textContent = `已选 ${selectedUsers.size} 个用户`;
+}
+
+function handleUserSelect(event) {
+    const { handle } = event.currentTarget.dataset;
+    if (event.currentTarget.checked) {
+        selectedUsers.add(handle);
+    } else {
+        selectedUsers.delete(handle);
+    }
+    updateBulkSelectionCount();
+}
+
+function syncUserCheckboxes() {
+    qsa('.user-select-checkbox').forEach(checkbox => {
+        checkbox.checked = selectedUsers.has(checkbox.dataset.handle);
+    });
+    updateBulkSelectionCount();
+}
+
+function getBulkFilter() {
+    const inactiveDays = parseInt(qs('#bulkInactiveDays').value);
+    return {
+        inactiveDays: Number.isNaN(inactiveDays) ? null : inactiveDays,
+        plan: qs('#bulkPlanFilter').value,
+        status: qs('#bulkStatusFilter').value,
+        search: qs('#bulkSearch').value.trim(),
+    };
+}
+
+async function selectUsersByFilter() {
+    try {
+        const { handles } = await postJSON('/api/admin/users/bulk/preview', { filter: getBulkFilter() });
+        selectedUsers.clear();
+        handles.forEach(handle => selectedUsers.add(handle));
+        syncUserCheckboxes();
+        showToast('success', '已选择', `${handles.length} 个用户符合条件`);
+    } catch (error) {
+        selectedUsers.clear();
+        syncUserCheckboxes();
+        showToast('error', '选择失败', error.error || '没有符合条件的用户');
+    }
+}
+
+function clearUserSelection() {
+    selectedUsers.clear();
+    syncUserCheckboxes();
+}
+
+async function handleBulkAction(event) {
+    const action = event.currentTarget.dataset.bulk;
+    const { endpoint, label } = BULK_ACTIONS[action];
+    const handles = [...selectedUsers];
+    if (handles.length === 0) {
+        showToast('error', '未选择用户', '请先勾选用户或按条件选择');
+        return;
+    }
+
+    const target = `${handles.length} 个用户`;
+    let body;
+    if (action === 'points') {
+        const result = await showPointsDialog(target);
+        if (!result) return;
+        body = result;
+    } else if (action === 'plan') {
+        await loadPlanOptions();
+        const result = await showPlanDialog(target, null);
+        if (!result) return;
+        body = result;
+    } else {
+        const warning = action === 'delete-data' ? '此操作不可恢复！' : '';
+        const confirmed = await showConfirmDialog(`确认${label}`, `确定要${label}已选的 ${target}吗？${warning}`);
+        if (!confirmed) return;
+        body = action === 'delete-data' ? {} : { enabled: action === 'unban' };
+    }
+
+    try {
+        const result = await postJSON(`/api/admin/users/bulk/${endpoint}`, { ...body, handles });
+        if (result.failed.length) {
+            const failures = result.failed.slice(0, 5).map(item => `${item.handle}：${item.error}`).join('；');
+            showToast('error', '部分失败', `${result.message}。${failures}`);
+        } else {
+            showToast('success', '操作成功', result.message);
+        }
+        selectedUsers.clear();
+        await loadUsers();
         await loadDashboard();
     } catch (error) {
-        showToast('error', '删除失败', error.error || '删除兑换码失败');
+        showToast('error', '操作失败', error.error || `批量${label}失败`);
+    }
+}
+
+function exportUsers() {
+    const link = document.createElement('a');
+    link.href = '/api/admin/users/export';
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+async function importUsers() {
+    const file = qs('#importUsersFile').files[0];
+    if (!file) {
+        showToast('error', '输入错误', '请选择 CSV 文件');
+        return;
+    }
+    const expiresInDays = qs('#importUsersExpires').value ? parseInt(qs('#importUsersExpires').value) : null;
+
+    const btn = qs('#importUsersBtn');
+    const output = qs('#importUsersResult');
+    try {
+        btn.disabled = true;
+        const result = await postJSON('/api/admin/users/import', { csv: await file.text(), expiresInDays });
+        const lines = [
+            'handle,code',
+            ...result.created.map(item => `${item.handle},${item.code}`),
+            ...result.failed.map(item => `# 第 ${item.line} 行 ${item.handle}：${item.error}`),
+        ];
+        output.value = lines.join('\n');
+        output.classList.remove('hidden');
+        showToast(result.failed.length ? 'error' : 'success', '导入完成', result.message);
+        qs('#importUsersFile').value = '';
+        await loadUsers();
+    } catch (error) {
+        showToast('error', '导入失败', error.error || '导入用户失败');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// REDEEM CODE MANAGEMENT
+// ═══════════════════════════════════════════════════════════════
+
+const REDEEM_STATUS_LABELS = {
+    unused: '未使用',
+    partial: '使用中',
+    used: '已用完',
+    expired: '已过期',
+    revoked: '已作废',
+};
+
+const REDEEM_STATUS_CLASSES = {
+    unused: 'unused',
+    partial: 'unused',
+    used: 'used',
+    expired: 'disabled',
+    revoked: 'disabled',
+};
+
+function formatCampaign(campaign) {
+    return campaign ? escapeHtml(campaign) : '<span class="date-text">未命名</span>';
+}
+
+async function loadRedeemPage() {
+    await loadPlanOptions();
+    const redeemPlan = qs('#redeemPlan');
+    if (redeemPlan) {
+        fillPlanSelect(redeemPlan, '不赠送套餐');
+    }
+    await Promise.all([loadRedeemBatches(), loadRedeemCodes()]);
+}
+
+async function loadRedeemBatches() {
+    const loading = qs('#batchesLoading');
+    const table = qs('#batchesTable');
+    const tbody = qs('#batchesTableBody');
+    const filter = qs('#redeemBatchFilter');
+
+    try {
+        loading.classList.remove('hidden');
+        table.classList.add('hidden');
+
+        const data = await getJSON('/api/admin/redeem-batches');
+        const batches = data.batches || [];
+
+        // Keep the batch filter in sync with the batch list
+        const selected = filter.value;
+        filter.innerHTML = '<option value="">全部批次</option>';
+        batches.forEach(batch => {
+            const option = document.createElement('option');
+            option.value = batch.id;
+            option.textContent = `${batch.campaign || '未命名'} · ${formatDate(batch.createdAt)}`;
+            filter.appendChild(option);
+        });
+        filter.value = batches.some(b => b.id === selected) ? selected : '';
+
+        tbody.innerHTML = '';
+        if (batches.length === 0) {
+            tbody.innerHTML = '<div class="table-row"><div class="table-cell" style="grid-column: 1 / -1; justify-content: center;">暂无批次</div></div>';
+        } else {
+            batches.forEach(batch => {
+                const row = document.createElement('div');
+                row.className = 'table-row';
+
+                const isExpired = batch.expiresAt && batch.expiresAt < Date.now();
+                const rate = `${(batch.redemptionRate * 100).toFixed(1)}%`;
+
+                row.innerHTML = `
+                    <div class="table-cell" data-label="活动">
+                        <div>
+                            <div>${formatCampaign(batch.campaign)}</div>
+                            <div class="date-text">${formatDate(batch.createdAt)} · ${escapeHtml(batch.createdBy || '-')}</div>
+                        </div>
+                    </div>
+                    <div class="table-cell" data-label="积分">
+                        <div>${batch.points}${formatPlanGrant(batch)}</div>
+                    </div>
+                    <div class="table-cell" data-label="码数">${batch.codes}</div>
+                    <div class="table-cell" data-label="兑换次数">${batch.uses} / ${batch.capacity}</div>
+                    <div class="table-cell" data-label="兑换率">${rate}</div>
+                    <div class="table-cell" data-label="过期时间">
+                        ${batch.expiresAt ? `<span class="${isExpired ? 'expired-text' : ''}">${formatDate(batch.expiresAt)}</span>` : '永久'}
+                    </div>
+                    <div class="table-cell" data-label="操作">
+                        <div class="action-buttons">
+                            <button class="pixel-button action-btn-small" data-action="view-batch" data-batch="${escapeHtml(batch.id)}">
+                                <span class="button-content"><span class="button-text">查看</span></span>
+                            </button>
+                            ${batch.revoked ? '<span class="status-badge disabled">已作废</span>' : (hasPermission('codes:write') ? `
+                            <button class="pixel-button action-btn-small danger" data-action="revoke-batch" data-batch="${escapeHtml(batch.id)}" data-campaign="${escapeHtml(batch.campaign || '未命名')}">
+                                <span class="button-content"><span class="button-text">作废</span></span>
+                            </button>` : '')}
+                        </div>
+                    </div>
+                `;
+
+                tbody.appendChild(row);
+            });
+
+            tbody.querySelectorAll('[data-action="view-batch"]').forEach(btn => {
+                btn.addEventListener('click', async (e) => {
+                    filter.value = e.currentTarget.dataset.batch;
+                    await loadRedeemCodes();
+                    qs('#codesTable').scrollIntoView({ behavior: 'smooth' });
+                });
+            });
+
+            tbody.querySelectorAll('[data-action="revoke-batch"]').forEach(btn => {
+                btn.addEventListener('click', async (e) => {
+                    const { batch, campaign } = e.currentTarget.dataset;
+                    const confirmed = await showConfirmDialog(
+                        '确认作废',
+                        `确定要作废批次「${campaign}」中所有未用完的兑换码吗？此操作不可撤销。`,
+                    );
+                    if (confirmed) {
+                        await revokeRedeemBatch(batch);
+                    }
+                });
+            });
+        }
+
+        loading.classList.add('hidden');
+        table.classList.remove('hidden');
+    } catch (error) {
+        console.error('Failed to load redeem batches:', error);
+        showToast('error', '加载失败', '无法加载兑换码批次');
+        loading.classList.add('hidden');
+    }
+}
+
+async function loadRedeemCodes() {
+    const loading = qs('#codesLoading');
+    const table = qs('#codesTable');
+    const tbody = qs('#codesTableBody');
+    const batchId = qs('#redeemBatchFilter').value;
+
+    try {
+        loading.classList.remove('hidden');
+        table.classList.add('hidden');
+
+        const query = batchId ? `?batch=${encodeURIComponent(batchId)}` : '';
+        const data = await getJSON(`/api/admin/redeem-codes${query}`);
+        const codes = data.codes || [];
+
+        tbody.innerHTML = '';
+
+        if (codes.length === 0) {
+            tbody.innerHTML = '<div class="table-row"><div class="table-cell" style="grid-column: 1 / -1; justify-content: center;">暂无兑换码</div></div>';
+        } else {
+            codes.forEach(code => {
+                const row = document.createElement('div');
+                row.className = 'table-row';
+
+                const canDelete = hasPermission('codes:write') && code.uses === 0;
+
+                row.innerHTML = `
+                    <div class="table-cell" data-label="兑换码">
+                        <span class="code-text">${escapeHtml(code.code)}</span>
+                    </div>
+                    <div class="table-cell" data-label="活动">${formatCampaign(code.campaign)}</div>
+                    <div class="table-cell" data-label="积分">
+                        <div>${code.points}${formatPlanGrant(code)}</div>
+                    </div>
+                    <div class="table-cell" data-label="使用次数">${code.uses} / ${code.maxUses}${code.oncePerUser === false ? '' : ' <span class="date-text">每人1次</span>'}</div>
+                    <div class="table-cell" data-label="状态">
+                        <span class="status-badge ${REDEEM_STATUS_CLASSES[code.status] || 'unused'}">
+                            ${REDEEM_STATUS_LABELS[code.status] || code.status}
+                        </span>
+                    </div>
+                    <div class="table-cell" data-label="最近使用者">${code.usedBy ? escapeHtml(code.usedBy) : '-'}</div>
+                    <div class="table-cell" data-label="过期时间">
+                        <span class="date-text">${code.expiresAt ? formatDate(code.expiresAt) : '永久'}</span>
+                    </div>
+                    <div class="table-cell" data-label="操作">
+                        ${canDelete ? `
+                            <button class="pixel-button action-btn-small danger" data-action="delete-code" data-code="${escapeHtml(code.code)}">
+                                <span class="button-content"><span class="button-text">删除</span></span>
+                            </button>
+                        ` : '-'}
+                    </div>
+                `;
+
+                tbody.appendChild(row);
+            });
+
+            // Add event listeners to delete buttons
+            tbody.querySelectorAll('[data-action="delete-code"]').forEach(btn => {
+                btn.addEventListener('click', async (e) => {
+                    const code = e.currentTarget.dataset.code;
+                    const confirmed = await showConfirmDialog(
+                        '确认删除',
+                        `确定要删除兑换码 ${code} 吗？`
+                    );
+                    if (confirmed) {
+                        await deleteRedeemCode(code);
+                    }
+                });
+            });
+        }
+
+        loading.classList.add('hidden');
+        table.classList.remove('hidden');
+    } catch (error) {
+        console.error('Failed to load redeem codes:', error);
+        showToast('error', '加载失败', '无法加载兑换码列表');
+        loading.classList.add('hidden');
+    }
+}
+
+async function createRedeemCodes() {
+    const pointsInput = qs('#redeemPoints');
+    const countInput = qs('#redeemCount');
+    const campaignInput = qs('#redeemCampaign');
+    const maxUsesInput = qs('#redeemMaxUses');
+    const oncePerUserInput = qs('#redeemOncePerUser');
+    const expireDaysInput = qs('#redeemExpireDays');
+    const planInput = qs('#redeemPlan');
+    const planDaysInput = qs('#redeemPlanDays');
+    const createBtn = qs('#createRedeemBtn');
+
+    const points = parseInt(pointsInput.value);
+    const count = parseInt(countInput.value);
+    const maxUses = parseInt(maxUsesInput.value);
+    const expireDays = expireDaysInput.value ? parseInt(expireDaysInput.value) : null;
+    const plan = planInput.value || null;
+    const planDays = planDaysInput.value ? parseInt(planDaysInput.value) : null;
+
+    // Codes that grant a plan may carry no points
+    if (isNaN(points) || points < 0 || (points === 0 && !plan)) {
+        showToast('error', '输入错误', '请输入有效的积分数量');
+        return;
+    }
+
+    if (!count || count <= 0 || count > 100) {
+        showToast('error', '输入错误', '生成数量必须在1-100之间');
+        return;
+    }
+
+    if (!maxUses || maxUses <= 0 || maxUses > 100000) {
+        showToast('error', '输入错误', '每码可用次数必须在1-100000之间');
+        return;
+    }
+
+    if (expireDays !== null && (expireDays <= 0 || expireDays > 365)) {
+        showToast('error', '输入错误', '有效期必须在1-365天之间');
+        return;
+    }
+
+    if (planDays !== null && (!plan || planDays <= 0 || planDays > 3650)) {
+        showToast('error', '输入错误', '套餐天数必须在1-3650天之间，且需选择套餐');
+        return;
+    }
+
+    try {
+        createBtn.disabled = true;
+        const payload = {
+            points,
+            count,
+            maxUses,
+            oncePerUser: oncePerUserInput.value === 'true',
+            campaign: campaignInput.value.trim(),
+        };
+        if (expireDays !== null) {
+            payload.expiresInDays = expireDays;
+        }
+        if (plan) {
+            payload.plan = plan;
+            payload.planDays = planDays;
+        }
+        const result = await postJSON('/api/admin/redeem-codes', payload);
+
+        showToast('success', '创建成功', result.message || `成功创建 ${count} 个兑换码`);
+
+        // Reset inputs
+        pointsInput.value = '10';
+        countInput.value = '1';
+        campaignInput.value = '';
+        maxUsesInput.value = '1';
+        oncePerUserInput.value = 'true';
+        expireDaysInput.value = '';
+        planInput.value = '';
+        planDaysInput.value = '';
+
+        // Show the new batch right away
+        await loadRedeemBatches();
+        if (result.batch) {
+            qs('#redeemBatchFilter').value = result.batch.id;
+        }
+        await loadRedeemCodes();
+        await loadDashboard();
+    } catch (error) {
+        showToast('error', '创建失败', error.error || '创建兑换码失败');
+    } finally {
+        createBtn.disabled = false;
+    }
+}
+
+async function deleteRedeemCode(code) {
+    try {
+        const result = await deleteJSON(`/api/admin/redeem-codes/${code}`);
+        showToast('success', '删除成功', result.message || '兑换码已删除');
+        await loadRedeemPage();
+        await loadDashboard();
+    } catch (error) {
+        showToast('error', '删除失败', error.error || '删除兑换码失败');
+    }
+}
+
+async function revokeRedeemBatch(batchId) {
+    try {
+        const result = await postJSON(`/api/admin/redeem-batches/${encodeURIComponent(batchId)}/revoke`, {});
+        showToast('success', '作废成功', result.message || '批次已作废');
+        await loadRedeemPage();
+        await loadDashboard();
+    } catch (error) {
+        showToast('error', '作废失败', error.error || '作废批次失败');
+    }
+}
+
+// ──────────────────────────────────────────────────────────────
+// INVITE CODES
+// ──────────────────────────────────────────────────────────────
+
+async function loadInviteCodes() {
+    const loading = qs('#invitesLoading');
+    const table = qs('#invitesTable');
+    const tbody = qs('#invitesTableBody');
+
+    try {
+        loading.classList.remove('hidden');
+        table.classList.add('hidden');
+
+        const data = await getJSON('/api/admin/invite-codes');
+        const codes = data.codes || [];
+
+        tbody.innerHTML = '';
+        if (codes.length === 0) {
+            tbody.innerHTML = '<div class="table-row"><div class="table-cell" style="grid-column: 1 / -1; justify-content: center;">暂无邀请码</div></div>';
+        } else {
+            codes.forEach(code => {
+                const row = document.createElement('div');
+                row.className = 'table-row';
+
+                // 检查是否过期
+                const isExpired = code.expiresAt && code.expiresAt < Date.now();
+                const statusClass = code.used ? 'used' : (isExpired ? 'disabled' : 'unused');
+                const statusText = code.used ? '已使用' : (isExpired ? '已过期' : '未使用');
+
+                row.innerHTML = `
+                    <div class="table-cell" data-label="邀请码">${escapeHtml(code.code)}${code.createdBy ? `<br><span class="referral-meta">由 ${escapeHtml(code.createdBy)} 生成</span>` : ''}${code.reservedFor ? `<br><span class="referral-meta">仅限认领 ${escapeHtml(code.reservedFor)}</span>` : ''}</div>
+                    <div class="table-cell" data-label="状态">
+                        <span class="status-badge ${statusClass}">${statusText}</span>
+                    </div>
+                    <div class="table-cell" data-label="使用者">${code.usedBy ? escapeHtml(code.usedBy) : '-'}</div>
+                    <div class="table-cell" data-label="创建时间">${formatDate(code.createdAt)}</div>
+                    <div class="table-cell" data-label="过期时间">
+                        ${code.expiresAt ? `<span class="${isExpired ? 'expired-text' : ''}">${formatDate(code.expiresAt)}</span>` : '<span style="color: #00ff00;">永久</span>'}
+                    </div>
+                    <div class="table-cell" data-label="使用时间">${code.usedAt ? formatDate(code.usedAt) : '-'}</div>
+                    <div class="table-cell" data-label="操作">
+                        ${!code.used ? `
+                            <button class="pixel-button action-btn-small danger" data-action="delete-invite" data-code="${escapeHtml(code.code)}">
+                                <span class="button-content"><span class="button-text">删除</span></span>
+                            </button>
+                        ` : '-'}
+                    </div>`;
+                tbody.appendChild(row);
+            });
+
+            tbody.querySelectorAll('[data-action="delete-invite"]').forEach(btn => {
+                btn.addEventListener('click', async (e) => {
+                    const code = e.currentTarget.dataset.code;
+                    const confirmed = await showConfirmDialog('确认删除', `确定要删除邀请码 ${code} 吗？`);
+                    if (confirmed) await deleteInviteCode(code);
+                });
+            });
+        }
+
+        loading.classList.add('hidden');
+        table.classList.remove('hidden');
+    } catch (error) {
+        console.error('Failed to load invite codes:', error);
+        showToast('error', '加载失败', '无法加载邀请码列表');
+        loading.classList.add('hidden');
+    }
+}
+
+const REFERRAL_REVIEW_LABELS = {
+    pending: ' · 奖励待审核',
+    approved: ' · 奖励已审核发放',
+    rejected: ' · 奖励已驳回',
+};
+
+function renderReferralNode(node) {
+    const item = document.createElement('li');
+    const referral = node.referral;
+    const flags = [];
+    if (referral?.sharedIp) flags.push('<span class="status-badge off">同 IP 注册</span>');
+    if (referral?.review === 'pending') {
+        flags.push('<span class="status-badge off">奖励待审核</span>');
+        flags.push(`<button class="pixel-button action-btn-small" data-action="approve-referral" data-handle="${escapeHtml(node.handle)}">发放</button>`);
+        flags.push(`<button class="pixel-button action-btn-small danger" data-action="reject-referral" data-handle="${escapeHtml(node.handle)}">驳回</button>`);
+    } else if (referral?.review === 'rejected') {
+        flags.push('<span class="status-badge off">奖励已驳回</span>');
+    } else if (referral?.qualifiedAt) {
+        flags.push(`<span class="status-badge enabled">已达标 +${referral.bonus}</span>`);
+    }
+    const details = referral
+        ? `活跃 ${referral.activeDays} 天 · ${formatDate(referral.createdAt)} 注册 · ${escapeHtml(referral.ip || '-')}`
+        : '';
+    const counts = node.invited > 0 ? `邀请 ${node.invited} 人，达标 ${node.qualified} 人` : '';
+
+    item.innerHTML = `
+        <div class="referral-node">
+            <strong>${escapeHtml(node.handle)}</strong>
+            ${flags.join(' ')}
+            <span class="referral-meta">${[details, counts].filter(Boolean).join(' · ')}</span>
+        </div>`;
+    if (node.children.length > 0) {
+        const list = document.createElement('ul');
+        node.children.forEach(child => list.appendChild(renderReferralNode(child)));
+        item.appendChild(list);
+    }
+    return item;
+}
+
+async function loadReferralTree() {
+    const loading = qs('#referralsLoading');
+    const container = qs('#referralTree');
+
+    try {
+        loading.classList.remove('hidden');
+        container.classList.add('hidden');
+
+        const { tree } = await getJSON('/api/admin/referrals');
+        container.innerHTML = '';
+        if (tree.length === 0) {
+            container.innerHTML = '<div class="referral-meta">暂无用户通过个人邀请码注册</div>';
+        } else {
+            const list = document.createElement('ul');
+            tree.forEach(node => list.appendChild(renderReferralNode(node)));
+            container.appendChild(list);
+
+            container.querySelectorAll('[data-action="approve-referral"], [data-action="reject-referral"]').forEach(btn => {
+                btn.addEventListener('click', async (e) => {
+                    const { action, handle } = e.currentTarget.dataset;
+                    const approve = action === 'approve-referral';
+                    const confirmed = await showConfirmDialog(approve ? '发放邀请奖励' : '驳回邀请奖励', `${handle} 与邀请人同 IP 注册，确定要${approve ? '发放' : '驳回'}这笔邀请奖励吗？`);
+                    if (confirmed) await reviewReferral(handle, approve);
+                });
+            });
+        }
+
+        loading.classList.add('hidden');
+        container.classList.remove('hidden');
+    } catch (error) {
+        console.error('Failed to load referral tree:', error);
+        showToast('error', '加载失败', '无法加载邀请关系');
+        loading.classList.add('hidden');
+    }
+}
+
+async function reviewReferral(handle, approve) {
+    try {
+        const result = await postJSON(`/api/admin/referrals/${encodeURIComponent(handle)}/review`, { approve });
+        showToast('success', approve ? '已发放' : '已驳回', result.message);
+        await loadReferralTree();
+    } catch (error) {
+        showToast('error', '审核失败', error.error || '审核邀请奖励失败');
+    }
+}
+
+async function createInviteCodes() {
+    const countInput = qs('#inviteCount');
+    const expireDaysInput = qs('#inviteExpireDays');
+    const btn = qs('#createInviteBtn');
+    const count = parseInt(countInput.value);
+    if (!count || count <= 0 || count > 200) {
+        showToast('error', '输入错误', '生成数量必须在1-200之间');
+        return;
+    }
+
+    // 获取过期天数，留空则为永久有效
+    const expireDays = expireDaysInput.value ? parseInt(expireDaysInput.value) : null;
+    if (expireDays !== null && (expireDays <= 0 || expireDays > 365)) {
+        showToast('error', '输入错误', '有效期必须在1-365天之间');
+        return;
+    }
+
+    try {
+        btn.disabled = true;
+        const payload = { count };
+        if (expireDays !== null) {
+            payload.expiresInDays = expireDays;
+        }
+        const result = await postJSON('/api/admin/invite-codes', payload);
+        showToast('success', '创建成功', result.message || `成功创建 ${count} 个邀请码`);
+        countInput.value = '1';
+        expireDaysInput.value = '';
+        await loadInviteCodes();
+        await loadDashboard();
+    } catch (error) {
+        showToast('error', '创建失败', error.error || '创建邀请码失败');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function deleteInviteCode(code) {
+    try {
+        const result = await deleteJSON(`/api/admin/invite-codes/${code}`);
+        showToast('success', '删除成功', result.message || '邀请码已删除');
+        await loadInviteCodes();
+        await loadDashboard();
+    } catch (error) {
+        showToast('error', '删除失败', error.error || '删除邀请码失败');
+    }
+}
+
+// ──────────────────────────────────────────────────────────────
+// TRANSACTIONS
+// ──────────────────────────────────────────────────────────────
+
+const TRANSACTION_REASONS = {
+    initial: '初始积分',
+    checkin: '每日签到',
+    redeem: '兑换码',
+    activation_fee: '开启费用',
+    daily_fee: '每日费用',
+    generation: '生成消耗',
+    purge: '数据清除',
+    restore: '数据恢复',
+    merge: '账号合并',
+    import: '数据导入',
+    referral: '邀请奖励',
+    admin_add: '管理员增加',
+    admin_subtract: '管理员扣除',
+    admin_set: '管理员设置',
+    admin_reset: '管理员重置',
+};
+
+let transactionsPage = 1;
+
+async function loadTransactions(page = 1) {
+    const handle = qs('#transactionsHandle').value.trim();
+    const loading = qs('#transactionsLoading');
+    const table = qs('#transactionsTable');
+    const tbody = qs('#transactionsTableBody');
+    const prevBtn = qs('#transactionsPrevBtn');
+    const nextBtn = qs('#transactionsNextBtn');
+    const pageInfo = qs('#transactionsPageInfo');
+
+    if (!handle) {
+        table.classList.add('hidden');
+        pageInfo.textContent = '-';
+        prevBtn.disabled = true;
+        nextBtn.disabled = true;
+        return;
+    }
+
+    try {
+        loading.classList.remove('hidden');
+        table.classList.add('hidden');
+
+        const data = await getJSON(`/api/admin/users/${encodeURIComponent(handle)}/transactions?page=${page}`);
+        const transactions = data.transactions || [];
+        transactionsPage = data.page;
+        const totalPages = Math.max(1, Math.ceil(data.total / data.pageSize));
+
+        tbody.innerHTML = '';
+        if (transactions.length === 0) {
+            tbody.innerHTML = '<div class="table-row"><div class="table-cell" style="grid-column: 1 / -1; justify-content: center;">暂无积分变动记录</div></div>';
+        } else {
+            transactions.forEach(tx => {
+                const row = document.createElement('div');
+                row.className = 'table-row';
+
+                row.innerHTML = `
+                    <div class="table-cell" data-label="时间">${formatDate(tx.createdAt)}</div>
+                    <div class="table-cell" data-label="类型">${escapeHtml(TRANSACTION_REASONS[tx.reason] || tx.reason)}</div>
+                    <div class="table-cell ${tx.delta < 0 ? 'delta-negative' : ''}" data-label="变动">${tx.delta > 0 ? '+' : ''}${tx.delta}</div>
+                    <div class="table-cell" data-label="余额">${tx.balance}</div>
+                    <div class="table-cell" data-label="操作者">${escapeHtml(tx.actor)}</div>
+                    <div class="table-cell" data-label="说明">${tx.note ? escapeHtml(tx.note) : '-'}</div>`;
+                tbody.appendChild(row);
+            });
+        }
+
+        pageInfo.textContent = `${transactionsPage} / ${totalPages}`;
+        prevBtn.disabled = transactionsPage <= 1;
+        nextBtn.disabled = transactionsPage >= totalPages;
+
+        loading.classList.add('hidden');
+        table.classList.remove('hidden');
+    } catch (error) {
+        console.error('Failed to load transactions:', error);
+        showToast('error', '加载失败', error.error || '无法加载积分流水');
+        loading.classList.add('hidden');
+    }
+}
+
+function searchTransactions() {
+    return loadTransactions(1);
+}
+
+function handleTransactionsKeypress(e) {
+    if (e.key === 'Enter') {
+        searchTransactions();
+    }
+}
+
+function loadPrevTransactions() {
+    return loadTransactions(transactionsPage - 1);
+}
+
+function loadNextTransactions() {
+    return loadTransactions(transactionsPage + 1);
+}
+
+// ──────────────────────────────────────────────────────────────
+// AUDIT LOG
+// ──────────────────────────────────────────────────────────────
+
+const AUDIT_ACTION_LABELS = {
+    'admin.login': '管理员登录',
+    'admin.login_failed': '登录失败',
+    'admin.logout': '管理员登出',
+    'admin.password_change': '修改密码',
+    'admin.2fa_enable': '开启两步验证',
+    'admin.2fa_disable': '关闭两步验证',
+    'user.points': '修改积分',
+    'user.plan': '设置用户套餐',
+    'user.limits': '设置用户限流',
+    'user.ban': '封禁用户',
+    'user.unban': '解封用户',
+    'user.data_delete': '删除用户数据',
+    'user.merge': '合并账号',
+    'user.reset_code': '生成密码重置码',
+    'user.2fa_reset': '关闭用户两步验证',
+    'user.force_logout': '强制下线',
+    'user.create': '创建用户',
+    'user.export': '导出用户',
+    'user.delete': '删除用户',
+    'user.enable': '启用用户',
+    'user.disable': '停用用户',
+    'user.promote': '设为管理员',
+    'user.demote': '取消管理员',
+    'redeem_code.create': '创建兑换码',
+    'redeem_code.delete': '删除兑换码',
+    'redeem_batch.revoke': '作废兑换码批次',
+    'invite_code.create': '创建邀请码',
+    'invite_code.delete': '删除邀请码',
+    'referral.approve': '发放邀请奖励',
+    'referral.reject': '驳回邀请奖励',
+    'config.update': '修改系统配置',
+    'pricing.update': '修改计费配置',
+    'plans.update': '修改套餐配置',
+    'retention.update': '修改数据保留设置',
+    'archive.restore': '恢复归档',
+    'archive.delete': '删除归档',
+    'key_pool.settings': '修改密钥池设置',
+    'key_pool.add': '添加池密钥',
+    'key_pool.update': '修改池密钥',
+    'key_pool.delete': '删除池密钥',
+    'operator.create': '创建管理员',
+    'operator.update': '修改管理员',
+    'operator.delete': '删除管理员',
+};
+
+let auditPage = 1;
+
+function getAuditQuery() {
+    const params = new URLSearchParams();
+    const fields = { actor: '#auditActor', action: '#auditAction', target: '#auditTarget', ip: '#auditIp', q: '#auditQuery' };
+    for (const [name, selector] of Object.entries(fields)) {
+        const value = qs(selector).value.trim();
+        if (value) params.set(name, value);
+    }
+
+    // Date inputs are interpreted in the admin's local time zone
+    const from = qs('#auditFrom').value;
+    const to = qs('#auditTo').value;
+    if (from) params.set('from', String(new Date(`${from}T00:00:00`).getTime()));
+    if (to) params.set('to', String(new Date(`${to}T23:59:59.999`).getTime()));
+
+    return params;
+}
+
+function renderAuditActionOptions(actions) {
+    const select = qs('#auditAction');
+    if (select.options.length > 1) return;
+    actions.forEach(action => {
+        const option = document.createElement('option');
+        option.value = action;
+        option.textContent = AUDIT_ACTION_LABELS[action] || action;
+        select.appendChild(option);
+    });
+}
+
+async function loadAuditLog(page = 1) {
+    const loading = qs('#auditLoading');
+    const table = qs('#auditTable');
+    const tbody = qs('#auditTableBody');
+    const prevBtn = qs('#auditPrevBtn');
+    const nextBtn = qs('#auditNextBtn');
+    const pageInfo = qs('#auditPageInfo');
+
+    try {
+        loading.classList.remove('hidden');
+        table.classList.add('hidden');
+
+        const params = getAuditQuery();
+        params.set('page', String(page));
+        const data = await getJSON(`/api/admin/audit-log?${params}`);
+        const entries = data.entries || [];
+        auditPage = data.page;
+        const totalPages = Math.max(1, Math.ceil(data.total / data.pageSize));
+
+        renderAuditActionOptions(data.actions || []);
+
+        tbody.innerHTML = '';
+        if (entries.length === 0) {
+            tbody.innerHTML = '<div class="table-row"><div class="table-cell" style="grid-column: 1 / -1; justify-content: center;">没有符合条件的记录</div></div>';
+        } else {
+            entries.forEach(entry => {
+                const row = document.createElement('div');
+                row.className = 'table-row';
+
+                row.innerHTML = `
+                    <div class="table-cell" data-label="时间">${formatDate(entry.createdAt)}</div>
+                    <div class="table-cell" data-label="操作者">${escapeHtml(entry.actor)}</div>
+                    <div class="table-cell" data-label="操作">${escapeHtml(AUDIT_ACTION_LABELS[entry.action] || entry.action)}</div>
+                    <div class="table-cell" data-label="对象">${entry.target ? escapeHtml(entry.target) : '-'}</div>
+                    <div class="table-cell" data-label="IP">${escapeHtml(entry.ip)}</div>
+                    <div class="table-cell audit-details" data-label="详情">${entry.details ? escapeHtml(JSON.stringify(entry.details)) : '-'}</div>`;
+                tbody.appendChild(row);
+            });
+        }
+
+        pageInfo.textContent = `${auditPage} / ${totalPages} (共 ${data.total} 条)`;
+        prevBtn.disabled = auditPage <= 1;
+        nextBtn.disabled = auditPage >= totalPages;
+
+        loading.classList.add('hidden');
+        table.classList.remove('hidden');
+    } catch (error) {
+        console.error('Failed to load audit log:', error);
+        showToast('error', '加载失败', error.error || '无法加载审计日志');
+        loading.classList.add('hidden');
+    }
+}
+
+function searchAuditLog() {
+    return loadAuditLog(1);
+}
+
+function handleAuditKeypress(e) {
+    if (e.key === 'Enter') {
+        searchAuditLog();
+    }
+}
+
+function loadPrevAuditLog() {
+    return loadAuditLog(auditPage - 1);
+}
+
+function loadNextAuditLog() {
+    return loadAuditLog(auditPage + 1);
+}
+
+function exportAuditLog(format) {
+    const params = getAuditQuery();
+    params.set('format', format);
+
+    const link = document.createElement('a');
+    link.href = `/api/admin/audit-log/export?${params}`;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+function exportAuditCsv() {
+    exportAuditLog('csv');
+}
+
+function exportAuditJsonl() {
+    exportAuditLog('jsonl');
+}
+
+// ──────────────────────────────────────────────────────────────
+// PRICING
+// ──────────────────────────────────────────────────────────────
+
+let pricingRules = [];
+
+async function loadPricing() {
+    try {
+        const pricing = await getJSON('/api/admin/pricing');
+
+        qs('#pricingEnabled').checked = !!pricing.enabled;
+        qs('#pricingDefaultPrompt').value = pricing.default?.prompt ?? 0;
+        qs('#pricingDefaultCompletion').value = pricing.default?.completion ?? 0;
+        qs('#pricingMinimumCharge').value = pricing.minimumCharge ?? 0;
+        qs('#pricingDefaultMaxTokens').value = pricing.defaultMaxTokens ?? 0;
+        qs('#pricingDailyFee').value = pricing.dailyFee ?? 0;
+
+        pricingRules = Array.isArray(pricing.rules) ? pricing.rules.map(rule => ({ ...rule })) : [];
+        renderPricingRules();
+    } catch (error) {
+        console.error('Failed to load pricing:', error);
+        showToast('error', '加载失败', '无法加载计费配置');
+    }
+}
+
+function renderPricingRules() {
+    const tbody = qs('#pricingRulesBody');
+    tbody.innerHTML = '';
+
+    if (pricingRules.length === 0) {
+        tbody.innerHTML = '<div class="table-row"><div class="table-cell" style="grid-column: 1 / -1; justify-content: center;">暂无规则，所有模型使用默认价格</div></div>';
+        return;
+    }
+
+    pricingRules.forEach((rule, index) => {
+        const row = document.createElement('div');
+        row.className = 'table-row';
+        row.innerHTML = `
+            <div class="table-cell" data-label="来源">
+                <input type="text" class="pixel-input" data-field="source" data-index="${index}" value="${escapeHtml(rule.source || '')}" placeholder="全部">
+            </div>
+            <div class="table-cell" data-label="模型">
+                <input type="text" class="pixel-input" data-field="model" data-index="${index}" value="${escapeHtml(rule.model || '')}" placeholder="全部">
+            </div>
+            <div class="table-cell" data-label="提示词价格">
+                <input type="number" class="pixel-input" data-field="prompt" data-index="${index}" value="${Number(rule.prompt) || 0}" min="0" step="0.01">
+            </div>
+            <div class="table-cell" data-label="回复价格">
+                <input type="number" class="pixel-input" data-field="completion" data-index="${index}" value="${Number(rule.completion) || 0}" min="0" step="0.01">
+            </div>
+            <div class="table-cell" data-label="操作">
+                <button class="pixel-button action-btn-small danger" data-action="delete-rule" data-index="${index}">
+                    <span class="button-content"><span class="button-text">删除</span></span>
+                </button>
+            </div>`;
+        tbody.appendChild(row);
+    });
+
+    tbody.querySelectorAll('input[data-field]').forEach(input => {
+        input.addEventListener('change', (e) => {
+            const { field, index } = e.currentTarget.dataset;
+            const value = e.currentTarget.value;
+            pricingRules[index][field] = (field === 'prompt' || field === 'completion') ? Number(value) || 0 : value.trim();
+        });
+    });
+
+    tbody.querySelectorAll('[data-action="delete-rule"]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            pricingRules.splice(Number(e.currentTarget.dataset.index), 1);
+            renderPricingRules();
+        });
+    });
+}
+
+function addPriceRule() {
+    pricingRules.push({ source: '', model: '', prompt: 0, completion: 0 });
+    renderPricingRules();
+}
+
+async function savePricing() {
+    const btn = qs('#savePricingBtn');
+    const payload = {
+        enabled: qs('#pricingEnabled').checked,
+        dailyFee: Number(qs('#pricingDailyFee').value) || 0,
+        minimumCharge: Number(qs('#pricingMinimumCharge').value) || 0,
+        defaultMaxTokens: parseInt(qs('#pricingDefaultMaxTokens').value) || 0,
+        default: {
+            prompt: Number(qs('#pricingDefaultPrompt').value) || 0,
+            completion: Number(qs('#pricingDefaultCompletion').value) || 0,
+        },
+        rules: pricingRules,
+    };
+
+    try {
+        btn.disabled = true;
+        const result = await postJSON('/api/admin/pricing', payload);
+        showToast('success', '保存成功', result.message || '计费配置已保存');
+        await loadPricing();
+    } catch (error) {
+        showToast('error', '保存失败', error.error || '保存计费配置失败');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+// ──────────────────────────────────────────────────────────────
+// PLANS
+// ──────────────────────────────────────────────────────────────
+
+const PLAN_FEATURE_LABELS = {
+    imageGeneration: '图片生成',
+    tts: '语音合成',
+    vectors: '向量存储',
+};
+
+let plansConfig = { defaultPlan: '', plans: [] };
+let planDrafts = [];
+
+async function loadPlanOptions() {
+    if (!['config:read', 'codes:write', 'users:plan'].some(hasPermission)) {
+        return plansConfig.plans;
+    }
+
+    try {
+        plansConfig = await getJSON('/api/admin/plans');
+    } catch (error) {
+        console.error('Failed to load plans:', error);
+    }
+    return plansConfig.plans;
+}
+
+function getPlanName(id) {
+    return plansConfig.plans.find(plan => plan.id === id)?.name || id;
+}
+
+function formatPlanGrant(item) {
+    if (!item.plan) return '';
+    return `<div class="date-text">+ ${escapeHtml(getPlanName(item.plan))}${item.planDays ? ` ${item.planDays}天` : ''}</div>`;
+}
+
+function fillPlanSelect(select, emptyLabel) {
+    const selected = select.value;
+    select.innerHTML = `<option value="">${emptyLabel}</option>`;
+    plansConfig.plans.forEach(plan => {
+        const option = document.createElement('option');
+        option.value = plan.id;
+        option.textContent = plan.name;
+        select.appendChild(option);
+    });
+    select.value = plansConfig.plans.some(plan => plan.id === selected) ? selected : '';
+}
+
+async function loadPlans() {
+    await loadPlanOptions();
+    planDrafts = plansConfig.plans.map(plan => structuredClone(plan));
+    renderPlans(plansConfig.defaultPlan);
+}
+
+function renderPlans(defaultPlan) {
+    const list = qs('#plansList');
+    list.innerHTML = '';
+
+    planDrafts.forEach((plan, index) => {
+        const item = document.createElement('div');
+        item.className = 'plan-editor';
+        item.innerHTML = `
+            <div class="input-grid">
+                <div class="input-group">
+                    <label class="input-label"><span class="label-icon">▸</span><span>标识</span></label>
+                    <input type="text" class="pixel-input" data-field="id" data-index="${index}" value="${escapeHtml(plan.id || '')}" maxlength="32" placeholder="如 pro">
+                </div>
+                <div class="input-group">
+                    <label class="input-label"><span class="label-icon">▸</span><span>名称</span></label>
+                    <input type="text" class="pixel-input" data-field="name" data-index="${index}" value="${escapeHtml(plan.name || '')}" maxlength="30" placeholder="如 专业版">
+                </div>
+                <div class="input-group">
+                    <label class="input-label"><span class="label-icon">▸</span><span>每日费用</span></label>
+                    <input type="number" class="pixel-input" data-field="dailyFee" data-index="${index}" value="${plan.dailyFee ?? ''}" min="0" step="0.01" placeholder="留空=使用计费设置">
+                </div>
+                <div class="input-group">
+                    <label class="input-label"><span class="label-icon">▸</span><span>签到奖励</span></label>
+                    <input type="number" class="pixel-input" data-field="checkinReward" data-index="${index}" value="${Number(plan.checkinReward) || 0}" min="0" step="0.01">
+                </div>
+                <div class="input-group">
+                    <label class="input-label"><span class="label-icon">▸</span><span>每分钟请求数</span></label>
+                    <input type="number" class="pixel-input" data-field="requestsPerMinute" data-index="${index}" value="${plan.requestsPerMinute ?? ''}" min="0" step="1" placeholder="留空=全局默认，0=不限">
+                </div>
+                <div class="input-group">
+                    <label class="input-label"><span class="label-icon">▸</span><span>并发生成上限</span></label>
+                    <input type="number" class="pixel-input" data-field="maxConcurrentGenerations" data-index="${index}" value="${plan.maxConcurrentGenerations ?? ''}" min="0" step="1" placeholder="留空=全局默认，0=不限">
+                </div>
+                <div class="input-group">
+                    <label class="input-label"><span class="label-icon">▸</span><span>存储配额（MB）</span></label>
+                    <input type="number" class="pixel-input" data-field="storageQuotaMb" data-index="${index}" value="${plan.storageQuotaMb ?? ''}" min="0" step="1" placeholder="留空=全局默认，0=不限">
+                </div>
+                <div class="input-group">
+                    <label class="input-label"><span class="label-icon">▸</span><span>个人邀请码数量</span></label>
+                    <input type="number" class="pixel-input" data-field="referralCodes" data-index="${index}" value="${plan.referralCodes ?? ''}" min="0" step="1" placeholder="留空=全局默认，0=不能生成">
+                </div>
+                <div class="input-group">
+                    <label class="input-label"><span class="label-icon">▸</span><span>允许的来源</span></label>
+                    <input type="text" class="pixel-input" data-field="allowedSources" data-index="${index}" value="${escapeHtml((plan.allowedSources || []).join(', '))}" placeholder="全部">
+                </div>
+                <div class="input-group">
+                    <label class="input-label"><span class="label-icon">▸</span><span>允许的模型</span></label>
+                    <input type="text" class="pixel-input" data-field="allowedModels" data-index="${index}" value="${escapeHtml((plan.allowedModels || []).join(', '))}" placeholder="全部">
+                </div>
+            </div>
+            <div class="action-buttons plan-features">
+                ${Object.entries(PLAN_FEATURE_LABELS).map(([feature, label]) => `
+                <label class="plan-feature">
+                    <input type="checkbox" data-feature="${feature}" data-index="${index}" ${plan.features?.[feature] !== false ? 'checked' : ''}>
+                    <span>${label}</span>
+                </label>`).join('')}
+                <button class="pixel-button action-btn-small danger" data-action="delete-plan" data-index="${index}">
+                    <span class="button-content"><span class="button-text">删除套餐</span></span>
+                </button>
+            </div>`;
+        list.appendChild(item);
+    });
+
+    renderDefaultPlanSelect(defaultPlan);
+
+    list.querySelectorAll('input[data-field]').forEach(input => {
+        input.addEventListener('change', (e) => {
+            const { field, index } = e.currentTarget.dataset;
+            const value = e.currentTarget.value;
+            const plan = planDrafts[index];
+
+            if (field === 'dailyFee') {
+                plan.dailyFee = value === '' ? null : Number(value) || 0;
+            } else if (field === 'checkinReward') {
+                plan.checkinReward = Number(value) || 0;
+            } else if (field === 'requestsPerMinute' || field === 'maxConcurrentGenerations' || field === 'storageQuotaMb' || field === 'referralCodes') {
+                plan[field] = value === '' ? null : parseInt(value) || 0;
+            } else if (field === 'allowedSources' || field === 'allowedModels') {
+                plan[field] = value.split(',').map(x => x.trim()).filter(Boolean);
+            } else {
+                plan[field] = value.trim();
+            }
+
+            if (field === 'id' || field === 'name') {
+                renderDefaultPlanSelect(qs('#plansDefault').value);
+            }
+        });
+    });
+
+    list.querySelectorAll('input[data-feature]').forEach(input => {
+        input.addEventListener('change', (e) => {
+            const { feature, index } = e.currentTarget.dataset;
+            planDrafts[index].features = { ...planDrafts[index].features, [feature]: e.currentTarget.checked };
+        });
+    });
+
+    list.querySelectorAll('[data-action="delete-plan"]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            planDrafts.splice(Number(e.currentTarget.dataset.index), 1);
+            renderPlans(qs('#plansDefault').value);
+        });
+    });
+}
+
+function renderDefaultPlanSelect(selected) {
+    const select = qs('#plansDefault');
+    select.innerHTML = '';
+    planDrafts.filter(plan => plan.id).forEach(plan => {
+        const option = document.createElement('option');
+        option.value = plan.id;
+        option.textContent = plan.name || plan.id;
+        select.appendChild(option);
+    });
+    if (planDrafts.some(plan => plan.id === selected)) {
+        select.value = selected;
+    }
+}
+
+function addPlan() {
+    planDrafts.push({
+        id: '',
+        name: '',
+        dailyFee: null,
+        checkinReward: 5,
+        requestsPerMinute: null,
+        maxConcurrentGenerations: null,
+        storageQuotaMb: null,
+        referralCodes: null,
+        allowedSources: [],
+        allowedModels: [],
+        features: Object.fromEntries(Object.keys(PLAN_FEATURE_LABELS).map(feature => [feature, true])),
+    });
+    renderPlans(qs('#plansDefault').value);
+}
+
+async function savePlans() {
+    const btn = qs('#savePlansBtn');
+    const payload = {
+        defaultPlan: qs('#plansDefault').value,
+        plans: planDrafts,
+    };
+
+    try {
+        btn.disabled = true;
+        const result = await postJSON('/api/admin/plans', payload);
+        showToast('success', '保存成功', result.message || '套餐配置已保存');
+        await loadPlans();
+    } catch (error) {
+        showToast('error', '保存失败', error.error || '保存套餐配置失败');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+// ──────────────────────────────────────────────────────────────
+// ARCHIVES
+// ──────────────────────────────────────────────────────────────
+
+function formatSize(bytes) {
+    if (!bytes) return '-';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const index = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${(bytes / Math.pow(1024, index)).toFixed(index === 0 ? 0 : 1)} ${units[index]}`;
+}
+
+async function loadArchivesPage() {
+    if (hasPermission('config:write')) {
+        try {
+            const settings = await getJSON('/api/admin/retention');
+            qs('#retentionPurgeDays').value = settings.purgeAfterDays;
+            qs('#retentionGraceDays').value = settings.archiveGraceDays;
+        } catch (error) {
+            console.error('Failed to load retention settings:', error);
+        }
+    }
+
+    await loadArchives();
+}
+
+async function loadArchives() {
+    const loading = qs('#archivesLoading');
+    const table = qs('#archivesTable');
+    const tbody = qs('#archivesTableBody');
+
+    try {
+        loading.classList.remove('hidden');
+        table.classList.add('hidden');
+
+        const data = await getJSON('/api/admin/archives');
+        const archives = data.archives || [];
+
+        tbody.innerHTML = '';
+        if (archives.length === 0) {
+            tbody.innerHTML = '<div class="table-row"><div class="table-cell" style="grid-column: 1 / -1; justify-content: center;">暂无归档</div></div>';
+        }
+
+        archives.forEach(archive => {
+            const row = document.createElement('div');
+            row.className = 'table-row';
+            row.innerHTML = `
+                <div class="table-cell" data-label="用户">
+                    <div class="user-info">
+                        <div class="user-name">${escapeHtml(archive.name)}</div>
+                        <div class="user-handle">@${escapeHtml(archive.handle)}</div>
+                    </div>
+                </div>
+                <div class="table-cell" data-label="大小">${formatSize(archive.size)}</div>
+                <div class="table-cell" data-label="积分">${archive.points}</div>
+                <div class="table-cell" data-label="归档时间">${formatDate(archive.createdAt)}</div>
+                <div class="table-cell" data-label="到期时间">${formatDate(archive.expiresAt)}</div>
+                <div class="table-cell" data-label="操作">
+                    <div class="action-buttons">
+                        <button class="pixel-button action-btn-small" data-action="restore-archive" data-id="${archive.id}" data-handle="${escapeHtml(archive.handle)}">
+                            <span class="button-content"><span class="button-text">恢复</span></span>
+                        </button>
+                        <button class="pixel-button action-btn-small danger" data-action="delete-archive" data-id="${archive.id}" data-handle="${escapeHtml(archive.handle)}">
+                            <span class="button-content"><span class="button-text">删除</span></span>
+                        </button>
+                    </div>
+                </div>`;
+            tbody.appendChild(row);
+        });
+
+        tbody.querySelectorAll('[data-action="restore-archive"]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const { id, handle } = e.currentTarget.dataset;
+                const confirmed = await showConfirmDialog('确认恢复', `确定要恢复用户 ${handle} 的账号和数据吗？恢复后访问开关保持关闭，清除期限重新计算。`);
+                if (confirmed) await restoreArchive(id);
+            });
+        });
+
+        tbody.querySelectorAll('[data-action="delete-archive"]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const { id, handle } = e.currentTarget.dataset;
+                const confirmed = await showConfirmDialog('确认删除', `确定要永久删除用户 ${handle} 的归档吗？删除后无法恢复。`);
+                if (confirmed) await deleteArchive(id);
+            });
+        });
+
+        loading.classList.add('hidden');
+        table.classList.remove('hidden');
+    } catch (error) {
+        console.error('Failed to load archives:', error);
+        showToast('error', '加载失败', error.error || '无法加载归档列表');
+        loading.classList.add('hidden');
+    }
+}
+
+async function saveRetentionSettings() {
+    const btn = qs('#saveRetentionBtn');
+
+    try {
+        btn.disabled = true;
+        const result = await postJSON('/api/admin/retention', {
+            purgeAfterDays: parseInt(qs('#retentionPurgeDays').value),
+            archiveGraceDays: parseInt(qs('#retentionGraceDays').value),
+        });
+        showToast('success', '保存成功', result.message || '数据保留设置已保存');
+    } catch (error) {
+        showToast('error', '保存失败', error.error || '更新数据保留设置失败');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function restoreArchive(id) {
+    try {
+        const result = await postJSON(`/api/admin/archives/${encodeURIComponent(id)}/restore`, {});
+        showToast('success', '恢复成功', result.message || '用户数据已恢复');
+        await loadArchives();
+    } catch (error) {
+        showToast('error', '恢复失败', error.error || '恢复归档失败');
+    }
+}
+
+async function deleteArchive(id) {
+    try {
+        const result = await deleteJSON(`/api/admin/archives/${encodeURIComponent(id)}`);
+        showToast('success', '删除成功', result.message || '归档已删除');
+        await loadArchives();
+    } catch (error) {
+        showToast('error', '删除失败', error.error || '删除归档失败');
+    }
+}
+
+// ──────────────────────────────────────────────────────────────
+// KEY POOL
+// ──────────────────────────────────────────────────────────────
+
+const KEY_STATUS_LABELS = {
+    active: '轮换中',
+    cooling: '冷却中',
+    disabled: '已停用',
+};
+
+const KEY_DISABLED_REASON_LABELS = {
+    unauthorized: '上游返回 401',
+    rate_limited: '上游返回 429',
+    manual: '手动停用',
+};
+
+function formatKeyStatus(key) {
+    const badge = `<span class="status-badge ${key.status === 'active' ? 'enabled' : 'disabled'}">${KEY_STATUS_LABELS[key.status] || key.status}</span>`;
+    if (key.status === 'cooling') {
+        return `${badge}<div class="date-text">至 ${formatDate(key.disabledUntil)}</div>`;
+    }
+    if (key.status === 'disabled' && key.disabledReason) {
+        return `${badge}<div class="date-text">${KEY_DISABLED_REASON_LABELS[key.disabledReason] || escapeHtml(key.disabledReason)}</div>`;
+    }
+    return badge;
+}
+
+async function loadKeyPool() {
+    const loading = qs('#keyPoolLoading');
+    const table = qs('#keyPoolTable');
+    const tbody = qs('#keyPoolTableBody');
+
+    try {
+        loading.classList.remove('hidden');
+        table.classList.add('hidden');
+
+        const data = await getJSON('/api/admin/key-pool');
+        const keys = data.keys || [];
+
+        qs('#keyPoolStrategy').value = data.strategy;
+        qs('#keyPoolCooldown').value = data.cooldownMinutes;
+
+        const sourceSelect = qs('#keyPoolSource');
+        const selected = sourceSelect.value;
+        sourceSelect.innerHTML = data.sources.map(source => `<option value="${escapeHtml(source)}">${escapeHtml(source)}</option>`).join('');
+        if (data.sources.includes(selected)) {
+            sourceSelect.value = selected;
+        }
+
+        tbody.innerHTML = '';
+        if (keys.length === 0) {
+            tbody.innerHTML = '<div class="table-row"><div class="table-cell" style="grid-column: 1 / -1; justify-content: center;">密钥池为空</div></div>';
+        }
+
+        keys.forEach(key => {
+            const row = document.createElement('div');
+            row.className = 'table-row';
+            row.innerHTML = `
+                <div class="table-cell" data-label="来源 / 备注">
+                    <div>${escapeHtml(key.source)}</div>
+                    <div class="date-text">${escapeHtml(key.label)}</div>
+                </div>
+                <div class="table-cell code-text" data-label="密钥">${escapeHtml(key.maskedValue)}</div>
+                <div class="table-cell" data-label="状态">${formatKeyStatus(key)}</div>
+                <div class="table-cell" data-label="请求 / 失败">
+                    ${key.requests} / ${key.failures}
+                    ${key.lastStatus ? `<div class="date-text">最近状态 ${key.lastStatus}</div>` : ''}
+                </div>
+                <div class="table-cell" data-label="最近使用">${key.lastUsedAt ? formatDate(key.lastUsedAt) : '-'}</div>
+                <div class="table-cell" data-label="操作">
+                    <div class="action-buttons">
+                        <button class="pixel-button action-btn-small" data-action="toggle-key" data-id="${key.id}" data-enable="${key.status !== 'active'}">
+                            <span class="button-content"><span class="button-text">${key.status !== 'active' ? '启用' : '停用'}</span></span>
+                        </button>
+                        <button class="pixel-button action-btn-small" data-action="reset-key" data-id="${key.id}">
+                            <span class="button-content"><span class="button-text">清零用量</span></span>
+                        </button>
+                        <button class="pixel-button action-btn-small danger" data-action="delete-key" data-id="${key.id}">
+                            <span class="button-content"><span class="button-text">删除</span></span>
+                        </button>
+                    </div>
+                </div>`;
+            tbody.appendChild(row);
+        });
+
+        tbody.querySelectorAll('[data-action="toggle-key"]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const { id, enable } = e.currentTarget.dataset;
+                await updatePoolKey(id, { enabled: enable === 'true' });
+            });
+        });
+
+        tbody.querySelectorAll('[data-action="reset-key"]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                await updatePoolKey(e.currentTarget.dataset.id, { resetUsage: true });
+            });
+        });
+
+        tbody.querySelectorAll('[data-action="delete-key"]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const id = e.currentTarget.dataset.id;
+                const key = keys.find(k => k.id === id);
+                const confirmed = await showConfirmDialog('确认删除', `确定要从密钥池中删除 ${key.source} 密钥「${key.label}」吗？`);
+                if (confirmed) await deletePoolKey(id);
+            });
+        });
+
+        loading.classList.add('hidden');
+        table.classList.remove('hidden');
+    } catch (error) {
+        console.error('Failed to load key pool:', error);
+        showToast('error', '加载失败', error.error || '无法加载密钥池');
+        loading.classList.add('hidden');
+    }
+}
+
+async function saveKeyPoolSettings() {
+    const btn = qs('#saveKeyPoolSettingsBtn');
+
+    try {
+        btn.disabled = true;
+        const result = await postJSON('/api/admin/key-pool/settings', {
+            strategy: qs('#keyPoolStrategy').value,
+            cooldownMinutes: parseInt(qs('#keyPoolCooldown').value),
+        });
+        showToast('success', '保存成功', result.message || '密钥池设置已保存');
+    } catch (error) {
+        showToast('error', '保存失败', error.error || '更新密钥池设置失败');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function addPoolKey() {
+    const labelInput = qs('#keyPoolLabel');
+    const valueInput = qs('#keyPoolValue');
+    const btn = qs('#addPoolKeyBtn');
+
+    try {
+        btn.disabled = true;
+        const result = await postJSON('/api/admin/key-pool/keys', {
+            source: qs('#keyPoolSource').value,
+            label: labelInput.value.trim(),
+            value: valueInput.value.trim(),
+        });
+        showToast('success', '添加成功', result.message || '密钥已添加');
+        labelInput.value = '';
+        valueInput.value = '';
+        await loadKeyPool();
+    } catch (error) {
+        showToast('error', '添加失败', error.error || '添加密钥失败');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function updatePoolKey(id, changes) {
+    try {
+        const result = await postJSON(`/api/admin/key-pool/keys/${encodeURIComponent(id)}`, changes);
+        showToast('success', '保存成功', result.message || '密钥已更新');
+        await loadKeyPool();
+    } catch (error) {
+        showToast('error', '保存失败', error.error || '更新密钥失败');
+    }
+}
+
+async function deletePoolKey(id) {
+    try {
+        const result = await deleteJSON(`/api/admin/key-pool/keys/${encodeURIComponent(id)}`);
+        showToast('success', '删除成功', result.message || '密钥已删除');
+        await loadKeyPool();
+    } catch (error) {
+        showToast('error', '删除失败', error.error || '删除密钥失败');
     }
 }
 
 // ──────────────────────────────────────────────────────────────
-// INVITE CODES
+// OPERATORS
 // ──────────────────────────────────────────────────────────────
 
-async function loadInviteCodes() {
-    const loading = qs('#invitesLoading');
-    const table = qs('#invitesTable');
-    const tbody = qs('#invitesTableBody');
+async function loadOperators() {
+    const loading = qs('#operatorsLoading');
+    const table = qs('#operatorsTable');
+    const tbody = qs('#operatorsTableBody');
 
     try {
         loading.classList.remove('hidden');
         table.classList.add('hidden');
 
-        const data = await getJSON('/api/admin/invite-codes');
-        const codes = data.codes || [];
+        const data = await getJSON('/api/admin/operators');
+        const operators = data.operators || [];
 
         tbody.innerHTML = '';
-        if (codes.length === 0) {
-            tbody.innerHTML = '<div class="table-row"><div class="table-cell" style="grid-column: 1 / -1; justify-content: center;">暂无邀请码</div></div>';
-        } else {
-            codes.forEach(code => {
-                const row = document.createElement('div');
-                row.className = 'table-row';
-
-                // 检查是否过期
-                const isExpired = code.expiresAt && code.expiresAt < Date.now();
-                const statusClass = code.used ? 'used' : (isExpired ? 'disabled' : 'unused');
-                const statusText = code.used ? '已使用' : (isExpired ? '已过期' : '未使用');
-
-                row.innerHTML = `
-                    <div class="table-cell" data-label="邀请码">${escapeHtml(code.code)}</div>
-                    <div class="table-cell" data-label="状态">
-                        <span class="status-badge ${statusClass}">${statusText}</span>
-                    </div>
-                    <div class="table-cell" data-label="使用者">${code.usedBy ? escapeHtml(code.usedBy) : '-'}</div>
-                    <div class="table-cell" data-label="创建时间">${formatDate(code.createdAt)}</div>
-                    <div class="table-cell" data-label="过期时间">
-                        ${code.expiresAt ? `<span class="${isExpired ? 'expired-text' : ''}">${formatDate(code.expiresAt)}</span>` : '<span style="color: #00ff00;">永久</span>'}
+        operators.forEach(operator => {
+            const row = document.createElement('div');
+            row.className = 'table-row';
+            const isSelf = adminSession?.source === 'operator' && adminSession.username === operator.username;
+
+            row.innerHTML = `
+                <div class="table-cell" data-label="用户名">${escapeHtml(operator.username)}${isSelf ? '（我）' : ''}</div>
+                <div class="table-cell" data-label="角色">${ROLE_LABELS[operator.role] || escapeHtml(operator.role)}</div>
+                <div class="table-cell" data-label="状态">
+                    <span class="status-badge ${operator.enabled !== false ? 'enabled' : 'disabled'}">${operator.enabled !== false ? '启用' : '停用'}</span>
+                    ${operator.twoFactorEnabled ? '<span class="status-badge on">2FA</span>' : ''}
+                </div>
+                <div class="table-cell" data-label="最近登录">${operator.lastLoginAt ? formatDate(operator.lastLoginAt) : '-'}</div>
+                <div class="table-cell" data-label="操作">
+                    <div class="action-buttons">
+                        <button class="pixel-button action-btn-small" data-action="edit-operator" data-username="${escapeHtml(operator.username)}">
+                            <span class="button-content"><span class="button-text">编辑</span></span>
+                        </button>
+                        ${!isSelf ? `
+                        <button class="pixel-button action-btn-small danger" data-action="delete-operator" data-username="${escapeHtml(operator.username)}">
+                            <span class="button-content"><span class="button-text">删除</span></span>
+                        </button>` : ''}
                     </div>
-                    <div class="table-cell" data-label="使用时间">${code.usedAt ? formatDate(code.usedAt) : '-'}</div>
-                    <div class="table-cell" data-label="操作">
-                        ${!code.used ? `
-                            <button class="pixel-button action-btn-small danger" data-action="delete-invite" data-code="${escapeHtml(code.code)}">
-                                <span class="button-content"><span class="button-text">删除</span></span>
-                            </button>
-                        ` : '-'}
-                    </div>`;
-                tbody.appendChild(row);
+                </div>`;
+            tbody.appendChild(row);
+        });
+
+        tbody.querySelectorAll('[data-action="edit-operator"]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const username = e.currentTarget.dataset.username;
+                const operator = operators.find(o => o.username === username);
+                const changes = await showOperatorDialog(operator);
+                if (changes) await updateOperator(username, changes);
             });
+        });
 
-            tbody.querySelectorAll('[data-action="delete-invite"]').forEach(btn => {
-                btn.addEventListener('click', async (e) => {
-                    const code = e.currentTarget.dataset.code;
-                    const confirmed = await showConfirmDialog('确认删除', `确定要删除邀请码 ${code} 吗？`);
-                    if (confirmed) await deleteInviteCode(code);
-                });
+        tbody.querySelectorAll('[data-action="delete-operator"]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const username = e.currentTarget.dataset.username;
+                const confirmed = await showConfirmDialog('确认删除', `确定要删除管理员账号 ${username} 吗？`);
+                if (confirmed) await deleteOperator(username);
             });
-        }
+        });
 
         loading.classList.add('hidden');
         table.classList.remove('hidden');
     } catch (error) {
-        console.error('Failed to load invite codes:', error);
-        showToast('error', '加载失败', '无法加载邀请码列表');
+        console.error('Failed to load operators:', error);
+        showToast('error', '加载失败', error.error || '无法加载管理员列表');
         loading.classList.add('hidden');
     }
 }
 
-async function createInviteCodes() {
-    const countInput = qs('#inviteCount');
-    const expireDaysInput = qs('#inviteExpireDays');
-    const btn = qs('#createInviteBtn');
-    const count = parseInt(countInput.value);
-    if (!count || count <= 0 || count > 200) {
-        showToast('error', '输入错误', '生成数量必须在1-200之间');
+function showOperatorDialog(operator) {
+    return new Promise((resolve) => {
+        const dialog = qs('#operatorDialog');
+        const roleSelect = qs('#operatorEditRole');
+        const enabledSelect = qs('#operatorEditEnabled');
+        const passwordInput = qs('#operatorEditPassword');
+        const resetTwoFactorSelect = qs('#operatorEditResetTwoFactor');
+        const confirmBtn = qs('#operatorConfirm');
+        const cancelBtn = qs('#operatorCancel');
+
+        qs('#operatorDialogTitle').textContent = `编辑管理员 ${operator.username}`;
+        roleSelect.value = operator.role;
+        enabledSelect.value = String(operator.enabled !== false);
+        passwordInput.value = '';
+        resetTwoFactorSelect.value = 'false';
+        qs('#operatorEditTwoFactorGroup').classList.toggle('hidden', !operator.twoFactorEnabled);
+        dialog.classList.remove('hidden');
+
+        const cleanup = () => {
+            dialog.classList.add('hidden');
+            passwordInput.value = '';
+            confirmBtn.removeEventListener('click', onConfirm);
+            cancelBtn.removeEventListener('click', onCancel);
+        };
+
+        const onConfirm = () => {
+            const changes = {
+                role: roleSelect.value,
+                enabled: enabledSelect.value === 'true',
+            };
+            if (passwordInput.value) {
+                changes.password = passwordInput.value;
+            }
+            if (resetTwoFactorSelect.value === 'true') {
+                changes.resetTwoFactor = true;
+            }
+            cleanup();
+            resolve(changes);
+        };
+
+        const onCancel = () => {
+            cleanup();
+            resolve(null);
+        };
+
+        confirmBtn.addEventListener('click', onConfirm);
+        cancelBtn.addEventListener('click', onCancel);
+    });
+}
+
+async function createOperator() {
+    const usernameInput = qs('#operatorUsername');
+    const passwordInput = qs('#operatorPassword');
+    const roleSelect = qs('#operatorRole');
+    const btn = qs('#createOperatorBtn');
+
+    try {
+        btn.disabled = true;
+        const result = await postJSON('/api/admin/operators', {
+            username: usernameInput.value.trim(),
+            password: passwordInput.value,
+            role: roleSelect.value,
+        });
+        showToast('success', '创建成功', result.message || '管理员账号已创建');
+        usernameInput.value = '';
+        passwordInput.value = '';
+        await loadOperators();
+    } catch (error) {
+        showToast('error', '创建失败', error.error || '创建管理员账号失败');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function updateOperator(username, changes) {
+    try {
+        const result = await postJSON(`/api/admin/operators/${encodeURIComponent(username)}`, changes);
+        showToast('success', '保存成功', result.message || '管理员账号已更新');
+        await loadOperators();
+    } catch (error) {
+        showToast('error', '保存失败', error.error || '更新管理员账号失败');
+    }
+}
+
+async function deleteOperator(username) {
+    try {
+        const result = await deleteJSON(`/api/admin/operators/${encodeURIComponent(username)}`);
+        showToast('success', '删除成功', result.message || '管理员账号已删除');
+        await loadOperators();
+    } catch (error) {
+        showToast('error', '删除失败', error.error || '删除管理员账号失败');
+    }
+}
+
+// ──────────────────────────────────────────────────────────────
+// MY ACCOUNT
+// ──────────────────────────────────────────────────────────────
+
+function loadAccountPage() {
+    const isOperator = adminSession?.source === 'operator';
+    qs('#accountPasswordHint').textContent = isOperator
+        ? `当前账号：${adminSession.username}（${ROLE_LABELS[adminSession.role] || adminSession.role}）`
+        : '你正在使用酒馆管理员账号访问后台，请在酒馆账号设置中修改密码。';
+    qs('#changeAdminPasswordBtn').disabled = !isOperator;
+    loadTwoFactorStatus();
+}
+
+let twoFactorStatus = null;
+
+async function loadTwoFactorStatus() {
+    const status = qs('#accountTwoFactorStatus');
+    const btn = qs('#accountTwoFactorBtn');
+    const recoveryBtn = qs('#accountRecoveryCodesBtn');
+    qs('#accountTwoFactorSetup').classList.add('hidden');
+    qs('#accountTwoFactorCode').value = '';
+
+    try {
+        twoFactorStatus = await getJSON('/api/admin/2fa');
+    } catch (error) {
+        status.textContent = error.error || '获取两步验证状态失败';
         return;
     }
 
-    // 获取过期天数，留空则为永久有效
-    const expireDays = expireDaysInput.value ? parseInt(expireDaysInput.value) : null;
-    if (expireDays !== null && (expireDays <= 0 || expireDays > 365)) {
-        showToast('error', '输入错误', '有效期必须在1-365天之间');
+    if (!twoFactorStatus.available) {
+        status.textContent = '你正在使用酒馆管理员账号访问后台，请在酒馆主页的账户安全中开启两步验证。';
+        btn.disabled = true;
+        recoveryBtn.classList.add('hidden');
         return;
     }
 
+    btn.disabled = twoFactorStatus.enabled && twoFactorStatus.required;
+    btn.querySelector('.button-text').textContent = twoFactorStatus.enabled ? '关闭两步验证' : '开启两步验证';
+    recoveryBtn.classList.toggle('hidden', !twoFactorStatus.enabled);
+    status.textContent = twoFactorStatus.enabled
+        ? `已开启，剩余恢复码 ${twoFactorStatus.recoveryCodesLeft} 个。关闭或重新生成恢复码需要输入验证码。${twoFactorStatus.required ? '系统要求管理员开启两步验证，不能关闭。' : ''}`
+        : '未开启。开启后登录时除密码外还需要输入验证器 App 中的验证码。';
+}
+
+async function handleTwoFactorToggle() {
+    const code = qs('#accountTwoFactorCode').value.trim();
+    const setup = qs('#accountTwoFactorSetup');
+    const btn = qs('#accountTwoFactorBtn');
+
     try {
         btn.disabled = true;
-        const payload = { count };
-        if (expireDays !== null) {
-            payload.expiresInDays = expireDays;
+        if (twoFactorStatus.enabled) {
+            const result = await postJSON('/api/admin/2fa/disable', { code });
+            showToast('success', '已关闭', result.message || '两步验证已关闭');
+        } else if (setup.classList.contains('hidden')) {
+            const { secret, uri } = await postJSON('/api/admin/2fa/setup', {});
+            renderTotpQr(qs('#accountTwoFactorQr'), uri);
+            qs('#accountTwoFactorSecret').textContent = secret;
+            setup.classList.remove('hidden');
+            btn.querySelector('.button-text').textContent = '确认开启';
+            return;
+        } else {
+            const result = await postJSON('/api/admin/2fa/enable', { code });
+            await showRecoveryCodes(result.recoveryCodes);
+            showToast('success', '已开启', result.message || '两步验证已开启');
         }
-        const result = await postJSON('/api/admin/invite-codes', payload);
-        showToast('success', '创建成功', result.message || `成功创建 ${count} 个邀请码`);
-        countInput.value = '1';
-        expireDaysInput.value = '';
-        await loadInviteCodes();
-        await loadDashboard();
+        await loadTwoFactorStatus();
     } catch (error) {
-        showToast('error', '创建失败', error.error || '创建邀请码失败');
+        showToast('error', '操作失败', error.error || '操作失败');
     } finally {
         btn.disabled = false;
     }
 }
 
-async function deleteInviteCode(code) {
+async function regenerateRecoveryCodes() {
     try {
-        const result = await deleteJSON(`/api/admin/invite-codes/${code}`);
-        showToast('success', '删除成功', result.message || '邀请码已删除');
-        await loadInviteCodes();
-        await loadDashboard();
+        const result = await postJSON('/api/admin/2fa/recovery-codes', { code: qs('#accountTwoFactorCode').value.trim() });
+        await showRecoveryCodes(result.recoveryCodes);
+        await loadTwoFactorStatus();
     } catch (error) {
-        showToast('error', '删除失败', error.error || '删除邀请码失败');
+        showToast('error', '操作失败', error.error || '生成恢复码失败');
+    }
+}
+
+async function changeAdminPassword() {
+    const currentInput = qs('#accountCurrentPassword');
+    const newInput = qs('#accountNewPassword');
+    const btn = qs('#changeAdminPasswordBtn');
+
+    try {
+        btn.disabled = true;
+        const result = await postJSON('/api/admin/password', {
+            currentPassword: currentInput.value,
+            newPassword: newInput.value,
+        });
+        showToast('success', '修改成功', result.message || '密码修改成功');
+        currentInput.value = '';
+        newInput.value = '';
+    } catch (error) {
+        showToast('error', '修改失败', error.error || '修改密码失败');
+    } finally {
+        btn.disabled = false;
     }
 }
 
@@ -734,8 +2835,17 @@ async function deleteInviteCode(code) {
 const PAGE_TITLES = {
     dashboard: '系统总览',
     users: '用户管理',
+    'user-detail': '用户详情',
+    transactions: '积分流水',
     redeem: '兑换码管理',
     invite: '邀请码管理',
+    pricing: '计费设置',
+    plans: '套餐管理',
+    archives: '数据归档',
+    keypool: '密钥池',
+    audit: '审计日志',
+    operators: '管理员账号',
+    account: '我的账号',
 };
 
 function switchPage(pageName) {
@@ -770,9 +2880,26 @@ function switchPage(pageName) {
     if (pageName === 'users') {
         loadUsers();
     } else if (pageName === 'redeem') {
-        loadRedeemCodes();
+        loadRedeemPage();
     } else if (pageName === 'invite') {
         loadInviteCodes();
+        loadReferralTree();
+    } else if (pageName === 'transactions') {
+        loadTransactions(1);
+    } else if (pageName === 'pricing') {
+        loadPricing();
+    } else if (pageName === 'plans') {
+        loadPlans();
+    } else if (pageName === 'archives') {
+        loadArchivesPage();
+    } else if (pageName === 'keypool') {
+        loadKeyPool();
+    } else if (pageName === 'audit') {
+        loadAuditLog(1);
+    } else if (pageName === 'operators') {
+        loadOperators();
+    } else if (pageName === 'account') {
+        loadAccountPage();
     } else if (pageName === 'dashboard') {
         loadDashboard();
     }
@@ -832,6 +2959,12 @@ function setupNavigationHandlers() {
         createRedeemBtn.addEventListener('click', createRedeemCodes);
     }
 
+    const redeemBatchFilter = qs('#redeemBatchFilter');
+    if (redeemBatchFilter) {
+        redeemBatchFilter.removeEventListener('change', loadRedeemCodes);
+        redeemBatchFilter.addEventListener('change', loadRedeemCodes);
+    }
+
     // Create invite codes
     const createInviteBtn = qs('#createInviteBtn');
     if (createInviteBtn) {
@@ -839,6 +2972,187 @@ function setupNavigationHandlers() {
         createInviteBtn.addEventListener('click', createInviteCodes);
     }
 
+    // User detail
+    const userDetailBackBtn = qs('#userDetailBackBtn');
+    if (userDetailBackBtn) {
+        userDetailBackBtn.removeEventListener('click', backToUsers);
+        userDetailBackBtn.addEventListener('click', backToUsers);
+    }
+
+    const userDetailTransactionsBtn = qs('#userDetailTransactionsBtn');
+    if (userDetailTransactionsBtn) {
+        userDetailTransactionsBtn.removeEventListener('click', openUserDetailTransactions);
+        userDetailTransactionsBtn.addEventListener('click', openUserDetailTransactions);
+    }
+
+    // Transactions
+    const searchTransactionsBtn = qs('#searchTransactionsBtn');
+    if (searchTransactionsBtn) {
+        searchTransactionsBtn.removeEventListener('click', searchTransactions);
+        searchTransactionsBtn.addEventListener('click', searchTransactions);
+    }
+
+    const transactionsHandle = qs('#transactionsHandle');
+    if (transactionsHandle) {
+        transactionsHandle.removeEventListener('keypress', handleTransactionsKeypress);
+        transactionsHandle.addEventListener('keypress', handleTransactionsKeypress);
+    }
+
+    const transactionsPrevBtn = qs('#transactionsPrevBtn');
+    if (transactionsPrevBtn) {
+        transactionsPrevBtn.removeEventListener('click', loadPrevTransactions);
+        transactionsPrevBtn.addEventListener('click', loadPrevTransactions);
+    }
+
+    const transactionsNextBtn = qs('#transactionsNextBtn');
+    if (transactionsNextBtn) {
+        transactionsNextBtn.removeEventListener('click', loadNextTransactions);
+        transactionsNextBtn.addEventListener('click', loadNextTransactions);
+    }
+
+    // Audit log
+    const searchAuditBtn = qs('#searchAuditBtn');
+    if (searchAuditBtn) {
+        searchAuditBtn.removeEventListener('click', searchAuditLog);
+        searchAuditBtn.addEventListener('click', searchAuditLog);
+    }
+
+    qsa('.audit-filter').forEach(input => {
+        input.removeEventListener('keypress', handleAuditKeypress);
+        input.addEventListener('keypress', handleAuditKeypress);
+    });
+
+    const auditPrevBtn = qs('#auditPrevBtn');
+    if (auditPrevBtn) {
+        auditPrevBtn.removeEventListener('click', loadPrevAuditLog);
+        auditPrevBtn.addEventListener('click', loadPrevAuditLog);
+    }
+
+    const auditNextBtn = qs('#auditNextBtn');
+    if (auditNextBtn) {
+        auditNextBtn.removeEventListener('click', loadNextAuditLog);
+        auditNextBtn.addEventListener('click', loadNextAuditLog);
+    }
+
+    const exportAuditCsvBtn = qs('#exportAuditCsvBtn');
+    if (exportAuditCsvBtn) {
+        exportAuditCsvBtn.removeEventListener('click', exportAuditCsv);
+        exportAuditCsvBtn.addEventListener('click', exportAuditCsv);
+    }
+
+    const exportAuditJsonlBtn = qs('#exportAuditJsonlBtn');
+    if (exportAuditJsonlBtn) {
+        exportAuditJsonlBtn.removeEventListener('click', exportAuditJsonl);
+        exportAuditJsonlBtn.addEventListener('click', exportAuditJsonl);
+    }
+
+    // Operators
+    const createOperatorBtn = qs('#createOperatorBtn');
+    if (createOperatorBtn) {
+        createOperatorBtn.removeEventListener('click', createOperator);
+        createOperatorBtn.addEventListener('click', createOperator);
+    }
+
+    const changeAdminPasswordBtn = qs('#changeAdminPasswordBtn');
+    if (changeAdminPasswordBtn) {
+        changeAdminPasswordBtn.removeEventListener('click', changeAdminPassword);
+        changeAdminPasswordBtn.addEventListener('click', changeAdminPassword);
+    }
+
+    const accountTwoFactorBtn = qs('#accountTwoFactorBtn');
+    if (accountTwoFactorBtn) {
+        accountTwoFactorBtn.removeEventListener('click', handleTwoFactorToggle);
+        accountTwoFactorBtn.addEventListener('click', handleTwoFactorToggle);
+    }
+
+    const accountRecoveryCodesBtn = qs('#accountRecoveryCodesBtn');
+    if (accountRecoveryCodesBtn) {
+        accountRecoveryCodesBtn.removeEventListener('click', regenerateRecoveryCodes);
+        accountRecoveryCodesBtn.addEventListener('click', regenerateRecoveryCodes);
+    }
+
+    // Pricing
+    const addPriceRuleBtn = qs('#addPriceRuleBtn');
+    if (addPriceRuleBtn) {
+        addPriceRuleBtn.removeEventListener('click', addPriceRule);
+        addPriceRuleBtn.addEventListener('click', addPriceRule);
+    }
+
+    const savePricingBtn = qs('#savePricingBtn');
+    if (savePricingBtn) {
+        savePricingBtn.removeEventListener('click', savePricing);
+        savePricingBtn.addEventListener('click', savePricing);
+    }
+
+    // Plans
+    const addPlanBtn = qs('#addPlanBtn');
+    if (addPlanBtn) {
+        addPlanBtn.removeEventListener('click', addPlan);
+        addPlanBtn.addEventListener('click', addPlan);
+    }
+
+    const savePlansBtn = qs('#savePlansBtn');
+    if (savePlansBtn) {
+        savePlansBtn.removeEventListener('click', savePlans);
+        savePlansBtn.addEventListener('click', savePlans);
+    }
+
+    // Archives
+    const mergeUsersBtn = qs('#mergeUsersBtn');
+    if (mergeUsersBtn) {
+        mergeUsersBtn.removeEventListener('click', mergeUsers);
+        mergeUsersBtn.addEventListener('click', mergeUsers);
+    }
+
+    // Bulk user actions
+    const bulkSelectByFilterBtn = qs('#bulkSelectByFilterBtn');
+    if (bulkSelectByFilterBtn) {
+        bulkSelectByFilterBtn.removeEventListener('click', selectUsersByFilter);
+        bulkSelectByFilterBtn.addEventListener('click', selectUsersByFilter);
+    }
+
+    const bulkClearSelectionBtn = qs('#bulkClearSelectionBtn');
+    if (bulkClearSelectionBtn) {
+        bulkClearSelectionBtn.removeEventListener('click', clearUserSelection);
+        bulkClearSelectionBtn.addEventListener('click', clearUserSelection);
+    }
+
+    qsa('[data-bulk]').forEach(btn => {
+        btn.removeEventListener('click', handleBulkAction);
+        btn.addEventListener('click', handleBulkAction);
+    });
+
+    const exportUsersBtn = qs('#exportUsersBtn');
+    if (exportUsersBtn) {
+        exportUsersBtn.removeEventListener('click', exportUsers);
+        exportUsersBtn.addEventListener('click', exportUsers);
+    }
+
+    const importUsersBtn = qs('#importUsersBtn');
+    if (importUsersBtn) {
+        importUsersBtn.removeEventListener('click', importUsers);
+        importUsersBtn.addEventListener('click', importUsers);
+    }
+
+    const saveRetentionBtn = qs('#saveRetentionBtn');
+    if (saveRetentionBtn) {
+        saveRetentionBtn.removeEventListener('click', saveRetentionSettings);
+        saveRetentionBtn.addEventListener('click', saveRetentionSettings);
+    }
+
+    // Key pool
+    const saveKeyPoolSettingsBtn = qs('#saveKeyPoolSettingsBtn');
+    if (saveKeyPoolSettingsBtn) {
+        saveKeyPoolSettingsBtn.removeEventListener('click', saveKeyPoolSettings);
+        saveKeyPoolSettingsBtn.addEventListener('click', saveKeyPoolSettings);
+    }
+
+    const addPoolKeyBtn = qs('#addPoolKeyBtn');
+    if (addPoolKeyBtn) {
+        addPoolKeyBtn.removeEventListener('click', addPoolKey);
+        addPoolKeyBtn.addEventListener('click', addPoolKey);
+    }
+
     // Registration toggle
     const registrationToggle = qs('#registrationToggle');
     if (registrationToggle) {
@@ -866,6 +3180,14 @@ function setupEventHandlers() {
             });
         });
     }
+
+    // Two-factor login step
+    qs('#twoFactorBtn')?.addEventListener('click', handleTwoFactorLogin);
+    qs('#twoFactorCode')?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            handleTwoFactorLogin();
+        }
+    });
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -882,9 +3204,25 @@ function escapeHtml(text) {
 // INITIALIZATION
 // ═══════════════════════════════════════════════════════════════
 
-function init() {
+async function init() {
     setupEventHandlers();
 
+    // Operators with a live session and ST admins skip the login screen
+    try {
+        const session = await getJSON('/api/admin/session');
+        if (session.authenticated) {
+            await enterApp();
+            return;
+        }
+        if (session.userNeedsTwoFactor) {
+            const errorDiv = qs('#loginError');
+            errorDiv.textContent = '系统要求管理员开启两步验证，请先在酒馆主页的账户安全中开启，或使用管理员账号登录。';
+            errorDiv.classList.remove('hidden');
+        }
+    } catch (error) {
+        console.error('Failed to check admin session:', error);
+    }
+
     // Initialize animations if Motion is available
     if (window.Motion) {
         // Animate login screen elements
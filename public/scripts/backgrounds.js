@@ -7,6 +7,7 @@ import { createThumbnail, flashHighlight, getBase64Async, stringFormat, debounce
 import { debounce_timeout } from './constants.js';
 import { t } from './i18n.js';
 import { Popup } from './popup.js';
+import { notifyStorageQuotaError } from './storage-quota.js';
 
 const BG_METADATA_KEY = 'custom_background';
 const LIST_METADATA_KEY = 'chat_backgrounds';
@@ -686,6 +687,7 @@ async function uploadBackground(formData) {
         });
 
         if (!response.ok) {
+            await notifyStorageQuotaError(response);
             throw new Error('Failed to upload background');
         }
 
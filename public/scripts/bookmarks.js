@@ -24,6 +24,7 @@ import {
     selected_group,
 } from './group-chats.js';
 import { hideLoader, showLoader } from './loader.js';
+import { loadAllMessages } from './chat-window.js';
 import { getLastMessageId } from './macros.js';
 import { Popup } from './popup.js';
 import { SlashCommand } from './slash-commands/SlashCommand.js';
@@ -38,6 +39,7 @@ import {
     getUniqueName,
     isTrueBoolean,
 } from './utils.js';
+import { notifyStorageQuotaError } from './storage-quota.js';
 
 const bookmarkNameToken = 'Checkpoint #';
 
@@ -289,6 +291,15 @@ export async function convertSoloToGroupChat() {
         return;
     }
 
+    try {
+        // The group chat is written in full
+        await loadAllMessages();
+    } catch (error) {
+        console.error('Failed to load older messages', error);
+        toastr.error(t`Could not load older messages of the chat.`);
+        return;
+    }
+
     const character = characters[this_chid];
 
     // Populate group required fields
@@ -372,7 +383,7 @@ export async function convertSoloToGroupChat() {
 
     if (!createChatResponse.ok) {
         console.error('Group chat creation unsuccessful');
-        toastr.error('Group chat creation unsuccessful');
+        !await notifyStorageQuotaError(createChatResponse) && toastr.error('Group chat creation unsuccessful');
         return;
     }
 
@@ -0,0 +1,303 @@
+/**
+ * Tracks what the server has of the open chat, so that saves only send the messages that changed
+ * and changes saved by other devices can be merged in. A chat that was never sent or fetched in full
+ * is always saved in full.
+ */
+
+/**
+ * Edits above which sending the whole chat is cheaper than a delta.
+ */
+const MAX_EDITS = 100;
+
+/**
+ * @typedef {Object} SavedChat
+ * @property {string} key Identifies the chat file
+ * @property {string|null} header Serialized header without the metadata, null for group chats
+ * @property {Map<string, string>} metadata Serialized metadata values by key
+ * @property {string[]} lines Serialized messages
+ * @property {number} unloaded Placeholders at the start of a windowed chat, for messages that weren't fetched yet
+ */
+
+/**
+ * @typedef {Object} ChatDelta
+ * @property {object[]} ops Operations for the delta save endpoints, empty when nothing changed
+ * @property {number} baseCount Messages the server has before the delta
+ * @property {() => void} commit Call once the server accepted the delta
+ */
+
+/** @type {SavedChat|null} */
+let savedChat = null;
+
+/**
+ * Serializes a chat the way the server stores it. Take the snapshot when the request is sent,
+ * the chat may change while it's in flight.
+ * @param {string} key Identifies the chat file
+ * @param {object|null} header Header line of character chats, null for group chats
+ * @param {object[]} messages
+ * @returns {SavedChat}
+ */
+export function createChatSnapshot(key, header, messages) {
+    const metadata = new Map();
+    for (const [name, value] of Object.entries(header?.chat_metadata ?? {})) {
+        const serialized = JSON.stringify(value);
+        if (serialized !== undefined) {
+            metadata.set(name, serialized);
+        }
+    }
+
+    let unloaded = 0;
+    while (unloaded < messages.length && messages[unloaded]?.extra?.unloaded === true) {
+        unloaded++;
+    }
+
+    return {
+        key,
+        header: header ? JSON.stringify({ ...header, chat_metadata: null }) : null,
+        metadata,
+        lines: messages.map(message => JSON.stringify(message)),
+        unloaded,
+    };
+}
+
+/**
+ * Remembers a chat the server has just stored in full.
+ * @param {SavedChat} snapshot Taken with createChatSnapshot when the save was sent
+ */
+export function rememberSavedChat(snapshot) {
+    savedChat = snapshot;
+}
+
+/**
+ * Forgets the saved chat, so the next save sends the whole chat.
+ */
+export function forgetSavedChat() {
+    savedChat = null;
+}
+
+/**
+ * Puts older messages of a windowed chat in place of their placeholders in the saved chat.
+ * @param {string} key Identifies the chat file
+ * @param {number} start Index of the first fetched message
+ * @param {object[]} messages Fetched messages, up to the first one that was fetched before
+ */
+export function markMessagesLoaded(key, start, messages) {
+    if (savedChat?.key !== key) {
+        return;
+    }
+
+    for (let i = 0; i < messages.length && start + i < savedChat.unloaded; i++) {
+        savedChat.lines[start + i] = JSON.stringify(messages[i]);
+    }
+    savedChat.unloaded = Math.min(savedChat.unloaded, start);
+}
+
+/**
+ * Finds how many messages at the start and at the end of two chats are the same.
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @returns {{prefix: number, suffix: number}}
+ */
+function compareLines(oldLines, newLines) {
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < Math.min(oldLines.length, newLines.length) - prefix
+        && oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+        suffix++;
+    }
+    return { prefix, suffix };
+}
+
+/**
+ * Works out the operations that turn the saved chat into the given one.
+ * @param {string} key Identifies the chat file
+ * @param {object|null} header Header line of character chats, null for group chats
+ * @param {object[]} messages
+ * @returns {ChatDelta|null} Null when the whole chat has to be sent: the chat wasn't saved in full yet,
+ * the header outside the metadata changed, messages were inserted before others, too many were edited
+ * or a change reaches into messages that weren't fetched yet
+ */
+export function getChatDelta(key, header, messages) {
+    const next = createChatSnapshot(key, header, messages);
+    const previous = savedChat;
+    if (!previous || previous.key !== key || previous.header !== next.header) {
+        return null;
+    }
+
+    const ops = [];
+    const set = {};
+    for (const [name, value] of next.metadata) {
+        if (previous.metadata.get(name) !== value) {
+            set[name] = header.chat_metadata[name];
+        }
+    }
+    const unset = [...previous.metadata.keys()].filter(name => !next.metadata.has(name));
+    if (Object.keys(set).length || unset.length) {
+        ops.push({ op: 'metadata', set, unset });
+    }
+
+    const oldLines = previous.lines;
+    const newLines = next.lines;
+    const { prefix, suffix } = compareLines(oldLines, newLines);
+
+    // The server indexes of the placeholders must not change until they are fetched
+    if (prefix < previous.unloaded) {
+        return null;
+    }
+
+    const removed = oldLines.length - prefix - suffix;
+    const added = newLines.length - prefix - suffix;
+    const edits = Math.min(removed, added);
+    if ((added > removed && suffix > 0) || edits > MAX_EDITS) {
+        return null;
+    }
+
+    for (let i = prefix; i < prefix + edits; i++) {
+        ops.push({ op: 'edit', index: i, message: messages[i] });
+    }
+    if (removed > added) {
+        ops.push({ op: 'delete', start: prefix + edits, count: removed - added });
+    }
+    if (added > removed) {
+        ops.push({ op: 'append', messages: messages.slice(prefix + edits) });
+    }
+
+    return {
+        ops,
+        baseCount: oldLines.length,
+        commit: () => {
+            savedChat = next;
+        },
+    };
+}
+
+/**
+ * @typedef {Object} LocalChanges
+ * @property {Set<string>} metadata Keys of the metadata that changed
+ * @property {number} start Index of the first changed message in the saved chat
+ * @property {number} end Index after the last changed message in the saved chat, equal to start if none
+ * @property {boolean} resized Messages were added or deleted
+ */
+
+/**
+ * Works out what changed in the open chat since it was saved, without building the operations.
+ * @param {SavedChat} previous
+ * @param {object|null} metadata Metadata of character chats, null for group chats
+ * @param {object[]} messages
+ * @returns {LocalChanges}
+ */
+function getLocalChanges(previous, metadata, messages) {
+    const next = createChatSnapshot(previous.key, metadata ? { chat_metadata: metadata } : null, messages);
+    const keys = new Set();
+    for (const name of new Set([...previous.metadata.keys(), ...next.metadata.keys()])) {
+        if (previous.metadata.get(name) !== next.metadata.get(name)) {
+            keys.add(name);
+        }
+    }
+
+    const { prefix, suffix } = compareLines(previous.lines, next.lines);
+    return {
+        metadata: keys,
+        start: prefix,
+        end: previous.lines.length - suffix,
+        resized: previous.lines.length !== next.lines.length,
+    };
+}
+
+/**
+ * Checks whether the open chat has changes that the server doesn't have yet.
+ * @param {string} key Identifies the chat file
+ * @param {object|null} metadata Metadata of character chats, null for group chats
+ * @param {object[]} messages
+ * @returns {boolean} False also when the chat was never saved or fetched in full, nothing is known of it then
+ */
+export function hasUnsavedChatChanges(key, metadata, messages) {
+    if (savedChat?.key !== key) {
+        return false;
+    }
+
+    const changes = getLocalChanges(savedChat, metadata, messages);
+    return changes.metadata.size > 0 || changes.start !== changes.end || changes.resized;
+}
+
+/**
+ * Merges a delta that another device saved into the saved chat and into the open one, keeping the
+ * changes of the open chat that aren't saved yet. Nothing is changed when the two conflict: both
+ * edited the same message or metadata key, or one added or deleted messages while the other changed
+ * messages after them.
+ * @param {string} key Identifies the chat file
+ * @param {object|null} metadata Metadata of character chats, changed in place; null for group chats
+ * @param {object[]} messages The open chat, changed in place
+ * @param {{ops: object[], baseCount: number}} remote The delta as the server applied it
+ * @returns {boolean} False if the delta wasn't merged: it conflicts, touches messages that weren't
+ * fetched yet, or the saved chat is not what the delta was made against
+ */
+export function mergeRemoteChatDelta(key, metadata, messages, { ops, baseCount }) {
+    const previous = savedChat;
+    if (previous?.key !== key || previous.lines.length !== baseCount || !Array.isArray(ops)) {
+        return false;
+    }
+
+    const local = getLocalChanges(previous, metadata, messages);
+    const changed = local.start !== local.end || local.resized;
+    for (const op of ops) {
+        switch (op.op) {
+            case 'metadata':
+                if (!metadata || [...Object.keys(op.set ?? {}), ...(op.unset ?? [])].some(name => local.metadata.has(name))) {
+                    return false;
+                }
+                break;
+            case 'edit':
+                if (changed && op.index >= local.start && (local.resized || op.index < local.end)) {
+                    return false;
+                }
+                break;
+            case 'delete':
+                if (op.start < previous.unloaded || (changed && (local.resized || local.end > op.start))) {
+                    return false;
+                }
+                break;
+            case 'append':
+                if (local.resized) {
+                    return false;
+                }
+                break;
+            default:
+                return false;
+        }
+    }
+
+    for (const op of ops) {
+        switch (op.op) {
+            case 'metadata':
+                for (const [name, value] of Object.entries(op.set ?? {})) {
+                    metadata[name] = value;
+                    previous.metadata.set(name, JSON.stringify(value));
+                }
+                for (const name of op.unset ?? []) {
+                    delete metadata[name];
+                    previous.metadata.delete(name);
+                }
+                break;
+            case 'edit':
+                // Placeholders stay until the message is fetched, which brings the edit along
+                if (op.index >= previous.unloaded) {
+                    messages[op.index] = op.message;
+                    previous.lines[op.index] = JSON.stringify(op.message);
+                }
+                break;
+            case 'delete':
+                messages.splice(op.start, op.count);
+                previous.lines.splice(op.start, op.count);
+                break;
+            case 'append':
+                messages.push(...op.messages);
+                previous.lines.push(...op.messages.map(message => JSON.stringify(message)));
+                break;
+        }
+    }
+
+    return true;
+}
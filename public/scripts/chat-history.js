@@ -0,0 +1,406 @@
+import { DiffMatchPatch, moment } from '../lib.js';
+import { characters, chat, getCurrentChatId, getRequestHeaders, reloadCurrentChat, saveChatConditional, this_chid } from '../script.js';
+import { ensureMessagesLoaded } from './chat-window.js';
+import { selected_group } from './group-chats.js';
+import { t } from './i18n.js';
+import { callGenericPopup, Popup, POPUP_RESULT, POPUP_TYPE } from './popup.js';
+import { SlashCommand } from './slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from './slash-commands/SlashCommandArgument.js';
+import { commonEnumProviders } from './slash-commands/SlashCommandCommonEnumsProvider.js';
+import { SlashCommandParser } from './slash-commands/SlashCommandParser.js';
+import { renderTemplateAsync } from './templates.js';
+import { isTrueBoolean } from './utils.js';
+
+/**
+ * Version id of the chat as it is now.
+ */
+const CURRENT_VERSION = 'current';
+
+/**
+ * @typedef {object} ChatHistory
+ * @property {{date: number, size: number}|null} current The chat file as it is now
+ * @property {import('../../src/chat-history.js').ChatVersion[]} versions Newest first
+ */
+
+/**
+ * @typedef {object} ChatHistoryDiff
+ * @property {import('../../src/chat-history.js').ChatChange[]} changes
+ * @property {number} total Changed messages, including the ones not returned
+ */
+
+/**
+ * Identifies the open chat in requests to the history endpoints.
+ * @returns {object|null} Null when no chat is open
+ */
+function getChatBody() {
+    if (selected_group) {
+        return { is_group: true, id: getCurrentChatId() };
+    }
+    if (this_chid !== undefined && characters[this_chid]?.chat) {
+        return { avatar_url: characters[this_chid].avatar, file_name: characters[this_chid].chat };
+    }
+    return null;
+}
+
+/**
+ * Calls a history endpoint for the open chat. The chat is saved first, so the server compares what's on screen.
+ * @param {string} action list, diff or restore
+ * @param {object} [body]
+ * @returns {Promise<any>}
+ */
+async function fetchChatHistory(action, body = {}) {
+    const chatBody = getChatBody();
+    if (!chatBody) {
+        throw new Error(t`No chat is open.`);
+    }
+
+    await saveChatConditional();
+    const response = await fetch(`/api/chats/history/${action}`, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ ...chatBody, ...body }),
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || response.statusText);
+    }
+
+    return response.json();
+}
+
+/**
+ * Lists the versions of the open chat.
+ * @returns {Promise<ChatHistory>}
+ */
+export function getChatHistory() {
+    return fetchChatHistory('list');
+}
+
+/**
+ * Compares two versions of the open chat message by message.
+ * @param {string} from Id of the older version
+ * @param {string} [to] Id of the newer version, the chat as it is now by default
+ * @returns {Promise<ChatHistoryDiff>}
+ */
+export function diffChatVersions(from, to = CURRENT_VERSION) {
+    return fetchChatHistory('diff', { from, to });
+}
+
+/**
+ * Rolls the open chat back to a version and reloads it. The chat as it was is kept as a version.
+ * @param {string} version Version id
+ * @returns {Promise<void>}
+ */
+export async function rollbackChat(version) {
+    await fetchChatHistory('restore', { version });
+    await reloadCurrentChat();
+}
+
+/**
+ * Puts a message of a version back into the open chat: an edited message gets its old content back,
+ * a deleted one is inserted where it was.
+ * @param {string} version Version id
+ * @param {number} index Index of the message in the version
+ * @returns {Promise<boolean>} False if the message is the same in the chat
+ */
+export async function restoreChatMessage(version, index) {
+    const { changes } = await diffChatVersions(version);
+    const change = changes.find(x => x.type !== 'added' && x.fromIndex === index);
+    if (!change?.before) {
+        return false;
+    }
+
+    // The message may be in the part of a long chat that wasn't fetched yet
+    await ensureMessagesLoaded(change.toIndex);
+    if (change.type === 'edited') {
+        chat[change.toIndex] = change.before;
+    } else {
+        chat.splice(change.toIndex, 0, change.before);
+    }
+
+    await saveChatConditional();
+    await reloadCurrentChat();
+    return true;
+}
+
+/**
+ * Formats a version for the version pickers.
+ * @param {import('../../src/chat-history.js').ChatVersion} version
+ * @returns {string}
+ */
+function formatVersion(version) {
+    return t`${moment(version.date).format('LL LTS')} · ${version.messages} messages`;
+}
+
+/**
+ * Renders the text of a change: the text diff for edited messages, the whole text otherwise.
+ * @param {import('../../src/chat-history.js').ChatChange} change
+ * @returns {HTMLElement}
+ */
+function renderChangeText(change) {
+    const text = document.createElement('div');
+    text.classList.add('chatHistoryChangeText');
+
+    if (change.type !== 'edited') {
+        text.textContent = String((change.before ?? change.after)?.mes ?? '');
+        return text;
+    }
+
+    const beforeText = String(change.before?.mes ?? '');
+    const afterText = String(change.after?.mes ?? '');
+    if (beforeText === afterText) {
+        const note = document.createElement('i');
+        note.textContent = t`Only the swipes or other details of this message changed.`;
+        text.append(beforeText, document.createElement('br'), note);
+        return text;
+    }
+
+    const dmp = new DiffMatchPatch();
+    const diffs = dmp.diff_main(beforeText, afterText);
+    dmp.diff_cleanupSemantic(diffs);
+    for (const [operation, part] of diffs) {
+        const element = document.createElement(operation === DiffMatchPatch.DIFF_DELETE ? 'del' : operation === DiffMatchPatch.DIFF_INSERT ? 'ins' : 'span');
+        element.textContent = part;
+        text.append(element);
+    }
+    return text;
+}
+
+/**
+ * Renders the changes between two versions into the panel.
+ * @param {HTMLElement} container Panel
+ * @param {ChatHistoryDiff} diff
+ * @param {string} from Id of the older version
+ * @param {string} to Id of the newer version
+ * @param {() => void} close Closes the panel
+ */
+function renderChanges(container, diff, from, to, close) {
+    const list = container.querySelector('.chatHistoryChanges');
+    const summary = container.querySelector('.chatHistorySummary');
+    list.innerHTML = '';
+    summary.textContent = diff.total > diff.changes.length
+        ? t`${diff.total} messages changed, showing the first ${diff.changes.length}.`
+        : t`${diff.total} messages changed.`;
+
+    const typeNames = { added: t`Added`, deleted: t`Deleted`, edited: t`Edited` };
+    for (const change of diff.changes) {
+        const item = document.createElement('div');
+        item.classList.add('chatHistoryChange');
+        item.dataset.type = change.type;
+
+        const header = document.createElement('div');
+        header.classList.add('chatHistoryChangeHeader');
+        const place = document.createElement('span');
+        const message = change.before ?? change.after;
+        const index = change.type === 'added' ? change.toIndex : change.fromIndex;
+        place.textContent = [typeNames[change.type], `#${index}`, message?.name].filter(x => x).join(' · ');
+        header.append(place);
+
+        // Single messages can only be put back into the chat as it is now
+        if (to === CURRENT_VERSION && change.type !== 'added') {
+            const restoreButton = document.createElement('div');
+            restoreButton.classList.add('menu_button', 'menu_button_icon');
+            restoreButton.title = t`Put this message back into the chat`;
+            const icon = document.createElement('i');
+            icon.classList.add('fa-solid', 'fa-rotate-left');
+            const label = document.createElement('span');
+            label.textContent = t`Restore`;
+            restoreButton.append(icon, label);
+            restoreButton.addEventListener('click', async () => {
+                try {
+                    close();
+                    if (!await restoreChatMessage(from, change.fromIndex)) {
+                        toastr.info(t`The message is already the same in the chat.`);
+                    }
+                } catch (error) {
+                    console.error('Chat message restore failed:', error);
+                    toastr.error(error.message, t`Could not restore the message`);
+                }
+            });
+            header.append(restoreButton);
+        }
+
+        item.append(header, renderChangeText(change));
+        list.append(item);
+    }
+}
+
+/**
+ * Opens the history panel of the open chat.
+ * @returns {Promise<void>}
+ */
+export async function openChatHistory() {
+    let history;
+    try {
+        history = await getChatHistory();
+    } catch (error) {
+        toastr.error(error.message, t`Could not load the chat history`);
+        return;
+    }
+
+    if (!history.versions.length) {
+        toastr.info(t`This chat has no earlier versions yet. One is kept every few minutes while the chat is saved.`);
+        return;
+    }
+
+    const container = document.createElement('div');
+    container.classList.add('chatHistoryDialogContainer');
+    container.innerHTML = await renderTemplateAsync('chatHistory');
+
+    const fromSelect = /** @type {HTMLSelectElement} */ (container.querySelector('.chatHistoryFrom'));
+    const toSelect = /** @type {HTMLSelectElement} */ (container.querySelector('.chatHistoryTo'));
+    const spinner = container.querySelector('.chatHistorySpinner');
+
+    toSelect.append(new Option(t`Current chat`, CURRENT_VERSION));
+    for (const version of history.versions) {
+        fromSelect.append(new Option(formatVersion(version), version.id));
+        toSelect.append(new Option(formatVersion(version), version.id));
+    }
+
+    /** @type {import('./popup.js').Popup|null} */
+    let popup = null;
+    const close = () => popup?.complete(POPUP_RESULT.CANCELLED);
+    let isBusy = false;
+    const compare = async () => {
+        if (isBusy) {
+            return;
+        }
+
+        const from = fromSelect.value;
+        const to = toSelect.value;
+        try {
+            isBusy = true;
+            spinner.classList.remove('displayNone');
+            renderChanges(container, await diffChatVersions(from, to), from, to, close);
+        } catch (error) {
+            toastr.error(error.message, t`Could not compare the versions`);
+            console.error('Chat version diff failed:', error);
+        } finally {
+            isBusy = false;
+            spinner.classList.add('displayNone');
+        }
+    };
+
+    container.querySelector('.chatHistoryCompare').addEventListener('click', compare);
+    container.querySelector('.chatHistoryRollback').addEventListener('click', async () => {
+        const version = history.versions.find(x => x.id === fromSelect.value);
+        const confirm = await Popup.show.confirm(t`Roll back the chat?`, t`The chat will be replaced with the version of ${formatVersion(version)}. The chat as it is now is kept in the history, so this can be undone.`);
+        if (!confirm) {
+            return;
+        }
+
+        try {
+            close();
+            await rollbackChat(version.id);
+            toastr.success(t`The chat was rolled back.`);
+        } catch (error) {
+            console.error('Chat rollback failed:', error);
+            toastr.error(error.message, t`Could not roll back the chat`);
+        }
+    });
+
+    const popupPromise = callGenericPopup(container, POPUP_TYPE.DISPLAY, '', { wide: true, large: true, allowVerticalScrolling: true, onOpen: (p) => { popup = p; } });
+    compare();
+    await popupPromise;
+}
+
+export function initChatHistory() {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chat-history',
+        returns: t`JSON array of the versions of the chat, when quiet`,
+        callback: async (args) => {
+            if (!isTrueBoolean(String(args.quiet))) {
+                openChatHistory();
+                return '';
+            }
+
+            try {
+                const { versions } = await getChatHistory();
+                return JSON.stringify(versions);
+            } catch (error) {
+                toastr.error(error.message, t`Could not load the chat history`);
+                return '[]';
+            }
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'quiet',
+                description: t`Return the versions as JSON instead of opening the history panel`,
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumProvider: commonEnumProviders.boolean('trueFalse'),
+            }),
+        ],
+        helpString: `
+        <div>
+            ${t`Opens the history of the current chat, or returns its versions as JSON with <code>quiet=true</code>. Each version has an <code>id</code> to use with /chat-rollback and /chat-restore-message.`}
+        </div>
+    `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chat-rollback',
+        callback: async (_, version) => {
+            try {
+                await rollbackChat(String(version));
+            } catch (error) {
+                toastr.error(error.message, t`Could not roll back the chat`);
+            }
+            return '';
+        },
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: t`Version id from /chat-history quiet=true`,
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+        <div>
+            ${t`Rolls the current chat back to a version. The chat as it is now is kept in the history, so this can be undone.`}
+        </div>
+    `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chat-restore-message',
+        returns: t`true if the message was restored`,
+        callback: async (args, index) => {
+            try {
+                return String(await restoreChatMessage(String(args.version), Number(index)));
+            } catch (error) {
+                toastr.error(error.message, t`Could not restore the message`);
+                return 'false';
+            }
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'version',
+                description: t`Version id from /chat-history quiet=true`,
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: t`Message id in that version`,
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+        <div>
+            ${t`Puts a deleted or edited message of an earlier version back into the current chat.`}
+        </div>
+        <div>
+            <strong>${t`Example:`}</strong>
+            <ul>
+                <li>
+                    <pre><code>/chat-restore-message version=1718000000000 12</code></pre>
+                </li>
+            </ul>
+        </div>
+    `,
+    }));
+}
@@ -0,0 +1,345 @@
+import { moment } from '../lib.js';
+import { characters, getCurrentChatId, getRequestHeaders } from '../script.js';
+import { groups } from './group-chats.js';
+import { t } from './i18n.js';
+import { callGenericPopup, POPUP_RESULT, POPUP_TYPE } from './popup.js';
+import { jumpToChatMessage } from './slash-commands.js';
+import { SlashCommand } from './slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from './slash-commands/SlashCommandArgument.js';
+import { commonEnumProviders } from './slash-commands/SlashCommandCommonEnumsProvider.js';
+import { SlashCommandParser } from './slash-commands/SlashCommandParser.js';
+import { renderTemplateAsync } from './templates.js';
+import { findChar, isTrueBoolean } from './utils.js';
+import { openRecentCharacterChat, openRecentGroupChat } from './welcome-screen.js';
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * @typedef {object} ChatSearchFilters
+ * @property {string} [avatar] Only chats with this character
+ * @property {string} [groupId] Only chats of this group
+ * @property {string} [speaker] Only messages from this name
+ * @property {string} [from] First day, YYYY-MM-DD
+ * @property {string} [to] Last day, YYYY-MM-DD
+ */
+
+/**
+ * @typedef {object} ChatSearchResponse
+ * @property {import('../../src/chat-search.js').ChatSearchResult[]} results
+ * @property {number} total Matching messages, including the ones not returned
+ */
+
+/**
+ * Searches the messages of all chats.
+ * @param {string} query Words and "quoted phrases"
+ * @param {ChatSearchFilters} [filters]
+ * @param {number} [limit]
+ * @returns {Promise<ChatSearchResponse>}
+ */
+export async function searchAllChats(query, filters = {}, limit = 50) {
+    const response = await fetch('/api/chats/search-all', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({
+            query,
+            avatar_url: filters.avatar || undefined,
+            group_id: filters.groupId || undefined,
+            speaker: filters.speaker || undefined,
+            from: filters.from || undefined,
+            // The last day is included
+            to: filters.to ? moment.utc(filters.to, DATE_FORMAT).add(1, 'day').format(DATE_FORMAT) : undefined,
+            limit,
+        }),
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || response.statusText);
+    }
+
+    return response.json();
+}
+
+/**
+ * Gets the name of the character or group a result was found in.
+ * @param {import('../../src/chat-search.js').ChatSearchResult} result
+ * @returns {string}
+ */
+function getResultOwnerName(result) {
+    if (result.type === 'character') {
+        return characters.find(x => x.avatar === result.avatar)?.name ?? result.avatar;
+    }
+    return groups.find(x => x.id === result.groupId)?.name ?? t`Unknown group`;
+}
+
+/**
+ * Opens the chat of a result and scrolls to the message.
+ * @param {import('../../src/chat-search.js').ChatSearchResult} result
+ * @returns {Promise<void>}
+ */
+async function openSearchResult(result) {
+    const exists = result.type === 'character'
+        ? characters.some(x => x.avatar === result.avatar)
+        : groups.some(x => x.id === result.groupId);
+    if (!exists) {
+        toastr.warning(t`The character or group of this chat no longer exists.`);
+        return;
+    }
+
+    if (result.type === 'character') {
+        await openRecentCharacterChat(result.avatar, result.fileName);
+    } else {
+        await openRecentGroupChat(result.groupId, result.fileName);
+    }
+
+    if (getCurrentChatId() !== result.fileName) {
+        return;
+    }
+    await jumpToChatMessage(result.messageIndex);
+}
+
+/**
+ * Renders search results into the panel.
+ * @param {HTMLElement} container Panel
+ * @param {ChatSearchResponse} response
+ * @param {() => void} close Closes the panel
+ */
+function renderResults(container, response, close) {
+    const list = container.querySelector('.chatSearchResults');
+    const summary = container.querySelector('.chatSearchSummary');
+    list.innerHTML = '';
+    summary.textContent = response.total > response.results.length
+        ? t`${response.total} messages found, showing the best ${response.results.length}.`
+        : t`${response.total} messages found.`;
+
+    for (const result of response.results) {
+        const item = document.createElement('div');
+        item.classList.add('chatSearchResult');
+        item.title = t`Open this message`;
+
+        const header = document.createElement('div');
+        header.classList.add('chatSearchResultHeader');
+        const place = document.createElement('span');
+        place.textContent = `${getResultOwnerName(result)} · ${result.fileName} · #${result.messageIndex}`;
+        const meta = document.createElement('span');
+        meta.textContent = [result.name, result.date ? moment.utc(result.date).format('LL LT') : ''].filter(x => x).join(' · ');
+        header.append(place, meta);
+
+        const snippet = document.createElement('div');
+        snippet.classList.add('chatSearchResultSnippet');
+        snippet.textContent = result.snippet;
+
+        item.append(header, snippet);
+        item.addEventListener('click', async () => {
+            close();
+            await openSearchResult(result);
+        });
+        list.append(item);
+    }
+}
+
+/**
+ * Opens the "Search all chats" panel.
+ * @param {string} [query] Searched right away if given
+ * @param {ChatSearchFilters} [filters]
+ * @returns {Promise<void>}
+ */
+export async function openChatSearch(query = '', filters = {}) {
+    const container = document.createElement('div');
+    container.classList.add('chatSearchDialogContainer');
+    container.innerHTML = await renderTemplateAsync('chatSearch');
+
+    const queryInput = /** @type {HTMLInputElement} */ (container.querySelector('.chatSearchQuery'));
+    const scopeSelect = /** @type {HTMLSelectElement} */ (container.querySelector('.chatSearchScope'));
+    const speakerInput = /** @type {HTMLInputElement} */ (container.querySelector('.chatSearchSpeaker'));
+    const fromInput = /** @type {HTMLInputElement} */ (container.querySelector('.chatSearchFrom'));
+    const toInput = /** @type {HTMLInputElement} */ (container.querySelector('.chatSearchTo'));
+    const spinner = container.querySelector('.chatSearchSpinner');
+
+    const addScopeOptions = (label, options) => {
+        if (!options.length) return;
+        const optionGroup = document.createElement('optgroup');
+        optionGroup.label = label;
+        for (const [value, text] of options) {
+            optionGroup.append(new Option(text, value));
+        }
+        scopeSelect.append(optionGroup);
+    };
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    addScopeOptions(t`Characters`, characters.slice().sort(byName).map(x => [`character:${x.avatar}`, x.name]));
+    addScopeOptions(t`Groups`, groups.slice().sort(byName).map(x => [`group:${x.id}`, x.name]));
+
+    queryInput.value = query;
+    scopeSelect.value = filters.avatar ? `character:${filters.avatar}` : filters.groupId ? `group:${filters.groupId}` : '';
+    speakerInput.value = filters.speaker || '';
+    fromInput.value = filters.from || '';
+    toInput.value = filters.to || '';
+
+    /** @type {import('./popup.js').Popup|null} */
+    let popup = null;
+    let isSearching = false;
+    const search = async () => {
+        if (isSearching || !queryInput.value.trim()) {
+            return;
+        }
+
+        const [scopeType, ...scopeValue] = scopeSelect.value.split(':');
+        try {
+            isSearching = true;
+            spinner.classList.remove('displayNone');
+            const response = await searchAllChats(queryInput.value, {
+                avatar: scopeType === 'character' ? scopeValue.join(':') : undefined,
+                groupId: scopeType === 'group' ? scopeValue.join(':') : undefined,
+                speaker: speakerInput.value.trim(),
+                from: fromInput.value,
+                to: toInput.value,
+            });
+            renderResults(container, response, () => popup?.complete(POPUP_RESULT.CANCELLED));
+        } catch (error) {
+            toastr.error(error.message, t`Search failed`);
+            console.error('Chat search failed:', error);
+        } finally {
+            isSearching = false;
+            spinner.classList.add('displayNone');
+        }
+    };
+
+    container.querySelector('.chatSearchButton').addEventListener('click', search);
+    queryInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            search();
+        }
+    });
+
+    const popupPromise = callGenericPopup(container, POPUP_TYPE.DISPLAY, '', { wide: true, large: true, allowVerticalScrolling: true, onOpen: (p) => { popup = p; } });
+    queryInput.focus();
+    if (query) {
+        search();
+    }
+    await popupPromise;
+}
+
+/**
+ * Resolves the chat filters of the /search-chats command.
+ * @param {Record<string, any>} args Named arguments
+ * @returns {ChatSearchFilters|null} Null when the character or group wasn't found
+ */
+function getCommandFilters(args) {
+    /** @type {ChatSearchFilters} */
+    const filters = { speaker: args.speaker, from: args.from, to: args.to };
+    if (args.char) {
+        const character = findChar({ name: args.char, quiet: true });
+        if (!character) {
+            toastr.warning(t`Character not found: ${args.char}`);
+            return null;
+        }
+        filters.avatar = character.avatar;
+    }
+    if (args.group) {
+        const group = groups.find(x => x.id === args.group || x.name.toLowerCase() === String(args.group).toLowerCase());
+        if (!group) {
+            toastr.warning(t`Group not found: ${args.group}`);
+            return null;
+        }
+        filters.groupId = group.id;
+    }
+    for (const date of [filters.from, filters.to]) {
+        if (date && !moment(date, DATE_FORMAT, true).isValid()) {
+            toastr.warning(t`Dates must be in the YYYY-MM-DD format.`);
+            return null;
+        }
+    }
+    return filters;
+}
+
+export function initChatSearch() {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'search-chats',
+        returns: t`JSON array of the matching messages, when quiet`,
+        callback: async (args, query) => {
+            const filters = getCommandFilters(args);
+            if (!filters || !String(query).trim()) {
+                return '[]';
+            }
+
+            if (!isTrueBoolean(String(args.quiet))) {
+                openChatSearch(String(query), filters);
+                return '';
+            }
+
+            try {
+                const { results } = await searchAllChats(String(query), filters, Number(args.limit) || undefined);
+                return JSON.stringify(results);
+            } catch (error) {
+                toastr.error(error.message, t`Search failed`);
+                return '[]';
+            }
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'char',
+                description: t`Only chats with this character (name or avatar key)`,
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: commonEnumProviders.characters('character'),
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'group',
+                description: t`Only chats of this group (name or id)`,
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: commonEnumProviders.characters('group'),
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'speaker',
+                description: t`Only messages from this name`,
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'from',
+                description: t`First day, YYYY-MM-DD`,
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'to',
+                description: t`Last day, YYYY-MM-DD`,
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'quiet',
+                description: t`Return the results as JSON instead of opening the search panel`,
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumProvider: commonEnumProviders.boolean('trueFalse'),
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'limit',
+                description: t`Most results to return when quiet`,
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                defaultValue: '50',
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: t`Words or "exact phrases" to search for`,
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+        <div>
+            ${t`Searches the messages of all chats. Opens the search panel, or returns the matching messages as JSON with <code>quiet=true</code>.`}
+        </div>
+        <div>
+            <strong>${t`Example:`}</strong>
+            <ul>
+                <li>
+                    <pre><code>/search-chats char="Seraphina" "enchanted forest"</code></pre>
+                </li>
+                <li>
+                    <pre><code>/search-chats quiet=true from=2024-01-01 dragon | /echo</code></pre>
+                </li>
+            </ul>
+        </div>
+    `,
+    }));
+}
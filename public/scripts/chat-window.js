@@ -0,0 +1,218 @@
+/**
+ * Opens long character chats in windows: only the end of the chat is fetched when it's opened,
+ * and older messages are fetched in pages when they are scrolled to or needed for a prompt.
+ * Messages that weren't fetched yet are kept in the chat as hidden placeholders, so message ids stay the same.
+ */
+import { chat, getRequestHeaders, showMoreMessages } from '../script.js';
+import { createChatSnapshot, markMessagesLoaded, rememberSavedChat } from './chat-delta.js';
+
+/**
+ * Messages fetched when scrolling up or filling a prompt.
+ */
+const PAGE_SIZE = 100;
+/**
+ * Rough size of a token, used to guess how much of the chat a prompt can fit.
+ */
+const CHARS_PER_TOKEN = 4;
+/**
+ * Distance from the top of the chat, in pixels, at which older messages are shown.
+ */
+const SCROLL_THRESHOLD = 100;
+
+/**
+ * @typedef {Object} ChatWindow
+ * @property {object} body Identifies the chat in requests to the window endpoint
+ * @property {string} saveKey Identifies the chat file for the delta saves
+ * @property {number} loadedFrom Index of the oldest fetched message
+ * @property {number} limit Most messages the server returns at once
+ */
+
+/** @type {ChatWindow|null} */
+let chatWindow = null;
+/**
+ * Loads run one after another, so two of them never fetch the same page.
+ * @type {Promise<void>}
+ */
+let pendingLoad = Promise.resolve();
+
+/**
+ * Creates a placeholder for a message that wasn't fetched yet.
+ * @param {number} index Index of the message in the chat file
+ * @returns {object}
+ */
+function createPlaceholder(index) {
+    return { name: '', is_user: false, is_system: true, mes: '', send_date: '', extra: { unloaded: true, window_index: index } };
+}
+
+/**
+ * Checks whether a message is a placeholder for one that wasn't fetched yet.
+ * @param {object} message
+ * @returns {boolean}
+ */
+export function isUnloadedMessage(message) {
+    return message?.extra?.unloaded === true;
+}
+
+/**
+ * Lines of the chat file that aren't valid JSON are shown as hidden empty messages.
+ * @param {object|null} message
+ * @returns {object}
+ */
+function toMessage(message) {
+    return message ?? { name: '', is_user: false, is_system: true, mes: '', send_date: '' };
+}
+
+/**
+ * Fetches part of a chat.
+ * @param {object} body Identifies the chat
+ * @param {{start?: number, end?: number, tail?: number}} range
+ * @returns {Promise<import('../../src/chat-window.js').ChatWindow & {limit: number}>}
+ */
+async function fetchChatWindow(body, range) {
+    const response = await fetch('/api/chats/get-window', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        cache: 'no-cache',
+        body: JSON.stringify({ ...body, ...range }),
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || response.statusText);
+    }
+
+    return response.json();
+}
+
+/**
+ * Opens a character chat, fetching only its last messages.
+ * @param {object} body avatar_url and file_name of the chat
+ * @param {string} saveKey Identifies the chat file for the delta saves
+ * @param {number} count Messages to fetch from the end of the chat
+ * @returns {Promise<object[]>} The chat with the header line first, like /api/chats/get returns it; empty when the chat doesn't exist
+ */
+export async function openChatWindow(body, saveKey, count) {
+    closeChatWindow();
+    const page = await fetchChatWindow(body, { tail: Math.max(count, PAGE_SIZE) });
+    if (!page.header) {
+        return [];
+    }
+
+    const messages = [
+        ...Array.from({ length: page.start }, (_, index) => createPlaceholder(index)),
+        ...page.messages.map(toMessage),
+    ];
+
+    if (page.start > 0) {
+        chatWindow = { body, saveKey, loadedFrom: page.start, limit: page.limit };
+    }
+    // The server has exactly this chat, so the first save can already be a delta
+    rememberSavedChat(createChatSnapshot(saveKey, page.header, messages));
+
+    return [page.header, ...messages];
+}
+
+/**
+ * Forgets the open chat window. Loads still in flight are dropped.
+ */
+export function closeChatWindow() {
+    chatWindow = null;
+}
+
+/**
+ * Checks whether the open chat has messages that weren't fetched yet.
+ * @returns {boolean}
+ */
+export function hasUnloadedMessages() {
+    return !!chatWindow && chatWindow.loadedFrom > 0;
+}
+
+/**
+ * Fetches one page of older messages and puts them in place of their placeholders.
+ * @param {ChatWindow} openWindow
+ * @param {number} start Index of the oldest message to fetch
+ */
+async function loadPage(openWindow, start) {
+    const end = openWindow.loadedFrom;
+    const page = await fetchChatWindow(openWindow.body, { start, end });
+    if (openWindow !== chatWindow) {
+        return;
+    }
+    if (page.start !== start || page.messages.length !== end - start) {
+        throw new Error('The chat file changed on the server');
+    }
+
+    const messages = page.messages.map(toMessage);
+    // Placeholders stay in front of the fetched messages, unless one was deleted since
+    for (let position = 0; position < chat.length && isUnloadedMessage(chat[position]); position++) {
+        const index = chat[position].extra.window_index;
+        if (index >= start && index < end) {
+            chat[position] = messages[index - start];
+        }
+    }
+
+    markMessagesLoaded(openWindow.saveKey, start, messages);
+    openWindow.loadedFrom = start;
+}
+
+/**
+ * Makes sure the messages from an index on are fetched.
+ * @param {number} index
+ * @returns {Promise<void>}
+ */
+export function ensureMessagesLoaded(index) {
+    const load = pendingLoad.then(async () => {
+        const openWindow = chatWindow;
+        while (openWindow && openWindow === chatWindow && openWindow.loadedFrom > Math.max(0, index)) {
+            await loadPage(openWindow, Math.max(0, index, openWindow.loadedFrom - openWindow.limit));
+        }
+    });
+    pendingLoad = load.catch(() => { });
+    return load;
+}
+
+/**
+ * Fetches the rest of the open chat, e.g. before it's saved in full.
+ * @returns {Promise<void>}
+ */
+export function loadAllMessages() {
+    return ensureMessagesLoaded(0);
+}
+
+/**
+ * Fetches older messages until the fetched ones fill a prompt of the given size, or the whole chat is fetched.
+ * @param {number} maxTokens Context size of the prompt
+ * @returns {Promise<void>}
+ */
+export async function loadChatContext(maxTokens) {
+    const wantedChars = maxTokens * CHARS_PER_TOKEN;
+    while (hasUnloadedMessages()) {
+        let chars = 0;
+        for (let i = chat.length - 1; i >= 0 && !isUnloadedMessage(chat[i]) && chars < wantedChars; i--) {
+            chars += String(chat[i].mes ?? '').length;
+        }
+        if (chars >= wantedChars) {
+            return;
+        }
+        await ensureMessagesLoaded(chatWindow.loadedFrom - PAGE_SIZE);
+    }
+}
+
+/**
+ * Shows older messages of a windowed chat when the chat is scrolled to the top.
+ */
+export function initChatWindow() {
+    let busy = false;
+    $('#chat').on('scroll', async function () {
+        if (busy || !hasUnloadedMessages() || this.scrollTop > SCROLL_THRESHOLD || !$('#show_more_messages').length) {
+            return;
+        }
+
+        busy = true;
+        try {
+            await showMoreMessages();
+        } finally {
+            busy = false;
+        }
+    });
+}
@@ -53,6 +53,7 @@ import { renderTemplateAsync } from './templates.js';
 import { t } from './i18n.js';
 import { humanizedDateTime } from './RossAscends-mods.js';
 import { accountStorage } from './util/AccountStorage.js';
+import { notifyStorageQuotaError } from './storage-quota.js';
 
 /**
  * @typedef {Object} FileAttachment
@@ -271,6 +272,9 @@ export async function uploadFileAttachment(fileName, base64Data) {
         });
 
         if (!result.ok) {
+            if (await notifyStorageQuotaError(result)) {
+                return;
+            }
             const error = await result.text();
             throw new Error(error);
         }
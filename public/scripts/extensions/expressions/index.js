@@ -18,6 +18,7 @@ import { generateWebLlmChatPrompt, isWebLlmSupported } from '../shared.js';
 import { Popup, POPUP_RESULT } from '../../popup.js';
 import { t } from '../../i18n.js';
 import { removeReasoningFromString } from '../../reasoning.js';
+import { notifyStorageQuotaError } from '../../storage-quota.js';
 export { MODULE_NAME };
 
 /**
@@ -1774,6 +1775,9 @@ async function handleFileUpload(url, formData) {
         });
 
         if (!result.ok) {
+            if (await notifyStorageQuotaError(result)) {
+                return {};
+            }
             throw new Error(`Upload failed with status ${result.status}`);
         }
 
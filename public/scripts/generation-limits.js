@@ -0,0 +1,30 @@
+import { t } from './i18n.js';
+
+/**
+ * Error types the server sends in 429 responses when a per-user generation limit is hit.
+ */
+const GENERATION_LIMIT_ERRORS = ['rate_limit', 'concurrency_limit'];
+
+/**
+ * Checks whether a parsed response body is a generation limit rejection.
+ * @param {any} data Parsed response body
+ * @returns {boolean}
+ */
+function isGenerationLimitError(data) {
+    return GENERATION_LIMIT_ERRORS.includes(data?.error?.type);
+}
+
+/**
+ * Shows a toast if the server rejected a generation because of a per-user limit.
+ * Callers show their usual API error toast when this returns false.
+ * @param {any} data Parsed error response body
+ * @returns {boolean} Whether the body was a generation limit rejection
+ */
+export function showGenerationLimitError(data) {
+    if (!isGenerationLimitError(data)) {
+        return false;
+    }
+
+    toastr.warning(data.error.message, t`Generation limit reached`, { preventDuplicates: true });
+    return true;
+}
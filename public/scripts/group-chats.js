@@ -18,6 +18,7 @@ import {
     paginationDropdownChangeHandler,
     waitUntilCondition,
 } from './utils.js';
+import { createChatSnapshot, forgetSavedChat, getChatDelta, rememberSavedChat } from './chat-delta.js';
 import { RA_CountCharTokens, humanizedDateTime, dragElement, favsToHotswap, getMessageTimeStamp } from './RossAscends-mods.js';
 import { power_user, loadMovingUIState, sortEntitiesList } from './power-user.js';
 import { debounce_timeout } from './constants.js';
@@ -84,6 +85,7 @@ import { isExternalMediaAllowed } from './chats.js';
 import { POPUP_TYPE, Popup, callGenericPopup } from './popup.js';
 import { t } from './i18n.js';
 import { accountStorage } from './util/AccountStorage.js';
+import { notifyStorageQuotaError } from './storage-quota.js';
 
 export {
     selected_group,
@@ -562,18 +564,56 @@ function resetSelectedGroup() {
     is_group_generating = false;
 }
 
-async function saveGroupChat(groupId, shouldSaveGroup) {
-    const group = groups.find(x => x.id == groupId);
-    const chat_id = group.chat_id;
-    group['date_last_chat'] = Date.now();
+/**
+ * Sends the changes of a group chat since its last save, or the whole chat when there's no usable delta.
+ * @param {string} chatId
+ * @returns {Promise<Response|null>} Response of the save, null when nothing changed
+ */
+async function sendGroupChat(chatId) {
+    const saveKey = `group:${chatId}`;
+    const delta = getChatDelta(saveKey, null, chat);
+    if (delta && delta.ops.length === 0) {
+        return null;
+    }
+    if (delta) {
+        const deltaResponse = await fetch('/api/chats/group/save-delta', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ id: chatId, baseCount: delta.baseCount, ops: delta.ops }),
+        });
+        if (deltaResponse.ok) {
+            delta.commit();
+            return deltaResponse;
+        }
+        // A full save would be rejected too
+        if (deltaResponse.status === 413) {
+            return deltaResponse;
+        }
+        forgetSavedChat();
+    }
+
+    const snapshot = createChatSnapshot(saveKey, null, chat);
     const response = await fetch('/api/chats/group/save', {
         method: 'POST',
         headers: getRequestHeaders(),
-        body: JSON.stringify({ id: chat_id, chat: [...chat] }),
+        body: JSON.stringify({ id: chatId, chat: [...chat] }),
     });
+    if (response.ok) {
+        rememberSavedChat(snapshot);
+    } else {
+        forgetSavedChat();
+    }
+    return response;
+}
 
-    if (!response.ok) {
-        toastr.error(t`Check the server connection and reload the page to prevent data loss.`, t`Group Chat could not be saved`);
+async function saveGroupChat(groupId, shouldSaveGroup) {
+    const group = groups.find(x => x.id == groupId);
+    const chat_id = group.chat_id;
+    group['date_last_chat'] = Date.now();
+    const response = await sendGroupChat(chat_id);
+
+    if (response && !response.ok) {
+        !await notifyStorageQuotaError(response) && toastr.error(t`Check the server connection and reload the page to prevent data loss.`, t`Group Chat could not be saved`);
         console.error('Group chat could not be saved', response);
         return;
     }
@@ -2120,7 +2160,7 @@ export async function saveGroupBookmarkChat(groupId, name, metadata, mesId) {
     });
 
     if (!response.ok) {
-        toastr.error(t`Check the server connection and reload the page to prevent data loss.`, t`Group chat could not be saved`);
+        !await notifyStorageQuotaError(response) && toastr.error(t`Check the server connection and reload the page to prevent data loss.`, t`Group chat could not be saved`);
         console.error('Group chat could not be saved', response);
     }
 }
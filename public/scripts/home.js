@@ -8,6 +8,10 @@ let currentPage = 'dashboard';
 let userStatus = null;
 let checkinCountdownTimer = null;
 let leaderboardTimer = null;
+let transactionsPage = 1;
+let identityState = null;
+let twoFactorState = null;
+let restoreFile = null;
 
 // ═══════════════════════════════════════════════════════════════
 // API FUNCTIONS
@@ -72,6 +76,8 @@ const PAGE_TITLES = {
     dashboard: '仪表盘',
     checkin: '签到',
     redeem: '兑换码',
+    referrals: '邀请好友',
+    transactions: '积分流水',
     leaderboard: '排行榜',
     settings: '设置',
     about: '关于',
@@ -116,6 +122,14 @@ function navigateToPage(pageName) {
         updatePageData();
     }
 
+    if (pageName === 'transactions') {
+        loadTransactions(1);
+    }
+
+    if (pageName === 'referrals') {
+        loadReferrals();
+    }
+
     // Load leaderboard data when navigating to leaderboard page
     if (pageName === 'leaderboard') {
         loadLeaderboard();
@@ -162,6 +176,22 @@ function toggleSidebar() {
 // DATA DISPLAY FUNCTIONS
 // ═══════════════════════════════════════════════════════════════
 
+function formatDailyCost(s) {
+    const dailyFee = Number(s?.dailyFee) || 0;
+    return dailyFee > 0 ? `${dailyFee} 积分/天 + 按用量` : '按用量计费';
+}
+
+function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = Number(bytes) || 0;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${Math.round(value * 10) / 10} ${units[unit]}`;
+}
+
 function applyStatus(s) {
     userStatus = s;
 
@@ -205,7 +235,7 @@ function applyStatus(s) {
 
     const dailyCost = qs('dailyCost');
     if (dailyCost) {
-        dailyCost.textContent = s.accessOn ? '1 积分/天' : '不消耗';
+        dailyCost.textContent = s.accessOn ? formatDailyCost(s) : '不消耗';
         // Update styling for emphasis
         dailyCost.classList.toggle('highlight', s.accessOn);
     }
@@ -218,7 +248,36 @@ function applyStatus(s) {
         accessStatusText.classList.add(s.accessOn ? 'status-on' : 'status-off');
     }
 
+    const planText = qs('planText');
+    if (planText && s.plan) {
+        const expiry = s.plan.expiresAt ? ` · 至 ${new Date(s.plan.expiresAt).toLocaleDateString()}` : '';
+        planText.textContent = `${s.plan.name}${expiry}`;
+    }
+
+    const limitsText = qs('limitsText');
+    if (limitsText && s.generationLimits) {
+        const { requestsPerMinute, maxConcurrent } = s.generationLimits;
+        const rpm = requestsPerMinute > 0 ? `每分钟 ${requestsPerMinute} 次` : '不限频率';
+        const concurrent = maxConcurrent > 0 ? `同时 ${maxConcurrent} 个` : '不限并发';
+        limitsText.textContent = `${rpm} · ${concurrent}`;
+    }
+
+    const storageText = qs('storageText');
+    if (storageText && s.storage) {
+        const used = formatSize(s.storage.usage);
+        storageText.textContent = s.storage.quotaMb > 0 ? `${used} / ${formatSize(s.storage.quotaMb * 1024 * 1024)}` : `${used} · 不限`;
+    }
+
+    const checkinReward = qs('checkinReward');
+    if (checkinReward && s.plan) {
+        checkinReward.textContent = `+${s.plan.checkinReward}`;
+    }
+
     // Off days
+    document.querySelectorAll('.purge-after-days').forEach(el => {
+        el.textContent = String(s.purgeAfterDays || 30);
+    });
+
     const offDaysEls = document.querySelectorAll('#offDays');
     offDaysEls.forEach(el => {
         el.textContent = String(s.offDays || 0);
@@ -231,7 +290,7 @@ function applyStatus(s) {
         const btnText = checkinBtn.querySelector('.button-text');
         if (btnText) {
             if (s.canCheckInToday) {
-                btnText.textContent = '每日签到 +5 积分';
+                btnText.textContent = s.plan ? `每日签到 +${s.plan.checkinReward} 积分` : '每日签到';
             } else {
                 btnText.textContent = '已签到';
             }
@@ -283,11 +342,10 @@ function applyStatus(s) {
     const alertText = qs('alertText');
 
     if (alertBox && alertText) {
-        if (s.purged) {
-            alertText.textContent = '因连续关闭满 30 天，已清除账号数据。可继续签到积攒积分后再使用。';
+        if (s.purgeWarning) {
+            const daysLeft = Math.max(0, Math.ceil((s.purgeWarning.purgeAt - Date.now()) / (24 * 60 * 60 * 1000)));
+            alertText.textContent = `访问已关闭，账号数据将于 ${new Date(s.purgeWarning.purgeAt).toLocaleString()} 归档清除（剩余 ${daysLeft} 天）。开启访问即可取消清除。`;
             alertBox.classList.remove('hidden');
-            // Clear URL params after showing alert
-            clearURLParams();
         } else if (denied) {
             let msg = '无法进入 SillyTavern：';
             if (denied === 'NO_POINTS') msg += '积分不足';
@@ -600,6 +658,88 @@ async function loadLeaderboard() {
 
 // removed mock leaderboard
 
+// ═══════════════════════════════════════════════════════════════
+// TRANSACTIONS
+// ═══════════════════════════════════════════════════════════════
+
+const TRANSACTION_REASONS = {
+    initial: '初始积分',
+    checkin: '每日签到',
+    redeem: '兑换码',
+    activation_fee: '开启费用',
+    daily_fee: '每日费用',
+    generation: '生成消耗',
+    purge: '数据清除',
+    restore: '数据恢复',
+    merge: '账号合并',
+    import: '数据导入',
+    referral: '邀请奖励',
+    admin_add: '管理员增加',
+    admin_subtract: '管理员扣除',
+    admin_set: '管理员设置',
+    admin_reset: '管理员重置',
+};
+
+async function loadTransactions(page = transactionsPage) {
+    const loadingEl = qs('transactionsLoading');
+    const errorEl = qs('transactionsError');
+    const tableEl = qs('transactionsTable');
+    const bodyEl = qs('transactionsBody');
+    const prevBtn = qs('transactionsPrevBtn');
+    const nextBtn = qs('transactionsNextBtn');
+    const pageInfo = qs('transactionsPageInfo');
+
+    if (loadingEl) loadingEl.classList.remove('hidden');
+    if (errorEl) errorEl.classList.add('hidden');
+    if (tableEl) tableEl.classList.add('hidden');
+
+    try {
+        const headers = CSRF === 'disabled' ? {} : { 'x-csrf-token': CSRF };
+        const data = await fetch(`/api/account/transactions?page=${page}`, { headers }).then(r => {
+            if (!r.ok) throw new Error('transactions failed');
+            return r.json();
+        });
+
+        transactionsPage = data.page;
+        const totalPages = Math.max(1, Math.ceil(data.total / data.pageSize));
+
+        if (bodyEl) {
+            bodyEl.innerHTML = '';
+            if (data.transactions.length === 0) {
+                bodyEl.innerHTML = '<div class="table-row"><div class="table-cell" style="grid-column: 1 / -1; justify-content: center;">暂无积分变动记录</div></div>';
+            }
+            data.transactions.forEach(tx => {
+                const row = document.createElement('div');
+                row.className = 'table-row';
+                const deltaClass = tx.delta > 0 ? 'delta-positive' : 'delta-negative';
+                const deltaText = tx.delta > 0 ? `+${tx.delta}` : String(tx.delta);
+
+                row.innerHTML = `
+                    <div class="table-cell">${new Date(tx.createdAt).toLocaleString('zh-CN')}</div>
+                    <div class="table-cell">${TRANSACTION_REASONS[tx.reason] || tx.reason}</div>
+                    <div class="table-cell points-cell ${deltaClass}">${deltaText}</div>
+                    <div class="table-cell points-cell">${tx.balance}</div>
+                    <div class="table-cell"></div>
+                `;
+                row.lastElementChild.textContent = tx.note || '';
+
+                bodyEl.appendChild(row);
+            });
+        }
+
+        if (pageInfo) pageInfo.textContent = `${transactionsPage} / ${totalPages}`;
+        if (prevBtn) prevBtn.disabled = transactionsPage <= 1;
+        if (nextBtn) nextBtn.disabled = transactionsPage >= totalPages;
+
+        if (loadingEl) loadingEl.classList.add('hidden');
+        if (tableEl) tableEl.classList.remove('hidden');
+    } catch (e) {
+        console.error('Failed to load transactions:', e);
+        if (loadingEl) loadingEl.classList.add('hidden');
+        if (errorEl) errorEl.classList.remove('hidden');
+    }
+}
+
 // ═══════════════════════════════════════════════════════════════
 // REDEEM CODE FUNCTIONALITY
 // ═══════════════════════════════════════════════════════════════
@@ -628,9 +768,13 @@ async function handleRedeem() {
             resultDiv.className = 'result-message success';
             resultDiv.classList.remove('hidden');
 
-            // Optimistically update status without extra round-trip
-            const updated = { ...(userStatus || {}), points: result.points };
-            applyStatus(updated);
+            // Optimistically update status without extra round-trip, unless a plan changed the fees and limits
+            if (result.plan) {
+                applyStatus(await getStatus());
+            } else {
+                const updated = { ...(userStatus || {}), points: result.points };
+                applyStatus(updated);
+            }
 
             // Clear input
             codeInput.value = '';
@@ -671,6 +815,12 @@ function showChangePasswordDialog() {
 
         if (currentPassword) currentPassword.value = '';
         if (newPassword) newPassword.value = '';
+
+        // 第三方登录创建的账号还没有密码，只需设置新密码
+        const settingFirstPassword = identityState && !identityState.hasPassword;
+        qs('currentPasswordGroup')?.classList.toggle('hidden', !!settingFirstPassword);
+        const title = qs('passwordDialogTitle');
+        if (title) title.textContent = settingFirstPassword ? '设置密码' : '修改密码';
         if (confirmNewPassword) confirmNewPassword.value = '';
         if (passwordError) {
             passwordError.textContent = '';
@@ -704,8 +854,10 @@ async function handleChangePassword() {
     const newPassword = qs('newPassword')?.value || '';
     const confirmNewPassword = qs('confirmNewPassword')?.value || '';
 
+    const settingFirstPassword = identityState && !identityState.hasPassword;
+
     // 验证输入
-    if (!currentPassword) {
+    if (!currentPassword && !settingFirstPassword) {
         return showPasswordError('请输入当前密码');
     }
 
@@ -742,6 +894,8 @@ async function handleChangePassword() {
         // 成功后关闭对话框并显示提示
         hideChangePasswordDialog();
         showToast(result.message || '密码修改成功', 'success', 3000);
+        await loadIdentities();
+        await loadSessions();
 
     } catch (e) {
         showPasswordError(e.error || e.message || '修改密码失败，请稍后重试');
@@ -751,6 +905,517 @@ async function handleChangePassword() {
     }
 }
 
+// ═══════════════════════════════════════════════════════════════
+// LOGIN METHODS
+// ═══════════════════════════════════════════════════════════════
+
+const LINK_ERRORS = {
+    taken: '该第三方账号已绑定到其他账号，如需合并请联系管理员',
+    failed: '绑定失败，请稍后重试',
+};
+
+function createIdentityRow(label, status, buttonText, onClick) {
+    const row = document.createElement('div');
+    row.className = 'identity-row';
+
+    const info = document.createElement('div');
+    const name = document.createElement('div');
+    name.textContent = label;
+    const statusEl = document.createElement('div');
+    statusEl.className = 'identity-status';
+    statusEl.textContent = status;
+    info.append(name, statusEl);
+    row.append(info);
+    if (!buttonText) return row;
+
+    const button = document.createElement('button');
+    button.className = 'pixel-button small';
+    button.innerHTML = '<span class="button-content"><span class="button-text"></span></span>';
+    button.querySelector('.button-text').textContent = buttonText;
+    button.addEventListener('click', onClick);
+
+    row.append(button);
+    return row;
+}
+
+async function loadIdentities() {
+    const list = qs('identityList');
+    if (!list) return;
+
+    try {
+        const res = await fetch('/api/account/identities');
+        if (!res.ok) throw new Error('identities failed');
+        identityState = await res.json();
+    } catch {
+        return;
+    }
+
+    const { handle, hasPassword, recoveryEmail, emailRecovery, identities, providers } = identityState;
+    const changePasswordText = qs('changePasswordBtn')?.querySelector('.button-text');
+    if (changePasswordText) changePasswordText.textContent = hasPassword ? '修改密码' : '设置密码';
+    const desc = qs('identityDesc');
+    if (desc) {
+        desc.textContent = hasPassword
+            ? `绑定多个第三方账号后，用其中任意一个都能登录此账号。密码登录的用户名为 ${handle}`
+            : '绑定多个第三方账号后，用其中任意一个都能登录此账号。设置密码后也可以用户名密码登录';
+    }
+
+    list.innerHTML = '';
+    // 找回邮箱只对密码登录有意义；站点未配置发信时也允许预先填写
+    if (hasPassword) {
+        const status = recoveryEmail
+            ? `${recoveryEmail}${emailRecovery ? '' : '（本站暂未开启邮件找回）'}`
+            : '未设置，忘记密码时只能联系管理员';
+        list.append(createIdentityRow('找回邮箱', status, recoveryEmail ? '修改' : '设置', showRecoveryEmailDialog));
+    }
+    try {
+        const res = await fetch('/api/account/2fa');
+        if (!res.ok) throw new Error('2fa failed');
+        twoFactorState = await res.json();
+        const status = twoFactorState.enabled
+            ? `已开启，剩余恢复码 ${twoFactorState.recoveryCodesLeft} 个`
+            : '未开启，登录时只需要密码或第三方账号';
+        list.append(createIdentityRow('两步验证', status, twoFactorState.enabled ? '管理' : '开启', showTwoFactorDialog));
+    } catch {
+        twoFactorState = null;
+    }
+    for (const identity of identities) {
+        const detail = [identity.name, identity.email].filter(Boolean).join(' · ') || identity.subject;
+        list.append(createIdentityRow(identity.providerName, `已绑定：${detail}`, '解绑', () => handleUnlinkIdentity(identity)));
+    }
+    const linkedProviders = new Set(identities.map(identity => identity.provider));
+    for (const provider of providers) {
+        if (linkedProviders.has(provider.id)) continue;
+        list.append(createIdentityRow(provider.name, '未绑定', '绑定', () => {
+            location.href = `/auth/${encodeURIComponent(provider.id)}?link=1`;
+        }));
+    }
+}
+
+function showRecoveryEmailDialog() {
+    const dialog = qs('recoveryEmailDialog');
+    if (!dialog) return;
+
+    qs('recoveryEmailInput').value = identityState?.recoveryEmail || '';
+    qs('recoveryEmailPassword').value = '';
+    qs('recoveryEmailPasswordGroup')?.classList.toggle('hidden', !identityState?.hasPassword);
+    showRecoveryEmailError('');
+    dialog.classList.remove('hidden');
+}
+
+function hideRecoveryEmailDialog() {
+    qs('recoveryEmailDialog')?.classList.add('hidden');
+}
+
+function showRecoveryEmailError(msg) {
+    const el = qs('recoveryEmailError');
+    if (!el) return;
+    el.textContent = msg || '';
+    el.classList.toggle('hidden', !msg);
+}
+
+async function handleSaveRecoveryEmail() {
+    const email = String(qs('recoveryEmailInput')?.value || '').trim();
+    const currentPassword = qs('recoveryEmailPassword')?.value || '';
+
+    if (email && !/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(email)) {
+        return showRecoveryEmailError('邮箱格式不正确');
+    }
+    if (identityState?.hasPassword && !currentPassword) {
+        return showRecoveryEmailError('请输入当前密码');
+    }
+
+    const confirmBtn = qs('recoveryEmailConfirm');
+    try {
+        showRecoveryEmailError('');
+        if (confirmBtn) confirmBtn.disabled = true;
+        const result = await postJSON('/api/account/recovery-email', { email, currentPassword });
+        hideRecoveryEmailDialog();
+        showToast(result.message || '找回邮箱已保存', 'success', 3000);
+        await loadIdentities();
+    } catch (e) {
+        showRecoveryEmailError(e.message || '保存失败，请稍后重试');
+    } finally {
+        if (confirmBtn) confirmBtn.disabled = false;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TWO-FACTOR AUTHENTICATION
+// ═══════════════════════════════════════════════════════════════
+
+// 'enable': 扫码并确认；'manage': 关闭或重新生成恢复码；'codes': 展示新的恢复码
+let twoFactorMode = 'enable';
+
+function setTwoFactorMode(mode, hint) {
+    twoFactorMode = mode;
+    qs('twoFactorHint').textContent = hint;
+    qs('twoFactorSetup')?.classList.toggle('hidden', mode !== 'enable');
+    qs('twoFactorCodes')?.classList.toggle('hidden', mode !== 'codes');
+    qs('twoFactorCodeGroup')?.classList.toggle('hidden', mode === 'codes');
+    qs('twoFactorRegenerate')?.classList.toggle('hidden', mode !== 'manage');
+    qs('twoFactorCancel')?.classList.toggle('hidden', mode === 'codes');
+    const confirmText = { enable: '确认开启', manage: '关闭两步验证', codes: '我已保存' }[mode];
+    qs('twoFactorConfirm').querySelector('.button-text').textContent = confirmText;
+    qs('twoFactorCodeInput').value = '';
+    showTwoFactorError('');
+}
+
+async function showTwoFactorDialog() {
+    const dialog = qs('twoFactorDialog');
+    if (!dialog) return;
+
+    if (twoFactorState?.enabled) {
+        setTwoFactorMode('manage', '关闭两步验证或重新生成恢复码前，请输入验证器中的验证码或一个恢复码。');
+    } else {
+        try {
+            const { secret, uri } = await postJSON('/api/account/2fa/setup', {});
+            const qr = qs('twoFactorQr');
+            qr.innerHTML = '';
+            // 二维码库来自 CDN，加载失败时仍可手动输入密钥
+            if (window.qrcode) {
+                const code = window.qrcode(0, 'M');
+                code.addData(uri);
+                code.make();
+                qr.innerHTML = code.createSvgTag(4, 8);
+            }
+            qs('twoFactorSecret').textContent = secret;
+        } catch (e) {
+            return showToast(e.message || '生成密钥失败', 'error', 4000);
+        }
+        setTwoFactorMode('enable', '用验证器 App（如 Google Authenticator、Microsoft Authenticator）扫描二维码或手动输入密钥，然后输入显示的 6 位验证码。');
+    }
+    dialog.classList.remove('hidden');
+}
+
+function hideTwoFactorDialog() {
+    qs('twoFactorDialog')?.classList.add('hidden');
+}
+
+function showTwoFactorError(msg) {
+    const el = qs('twoFactorError');
+    if (!el) return;
+    el.textContent = msg || '';
+    el.classList.toggle('hidden', !msg);
+}
+
+function showRecoveryCodes(codes) {
+    const list = qs('twoFactorCodes');
+    list.innerHTML = '';
+    for (const code of codes) {
+        const item = document.createElement('span');
+        item.textContent = code;
+        list.append(item);
+    }
+    setTwoFactorMode('codes', '丢失手机时可用以下恢复码代替验证码登录，每个只能使用一次。关闭后无法再次查看，请妥善保存。');
+}
+
+async function handleTwoFactorConfirm() {
+    if (twoFactorMode === 'codes') {
+        hideTwoFactorDialog();
+        return loadIdentities();
+    }
+
+    const code = String(qs('twoFactorCodeInput')?.value || '').trim();
+    if (!code) {
+        return showTwoFactorError('请输入验证码');
+    }
+
+    const confirmBtn = qs('twoFactorConfirm');
+    try {
+        showTwoFactorError('');
+        if (confirmBtn) confirmBtn.disabled = true;
+        if (twoFactorMode === 'enable') {
+            const result = await postJSON('/api/account/2fa/enable', { code });
+            showToast(result.message || '两步验证已开启', 'success', 3000);
+            showRecoveryCodes(result.recoveryCodes);
+        } else {
+            const result = await postJSON('/api/account/2fa/disable', { code });
+            hideTwoFactorDialog();
+            showToast(result.message || '两步验证已关闭', 'success', 3000);
+            await loadIdentities();
+        }
+    } catch (e) {
+        showTwoFactorError(e.message || '操作失败，请稍后重试');
+    } finally {
+        if (confirmBtn) confirmBtn.disabled = false;
+    }
+}
+
+async function handleRegenerateRecoveryCodes() {
+    const code = String(qs('twoFactorCodeInput')?.value || '').trim();
+    if (!code) {
+        return showTwoFactorError('请输入验证码');
+    }
+
+    try {
+        showTwoFactorError('');
+        const result = await postJSON('/api/account/2fa/recovery-codes', { code });
+        showRecoveryCodes(result.recoveryCodes);
+    } catch (e) {
+        showTwoFactorError(e.message || '操作失败，请稍后重试');
+    }
+}
+
+async function handleUnlinkIdentity(identity) {
+    const confirmed = await showConfirmDialog('解绑登录方式', `确定要解绑 ${identity.providerName} 账号吗？解绑后将无法再用它登录此账号。`, '解绑', '取消');
+    if (!confirmed) return;
+
+    try {
+        await postJSON('/api/account/identities/unlink', { provider: identity.provider, subject: identity.subject });
+        showToast('已解绑', 'success', 3000);
+    } catch (e) {
+        showToast(e.message || '解绑失败', 'error', 4000);
+    }
+    await loadIdentities();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SIGNED-IN DEVICES
+// ═══════════════════════════════════════════════════════════════
+
+const SESSION_METHOD_LABELS = {
+    password: '密码登录',
+    oauth: '第三方登录',
+    register: '注册',
+    legacy: '早前登录',
+};
+
+async function loadSessions() {
+    const list = qs('sessionList');
+    if (!list) return;
+
+    let sessions;
+    try {
+        const res = await fetch('/api/account/sessions');
+        if (!res.ok) throw new Error('sessions failed');
+        ({ sessions } = await res.json());
+    } catch {
+        return;
+    }
+
+    list.innerHTML = '';
+    for (const session of sessions) {
+        const label = session.current ? `${session.device}（当前设备）` : session.device;
+        const status = `${session.ip} · ${SESSION_METHOD_LABELS[session.method] || session.method} · 最近活动 ${new Date(session.lastSeenAt).toLocaleString('zh-CN')}`;
+        list.append(createIdentityRow(label, status, '下线', () => handleRevokeSession(session)));
+    }
+    qs('revokeOtherSessionsBtn')?.classList.toggle('hidden', !sessions.some(session => !session.current));
+}
+
+async function handleRevokeSession(session) {
+    const message = session.current
+        ? '这是当前设备，下线后需要重新登录。确定要下线吗？'
+        : `确定要下线 ${session.device}（${session.ip}）吗？`;
+    const confirmed = await showConfirmDialog('下线设备', message, '下线', '取消');
+    if (!confirmed) return;
+
+    try {
+        await postJSON('/api/account/sessions/revoke', { id: session.id });
+        if (session.current) {
+            location.href = '/login.html';
+            return;
+        }
+        showToast('设备已下线', 'success', 3000);
+    } catch (e) {
+        showToast(e.message || '下线失败', 'error', 4000);
+    }
+    await loadSessions();
+}
+
+async function handleRevokeOtherSessions() {
+    const confirmed = await showConfirmDialog('下线其他设备', '确定要下线除当前设备外的所有设备吗？', '下线', '取消');
+    if (!confirmed) return;
+
+    try {
+        const result = await postJSON('/api/account/sessions/revoke-others', {});
+        showToast(result.message || '其他设备已下线', 'success', 3000);
+    } catch (e) {
+        showToast(e.message || '下线失败', 'error', 4000);
+    }
+    await loadSessions();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// REFERRALS
+// ═══════════════════════════════════════════════════════════════
+
+async function loadReferrals() {
+    const list = qs('referralList');
+    if (!list) return;
+
+    let data;
+    try {
+        const res = await fetch('/api/account/referrals');
+        if (!res.ok) throw new Error('referrals failed');
+        data = await res.json();
+    } catch {
+        showToast('无法加载邀请码', 'error', 4000);
+        return;
+    }
+
+    qs('referralQuotaText').textContent = data.quota > 0
+        ? `还可生成 ${data.remaining} 个，共 ${data.quota} 个`
+        : '当前套餐不能生成邀请码';
+    qs('createReferralBtn')?.classList.toggle('hidden', data.remaining <= 0);
+    qs('referralTermsText').textContent = data.bonusPoints > 0
+        ? `好友用你的邀请码注册，并在 ${data.qualifyingDays} 天里使用酒馆后，你将获得 ${data.bonusPoints} 积分`
+        : '好友可以用你的邀请码注册';
+
+    list.innerHTML = '';
+    for (const code of data.codes) {
+        let status;
+        if (code.used) {
+            if (!code.qualified) {
+                status = `${code.usedBy} 已注册，已活跃 ${code.activeDays}/${data.qualifyingDays} 天`;
+            } else if (code.review === 'pending') {
+                status = `${code.usedBy} 已达标，奖励待管理员审核`;
+            } else if (code.review === 'rejected') {
+                status = `${code.usedBy} 已达标，奖励未通过审核`;
+            } else {
+                status = `${code.usedBy} 已达标，奖励 ${code.bonus} 积分`;
+            }
+            list.append(createIdentityRow(code.code, status));
+        } else if (code.expiresAt && code.expiresAt < Date.now()) {
+            list.append(createIdentityRow(code.code, '已过期'));
+        } else {
+            status = code.expiresAt ? `未使用 · ${new Date(code.expiresAt).toLocaleDateString('zh-CN')} 过期` : '未使用';
+            list.append(createIdentityRow(code.code, status, '复制链接', () => copyReferralLink(code.code)));
+        }
+    }
+}
+
+async function copyReferralLink(code) {
+    const url = new URL('/register.html', location.origin);
+    url.searchParams.set('invite', code);
+    try {
+        await navigator.clipboard.writeText(url.toString());
+        showToast('邀请链接已复制', 'success', 3000);
+    } catch {
+        showToast(`邀请链接：${url}`, 'info', 8000);
+    }
+}
+
+async function handleCreateReferral() {
+    try {
+        const result = await postJSON('/api/account/referrals/codes', {});
+        showToast(result.message || '邀请码已生成', 'success', 3000);
+    } catch (e) {
+        showToast(e.message || '生成邀请码失败', 'error', 4000);
+    }
+    await loadReferrals();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DATA TRANSFER
+// ═══════════════════════════════════════════════════════════════
+
+async function handleDownloadBackup() {
+    try {
+        const headers = CSRF === 'disabled' ? {} : { 'x-csrf-token': CSRF };
+        const res = await fetch('/api/users/backup', { method: 'POST', headers });
+        if (!res.ok) throw new Error('backup failed');
+
+        const fileName = /filename="?([^";]+)"?/.exec(res.headers.get('Content-Disposition') || '')?.[1] || 'backup.zip';
+        const url = URL.createObjectURL(await res.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch {
+        showToast('下载备份失败', 'error', 4000);
+    }
+}
+
+async function postRestore(file, mode) {
+    const form = new FormData();
+    form.append('avatar', file);
+    if (mode) form.append('mode', mode);
+
+    const headers = CSRF === 'disabled' ? {} : { 'x-csrf-token': CSRF };
+    const res = await fetch('/api/users/restore', { method: 'POST', headers, body: form });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || '导入失败');
+    return data;
+}
+
+function resetRestore() {
+    restoreFile = null;
+    qs('restoreFileInput').value = '';
+    qs('restorePreview')?.classList.add('hidden');
+    qs('restoreActions')?.classList.add('hidden');
+}
+
+async function handleRestoreFileSelected() {
+    const file = qs('restoreFileInput')?.files?.[0];
+    if (!file) return;
+
+    let preview;
+    try {
+        ({ preview } = await postRestore(file));
+    } catch (e) {
+        resetRestore();
+        showToast(e.message, 'error', 4000);
+        return;
+    }
+
+    restoreFile = file;
+    const list = qs('restorePreview');
+    list.innerHTML = '';
+    const source = `${preview.source.name}（${preview.source.handle}）· ${new Date(preview.source.exportedAt).toLocaleString('zh-CN')}`;
+    list.append(createIdentityRow('来源', source));
+    list.append(createIdentityRow('文件', `${preview.fileCount} 个，共 ${formatSize(preview.totalSize)}`));
+    const conflicts = preview.conflictCount > 0
+        ? `${preview.conflictCount} 个文件已存在：${preview.conflicts.join('、')}${preview.conflictCount > preview.conflicts.length ? ' 等' : ''}`
+        : '无';
+    list.append(createIdentityRow('冲突', conflicts));
+    const account = preview.account.restore
+        ? `将导入 ${preview.account.points ?? 0} 积分`
+        : preview.account.reason;
+    list.append(createIdentityRow('账户信息', account));
+    list.classList.remove('hidden');
+    qs('restoreActions')?.classList.remove('hidden');
+}
+
+async function handleRestore(mode) {
+    if (!restoreFile) return;
+
+    const message = mode === 'replace'
+        ? '替换会删除当前的全部酒馆数据，再写入备份中的文件，此操作不可撤销。确定要替换吗？'
+        : '合并会写入当前没有的文件，已存在的文件保留当前版本。确定要合并吗？';
+    const confirmed = await showConfirmDialog(mode === 'replace' ? '替换数据' : '合并数据', message, mode === 'replace' ? '替换' : '合并', '取消');
+    if (!confirmed) return;
+
+    try {
+        const result = await postRestore(restoreFile, mode);
+        let text = `已导入 ${result.written} 个文件`;
+        if (result.skipped > 0) text += `，跳过 ${result.skipped} 个`;
+        if (result.accountRestored) text += `，积分变动 ${result.points}`;
+        showToast(text, 'success', 5000);
+        resetRestore();
+        const s = await getStatus();
+        applyStatus(s);
+    } catch (e) {
+        showToast(e.message, 'error', 4000);
+    }
+}
+
+function showLinkResult() {
+    const params = new URLSearchParams(location.search);
+    const linked = params.get('linked');
+    const linkError = params.get('linkError');
+    if (!linked && !linkError) return;
+
+    if (linked) {
+        showToast('登录方式绑定成功', 'success', 3000);
+    } else {
+        showToast(LINK_ERRORS[linkError] || LINK_ERRORS.failed, 'error', 5000);
+    }
+    clearURLParams();
+    navigateToPage('settings');
+}
+
 async function setupEventHandlers() {
     // Alert close button
     const alertClose = qs('alertClose');
@@ -972,7 +1637,7 @@ async function setupEventHandlers() {
                     accessLabel.textContent = '已开启';
                 }
                 if (dailyCost) {
-                    dailyCost.textContent = '1 积分/天';
+                    dailyCost.textContent = formatDailyCost(userStatus);
                 }
                 if (accessStatusText) {
                     accessStatusText.textContent = '开启';
@@ -1010,6 +1675,17 @@ async function setupEventHandlers() {
         });
     }
 
+    // Transactions pager
+    const transactionsPrevBtn = qs('transactionsPrevBtn');
+    if (transactionsPrevBtn) {
+        transactionsPrevBtn.addEventListener('click', () => loadTransactions(transactionsPage - 1));
+    }
+
+    const transactionsNextBtn = qs('transactionsNextBtn');
+    if (transactionsNextBtn) {
+        transactionsNextBtn.addEventListener('click', () => loadTransactions(transactionsPage + 1));
+    }
+
     // Logout button
     const logoutBtn = qs('logoutBtn');
     if (logoutBtn) {
@@ -1041,6 +1717,26 @@ async function setupEventHandlers() {
         passwordCancel.addEventListener('click', hideChangePasswordDialog);
     }
 
+    // Recovery email dialog handlers
+    qs('recoveryEmailConfirm')?.addEventListener('click', handleSaveRecoveryEmail);
+    qs('recoveryEmailCancel')?.addEventListener('click', hideRecoveryEmailDialog);
+
+    qs('revokeOtherSessionsBtn')?.addEventListener('click', handleRevokeOtherSessions);
+
+    qs('createReferralBtn')?.addEventListener('click', handleCreateReferral);
+
+    // Data transfer handlers
+    qs('downloadBackupBtn')?.addEventListener('click', handleDownloadBackup);
+    qs('chooseRestoreFileBtn')?.addEventListener('click', () => qs('restoreFileInput')?.click());
+    qs('restoreFileInput')?.addEventListener('change', handleRestoreFileSelected);
+    qs('restoreMergeBtn')?.addEventListener('click', () => handleRestore('merge'));
+    qs('restoreReplaceBtn')?.addEventListener('click', () => handleRestore('replace'));
+
+    // Two-factor dialog handlers
+    qs('twoFactorConfirm')?.addEventListener('click', handleTwoFactorConfirm);
+    qs('twoFactorRegenerate')?.addEventListener('click', handleRegenerateRecoveryCodes);
+    qs('twoFactorCancel')?.addEventListener('click', hideTwoFactorDialog);
+
     // Periodic refresh
     setInterval(async () => {
         try {
@@ -1278,6 +1974,10 @@ async function init() {
     // Setup event handlers
     await setupEventHandlers();
 
+    await loadIdentities();
+    await loadSessions();
+    showLinkResult();
+
     // Initialize animations
     if (window.Motion) {
         new PixelParticleSystem('particles', 25);
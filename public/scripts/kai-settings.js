@@ -21,6 +21,7 @@ import {
 } from './power-user.js';
 import { getEventSourceStream } from './sse-stream.js';
 import { getSortableDelay, versionCompare } from './utils.js';
+import { showGenerationLimitError } from './generation-limits.js';
 
 export let koboldai_settings;
 export let koboldai_setting_names;
@@ -217,7 +218,7 @@ function tryParseStreamingError(response, decoded) {
         }
 
         if (data.error) {
-            toastr.error(data.error.message || response.statusText, 'KoboldAI API');
+            !showGenerationLimitError(data) && toastr.error(data.error.message || response.statusText, 'KoboldAI API');
             throw new Error(data);
         }
     }
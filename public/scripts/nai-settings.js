@@ -20,6 +20,7 @@ import {
 } from './utils.js';
 import { BIAS_CACHE, createNewLogitBiasEntry, displayLogitBias, getLogitBiasListResult } from './logit-bias.js';
 import { SECRET_KEYS, secret_state, writeSecret } from './secrets.js';
+import { showGenerationLimitError } from './generation-limits.js';
 
 const default_preamble = '[ Style: chat, complex, sensory, visceral ]';
 const default_order = [1, 5, 0, 2, 3, 4];
@@ -735,7 +736,7 @@ function tryParseStreamingError(response, decoded) {
         }
 
         if (data.message || data.error) {
-            toastr.error(data.message || data.error?.message || response.statusText, 'NovelAI API');
+            !showGenerationLimitError(data) && toastr.error(data.message || data.error?.message || response.statusText, 'NovelAI API');
             throw new Error(data);
         }
     }
@@ -206,6 +206,54 @@ function addButtonEffects() {
     });
 }
 
+// ═══════════════════════════════════════════════════════════════
+// LOGIN PROVIDERS - Buttons for the providers configured on the server
+// ═══════════════════════════════════════════════════════════════
+
+async function renderProviderButtons() {
+    const section = document.querySelector('.buttons-section');
+    if (!section) return;
+
+    let providers;
+    try {
+        const res = await fetch('/auth/providers');
+        if (!res.ok) return;
+        ({ providers } = await res.json());
+    } catch (err) {
+        console.warn('Failed to load login providers:', err);
+        return;
+    }
+    if (!Array.isArray(providers)) return;
+
+    // 内置按钮带有图标，未配置的提供方直接移除
+    const enabled = new Set(providers.map(provider => provider.id));
+    section.querySelectorAll('.pixel-button[data-platform]').forEach(button => {
+        if (!enabled.has(button.dataset.platform)) {
+            button.remove();
+        }
+    });
+
+    const anchor = document.getElementById('btn-register');
+    for (const provider of providers) {
+        if (section.querySelector(`.pixel-button[data-platform="${CSS.escape(provider.id)}"]`)) continue;
+
+        const button = document.createElement('a');
+        button.href = `/auth/${encodeURIComponent(provider.id)}`;
+        button.className = 'pixel-button';
+        button.dataset.platform = provider.id;
+        button.innerHTML = `
+            <span class="button-corners"></span>
+            <span class="button-content">
+                <span class="button-icon">▸</span>
+                <span class="button-text"></span>
+            </span>
+            <span class="button-hover-effect"></span>
+        `;
+        button.querySelector('.button-text').textContent = `使用 ${provider.name} 登录`;
+        section.insertBefore(button, anchor);
+    }
+}
+
 // ═══════════════════════════════════════════════════════════════
 // MAIN ANIMATION SEQUENCE
 // ═══════════════════════════════════════════════════════════════
@@ -302,10 +350,13 @@ function initializeAnimations() {
 // INITIALIZATION
 // ═══════════════════════════════════════════════════════════════
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     // Initialize particle system with more particles
     new PixelParticleSystem('particles', 30);
 
+    // Buttons must exist before the entrance animation picks them up
+    await renderProviderButtons();
+
     // Start animations immediately
     initializeAnimations();
 
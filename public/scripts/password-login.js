@@ -45,6 +45,138 @@ function validatePassword(password) {
     return { valid: true, message: '' };
 }
 
+async function postJSON(url, body) {
+    const token = await getCsrfToken();
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token && token !== 'disabled' ? { 'X-CSRF-Token': token } : {}),
+        },
+        body: JSON.stringify(body),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        throw new Error(data.error || '请求失败，请稍后重试');
+    }
+    return data;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PASSWORD RECOVERY
+// ═══════════════════════════════════════════════════════════════
+
+function showRecoverError(msg) {
+    const el = $('#recoverError');
+    if (!el) return;
+    el.textContent = msg || '';
+    if (msg) el.classList.remove('hidden'); else el.classList.add('hidden');
+}
+
+function toggleRecoverForm(show) {
+    $('#loginForm')?.classList.toggle('hidden', show);
+    $('#recoverForm')?.classList.toggle('hidden', !show);
+    showError('');
+    showRecoverError('');
+    if (show) {
+        $('#recoverHandle').value = String($('#loginHandle')?.value || '').trim();
+    }
+}
+
+async function requestResetCode() {
+    const handle = String($('#recoverHandle')?.value || '').trim();
+    const handleValidation = validateHandle(handle);
+    if (!handleValidation.valid) {
+        return showRecoverError(handleValidation.message);
+    }
+
+    const btn = $('#recoverRequest');
+    try {
+        showRecoverError('');
+        if (btn) btn.disabled = true;
+        const data = await postJSON('/api/users/recover-step1', { handle });
+        $('#recoverNotice').textContent = data.method === 'email'
+            ? '如果该账号绑定了找回邮箱，重置码已发送，请查收邮件（也可能在垃圾邮件中）。'
+            : '本站未开启邮件找回，请联系管理员获取重置码。';
+    } catch (e) {
+        showRecoverError(e.message);
+    } finally {
+        if (btn) btn.disabled = false;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TWO-FACTOR STEP
+// ═══════════════════════════════════════════════════════════════
+
+function showTwoFactorError(msg) {
+    const el = $('#twoFactorError');
+    if (!el) return;
+    el.textContent = msg || '';
+    if (msg) el.classList.remove('hidden'); else el.classList.add('hidden');
+}
+
+function showTwoFactorForm() {
+    $('#loginForm')?.classList.add('hidden');
+    $('#recoverForm')?.classList.add('hidden');
+    $('#twoFactorForm')?.classList.remove('hidden');
+    $('#twoFactorCode')?.focus();
+}
+
+async function submitTwoFactor() {
+    const code = String($('#twoFactorCode')?.value || '').trim();
+    if (!code) {
+        return showTwoFactorError('请输入验证码');
+    }
+
+    const btn = $('#twoFactorSubmit');
+    try {
+        showTwoFactorError('');
+        if (btn) btn.disabled = true;
+        const data = await postJSON('/api/users/login-2fa', { code });
+        if (typeof data.recoveryCodesLeft === 'number') {
+            alert(`已使用恢复码登录，剩余 ${data.recoveryCodesLeft} 个。请尽快在主页的账户安全中重新生成恢复码。`);
+        }
+        location.href = '/';
+    } catch (e) {
+        showTwoFactorError(e.message);
+        if (btn) btn.disabled = false;
+    }
+}
+
+async function submitRecovery() {
+    const handle = String($('#recoverHandle')?.value || '').trim();
+    const code = String($('#recoverCode')?.value || '').trim();
+    const newPassword = String($('#recoverPassword')?.value || '');
+
+    const handleValidation = validateHandle(handle);
+    if (!handleValidation.valid) {
+        return showRecoverError(handleValidation.message);
+    }
+    if (!code) {
+        return showRecoverError('请输入重置码');
+    }
+    const passwordValidation = validatePassword(newPassword);
+    if (!passwordValidation.valid) {
+        return showRecoverError(passwordValidation.message);
+    }
+
+    const btn = $('#recoverSubmit');
+    try {
+        showRecoverError('');
+        if (btn) btn.disabled = true;
+        await postJSON('/api/users/recover-step2', { handle, code, newPassword });
+        const data = await postJSON('/api/users/login', { handle, password: newPassword });
+        if (data.twoFactorRequired) {
+            return showTwoFactorForm();
+        }
+        location.href = '/';
+    } catch (e) {
+        showRecoverError(e.message);
+        if (btn) btn.disabled = false;
+    }
+}
+
 async function submitLogin() {
     const handle = String($('#loginHandle')?.value || '').trim();
     const password = String($('#loginPassword')?.value || '');
@@ -83,6 +215,11 @@ async function submitLogin() {
 
         const data = await res.json();
 
+        if (data.twoFactorRequired) {
+            if (btn) btn.disabled = false;
+            return showTwoFactorForm();
+        }
+
         if (data.handle) {
             console.log(`Successfully logged in as ${data.handle}!`);
             // 登录成功，跳转到用户主界面
@@ -99,9 +236,29 @@ function init() {
     const btn = $('#loginSubmit');
     if (btn) btn.addEventListener('click', submitLogin);
 
+    $('#showRecover')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        toggleRecoverForm(true);
+    });
+    $('#showLogin')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        toggleRecoverForm(false);
+    });
+    $('#recoverRequest')?.addEventListener('click', requestResetCode);
+    $('#recoverSubmit')?.addEventListener('click', submitRecovery);
+    $('#twoFactorSubmit')?.addEventListener('click', submitTwoFactor);
+
+    // 第三方登录后需要两步验证
+    if (new URLSearchParams(location.search).get('twoFactor') === '1') {
+        showTwoFactorForm();
+    }
+
     // 监听回车键
     document.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') submitLogin();
+        if (e.key !== 'Enter') return;
+        if (!$('#twoFactorForm')?.classList.contains('hidden')) submitTwoFactor();
+        else if ($('#recoverForm')?.classList.contains('hidden')) submitLogin();
+        else submitRecovery();
     });
 
     // Initialize animations
@@ -248,8 +405,8 @@ function initializeAnimations() {
             { duration: 0.4, delay: stagger(0.1, { start: 0.7 }) }
         );
 
-        // Animate submit button
-        animate('#loginSubmit',
+        // Animate submit buttons
+        animate('#loginSubmit, #recoverRequest, #recoverSubmit, #twoFactorSubmit',
             { opacity: [0, 1], scale: [0.95, 1] },
             { duration: 0.4, delay: 1.0 }
         );
@@ -290,6 +447,9 @@ function initializeAnimations() {
             '.pixel-description',
             '.form-field',
             '#loginSubmit',
+            '#recoverRequest',
+            '#recoverSubmit',
+            '#twoFactorSubmit',
             '.login-footer',
             '.pixel-footer',
             '.corner-decoration',
@@ -312,7 +472,7 @@ setTimeout(() => {
     const container = document.querySelector('.glitch-container');
     if (container && window.getComputedStyle(container).opacity === '0') {
         console.warn('Emergency fallback: forcing all elements visible');
-        document.querySelectorAll('.glitch-container, .pixel-grid, .back-button-container, .logo-container, .pixel-title, .subtitle-container, .pixel-description, .form-field, #loginSubmit, .login-footer, .pixel-footer, .corner-decoration, #particles, .pixel-card').forEach(el => {
+        document.querySelectorAll('.glitch-container, .pixel-grid, .back-button-container, .logo-container, .pixel-title, .subtitle-container, .pixel-description, .form-field, #loginSubmit, #recoverRequest, #recoverSubmit, #twoFactorSubmit, .login-footer, .pixel-footer, .corner-decoration, #particles, .pixel-card').forEach(el => {
             if (el) el.style.opacity = '1';
         });
     }
@@ -40,6 +40,7 @@ import { commonEnumProviders } from './slash-commands/SlashCommandCommonEnumsPro
 import { SlashCommandEnumValue } from './slash-commands/SlashCommandEnumValue.js';
 import { SlashCommandParser } from './slash-commands/SlashCommandParser.js';
 import { isFirefox } from './browser-fixes.js';
+import { notifyStorageQuotaError } from './storage-quota.js';
 
 /**
  * @typedef {object} PersonaConnection A connection between a character and a character or group entity
@@ -334,6 +335,7 @@ async function uploadUserAvatar(url, name) {
     });
 
     if (!response.ok) {
+        await notifyStorageQuotaError(response);
         throw new Error(`Failed to upload avatar: ${response.statusText}`);
     }
 
@@ -407,6 +409,8 @@ async function changeUserAvatar(e) {
         }
 
         await getUserAvatars(true, dataPath || overwriteName);
+    } else {
+        await notifyStorageQuotaError(response);
     }
 
     // Will allow to select the same file twice in a row
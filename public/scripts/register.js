@@ -86,6 +86,7 @@ async function submitRegister() {
     const handle = String($('#regHandle')?.value || '').trim();
     const password = String($('#regPassword')?.value || '');
     const pass2 = String($('#regPassword2')?.value || '');
+    const email = String($('#regEmail')?.value || '').trim();
 
     // 验证邀请码
     if (!code) {
@@ -113,6 +114,11 @@ async function submitRegister() {
         return showError('两次输入的密码不一致');
     }
 
+    // 验证找回邮箱（选填）
+    if (email && !/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(email)) {
+        return showError('邮箱格式不正确');
+    }
+
     try {
         showError('');
         const btn = $('#regSubmit');
@@ -125,7 +131,7 @@ async function submitRegister() {
                 'Content-Type': 'application/json',
                 ...(token && token !== 'disabled' ? { 'X-CSRF-Token': token } : {}),
             },
-            body: JSON.stringify({ code, handle, password }),
+            body: JSON.stringify({ code, handle, password, email }),
         });
 
         if (!res.ok) {
@@ -2871,33 +2871,7 @@ export function initDefaultSlashCommands() {
                 return '';
             }
 
-            // Load more messages if needed
-            const firstDisplayedMessageId = getFirstDisplayedMessageId();
-            if (isFinite(firstDisplayedMessageId) && messageIndex < firstDisplayedMessageId) {
-                const needToLoadCount = firstDisplayedMessageId - messageIndex;
-                await showMoreMessages(needToLoadCount);
-                await delay(1);
-            }
-
-            const chatContainer = document.getElementById('chat');
-            const messageElement = document.querySelector(`#chat .mes[mesid="${messageIndex}"]`);
-
-            if (messageElement instanceof HTMLElement && chatContainer instanceof HTMLElement) {
-                const elementRect = messageElement.getBoundingClientRect();
-                const containerRect = chatContainer.getBoundingClientRect();
-
-                const scrollPosition = elementRect.top - containerRect.top + chatContainer.scrollTop;
-                chatContainer.scrollTo({
-                    top: scrollPosition,
-                    behavior: 'smooth',
-                });
-
-                flashHighlight($(messageElement), 2000);
-            } else {
-                toastr.warning(t`Could not find element for message ${messageIndex}. It might not be rendered yet or the index is invalid.`);
-                console.warn(`WARN: Element not found for message index ${messageIndex} in /chat-jump.`);
-            }
-
+            await jumpToChatMessage(messageIndex);
             return '';
         },
         unnamedArgumentList: [
@@ -3012,6 +2986,42 @@ export function initDefaultSlashCommands() {
 
 const NARRATOR_NAME_KEY = 'narrator_name';
 const NARRATOR_NAME_DEFAULT = 'System';
+/**
+ * Scrolls the chat to a message and highlights it, loading older messages first if needed.
+ * @param {number} messageIndex Message index (0-based) in the open chat
+ * @returns {Promise<boolean>} Whether the message was found
+ */
+export async function jumpToChatMessage(messageIndex) {
+    // Load more messages if needed
+    const firstDisplayedMessageId = getFirstDisplayedMessageId();
+    if (isFinite(firstDisplayedMessageId) && messageIndex < firstDisplayedMessageId) {
+        const needToLoadCount = firstDisplayedMessageId - messageIndex;
+        await showMoreMessages(needToLoadCount);
+        await delay(1);
+    }
+
+    const chatContainer = document.getElementById('chat');
+    const messageElement = document.querySelector(`#chat .mes[mesid="${messageIndex}"]`);
+
+    if (messageElement instanceof HTMLElement && chatContainer instanceof HTMLElement) {
+        const elementRect = messageElement.getBoundingClientRect();
+        const containerRect = chatContainer.getBoundingClientRect();
+
+        const scrollPosition = elementRect.top - containerRect.top + chatContainer.scrollTop;
+        chatContainer.scrollTo({
+            top: scrollPosition,
+            behavior: 'smooth',
+        });
+
+        flashHighlight($(messageElement), 2000);
+        return true;
+    }
+
+    toastr.warning(t`Could not find element for message ${messageIndex}. It might not be rendered yet or the index is invalid.`);
+    console.warn(`WARN: Element not found for message index ${messageIndex} in /chat-jump.`);
+    return false;
+}
+
 export const COMMENT_NAME_DEFAULT = 'Note';
 const SCRIPT_PROMPT_KEY = 'script_inject_';
 
@@ -0,0 +1,30 @@
+import { t } from './i18n.js';
+
+/**
+ * Error type the server sends in 413 responses when a write would exceed the user's storage quota.
+ */
+const STORAGE_QUOTA_ERROR = 'storage_quota';
+
+/**
+ * Shows a toast if the server rejected an upload or save because the storage quota is full.
+ * Call it before reading the body of a failed response; the body is read from a clone.
+ * @param {Response} response Failed response of an upload or save
+ * @returns {Promise<boolean>} Whether the response was a storage quota rejection
+ */
+export async function notifyStorageQuotaError(response) {
+    if (response.status !== 413) {
+        return false;
+    }
+
+    try {
+        const data = await response.clone().json();
+        if (data?.error?.type === STORAGE_QUOTA_ERROR) {
+            toastr.error(data.error.message, t`Storage quota exceeded`, { preventDuplicates: true });
+            return true;
+        }
+    } catch {
+        // Not a JSON body, so not one of ours
+    }
+
+    return false;
+}
@@ -0,0 +1,269 @@
+import {
+    addOneMessage,
+    characters,
+    chat,
+    chat_metadata,
+    closeMessageEditor,
+    getCharacters,
+    getCurrentChatId,
+    getOneCharacter,
+    isChatSaving,
+    is_send_press,
+    printCharactersDebounced,
+    printMessages,
+    reloadCurrentChat,
+    saveChatConditional,
+    select_selected_character,
+    this_chid,
+    updateMessageBlock,
+} from '../script.js';
+import { forgetSavedChat, hasUnsavedChatChanges, mergeRemoteChatDelta } from './chat-delta.js';
+import { selected_group } from './group-chats.js';
+import { t } from './i18n.js';
+import { Popup, POPUP_RESULT } from './popup.js';
+import { uuidv4, waitUntilCondition } from './utils.js';
+import { reloadEditor, updateWorldInfoList, world_names, worldInfoCache } from './world-info.js';
+
+/**
+ * Identifies this tab to the server, which doesn't push the tab's own changes back to it.
+ */
+export const SYNC_CLIENT_ID = uuidv4();
+
+/**
+ * How long a pushed change waits for a chat save in flight, which would overwrite the merged saved chat.
+ */
+const SAVE_WAIT_TIMEOUT = 10_000;
+/**
+ * How long a conflict waits for the generation to end before asking what to keep.
+ */
+const GENERATION_WAIT_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * @typedef {object} OpenChat
+ * @property {string} key Identifies the chat file, like the save key of chat-delta.js
+ * @property {object|null} metadata Metadata of character chats, null for group chats
+ * @property {(data: object) => boolean} matches Whether a pushed chat change is about this chat
+ */
+
+/** @type {EventSource|null} */
+let eventStream = null;
+/** @type {Promise<void>} */
+let queue = Promise.resolve();
+
+/**
+ * Handles pushed changes one at a time, in the order they were made.
+ * @param {() => Promise<void>} handler
+ */
+function enqueue(handler) {
+    queue = queue.then(handler).catch(error => console.error('Could not apply a change from another device', error));
+}
+
+/**
+ * Describes the open chat.
+ * @returns {OpenChat|null} Null when no chat is open
+ */
+function getOpenChat() {
+    if (selected_group) {
+        const chatId = getCurrentChatId();
+        return { key: `group:${chatId}`, metadata: null, matches: data => data.group_chat_id === chatId };
+    }
+
+    const character = characters[this_chid];
+    if (this_chid === undefined || !character?.chat) {
+        return null;
+    }
+    return {
+        key: `${character.avatar}/${character.chat}`,
+        metadata: chat_metadata,
+        matches: data => data.avatar_url === character.avatar && data.file_name === character.chat,
+    };
+}
+
+/**
+ * Prints the open chat again.
+ */
+async function redrawChat() {
+    closeMessageEditor();
+    $('#chat').children('.mes, #show_more_messages').remove();
+    await printMessages();
+}
+
+/**
+ * Shows the messages that a merged delta changed. Messages being edited are left alone.
+ * @param {object[]} ops
+ */
+async function renderMergedDelta(ops) {
+    if (ops.some(op => op.op === 'delete')) {
+        return redrawChat();
+    }
+
+    for (const op of ops) {
+        if (op.op === 'edit') {
+            const block = $(`#chat .mes[mesid="${op.index}"]`);
+            if (block.length && !block.find('#curEditTextarea').length) {
+                updateMessageBlock(op.index, chat[op.index]);
+            }
+        }
+        if (op.op === 'append') {
+            for (let i = chat.length - op.messages.length; i < chat.length; i++) {
+                addOneMessage(chat[i], { forceId: i });
+            }
+        }
+    }
+}
+
+/**
+ * Brings the open chat up to date after it changed elsewhere in a way that can't be merged. Without
+ * unsaved changes the chat is reloaded, otherwise the user picks which version to keep.
+ * @param {OpenChat} openChat
+ */
+async function resyncChat(openChat) {
+    if (!hasUnsavedChatChanges(openChat.key, openChat.metadata, chat)) {
+        await reloadCurrentChat();
+        toastr.info(t`The chat was updated from another device.`);
+        return;
+    }
+
+    await waitUntilCondition(() => !is_send_press, GENERATION_WAIT_TIMEOUT, 500, { rejectOnTimeout: false });
+    if (getOpenChat()?.key !== openChat.key) {
+        return;
+    }
+
+    const result = await Popup.show.confirm(
+        t`This chat was changed on another device`,
+        t`Your unsaved changes conflict with the ones saved there. Load the chat as it was saved on the other device, or keep your version and overwrite it?`,
+        { okButton: t`Load theirs`, cancelButton: t`Keep mine` },
+    );
+    if (result === POPUP_RESULT.AFFIRMATIVE) {
+        await reloadCurrentChat();
+        return;
+    }
+
+    // A full save replaces whatever the other device saved
+    forgetSavedChat();
+    await saveChatConditional();
+}
+
+/**
+ * Applies a change that another tab or device saved to a chat.
+ * @param {object} data
+ */
+async function onChatChanged(data) {
+    // A save in flight would replace the saved chat the delta is merged into
+    await waitUntilCondition(() => !isChatSaving, SAVE_WAIT_TIMEOUT, 50, { rejectOnTimeout: false });
+
+    const openChat = getOpenChat();
+    if (!openChat?.matches(data)) {
+        return;
+    }
+
+    switch (data.action) {
+        case 'delete':
+            toastr.warning(t`This chat was deleted on another device.`);
+            return;
+        case 'rename':
+            if (!selected_group) {
+                characters[this_chid].chat = data.renamed;
+                // The file under the new name was never saved from here
+                forgetSavedChat();
+            }
+            toastr.info(t`This chat was renamed on another device.`);
+            return;
+        case 'delta':
+            if (mergeRemoteChatDelta(openChat.key, openChat.metadata, chat, data)) {
+                await renderMergedDelta(data.ops);
+                return;
+            }
+            break;
+    }
+
+    await resyncChat(openChat);
+}
+
+/**
+ * Updates a character that was created, edited, renamed or deleted elsewhere.
+ * The open chat of the open character stays open, even if the other device switched chats.
+ * @param {object} data
+ */
+async function onCharacterChanged(data) {
+    const openAvatar = this_chid !== undefined ? characters[this_chid]?.avatar : null;
+    const openChatName = this_chid !== undefined ? characters[this_chid]?.chat : null;
+
+    if (data.action === 'edit' && characters.some(x => x.avatar === data.avatar)) {
+        await getOneCharacter(data.avatar);
+        printCharactersDebounced();
+    } else {
+        await getCharacters();
+    }
+
+    if (this_chid !== undefined && characters[this_chid]?.avatar === openAvatar) {
+        characters[this_chid].chat = openChatName;
+        const isEditing = document.getElementById('form_create')?.contains(document.activeElement);
+        if (data.avatar === openAvatar && !isEditing) {
+            select_selected_character(this_chid, { switchMenu: false });
+        }
+    }
+}
+
+/**
+ * Updates a World Info book that was edited, imported or deleted elsewhere.
+ * @param {object} data
+ */
+async function onWorldInfoChanged(data) {
+    worldInfoCache.delete(data.name);
+    if (data.action !== 'edit') {
+        await updateWorldInfoList();
+        return;
+    }
+
+    const selectedName = world_names?.[Number($('#world_editor_select').val())];
+    if (selectedName !== data.name) {
+        return;
+    }
+    if (document.getElementById('world_popup')?.contains(document.activeElement)) {
+        toastr.info(t`World Info ${data.name} was changed on another device. Reopen it to see the changes.`, '', { preventDuplicates: true });
+        return;
+    }
+    reloadEditor(data.name);
+}
+
+/**
+ * Settings are saved as a whole, so the changes are only loaded with the page.
+ */
+function onSettingsChanged() {
+    toastr.info(t`Settings were changed on another device. Click here to reload the page and load them.`, '', {
+        timeOut: 0,
+        extendedTimeOut: 0,
+        preventDuplicates: true,
+        onclick: () => location.reload(),
+    });
+}
+
+/**
+ * Listens for the changes the user makes in other tabs and on other devices: chats, settings,
+ * characters and World Info. Message edits that don't conflict with unsaved ones are merged in.
+ */
+export function initSync() {
+    if (eventStream || typeof EventSource === 'undefined') {
+        return;
+    }
+
+    // The browser reconnects by itself and asks for the events it missed
+    eventStream = new EventSource(`/api/sync/events?client=${encodeURIComponent(SYNC_CLIENT_ID)}`);
+    const listen = (type, handler) => eventStream.addEventListener(type, (event) => {
+        const data = JSON.parse(event.data);
+        enqueue(() => handler(data));
+    });
+
+    listen('chat', onChatChanged);
+    listen('character', onCharacterChanged);
+    listen('worldinfo', onWorldInfoChanged);
+    listen('settings', async () => onSettingsChanged());
+    listen('resync', async () => {
+        worldInfoCache.clear();
+        const openChat = getOpenChat();
+        if (openChat) {
+            await resyncChat(openChat);
+        }
+    });
+}
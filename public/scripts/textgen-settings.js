@@ -26,6 +26,7 @@ import { getCurrentDreamGenModelTokenizer, getCurrentOpenRouterModelTokenizer, l
 import { ENCODE_TOKENIZERS, TEXTGEN_TOKENIZERS, TOKENIZER_SUPPORTED_KEY, getTextTokens, tokenizers } from './tokenizers.js';
 import { AbortReason } from './util/AbortReason.js';
 import { getSortableDelay, onlyUnique, arraysEqual } from './utils.js';
+import { showGenerationLimitError } from './generation-limits.js';
 
 export const textgen_types = {
     OOBA: 'ooba',
@@ -1345,7 +1346,7 @@ function tryParseStreamingError(response, decoded) {
     const message = data?.error?.message || data?.error || data?.message || data?.detail;
 
     if (message) {
-        toastr.error(message, 'Text Completion API');
+        !showGenerationLimitError(data) && toastr.error(message, 'Text Completion API');
         throw new Error(message);
     }
 }
@@ -17,6 +17,7 @@ import { getTagsList } from './tags.js';
 import { groups, selected_group } from './group-chats.js';
 import { getCurrentLocale, t } from './i18n.js';
 import { importWorldInfo } from './world-info.js';
+import { notifyStorageQuotaError } from './storage-quota.js';
 
 export const shiftUpByOne = (e, i, a) => a[i] = e + 1;
 export const shiftDownByOne = (e, i, a) => a[i] = e - 1;
@@ -1467,6 +1468,7 @@ export async function saveBase64AsFile(base64Data, subFolder, fileName, extensio
         const responseData = await response.json();
         return responseData.path;
     } else {
+        await notifyStorageQuotaError(response);
         const errorData = await response.json();
         throw new Error(errorData.error || 'Failed to upload the image to the server');
     }
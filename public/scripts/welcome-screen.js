@@ -290,7 +290,7 @@ async function sendWelcomePanel(chats, expand = false) {
  * @param {string} avatarId Avatar file name
  * @param {string} fileName Chat file name
  */
-async function openRecentCharacterChat(avatarId, fileName) {
+export async function openRecentCharacterChat(avatarId, fileName) {
     const characterId = characters.findIndex(x => x.avatar === avatarId);
     if (characterId === -1) {
         console.error(`Character not found for avatar ID: ${avatarId}`);
@@ -318,7 +318,7 @@ async function openRecentCharacterChat(avatarId, fileName) {
  * @param {string} groupId Group ID
  * @param {string} fileName Chat file name
  */
-async function openRecentGroupChat(groupId, fileName) {
+export async function openRecentGroupChat(groupId, fileName) {
     const group = groups.find(x => x.id === groupId);
     if (!group) {
         console.error(`Group not found for ID: ${groupId}`);
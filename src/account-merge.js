@@ -0,0 +1,136 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import { promises as fsPromises } from 'node:fs';
+
+import storage from 'node-persist';
+
+import { getUserDirectories, toKey } from './users.js';
+import { withLock } from './storage-lock.js';
+import { recordTransaction, LEDGER_REASONS } from './ledger.js';
+import { reassignIdentities } from './identities.js';
+import { revokeSessions } from './sessions.js';
+import { invalidateStorageUsage } from './storage-quota.js';
+import { withAccountState, saveAccountState, roundPoints } from './endpoints/account.js';
+
+/**
+ * @typedef {Object} MergeResult
+ * @property {string} source Handle that was merged away
+ * @property {string} target Handle that received the data
+ * @property {number} points Points moved to the target
+ * @property {number} identities Linked logins moved to the target
+ * @property {number} moved Files and folders moved as they were
+ * @property {number} renamed Files kept under a new name because the target already had them
+ */
+
+function toAccountKey(handle) {
+    return `account:${handle}`;
+}
+
+/**
+ * Returns a free path for a file that collides with one of the target's files, e.g. "chat (from bob).jsonl".
+ * @param {string} filePath Colliding path
+ * @param {string} source Handle the file comes from
+ * @returns {string}
+ */
+function getConflictPath(filePath, source) {
+    const { dir, name, ext } = path.parse(filePath);
+    for (let i = 1; ; i++) {
+        const suffix = i === 1 ? ` (from ${source})` : ` (from ${source} ${i})`;
+        const candidate = path.join(dir, `${name}${suffix}${ext}`);
+        if (!fs.existsSync(candidate)) {
+            return candidate;
+        }
+    }
+}
+
+/**
+ * Moves everything from one directory into another. Folders present on both sides are merged,
+ * files present on both sides keep the target's version and the source's copy gets a new name.
+ * @param {string} from
+ * @param {string} to
+ * @param {string} source Handle used to name conflicting files
+ * @param {{moved: number, renamed: number}} counts Updated in place
+ */
+async function moveDirectoryContents(from, to, source, counts) {
+    await fsPromises.mkdir(to, { recursive: true });
+    for (const entry of await fsPromises.readdir(from, { withFileTypes: true })) {
+        const sourcePath = path.join(from, entry.name);
+        const targetPath = path.join(to, entry.name);
+        const existing = await fsPromises.stat(targetPath).catch(() => null);
+
+        if (!existing) {
+            await fsPromises.rename(sourcePath, targetPath);
+            counts.moved++;
+        } else if (entry.isDirectory() && existing.isDirectory()) {
+            await moveDirectoryContents(sourcePath, targetPath, source, counts);
+        } else {
+            await fsPromises.rename(sourcePath, getConflictPath(targetPath, source));
+            counts.renamed++;
+        }
+    }
+}
+
+/**
+ * Merges one user into another: data directory, points and linked logins move to the target,
+ * then the source user is removed. The target keeps its own settings, plan and limits.
+ * @param {string} source Handle to merge away
+ * @param {string} target Handle to keep
+ * @param {string} actor Who requested the merge, recorded in the ledger
+ * @returns {Promise<MergeResult>}
+ * @throws {Error} When either user is missing or both are the same
+ */
+export async function mergeAccounts(source, target, actor) {
+    if (!source || !target || source === target) {
+        throw new Error('请选择两个不同的账号');
+    }
+
+    const lockKeys = [toKey(source), toKey(target), toAccountKey(source), toAccountKey(target)];
+    return withLock(lockKeys, async () => {
+        const sourceUser = await storage.getItem(toKey(source));
+        const targetUser = await storage.getItem(toKey(target));
+        if (!sourceUser || !targetUser) {
+            throw new Error('用户不存在');
+        }
+
+        const counts = { moved: 0, renamed: 0 };
+        const sourceRoot = getUserDirectories(source).root;
+        if (fs.existsSync(sourceRoot)) {
+            await moveDirectoryContents(sourceRoot, getUserDirectories(target).root, source, counts);
+            await fsPromises.rm(sourceRoot, { recursive: true, force: true });
+        }
+
+        // Daily fees are settled on both sides first, a source that never opened the home page has nothing to move
+        let points = 0;
+        if (await storage.getItem(toAccountKey(source))) {
+            points = await withAccountState(source, async (sourceState) => withAccountState(target, async (targetState) => {
+                const moved = sourceState.points || 0;
+                if (moved > 0) {
+                    targetState.points = roundPoints(targetState.points + moved);
+                    await saveAccountState(targetState);
+                    await recordTransaction({ handle: source, delta: -moved, balance: 0, reason: LEDGER_REASONS.MERGE, actor, note: `合并到 ${target}` });
+                    await recordTransaction({ handle: target, delta: moved, balance: targetState.points, reason: LEDGER_REASONS.MERGE, actor, note: `合并自 ${source}` });
+                }
+                return moved;
+            }));
+        }
+
+        const identities = await reassignIdentities(source, target);
+        const known = new Set((targetUser.identities || []).map(item => `${item.provider}:${item.subject}`));
+        targetUser.identities = [...(targetUser.identities || []), ...identities.filter(item => !known.has(`${item.provider}:${item.subject}`))];
+        // A password set on the source keeps working when the target has none
+        if (!targetUser.password && sourceUser.password) {
+            targetUser.password = sourceUser.password;
+            targetUser.salt = sourceUser.salt;
+        }
+        await storage.setItem(toKey(target), targetUser);
+
+        await storage.removeItem(toKey(source));
+        await storage.removeItem(toAccountKey(source));
+        await revokeSessions(source);
+        await invalidateStorageUsage(source);
+        await invalidateStorageUsage(target);
+        console.info(`Merged user ${source} into ${target}`);
+
+        return { source, target, points, identities: identities.length, ...counts };
+    });
+}
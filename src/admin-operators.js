@@ -0,0 +1,349 @@
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+
+import storage from 'node-persist';
+
+import { getPasswordHash, getPasswordSalt, toKey } from './users.js';
+import { getConfigValue } from './util.js';
+
+const OPERATOR_PREFIX = 'admin-operator:';
+// Shipped in older versions as the fallback password, never accepted for the first super-admin
+const DEFAULT_ADMIN_PASSWORD = 'changeme';
+
+/**
+ * Roles an admin panel operator can have.
+ */
+export const ADMIN_ROLES = {
+    SUPER_ADMIN: 'super-admin',
+    SUPPORT: 'support',
+    CODE_ISSUER: 'code-issuer',
+};
+
+/**
+ * Permissions checked by the admin routes.
+ */
+export const ADMIN_PERMISSIONS = {
+    STATS_READ: 'stats:read',
+    CONFIG_READ: 'config:read',
+    CONFIG_WRITE: 'config:write',
+    USERS_READ: 'users:read',
+    USERS_POINTS: 'users:points',
+    USERS_PLAN: 'users:plan',
+    USERS_LIMITS: 'users:limits',
+    USERS_BAN: 'users:ban',
+    USERS_PASSWORD: 'users:password',
+    USERS_DELETE: 'users:delete',
+    USERS_CREATE: 'users:create',
+    TRANSACTIONS_READ: 'transactions:read',
+    CODES_READ: 'codes:read',
+    CODES_WRITE: 'codes:write',
+    INVITES_READ: 'invites:read',
+    INVITES_WRITE: 'invites:write',
+    OPERATORS_MANAGE: 'operators:manage',
+    AUDIT_READ: 'audit:read',
+    KEYS_MANAGE: 'keys:manage',
+    ARCHIVES_MANAGE: 'archives:manage',
+};
+
+const ROLE_PERMISSIONS = {
+    [ADMIN_ROLES.SUPER_ADMIN]: Object.values(ADMIN_PERMISSIONS),
+    [ADMIN_ROLES.SUPPORT]: [
+        ADMIN_PERMISSIONS.STATS_READ,
+        ADMIN_PERMISSIONS.CONFIG_READ,
+        ADMIN_PERMISSIONS.USERS_READ,
+        ADMIN_PERMISSIONS.USERS_POINTS,
+        ADMIN_PERMISSIONS.USERS_PLAN,
+        ADMIN_PERMISSIONS.USERS_LIMITS,
+        ADMIN_PERMISSIONS.USERS_BAN,
+        ADMIN_PERMISSIONS.USERS_PASSWORD,
+        ADMIN_PERMISSIONS.TRANSACTIONS_READ,
+        ADMIN_PERMISSIONS.CODES_READ,
+        ADMIN_PERMISSIONS.INVITES_READ,
+    ],
+    [ADMIN_ROLES.CODE_ISSUER]: [
+        ADMIN_PERMISSIONS.STATS_READ,
+        ADMIN_PERMISSIONS.CONFIG_READ,
+        ADMIN_PERMISSIONS.CODES_READ,
+        ADMIN_PERMISSIONS.CODES_WRITE,
+        ADMIN_PERMISSIONS.INVITES_READ,
+        ADMIN_PERMISSIONS.INVITES_WRITE,
+    ],
+};
+
+/**
+ * @typedef {Object} AdminOperator
+ * @property {string} username
+ * @property {string} role One of ADMIN_ROLES
+ * @property {string} password Password hash
+ * @property {string} salt Password salt
+ * @property {boolean} enabled
+ * @property {number} createdAt
+ * @property {number|null} lastLoginAt
+ * @property {import('./totp.js').TwoFactorState} [twoFactor] Set when the operator uses two-factor authentication
+ */
+
+/**
+ * @typedef {Object} AdminPrincipal
+ * @property {string} username Operator username or ST user handle
+ * @property {string} role One of ADMIN_ROLES
+ * @property {'operator'|'user'} source Whether this is a panel operator or an ST user with the admin flag
+ * @property {string[]} permissions
+ */
+
+function toOperatorKey(username) {
+    return `${OPERATOR_PREFIX}${String(username).toLowerCase()}`;
+}
+
+/**
+ * Checks whether a role name is known.
+ * @param {string} role
+ * @returns {boolean}
+ */
+export function isValidRole(role) {
+    return Object.values(ADMIN_ROLES).includes(role);
+}
+
+/**
+ * Gets the permissions granted to a role.
+ * @param {string} role
+ * @returns {string[]}
+ */
+export function getRolePermissions(role) {
+    return ROLE_PERMISSIONS[role] ?? [];
+}
+
+/**
+ * Returns the operator fields that are safe to send to the client.
+ * @param {AdminOperator} operator
+ */
+export function toPublicOperator(operator) {
+    return {
+        username: operator.username,
+        role: operator.role,
+        enabled: operator.enabled !== false,
+        createdAt: operator.createdAt,
+        lastLoginAt: operator.lastLoginAt ?? null,
+        twoFactorEnabled: !!operator.twoFactor,
+    };
+}
+
+/**
+ * Gets an operator by username.
+ * @param {string} username
+ * @returns {Promise<AdminOperator|undefined>}
+ */
+export async function getOperator(username) {
+    if (!username) return undefined;
+    return await storage.getItem(toOperatorKey(username));
+}
+
+/**
+ * Lists all operators.
+ * @returns {Promise<AdminOperator[]>}
+ */
+export async function getAllOperators() {
+    const keys = await storage.keys(x => x.key.startsWith(OPERATOR_PREFIX));
+    const operators = [];
+    for (const key of keys) {
+        const operator = await storage.getItem(key);
+        if (operator) operators.push(operator);
+    }
+    return operators.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+/**
+ * Saves an operator record.
+ * @param {AdminOperator} operator
+ * @returns {Promise<void>}
+ */
+export async function saveOperator(operator) {
+    await storage.setItem(toOperatorKey(operator.username), operator);
+}
+
+/**
+ * Deletes an operator record.
+ * @param {string} username
+ * @returns {Promise<void>}
+ */
+export async function removeOperator(username) {
+    await storage.removeItem(toOperatorKey(username));
+}
+
+/**
+ * Creates an operator with a hashed password.
+ * @param {string} username
+ * @param {string} password Plaintext password
+ * @param {string} role One of ADMIN_ROLES
+ * @returns {Promise<AdminOperator>}
+ */
+export async function createOperator(username, password, role) {
+    const salt = getPasswordSalt();
+    /** @type {AdminOperator} */
+    const operator = {
+        username: String(username).toLowerCase(),
+        role,
+        password: getPasswordHash(password, salt),
+        salt,
+        enabled: true,
+        createdAt: Date.now(),
+        lastLoginAt: null,
+    };
+    await saveOperator(operator);
+    return operator;
+}
+
+/**
+ * Replaces an operator's password.
+ * @param {AdminOperator} operator
+ * @param {string} password Plaintext password
+ */
+export function setOperatorPassword(operator, password) {
+    operator.salt = getPasswordSalt();
+    operator.password = getPasswordHash(password, operator.salt);
+}
+
+/**
+ * Creates the first super-admin from ADMIN_USERNAME/ADMIN_PASSWORD when no operators exist yet.
+ * Nothing is created while ADMIN_PASSWORD is unset or still the old default, so nobody can sign in with a known password.
+ * @returns {Promise<void>}
+ */
+export async function ensureBootstrapOperator() {
+    const keys = await storage.keys(x => x.key.startsWith(OPERATOR_PREFIX));
+    if (keys.length > 0) return;
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD;
+    if (!password || password === DEFAULT_ADMIN_PASSWORD) {
+        console.warn('Admin panel: set ADMIN_PASSWORD to a password of your own to create the first super-admin.');
+        return;
+    }
+    await createOperator(username, password, ADMIN_ROLES.SUPER_ADMIN);
+}
+
+/**
+ * Checks an operator's credentials.
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<AdminOperator|null>} The operator if the credentials are valid and the account is enabled
+ */
+export async function verifyOperatorCredentials(username, password) {
+    await ensureBootstrapOperator();
+    const operator = await getOperator(username);
+    if (!operator || operator.enabled === false) {
+        return null;
+    }
+
+    const expected = Buffer.from(operator.password, 'base64');
+    const actual = Buffer.from(getPasswordHash(password, operator.salt), 'base64');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    return operator;
+}
+
+/**
+ * Whether every admin panel login must pass two-factor authentication.
+ * @returns {boolean}
+ */
+export function isAdminTwoFactorRequired() {
+    return getConfigValue('adminPanel.requireTwoFactor', false, 'boolean');
+}
+
+/**
+ * Resolves who is using the admin panel: a logged-in operator, or an ST user with the admin flag.
+ * @param {import('express').Request} req
+ * @returns {Promise<AdminPrincipal|null>}
+ */
+export async function getAdminPrincipal(req) {
+    if (req.session?.isAdmin && req.session.adminUser) {
+        const operator = await getOperator(req.session.adminUser);
+        const twoFactorOk = !!operator?.twoFactor || !isAdminTwoFactorRequired();
+        if (operator && operator.enabled !== false && isValidRole(operator.role) && twoFactorOk) {
+            return {
+                username: operator.username,
+                role: operator.role,
+                source: 'operator',
+                permissions: getRolePermissions(operator.role),
+            };
+        }
+    }
+
+    if (req.user?.profile?.admin) {
+        const role = getConfigValue('adminPanel.userAdminRole', ADMIN_ROLES.SUPER_ADMIN);
+        // ST users sign in elsewhere, so when two-factor is required they must have turned it on for their account
+        const twoFactorOk = !isAdminTwoFactorRequired() || !!(await storage.getItem(toKey(req.user.profile.handle)))?.twoFactor;
+        if (isValidRole(role) && twoFactorOk) {
+            return {
+                username: req.user.profile.handle,
+                role,
+                source: 'user',
+                permissions: getRolePermissions(role),
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Whether an admin principal may take over or lock out an ST user: reset their password or two-factor,
+ * ban them or sign them out. Users with the admin flag manage users inside SillyTavern and get
+ * adminPanel.userAdminRole in the panel, so only a principal with every permission may do this to them.
+ * @param {AdminPrincipal} principal
+ * @param {{admin?: boolean}} user Stored user record
+ * @returns {boolean}
+ */
+export function canManageUserLogin(principal, user) {
+    if (!user.admin) {
+        return true;
+    }
+    return getRolePermissions(ADMIN_ROLES.SUPER_ADMIN).every(permission => principal.permissions.includes(permission));
+}
+
+/**
+ * Gets the actor recorded in the ledger and logs for an admin action.
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+export function getAdminActor(req) {
+    const principal = req.adminPrincipal;
+    if (!principal) return 'admin:unknown';
+    return principal.source === 'user' ? `user:${principal.username}` : `admin:${principal.username}`;
+}
+
+/**
+ * Middleware that requires an admin principal and stores it on req.adminPrincipal.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export async function requireAdmin(req, res, next) {
+    try {
+        const principal = await getAdminPrincipal(req);
+        if (!principal) {
+            return res.status(403).json({ error: '需要管理员权限' });
+        }
+        req.adminPrincipal = principal;
+        return next();
+    } catch (error) {
+        console.error('Admin auth error:', error);
+        return res.status(500).json({ error: '权限校验失败' });
+    }
+}
+
+/**
+ * Creates a middleware that requires the admin principal to have a permission.
+ * When several permissions are given, any one of them is enough.
+ * Must run after requireAdmin.
+ * @param {...string} permissions One or more of ADMIN_PERMISSIONS
+ * @returns {import('express').RequestHandler}
+ */
+export function requirePermission(...permissions) {
+    return function (req, res, next) {
+        if (permissions.some(permission => req.adminPrincipal?.permissions.includes(permission))) {
+            return next();
+        }
+        return res.status(403).json({ error: '当前角色无权执行此操作' });
+    };
+}
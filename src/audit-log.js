@@ -0,0 +1,294 @@
+import path from 'node:path';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { promises as fsPromises } from 'node:fs';
+
+import { getIpFromRequest, getRealIpFromHeader } from './express-common.js';
+import { getConfigValue } from './util.js';
+import { getAdminActor } from './admin-operators.js';
+
+/**
+ * Directory under the data root that holds the audit log.
+ */
+const AUDIT_DIRECTORY = '_audit';
+const AUDIT_FILE = 'audit.jsonl';
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const PREFER_REAL_IP_HEADER = getConfigValue('rateLimiting.preferRealIpHeader', false, 'boolean');
+
+/**
+ * Privileged actions recorded in the audit log.
+ */
+export const AUDIT_ACTIONS = {
+    ADMIN_LOGIN: 'admin.login',
+    ADMIN_LOGIN_FAILED: 'admin.login_failed',
+    ADMIN_LOGOUT: 'admin.logout',
+    ADMIN_PASSWORD_CHANGE: 'admin.password_change',
+    ADMIN_2FA_ENABLE: 'admin.2fa_enable',
+    ADMIN_2FA_DISABLE: 'admin.2fa_disable',
+    USER_POINTS: 'user.points',
+    USER_PLAN: 'user.plan',
+    USER_LIMITS: 'user.limits',
+    USER_BAN: 'user.ban',
+    USER_UNBAN: 'user.unban',
+    USER_DATA_DELETE: 'user.data_delete',
+    USER_MERGE: 'user.merge',
+    USER_RESET_CODE: 'user.reset_code',
+    USER_2FA_RESET: 'user.2fa_reset',
+    USER_FORCE_LOGOUT: 'user.force_logout',
+    USER_CREATE: 'user.create',
+    USER_EXPORT: 'user.export',
+    USER_DELETE: 'user.delete',
+    USER_ENABLE: 'user.enable',
+    USER_DISABLE: 'user.disable',
+    USER_PROMOTE: 'user.promote',
+    USER_DEMOTE: 'user.demote',
+    REDEEM_CODE_CREATE: 'redeem_code.create',
+    REDEEM_CODE_DELETE: 'redeem_code.delete',
+    REDEEM_BATCH_REVOKE: 'redeem_batch.revoke',
+    INVITE_CODE_CREATE: 'invite_code.create',
+    INVITE_CODE_DELETE: 'invite_code.delete',
+    REFERRAL_APPROVE: 'referral.approve',
+    REFERRAL_REJECT: 'referral.reject',
+    CONFIG_UPDATE: 'config.update',
+    PRICING_UPDATE: 'pricing.update',
+    PLANS_UPDATE: 'plans.update',
+    RETENTION_UPDATE: 'retention.update',
+    ARCHIVE_RESTORE: 'archive.restore',
+    ARCHIVE_DELETE: 'archive.delete',
+    KEY_POOL_SETTINGS: 'key_pool.settings',
+    KEY_POOL_ADD: 'key_pool.add',
+    KEY_POOL_UPDATE: 'key_pool.update',
+    KEY_POOL_DELETE: 'key_pool.delete',
+    OPERATOR_CREATE: 'operator.create',
+    OPERATOR_UPDATE: 'operator.update',
+    OPERATOR_DELETE: 'operator.delete',
+};
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} id Unique entry id
+ * @property {string} actor Who did it: `admin:<username>`, `user:<handle>` or `anonymous`
+ * @property {string} action One of AUDIT_ACTIONS
+ * @property {string|null} target What it was done to, e.g. a user handle or code
+ * @property {string} ip Client IP address
+ * @property {object} [details] Action-specific values, e.g. old and new points
+ * @property {number} createdAt Epoch ms
+ */
+
+/**
+ * @typedef {Object} AuditFilter
+ * @property {string} [actor] Substring of the actor
+ * @property {string} [action] Exact action
+ * @property {string} [target] Substring of the target
+ * @property {string} [ip] Substring of the IP address
+ * @property {number} [from] Earliest createdAt, epoch ms
+ * @property {number} [to] Latest createdAt, epoch ms
+ * @property {string} [q] Free-text search over every field
+ */
+
+/**
+ * Pending appends, so entries land in the file in call order.
+ * @type {Promise<void>}
+ */
+let appendQueue = Promise.resolve();
+
+function getAuditLogPath() {
+    return path.join(globalThis.DATA_ROOT, AUDIT_DIRECTORY, AUDIT_FILE);
+}
+
+/**
+ * Works out who made a request: the admin principal, the logged-in ST user, or nobody.
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function getRequestActor(req) {
+    if (req.adminPrincipal) {
+        return getAdminActor(req);
+    }
+    if (req.user?.profile?.handle) {
+        return `user:${req.user.profile.handle}`;
+    }
+    return 'anonymous';
+}
+
+/**
+ * Appends an entry to the audit log.
+ * Failures are logged rather than thrown so an audit problem never fails the action itself.
+ * @param {import('express').Request} req Request that performed the action
+ * @param {object} entry
+ * @param {string} entry.action One of AUDIT_ACTIONS
+ * @param {string|null} [entry.target] What the action was done to
+ * @param {object} [entry.details] Action-specific values
+ * @param {string} [entry.actor] Overrides the actor derived from the request, e.g. for login attempts
+ * @returns {Promise<AuditEntry>} The recorded entry
+ */
+export async function recordAudit(req, { action, target = null, details, actor }) {
+    /** @type {AuditEntry} */
+    const entry = {
+        id: crypto.randomUUID(),
+        actor: actor || getRequestActor(req),
+        action,
+        target: target === null || target === undefined ? null : String(target),
+        ip: PREFER_REAL_IP_HEADER ? getRealIpFromHeader(req) : getIpFromRequest(req),
+        createdAt: Date.now(),
+    };
+
+    if (details && Object.keys(details).length > 0) {
+        entry.details = details;
+    }
+
+    const filePath = getAuditLogPath();
+    const current = appendQueue.then(async () => {
+        await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+        await fsPromises.appendFile(filePath, JSON.stringify(entry) + '\n', 'utf8');
+    }).catch(error => {
+        console.error('Failed to record audit entry', action, error);
+    });
+
+    appendQueue = current;
+    await current;
+
+    return entry;
+}
+
+/**
+ * Checks an entry against a filter.
+ * @param {AuditEntry} entry
+ * @param {AuditFilter} filter
+ * @returns {boolean}
+ */
+function matchesFilter(entry, filter) {
+    const contains = (value, needle) => String(value ?? '').toLowerCase().includes(needle.toLowerCase());
+
+    if (filter.action && entry.action !== filter.action) return false;
+    if (filter.actor && !contains(entry.actor, filter.actor)) return false;
+    if (filter.target && !contains(entry.target, filter.target)) return false;
+    if (filter.ip && !contains(entry.ip, filter.ip)) return false;
+    if (filter.from && entry.createdAt < filter.from) return false;
+    if (filter.to && entry.createdAt > filter.to) return false;
+    if (filter.q && !contains(JSON.stringify(entry), filter.q)) return false;
+    return true;
+}
+
+/**
+ * Reads every audit entry matching a filter, newest first.
+ * @param {AuditFilter} [filter]
+ * @returns {Promise<AuditEntry[]>}
+ */
+export async function findAuditEntries(filter = {}) {
+    await appendQueue;
+
+    const filePath = getAuditLogPath();
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    const lines = (await fsPromises.readFile(filePath, 'utf8')).split('\n').filter(line => line.trim());
+    const entries = [];
+    for (let i = lines.length - 1; i >= 0; i--) {
+        try {
+            const entry = JSON.parse(lines[i]);
+            if (matchesFilter(entry, filter)) {
+                entries.push(entry);
+            }
+        } catch {
+            console.warn('Skipping malformed audit log line', i + 1);
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Reads a page of audit entries matching a filter, newest first.
+ * @param {AuditFilter} filter
+ * @param {object} [options]
+ * @param {number} [options.page] 1-based page number
+ * @param {number} [options.pageSize] Entries per page
+ * @returns {Promise<{entries: AuditEntry[], total: number, page: number, pageSize: number}>}
+ */
+export async function getAuditEntries(filter, { page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    page = Math.max(1, Math.floor(Number(page)) || 1);
+    pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(Number(pageSize)) || DEFAULT_PAGE_SIZE));
+
+    const matching = await findAuditEntries(filter);
+    const start = (page - 1) * pageSize;
+
+    return {
+        entries: matching.slice(start, start + pageSize),
+        total: matching.length,
+        page,
+        pageSize,
+    };
+}
+
+/**
+ * Reads the filter query parameters of an audit log request.
+ * `from` and `to` accept epoch ms or anything Date can parse.
+ * @param {import('express').Request} request
+ * @returns {AuditFilter}
+ */
+export function getAuditFilterQuery(request) {
+    const text = (name) => typeof request.query[name] === 'string' ? request.query[name].trim() : '';
+    const time = (name) => {
+        const value = text(name);
+        if (!value) return undefined;
+        const parsed = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+        return Number.isFinite(parsed) ? parsed : undefined;
+    };
+
+    return {
+        actor: text('actor'),
+        action: text('action'),
+        target: text('target'),
+        ip: text('ip'),
+        from: time('from'),
+        to: time('to'),
+        q: text('q'),
+    };
+}
+
+/**
+ * Quotes a value for a CSV cell.
+ * @param {any} value
+ * @returns {string}
+ */
+export function escapeCsvValue(value) {
+    let text = String(value ?? '');
+    // Keep spreadsheet apps from evaluating user-controlled values as formulas
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes audit entries as CSV with a header row.
+ * @param {AuditEntry[]} entries
+ * @returns {string}
+ */
+export function toAuditCsv(entries) {
+    const header = ['time', 'actor', 'action', 'target', 'ip', 'details', 'id'];
+    const rows = entries.map(entry => [
+        new Date(entry.createdAt).toISOString(),
+        entry.actor,
+        entry.action,
+        entry.target,
+        entry.ip,
+        entry.details ? JSON.stringify(entry.details) : '',
+        entry.id,
+    ].map(escapeCsvValue).join(','));
+
+    return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Serializes audit entries as JSON Lines.
+ * @param {AuditEntry[]} entries
+ * @returns {string}
+ */
+export function toAuditJsonl(entries) {
+    return entries.map(entry => JSON.stringify(entry) + '\n').join('');
+}
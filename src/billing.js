@@ -0,0 +1,545 @@
+import { Buffer } from 'node:buffer';
+
+import storage from 'node-persist';
+
+import { countChatTokens, countTextTokens } from './endpoints/tokenizers.js';
+import { saveAccountState, roundPoints, withAccountState } from './endpoints/account.js';
+import { recordTransaction, LEDGER_REASONS } from './ledger.js';
+
+const PRICING_KEY = 'system:pricing';
+const CHARS_PER_TOKEN = 3.35;
+const MAX_CAPTURE_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Generation kinds. Chat and text generations are metered; the others are only checked against the user's plan.
+ */
+export const GENERATION_KINDS = {
+    CHAT: 'chat',
+    TEXT: 'text',
+    KOBOLD: 'kobold',
+    NOVEL: 'novel',
+    HORDE: 'horde',
+};
+
+/**
+ * @typedef {Object} PriceRule
+ * @property {string} [source] Chat completion source or text completion API type. Empty matches any source.
+ * @property {string} [model] Model id. A trailing '*' matches by prefix. Empty matches any model.
+ * @property {number} prompt Points per 1000 prompt tokens
+ * @property {number} completion Points per 1000 completion tokens
+ */
+
+/**
+ * @typedef {Object} PricingConfig
+ * @property {boolean} enabled Whether generations are metered
+ * @property {number} dailyFee Flat points charged per day while access is on
+ * @property {number} minimumCharge Minimum points charged per successful generation
+ * @property {number} defaultMaxTokens Completion tokens assumed for the estimate when the request doesn't set a limit
+ * @property {PriceRule} default Price used when no rule matches
+ * @property {PriceRule[]} rules Per-source/per-model prices, first match wins
+ */
+
+/**
+ * @typedef {Object} CompletionUsage
+ * @property {boolean} error Whether the upstream response was an error
+ * @property {string} text Completion text extracted from the response
+ * @property {number|null} promptTokens Prompt tokens reported by the upstream API
+ * @property {number|null} completionTokens Completion tokens reported by the upstream API
+ */
+
+/**
+ * Points set aside for generations that are still running, by user handle.
+ * The balance check counts them as spent, so parallel generations can't spend the same points twice.
+ * @type {Map<string, number>}
+ */
+const heldPoints = new Map();
+
+/** @type {PricingConfig} */
+const DEFAULT_PRICING = {
+    enabled: true,
+    dailyFee: 0,
+    minimumCharge: 0.01,
+    defaultMaxTokens: 300,
+    default: { prompt: 0.1, completion: 0.3 },
+    rules: [],
+};
+
+/**
+ * Checks that the value is a finite non-negative number.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPrice(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validates and normalizes a pricing config submitted by an admin.
+ * @param {any} input Raw pricing config
+ * @returns {PricingConfig} Normalized pricing config
+ * @throws {Error} If the config is invalid. The message is safe to show to the admin.
+ */
+export function validatePricing(input) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('无效的计费配置');
+    }
+
+    if (typeof input.enabled !== 'boolean') {
+        throw new Error('缺少计费开关');
+    }
+
+    for (const key of ['dailyFee', 'minimumCharge', 'defaultMaxTokens']) {
+        if (!isPrice(input[key])) {
+            throw new Error(`无效的数值：${key}`);
+        }
+    }
+
+    if (!input.default || !isPrice(input.default.prompt) || !isPrice(input.default.completion)) {
+        throw new Error('无效的默认价格');
+    }
+
+    if (!Array.isArray(input.rules) || input.rules.length > 500) {
+        throw new Error('无效的价格规则列表');
+    }
+
+    const rules = input.rules.map((rule, index) => {
+        if (!rule || !isPrice(rule.prompt) || !isPrice(rule.completion)) {
+            throw new Error(`第 ${index + 1} 条价格规则无效`);
+        }
+        return {
+            source: String(rule.source || '').trim().toLowerCase(),
+            model: String(rule.model || '').trim(),
+            prompt: rule.prompt,
+            completion: rule.completion,
+        };
+    });
+
+    return {
+        enabled: input.enabled,
+        dailyFee: input.dailyFee,
+        minimumCharge: input.minimumCharge,
+        defaultMaxTokens: Math.floor(input.defaultMaxTokens),
+        default: { prompt: input.default.prompt, completion: input.default.completion },
+        rules,
+    };
+}
+
+/**
+ * Gets the current pricing config, falling back to defaults for missing fields.
+ * @returns {Promise<PricingConfig>}
+ */
+export async function getPricing() {
+    const stored = await storage.getItem(PRICING_KEY);
+    return { ...structuredClone(DEFAULT_PRICING), ...(stored || {}) };
+}
+
+/**
+ * Saves the pricing config.
+ * @param {PricingConfig} pricing Validated pricing config
+ * @returns {Promise<void>}
+ */
+export async function setPricing(pricing) {
+    await storage.setItem(PRICING_KEY, pricing);
+}
+
+/**
+ * Finds the price rule for the given source and model.
+ * @param {PricingConfig} pricing Pricing config
+ * @param {string} source Generation source
+ * @param {string} model Model id
+ * @returns {PriceRule} Matching rule or the default price
+ */
+export function findPriceRule(pricing, source, model) {
+    const normalizedSource = String(source || '').toLowerCase();
+    const normalizedModel = String(model || '');
+
+    const match = pricing.rules.find(rule => {
+        if (rule.source && rule.source !== normalizedSource) {
+            return false;
+        }
+        if (!rule.model) {
+            return true;
+        }
+        if (rule.model.endsWith('*')) {
+            return normalizedModel.startsWith(rule.model.slice(0, -1));
+        }
+        return rule.model === normalizedModel;
+    });
+
+    return match || pricing.default;
+}
+
+/**
+ * Calculates the cost of a generation in points.
+ * @param {PricingConfig} pricing Pricing config
+ * @param {PriceRule} rule Price rule
+ * @param {number} promptTokens Number of prompt tokens
+ * @param {number} completionTokens Number of completion tokens
+ * @returns {number} Cost in points
+ */
+export function calculateCost(pricing, rule, promptTokens, completionTokens) {
+    const cost = (promptTokens * rule.prompt + completionTokens * rule.completion) / 1000;
+    return Math.max(pricing.minimumCharge, Math.ceil(cost * 100) / 100);
+}
+
+/**
+ * Gets the source and models of a generation request.
+ * KoboldAI, NovelAI and Horde use the API names of the client as their source.
+ * @param {string} kind Generation kind
+ * @param {any} body Request body
+ * @returns {{source: string, model: string, models: string[]}} The model to bill and every model that may serve the request
+ */
+export function getGenerationTarget(kind, body) {
+    const toTarget = (source, models) => ({ source: String(source || ''), model: models[0] ?? '', models: models.length > 0 ? models : [''] });
+    switch (kind) {
+        case GENERATION_KINDS.CHAT:
+            return toTarget(body.chat_completion_source, body.model ? [String(body.model)] : []);
+        case GENERATION_KINDS.KOBOLD:
+            // KoboldAI serves whatever model its server has loaded
+            return toTarget('kobold', []);
+        case GENERATION_KINDS.NOVEL:
+            return toTarget('novel', body.model ? [String(body.model)] : []);
+        case GENERATION_KINDS.HORDE:
+            // Any of the requested models may pick up a Horde job
+            return toTarget('koboldhorde', Array.isArray(body.models) ? body.models.filter(Boolean).map(String) : []);
+        default:
+            return toTarget(body.api_type, body.model ? [String(body.model)] : []);
+    }
+}
+
+/**
+ * Gets the completion token limit requested by the client.
+ * @param {any} body Request body
+ * @param {PricingConfig} pricing Pricing config
+ * @returns {number} Completion token limit
+ */
+function getMaxCompletionTokens(body, pricing) {
+    const candidates = [body.max_completion_tokens, body.max_tokens, body.max_new_tokens, body.max_length, body.n_predict, body.num_predict];
+    const limit = candidates.map(Number).find(x => Number.isFinite(x) && x > 0);
+    return limit ?? pricing.defaultMaxTokens;
+}
+
+/**
+ * Counts the prompt tokens of a generation request. Uses a length-based estimate if the tokenizer fails.
+ * @param {string} kind Generation kind
+ * @param {any} body Request body
+ * @param {string} model Model id
+ * @returns {Promise<number>} Number of prompt tokens
+ */
+async function countPromptTokens(kind, body, model) {
+    const prompt = kind === GENERATION_KINDS.CHAT ? body.messages : body.prompt;
+
+    try {
+        if (Array.isArray(prompt)) {
+            return await countChatTokens(model, prompt);
+        }
+        if (typeof prompt === 'string') {
+            return await countTextTokens(model, prompt);
+        }
+        return 0;
+    } catch (error) {
+        console.warn('Failed to count prompt tokens, using estimation', error?.message || error);
+        return Math.ceil(JSON.stringify(prompt ?? '').length / CHARS_PER_TOKEN);
+    }
+}
+
+/**
+ * Counts the completion tokens of a generated text.
+ * @param {string} model Model id
+ * @param {string} text Generated text
+ * @returns {Promise<number>} Number of completion tokens
+ */
+async function countCompletionTokens(model, text) {
+    if (!text) {
+        return 0;
+    }
+
+    try {
+        return await countTextTokens(model, text);
+    } catch (error) {
+        console.warn('Failed to count completion tokens, using estimation', error?.message || error);
+        return Math.ceil(text.length / CHARS_PER_TOKEN);
+    }
+}
+
+/**
+ * Records everything written to the response so it can be metered after it ends.
+ * @param {import('express').Response} response Express response
+ * @returns {() => string} Function returning the captured body
+ */
+function captureResponseBody(response) {
+    /** @type {Buffer[]} */
+    const chunks = [];
+    let size = 0;
+
+    const collect = (chunk, encoding) => {
+        if (!chunk || typeof chunk === 'function' || size >= MAX_CAPTURE_BYTES) {
+            return;
+        }
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? /** @type {BufferEncoding} */ (encoding) : 'utf8');
+        chunks.push(buffer);
+        size += buffer.length;
+    };
+
+    const write = response.write;
+    const end = response.end;
+
+    // @ts-ignore
+    response.write = function (chunk, encoding, ...args) {
+        collect(chunk, encoding);
+        return write.call(this, chunk, encoding, ...args);
+    };
+
+    // @ts-ignore
+    response.end = function (chunk, encoding, ...args) {
+        collect(chunk, encoding);
+        return end.call(this, chunk, encoding, ...args);
+    };
+
+    return () => Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Splits a response body into JSON payloads. Handles plain JSON, SSE and newline-delimited JSON.
+ * @param {string} raw Response body
+ * @returns {any[]} Parsed payloads
+ */
+function parsePayloads(raw) {
+    const trimmed = raw.trim();
+    const payloads = [];
+
+    try {
+        payloads.push(JSON.parse(trimmed));
+        return payloads;
+    } catch {
+        // Not a single JSON document, try line by line
+    }
+
+    for (const line of trimmed.split('\n')) {
+        const data = line.startsWith('data:') ? line.slice(5).trim() : line.trim();
+        if (!data || data === '[DONE]' || !data.startsWith('{')) {
+            continue;
+        }
+        try {
+            payloads.push(JSON.parse(data));
+        } catch {
+            // Ignore malformed lines
+        }
+    }
+
+    return payloads;
+}
+
+const TEXT_KEYS = ['content', 'text', 'reasoning', 'reasoning_content', 'thinking', 'response', 'partial_json'];
+const SKIPPED_KEYS = ['usage', 'usageMetadata', 'logprobs', 'prompt_filter_results', 'safetyRatings'];
+
+/**
+ * Collects the generated text from a parsed payload.
+ * @param {any} value Parsed payload or a nested value
+ * @param {string[]} parts Collected text parts
+ */
+function collectText(value, parts) {
+    if (Array.isArray(value)) {
+        value.forEach(item => collectText(item, parts));
+        return;
+    }
+
+    if (!value || typeof value !== 'object') {
+        return;
+    }
+
+    for (const [key, nested] of Object.entries(value)) {
+        if (SKIPPED_KEYS.includes(key)) {
+            continue;
+        }
+        if (typeof nested === 'string' && TEXT_KEYS.includes(key)) {
+            parts.push(nested);
+            continue;
+        }
+        collectText(nested, parts);
+    }
+}
+
+/**
+ * Reads the token usage reported by the upstream API, if any.
+ * @param {any} payload Parsed payload
+ * @returns {{prompt: number|null, completion: number|null}}
+ */
+function readReportedUsage(payload) {
+    const usage = payload?.usage || payload?.message?.usage || {};
+    const metadata = payload?.usageMetadata || {};
+    const pick = (...values) => {
+        const found = values.map(Number).find(x => Number.isFinite(x) && x >= 0);
+        return found ?? null;
+    };
+
+    return {
+        prompt: pick(usage.prompt_tokens, usage.input_tokens, metadata.promptTokenCount, payload?.prompt_eval_count, payload?.tokens_evaluated),
+        completion: pick(usage.completion_tokens, usage.output_tokens, metadata.candidatesTokenCount, payload?.eval_count, payload?.tokens_predicted),
+    };
+}
+
+/**
+ * Extracts the completion text and the reported usage from a captured response body.
+ * @param {string} raw Response body
+ * @returns {CompletionUsage}
+ */
+export function parseCompletionUsage(raw) {
+    const payloads = parsePayloads(raw);
+    /** @type {string[]} */
+    const parts = [];
+    let error = false;
+    let promptTokens = null;
+    let completionTokens = null;
+
+    for (const payload of payloads) {
+        if (payload?.error) {
+            error = true;
+        }
+        collectText(payload, parts);
+        const usage = readReportedUsage(payload);
+        if (usage.prompt !== null) {
+            promptTokens = Math.max(promptTokens ?? 0, usage.prompt);
+        }
+        if (usage.completion !== null) {
+            completionTokens = Math.max(completionTokens ?? 0, usage.completion);
+        }
+    }
+
+    return { error, text: parts.join(''), promptTokens, completionTokens };
+}
+
+/**
+ * Points held for one running generation.
+ * @typedef {Object} GenerationHold
+ * @property {string} handle User handle
+ * @property {number} amount Held points
+ * @property {boolean} released Whether the points were given back
+ */
+
+/**
+ * Sets the estimated cost of a generation aside, if the part of the balance that isn't held yet covers it.
+ * @param {string} handle User handle
+ * @param {number} estimate Estimated cost in points
+ * @returns {Promise<{hold: GenerationHold|null, available: number}>} The hold, null when the points don't suffice, and the balance that was free before
+ */
+async function holdGenerationCost(handle, estimate) {
+    return withAccountState(handle, async (state) => {
+        const held = heldPoints.get(handle) ?? 0;
+        const available = roundPoints(state.points - held);
+        if (available < estimate) {
+            return { hold: null, available };
+        }
+        heldPoints.set(handle, roundPoints(held + estimate));
+        return { hold: { handle, amount: estimate, released: false }, available };
+    });
+}
+
+/**
+ * Gives held points back to the free balance. Releasing a hold twice does nothing.
+ * @param {GenerationHold} hold
+ */
+function releaseGenerationHold(hold) {
+    if (hold.released) {
+        return;
+    }
+    hold.released = true;
+    const remaining = roundPoints((heldPoints.get(hold.handle) ?? 0) - hold.amount);
+    if (remaining > 0) {
+        heldPoints.set(hold.handle, remaining);
+    } else {
+        heldPoints.delete(hold.handle);
+    }
+}
+
+/**
+ * Settles a finished generation: releases its hold and deducts the actual cost in the same critical section.
+ * The hold covered the estimate, so the balance only runs short when the upstream ignored the requested limit.
+ * @param {GenerationHold} hold Points held for the generation
+ * @param {number} cost Cost in points
+ * @param {string} note Ledger note describing the generation
+ * @returns {Promise<number>} Balance after the charge
+ */
+async function chargeGeneration(hold, cost, note) {
+    const handle = hold.handle;
+    return withAccountState(handle, async (state) => {
+        releaseGenerationHold(hold);
+        const before = state.points;
+        state.points = Math.max(0, roundPoints(state.points - cost));
+        await saveAccountState(state);
+        await recordTransaction({ handle, delta: state.points - before, balance: state.points, reason: LEDGER_REASONS.GENERATION, actor: handle, note });
+        return state.points;
+    });
+}
+
+/**
+ * Creates a middleware that meters a generation endpoint.
+ * Holds the estimated cost (prompt + requested completion limit) and rejects the request if the balance
+ * not held by other generations can't cover it, then charges the actual cost once the response has been sent.
+ * @param {string} kind Generation kind, one of GENERATION_KINDS
+ * @returns {import('express').RequestHandler}
+ */
+export function meterGeneration(kind) {
+    return async function (request, response, next) {
+        try {
+            if (!request.user || !request.body) {
+                return next();
+            }
+
+            const pricing = await getPricing();
+            if (!pricing.enabled) {
+                return next();
+            }
+
+            const handle = request.user.profile.handle;
+            const { source, model } = getGenerationTarget(kind, request.body);
+            const rule = findPriceRule(pricing, source, model);
+            const promptTokens = await countPromptTokens(kind, request.body, model);
+            const estimate = calculateCost(pricing, rule, promptTokens, getMaxCompletionTokens(request.body, pricing));
+            const { hold, available } = await holdGenerationCost(handle, estimate);
+
+            if (!hold) {
+                return response.status(402).json({
+                    error: {
+                        message: `积分不足：本次生成预计消耗 ${estimate} 积分，当前可用余额 ${available} 积分`,
+                        type: 'insufficient_points',
+                    },
+                    estimate,
+                    points: available,
+                });
+            }
+
+            const getBody = captureResponseBody(response);
+            let settled = false;
+
+            response.on('close', async () => {
+                if (settled) return;
+                settled = true;
+
+                try {
+                    const usage = response.statusCode < 400 ? parseCompletionUsage(getBody()) : null;
+                    if (!usage || usage.error) {
+                        releaseGenerationHold(hold);
+                        return;
+                    }
+
+                    // The prompt was processed upstream even when nothing came back, so it is charged either way
+                    const completionTokens = usage.completionTokens ?? await countCompletionTokens(model, usage.text);
+                    const chargedPromptTokens = usage.promptTokens ?? promptTokens;
+                    const cost = calculateCost(pricing, rule, chargedPromptTokens, completionTokens);
+                    const note = `${source || kind}/${model || 'unknown'} (${chargedPromptTokens}+${completionTokens} tokens)`;
+                    const balance = await chargeGeneration(hold, cost, note);
+                    console.debug(`Charged ${handle} ${cost} points for ${source}/${model} (${chargedPromptTokens}+${completionTokens} tokens), balance ${balance}`);
+                } catch (error) {
+                    releaseGenerationHold(hold);
+                    console.error('Failed to charge generation for', handle, error);
+                }
+            });
+
+            return next();
+        } catch (error) {
+            console.error('Generation metering failed', error);
+            return response.status(500).json({ error: { message: '计费服务异常，请稍后重试' } });
+        }
+    };
+}
@@ -0,0 +1,223 @@
+import fs from 'node:fs';
+
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+import { getConfigValue, tryParse } from './util.js';
+import { hasUnloadedMessages } from './chat-window.js';
+
+/**
+ * Incremental saves of a chat file between two full rewrites. Each full rewrite also makes a backup.
+ */
+const COMPACT_EVERY = Math.max(1, Number(getConfigValue('backups.chat.compactEvery', 50, 'number')) || 1);
+/**
+ * Spaces appended to the header line on a full rewrite, so metadata patches that fit keep the line the same length.
+ * JSON parsers ignore the trailing whitespace.
+ */
+const HEADER_SLACK_BYTES = 512;
+const MAX_DELTA_OPS = 1000;
+
+export const CHAT_DELTA_OPS = Object.freeze({
+    APPEND: 'append',
+    EDIT: 'edit',
+    DELETE: 'delete',
+    METADATA: 'metadata',
+});
+
+/**
+ * One change to a chat file. Message indexes don't count the header line.
+ * @typedef {{op: 'append', messages: object[]}
+ *     | {op: 'edit', index: number, message: object}
+ *     | {op: 'delete', start: number, count: number}
+ *     | {op: 'metadata', set?: Record<string, any>, unset?: string[]}} ChatDeltaOp
+ */
+
+/**
+ * @typedef {Object} ChatDeltaResult
+ * @property {number} count Messages in the chat after the save
+ * @property {string|null} compacted The full file when it was rewritten, null when only the changed lines were written
+ */
+
+/**
+ * Incremental saves per chat file since its last full write.
+ * @type {Map<string, number>}
+ */
+const deltaSaves = new Map();
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isIndex(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Validates the shape of a delta before anything is read from disk.
+ * @param {any} ops
+ * @param {{hasHeader: boolean}} options Group chats have no header line and can't patch metadata
+ * @returns {ChatDeltaOp[]}
+ * @throws {Error} If the delta is malformed
+ */
+export function validateChatDelta(ops, { hasHeader }) {
+    if (!Array.isArray(ops) || ops.length === 0 || ops.length > MAX_DELTA_OPS) {
+        throw new Error(`A delta needs 1-${MAX_DELTA_OPS} operations`);
+    }
+
+    for (const [i, op] of ops.entries()) {
+        const valid = isPlainObject(op) && (
+            (op.op === CHAT_DELTA_OPS.APPEND && Array.isArray(op.messages) && op.messages.length > 0 && op.messages.every(isPlainObject)) ||
+            (op.op === CHAT_DELTA_OPS.EDIT && isIndex(op.index) && isPlainObject(op.message)) ||
+            (op.op === CHAT_DELTA_OPS.DELETE && isIndex(op.start) && Number.isInteger(op.count) && op.count > 0) ||
+            (op.op === CHAT_DELTA_OPS.METADATA && hasHeader &&
+                (op.set === undefined || isPlainObject(op.set)) &&
+                (op.unset === undefined || (Array.isArray(op.unset) && op.unset.every(key => typeof key === 'string'))))
+        );
+        if (!valid) {
+            throw new Error(`Invalid delta operation #${i + 1}`);
+        }
+        if (hasUnloadedMessages(op.messages ?? (op.message ? [op.message] : []))) {
+            throw new Error(`Delta operation #${i + 1} writes a message that was never loaded`);
+        }
+    }
+    return ops;
+}
+
+/**
+ * Counts the bytes of the file content before a line, not including the line break in front of it.
+ * @param {string[]} lines
+ * @param {number} lineIndex
+ * @returns {number}
+ */
+function getLineOffset(lines, lineIndex) {
+    let offset = 0;
+    for (let i = 0; i < lineIndex; i++) {
+        offset += Buffer.byteLength(lines[i]) + (i > 0 ? 1 : 0);
+    }
+    return offset;
+}
+
+/**
+ * Pads a header line to a byte length.
+ * @param {string} header Serialized header
+ * @param {number} bytes
+ * @returns {string}
+ */
+function padHeader(header, bytes) {
+    return header + ' '.repeat(Math.max(0, bytes - Buffer.byteLength(header)));
+}
+
+/**
+ * Forgets the incremental saves of a chat file after it was written in full elsewhere.
+ * @param {string} filePath
+ */
+export function resetChatDeltaState(filePath) {
+    deltaSaves.delete(filePath);
+}
+
+/**
+ * Applies a delta to a JSONL chat file. Pure appends are written to the end of the file in place; edits,
+ * deletes and metadata patches replace the whole file atomically, so a crash can't leave it half-written.
+ * Every COMPACT_EVERY saves, or when a patched header outgrows its padding, the rewrite also counts as
+ * a compaction and is returned for a backup. The caller must hold the lock of the file.
+ * @param {string} filePath
+ * @param {ChatDeltaOp[]} ops Validated with validateChatDelta
+ * @param {{hasHeader: boolean, baseCount: number}} options `baseCount` is the number of messages the
+ * client based the delta on; the save is refused when the file has a different number
+ * @returns {ChatDeltaResult|null} Null when the file is missing or doesn't match the base
+ * @throws {Error} If an operation points outside the chat
+ */
+export function applyChatDelta(filePath, ops, { hasHeader, baseCount }) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const oldLines = content.split('\n');
+    while (oldLines.length && !oldLines[oldLines.length - 1].trim()) {
+        oldLines.pop();
+    }
+
+    const base = hasHeader ? 1 : 0;
+    if (hasHeader && oldLines.length === 0) {
+        return null;
+    }
+    if (oldLines.length - base !== baseCount) {
+        return null;
+    }
+
+    const lines = oldLines.slice();
+    let header = null;
+    let firstChangedLine = lines.length;
+
+    for (const op of ops) {
+        const count = lines.length - base;
+        switch (op.op) {
+            case CHAT_DELTA_OPS.APPEND:
+                firstChangedLine = Math.min(firstChangedLine, lines.length);
+                lines.push(...op.messages.map(message => JSON.stringify(message)));
+                break;
+            case CHAT_DELTA_OPS.EDIT:
+                if (op.index >= count) {
+                    throw new Error(`Message ${op.index} doesn't exist`);
+                }
+                lines[base + op.index] = JSON.stringify(op.message);
+                firstChangedLine = Math.min(firstChangedLine, base + op.index);
+                break;
+            case CHAT_DELTA_OPS.DELETE:
+                if (op.start + op.count > count) {
+                    throw new Error(`Messages ${op.start}-${op.start + op.count - 1} don't exist`);
+                }
+                lines.splice(base + op.start, op.count);
+                firstChangedLine = Math.min(firstChangedLine, base + op.start);
+                break;
+            case CHAT_DELTA_OPS.METADATA: {
+                header = header ?? tryParse(lines[0]);
+                if (!isPlainObject(header)) {
+                    throw new Error('The chat header is corrupted');
+                }
+                const metadata = { ...(isPlainObject(header.chat_metadata) ? header.chat_metadata : {}), ...(op.set || {}) };
+                (op.unset || []).forEach(key => delete metadata[key]);
+                header.chat_metadata = metadata;
+                break;
+            }
+        }
+    }
+
+    const count = lines.length - base;
+    const serializedHeader = header ? JSON.stringify(header) : null;
+    const headerBytes = hasHeader ? Buffer.byteLength(oldLines[0]) : 0;
+    const saves = (deltaSaves.get(filePath) || 0) + 1;
+
+    if (saves >= COMPACT_EVERY || (serializedHeader && Buffer.byteLength(serializedHeader) > headerBytes)) {
+        if (hasHeader) {
+            const compactHeader = serializedHeader ?? lines[0].trimEnd();
+            lines[0] = padHeader(compactHeader, Buffer.byteLength(compactHeader) + HEADER_SLACK_BYTES);
+        }
+        const jsonl = lines.join('\n');
+        writeFileAtomicSync(filePath, jsonl, 'utf8');
+        deltaSaves.delete(filePath);
+        return { count, compacted: jsonl };
+    }
+
+    if (serializedHeader || firstChangedLine < oldLines.length) {
+        if (serializedHeader) {
+            lines[0] = padHeader(serializedHeader, headerBytes);
+        }
+        writeFileAtomicSync(filePath, lines.join('\n'), 'utf8');
+    } else {
+        // Only drops blank lines at the end of the file before writing the new messages after it
+        const fd = fs.openSync(filePath, 'r+');
+        try {
+            const offset = getLineOffset(oldLines, oldLines.length);
+            const separator = oldLines.length > 0 ? '\n' : '';
+            fs.ftruncateSync(fd, offset);
+            fs.writeSync(fd, separator + lines.slice(oldLines.length).join('\n'), offset, 'utf8');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    deltaSaves.set(filePath, saves);
+    return { count, compacted: null };
+}
@@ -0,0 +1,323 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import DiffMatchPatch from 'diff-match-patch';
+import { sync as writeFileAtomicSync } from 'write-file-atomic';
+
+import { getConfigValue, tryParse } from './util.js';
+
+const HISTORY_DIRECTORY = '_chat-history';
+const isHistoryEnabled = !!getConfigValue('backups.chat.history.enabled', true, 'boolean');
+/**
+ * Minimum time between two versions of a chat. Saves in between only change the chat file.
+ */
+const HISTORY_INTERVAL = Math.max(0, Number(getConfigValue('backups.chat.history.interval', 300_000, 'number')) || 0);
+const MAX_VERSIONS = Math.max(1, Number(getConfigValue('backups.chat.history.maxVersions', 50, 'number')) || 1);
+/**
+ * Most changed messages one diff returns.
+ */
+export const MAX_DIFF_CHANGES = 500;
+/**
+ * Version id that stands for the chat file itself in diffs.
+ */
+export const CURRENT_VERSION = 'current';
+const VERSION_FILE_PATTERN = /^(\d+)_(\d+)\.jsonl$/;
+// diff-match-patch diffs strings, so every distinct message is mapped to one UTF-16 code unit
+const MAX_DISTINCT_LINES = 0xffff;
+
+/**
+ * @typedef {Object} ChatVersion
+ * @property {string} id
+ * @property {number} date Epoch ms of the save that produced this version
+ * @property {number} size Bytes
+ * @property {number} messages
+ */
+
+/**
+ * One message that differs between two versions. Indexes don't count the header line.
+ * @typedef {Object} ChatChange
+ * @property {'added'|'deleted'|'edited'} type
+ * @property {number} fromIndex Index in the older version; for added messages, where they would go
+ * @property {number} toIndex Index in the newer version; for deleted messages, where they would go
+ * @property {object|null} before The message in the older version, null if added
+ * @property {object|null} after The message in the newer version, null if deleted
+ */
+
+/**
+ * @typedef {Object} ChatDiff
+ * @property {ChatChange[]} changes Cut to MAX_DIFF_CHANGES
+ * @property {number} total Changed messages, including the ones not returned
+ */
+
+/**
+ * Gets the directory with the versions of a chat file.
+ * @param {import('./users.js').UserDirectoryList} directories
+ * @param {string} filePath Chat file
+ * @returns {string}
+ */
+function getHistoryDirectory(directories, filePath) {
+    const relativePath = path.relative(directories.root, filePath).replace(/\.jsonl$/, '');
+    return path.join(directories.backups, HISTORY_DIRECTORY, relativePath);
+}
+
+/**
+ * Splits a chat file into its header and message lines, without the blank lines at the end.
+ * @param {string} content
+ * @param {boolean} hasHeader
+ * @returns {string[]} Message lines
+ */
+function getMessageLines(content, hasHeader) {
+    const lines = content.split('\n');
+    while (lines.length && !lines[lines.length - 1].trim()) {
+        lines.pop();
+    }
+    return hasHeader ? lines.slice(1) : lines;
+}
+
+/**
+ * Lists the versions of a chat, newest first.
+ * @param {import('./users.js').UserDirectoryList} directories
+ * @param {string} filePath Chat file
+ * @returns {ChatVersion[]}
+ */
+export function listChatVersions(directories, filePath) {
+    const directory = getHistoryDirectory(directories, filePath);
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+
+    /** @type {ChatVersion[]} */
+    const versions = [];
+    for (const file of fs.readdirSync(directory)) {
+        const match = VERSION_FILE_PATTERN.exec(file);
+        if (!match) {
+            continue;
+        }
+        const size = fs.statSync(path.join(directory, file)).size;
+        versions.push({ id: match[1], date: Number(match[1]), size, messages: Number(match[2]) });
+    }
+    return versions.sort((a, b) => b.date - a.date);
+}
+
+/**
+ * Gets the file of a chat version.
+ * @param {import('./users.js').UserDirectoryList} directories
+ * @param {string} filePath Chat file
+ * @param {string} id Version id, or CURRENT_VERSION for the chat file
+ * @returns {string|null} Null if there is no such version
+ */
+function getVersionPath(directories, filePath, id) {
+    if (id === CURRENT_VERSION) {
+        return fs.existsSync(filePath) ? filePath : null;
+    }
+
+    const version = listChatVersions(directories, filePath).find(version => version.id === String(id));
+    return version ? path.join(getHistoryDirectory(directories, filePath), `${version.id}_${version.messages}.jsonl`) : null;
+}
+
+/**
+ * Reads the chat file as it is, to be kept as a version once the change about to be made to it succeeds.
+ * A new version is only kept HISTORY_INTERVAL after the newest one was, so a burst of saves leaves the
+ * state before it. The caller must hold the lock of the file until the returned function was called.
+ * @param {import('./users.js').UserDirectoryList} directories
+ * @param {string} filePath Chat file
+ * @param {object} options
+ * @param {boolean} options.hasHeader Group chats have no header line
+ * @param {boolean} [options.force] Keep a version regardless of the interval, e.g. before a rollback
+ * @returns {() => void} Keeps the version; does nothing when no version is due
+ */
+export function captureChatVersion(directories, filePath, { hasHeader, force = false }) {
+    const skip = () => {};
+    try {
+        if (!isHistoryEnabled || !fs.existsSync(filePath)) {
+            return skip;
+        }
+
+        const savedAt = Math.floor(fs.statSync(filePath).mtimeMs);
+        const directory = getHistoryDirectory(directories, filePath);
+        const versions = listChatVersions(directories, filePath);
+        const newest = versions[0];
+        if (newest) {
+            const keptAt = fs.statSync(path.join(directory, `${newest.id}_${newest.messages}.jsonl`)).mtimeMs;
+            if (newest.date >= savedAt || (!force && Date.now() - keptAt < HISTORY_INTERVAL)) {
+                return skip;
+            }
+        }
+
+        const content = fs.readFileSync(filePath, 'utf8');
+        return () => {
+            try {
+                fs.mkdirSync(directory, { recursive: true });
+                writeFileAtomicSync(path.join(directory, `${savedAt}_${getMessageLines(content, hasHeader).length}.jsonl`), content, 'utf8');
+
+                for (const version of versions.slice(MAX_VERSIONS - 1)) {
+                    fs.rmSync(path.join(directory, `${version.id}_${version.messages}.jsonl`), { force: true });
+                }
+            } catch (error) {
+                console.error(`Could not keep a version of ${filePath}`, error);
+            }
+        };
+    } catch (error) {
+        console.error(`Could not keep a version of ${filePath}`, error);
+        return skip;
+    }
+}
+
+/**
+ * Keeps the chat file as it is as a version, before it's overwritten. See captureChatVersion.
+ * @param {import('./users.js').UserDirectoryList} directories
+ * @param {string} filePath Chat file
+ * @param {object} options
+ * @param {boolean} options.hasHeader Group chats have no header line
+ * @param {boolean} [options.force] Keep a version regardless of the interval, e.g. before a rollback
+ */
+export function recordChatVersion(directories, filePath, options) {
+    captureChatVersion(directories, filePath, options)();
+}
+
+/**
+ * Works out which messages were added, deleted and edited between two versions of a chat.
+ * @param {import('./users.js').UserDirectoryList} directories
+ * @param {string} filePath Chat file
+ * @param {string} from Id of the older version
+ * @param {string} to Id of the newer version, or CURRENT_VERSION
+ * @param {object} options
+ * @param {boolean} options.hasHeader Group chats have no header line
+ * @returns {ChatDiff|null} Null if one of the versions doesn't exist
+ */
+export function diffChatVersions(directories, filePath, from, to, { hasHeader }) {
+    const fromPath = getVersionPath(directories, filePath, from);
+    const toPath = getVersionPath(directories, filePath, to);
+    if (!fromPath || !toPath) {
+        return null;
+    }
+
+    const fromLines = getMessageLines(fs.readFileSync(fromPath, 'utf8'), hasHeader);
+    const toLines = getMessageLines(fs.readFileSync(toPath, 'utf8'), hasHeader);
+
+    let prefix = 0;
+    while (prefix < fromLines.length && prefix < toLines.length && fromLines[prefix] === toLines[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < Math.min(fromLines.length, toLines.length) - prefix
+        && fromLines[fromLines.length - 1 - suffix] === toLines[toLines.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const fromMiddle = fromLines.slice(prefix, fromLines.length - suffix);
+    const toMiddle = toLines.slice(prefix, toLines.length - suffix);
+
+    /** @type {Map<string, string>} */
+    const codes = new Map();
+    const encode = (lines) => lines.map(line => {
+        if (!codes.has(line)) {
+            codes.set(line, String.fromCharCode(codes.size));
+        }
+        return codes.get(line);
+    }).join('');
+    const fromText = encode(fromMiddle);
+    const toText = encode(toMiddle);
+
+    // [operation, count] runs: -1 deleted, 0 equal, 1 added
+    const runs = codes.size <= MAX_DISTINCT_LINES
+        ? new DiffMatchPatch().diff_main(fromText, toText, false).map(([operation, text]) => [operation, text.length])
+        : [[DiffMatchPatch.DIFF_DELETE, fromMiddle.length], [DiffMatchPatch.DIFF_INSERT, toMiddle.length]];
+
+    /** @type {ChatChange[]} */
+    const changes = [];
+    let total = 0;
+    const addChange = (type, fromIndex, toIndex) => {
+        total++;
+        if (changes.length < MAX_DIFF_CHANGES) {
+            changes.push({
+                type,
+                fromIndex,
+                toIndex,
+                before: type === 'added' ? null : tryParse(fromLines[fromIndex]) ?? null,
+                after: type === 'deleted' ? null : tryParse(toLines[toIndex]) ?? null,
+            });
+        }
+    };
+
+    let fromIndex = prefix;
+    let toIndex = prefix;
+    for (let i = 0; i < runs.length; i++) {
+        const [operation, count] = runs[i];
+        if (operation === DiffMatchPatch.DIFF_EQUAL) {
+            fromIndex += count;
+            toIndex += count;
+            continue;
+        }
+
+        // Deleted messages followed by added ones were edited in place
+        let deleted = operation === DiffMatchPatch.DIFF_DELETE ? count : 0;
+        let added = operation === DiffMatchPatch.DIFF_INSERT ? count : 0;
+        if (runs[i + 1] && runs[i + 1][0] !== DiffMatchPatch.DIFF_EQUAL) {
+            i++;
+            deleted += runs[i][0] === DiffMatchPatch.DIFF_DELETE ? runs[i][1] : 0;
+            added += runs[i][0] === DiffMatchPatch.DIFF_INSERT ? runs[i][1] : 0;
+        }
+
+        const edited = Math.min(deleted, added);
+        for (let k = 0; k < edited; k++) {
+            addChange('edited', fromIndex + k, toIndex + k);
+        }
+        for (let k = edited; k < deleted; k++) {
+            addChange('deleted', fromIndex + k, toIndex + edited);
+        }
+        for (let k = edited; k < added; k++) {
+            addChange('added', fromIndex + edited, toIndex + k);
+        }
+        fromIndex += deleted;
+        toIndex += added;
+    }
+
+    return { changes, total };
+}
+
+/**
+ * Rolls a chat back to a version. The chat as it was is kept as a new version first, so the rollback can be undone.
+ * The caller must hold the lock of the file.
+ * @param {import('./users.js').UserDirectoryList} directories
+ * @param {string} filePath Chat file
+ * @param {string} id Version id
+ * @param {object} options
+ * @param {boolean} options.hasHeader Group chats have no header line
+ * @returns {string|null} Content of the restored chat, null if there is no such version
+ */
+export function restoreChatVersion(directories, filePath, id, { hasHeader }) {
+    const versionPath = getVersionPath(directories, filePath, id);
+    if (!versionPath || versionPath === filePath) {
+        return null;
+    }
+
+    const content = fs.readFileSync(versionPath, 'utf8');
+    recordChatVersion(directories, filePath, { hasHeader, force: true });
+    writeFileAtomicSync(filePath, content, 'utf8');
+    return content;
+}
+
+/**
+ * Moves the versions of a renamed chat along with it.
+ * @param {import('./users.js').UserDirectoryList} directories
+ * @param {string} oldPath
+ * @param {string} newPath
+ */
+export function moveChatHistory(directories, oldPath, newPath) {
+    const oldDirectory = getHistoryDirectory(directories, oldPath);
+    const newDirectory = getHistoryDirectory(directories, newPath);
+    if (fs.existsSync(oldDirectory) && !fs.existsSync(newDirectory)) {
+        fs.mkdirSync(path.dirname(newDirectory), { recursive: true });
+        fs.renameSync(oldDirectory, newDirectory);
+    }
+}
+
+/**
+ * Deletes the versions of a deleted chat.
+ * @param {import('./users.js').UserDirectoryList} directories
+ * @param {string} filePath
+ */
+export function deleteChatHistory(directories, filePath) {
+    fs.rmSync(getHistoryDirectory(directories, filePath), { recursive: true, force: true });
+}
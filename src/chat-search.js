@@ -0,0 +1,553 @@
+import { promises as fsPromises } from 'node:fs';
+import path from 'node:path';
+
+import writeFileAtomic from 'write-file-atomic';
+
+import { getUserDirectories } from './users.js';
+import { timestampToMoment } from './endpoints/stats.js';
+import { withLock } from './storage-lock.js';
+
+const INDEX_VERSION = 1;
+/**
+ * Indexes kept in memory at once, the least recently used is dropped first. Dropped indexes are reloaded from disk.
+ */
+const MAX_LOADED_INDEXES = 20;
+/**
+ * Saves of the same chat within this time are indexed once.
+ */
+const UPDATE_DELAY = 2000;
+const MAX_QUERY_PHRASES = 20;
+const SNIPPET_CONTEXT_CHARS = 80;
+/**
+ * Most results a single search returns.
+ */
+export const MAX_SEARCH_RESULTS = 200;
+
+// Chinese and Japanese text has no spaces, so every character is a token and words are searched as phrases
+const CJK_CHARACTER = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}';
+const TOKEN_PATTERN = new RegExp(`[${CJK_CHARACTER}]|(?:(?![${CJK_CHARACTER}])[\\p{L}\\p{N}\\p{M}])+`, 'gu');
+
+/**
+ * A chat file in the index. Messages are numbered like in the chat, without the header line.
+ * @typedef {Object} IndexedChat
+ * @property {'character'|'group'} type
+ * @property {string} owner Chats directory of the character (its avatar without `.png`), or the group chat id
+ * @property {string} fileName Chat name without `.jsonl`
+ * @property {number} mtimeMs
+ * @property {number} size
+ * @property {number} firstLine Line of the first message, 1 when the file has a header line
+ * @property {[string, number, number][]} messages Speaker name, 1 for user messages and the send date in ms (0 if unknown)
+ * @property {Record<string, number[]>} postings Token to a flat list of message index, occurrences and their positions
+ */
+
+/**
+ * @typedef {Object} ChatSearchIndex
+ * @property {number} version
+ * @property {Record<string, IndexedChat>} chats By file path relative to the user's data directory
+ */
+
+/**
+ * @typedef {Object} ChatSearchOptions
+ * @property {string} query Words and "quoted phrases", all of which must appear in a message
+ * @property {string} [avatar] Only chats with this character
+ * @property {string} [groupId] Only chats of this group
+ * @property {string} [speaker] Only messages from this name
+ * @property {number} [from] Only messages sent at or after this time, epoch ms
+ * @property {number} [to] Only messages sent before this time, epoch ms
+ * @property {number} [limit]
+ */
+
+/**
+ * @typedef {Object} ChatSearchResult
+ * @property {'character'|'group'} type
+ * @property {string|null} avatar Character of the chat
+ * @property {string|null} groupId Group of the chat, null for character chats and group chats without a group
+ * @property {string} fileName Chat name, the group chat id for group chats
+ * @property {number} messageIndex
+ * @property {string} name Speaker
+ * @property {boolean} isUser
+ * @property {number} date Send date in ms, 0 if unknown
+ * @property {string} snippet Text around the first match
+ * @property {number} score
+ */
+
+/**
+ * Loaded indexes by user handle, in order of last use.
+ * @type {Map<string, ChatSearchIndex>}
+ */
+const loadedIndexes = new Map();
+/**
+ * Chat files waiting to be indexed after a save, by user handle.
+ * @type {Map<string, Set<string>>}
+ */
+const pendingUpdates = new Map();
+
+function getIndexPath(handle) {
+    return path.join(globalThis.DATA_ROOT, '_cache', 'chat-search', `${handle}.json`);
+}
+
+function toLockKey(handle) {
+    return `chat-search:${handle}`;
+}
+
+/**
+ * Splits text into lowercase tokens with their place in the text.
+ * @param {string} text
+ * @returns {{token: string, start: number, end: number}[]}
+ */
+export function tokenize(text) {
+    const tokens = [];
+    for (const match of String(text).matchAll(TOKEN_PATTERN)) {
+        tokens.push({ token: match[0].normalize('NFKC').toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+/**
+ * Parses a search query into phrases. Quoted text is a phrase, and so is a word that splits into several tokens.
+ * @param {string} query
+ * @returns {string[][]} Tokens of each phrase
+ * @throws {Error} If the query has nothing to search for
+ */
+export function parseSearchQuery(query) {
+    const phrases = [];
+    for (const match of String(query ?? '').matchAll(/"([^"]*)"?|[^\s"]+/g)) {
+        const tokens = tokenize(match[1] ?? match[0]).map(x => x.token);
+        if (tokens.length) {
+            phrases.push(tokens);
+        }
+    }
+
+    if (!phrases.length) {
+        throw new Error('The query has no words to search for');
+    }
+    if (phrases.length > MAX_QUERY_PHRASES) {
+        throw new Error(`A query can have at most ${MAX_QUERY_PHRASES} words and phrases`);
+    }
+    return phrases;
+}
+
+/**
+ * Works out which chat a file is, from its place in the user's data directory.
+ * @param {import('./users.js').UserDirectoryList} directories
+ * @param {string} filePath
+ * @returns {{key: string, type: 'character'|'group', owner: string, fileName: string}|null} Null for files that aren't chats
+ */
+function describeChatFile(directories, filePath) {
+    if (path.extname(filePath) !== '.jsonl') {
+        return null;
+    }
+
+    const key = path.relative(directories.root, filePath);
+    const fileName = path.basename(filePath, '.jsonl');
+    const characterPath = path.relative(directories.chats, filePath).split(path.sep);
+    if (characterPath.length === 2 && characterPath[0] !== '..') {
+        return { key, type: 'character', owner: characterPath[0], fileName };
+    }
+    const groupPath = path.relative(directories.groupChats, filePath).split(path.sep);
+    if (groupPath.length === 1 && groupPath[0] !== '..') {
+        return { key, type: 'group', owner: fileName, fileName };
+    }
+    return null;
+}
+
+/**
+ * Lists the chat files of a user with their modification times.
+ * @param {import('./users.js').UserDirectoryList} directories
+ * @returns {Promise<Map<string, {filePath: string, mtimeMs: number, size: number}>>} By index key
+ */
+async function listChatFiles(directories) {
+    const paths = [];
+    const readDirectory = async (directory) => {
+        try {
+            return await fsPromises.readdir(directory, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    };
+
+    for (const entry of await readDirectory(directories.chats)) {
+        if (entry.isDirectory()) {
+            const characterDirectory = path.join(directories.chats, entry.name);
+            for (const file of await readDirectory(characterDirectory)) {
+                if (file.isFile()) paths.push(path.join(characterDirectory, file.name));
+            }
+        }
+    }
+    for (const file of await readDirectory(directories.groupChats)) {
+        if (file.isFile()) paths.push(path.join(directories.groupChats, file.name));
+    }
+
+    const files = new Map();
+    for (const filePath of paths) {
+        const chatFile = describeChatFile(directories, filePath);
+        if (!chatFile) continue;
+        const stats = await fsPromises.stat(filePath);
+        files.set(chatFile.key, { filePath, mtimeMs: stats.mtimeMs, size: stats.size });
+    }
+    return files;
+}
+
+/**
+ * Reads a chat file and builds its index entry.
+ * @param {import('./users.js').UserDirectoryList} directories
+ * @param {string} filePath
+ * @returns {Promise<IndexedChat|null>} Null when the file is gone or isn't a chat
+ */
+async function indexChatFile(directories, filePath) {
+    const chatFile = describeChatFile(directories, filePath);
+    if (!chatFile) {
+        return null;
+    }
+
+    let content;
+    let stats;
+    try {
+        stats = await fsPromises.stat(filePath);
+        content = await fsPromises.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    const lines = content.split('\n');
+    while (lines.length && !lines[lines.length - 1].trim()) {
+        lines.pop();
+    }
+    const firstLine = chatFile.type === 'character' ? 1 : 0;
+    /** @type {IndexedChat} */
+    const chat = {
+        type: chatFile.type,
+        owner: chatFile.owner,
+        fileName: chatFile.fileName,
+        mtimeMs: stats.mtimeMs,
+        size: stats.size,
+        firstLine,
+        messages: [],
+        postings: {},
+    };
+
+    for (const [index, line] of lines.slice(firstLine).entries()) {
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch {
+            message = null;
+        }
+        const sendDate = ['string', 'number'].includes(typeof message?.send_date) ? timestampToMoment(message.send_date) : 0;
+        chat.messages.push([String(message?.name ?? ''), message?.is_user ? 1 : 0, sendDate || 0]);
+        if (typeof message?.mes !== 'string') continue;
+
+        /** @type {Map<string, number[]>} */
+        const positions = new Map();
+        for (const [position, { token }] of tokenize(message.mes).entries()) {
+            positions.has(token) ? positions.get(token).push(position) : positions.set(token, [position]);
+        }
+        for (const [token, list] of positions) {
+            if (!Object.hasOwn(chat.postings, token)) {
+                chat.postings[token] = [];
+            }
+            chat.postings[token].push(index, list.length, ...list);
+        }
+    }
+
+    return chat;
+}
+
+/**
+ * Gets the loaded index of a user, reading it from disk if needed.
+ * @param {string} handle
+ * @returns {Promise<ChatSearchIndex|null>} Null when the user has no index yet
+ */
+async function loadIndex(handle) {
+    if (loadedIndexes.has(handle)) {
+        const index = loadedIndexes.get(handle);
+        loadedIndexes.delete(handle);
+        loadedIndexes.set(handle, index);
+        return index;
+    }
+
+    let index = null;
+    try {
+        index = JSON.parse(await fsPromises.readFile(getIndexPath(handle), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Chat search index of ${handle} is unreadable, rebuilding it:`, error.message);
+        }
+    }
+    if (!index || index.version !== INDEX_VERSION) {
+        return null;
+    }
+
+    rememberIndex(handle, index);
+    return index;
+}
+
+function rememberIndex(handle, index) {
+    loadedIndexes.delete(handle);
+    loadedIndexes.set(handle, index);
+    while (loadedIndexes.size > MAX_LOADED_INDEXES) {
+        loadedIndexes.delete(loadedIndexes.keys().next().value);
+    }
+}
+
+async function saveIndex(handle, index) {
+    const indexPath = getIndexPath(handle);
+    await fsPromises.mkdir(path.dirname(indexPath), { recursive: true });
+    await writeFileAtomic(indexPath, JSON.stringify(index), 'utf8');
+}
+
+/**
+ * Brings the index of a user up to date with the chat files, building it on first use.
+ * Only chats that were added, changed or removed since the last update are read.
+ * @param {string} handle
+ * @returns {Promise<ChatSearchIndex>}
+ */
+async function refreshIndex(handle) {
+    return withLock(toLockKey(handle), async () => {
+        const directories = getUserDirectories(handle);
+        const index = await loadIndex(handle) ?? { version: INDEX_VERSION, chats: {} };
+        const files = await listChatFiles(directories);
+        let changed = false;
+
+        for (const key of Object.keys(index.chats)) {
+            if (!files.has(key)) {
+                delete index.chats[key];
+                changed = true;
+            }
+        }
+        for (const [key, file] of files) {
+            const indexed = index.chats[key];
+            if (indexed && indexed.mtimeMs === file.mtimeMs && indexed.size === file.size) continue;
+            const chat = await indexChatFile(directories, file.filePath);
+            if (chat) {
+                index.chats[key] = chat;
+            } else {
+                delete index.chats[key];
+            }
+            changed = true;
+        }
+
+        rememberIndex(handle, index);
+        if (changed) {
+            await saveIndex(handle, index);
+        }
+        return index;
+    });
+}
+
+/**
+ * Indexes the chat files that were saved since the last update. Users without an index are skipped,
+ * their index is built by their first search.
+ * @param {string} handle
+ * @returns {Promise<void>}
+ */
+async function flushPendingUpdates(handle) {
+    const filePaths = pendingUpdates.get(handle);
+    pendingUpdates.delete(handle);
+    if (!filePaths?.size) {
+        return;
+    }
+
+    await withLock(toLockKey(handle), async () => {
+        const index = await loadIndex(handle);
+        if (!index) {
+            return;
+        }
+
+        const directories = getUserDirectories(handle);
+        for (const filePath of filePaths) {
+            const chatFile = describeChatFile(directories, filePath);
+            if (!chatFile) continue;
+            const chat = await indexChatFile(directories, filePath);
+            if (chat) {
+                index.chats[chatFile.key] = chat;
+            } else {
+                delete index.chats[chatFile.key];
+            }
+        }
+        await saveIndex(handle, index);
+    });
+}
+
+/**
+ * Queues a saved chat file to be indexed shortly, off the request that saved it.
+ * @param {string} handle
+ * @param {string} filePath
+ */
+export function queueChatIndexUpdate(handle, filePath) {
+    if (!pendingUpdates.has(handle)) {
+        pendingUpdates.set(handle, new Set());
+        setTimeout(() => {
+            flushPendingUpdates(handle).catch(error => console.error('Chat search index update failed:', error));
+        }, UPDATE_DELAY).unref();
+    }
+    pendingUpdates.get(handle).add(filePath);
+}
+
+/**
+ * Deletes the search index of a user, after their data was deleted.
+ * @param {string} handle
+ * @returns {Promise<void>}
+ */
+export async function deleteChatSearchIndex(handle) {
+    await withLock(toLockKey(handle), async () => {
+        loadedIndexes.delete(handle);
+        pendingUpdates.delete(handle);
+        await fsPromises.rm(getIndexPath(handle), { force: true });
+    });
+}
+
+/**
+ * Finds the messages of a chat that contain a phrase.
+ * @param {IndexedChat} chat
+ * @param {string[]} tokens
+ * @returns {Map<number, number>} Occurrences by message index
+ */
+function matchPhrase(chat, tokens) {
+    /** @type {Map<string, Map<number, number[]>>} */
+    const positionsByToken = new Map();
+    for (const token of new Set(tokens)) {
+        const postings = Object.hasOwn(chat.postings, token) ? chat.postings[token] : null;
+        if (!postings) {
+            return new Map();
+        }
+        const byMessage = new Map();
+        for (let i = 0; i < postings.length; i += 2 + postings[i + 1]) {
+            byMessage.set(postings[i], postings.slice(i + 2, i + 2 + postings[i + 1]));
+        }
+        positionsByToken.set(token, byMessage);
+    }
+
+    const matches = new Map();
+    for (const [messageIndex, starts] of positionsByToken.get(tokens[0])) {
+        const following = tokens.slice(1).map(token => positionsByToken.get(token).get(messageIndex));
+        if (following.some(positions => !positions)) continue;
+        const sets = following.map(positions => new Set(positions));
+        const count = starts.filter(start => sets.every((set, i) => set.has(start + i + 1))).length;
+        if (count) {
+            matches.set(messageIndex, count);
+        }
+    }
+    return matches;
+}
+
+/**
+ * Cuts the text around the first occurrence of a phrase.
+ * @param {string} text
+ * @param {string[]} tokens
+ * @returns {string}
+ */
+function getSnippet(text, tokens) {
+    const textTokens = tokenize(text);
+    const at = textTokens.findIndex((_, i) => tokens.every((token, j) => textTokens[i + j]?.token === token));
+    const start = at >= 0 ? textTokens[at].start : 0;
+    const end = at >= 0 ? textTokens[at + tokens.length - 1].end : 0;
+    const from = Math.max(0, start - SNIPPET_CONTEXT_CHARS);
+    const to = Math.min(text.length, end + SNIPPET_CONTEXT_CHARS);
+    return `${from > 0 ? '…' : ''}${text.slice(from, to).replace(/\s+/g, ' ').trim()}${to < text.length ? '…' : ''}`;
+}
+
+/**
+ * Maps group chat ids to the group they belong to.
+ * @param {import('./users.js').UserDirectoryList} directories
+ * @returns {Promise<Map<string, string>>}
+ */
+async function getGroupsByChat(directories) {
+    const groupsByChat = new Map();
+    let files = [];
+    try {
+        files = (await fsPromises.readdir(directories.groups)).filter(file => path.extname(file) === '.json');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    for (const file of files) {
+        try {
+            const group = JSON.parse(await fsPromises.readFile(path.join(directories.groups, file), 'utf8'));
+            for (const chatId of Array.isArray(group?.chats) ? group.chats : []) {
+                groupsByChat.set(String(chatId), String(group.id));
+            }
+        } catch (error) {
+            console.warn(file, 'group file is corrupted:', error);
+        }
+    }
+    return groupsByChat;
+}
+
+/**
+ * Searches all chats of a user. A message matches when it contains every word and phrase of the query.
+ * Results are ranked by how often the query terms appear, rare terms counting more, then by date.
+ * @param {string} handle
+ * @param {ChatSearchOptions} options
+ * @returns {Promise<{results: ChatSearchResult[], total: number}>} The best results and the number of matching messages
+ * @throws {Error} If the query is invalid
+ */
+export async function searchChats(handle, { query, avatar, groupId, speaker, from, to, limit = 50 }) {
+    const phrases = parseSearchQuery(query);
+    const directories = getUserDirectories(handle);
+    const index = await refreshIndex(handle);
+    const groupsByChat = await getGroupsByChat(directories);
+    const owner = avatar ? String(avatar).replace(/\.png$/, '') : null;
+    const speakerName = speaker ? String(speaker).trim().toLowerCase() : '';
+
+    const hits = [];
+    const documentFrequency = phrases.map(() => 0);
+    let messageCount = 0;
+
+    for (const [key, chat] of Object.entries(index.chats)) {
+        if (owner && (chat.type !== 'character' || chat.owner !== owner)) continue;
+        if (groupId && (chat.type !== 'group' || groupsByChat.get(chat.owner) !== groupId)) continue;
+        messageCount += chat.messages.length;
+
+        const matches = phrases.map(tokens => matchPhrase(chat, tokens));
+        for (const [i, counts] of matches.entries()) {
+            documentFrequency[i] += counts.size;
+        }
+        for (const [messageIndex] of matches[0]) {
+            if (!matches.every(counts => counts.has(messageIndex))) continue;
+            const [name, isUser, date] = chat.messages[messageIndex] ?? ['', 0, 0];
+            if (speakerName && name.toLowerCase() !== speakerName) continue;
+            if ((from && date < from) || (to && date >= to)) continue;
+            hits.push({ key, chat, messageIndex, name, isUser: !!isUser, date, counts: matches.map(counts => counts.get(messageIndex)) });
+        }
+    }
+
+    const weights = documentFrequency.map(df => Math.log(1 + messageCount / Math.max(1, df)));
+    for (const hit of hits) {
+        hit.score = hit.counts.reduce((score, count, i) => score + weights[i] * count / (count + 1.2), 0);
+    }
+    hits.sort((a, b) => b.score - a.score || b.date - a.date);
+
+    const top = hits.slice(0, Math.min(Math.max(1, Number(limit) || 1), MAX_SEARCH_RESULTS));
+    /** @type {Map<string, string[]>} */
+    const linesByFile = new Map();
+    const results = [];
+    for (const hit of top) {
+        if (!linesByFile.has(hit.key)) {
+            const content = await fsPromises.readFile(path.join(directories.root, hit.key), 'utf8').catch(() => '');
+            linesByFile.set(hit.key, content.split('\n'));
+        }
+        let text = '';
+        try {
+            text = String(JSON.parse(linesByFile.get(hit.key)[hit.chat.firstLine + hit.messageIndex])?.mes ?? '');
+        } catch {
+            // The chat changed since it was indexed, show the result without a snippet
+        }
+
+        results.push({
+            type: hit.chat.type,
+            avatar: hit.chat.type === 'character' ? `${hit.chat.owner}.png` : null,
+            groupId: hit.chat.type === 'group' ? groupsByChat.get(hit.chat.owner) ?? null : null,
+            fileName: hit.chat.fileName,
+            messageIndex: hit.messageIndex,
+            name: hit.name,
+            isUser: hit.isUser,
+            date: hit.date,
+            snippet: getSnippet(text, phrases[0]),
+            score: Math.round(hit.score * 1000) / 1000,
+        });
+    }
+
+    return { results, total: hits.length };
+}
@@ -0,0 +1,158 @@
+import fs from 'node:fs';
+
+import { tryParse } from './util.js';
+
+/**
+ * Most messages one window read returns.
+ */
+export const MAX_WINDOW_MESSAGES = 1000;
+const SCAN_CHUNK_BYTES = 1024 * 1024;
+const MAX_CACHED_INDEXES = 100;
+const NEWLINE = 0x0a;
+
+/**
+ * Where the lines of a chat file start, so a window can be read without reading the whole file.
+ * @typedef {Object} LineIndex
+ * @property {number} mtimeMs
+ * @property {number} size
+ * @property {number[]} starts Byte offset of each line
+ * @property {number} lineCount Lines without the blank ones at the end of the file
+ */
+
+/**
+ * @typedef {Object} ChatWindow
+ * @property {object|null} header Header line, null for group chats and missing files
+ * @property {(object|null)[]} messages Messages of the window, null for lines that aren't valid JSON
+ * @property {number} start Index of the first message of the window
+ * @property {number} total Messages in the chat
+ */
+
+/**
+ * Recently read line indexes by file path, oldest first.
+ * @type {Map<string, LineIndex>}
+ */
+const lineIndexes = new Map();
+
+/**
+ * Reads a byte range of a file as text.
+ * @param {number} fd
+ * @param {number} start
+ * @param {number} end
+ * @returns {string}
+ */
+function readRange(fd, start, end) {
+    const buffer = Buffer.alloc(end - start);
+    let read = 0;
+    while (read < buffer.length) {
+        const bytes = fs.readSync(fd, buffer, read, buffer.length - read, start + read);
+        if (bytes === 0) {
+            break;
+        }
+        read += bytes;
+    }
+    return buffer.toString('utf8', 0, read);
+}
+
+/**
+ * Gets the byte offset where a line ends, not including its line break.
+ * @param {LineIndex} index
+ * @param {number} line
+ * @returns {number}
+ */
+function getLineEnd(index, line) {
+    return line + 1 < index.starts.length ? index.starts[line + 1] - 1 : index.size;
+}
+
+/**
+ * Finds the line starts of a chat file. The index is reused until the file changes.
+ * @param {string} filePath
+ * @param {number} fd Open descriptor of the file
+ * @returns {LineIndex}
+ */
+function getLineIndex(filePath, fd) {
+    const stat = fs.fstatSync(fd);
+    const cached = lineIndexes.get(filePath);
+    lineIndexes.delete(filePath);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+        lineIndexes.set(filePath, cached);
+        return cached;
+    }
+
+    const starts = [0];
+    const buffer = Buffer.alloc(Math.min(SCAN_CHUNK_BYTES, Math.max(1, stat.size)));
+    for (let position = 0; position < stat.size;) {
+        const bytes = fs.readSync(fd, buffer, 0, buffer.length, position);
+        if (bytes === 0) {
+            break;
+        }
+        for (let i = buffer.indexOf(NEWLINE); i !== -1 && i < bytes; i = buffer.indexOf(NEWLINE, i + 1)) {
+            starts.push(position + i + 1);
+        }
+        position += bytes;
+    }
+
+    /** @type {LineIndex} */
+    const index = { mtimeMs: stat.mtimeMs, size: stat.size, starts, lineCount: starts.length };
+    // Like the delta saves, blank lines at the end of the file aren't messages
+    while (index.lineCount > 0 && !readRange(fd, starts[index.lineCount - 1], getLineEnd(index, index.lineCount - 1)).trim()) {
+        index.lineCount--;
+    }
+
+    lineIndexes.set(filePath, index);
+    if (lineIndexes.size > MAX_CACHED_INDEXES) {
+        lineIndexes.delete(lineIndexes.keys().next().value);
+    }
+    return index;
+}
+
+/**
+ * Reads a range of messages from a chat file. Message indexes count every line after the header,
+ * the same way the delta saves do, so they stay stable while the chat is open.
+ * The caller should hold the lock of the file.
+ * @param {string} filePath
+ * @param {object} options
+ * @param {boolean} options.hasHeader Group chats have no header line
+ * @param {number} [options.start] First message to read
+ * @param {number} [options.end] Message to stop before, the end of the chat when omitted
+ * @param {number} [options.tail] Reads this many messages from the end of the chat instead of a range
+ * @returns {ChatWindow} Windows are cut to MAX_WINDOW_MESSAGES
+ */
+export function readChatWindow(filePath, { hasHeader, start = 0, end, tail }) {
+    if (!fs.existsSync(filePath)) {
+        return { header: null, messages: [], start: 0, total: 0 };
+    }
+
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const index = getLineIndex(filePath, fd);
+        const base = hasHeader ? 1 : 0;
+        const total = Math.max(0, index.lineCount - base);
+        const header = hasHeader && index.lineCount > 0 ? tryParse(readRange(fd, 0, getLineEnd(index, 0))) ?? {} : null;
+
+        let from, to;
+        if (tail !== undefined) {
+            to = total;
+            from = Math.max(0, total - Math.min(tail, MAX_WINDOW_MESSAGES));
+        } else {
+            from = Math.min(Math.max(0, start), total);
+            to = Math.min(Math.max(from, end ?? total), total, from + MAX_WINDOW_MESSAGES);
+        }
+
+        const messages = from < to
+            ? readRange(fd, index.starts[base + from], getLineEnd(index, base + to - 1)).split('\n').map(line => tryParse(line) ?? null)
+            : [];
+        return { header, messages, start: from, total };
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Checks for the placeholders the client keeps in place of messages it hasn't loaded yet.
+ * They must never be written to a chat file.
+ * @param {any[]} messages
+ * @returns {boolean}
+ */
+export function hasUnloadedMessages(messages) {
+    return messages.some(message => message?.extra?.unloaded === true);
+}
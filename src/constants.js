@@ -190,6 +190,11 @@ export const CHAT_COMPLETION_SOURCES = {
  */
 export const UPLOADS_DIRECTORY = '_uploads';
 
+/**
+ * Path to archives of purged user data under the data root.
+ */
+export const ARCHIVES_DIRECTORY = '_archives';
+
 // TODO: this is copied from the client code; there should be a way to de-duplicate it eventually
 export const TEXTGEN_TYPES = {
     OOBA: 'ooba',
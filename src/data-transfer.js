@@ -0,0 +1,485 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { promises as fsPromises } from 'node:fs';
+import path from 'node:path';
+
+import archiver from 'archiver';
+import storage from 'node-persist';
+import yauzl from 'yauzl';
+
+import { getCookieSecret, getUserDirectories, toKey } from './users.js';
+import { withLock } from './storage-lock.js';
+import { withAccountState, saveAccountState, roundPoints } from './endpoints/account.js';
+import { recordTransaction, LEDGER_REASONS, SYSTEM_ACTOR } from './ledger.js';
+import { checkStorageQuota, getStorageUsage, invalidateStorageUsage } from './storage-quota.js';
+import { ZIP_SIZE_LIMIT_ERROR, extractZipArchive, formatBytes, generateTimestamp, getConfigValue } from './util.js';
+
+const BUNDLE_FORMAT = 'chloe-user-export';
+const BUNDLE_VERSION = 1;
+const MANIFEST_NAME = 'chloe-export.json';
+const DATA_PREFIX = 'data/';
+const MAX_MANIFEST_SIZE = 1024 * 1024;
+// Accounts of other instances whose state was already restored. Every export gets a new id,
+// so imports are recorded per source account, or exporting again would add the same points twice
+const IMPORTED_ACCOUNT_PREFIX = 'imported-account:';
+// Number of conflicting paths listed in a restore preview
+const MAX_LISTED_CONFLICTS = 100;
+
+/**
+ * How a restore treats the current data directory.
+ */
+export const RESTORE_MODES = {
+    // Adds the files of the bundle, files that exist on both sides keep the current version
+    MERGE: 'merge',
+    // Deletes the data directory and unpacks the bundle in its place
+    REPLACE: 'replace',
+};
+
+/**
+ * Metadata stored next to the data directory in an export bundle.
+ * @typedef {Object} ExportManifest
+ * @property {string} format Always BUNDLE_FORMAT
+ * @property {number} version Bundle format version
+ * @property {string} id Random id of the bundle
+ * @property {number} exportedAt Epoch ms
+ * @property {string} handle User the bundle was exported from
+ * @property {string} name Display name of the user
+ * @property {{points: number, lastCheckInAt: number|null, lastCheckInDate: string, createdAt: number}|null} account Account state, null for users that never opened the home page
+ * @property {string} signature HMAC of the other fields with the signing key of the instance that exported it
+ */
+
+/**
+ * Contents of an uploaded bundle.
+ * @typedef {Object} ExportBundle
+ * @property {ExportManifest} manifest
+ * @property {{path: string, size: number}[]} files Files of the data directory, paths relative to it
+ * @property {boolean} sameInstance Whether the bundle was exported by this instance
+ * @property {boolean} trusted Whether the bundle was signed by one of the trusted instances in the config
+ * @property {string|null} sourceInstance Fingerprint of the trusted key that signed the bundle, null when not trusted
+ */
+
+/**
+ * Gets the key this instance signs its bundles with. Without a configured key one is derived from
+ * the cookie secret, which is never shared, so only this instance recognizes its bundles.
+ * @returns {string}
+ */
+function getSigningKey() {
+    const configuredKey = String(getConfigValue('dataTransfer.signingKey', '') || '');
+    return configuredKey || crypto.createHmac('sha256', getCookieSecret(globalThis.DATA_ROOT)).update(`${BUNDLE_FORMAT}:signing-key`).digest('hex');
+}
+
+/**
+ * @param {Omit<ExportManifest, 'signature'>} manifest
+ * @param {string} key
+ * @returns {string}
+ */
+function signManifest(manifest, key) {
+    const fields = { ...manifest };
+    delete fields['signature'];
+    return crypto.createHmac('sha256', key).update(`${BUNDLE_FORMAT}:${JSON.stringify(fields)}`).digest('hex');
+}
+
+/**
+ * Checks the signature of a manifest against a key.
+ * @param {ExportManifest} manifest
+ * @param {string} key
+ * @returns {boolean}
+ */
+function verifyManifest(manifest, key) {
+    const expected = signManifest(manifest, key);
+    return typeof manifest.signature === 'string'
+        && manifest.signature.length === expected.length
+        && crypto.timingSafeEqual(Buffer.from(manifest.signature), Buffer.from(expected));
+}
+
+/**
+ * Collects the account metadata of a user for an export bundle.
+ * @param {string} handle
+ * @returns {Promise<ExportManifest>}
+ */
+async function buildManifest(handle) {
+    const user = await storage.getItem(toKey(handle));
+    /** @type {import('./endpoints/account.js').AccountState|undefined} */
+    const state = await storage.getItem(`account:${handle}`);
+
+    const manifest = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        id: crypto.randomUUID(),
+        exportedAt: Date.now(),
+        handle,
+        name: user?.name || handle,
+        account: state ? {
+            points: state.points,
+            lastCheckInAt: state.lastCheckInAt ?? null,
+            lastCheckInDate: state.lastCheckInDate || '',
+            createdAt: state.createdAt,
+        } : null,
+    };
+    return { ...manifest, signature: signManifest(manifest, getSigningKey()) };
+}
+
+/**
+ * Writes an export bundle of a user to a stream: the data directory under `data/` and the account metadata.
+ * @param {string} handle User handle
+ * @param {import('node:stream').Writable} output Stream to write the bundle to
+ * @returns {Promise<number>} Bundle size in bytes
+ */
+export async function writeExportBundle(handle, output) {
+    const manifest = await buildManifest(handle);
+    const archive = archiver('zip');
+
+    return new Promise((resolve, reject) => {
+        archive.on('error', reject);
+        archive.on('end', () => resolve(archive.pointer()));
+        // @ts-ignore
+        archive.pipe(output);
+        archive.append(JSON.stringify(manifest, null, 4), { name: MANIFEST_NAME });
+        archive.directory(getUserDirectories(handle).root, DATA_PREFIX.slice(0, -1));
+        archive.finalize();
+    });
+}
+
+/**
+ * Sends an export bundle of a user as a download.
+ * @param {string} handle User handle
+ * @param {import('express').Response} response Express response object to write to
+ * @returns {Promise<void>} Promise that resolves when the bundle is sent
+ */
+export async function sendExportBundle(handle, response) {
+    console.info('Backup requested for', handle);
+    response.attachment(`${handle}-${generateTimestamp()}.zip`);
+
+    try {
+        await writeExportBundle(handle, response);
+        response.end();
+    } catch (err) {
+        response.status(500).send({ error: err.message });
+    }
+}
+
+/**
+ * Reads a whole ZIP entry into memory.
+ * @param {import('yauzl').ZipFile} zipfile
+ * @param {import('yauzl').Entry} entry
+ * @returns {Promise<Buffer>}
+ */
+function readEntry(zipfile, entry) {
+    return new Promise((resolve, reject) => {
+        zipfile.openReadStream(entry, (err, stream) => {
+            if (err) {
+                return reject(err);
+            }
+            const chunks = [];
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.on('end', () => resolve(Buffer.concat(chunks)));
+            stream.on('error', reject);
+        });
+    });
+}
+
+/**
+ * Checks the manifest fields that a restore relies on.
+ * @param {any} manifest
+ * @returns {manifest is ExportManifest}
+ */
+function isValidManifest(manifest) {
+    return manifest?.format === BUNDLE_FORMAT
+        && Number.isInteger(manifest.version)
+        && typeof manifest.id === 'string'
+        && typeof manifest.handle === 'string'
+        && (manifest.account === null || Number.isFinite(manifest.account?.points));
+}
+
+/**
+ * Reads the manifest and the file list of an uploaded bundle without unpacking it.
+ * @param {string} zipFilePath
+ * @returns {Promise<ExportBundle>}
+ * @throws {Error} When the file is not a bundle this version can restore. The message is safe to show to the user.
+ */
+export async function readExportBundle(zipFilePath) {
+    const { manifest, files } = await new Promise((resolve, reject) => {
+        yauzl.open(zipFilePath, { lazyEntries: true }, (err, zipfile) => {
+            if (err) {
+                return reject(new Error('无法读取导出文件，请确认上传的是完整的 ZIP 文件'));
+            }
+
+            let manifest = null;
+            const files = [];
+            const fail = (error) => {
+                zipfile.close();
+                reject(error);
+            };
+
+            zipfile.on('entry', async (entry) => {
+                try {
+                    if (entry.fileName === MANIFEST_NAME) {
+                        if (entry.uncompressedSize > MAX_MANIFEST_SIZE) {
+                            return fail(new Error('导出文件的元数据过大'));
+                        }
+                        manifest = JSON.parse((await readEntry(zipfile, entry)).toString('utf8'));
+                    } else if (entry.fileName.startsWith(DATA_PREFIX) && !entry.fileName.endsWith('/')) {
+                        files.push({ path: entry.fileName.slice(DATA_PREFIX.length), size: entry.uncompressedSize });
+                    }
+                    zipfile.readEntry();
+                } catch {
+                    fail(new Error('导出文件的元数据已损坏'));
+                }
+            });
+            zipfile.on('end', () => resolve({ manifest, files }));
+            zipfile.on('error', () => fail(new Error('无法读取导出文件，请确认上传的是完整的 ZIP 文件')));
+            zipfile.readEntry();
+        });
+    });
+
+    if (!isValidManifest(manifest)) {
+        throw new Error('不是有效的导出文件，请使用「下载备份」生成的文件');
+    }
+    if (manifest.version > BUNDLE_VERSION) {
+        throw new Error('导出文件来自更新版本的服务器，请先升级本服务器');
+    }
+
+    const sameInstance = verifyManifest(manifest, getSigningKey());
+    const trustedKeys = getConfigValue('dataTransfer.trustedKeys', []);
+    const trustedKey = !sameInstance && Array.isArray(trustedKeys)
+        ? trustedKeys.find(key => typeof key === 'string' && key && verifyManifest(manifest, key))
+        : undefined;
+    const sourceInstance = trustedKey ? crypto.createHash('sha256').update(trustedKey).digest('hex').slice(0, 16) : null;
+    return { manifest, files, sameInstance, trusted: !!trustedKey, sourceInstance };
+}
+
+/**
+ * Storage key recording that the account a bundle was exported from has been imported.
+ * @param {ExportBundle} bundle Trusted bundle
+ * @returns {string}
+ */
+function toImportedAccountKey(bundle) {
+    return `${IMPORTED_ACCOUNT_PREFIX}${bundle.sourceInstance}:${bundle.manifest.handle.toLowerCase()}`;
+}
+
+/**
+ * Whether the account state of a bundle would be restored.
+ * Bundles of this instance are skipped, the live account is newer than any export of it.
+ * Users can edit their bundles, so other instances' bundles are only restored when they are signed
+ * with a key the admin listed as trusted. Linked logins are never restored, they are linked again.
+ * The state of each account of another instance is restored once, later exports of it only bring files.
+ * @param {ExportBundle} bundle
+ * @returns {Promise<{restore: boolean, reason: string}>}
+ */
+async function getAccountRestorePolicy(bundle) {
+    if (!bundle.manifest.account) {
+        return { restore: false, reason: '导出文件不含账户信息' };
+    }
+    if (bundle.sameInstance) {
+        return { restore: false, reason: '导出文件来自本服务器，积分以当前账户为准' };
+    }
+    if (!bundle.trusted) {
+        return { restore: false, reason: '导出文件不是受信任的服务器签发的，不导入积分' };
+    }
+    if (await storage.getItem(toImportedAccountKey(bundle))) {
+        return { restore: false, reason: '该账号的积分已导入过，不再重复导入' };
+    }
+    return { restore: true, reason: '' };
+}
+
+/**
+ * Resolves a bundle path inside the user's data directory.
+ * @param {string} root
+ * @param {string} relativePath
+ * @returns {string|null} Null for paths that would leave the directory
+ */
+function resolveDataPath(root, relativePath) {
+    const targetPath = path.resolve(root, relativePath);
+    return targetPath.startsWith(root + path.sep) ? targetPath : null;
+}
+
+/**
+ * Compares a bundle with the user's data directory, to show before anything is changed.
+ * @param {string} handle User restoring the bundle
+ * @param {ExportBundle} bundle
+ * @returns {Promise<{source: {handle: string, name: string, exportedAt: number, sameInstance: boolean}, fileCount: number, totalSize: number, conflictCount: number, conflicts: string[], account: {restore: boolean, reason: string, points: number|null}}>}
+ */
+export async function previewRestore(handle, bundle) {
+    const root = path.resolve(getUserDirectories(handle).root);
+    const conflicts = bundle.files.map(file => file.path).filter(file => {
+        const targetPath = resolveDataPath(root, file);
+        return targetPath && fs.existsSync(targetPath);
+    });
+    const policy = await getAccountRestorePolicy(bundle);
+
+    return {
+        source: { handle: bundle.manifest.handle, name: bundle.manifest.name, exportedAt: bundle.manifest.exportedAt, sameInstance: bundle.sameInstance },
+        fileCount: bundle.files.length,
+        totalSize: bundle.files.reduce((total, file) => total + file.size, 0),
+        conflictCount: conflicts.length,
+        conflicts: conflicts.slice(0, MAX_LISTED_CONFLICTS),
+        account: { ...policy, points: bundle.manifest.account?.points ?? null },
+    };
+}
+
+/**
+ * Restores the account state of a trusted bundle: points and check-in history.
+ * @param {string} handle
+ * @param {ExportBundle} bundle
+ * @param {string} mode One of RESTORE_MODES
+ * @returns {Promise<number>} Points added
+ */
+async function restoreAccountState(handle, bundle, mode) {
+    const manifest = bundle.manifest;
+    const importedKey = toImportedAccountKey(bundle);
+    return withAccountState(handle, async (state) => {
+        if (await storage.getItem(importedKey)) {
+            throw new Error('该账号的积分已导入过，不再重复导入');
+        }
+        await storage.setItem(importedKey, { handle, bundleId: manifest.id, appliedAt: Date.now() });
+
+        const account = manifest.account;
+        if (!account) {
+            return 0;
+        }
+        const before = state.points;
+        const imported = roundPoints(Math.max(0, account.points));
+        state.points = mode === RESTORE_MODES.REPLACE ? imported : roundPoints(state.points + imported);
+        if ((account.lastCheckInAt ?? 0) > (state.lastCheckInAt ?? 0)) {
+            state.lastCheckInAt = account.lastCheckInAt;
+            state.lastCheckInDate = account.lastCheckInDate;
+        }
+        await saveAccountState(state);
+        if (state.points !== before) {
+            await recordTransaction({ handle, delta: roundPoints(state.points - before), balance: state.points, reason: LEDGER_REASONS.IMPORT, actor: SYSTEM_ACTOR, note: `导入自 ${manifest.handle}` });
+        }
+        return roundPoints(state.points - before);
+    }, [importedKey]);
+}
+
+/**
+ * Creates the user's directories that are missing, empty directories are not kept in the bundle.
+ * @param {string} root Resolved data directory of the user
+ * @param {string} targetRoot Directory standing in for it
+ * @param {import('./users.js').UserDirectoryList} directories
+ */
+async function createUserDirectories(root, targetRoot, directories) {
+    for (const dir of Object.values(directories)) {
+        await fsPromises.mkdir(path.join(targetRoot, path.relative(root, path.resolve(dir))), { recursive: true });
+    }
+}
+
+/**
+ * Replaces the user's data directory with a new one. The new tree is filled next to it and swapped in
+ * with a rename, the old one is only deleted after that, so a failed unpack leaves the data as it was.
+ * @param {string} root Resolved data directory of the user
+ * @param {import('./users.js').UserDirectoryList} directories
+ * @param {(targetRoot: string) => Promise<void>} fill Writes the new tree into the given directory
+ */
+async function replaceDataDirectory(root, directories, fill) {
+    const suffix = `${generateTimestamp()}-${crypto.randomBytes(4).toString('hex')}`;
+    const stagingRoot = `${root}.restore-${suffix}`;
+    const previousRoot = `${root}.previous-${suffix}`;
+
+    try {
+        await fsPromises.mkdir(stagingRoot, { recursive: true });
+        await fill(stagingRoot);
+        await createUserDirectories(root, stagingRoot, directories);
+    } catch (error) {
+        await fsPromises.rm(stagingRoot, { recursive: true, force: true });
+        throw error;
+    }
+
+    const hadRoot = fs.existsSync(root);
+    try {
+        if (hadRoot) {
+            await fsPromises.rename(root, previousRoot);
+        }
+        await fsPromises.rename(stagingRoot, root);
+    } catch (error) {
+        if (hadRoot && !fs.existsSync(root)) {
+            await fsPromises.rename(previousRoot, root);
+        }
+        await fsPromises.rm(stagingRoot, { recursive: true, force: true });
+        throw error;
+    }
+
+    await fsPromises.rm(previousRoot, { recursive: true, force: true });
+}
+
+/**
+ * Unpacks the selected files of a bundle next to the user's existing data.
+ * Only files that didn't exist are selected, so a failed unpack removes everything it wrote.
+ * @param {string} root Resolved data directory of the user
+ * @param {string} zipFilePath Uploaded bundle
+ * @param {(fileName: string) => string|null} mapEntry Maps an entry name to its path in the data directory
+ * @param {number} maxBytes Most bytes to write
+ */
+async function extractIntoDataDirectory(root, zipFilePath, mapEntry, maxBytes) {
+    const written = [];
+    try {
+        await extractZipArchive(zipFilePath, root, (fileName) => {
+            const targetName = mapEntry(fileName);
+            if (targetName !== null) {
+                written.push(path.resolve(root, targetName));
+            }
+            return targetName;
+        }, maxBytes);
+    } catch (error) {
+        await Promise.all(written.map(filePath => fsPromises.rm(filePath, { force: true })));
+        throw error;
+    }
+}
+
+/**
+ * Unpacks a bundle into the user's data directory and, when trusted, restores its account state.
+ * @param {string} handle User restoring the bundle
+ * @param {string} zipFilePath Uploaded bundle
+ * @param {ExportBundle} bundle Result of readExportBundle for the same file
+ * @param {string} mode One of RESTORE_MODES
+ * @returns {Promise<{written: number, skipped: number, points: number, accountRestored: boolean}>}
+ * @throws {Error} When the bundle doesn't fit in the storage quota. The message is safe to show to the user.
+ */
+export async function restoreExportBundle(handle, zipFilePath, bundle, mode) {
+    const directories = getUserDirectories(handle);
+    const root = path.resolve(directories.root);
+
+    return withLock(`data-restore:${handle}`, async () => {
+        const incoming = bundle.files.filter(file => {
+            const targetPath = resolveDataPath(root, file.path);
+            return targetPath && (mode === RESTORE_MODES.REPLACE || !fs.existsSync(targetPath));
+        });
+        const incomingBytes = incoming.reduce((total, file) => total + file.size, 0);
+        const freedBytes = mode === RESTORE_MODES.REPLACE ? (await getStorageUsage(handle)).bytes : 0;
+        const { allowed, usage, quota } = await checkStorageQuota(handle, incomingBytes - freedBytes);
+        if (!allowed) {
+            throw new Error(`存储空间不足：导入需要 ${formatBytes(incomingBytes)}，配额 ${formatBytes(quota)}`);
+        }
+
+        const policy = await getAccountRestorePolicy(bundle);
+        const selected = new Set(incoming.map(file => DATA_PREFIX + file.path));
+
+        const mapEntry = fileName => selected.has(fileName) ? fileName.slice(DATA_PREFIX.length) : null;
+        // The sizes in the file list are what the archive claims, the unpacked data is counted again
+        const maxBytes = quota > 0 ? quota - usage + freedBytes : Infinity;
+        try {
+            if (mode === RESTORE_MODES.REPLACE) {
+                await replaceDataDirectory(root, directories, (targetRoot) => extractZipArchive(zipFilePath, targetRoot, mapEntry, maxBytes));
+            } else {
+                await extractIntoDataDirectory(root, zipFilePath, mapEntry, maxBytes);
+                await createUserDirectories(root, root, directories);
+            }
+        } catch (error) {
+            if (error.code === ZIP_SIZE_LIMIT_ERROR) {
+                throw new Error(`存储空间不足：导出文件解压后超出配额 ${formatBytes(quota)}`);
+            }
+            throw error;
+        } finally {
+            await invalidateStorageUsage(handle);
+        }
+
+        const points = policy.restore ? await restoreAccountState(handle, bundle, mode) : 0;
+        console.info(`Restored export bundle of ${bundle.manifest.handle} into ${handle} (${mode}): ${incoming.length} file(s)${policy.restore ? ', account state' : ''}`);
+        return {
+            written: incoming.length,
+            skipped: bundle.files.length - incoming.length,
+            accountRestored: policy.restore,
+            points,
+        };
+    });
+}
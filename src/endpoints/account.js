@@ -1,15 +1,25 @@
-import path from 'node:path';
-import { promises as fsPromises } from 'node:fs';
-
 import express from 'express';
 import storage from 'node-persist';
 
-import { getUserDirectories, toKey, getPasswordHash, getPasswordSalt } from '../users.js';
+import { toKey, getPasswordHash, getPasswordSalt } from '../users.js';
+import { getPricing } from '../billing.js';
+import { withLock } from '../storage-lock.js';
+import { recordTransaction, getTransactions, getPaginationQuery, LEDGER_REASONS, SYSTEM_ACTOR } from '../ledger.js';
+import { toRedeemCodeKey, getRedeemError, applyRedemption } from '../redeem-codes.js';
+import { getPlansConfig, resolveAccountPlan, findPlan, assignPlan } from '../plans.js';
+import { resolveGenerationLimits } from '../generation-limits.js';
+import { resolveStorageQuota, getStorageUsage } from '../storage-quota.js';
+import { getRetentionSettings, getPurgeAt } from '../retention.js';
+import { getOAuthProviders } from '../oauth-providers.js';
+import { getLinkedIdentities, unlinkIdentity } from '../identities.js';
+import { isEmailRecoveryEnabled, isValidEmail } from '../password-recovery.js';
+import { generateTotpSecret, getTotpUri, enrollTwoFactor, verifySecondFactor, generateRecoveryCodes } from '../totp.js';
+import { listSessions, revokeSession, revokeSessions, toPublicSession } from '../sessions.js';
+import { getReferralCodes, getReferralCodeQuota, getReferralTerms, createReferralCode, getReferral, countHeldCodes } from '../referrals.js';
 
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
 const COOLDOWN_MS = 24 * 60 * 60 * 1000; // 24h cooldown for check-in
 const ACCOUNT_PREFIX = 'account:';
-const REDEEM_CODE_PREFIX = 'redeem:';
 
 /**
  * @typedef {Object} AccountState
@@ -19,16 +29,26 @@ const REDEEM_CODE_PREFIX = 'redeem:';
  * @property {number} lastCostAppliedAt Epoch ms at local midnight when cost was last applied
  * @property {string} lastCheckInDate YYYY-MM-DD for daily check-in limiter (legacy)
  * @property {number|null} lastCheckInAt Epoch ms when user last checked in (for tz-aware checks)
- * @property {number|null} accessOffSince Epoch ms when entered OFF state (for 30 days purge)
+ * @property {number|null} accessOffSince Epoch ms when entered OFF state, starts the retention clock
  * @property {number} createdAt Epoch ms when the state was created
+ * @property {string|null} [plan] Assigned plan id, the default plan applies when unset
+ * @property {number|null} [planExpiresAt] Epoch ms when the assigned plan lapses, null for no expiry
+ * @property {{requestsPerMinute: number|null, maxConcurrent: number|null}} [generationLimits] Per-user overrides of the plan's generation limits
+ * @property {number|null} [storageQuotaMb] Per-user override of the plan's storage quota in MB
+ * @property {import('../retention.js').PurgeWarning|null} [purgeWarning] Set by the retention job when the purge is near
  */
 
-function toAccountKey(handle) {
-    return `${ACCOUNT_PREFIX}${handle}`;
+/**
+ * Rounds a points value to two decimals, the precision of metered charges.
+ * @param {number} value
+ * @returns {number}
+ */
+export function roundPoints(value) {
+    return Math.round(value * 100) / 100;
 }
 
-function toRedeemCodeKey(code) {
-    return `${REDEEM_CODE_PREFIX}${code.toUpperCase()}`;
+function toAccountKey(handle) {
+    return `${ACCOUNT_PREFIX}${handle}`;
 }
 
 function toDateString(ts) {
@@ -76,29 +96,59 @@ function todayMidnight(ts = Date.now()) {
  * @param {string} handle
  * @returns {Promise<AccountState>}
  */
-async function getOrInitState(handle) {
-    /** @type {AccountState | undefined} */
-    const existing = await storage.getItem(toAccountKey(handle));
-    if (existing) return existing;
+export async function getOrInitState(handle) {
+    return withLock(toAccountKey(handle), async () => {
+        /** @type {AccountState | undefined} */
+        const existing = await storage.getItem(toAccountKey(handle));
+        if (existing) return existing;
+
+        /** @type {AccountState} */
+        const initial = {
+            handle,
+            points: 20,
+            accessOn: true,
+            lastCostAppliedAt: todayMidnight(),
+            lastCheckInDate: '',
+            lastCheckInAt: null,
+            accessOffSince: null,
+            createdAt: Date.now(),
+        };
+        await storage.setItem(toAccountKey(handle), initial);
+        await recordTransaction({ handle, delta: initial.points, balance: initial.points, reason: LEDGER_REASONS.INITIAL, actor: SYSTEM_ACTOR });
+        return initial;
+    });
+}
 
-    /** @type {AccountState} */
-    const initial = {
-        handle,
-        points: 20,
-        accessOn: true,
-        lastCostAppliedAt: todayMidnight(),
-        lastCheckInDate: '',
-        lastCheckInAt: null,
-        accessOffSince: null,
-        createdAt: Date.now(),
-    };
-    await storage.setItem(toAccountKey(handle), initial);
-    return initial;
+/**
+ * Persists the account state.
+ * @param {AccountState} state
+ * @returns {Promise<void>}
+ */
+export async function saveAccountState(state) {
+    await storage.setItem(toAccountKey(state.handle), state);
+}
+
+/**
+ * Runs a read-modify-write of the user's account under the account lock.
+ * The callback receives the state with daily costs already applied; persisting changes is up to it.
+ * @template T
+ * @param {string} handle User handle
+ * @param {(state: AccountState) => Promise<T>} fn Critical section
+ * @param {string[]} [extraKeys] Other storage keys to lock together with the account
+ * @returns {Promise<T>}
+ */
+export async function withAccountState(handle, fn, extraKeys = []) {
+    return withLock([toAccountKey(handle), ...extraKeys], async () => {
+        const state = await applyDailyCosts(await getOrInitState(handle));
+        return fn(state);
+    });
 }
 
 /**
- * Applies daily costs since lastCostAppliedAt up to today midnight.
- * Also enforces 30-day purge on continuous OFF.
+ * Applies the flat daily fee (if configured) since lastCostAppliedAt up to today midnight.
+ * Generations are metered separately by the billing middleware.
+ * Purging long-OFF accounts is left to the retention job.
+ * Must be called while holding the account lock, see withAccountState.
  * @param {AccountState} state
  * @returns {Promise<AccountState>}
  */
@@ -112,43 +162,20 @@ async function applyDailyCosts(state) {
 
     const days = Math.floor((nowMid - appliedFrom) / MS_PER_DAY);
     if (days > 0) {
-        const rate = state.accessOn ? 1 : 0;
+        const [{ dailyFee }, plansConfig] = await Promise.all([getPricing(), getPlansConfig()]);
+        const { plan } = resolveAccountPlan(state, plansConfig);
+        const rate = state.accessOn ? (plan.dailyFee ?? dailyFee) : 0;
         const cost = days * rate;
-        state.points = Math.max(0, Math.round((state.points - cost) * 2) / 2);
+        const before = state.points;
+        state.points = Math.max(0, roundPoints(state.points - cost));
         state.lastCostAppliedAt = appliedFrom + days * MS_PER_DAY;
         await storage.setItem(toAccountKey(state.handle), state);
-    }
-
-    // Purge if OFF >= 30 days
-    if (state.accessOn === false && state.accessOffSince && (Date.now() - state.accessOffSince) >= 30 * MS_PER_DAY) {
-        await purgeUserData(state.handle);
-        // After purge, reset account state to initial with 0 points and OFF
-        state.points = 0;
-        state.accessOn = false;
-        state.lastCheckInDate = '';
-        state.accessOffSince = todayMidnight();
-        state.lastCostAppliedAt = todayMidnight();
-        await storage.setItem(toAccountKey(state.handle), state);
-        // Signal purge via flag on response level (handled in routes) by attaching property
-        // but we keep state persisted as zeroed so future requests are consistent.
-        // The route will add { purged: true } in response separately.
+        await recordTransaction({ handle: state.handle, delta: state.points - before, balance: state.points, reason: LEDGER_REASONS.DAILY_FEE, actor: SYSTEM_ACTOR, note: `${days} 天` });
     }
 
     return state;
 }
 
-async function purgeUserData(handle) {
-    try {
-        const userKey = toKey(handle);
-        await storage.removeItem(userKey);
-        const directories = getUserDirectories(handle);
-        await fsPromises.rm(directories.root, { recursive: true, force: true });
-    } catch (err) {
-        // Log but do not crash; continue flow
-        console.warn('purgeUserData failed for', handle, err?.message || err);
-    }
-}
-
 /**
  * Builds a serializable status payload for the current request user.
  * @param {import('express').Request} req
@@ -157,9 +184,7 @@ async function buildStatus(req) {
     const handle = req.user?.profile?.handle;
     const name = req.user?.profile?.name;
     if (!handle) throw new Error('No user in request');
-    let state = await getOrInitState(handle);
-    const beforeOffSince = state.accessOffSince;
-    state = await applyDailyCosts(state);
+    const state = await withLock(toAccountKey(handle), async () => applyDailyCosts(await getOrInitState(handle)));
 
     const offDays = state.accessOn || !state.accessOffSince
         ? 0
@@ -175,17 +200,35 @@ async function buildStatus(req) {
     const canCheckInToday = lastCheckInAt == null || (now - lastCheckInAt) >= COOLDOWN_MS;
     const nextCheckInAt = lastCheckInAt == null ? now : (lastCheckInAt + COOLDOWN_MS);
 
-    const didPurge = beforeOffSince && !state.accessOn && (Date.now() - beforeOffSince) >= 30 * MS_PER_DAY;
+    const [pricing, plansConfig, retention, storageUsage] = await Promise.all([getPricing(), getPlansConfig(), getRetentionSettings(), getStorageUsage(handle)]);
+    const { plan, expiresAt } = resolveAccountPlan(state, plansConfig);
 
     return {
         handle,
         name,
         points: state.points,
         accessOn: state.accessOn,
+        billingEnabled: pricing.enabled,
+        dailyFee: plan.dailyFee ?? pricing.dailyFee,
+        plan: {
+            id: plan.id,
+            name: plan.name,
+            expiresAt,
+            checkinReward: plan.checkinReward,
+            allowedSources: plan.allowedSources,
+            allowedModels: plan.allowedModels,
+            features: plan.features,
+        },
+        generationLimits: resolveGenerationLimits(state, plan),
+        storage: { usage: storageUsage.bytes, quotaMb: resolveStorageQuota(state, plan) },
         offDays,
         canCheckInToday,
         nextCheckInAt,
-        purged: !!didPurge,
+        purgeAfterDays: retention.purgeAfterDays,
+        // Only shown once the retention job has raised a warning, so the banner matches the job's schedule
+        purgeWarning: state.purgeWarning && !state.accessOn
+            ? { purgeAt: getPurgeAt(state, retention), warningDays: state.purgeWarning.level }
+            : null,
     };
 }
 
@@ -203,28 +246,43 @@ router.get('/status', async (req, res) => {
     }
 });
 
-// Daily check-in: +5 points once per calendar day
+// Public price table for metered generations
+router.get('/pricing', async (req, res) => {
+    try {
+        if (!req.user) return res.sendStatus(403);
+        const pricing = await getPricing();
+        return res.json(pricing);
+    } catch (err) {
+        console.error('account/pricing failed', err);
+        return res.sendStatus(500);
+    }
+});
+
+// Daily check-in: grants the plan's check-in reward once per 24 hours
 router.post('/checkin', async (req, res) => {
     try {
         if (!req.user) return res.sendStatus(403);
         const handle = req.user.profile.handle;
-        let state = await getOrInitState(handle);
-        state = await applyDailyCosts(state);
-        // 24-hour cooldown enforcement
-        const now = Date.now();
-        let lastCheckInAt = state.lastCheckInAt;
-        if (lastCheckInAt == null && state.lastCheckInDate) {
-            const parsed = Date.parse(`${state.lastCheckInDate}T00:00:00Z`);
-            if (!Number.isNaN(parsed)) lastCheckInAt = parsed;
-        }
-        if (lastCheckInAt != null && (now - lastCheckInAt) < COOLDOWN_MS) {
-            return res.status(400).json({ error: '冷却中，尚未到下一次签到时间', nextCheckInAt: lastCheckInAt + COOLDOWN_MS });
-        }
-        state.points = Math.round((state.points + 5) * 2) / 2;
-        state.lastCheckInAt = now;
-        state.lastCheckInDate = toDateString(now);
-        await storage.setItem(toAccountKey(handle), state);
-        return res.json({ points: state.points, lastCheckInAt: state.lastCheckInAt, lastCheckInDate: state.lastCheckInDate, nextCheckInAt: now + COOLDOWN_MS });
+        return await withAccountState(handle, async (state) => {
+            // 24-hour cooldown enforcement
+            const now = Date.now();
+            let lastCheckInAt = state.lastCheckInAt;
+            if (lastCheckInAt == null && state.lastCheckInDate) {
+                const parsed = Date.parse(`${state.lastCheckInDate}T00:00:00Z`);
+                if (!Number.isNaN(parsed)) lastCheckInAt = parsed;
+            }
+            if (lastCheckInAt != null && (now - lastCheckInAt) < COOLDOWN_MS) {
+                return res.status(400).json({ error: '冷却中，尚未到下一次签到时间', nextCheckInAt: lastCheckInAt + COOLDOWN_MS });
+            }
+            const { plan } = resolveAccountPlan(state, await getPlansConfig());
+            const reward = plan.checkinReward;
+            state.points = roundPoints(state.points + reward);
+            state.lastCheckInAt = now;
+            state.lastCheckInDate = toDateString(now);
+            await storage.setItem(toAccountKey(handle), state);
+            await recordTransaction({ handle, delta: reward, balance: state.points, reason: LEDGER_REASONS.CHECKIN, actor: handle });
+            return res.json({ points: state.points, reward, lastCheckInAt: state.lastCheckInAt, lastCheckInDate: state.lastCheckInDate, nextCheckInAt: now + COOLDOWN_MS });
+        });
     } catch (err) {
         console.error('account/checkin failed', err);
         return res.sendStatus(500);
@@ -240,31 +298,35 @@ router.post('/toggle', async (req, res) => {
         if (typeof desired !== 'boolean') {
             return res.status(400).json({ error: 'Missing accessOn boolean' });
         }
-        let state = await getOrInitState(handle);
-        state = await applyDailyCosts(state);
-        if (state.accessOn !== desired) {
-            if (desired === true) {
-                // Activation fee: requires and deducts 1 point immediately
-                if ((state.points ?? 0) < 1) {
-                    return res.status(400).json({ error: '积分不足，无法开启（需要 1 积分）' });
+        return await withAccountState(handle, async (state) => {
+            if (state.accessOn !== desired) {
+                if (desired === true) {
+                    // Activation fee: requires and deducts 1 point immediately
+                    if ((state.points ?? 0) < 1) {
+                        return res.status(400).json({ error: '积分不足，无法开启（需要 1 积分）' });
+                    }
+                    state.points = Math.max(0, roundPoints(state.points - 1));
+                    state.accessOn = true;
+                    state.accessOffSince = null;
+                    state.purgeWarning = null;
+                } else {
+                    state.accessOn = false;
+                    state.accessOffSince = Date.now();
+                }
+                await storage.setItem(toAccountKey(handle), state);
+                if (desired === true) {
+                    await recordTransaction({ handle, delta: -1, balance: state.points, reason: LEDGER_REASONS.ACTIVATION_FEE, actor: handle });
                 }
-                state.points = Math.max(0, Math.round((state.points - 1) * 2) / 2);
-                state.accessOn = true;
-                state.accessOffSince = null;
-            } else {
-                state.accessOn = false;
-                state.accessOffSince = Date.now();
             }
-            await storage.setItem(toAccountKey(handle), state);
-        }
-        return res.json({ accessOn: state.accessOn, points: state.points });
+            return res.json({ accessOn: state.accessOn, points: state.points });
+        });
     } catch (err) {
         console.error('account/toggle failed', err);
         return res.sendStatus(500);
     }
 });
 
-// Redeem code: adds points to account
+// Redeem code: adds points to account and optionally grants a plan
 router.post('/redeem', async (req, res) => {
     try {
         if (!req.user) return res.sendStatus(403);
@@ -275,41 +337,69 @@ router.post('/redeem', async (req, res) => {
             return res.status(400).json({ error: '请输入兑换码' });
         }
 
-        const codeKey = toRedeemCodeKey(code);
-        const redeemData = await storage.getItem(codeKey);
+        // The code and the account are locked together so a code is never redeemed more often than allowed
+        const codeKey = toRedeemCodeKey(code.trim());
+        return await withAccountState(handle, async (state) => {
+            const redeemData = await storage.getItem(codeKey);
 
-        if (!redeemData) {
-            return res.status(404).json({ error: '兑换码不存在或已失效' });
-        }
+            if (!redeemData) {
+                return res.status(404).json({ error: '兑换码不存在或已失效' });
+            }
 
-        if (redeemData.used) {
-            return res.status(400).json({ error: '此兑换码已被使用' });
-        }
+            const redeemError = getRedeemError(redeemData, handle);
+            if (redeemError) {
+                return res.status(400).json({ error: redeemError });
+            }
+
+            const plan = redeemData.plan ? findPlan(await getPlansConfig(), redeemData.plan) : null;
+            if (redeemData.plan && !plan) {
+                return res.status(400).json({ error: '此兑换码对应的套餐已下架' });
+            }
 
-        // Mark code as used
-        redeemData.used = true;
-        redeemData.usedBy = handle;
-        redeemData.usedAt = Date.now();
-        await storage.setItem(codeKey, redeemData);
+            applyRedemption(redeemData, handle);
+            await storage.setItem(codeKey, redeemData);
 
-        // Add points to user account
-        let state = await getOrInitState(handle);
-        state = await applyDailyCosts(state);
-        state.points = Math.round((state.points + redeemData.points) * 2) / 2;
-        await storage.setItem(toAccountKey(handle), state);
+            // Add points to user account
+            state.points = roundPoints(state.points + redeemData.points);
+            if (plan) {
+                assignPlan(state, plan.id, redeemData.planDays ?? null);
+            }
+            await storage.setItem(toAccountKey(handle), state);
+            if (redeemData.points > 0) {
+                await recordTransaction({ handle, delta: redeemData.points, balance: state.points, reason: LEDGER_REASONS.REDEEM, actor: handle, note: redeemData.code });
+            }
 
-        return res.json({
-            success: true,
-            points: state.points,
-            addedPoints: redeemData.points,
-            message: `成功兑换 ${redeemData.points} 积分`,
-        });
+            const granted = [
+                redeemData.points > 0 ? `${redeemData.points} 积分` : '',
+                plan ? `套餐「${plan.name}」${redeemData.planDays ? ` ${redeemData.planDays} 天` : ''}` : '',
+            ].filter(Boolean).join('和');
+
+            return res.json({
+                success: true,
+                points: state.points,
+                addedPoints: redeemData.points,
+                plan: plan ? { id: plan.id, name: plan.name, expiresAt: state.planExpiresAt ?? null } : null,
+                message: `成功兑换 ${granted}`,
+            });
+        }, [codeKey]);
     } catch (err) {
         console.error('account/redeem failed', err);
         return res.sendStatus(500);
     }
 });
 
+// Points transaction history, newest first
+router.get('/transactions', async (req, res) => {
+    try {
+        if (!req.user) return res.sendStatus(403);
+        const result = await getTransactions(req.user.profile.handle, getPaginationQuery(req));
+        return res.json(result);
+    } catch (err) {
+        console.error('account/transactions failed', err);
+        return res.sendStatus(500);
+    }
+});
+
 // Leaderboard: top users by points, plus caller's rank
 router.get('/leaderboard', async (req, res) => {
     try {
@@ -357,6 +447,86 @@ router.get('/leaderboard', async (req, res) => {
     }
 });
 
+// 登录方式：已绑定的第三方账号和是否设置了密码
+router.get('/identities', async (req, res) => {
+    if (!req.user) return res.sendStatus(401);
+    try {
+        const handle = req.user.profile.handle;
+        const userData = await storage.getItem(toKey(handle));
+        const providers = getOAuthProviders().map(provider => ({ id: provider.id, name: provider.name }));
+        const names = Object.fromEntries(providers.map(provider => [provider.id, provider.name]));
+        const identities = (await getLinkedIdentities(handle)).map(identity => ({
+            ...identity,
+            providerName: names[identity.provider] || identity.provider,
+        }));
+        return res.json({
+            handle,
+            hasPassword: !!userData?.password,
+            recoveryEmail: userData?.email || '',
+            emailRecovery: isEmailRecoveryEnabled(),
+            identities,
+            providers,
+        });
+    } catch (err) {
+        console.error('account/identities failed', err);
+        return res.sendStatus(500);
+    }
+});
+
+// 解绑第三方登录
+router.post('/identities/unlink', async (req, res) => {
+    if (!req.user) return res.sendStatus(401);
+    try {
+        const { provider, subject } = req.body || {};
+        if (typeof provider !== 'string' || typeof subject !== 'string') {
+            return res.status(400).json({ error: '缺少登录方式' });
+        }
+        const removed = await unlinkIdentity(req.user.profile.handle, provider, subject);
+        if (!removed) {
+            return res.status(404).json({ error: '未绑定该登录方式' });
+        }
+        return res.json({ success: true });
+    } catch (err) {
+        return res.status(400).json({ error: err.message || '解绑失败' });
+    }
+});
+
+// 设置找回密码用的邮箱，留空表示解绑；已设置密码时需要验证当前密码
+router.post('/recovery-email', async (req, res) => {
+    if (!req.user) return res.sendStatus(401);
+    const handle = req.user.profile.handle;
+
+    try {
+        const { email, currentPassword } = req.body || {};
+        const recoveryEmail = typeof email === 'string' ? email.trim() : '';
+        if (recoveryEmail && !isValidEmail(recoveryEmail)) {
+            return res.status(400).json({ error: '邮箱格式不正确' });
+        }
+
+        return await withLock(toKey(handle), async () => {
+            const userData = await storage.getItem(toKey(handle));
+            if (!userData) {
+                return res.status(404).json({ error: '用户不存在' });
+            }
+            if (userData.password) {
+                if (!currentPassword || typeof currentPassword !== 'string') {
+                    return res.status(400).json({ error: '请输入当前密码' });
+                }
+                if (getPasswordHash(currentPassword, userData.salt) !== userData.password) {
+                    return res.status(401).json({ error: '当前密码错误' });
+                }
+            }
+
+            userData.email = recoveryEmail;
+            await storage.setItem(toKey(handle), userData);
+            return res.json({ success: true, email: recoveryEmail, message: recoveryEmail ? '找回邮箱已保存' : '找回邮箱已解绑' });
+        });
+    } catch (error) {
+        console.error('Set recovery email error:', error);
+        return res.status(500).json({ error: '保存找回邮箱失败' });
+    }
+});
+
 // 修改密码
 router.post('/change-password', async (req, res) => {
     if (!req.user) return res.sendStatus(401);
@@ -365,11 +535,6 @@ router.post('/change-password', async (req, res) => {
     try {
         const { currentPassword, newPassword } = req.body || {};
 
-        // 验证输入
-        if (!currentPassword || typeof currentPassword !== 'string') {
-            return res.status(400).json({ error: '请输入当前密码' });
-        }
-
         if (!newPassword || typeof newPassword !== 'string') {
             return res.status(400).json({ error: '请输入新密码' });
         }
@@ -382,34 +547,43 @@ router.post('/change-password', async (req, res) => {
             return res.status(400).json({ error: '新密码最多 128 位字符' });
         }
 
-        // 获取用户数据
         const userKey = toKey(handle);
-        const userData = await storage.getItem(userKey);
+        return await withLock(userKey, async () => {
+            // 获取用户数据
+            const userData = await storage.getItem(userKey);
 
-        if (!userData) {
-            return res.status(404).json({ error: '用户不存在' });
-        }
+            if (!userData) {
+                return res.status(404).json({ error: '用户不存在' });
+            }
 
-        // 验证当前密码
-        const currentPasswordHash = getPasswordHash(currentPassword, userData.salt);
-        if (currentPasswordHash !== userData.password) {
-            return res.status(401).json({ error: '当前密码错误' });
-        }
+            // 通过第三方登录创建的账号首次设置密码时没有当前密码
+            const hadPassword = !!userData.password;
+            if (hadPassword) {
+                if (!currentPassword || typeof currentPassword !== 'string') {
+                    return res.status(400).json({ error: '请输入当前密码' });
+                }
+                if (getPasswordHash(currentPassword, userData.salt) !== userData.password) {
+                    return res.status(401).json({ error: '当前密码错误' });
+                }
+            }
 
-        // 生成新密码的盐和哈希
-        const newSalt = getPasswordSalt();
-        const newPasswordHash = getPasswordHash(newPassword, newSalt);
+            // 生成新密码的盐和哈希
+            const newSalt = getPasswordSalt();
+            const newPasswordHash = getPasswordHash(newPassword, newSalt);
 
-        // 更新密码
-        userData.password = newPasswordHash;
-        userData.salt = newSalt;
-        userData.passwordChangedAt = Date.now();
+            // 更新密码
+            userData.password = newPasswordHash;
+            userData.salt = newSalt;
+            userData.passwordChangedAt = Date.now();
 
-        await storage.setItem(userKey, userData);
+            await storage.setItem(userKey, userData);
+            // 其他设备需要用新密码重新登录
+            await revokeSessions(handle, { except: req.session?.sid });
 
-        return res.json({
-            success: true,
-            message: '密码修改成功',
+            return res.json({
+                success: true,
+                message: hadPassword ? '密码修改成功' : '密码设置成功',
+            });
         });
     } catch (error) {
         console.error('Change password error:', error);
@@ -417,12 +591,207 @@ router.post('/change-password', async (req, res) => {
     }
 });
 
+// 两步验证状态
+router.get('/2fa', async (req, res) => {
+    if (!req.user) return res.sendStatus(401);
+    try {
+        const userData = await storage.getItem(toKey(req.user.profile.handle));
+        const twoFactor = userData?.twoFactor;
+        return res.json({
+            enabled: !!twoFactor,
+            enabledAt: twoFactor?.enabledAt ?? null,
+            recoveryCodesLeft: twoFactor?.recoveryCodes?.length ?? 0,
+        });
+    } catch (err) {
+        console.error('account/2fa failed', err);
+        return res.sendStatus(500);
+    }
+});
+
+// 开始绑定验证器：生成密钥，确认验证码前只保存在会话中
+router.post('/2fa/setup', async (req, res) => {
+    if (!req.user) return res.sendStatus(401);
+    try {
+        const handle = req.user.profile.handle;
+        const userData = await storage.getItem(toKey(handle));
+        if (userData?.twoFactor) {
+            return res.status(400).json({ error: '已开启两步验证' });
+        }
+        const secret = generateTotpSecret();
+        req.session.twoFactorSetup = secret;
+        return res.json({ secret, uri: getTotpUri(secret, handle) });
+    } catch (err) {
+        console.error('account/2fa/setup failed', err);
+        return res.status(500).json({ error: '生成密钥失败' });
+    }
+});
+
+// 输入验证器中的验证码确认绑定，返回只显示一次的恢复码
+router.post('/2fa/enable', async (req, res) => {
+    if (!req.user) return res.sendStatus(401);
+    const handle = req.user.profile.handle;
+    try {
+        const secret = req.session?.twoFactorSetup;
+        if (!secret) {
+            return res.status(400).json({ error: '请先生成密钥' });
+        }
+        const enrollment = enrollTwoFactor(secret, String(req.body?.code || ''));
+        if (!enrollment) {
+            return res.status(400).json({ error: '验证码错误，请确认手机时间准确' });
+        }
+
+        return await withLock(toKey(handle), async () => {
+            const userData = await storage.getItem(toKey(handle));
+            if (!userData) {
+                return res.status(404).json({ error: '用户不存在' });
+            }
+            userData.twoFactor = enrollment.state;
+            await storage.setItem(toKey(handle), userData);
+            req.session.twoFactorSetup = null;
+            return res.json({ success: true, recoveryCodes: enrollment.recoveryCodes, message: '两步验证已开启' });
+        });
+    } catch (err) {
+        console.error('account/2fa/enable failed', err);
+        return res.status(500).json({ error: '开启两步验证失败' });
+    }
+});
+
+/**
+ * Runs a change to the user's two-factor settings after checking a TOTP or recovery code from the request.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {(userData: any) => Promise<any>} fn Receives the user record, saves it itself
+ */
+async function withSecondFactor(req, res, fn) {
+    const handle = req.user.profile.handle;
+    return withLock(toKey(handle), async () => {
+        const userData = await storage.getItem(toKey(handle));
+        if (!userData?.twoFactor) {
+            return res.status(400).json({ error: '未开启两步验证' });
+        }
+        if (!verifySecondFactor(userData.twoFactor, String(req.body?.code || ''))) {
+            return res.status(401).json({ error: '验证码错误' });
+        }
+        return fn(userData);
+    });
+}
+
+// 关闭两步验证，需要验证码或恢复码
+router.post('/2fa/disable', async (req, res) => {
+    if (!req.user) return res.sendStatus(401);
+    try {
+        return await withSecondFactor(req, res, async (userData) => {
+            delete userData.twoFactor;
+            await storage.setItem(toKey(req.user.profile.handle), userData);
+            return res.json({ success: true, message: '两步验证已关闭' });
+        });
+    } catch (err) {
+        console.error('account/2fa/disable failed', err);
+        return res.status(500).json({ error: '关闭两步验证失败' });
+    }
+});
+
+// 重新生成恢复码，旧的恢复码全部失效
+router.post('/2fa/recovery-codes', async (req, res) => {
+    if (!req.user) return res.sendStatus(401);
+    try {
+        return await withSecondFactor(req, res, async (userData) => {
+            const { codes, hashes } = generateRecoveryCodes();
+            userData.twoFactor.recoveryCodes = hashes;
+            await storage.setItem(toKey(req.user.profile.handle), userData);
+            return res.json({ success: true, recoveryCodes: codes, message: '恢复码已重新生成' });
+        });
+    } catch (err) {
+        console.error('account/2fa/recovery-codes failed', err);
+        return res.status(500).json({ error: '生成恢复码失败' });
+    }
+});
+
+// 已登录的设备
+router.get('/sessions', async (req, res) => {
+    if (!req.user) return res.sendStatus(401);
+    try {
+        const sessions = await listSessions(req.user.profile.handle);
+        return res.json({ sessions: sessions.map(session => toPublicSession(session, req.session?.sid)) });
+    } catch (err) {
+        console.error('account/sessions failed', err);
+        return res.status(500).json({ error: '获取登录设备失败' });
+    }
+});
+
+// 下线一个设备（下线当前设备等同于退出登录）
+router.post('/sessions/revoke', async (req, res) => {
+    if (!req.user) return res.sendStatus(401);
+    try {
+        const revoked = await revokeSession(req.user.profile.handle, String(req.body?.id || ''));
+        if (!revoked) {
+            return res.status(404).json({ error: '设备不存在或已下线' });
+        }
+        return res.json({ success: true, current: req.body.id === req.session?.sid, message: '设备已下线' });
+    } catch (err) {
+        console.error('account/sessions/revoke failed', err);
+        return res.status(500).json({ error: '下线设备失败' });
+    }
+});
+
+// 下线除当前设备外的所有设备
+router.post('/sessions/revoke-others', async (req, res) => {
+    if (!req.user) return res.sendStatus(401);
+    try {
+        const count = await revokeSessions(req.user.profile.handle, { except: req.session?.sid });
+        return res.json({ success: true, count, message: count ? `已下线 ${count} 个设备` : '没有其他已登录的设备' });
+    } catch (err) {
+        console.error('account/sessions/revoke-others failed', err);
+        return res.status(500).json({ error: '下线设备失败' });
+    }
+});
+
+// 我的邀请码，以及被邀请人是否已达标
+router.get('/referrals', async (req, res) => {
+    if (!req.user) return res.sendStatus(401);
+    try {
+        const handle = req.user.profile.handle;
+        const [quota, codes] = await Promise.all([getReferralCodeQuota(handle), getReferralCodes(handle)]);
+        const list = [];
+        for (const code of codes) {
+            const referral = code.usedBy ? await getReferral(code.usedBy) : null;
+            list.push({
+                code: code.code,
+                used: code.used,
+                usedBy: code.usedBy,
+                usedAt: code.usedAt,
+                createdAt: code.createdAt,
+                expiresAt: code.expiresAt,
+                activeDays: referral?.activeDays ?? 0,
+                qualified: Boolean(referral?.qualifiedAt),
+                bonus: referral?.bonus ?? 0,
+                review: referral?.review ?? null,
+            });
+        }
+        return res.json({ quota, remaining: Math.max(0, quota - countHeldCodes(codes)), ...getReferralTerms(), codes: list });
+    } catch (err) {
+        console.error('account/referrals failed', err);
+        return res.status(500).json({ error: '获取邀请码失败' });
+    }
+});
+
+// 生成一个个人邀请码，数量受套餐限制
+router.post('/referrals/codes', async (req, res) => {
+    if (!req.user) return res.sendStatus(401);
+    try {
+        const code = await createReferralCode(req);
+        return res.json({ success: true, ...code, message: `邀请码 ${code.code} 已生成` });
+    } catch (err) {
+        console.warn('account/referrals/codes failed', err.message);
+        return res.status(400).json({ error: err.message });
+    }
+});
+
 // Helper used by server-main for gating /app
 export async function getEffectiveAccess(req) {
     if (!req.user) return { allowed: false, reason: 'NOT_LOGGED_IN' };
     const handle = req.user.profile.handle;
-    let state = await getOrInitState(handle);
-    state = await applyDailyCosts(state);
+    const state = await withAccountState(handle, async (state) => state);
     if (!state.accessOn) return { allowed: false, reason: 'OFF' };
     if (state.points <= 0) return { allowed: false, reason: 'NO_POINTS' };
     return { allowed: true };
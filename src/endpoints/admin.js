@@ -1,22 +1,62 @@
-import path from 'node:path';
-import crypto from 'node:crypto';
-import { promises as fsPromises } from 'node:fs';
-import fs from 'node:fs';
-
 import express from 'express';
 import storage from 'node-persist';
+import { RateLimiterMemory } from 'rate-limiter-flexible';
 import { sync as writeFileAtomicSync } from 'write-file-atomic';
 
-import { getUserDirectories, toKey, getPasswordHash } from '../users.js';
-
-// 从环境变量读取管理员凭据，避免硬编码
-const ADMIN_CREDENTIALS = {
-    username: process.env.ADMIN_USERNAME || 'admin',
-    password: process.env.ADMIN_PASSWORD || 'changeme',
-};
+import { getIpFromRequest, getRealIpFromHeader } from '../express-common.js';
+import { getConfigValue } from '../util.js';
+import { toKey, getPasswordHash } from '../users.js';
+import { getPricing, setPricing, validatePricing } from '../billing.js';
+import { getPlansConfig, setPlansConfig, validatePlansConfig, findPlan, resolveAccountPlan, isLimit } from '../plans.js';
+import { resolveGenerationLimits } from '../generation-limits.js';
+import { resolveStorageQuota, getStorageUsage } from '../storage-quota.js';
+import { getRetentionSettings, setRetentionSettings, validateRetentionSettings, getArchives, toPublicArchive, restoreArchive, deleteArchive } from '../retention.js';
+import { getPublicKeyPool, setKeyPoolSettings, addPoolKey, updatePoolKey, removePoolKey, toPublicPoolKey } from '../key-pool.js';
+import { withLock } from '../storage-lock.js';
+import { mergeAccounts } from '../account-merge.js';
+import { issueResetCode, RESET_METHODS } from '../password-recovery.js';
+import { generateTotpSecret, getTotpUri, enrollTwoFactor, verifySecondFactor, generateRecoveryCodes, setPendingLogin, getPendingLogin } from '../totp.js';
+import { listSessions, revokeSessions, toPublicSession } from '../sessions.js';
+import { getReferralTree, reviewReferral } from '../referrals.js';
+import { getUserDetails } from '../user-details.js';
+import { listUserRows, resolveBulkTargets, changeUserPoints, setUserPlan, setUserEnabled, deleteUserData, toUsersCsv } from '../user-actions.js';
+import { importUsers } from '../user-import.js';
+import { getTransactions, getPaginationQuery } from '../ledger.js';
+import {
+    REDEEM_CODE_PREFIX,
+    REDEEM_BATCH_PREFIX,
+    REDEEM_CODE_STATUS,
+    toRedeemCodeKey,
+    toRedeemBatchKey,
+    generateRedeemCode,
+    generateBatchId,
+    getRedeemCodeStatus,
+    getRedeemCodeUsage,
+} from '../redeem-codes.js';
+import { recordAudit, getAuditEntries, findAuditEntries, getAuditFilterQuery, toAuditCsv, toAuditJsonl, AUDIT_ACTIONS } from '../audit-log.js';
+import {
+    ADMIN_PERMISSIONS,
+    ADMIN_ROLES,
+    canManageUserLogin,
+    createOperator,
+    getAdminActor,
+    getAdminPrincipal,
+    getAllOperators,
+    getOperator,
+    isAdminTwoFactorRequired,
+    isValidRole,
+    removeOperator,
+    requireAdmin,
+    requirePermission,
+    saveOperator,
+    setOperatorPassword,
+    toPublicOperator,
+    verifyOperatorCredentials,
+} from '../admin-operators.js';
 
 const ACCOUNT_PREFIX = 'account:';
-const REDEEM_CODE_PREFIX = 'redeem:';
+const ADMIN_USER_FORBIDDEN = '只有超级管理员可以对管理员账号执行此操作';
+const ADMIN_TOTP_ISSUER = 'Chloe Admin';
 const INVITE_CODE_PREFIX = 'invite:';
 const SYSTEM_CONFIG_KEY = 'system:config';
 
@@ -24,24 +64,10 @@ function toAccountKey(handle) {
     return `${ACCOUNT_PREFIX}${handle}`;
 }
 
-function toRedeemCodeKey(code) {
-    return `${REDEEM_CODE_PREFIX}${code.toUpperCase()}`;
-}
-
 function toInviteCodeKey(code) {
     return `${INVITE_CODE_PREFIX}${code.toUpperCase()}`;
 }
 
-/**
- * @typedef {Object} RedeemCode
- * @property {string} code
- * @property {number} points
- * @property {boolean} used
- * @property {string|null} usedBy
- * @property {number} createdAt
- * @property {number|null} usedAt
- */
-
 /**
  * @typedef {Object} SystemConfig
  * @property {boolean} registrationEnabled
@@ -71,50 +97,6 @@ export async function isRegistrationEnabled() {
     return config.registrationEnabled !== false;
 }
 
-// 验证管理员凭据
-function verifyAdminCredentials(username, password) {
-    return username === ADMIN_CREDENTIALS.username && password === ADMIN_CREDENTIALS.password;
-}
-
-// 生成随机兑换码
-function generateRedeemCode(length = 12) {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let code = '';
-    for (let i = 0; i < length; i++) {
-        code += chars[Math.floor(Math.random() * chars.length)];
-    }
-    return code;
-}
-
-// 计算目录大小
-async function getDirectorySize(dirPath) {
-    try {
-        let totalSize = 0;
-
-        async function calculateSize(currentPath) {
-            const stats = await fsPromises.stat(currentPath);
-
-            if (stats.isFile()) {
-                totalSize += stats.size;
-            } else if (stats.isDirectory()) {
-                const files = await fsPromises.readdir(currentPath);
-                for (const file of files) {
-                    await calculateSize(path.join(currentPath, file));
-                }
-            }
-        }
-
-        if (fs.existsSync(dirPath)) {
-            await calculateSize(dirPath);
-        }
-
-        return totalSize;
-    } catch (error) {
-        console.error('Error calculating directory size:', error);
-        return 0;
-    }
-}
-
 // 格式化文件大小
 function formatBytes(bytes) {
     if (bytes === 0) return '0 B';
@@ -125,6 +107,31 @@ function formatBytes(bytes) {
 }
 
 export const router = express.Router();
+const PREFER_REAL_IP_HEADER = getConfigValue('rateLimiting.preferRealIpHeader', false, 'boolean');
+const getIpAddress = (req) => PREFER_REAL_IP_HEADER ? getRealIpFromHeader(req) : getIpFromRequest(req);
+// 登录尝试次数（按 IP 和管理员账号分别计数）
+const loginIpLimiter = new RateLimiterMemory({ points: 5, duration: 60 });
+const loginUsernameLimiter = new RateLimiterMemory({ points: 10, duration: 15 * 60 });
+// 两步验证码尝试次数（按管理员账号计数）
+const twoFactorLimiter = new RateLimiterMemory({ points: 5, duration: 5 * 60 });
+
+/**
+ * Signs an operator in once all login steps passed.
+ * @param {import('express').Request} req
+ * @param {import('../admin-operators.js').AdminOperator} operator Saved by this function
+ */
+async function completeAdminLogin(req, operator) {
+    operator.lastLoginAt = Date.now();
+    await saveOperator(operator);
+
+    // 设置管理员会话
+    if (req.session) {
+        req.session.pendingLogin = null;
+        req.session.isAdmin = true;
+        req.session.adminUser = operator.username;
+    }
+    await recordAudit(req, { action: AUDIT_ACTIONS.ADMIN_LOGIN, actor: `admin:${operator.username}` });
+}
 
 // 管理员登录
 router.post('/login', async (req, res) => {
@@ -135,14 +142,30 @@ router.post('/login', async (req, res) => {
             return res.status(400).json({ error: '用户名和密码不能为空' });
         }
 
-        if (verifyAdminCredentials(username, password)) {
-            // 设置管理员会话
-            if (req.session) {
-                req.session.isAdmin = true;
-                req.session.adminUser = username;
+        try {
+            await loginIpLimiter.consume(getIpAddress(req));
+            await loginUsernameLimiter.consume(String(username).toLowerCase());
+        } catch {
+            return res.status(429).json({ error: '尝试过于频繁，请稍后重试' });
+        }
+
+        const operator = await verifyOperatorCredentials(String(username), String(password));
+        if (operator) {
+            // 密码正确后还需要两步验证；强制开启时，未绑定的账号先绑定验证器
+            if (operator.twoFactor && req.session) {
+                setPendingLogin(req.session, { type: 'admin', id: operator.username });
+                return res.json({ twoFactorRequired: true });
+            }
+            if (isAdminTwoFactorRequired() && req.session) {
+                const secret = generateTotpSecret();
+                setPendingLogin(req.session, { type: 'admin', id: operator.username, setupSecret: secret });
+                return res.json({ twoFactorSetupRequired: true, secret, uri: getTotpUri(secret, operator.username, ADMIN_TOTP_ISSUER) });
             }
+
+            await completeAdminLogin(req, operator);
             return res.json({ success: true, message: '登录成功' });
         } else {
+            await recordAudit(req, { action: AUDIT_ACTIONS.ADMIN_LOGIN_FAILED, actor: 'anonymous', target: String(username).toLowerCase() });
             return res.status(401).json({ error: '用户名或密码错误' });
         }
     } catch (error) {
@@ -151,9 +174,58 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// 管理员登录第二步：校验验证码（或恢复码），首次绑定时同时保存验证器并返回恢复码
+router.post('/login-2fa', async (req, res) => {
+    try {
+        const pending = getPendingLogin(req.session, 'admin');
+        if (!pending) {
+            return res.status(400).json({ error: '登录已过期，请重新登录' });
+        }
+
+        try {
+            await twoFactorLimiter.consume(pending.id);
+        } catch {
+            return res.status(429).json({ error: '尝试过于频繁，请稍后重试' });
+        }
+
+        const code = String(req.body?.code || '').trim();
+        const operator = await getOperator(pending.id);
+        if (!operator || operator.enabled === false) {
+            req.session.pendingLogin = null;
+            return res.status(403).json({ error: '管理员账号不存在或已停用' });
+        }
+
+        let recoveryCodes;
+        if (pending.setupSecret) {
+            const enrollment = enrollTwoFactor(pending.setupSecret, code);
+            if (enrollment) {
+                operator.twoFactor = enrollment.state;
+                recoveryCodes = enrollment.recoveryCodes;
+            }
+        }
+        const accepted = recoveryCodes || (operator.twoFactor && verifySecondFactor(operator.twoFactor, code));
+        if (!accepted) {
+            await recordAudit(req, { action: AUDIT_ACTIONS.ADMIN_LOGIN_FAILED, actor: 'anonymous', target: operator.username, details: { step: 'two-factor' } });
+            return res.status(401).json({ error: '验证码错误' });
+        }
+
+        await completeAdminLogin(req, operator);
+        if (recoveryCodes) {
+            await recordAudit(req, { action: AUDIT_ACTIONS.ADMIN_2FA_ENABLE, actor: `admin:${operator.username}`, target: operator.username });
+        }
+        return res.json({ success: true, recoveryCodes, message: '登录成功' });
+    } catch (error) {
+        console.error('Admin two-factor login error:', error);
+        return res.status(500).json({ error: '登录失败' });
+    }
+});
+
 // 管理员登出
 router.post('/logout', async (req, res) => {
     try {
+        if (req.session?.isAdmin && req.session.adminUser) {
+            await recordAudit(req, { action: AUDIT_ACTIONS.ADMIN_LOGOUT, actor: `admin:${req.session.adminUser}` });
+        }
         if (req.session) {
             req.session.isAdmin = false;
             req.session.adminUser = null;
@@ -165,58 +237,249 @@ router.post('/logout', async (req, res) => {
     }
 });
 
-// 验证管理员权限的中间件
-function requireAdmin(req, res, next) {
-    if (req.session && req.session.isAdmin) {
-        return next();
+// 获取当前管理员身份（未登录时返回 authenticated: false）
+router.get('/session', async (req, res) => {
+    try {
+        const principal = await getAdminPrincipal(req);
+        if (!principal) {
+            // 酒馆管理员账号在强制两步验证时需要先在主页开启
+            const userNeedsTwoFactor = !!req.user?.profile?.admin && isAdminTwoFactorRequired();
+            return res.json({ authenticated: false, userNeedsTwoFactor });
+        }
+        return res.json({ authenticated: true, ...principal });
+    } catch (error) {
+        console.error('Admin session error:', error);
+        return res.status(500).json({ error: '获取管理员会话失败' });
     }
-    return res.status(403).json({ error: '需要管理员权限' });
-}
+});
 
 // 应用管理员权限检查到所有需要权限的路由
 router.use(requireAdmin);
 
 // 获取所有用户列表
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission(ADMIN_PERMISSIONS.USERS_READ), async (req, res) => {
+    try {
+        const rows = await listUserRows();
+        const users = rows.map(row => ({ ...row, storageSizeFormatted: formatBytes(row.storageSize) }));
+        return res.json({ users });
+    } catch (error) {
+        console.error('Get users error:', error);
+        return res.status(500).json({ error: '获取用户列表失败' });
+    }
+});
+
+// 导出用户表（CSV）
+router.get('/users/export', requirePermission(ADMIN_PERMISSIONS.USERS_READ), async (req, res) => {
+    try {
+        const rows = await listUserRows();
+        const date = new Date().toISOString().slice(0, 10);
+        await recordAudit(req, { action: AUDIT_ACTIONS.USER_EXPORT, details: { count: rows.length } });
+
+        res.setHeader('Content-Disposition', `attachment; filename="users-${date}.csv"`);
+        res.type('text/csv; charset=utf-8');
+        // BOM so spreadsheet apps detect UTF-8 and show Chinese text correctly
+        return res.send('\uFEFF' + toUsersCsv(rows));
+    } catch (error) {
+        console.error('Export users error:', error);
+        return res.status(500).json({ error: '导出用户失败' });
+    }
+});
+
+// 从 CSV 导入用户：预先创建账号，并为每个账号生成一个只能认领该用户名的邀请码
+router.post('/users/import', requirePermission(ADMIN_PERMISSIONS.USERS_CREATE), async (req, res) => {
     try {
-        const allKeys = await storage.keys(x => x.key.startsWith('user:'));
-        const users = [];
+        const { csv, expiresInDays = null } = req.body || {};
+        if (typeof csv !== 'string' || !csv.trim()) {
+            return res.status(400).json({ error: '请选择 CSV 文件' });
+        }
+        if (expiresInDays !== null && (typeof expiresInDays !== 'number' || expiresInDays <= 0 || expiresInDays > 365)) {
+            return res.status(400).json({ error: '过期天数必须在 1-365 之间' });
+        }
 
-        for (const key of allKeys) {
-            const handle = key.replace('user:', '');
-            const userData = await storage.getItem(key);
-            const accountData = await storage.getItem(toAccountKey(handle));
+        let result;
+        try {
+            result = await importUsers(csv, { actor: getAdminActor(req), expiresInDays });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        for (const { handle, code } of result.created) {
+            await recordAudit(req, { action: AUDIT_ACTIONS.USER_CREATE, target: handle, details: { imported: true, inviteCode: code } });
+        }
+
+        return res.json({
+            success: true,
+            ...result,
+            message: `已导入 ${result.created.length} 个账号${result.failed.length ? `，${result.failed.length} 行失败` : ''}`,
+        });
+    } catch (error) {
+        console.error('Import users error:', error);
+        return res.status(500).json({ error: '导入用户失败' });
+    }
+});
+
+/**
+ * Runs an admin action on every user selected by `handles` or `filter` in the request body.
+ * A failure on one user doesn't stop the others.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} label Shown in the summary message
+ * @param {(handle: string) => Promise<void>} fn Throws to report a failure for the user
+ */
+async function runBulkAction(req, res, label, fn) {
+    let handles;
+    try {
+        handles = await resolveBulkTargets(req.body || {});
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
 
-            if (userData) {
-                const directories = getUserDirectories(handle);
-                const storageSize = await getDirectorySize(directories.root);
-
-                users.push({
-                    handle: userData.handle,
-                    name: userData.name,
-                    enabled: userData.enabled,
-                    admin: userData.admin,
-                    created: userData.created,
-                    points: accountData?.points || 0,
-                    accessOn: accountData?.accessOn || false,
-                    storageSize: storageSize,
-                    storageSizeFormatted: formatBytes(storageSize),
+    const failed = [];
+    for (const handle of handles) {
+        try {
+            await fn(handle);
+        } catch (error) {
+            failed.push({ handle, error: error.message });
+        }
+    }
+
+    const succeeded = handles.length - failed.length;
+    return res.json({
+        success: true,
+        total: handles.length,
+        succeeded,
+        failed,
+        message: `已${label} ${succeeded} 个用户${failed.length ? `，${failed.length} 个失败` : ''}`,
+    });
+}
+
+// 批量操作预览：列出会被选中的用户
+router.post('/users/bulk/preview', requirePermission(ADMIN_PERMISSIONS.USERS_READ), async (req, res) => {
+    try {
+        const handles = await resolveBulkTargets(req.body || {});
+        return res.json({ handles, total: handles.length });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+});
+
+// 批量修改积分
+router.post('/users/bulk/points', requirePermission(ADMIN_PERMISSIONS.USERS_POINTS), async (req, res) => {
+    try {
+        const { action, amount } = req.body || {};
+        if (!['add', 'subtract', 'set'].includes(action)) {
+            return res.status(400).json({ error: '无效的操作类型' });
+        }
+        if (typeof amount !== 'number' || amount < 0) {
+            return res.status(400).json({ error: '无效的积分数量' });
+        }
+
+        return await runBulkAction(req, res, '修改积分', async (handle) => {
+            const result = await changeUserPoints(handle, action, amount, getAdminActor(req));
+            if (!result) {
+                throw new Error('用户没有积分账户');
+            }
+            await recordAudit(req, {
+                action: AUDIT_ACTIONS.USER_POINTS,
+                target: handle,
+                details: { operation: action, amount, oldPoints: result.oldPoints, newPoints: result.points, bulk: true },
+            });
+        });
+    } catch (error) {
+        console.error('Bulk modify points error:', error);
+        return res.status(500).json({ error: '批量修改积分失败' });
+    }
+});
+
+// 批量封禁/解封
+router.post('/users/bulk/ban', requirePermission(ADMIN_PERMISSIONS.USERS_BAN), async (req, res) => {
+    try {
+        const { enabled } = req.body || {};
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: '无效的操作类型' });
+        }
+
+        return await runBulkAction(req, res, enabled ? '解封' : '封禁', async (handle) => {
+            const user = await storage.getItem(toKey(handle));
+            if (user && !canManageUserLogin(req.adminPrincipal, user)) {
+                throw new Error(ADMIN_USER_FORBIDDEN);
+            }
+            const result = await setUserEnabled(handle, enabled);
+            if (!result) {
+                throw new Error('用户不存在');
+            }
+            if (result.changed) {
+                await recordAudit(req, {
+                    action: enabled ? AUDIT_ACTIONS.USER_UNBAN : AUDIT_ACTIONS.USER_BAN,
+                    target: handle,
+                    details: { bulk: true, ...(result.sessionsRevoked && { sessionsRevoked: result.sessionsRevoked }) },
                 });
             }
+        });
+    } catch (error) {
+        console.error('Bulk ban error:', error);
+        return res.status(500).json({ error: '批量操作失败' });
+    }
+});
+
+// 批量设置套餐
+router.post('/users/bulk/plan', requirePermission(ADMIN_PERMISSIONS.USERS_PLAN), async (req, res) => {
+    try {
+        const { plan: planId, days = null } = req.body || {};
+        const plan = planId ? findPlan(await getPlansConfig(), planId) : null;
+        if (planId && !plan) {
+            return res.status(400).json({ error: '套餐不存在' });
+        }
+        if (days !== null && (!Number.isInteger(days) || days <= 0 || days > 3650)) {
+            return res.status(400).json({ error: '套餐天数必须在 1-3650 之间' });
         }
 
-        // 按创建时间排序
-        users.sort((a, b) => (b.created || 0) - (a.created || 0));
+        return await runBulkAction(req, res, '设置套餐', async (handle) => {
+            const result = await setUserPlan(handle, plan?.id ?? null, days);
+            if (!result) {
+                throw new Error('用户没有积分账户');
+            }
+            await recordAudit(req, {
+                action: AUDIT_ACTIONS.USER_PLAN,
+                target: handle,
+                details: { from: result.from, to: { plan: result.account.plan, expiresAt: result.account.planExpiresAt }, days, bulk: true },
+            });
+        });
+    } catch (error) {
+        console.error('Bulk set plan error:', error);
+        return res.status(500).json({ error: '批量设置套餐失败' });
+    }
+});
 
-        return res.json({ users });
+// 批量删除用户数据
+router.post('/users/bulk/delete-data', requirePermission(ADMIN_PERMISSIONS.USERS_DELETE), async (req, res) => {
+    try {
+        return await runBulkAction(req, res, '删除数据', async (handle) => {
+            await deleteUserData(handle, getAdminActor(req));
+            await recordAudit(req, { action: AUDIT_ACTIONS.USER_DATA_DELETE, target: handle, details: { bulk: true } });
+        });
     } catch (error) {
-        console.error('Get users error:', error);
-        return res.status(500).json({ error: '获取用户列表失败' });
+        console.error('Bulk delete user data error:', error);
+        return res.status(500).json({ error: '批量删除用户数据失败' });
+    }
+});
+
+// 用户详情：资料、登录方式、邀请来源、签到、最近登录和存储占用
+router.get('/users/:handle', requirePermission(ADMIN_PERMISSIONS.USERS_READ), async (req, res) => {
+    try {
+        const details = await getUserDetails(req.params.handle);
+        if (!details) {
+            return res.status(404).json({ error: '用户不存在' });
+        }
+        return res.json(details);
+    } catch (error) {
+        console.error('Get user details error:', error);
+        return res.status(500).json({ error: '获取用户详情失败' });
     }
 });
 
 // 修改用户积分
-router.post('/users/:handle/points', async (req, res) => {
+router.post('/users/:handle/points', requirePermission(ADMIN_PERMISSIONS.USERS_POINTS), async (req, res) => {
     try {
         const { handle } = req.params;
         const { action, amount } = req.body;
@@ -229,33 +492,20 @@ router.post('/users/:handle/points', async (req, res) => {
             return res.status(400).json({ error: '无效的积分数量' });
         }
 
-        const accountKey = toAccountKey(handle);
-        let accountData = await storage.getItem(accountKey);
-
-        if (!accountData) {
+        const result = await changeUserPoints(handle, action, amount, getAdminActor(req));
+        if (!result) {
             return res.status(404).json({ error: '用户不存在' });
         }
 
-        let newPoints = accountData.points || 0;
-
-        switch (action) {
-            case 'add':
-                newPoints += amount;
-                break;
-            case 'subtract':
-                newPoints = Math.max(0, newPoints - amount);
-                break;
-            case 'set':
-                newPoints = amount;
-                break;
-        }
-
-        accountData.points = Math.round(newPoints * 2) / 2;
-        await storage.setItem(accountKey, accountData);
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.USER_POINTS,
+            target: handle,
+            details: { operation: action, amount, oldPoints: result.oldPoints, newPoints: result.points },
+        });
 
         return res.json({
             success: true,
-            points: accountData.points,
+            points: result.points,
             message: `积分已${action === 'add' ? '增加' : action === 'subtract' ? '减少' : '设置为'} ${amount}`,
         });
     } catch (error) {
@@ -264,166 +514,557 @@ router.post('/users/:handle/points', async (req, res) => {
     }
 });
 
-// 封禁/解封用户
-router.post('/users/:handle/toggle-ban', async (req, res) => {
+// 设置用户套餐
+router.post('/users/:handle/plan', requirePermission(ADMIN_PERMISSIONS.USERS_PLAN), async (req, res) => {
     try {
         const { handle } = req.params;
-        const userKey = toKey(handle);
-        const userData = await storage.getItem(userKey);
+        const { plan: planId, days = null } = req.body;
 
-        if (!userData) {
+        const plansConfig = await getPlansConfig();
+        const plan = planId ? findPlan(plansConfig, planId) : null;
+        if (planId && !plan) {
+            return res.status(400).json({ error: '套餐不存在' });
+        }
+
+        if (days !== null && (!Number.isInteger(days) || days <= 0 || days > 3650)) {
+            return res.status(400).json({ error: '套餐天数必须在 1-3650 之间' });
+        }
+
+        const result = await setUserPlan(handle, plan?.id ?? null, days);
+        if (!result) {
             return res.status(404).json({ error: '用户不存在' });
         }
 
-        userData.enabled = !userData.enabled;
-        await storage.setItem(userKey, userData);
+        const { account } = result;
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.USER_PLAN,
+            target: handle,
+            details: { from: result.from, to: { plan: account.plan, expiresAt: account.planExpiresAt }, days },
+        });
 
+        const effective = resolveAccountPlan(account, plansConfig);
         return res.json({
             success: true,
-            enabled: userData.enabled,
-            message: userData.enabled ? '用户已解封' : '用户已封禁',
+            plan: effective.plan.id,
+            planName: effective.plan.name,
+            planExpiresAt: effective.expiresAt,
+            message: plan ? `已将套餐设置为「${plan.name}」${days ? `，有效期 ${days} 天` : ''}` : '已恢复为默认套餐',
         });
     } catch (error) {
-        console.error('Toggle ban error:', error);
-        return res.status(500).json({ error: '操作失败' });
+        console.error('Set user plan error:', error);
+        return res.status(500).json({ error: '设置套餐失败' });
     }
 });
 
-// 删除用户数据
-router.delete('/users/:handle/data', async (req, res) => {
+// 设置用户生成限流和存储配额（覆盖套餐设置，null 表示跟随套餐）
+router.post('/users/:handle/limits', requirePermission(ADMIN_PERMISSIONS.USERS_LIMITS), async (req, res) => {
     try {
         const { handle } = req.params;
-        const directories = getUserDirectories(handle);
+        const { requestsPerMinute = null, maxConcurrent = null, storageQuotaMb = null } = req.body;
 
-        // 删除用户数据目录
-        if (fs.existsSync(directories.root)) {
-            await fsPromises.rm(directories.root, { recursive: true, force: true });
+        if (!isLimit(requestsPerMinute) || !isLimit(maxConcurrent) || !isLimit(storageQuotaMb)) {
+            return res.status(400).json({ error: '限流值和存储配额必须为非负整数，留空表示跟随套餐' });
         }
 
-        // 重置账户状态
         const accountKey = toAccountKey(handle);
-        const accountData = await storage.getItem(accountKey);
-        if (accountData) {
-            accountData.points = 0;
-            accountData.accessOn = false;
-            accountData.lastCheckInDate = '';
+        return await withLock(accountKey, async () => {
+            const accountData = await storage.getItem(accountKey);
+
+            if (!accountData) {
+                return res.status(404).json({ error: '用户不存在' });
+            }
+
+            const oldLimits = accountData.generationLimits ?? null;
+            const oldStorageQuotaMb = accountData.storageQuotaMb ?? null;
+            const hasOverride = requestsPerMinute !== null || maxConcurrent !== null;
+            accountData.generationLimits = hasOverride ? { requestsPerMinute, maxConcurrent } : null;
+            accountData.storageQuotaMb = storageQuotaMb;
             await storage.setItem(accountKey, accountData);
-        }
 
-        return res.json({
-            success: true,
-            message: '用户数据已删除',
+            await recordAudit(req, {
+                action: AUDIT_ACTIONS.USER_LIMITS,
+                target: handle,
+                details: {
+                    from: oldLimits,
+                    to: accountData.generationLimits,
+                    ...(oldStorageQuotaMb !== storageQuotaMb && { storageQuotaMb: { from: oldStorageQuotaMb, to: storageQuotaMb } }),
+                },
+            });
+
+            const { plan } = resolveAccountPlan(accountData, await getPlansConfig());
+            return res.json({
+                success: true,
+                generationLimits: accountData.generationLimits,
+                effectiveLimits: resolveGenerationLimits(accountData, plan),
+                storageQuotaMb: accountData.storageQuotaMb,
+                effectiveStorageQuotaMb: resolveStorageQuota(accountData, plan),
+                message: hasOverride || storageQuotaMb !== null ? '已设置用户限流' : '已恢复为套餐限流',
+            });
         });
     } catch (error) {
-        console.error('Delete user data error:', error);
-        return res.status(500).json({ error: '删除用户数据失败' });
+        console.error('Set user limits error:', error);
+        return res.status(500).json({ error: '设置限流失败' });
     }
 });
 
-// 创建兑换码
-router.post('/redeem-codes', async (req, res) => {
+// 获取用户积分流水
+router.get('/users/:handle/transactions', requirePermission(ADMIN_PERMISSIONS.TRANSACTIONS_READ), async (req, res) => {
     try {
-        const { points, count = 1 } = req.body;
-
-        if (typeof points !== 'number' || points <= 0) {
-            return res.status(400).json({ error: '无效的积分数量' });
-        }
+        const { handle } = req.params;
+        const userData = await storage.getItem(toKey(handle));
 
-        if (typeof count !== 'number' || count <= 0 || count > 100) {
-            return res.status(400).json({ error: '数量必须在1-100之间' });
+        if (!userData) {
+            return res.status(404).json({ error: '用户不存在' });
         }
 
-        const codes = [];
-
-        for (let i = 0; i < count; i++) {
-            let code = generateRedeemCode();
-            let attempts = 0;
-
-            // 确保生成的兑换码不重复
-            while (await storage.getItem(toRedeemCodeKey(code)) && attempts < 10) {
-                code = generateRedeemCode();
-                attempts++;
-            }
+        const result = await getTransactions(handle, getPaginationQuery(req));
+        return res.json(result);
+    } catch (error) {
+        console.error('Get transactions error:', error);
+        return res.status(500).json({ error: '获取积分流水失败' });
+    }
+});
 
-            /** @type {RedeemCode} */
-            const redeemCode = {
-                code: code,
-                points: points,
-                used: false,
-                usedBy: null,
-                createdAt: Date.now(),
-                usedAt: null,
-            };
+// 封禁/解封用户
+router.post('/users/:handle/toggle-ban', requirePermission(ADMIN_PERMISSIONS.USERS_BAN), async (req, res) => {
+    try {
+        const { handle } = req.params;
+        const userData = await storage.getItem(toKey(handle));
 
-            await storage.setItem(toRedeemCodeKey(code), redeemCode);
-            codes.push(redeemCode);
+        if (!userData) {
+            return res.status(404).json({ error: '用户不存在' });
         }
+        if (!canManageUserLogin(req.adminPrincipal, userData)) {
+            return res.status(403).json({ error: ADMIN_USER_FORBIDDEN });
+        }
+
+        const enabled = !userData.enabled;
+        const { sessionsRevoked } = await setUserEnabled(handle, enabled) ?? {};
+        await recordAudit(req, { action: enabled ? AUDIT_ACTIONS.USER_UNBAN : AUDIT_ACTIONS.USER_BAN, target: handle, details: sessionsRevoked ? { sessionsRevoked } : undefined });
 
         return res.json({
             success: true,
-            codes: codes.map(c => ({
-                code: c.code,
-                points: c.points,
-                createdAt: c.createdAt,
-            })),
-            message: `成功创建 ${count} 个兑换码`,
+            enabled,
+            message: enabled ? '用户已解封' : '用户已封禁',
         });
     } catch (error) {
-        console.error('Create redeem codes error:', error);
-        return res.status(500).json({ error: '创建兑换码失败' });
+        console.error('Toggle ban error:', error);
+        return res.status(500).json({ error: '操作失败' });
     }
 });
 
-// 获取所有兑换码
-router.get('/redeem-codes', async (req, res) => {
+// 删除用户数据
+router.delete('/users/:handle/data', requirePermission(ADMIN_PERMISSIONS.USERS_DELETE), async (req, res) => {
     try {
-        const allKeys = await storage.keys(x => x.key.startsWith(REDEEM_CODE_PREFIX));
-        const codes = [];
-
-        for (const key of allKeys) {
-            const codeData = await storage.getItem(key);
-            if (codeData) {
-                codes.push(codeData);
-            }
-        }
-
-        // 按创建时间倒序排序
-        codes.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+        const { handle } = req.params;
+        // 删除用户数据目录并重置账户状态
+        await deleteUserData(handle, getAdminActor(req));
+        await recordAudit(req, { action: AUDIT_ACTIONS.USER_DATA_DELETE, target: handle });
 
-        return res.json({ codes });
+        return res.json({
+            success: true,
+            message: '用户数据已删除',
+        });
     } catch (error) {
-        console.error('Get redeem codes error:', error);
-        return res.status(500).json({ error: '获取兑换码列表失败' });
+        console.error('Delete user data error:', error);
+        return res.status(500).json({ error: '删除用户数据失败' });
     }
 });
 
-// 删除兑换码
-router.delete('/redeem-codes/:code', async (req, res) => {
+// 合并账号：source 的数据、积分和登录方式并入 target，随后删除 source
+router.post('/users/merge', requirePermission(ADMIN_PERMISSIONS.USERS_DELETE), async (req, res) => {
     try {
-        const { code } = req.params;
-        const codeKey = toRedeemCodeKey(code);
-
-        const codeData = await storage.getItem(codeKey);
-        if (!codeData) {
-            return res.status(404).json({ error: '兑换码不存在' });
+        const source = String(req.body?.source || '').trim().toLowerCase();
+        const target = String(req.body?.target || '').trim().toLowerCase();
+        if (!source || !target || source === target) {
+            return res.status(400).json({ error: '请选择两个不同的账号' });
+        }
+        if (!await storage.getItem(toKey(source)) || !await storage.getItem(toKey(target))) {
+            return res.status(404).json({ error: '用户不存在' });
         }
 
-        await storage.removeItem(codeKey);
+        const result = await mergeAccounts(source, target, getAdminActor(req));
+        await recordAudit(req, { action: AUDIT_ACTIONS.USER_MERGE, target, details: result });
 
-        return res.json({
-            success: true,
-            message: '兑换码已删除',
-        });
+        return res.json({ success: true, result, message: `已将 ${source} 合并到 ${target}` });
     } catch (error) {
-        console.error('Delete redeem code error:', error);
-        return res.status(500).json({ error: '删除兑换码失败' });
+        console.error('Merge users error:', error);
+        return res.status(500).json({ error: '合并账号失败' });
     }
 });
 
-// 获取系统统计信息
-router.get('/stats', async (req, res) => {
+// 生成一次性密码重置码，只在本次响应中显示
+router.post('/users/:handle/reset-code', requirePermission(ADMIN_PERMISSIONS.USERS_PASSWORD), async (req, res) => {
     try {
-        const allUserKeys = await storage.keys(x => x.key.startsWith('user:'));
+        const { handle } = req.params;
+        const user = await storage.getItem(toKey(handle));
+        if (!user) {
+            return res.status(404).json({ error: '用户不存在' });
+        }
+        if (!canManageUserLogin(req.adminPrincipal, user)) {
+            return res.status(403).json({ error: ADMIN_USER_FORBIDDEN });
+        }
+
+        const { code, expiresAt } = await issueResetCode(handle, { method: RESET_METHODS.ADMIN, issuedBy: getAdminActor(req) });
+        await recordAudit(req, { action: AUDIT_ACTIONS.USER_RESET_CODE, target: handle, details: { expiresAt } });
+
+        return res.json({ success: true, handle, code, expiresAt });
+    } catch (error) {
+        console.error('Issue reset code error:', error);
+        return res.status(500).json({ error: '生成重置码失败' });
+    }
+});
+
+// 关闭用户的两步验证（用户丢失验证器和恢复码时使用）
+router.post('/users/:handle/2fa/reset', requirePermission(ADMIN_PERMISSIONS.USERS_PASSWORD), async (req, res) => {
+    try {
+        const { handle } = req.params;
+        return await withLock(toKey(handle), async () => {
+            const user = await storage.getItem(toKey(handle));
+            if (!user) {
+                return res.status(404).json({ error: '用户不存在' });
+            }
+            if (!canManageUserLogin(req.adminPrincipal, user)) {
+                return res.status(403).json({ error: ADMIN_USER_FORBIDDEN });
+            }
+            if (!user.twoFactor) {
+                return res.status(400).json({ error: '该用户未开启两步验证' });
+            }
+
+            delete user.twoFactor;
+            await storage.setItem(toKey(handle), user);
+            await recordAudit(req, { action: AUDIT_ACTIONS.USER_2FA_RESET, target: handle });
+            return res.json({ success: true, message: `已关闭用户 ${handle} 的两步验证` });
+        });
+    } catch (error) {
+        console.error('Reset user two-factor error:', error);
+        return res.status(500).json({ error: '关闭两步验证失败' });
+    }
+});
+
+// 用户已登录的设备
+router.get('/users/:handle/sessions', requirePermission(ADMIN_PERMISSIONS.USERS_READ), async (req, res) => {
+    try {
+        const sessions = await listSessions(req.params.handle);
+        return res.json({ sessions: sessions.map(session => toPublicSession(session)) });
+    } catch (error) {
+        console.error('List user sessions error:', error);
+        return res.status(500).json({ error: '获取登录设备失败' });
+    }
+});
+
+// 强制用户下线（所有设备）
+router.post('/users/:handle/logout', requirePermission(ADMIN_PERMISSIONS.USERS_BAN), async (req, res) => {
+    try {
+        const { handle } = req.params;
+        const user = await storage.getItem(toKey(handle));
+        if (!user) {
+            return res.status(404).json({ error: '用户不存在' });
+        }
+        if (!canManageUserLogin(req.adminPrincipal, user)) {
+            return res.status(403).json({ error: ADMIN_USER_FORBIDDEN });
+        }
+
+        const count = await revokeSessions(handle);
+        await recordAudit(req, { action: AUDIT_ACTIONS.USER_FORCE_LOGOUT, target: handle, details: { sessions: count } });
+        return res.json({ success: true, count, message: `已下线用户 ${handle} 的 ${count} 个设备` });
+    } catch (error) {
+        console.error('Force logout error:', error);
+        return res.status(500).json({ error: '强制下线失败' });
+    }
+});
+
+const MAX_REDEEM_CODE_USES = 100000;
+const MAX_CAMPAIGN_LENGTH = 50;
+
+// 读取所有兑换码
+async function getAllRedeemCodes() {
+    const allKeys = await storage.keys(x => x.key.startsWith(REDEEM_CODE_PREFIX));
+    const codes = [];
+
+    for (const key of allKeys) {
+        const codeData = await storage.getItem(key);
+        if (codeData) {
+            codes.push(codeData);
+        }
+    }
+
+    return codes;
+}
+
+// 创建兑换码（每次创建即为一个批次）
+router.post('/redeem-codes', requirePermission(ADMIN_PERMISSIONS.CODES_WRITE), async (req, res) => {
+    try {
+        const { points, count = 1, maxUses = 1, oncePerUser = true, expiresInDays, campaign = '', plan: planId = null, planDays = null } = req.body;
+
+        // 赠送套餐的兑换码可以不带积分
+        if (typeof points !== 'number' || points < 0 || (points === 0 && !planId)) {
+            return res.status(400).json({ error: '无效的积分数量' });
+        }
+
+        if (planId !== null && !findPlan(await getPlansConfig(), planId)) {
+            return res.status(400).json({ error: '套餐不存在' });
+        }
+
+        if (planDays !== null && (!planId || !Number.isInteger(planDays) || planDays <= 0 || planDays > 3650)) {
+            return res.status(400).json({ error: '套餐天数必须在 1-3650 之间' });
+        }
+
+        if (typeof count !== 'number' || count <= 0 || count > 100) {
+            return res.status(400).json({ error: '数量必须在1-100之间' });
+        }
+
+        if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_REDEEM_CODE_USES) {
+            return res.status(400).json({ error: `可用次数必须在 1-${MAX_REDEEM_CODE_USES} 之间` });
+        }
+
+        if (typeof oncePerUser !== 'boolean') {
+            return res.status(400).json({ error: '无效的每人限用设置' });
+        }
+
+        if (typeof campaign !== 'string' || campaign.trim().length > MAX_CAMPAIGN_LENGTH) {
+            return res.status(400).json({ error: `活动名称不能超过 ${MAX_CAMPAIGN_LENGTH} 个字符` });
+        }
+
+        // 验证过期天数
+        let expiresAt = null;
+        if (expiresInDays !== undefined && expiresInDays !== null) {
+            if (typeof expiresInDays !== 'number' || expiresInDays <= 0 || expiresInDays > 365) {
+                return res.status(400).json({ error: '过期天数必须在 1-365 之间' });
+            }
+            expiresAt = Date.now() + (expiresInDays * 24 * 60 * 60 * 1000);
+        }
+
+        /** @type {import('../redeem-codes.js').RedeemBatch} */
+        const batch = {
+            id: generateBatchId(),
+            campaign: campaign.trim(),
+            points,
+            plan: planId,
+            planDays,
+            count,
+            maxUses,
+            oncePerUser,
+            expiresAt,
+            createdAt: Date.now(),
+            createdBy: getAdminActor(req),
+            revoked: false,
+            revokedAt: null,
+        };
+
+        const codes = [];
+
+        for (let i = 0; i < count; i++) {
+            let code = generateRedeemCode();
+            let attempts = 0;
+
+            // 确保生成的兑换码不重复
+            while (await storage.getItem(toRedeemCodeKey(code)) && attempts < 10) {
+                code = generateRedeemCode();
+                attempts++;
+            }
+
+            /** @type {import('../redeem-codes.js').RedeemCode} */
+            const redeemCode = {
+                code: code,
+                points: points,
+                plan: planId,
+                planDays,
+                used: false,
+                usedBy: null,
+                createdAt: batch.createdAt,
+                usedAt: null,
+                maxUses,
+                uses: 0,
+                oncePerUser,
+                redemptions: [],
+                expiresAt,
+                batchId: batch.id,
+                campaign: batch.campaign,
+                revoked: false,
+                revokedAt: null,
+            };
+
+            await storage.setItem(toRedeemCodeKey(code), redeemCode);
+            codes.push(redeemCode);
+        }
+
+        await storage.setItem(toRedeemBatchKey(batch.id), batch);
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.REDEEM_CODE_CREATE,
+            target: batch.id,
+            details: { campaign: batch.campaign, points, plan: planId, planDays, count: codes.length, maxUses, oncePerUser, expiresAt, codes: codes.map(c => c.code) },
+        });
+
+        return res.json({
+            success: true,
+            batch,
+            codes: codes.map(c => ({
+                code: c.code,
+                points: c.points,
+                plan: c.plan,
+                planDays: c.planDays,
+                createdAt: c.createdAt,
+                maxUses: c.maxUses,
+                expiresAt: c.expiresAt,
+            })),
+            message: `成功创建 ${count} 个兑换码${expiresAt ? `，有效期 ${expiresInDays} 天` : ''}`,
+        });
+    } catch (error) {
+        console.error('Create redeem codes error:', error);
+        return res.status(500).json({ error: '创建兑换码失败' });
+    }
+});
+
+// 获取所有兑换码（可按批次筛选）
+router.get('/redeem-codes', requirePermission(ADMIN_PERMISSIONS.CODES_READ), async (req, res) => {
+    try {
+        const batchId = typeof req.query.batch === 'string' ? req.query.batch : '';
+        const now = Date.now();
+        const codes = (await getAllRedeemCodes())
+            .filter(code => !batchId || code.batchId === batchId)
+            .map(code => ({ ...code, ...getRedeemCodeUsage(code), status: getRedeemCodeStatus(code, now) }));
+
+        // 按创建时间倒序排序
+        codes.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+        return res.json({ codes });
+    } catch (error) {
+        console.error('Get redeem codes error:', error);
+        return res.status(500).json({ error: '获取兑换码列表失败' });
+    }
+});
+
+// 删除兑换码
+router.delete('/redeem-codes/:code', requirePermission(ADMIN_PERMISSIONS.CODES_WRITE), async (req, res) => {
+    try {
+        const { code } = req.params;
+        const codeKey = toRedeemCodeKey(code);
+
+        return await withLock(codeKey, async () => {
+            const codeData = await storage.getItem(codeKey);
+            if (!codeData) {
+                return res.status(404).json({ error: '兑换码不存在' });
+            }
+
+            await storage.removeItem(codeKey);
+            await recordAudit(req, {
+                action: AUDIT_ACTIONS.REDEEM_CODE_DELETE,
+                target: codeData.code,
+                details: { points: codeData.points, used: codeData.used },
+            });
+
+            return res.json({
+                success: true,
+                message: '兑换码已删除',
+            });
+        });
+    } catch (error) {
+        console.error('Delete redeem code error:', error);
+        return res.status(500).json({ error: '删除兑换码失败' });
+    }
+});
+
+// 获取兑换码批次及各批次兑换率
+router.get('/redeem-batches', requirePermission(ADMIN_PERMISSIONS.CODES_READ), async (_req, res) => {
+    try {
+        const batchKeys = await storage.keys(x => x.key.startsWith(REDEEM_BATCH_PREFIX));
+        const codes = await getAllRedeemCodes();
+        const batches = [];
+
+        for (const key of batchKeys) {
+            /** @type {import('../redeem-codes.js').RedeemBatch} */
+            const batch = await storage.getItem(key);
+            if (!batch) continue;
+
+            const batchCodes = codes.filter(code => code.batchId === batch.id);
+            let uses = 0;
+            let capacity = 0;
+            let redeemedCodes = 0;
+            for (const code of batchCodes) {
+                const usage = getRedeemCodeUsage(code);
+                uses += usage.uses;
+                capacity += usage.maxUses;
+                if (usage.uses > 0) redeemedCodes++;
+            }
+
+            batches.push({
+                ...batch,
+                codes: batchCodes.length,
+                redeemedCodes,
+                uses,
+                capacity,
+                redemptionRate: capacity > 0 ? uses / capacity : 0,
+            });
+        }
+
+        batches.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+        return res.json({ batches });
+    } catch (error) {
+        console.error('Get redeem batches error:', error);
+        return res.status(500).json({ error: '获取兑换码批次失败' });
+    }
+});
+
+// 作废整个批次中尚未用完的兑换码
+router.post('/redeem-batches/:id/revoke', requirePermission(ADMIN_PERMISSIONS.CODES_WRITE), async (req, res) => {
+    try {
+        const batchKey = toRedeemBatchKey(req.params.id);
+
+        return await withLock(batchKey, async () => {
+            /** @type {import('../redeem-codes.js').RedeemBatch} */
+            const batch = await storage.getItem(batchKey);
+            if (!batch) {
+                return res.status(404).json({ error: '批次不存在' });
+            }
+
+            const now = Date.now();
+            const batchCodes = (await getAllRedeemCodes()).filter(code => code.batchId === batch.id);
+            let revoked = 0;
+
+            for (const { code } of batchCodes) {
+                const codeKey = toRedeemCodeKey(code);
+                await withLock(codeKey, async () => {
+                    const codeData = await storage.getItem(codeKey);
+                    const status = codeData && getRedeemCodeStatus(codeData, now);
+                    if (!codeData || status === REDEEM_CODE_STATUS.REVOKED || status === REDEEM_CODE_STATUS.USED) {
+                        return;
+                    }
+                    codeData.revoked = true;
+                    codeData.revokedAt = now;
+                    await storage.setItem(codeKey, codeData);
+                    revoked++;
+                });
+            }
+
+            batch.revoked = true;
+            batch.revokedAt = now;
+            await storage.setItem(batchKey, batch);
+
+            await recordAudit(req, {
+                action: AUDIT_ACTIONS.REDEEM_BATCH_REVOKE,
+                target: batch.id,
+                details: { campaign: batch.campaign, revokedCodes: revoked },
+            });
+
+            return res.json({
+                success: true,
+                revoked,
+                message: `已作废 ${revoked} 个兑换码`,
+            });
+        });
+    } catch (error) {
+        console.error('Revoke redeem batch error:', error);
+        return res.status(500).json({ error: '作废批次失败' });
+    }
+});
+
+// 获取系统统计信息
+router.get('/stats', requirePermission(ADMIN_PERMISSIONS.STATS_READ), async (req, res) => {
+    try {
+        const allUserKeys = await storage.keys(x => x.key.startsWith('user:'));
         const allCodeKeys = await storage.keys(x => x.key.startsWith(REDEEM_CODE_PREFIX));
         const allInviteKeys = await storage.keys(x => x.key.startsWith(INVITE_CODE_PREFIX));
 
@@ -444,20 +1085,21 @@ router.get('/stats', async (req, res) => {
                 totalPoints += accountData.points || 0;
             }
 
-            const directories = getUserDirectories(handle);
-            const storageSize = await getDirectorySize(directories.root);
+            const { bytes: storageSize } = await getStorageUsage(handle);
             totalStorage += storageSize;
         }
 
         let usedCodes = 0;
         let unusedCodes = 0;
 
+        const now = Date.now();
         for (const key of allCodeKeys) {
             const codeData = await storage.getItem(key);
             if (codeData) {
-                if (codeData.used) {
+                const status = getRedeemCodeStatus(codeData, now);
+                if (status === REDEEM_CODE_STATUS.USED) {
                     usedCodes++;
-                } else {
+                } else if (status === REDEEM_CODE_STATUS.UNUSED || status === REDEEM_CODE_STATUS.PARTIAL) {
                     unusedCodes++;
                 }
             }
@@ -490,7 +1132,7 @@ router.get('/stats', async (req, res) => {
 });
 
 // 获取系统配置
-router.get('/config', async (req, res) => {
+router.get('/config', requirePermission(ADMIN_PERMISSIONS.CONFIG_READ), async (req, res) => {
     try {
         const config = await getSystemConfig();
         return res.json(config);
@@ -501,7 +1143,7 @@ router.get('/config', async (req, res) => {
 });
 
 // 更新系统配置
-router.post('/config', async (req, res) => {
+router.post('/config', requirePermission(ADMIN_PERMISSIONS.CONFIG_WRITE), async (req, res) => {
     try {
         const { registrationEnabled } = req.body;
 
@@ -510,8 +1152,13 @@ router.post('/config', async (req, res) => {
         }
 
         const config = await getSystemConfig();
+        const oldRegistrationEnabled = config.registrationEnabled;
         config.registrationEnabled = registrationEnabled;
         await setSystemConfig(config);
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.CONFIG_UPDATE,
+            details: { registrationEnabled: { from: oldRegistrationEnabled, to: registrationEnabled } },
+        });
 
         return res.json({
             success: true,
@@ -524,6 +1171,257 @@ router.post('/config', async (req, res) => {
     }
 });
 
+// 获取计费配置
+router.get('/pricing', requirePermission(ADMIN_PERMISSIONS.CONFIG_READ), async (_req, res) => {
+    try {
+        const pricing = await getPricing();
+        return res.json(pricing);
+    } catch (error) {
+        console.error('Get pricing error:', error);
+        return res.status(500).json({ error: '获取计费配置失败' });
+    }
+});
+
+// 更新计费配置
+router.post('/pricing', requirePermission(ADMIN_PERMISSIONS.CONFIG_WRITE), async (req, res) => {
+    try {
+        let pricing;
+        try {
+            pricing = validatePricing(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const oldPricing = await getPricing();
+        await setPricing(pricing);
+        await recordAudit(req, { action: AUDIT_ACTIONS.PRICING_UPDATE, details: { from: oldPricing, to: pricing } });
+
+        return res.json({
+            success: true,
+            pricing,
+            message: '计费配置已保存',
+        });
+    } catch (error) {
+        console.error('Update pricing error:', error);
+        return res.status(500).json({ error: '更新计费配置失败' });
+    }
+});
+
+// 获取套餐配置（发码和设置用户套餐时也需要读取套餐列表）
+router.get('/plans', requirePermission(ADMIN_PERMISSIONS.CONFIG_READ, ADMIN_PERMISSIONS.CODES_WRITE, ADMIN_PERMISSIONS.USERS_PLAN), async (_req, res) => {
+    try {
+        const plansConfig = await getPlansConfig();
+        return res.json(plansConfig);
+    } catch (error) {
+        console.error('Get plans error:', error);
+        return res.status(500).json({ error: '获取套餐配置失败' });
+    }
+});
+
+// 更新套餐配置
+router.post('/plans', requirePermission(ADMIN_PERMISSIONS.CONFIG_WRITE), async (req, res) => {
+    try {
+        let plansConfig;
+        try {
+            plansConfig = validatePlansConfig(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const oldPlansConfig = await getPlansConfig();
+        await setPlansConfig(plansConfig);
+        await recordAudit(req, { action: AUDIT_ACTIONS.PLANS_UPDATE, details: { from: oldPlansConfig, to: plansConfig } });
+
+        return res.json({
+            success: true,
+            ...plansConfig,
+            message: '套餐配置已保存',
+        });
+    } catch (error) {
+        console.error('Update plans error:', error);
+        return res.status(500).json({ error: '更新套餐配置失败' });
+    }
+});
+
+// ──────────────────────────────────────────────────────────────
+// 数据保留与归档
+// ──────────────────────────────────────────────────────────────
+
+// 获取数据保留设置
+router.get('/retention', requirePermission(ADMIN_PERMISSIONS.CONFIG_READ), async (_req, res) => {
+    try {
+        const settings = await getRetentionSettings();
+        return res.json(settings);
+    } catch (error) {
+        console.error('Get retention settings error:', error);
+        return res.status(500).json({ error: '获取数据保留设置失败' });
+    }
+});
+
+// 更新数据保留设置
+router.post('/retention', requirePermission(ADMIN_PERMISSIONS.CONFIG_WRITE), async (req, res) => {
+    try {
+        let settings;
+        try {
+            settings = validateRetentionSettings(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const oldSettings = await getRetentionSettings();
+        await setRetentionSettings(settings);
+        await recordAudit(req, { action: AUDIT_ACTIONS.RETENTION_UPDATE, details: { from: oldSettings, to: settings } });
+
+        return res.json({
+            success: true,
+            ...settings,
+            message: '数据保留设置已保存',
+        });
+    } catch (error) {
+        console.error('Update retention settings error:', error);
+        return res.status(500).json({ error: '更新数据保留设置失败' });
+    }
+});
+
+// 获取归档列表
+router.get('/archives', requirePermission(ADMIN_PERMISSIONS.ARCHIVES_MANAGE), async (_req, res) => {
+    try {
+        const archives = await getArchives();
+        return res.json({ archives: archives.map(toPublicArchive) });
+    } catch (error) {
+        console.error('Get archives error:', error);
+        return res.status(500).json({ error: '获取归档列表失败' });
+    }
+});
+
+// 恢复归档的用户数据
+router.post('/archives/:id/restore', requirePermission(ADMIN_PERMISSIONS.ARCHIVES_MANAGE), async (req, res) => {
+    try {
+        let archive;
+        try {
+            archive = await restoreArchive(req.params.id);
+        } catch (error) {
+            return res.status(409).json({ error: error.message });
+        }
+
+        if (!archive) {
+            return res.status(404).json({ error: '归档不存在' });
+        }
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.ARCHIVE_RESTORE, target: archive.handle, details: { archive: archive.id, points: archive.points, createdAt: archive.createdAt } });
+        return res.json({ success: true, handle: archive.handle, message: `已恢复用户 ${archive.handle} 的数据` });
+    } catch (error) {
+        console.error('Restore archive error:', error);
+        return res.status(500).json({ error: '恢复归档失败' });
+    }
+});
+
+// 提前删除归档
+router.delete('/archives/:id', requirePermission(ADMIN_PERMISSIONS.ARCHIVES_MANAGE), async (req, res) => {
+    try {
+        const archive = await deleteArchive(req.params.id);
+        if (!archive) {
+            return res.status(404).json({ error: '归档不存在' });
+        }
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.ARCHIVE_DELETE, target: archive.handle, details: { archive: archive.id, createdAt: archive.createdAt } });
+        return res.json({ success: true, message: '归档已删除' });
+    } catch (error) {
+        console.error('Delete archive error:', error);
+        return res.status(500).json({ error: '删除归档失败' });
+    }
+});
+
+// ──────────────────────────────────────────────────────────────
+// API 密钥池
+// ──────────────────────────────────────────────────────────────
+
+// 获取密钥池（密钥只返回掩码）
+router.get('/key-pool', requirePermission(ADMIN_PERMISSIONS.KEYS_MANAGE), async (_req, res) => {
+    try {
+        return res.json(await getPublicKeyPool());
+    } catch (error) {
+        console.error('Get key pool error:', error);
+        return res.status(500).json({ error: '获取密钥池失败' });
+    }
+});
+
+// 更新密钥池设置
+router.post('/key-pool/settings', requirePermission(ADMIN_PERMISSIONS.KEYS_MANAGE), async (req, res) => {
+    try {
+        let previous;
+        try {
+            previous = await setKeyPoolSettings(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const { strategy, cooldownMinutes } = req.body;
+        await recordAudit(req, { action: AUDIT_ACTIONS.KEY_POOL_SETTINGS, details: { from: previous, to: { strategy, cooldownMinutes } } });
+        return res.json({ success: true, strategy, cooldownMinutes, message: '密钥池设置已保存' });
+    } catch (error) {
+        console.error('Update key pool settings error:', error);
+        return res.status(500).json({ error: '更新密钥池设置失败' });
+    }
+});
+
+// 添加密钥
+router.post('/key-pool/keys', requirePermission(ADMIN_PERMISSIONS.KEYS_MANAGE), async (req, res) => {
+    try {
+        let key;
+        try {
+            key = await addPoolKey(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const publicKey = toPublicPoolKey(key);
+        await recordAudit(req, { action: AUDIT_ACTIONS.KEY_POOL_ADD, target: key.id, details: { source: key.source, label: key.label, maskedValue: publicKey.maskedValue } });
+        return res.json({ success: true, key: publicKey, message: '密钥已添加' });
+    } catch (error) {
+        console.error('Add pool key error:', error);
+        return res.status(500).json({ error: '添加密钥失败' });
+    }
+});
+
+// 修改密钥（启用/停用、备注、重置用量）
+router.post('/key-pool/keys/:id', requirePermission(ADMIN_PERMISSIONS.KEYS_MANAGE), async (req, res) => {
+    try {
+        let result;
+        try {
+            result = await updatePoolKey(req.params.id, req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        if (!result) {
+            return res.status(404).json({ error: '密钥不存在' });
+        }
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.KEY_POOL_UPDATE, target: result.key.id, details: { source: result.key.source, ...result.changes } });
+        return res.json({ success: true, key: toPublicPoolKey(result.key), message: '密钥已更新' });
+    } catch (error) {
+        console.error('Update pool key error:', error);
+        return res.status(500).json({ error: '更新密钥失败' });
+    }
+});
+
+// 删除密钥
+router.delete('/key-pool/keys/:id', requirePermission(ADMIN_PERMISSIONS.KEYS_MANAGE), async (req, res) => {
+    try {
+        const key = await removePoolKey(req.params.id);
+        if (!key) {
+            return res.status(404).json({ error: '密钥不存在' });
+        }
+
+        await recordAudit(req, { action: AUDIT_ACTIONS.KEY_POOL_DELETE, target: key.id, details: { source: key.source, label: key.label, requests: key.requests } });
+        return res.json({ success: true, message: '密钥已删除' });
+    } catch (error) {
+        console.error('Delete pool key error:', error);
+        return res.status(500).json({ error: '删除密钥失败' });
+    }
+});
+
 // ──────────────────────────────────────────────────────────────
 // 邀请码管理
 // ──────────────────────────────────────────────────────────────
@@ -536,10 +1434,12 @@ router.post('/config', async (req, res) => {
  * @property {number} createdAt
  * @property {number|null} usedAt
  * @property {number|null} expiresAt - 过期时间戳，null表示永不过期
+ * @property {string} [createdBy] - 生成该邀请码的用户，管理员创建的邀请码没有此字段
+ * @property {string} [createdIp] - 用户生成邀请码时的 IP
  */
 
 // 批量创建邀请码
-router.post('/invite-codes', async (req, res) => {
+router.post('/invite-codes', requirePermission(ADMIN_PERMISSIONS.INVITES_WRITE), async (req, res) => {
     try {
         const { count = 1, expiresInDays } = req.body || {};
 
@@ -584,6 +1484,11 @@ router.post('/invite-codes', async (req, res) => {
             created.push(invite);
         }
 
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.INVITE_CODE_CREATE,
+            details: { count: created.length, expiresAt, codes: created.map(c => c.code) },
+        });
+
         return res.json({
             success: true,
             codes: created.map(c => ({
@@ -600,7 +1505,7 @@ router.post('/invite-codes', async (req, res) => {
 });
 
 // 获取所有邀请码
-router.get('/invite-codes', async (_req, res) => {
+router.get('/invite-codes', requirePermission(ADMIN_PERMISSIONS.INVITES_READ), async (_req, res) => {
     try {
         const keys = await storage.keys(k => k.key.startsWith(INVITE_CODE_PREFIX));
         const codes = [];
@@ -616,22 +1521,378 @@ router.get('/invite-codes', async (_req, res) => {
     }
 });
 
+// 邀请关系树：按用户生成的邀请码串起邀请人和被邀请人，用于发现刷邀请奖励的小号
+router.get('/referrals', requirePermission(ADMIN_PERMISSIONS.INVITES_READ), async (_req, res) => {
+    try {
+        const tree = await getReferralTree();
+        return res.json({ tree });
+    } catch (error) {
+        console.error('Get referral tree error:', error);
+        return res.status(500).json({ error: '获取邀请关系失败' });
+    }
+});
+
+// 审核同 IP 注册的邀请奖励：通过则发放给邀请人，驳回则不发放
+router.post('/referrals/:handle/review', requirePermission(ADMIN_PERMISSIONS.INVITES_WRITE), async (req, res) => {
+    const { handle } = req.params;
+    const approve = req.body?.approve;
+    if (typeof approve !== 'boolean') {
+        return res.status(400).json({ error: '请选择通过或驳回' });
+    }
+
+    let referral;
+    try {
+        referral = await reviewReferral(handle, approve);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        if (!referral) {
+            return res.status(404).json({ error: '该用户不是通过个人邀请码注册的' });
+        }
+        await recordAudit(req, {
+            action: approve ? AUDIT_ACTIONS.REFERRAL_APPROVE : AUDIT_ACTIONS.REFERRAL_REJECT,
+            target: handle,
+            details: { inviter: referral.inviter, bonus: referral.bonus },
+        });
+        return res.json({ success: true, referral, message: approve ? `已向 ${referral.inviter} 发放 ${referral.bonus} 积分` : '已驳回邀请奖励' });
+    } catch (error) {
+        console.error('Review referral error:', error);
+        return res.status(500).json({ error: '审核邀请奖励失败' });
+    }
+});
+
 // 删除未使用的邀请码
-router.delete('/invite-codes/:code', async (req, res) => {
+router.delete('/invite-codes/:code', requirePermission(ADMIN_PERMISSIONS.INVITES_WRITE), async (req, res) => {
     try {
         const { code } = req.params;
         const key = toInviteCodeKey(code);
-        const data = await storage.getItem(key);
-        if (!data) {
-            return res.status(404).json({ error: '邀请码不存在' });
-        }
-        if (data.used) {
-            return res.status(400).json({ error: '邀请码已被使用，无法删除' });
-        }
-        await storage.removeItem(key);
-        return res.json({ success: true, message: '邀请码已删除' });
+        return await withLock(key, async () => {
+            const data = await storage.getItem(key);
+            if (!data) {
+                return res.status(404).json({ error: '邀请码不存在' });
+            }
+            if (data.used) {
+                return res.status(400).json({ error: '邀请码已被使用，无法删除' });
+            }
+            await storage.removeItem(key);
+            await recordAudit(req, { action: AUDIT_ACTIONS.INVITE_CODE_DELETE, target: data.code });
+            return res.json({ success: true, message: '邀请码已删除' });
+        });
     } catch (error) {
         console.error('Delete invite code error:', error);
         return res.status(500).json({ error: '删除邀请码失败' });
     }
 });
+
+// ──────────────────────────────────────────────────────────────
+// 管理员账号
+// ──────────────────────────────────────────────────────────────
+
+const OPERATOR_USERNAME_PATTERN = /^[a-z0-9_-]{3,32}$/;
+const MIN_OPERATOR_PASSWORD_LENGTH = 8;
+
+// 检查除指定账号外是否还有可用的超级管理员，防止系统被锁死
+async function hasOtherSuperAdmin(username) {
+    const operators = await getAllOperators();
+    return operators.some(o => o.username !== username && o.role === ADMIN_ROLES.SUPER_ADMIN && o.enabled !== false);
+}
+
+// 获取管理员账号列表
+router.get('/operators', requirePermission(ADMIN_PERMISSIONS.OPERATORS_MANAGE), async (_req, res) => {
+    try {
+        const operators = await getAllOperators();
+        return res.json({ operators: operators.map(toPublicOperator) });
+    } catch (error) {
+        console.error('Get operators error:', error);
+        return res.status(500).json({ error: '获取管理员列表失败' });
+    }
+});
+
+// 创建管理员账号
+router.post('/operators', requirePermission(ADMIN_PERMISSIONS.OPERATORS_MANAGE), async (req, res) => {
+    try {
+        const { username, password, role } = req.body || {};
+        const normalized = typeof username === 'string' ? username.trim().toLowerCase() : '';
+
+        if (!OPERATOR_USERNAME_PATTERN.test(normalized)) {
+            return res.status(400).json({ error: '用户名需为 3-32 位小写字母、数字、- 或 _' });
+        }
+
+        if (typeof password !== 'string' || password.length < MIN_OPERATOR_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `密码至少需要 ${MIN_OPERATOR_PASSWORD_LENGTH} 位字符` });
+        }
+
+        if (!isValidRole(role)) {
+            return res.status(400).json({ error: '无效的角色' });
+        }
+
+        if (await getOperator(normalized)) {
+            return res.status(409).json({ error: '该管理员账号已存在' });
+        }
+
+        const operator = await createOperator(normalized, password, role);
+        await recordAudit(req, { action: AUDIT_ACTIONS.OPERATOR_CREATE, target: operator.username, details: { role } });
+        return res.json({ success: true, operator: toPublicOperator(operator), message: '管理员账号已创建' });
+    } catch (error) {
+        console.error('Create operator error:', error);
+        return res.status(500).json({ error: '创建管理员账号失败' });
+    }
+});
+
+// 修改管理员账号（角色、启用状态、重置密码）
+router.post('/operators/:username', requirePermission(ADMIN_PERMISSIONS.OPERATORS_MANAGE), async (req, res) => {
+    try {
+        const operator = await getOperator(req.params.username);
+        if (!operator) {
+            return res.status(404).json({ error: '管理员账号不存在' });
+        }
+
+        const { role, enabled, password } = req.body || {};
+
+        if (role !== undefined && !isValidRole(role)) {
+            return res.status(400).json({ error: '无效的角色' });
+        }
+
+        if (enabled !== undefined && typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: '无效的启用状态' });
+        }
+
+        if (password !== undefined && (typeof password !== 'string' || password.length < MIN_OPERATOR_PASSWORD_LENGTH)) {
+            return res.status(400).json({ error: `密码至少需要 ${MIN_OPERATOR_PASSWORD_LENGTH} 位字符` });
+        }
+
+        const { resetTwoFactor } = req.body || {};
+        const losesSuperAdmin = operator.role === ADMIN_ROLES.SUPER_ADMIN && ((role !== undefined && role !== ADMIN_ROLES.SUPER_ADMIN) || enabled === false);
+        if (losesSuperAdmin && !(await hasOtherSuperAdmin(operator.username))) {
+            return res.status(400).json({ error: '至少需要保留一个可用的超级管理员' });
+        }
+
+        /** @type {Record<string, any>} */
+        const changes = {};
+        if (role !== undefined && role !== operator.role) changes.role = { from: operator.role, to: role };
+        if (enabled !== undefined && enabled !== (operator.enabled !== false)) changes.enabled = { from: operator.enabled !== false, to: enabled };
+        if (password !== undefined) changes.passwordReset = true;
+        if (resetTwoFactor === true && operator.twoFactor) changes.twoFactorReset = true;
+
+        if (role !== undefined) operator.role = role;
+        if (enabled !== undefined) operator.enabled = enabled;
+        if (password !== undefined) setOperatorPassword(operator, password);
+        if (changes.twoFactorReset) delete operator.twoFactor;
+
+        await saveOperator(operator);
+        await recordAudit(req, { action: AUDIT_ACTIONS.OPERATOR_UPDATE, target: operator.username, details: changes });
+        return res.json({ success: true, operator: toPublicOperator(operator), message: '管理员账号已更新' });
+    } catch (error) {
+        console.error('Update operator error:', error);
+        return res.status(500).json({ error: '更新管理员账号失败' });
+    }
+});
+
+// 删除管理员账号
+router.delete('/operators/:username', requirePermission(ADMIN_PERMISSIONS.OPERATORS_MANAGE), async (req, res) => {
+    try {
+        const operator = await getOperator(req.params.username);
+        if (!operator) {
+            return res.status(404).json({ error: '管理员账号不存在' });
+        }
+
+        if (req.adminPrincipal.source === 'operator' && operator.username === req.adminPrincipal.username) {
+            return res.status(400).json({ error: '不能删除当前登录的账号' });
+        }
+
+        if (operator.role === ADMIN_ROLES.SUPER_ADMIN && !(await hasOtherSuperAdmin(operator.username))) {
+            return res.status(400).json({ error: '至少需要保留一个可用的超级管理员' });
+        }
+
+        await removeOperator(operator.username);
+        await recordAudit(req, { action: AUDIT_ACTIONS.OPERATOR_DELETE, target: operator.username, details: { role: operator.role } });
+        return res.json({ success: true, message: '管理员账号已删除' });
+    } catch (error) {
+        console.error('Delete operator error:', error);
+        return res.status(500).json({ error: '删除管理员账号失败' });
+    }
+});
+
+// 修改当前管理员账号的密码
+router.post('/password', async (req, res) => {
+    try {
+        if (req.adminPrincipal.source !== 'operator') {
+            return res.status(400).json({ error: '请在酒馆账号设置中修改密码' });
+        }
+
+        const { currentPassword, newPassword } = req.body || {};
+
+        if (typeof newPassword !== 'string' || newPassword.length < MIN_OPERATOR_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `新密码至少需要 ${MIN_OPERATOR_PASSWORD_LENGTH} 位字符` });
+        }
+
+        const operator = await verifyOperatorCredentials(req.adminPrincipal.username, String(currentPassword || ''));
+        if (!operator) {
+            return res.status(401).json({ error: '当前密码错误' });
+        }
+
+        setOperatorPassword(operator, newPassword);
+        await saveOperator(operator);
+        await recordAudit(req, { action: AUDIT_ACTIONS.ADMIN_PASSWORD_CHANGE, target: operator.username });
+        return res.json({ success: true, message: '密码修改成功' });
+    } catch (error) {
+        console.error('Change operator password error:', error);
+        return res.status(500).json({ error: '修改密码失败' });
+    }
+});
+
+// 当前管理员账号的两步验证状态
+router.get('/2fa', async (req, res) => {
+    try {
+        const operator = req.adminPrincipal.source === 'operator' ? await getOperator(req.adminPrincipal.username) : null;
+        return res.json({
+            available: !!operator,
+            required: isAdminTwoFactorRequired(),
+            enabled: !!operator?.twoFactor,
+            recoveryCodesLeft: operator?.twoFactor?.recoveryCodes?.length ?? 0,
+        });
+    } catch (error) {
+        console.error('Get admin two-factor error:', error);
+        return res.status(500).json({ error: '获取两步验证状态失败' });
+    }
+});
+
+// 开始绑定验证器，密钥在确认验证码前只保存在会话中
+router.post('/2fa/setup', async (req, res) => {
+    try {
+        if (req.adminPrincipal.source !== 'operator') {
+            return res.status(400).json({ error: '请在酒馆账号设置中开启两步验证' });
+        }
+        const operator = await getOperator(req.adminPrincipal.username);
+        if (operator?.twoFactor) {
+            return res.status(400).json({ error: '已开启两步验证' });
+        }
+        const secret = generateTotpSecret();
+        req.session.twoFactorSetup = secret;
+        return res.json({ secret, uri: getTotpUri(secret, req.adminPrincipal.username, ADMIN_TOTP_ISSUER) });
+    } catch (error) {
+        console.error('Admin two-factor setup error:', error);
+        return res.status(500).json({ error: '生成密钥失败' });
+    }
+});
+
+// 确认绑定验证器，返回只显示一次的恢复码
+router.post('/2fa/enable', async (req, res) => {
+    try {
+        const operator = req.adminPrincipal.source === 'operator' ? await getOperator(req.adminPrincipal.username) : null;
+        const secret = req.session?.twoFactorSetup;
+        if (!operator || !secret) {
+            return res.status(400).json({ error: '请先生成密钥' });
+        }
+        const enrollment = enrollTwoFactor(secret, String(req.body?.code || ''));
+        if (!enrollment) {
+            return res.status(400).json({ error: '验证码错误，请确认手机时间准确' });
+        }
+
+        operator.twoFactor = enrollment.state;
+        await saveOperator(operator);
+        req.session.twoFactorSetup = null;
+        await recordAudit(req, { action: AUDIT_ACTIONS.ADMIN_2FA_ENABLE, target: operator.username });
+        return res.json({ success: true, recoveryCodes: enrollment.recoveryCodes, message: '两步验证已开启' });
+    } catch (error) {
+        console.error('Admin two-factor enable error:', error);
+        return res.status(500).json({ error: '开启两步验证失败' });
+    }
+});
+
+/**
+ * Loads the current operator and checks a TOTP or recovery code from the request.
+ * Sends the error response itself and returns null when the check fails.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {Promise<import('../admin-operators.js').AdminOperator|null>}
+ */
+async function getVerifiedOperator(req, res) {
+    const operator = req.adminPrincipal.source === 'operator' ? await getOperator(req.adminPrincipal.username) : null;
+    if (!operator?.twoFactor) {
+        res.status(400).json({ error: '未开启两步验证' });
+        return null;
+    }
+    if (!verifySecondFactor(operator.twoFactor, String(req.body?.code || ''))) {
+        res.status(401).json({ error: '验证码错误' });
+        return null;
+    }
+    return operator;
+}
+
+// 关闭两步验证（强制开启时不可关闭）
+router.post('/2fa/disable', async (req, res) => {
+    try {
+        if (isAdminTwoFactorRequired()) {
+            return res.status(400).json({ error: '系统要求管理员开启两步验证，不能关闭' });
+        }
+        const operator = await getVerifiedOperator(req, res);
+        if (!operator) return;
+
+        delete operator.twoFactor;
+        await saveOperator(operator);
+        await recordAudit(req, { action: AUDIT_ACTIONS.ADMIN_2FA_DISABLE, target: operator.username });
+        return res.json({ success: true, message: '两步验证已关闭' });
+    } catch (error) {
+        console.error('Admin two-factor disable error:', error);
+        return res.status(500).json({ error: '关闭两步验证失败' });
+    }
+});
+
+// 重新生成恢复码，旧的恢复码全部失效
+router.post('/2fa/recovery-codes', async (req, res) => {
+    try {
+        const operator = await getVerifiedOperator(req, res);
+        if (!operator) return;
+
+        const { codes, hashes } = generateRecoveryCodes();
+        operator.twoFactor.recoveryCodes = hashes;
+        await saveOperator(operator);
+        return res.json({ success: true, recoveryCodes: codes, message: '恢复码已重新生成' });
+    } catch (error) {
+        console.error('Admin recovery codes error:', error);
+        return res.status(500).json({ error: '生成恢复码失败' });
+    }
+});
+
+// ──────────────────────────────────────────────────────────────
+// 审计日志
+// ──────────────────────────────────────────────────────────────
+
+// 查询审计日志
+router.get('/audit-log', requirePermission(ADMIN_PERMISSIONS.AUDIT_READ), async (req, res) => {
+    try {
+        const result = await getAuditEntries(getAuditFilterQuery(req), {
+            page: Number(req.query.page) || 1,
+            pageSize: Number(req.query.pageSize) || undefined,
+        });
+        return res.json({ ...result, actions: Object.values(AUDIT_ACTIONS) });
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        return res.status(500).json({ error: '获取审计日志失败' });
+    }
+});
+
+// 导出审计日志（CSV 或 JSONL）
+router.get('/audit-log/export', requirePermission(ADMIN_PERMISSIONS.AUDIT_READ), async (req, res) => {
+    try {
+        const format = req.query.format === 'jsonl' ? 'jsonl' : 'csv';
+        const entries = await findAuditEntries(getAuditFilterQuery(req));
+        const date = new Date().toISOString().slice(0, 10);
+
+        res.setHeader('Content-Disposition', `attachment; filename="audit-log-${date}.${format}"`);
+        if (format === 'jsonl') {
+            res.type('application/x-ndjson');
+            return res.send(toAuditJsonl(entries));
+        }
+
+        res.type('text/csv; charset=utf-8');
+        // BOM so spreadsheet apps detect UTF-8 and show Chinese text correctly
+        return res.send('\uFEFF' + toAuditCsv(entries));
+    } catch (error) {
+        console.error('Export audit log error:', error);
+        return res.status(500).json({ error: '导出审计日志失败' });
+    }
+});
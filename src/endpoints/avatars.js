@@ -11,6 +11,7 @@ import { getFileNameValidationFunction } from '../middleware/validateFileName.js
 import { applyAvatarCropResize } from './characters.js';
 import { invalidateThumbnail } from './thumbnails.js';
 import cacheBuster from '../middleware/cacheBuster.js';
+import { enforceStorageQuota, trackStorageChange } from '../storage-quota.js';
 
 export const router = express.Router();
 
@@ -19,7 +20,7 @@ router.post('/get', function (request, response) {
     response.send(images);
 });
 
-router.post('/delete', getFileNameValidationFunction('avatar'), function (request, response) {
+router.post('/delete', getFileNameValidationFunction('avatar'), async function (request, response) {
     if (!request.body) return response.sendStatus(400);
 
     if (request.body.avatar !== sanitize(request.body.avatar)) {
@@ -30,7 +31,9 @@ router.post('/delete', getFileNameValidationFunction('avatar'), function (reques
     const fileName = path.join(request.user.directories.avatars, sanitize(request.body.avatar));
 
     if (fs.existsSync(fileName)) {
+        const commitUsage = await trackStorageChange(request, fileName);
         fs.unlinkSync(fileName);
+        await commitUsage();
         invalidateThumbnail(request.user.directories, 'persona', sanitize(request.body.avatar));
         return response.send({ result: 'ok' });
     }
@@ -38,7 +41,7 @@ router.post('/delete', getFileNameValidationFunction('avatar'), function (reques
     return response.sendStatus(404);
 });
 
-router.post('/upload', getFileNameValidationFunction('overwrite_name'), async (request, response) => {
+router.post('/upload', getFileNameValidationFunction('overwrite_name'), enforceStorageQuota(), async (request, response) => {
     if (!request.file) return response.sendStatus(400);
 
     try {
@@ -55,7 +58,9 @@ router.post('/upload', getFileNameValidationFunction('overwrite_name'), async (r
 
         const filename = sanitize(request.body.overwrite_name || `${Date.now()}.png`);
         const pathToNewFile = path.join(request.user.directories.avatars, filename);
+        const commitUsage = await trackStorageChange(request, pathToNewFile);
         writeFileAtomicSync(pathToNewFile, image);
+        await commitUsage();
         fs.unlinkSync(pathToUpload);
         return response.send({ path: filename });
     } catch (err) {
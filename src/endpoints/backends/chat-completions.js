@@ -1,7 +1,7 @@
 import process from 'node:process';
 import util from 'node:util';
 import express from 'express';
-import fetch from 'node-fetch';
+import nodeFetch from 'node-fetch';
 import urlJoin from 'url-join';
 
 import {
@@ -43,6 +43,7 @@ import {
 } from '../../prompt-converters.js';
 
 import { readSecret, SECRET_KEYS } from '../secrets.js';
+import { trackPooledKeys } from '../../key-pool.js';
 import {
     getTokenizerModel,
     getSentencepiceTokenizer,
@@ -74,6 +75,9 @@ const API_MOONSHOT = 'https://api.moonshot.ai/v1';
 const API_FIREWORKS = 'https://api.fireworks.ai/inference/v1';
 const API_COMETAPI = 'https://api.cometapi.com/v1';
 
+// Upstream responses are reported to the shared key pool so failing keys leave rotation
+const fetch = trackPooledKeys(nodeFetch);
+
 /**
  * Gets OpenRouter transforms based on the request.
  * @param {import('express').Request} request Express request
@@ -7,6 +7,7 @@ import sanitize from 'sanitize-filename';
 import { dimensions, invalidateThumbnail } from './thumbnails.js';
 import { getImages } from '../util.js';
 import { getFileNameValidationFunction } from '../middleware/validateFileName.js';
+import { enforceStorageQuota, trackStorageChange } from '../storage-quota.js';
 
 export const router = express.Router();
 
@@ -16,7 +17,7 @@ router.post('/all', function (request, response) {
     response.json({ images, config });
 });
 
-router.post('/delete', getFileNameValidationFunction('bg'), function (request, response) {
+router.post('/delete', getFileNameValidationFunction('bg'), async function (request, response) {
     if (!request.body) return response.sendStatus(400);
 
     if (request.body.bg !== sanitize(request.body.bg)) {
@@ -31,7 +32,9 @@ router.post('/delete', getFileNameValidationFunction('bg'), function (request, r
         return response.sendStatus(400);
     }
 
+    const commitUsage = await trackStorageChange(request, fileName);
     fs.unlinkSync(fileName);
+    await commitUsage();
     invalidateThumbnail(request.user.directories, 'bg', request.body.bg);
     return response.send('ok');
 });
@@ -58,15 +61,18 @@ router.post('/rename', function (request, response) {
     return response.send('ok');
 });
 
-router.post('/upload', function (request, response) {
+router.post('/upload', enforceStorageQuota(), async function (request, response) {
     if (!request.body || !request.file) return response.sendStatus(400);
 
     const img_path = path.join(request.file.destination, request.file.filename);
     const filename = request.file.originalname;
 
     try {
-        fs.copyFileSync(img_path, path.join(request.user.directories.backgrounds, filename));
+        const pathToBackground = path.join(request.user.directories.backgrounds, filename);
+        const commitUsage = await trackStorageChange(request, pathToBackground);
+        fs.copyFileSync(img_path, pathToBackground);
         fs.unlinkSync(img_path);
+        await commitUsage();
         invalidateThumbnail(request.user.directories, 'bg', filename);
         response.send(filename);
     } catch (err) {
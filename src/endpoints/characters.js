@@ -24,6 +24,8 @@ import { getUserDirectories } from '../users.js';
 import { getChatInfo } from './chats.js';
 import { ByafParser } from '../byaf.js';
 import cacheBuster from '../middleware/cacheBuster.js';
+import { enforceStorageQuota, trackStorageChange } from '../storage-quota.js';
+import { SYNC_EVENTS, broadcastSyncEvent } from '../sync-events.js';
 
 // With 100 MB limit it would take roughly 3000 characters to reach this limit
 const memoryCacheCapacity = getConfigValue('performance.memoryCacheCapacity', '100mb');
@@ -968,14 +970,14 @@ router.post('/create', getFileNameValidationFunction('file_name'), async functio
 
         if (!request.file) {
             await writeCharacterData(DEFAULT_AVATAR_PATH, char, internalName, request);
-            return response.send(avatarName);
         } else {
             const crop = tryParse(request.query.crop);
             const uploadPath = path.join(request.file.destination, request.file.filename);
             await writeCharacterData(uploadPath, char, internalName, request, crop);
             fs.unlinkSync(uploadPath);
-            return response.send(avatarName);
         }
+        broadcastSyncEvent(request, SYNC_EVENTS.CHARACTER, { action: 'create', avatar: avatarName });
+        return response.send(avatarName);
     } catch (err) {
         console.error(err);
         response.sendStatus(500);
@@ -1020,6 +1022,7 @@ router.post('/rename', validateAvatarUrlMiddleware, async function (request, res
         // Remove the old character file
         fs.unlinkSync(oldAvatarPath);
 
+        broadcastSyncEvent(request, SYNC_EVENTS.CHARACTER, { action: 'rename', avatar: oldAvatarName, renamed: newAvatarName });
         // Return new avatar name to ST
         return response.send({ avatar: newAvatarName });
     }
@@ -1063,6 +1066,7 @@ router.post('/edit', validateAvatarUrlMiddleware, async function (request, respo
             cacheBuster.bust(request, response);
         }
 
+        broadcastSyncEvent(request, SYNC_EVENTS.CHARACTER, { action: 'edit', avatar: request.body.avatar_url });
         return response.sendStatus(200);
     } catch (err) {
         console.error('An error occurred, character edit invalidated.', err);
@@ -1109,6 +1113,7 @@ router.post('/edit-attribute', validateAvatarUrlMiddleware, async function (requ
         let newCharJSON = JSON.stringify(char);
         const targetFile = (request.body.avatar_url).replace('.png', '');
         await writeCharacterData(avatarPath, newCharJSON, targetFile, request);
+        broadcastSyncEvent(request, SYNC_EVENTS.CHARACTER, { action: 'edit', avatar: request.body.avatar_url });
         return response.sendStatus(200);
     } catch (err) {
         console.error('An error occurred, character edit invalidated.', err);
@@ -1147,6 +1152,7 @@ router.post('/merge-attributes', getFileNameValidationFunction('avatar'), async
         //Accept either V1 or V2.
         if (validator.validate()) {
             await writeCharacterData(avatarPath, JSON.stringify(character), targetImg, request);
+            broadcastSyncEvent(request, SYNC_EVENTS.CHARACTER, { action: 'edit', avatar: update.avatar });
             response.sendStatus(200);
         } else {
             console.warn(validator.lastValidationError);
@@ -1190,6 +1196,7 @@ router.post('/delete', validateAvatarUrlMiddleware, async function (request, res
         }
     }
 
+    broadcastSyncEvent(request, SYNC_EVENTS.CHARACTER, { action: 'delete', avatar: request.body.avatar_url });
     return response.sendStatus(200);
 });
 
@@ -1305,7 +1312,7 @@ function getPreservedName(request) {
         : undefined;
 }
 
-router.post('/import', async function (request, response) {
+router.post('/import', enforceStorageQuota(), async function (request, response) {
     if (!request.body || !request.file) return response.sendStatus(400);
 
     const uploadPath = path.join(request.file.destination, request.file.filename);
@@ -1328,7 +1335,10 @@ router.post('/import', async function (request, response) {
             throw new Error(`Unsupported format: ${format}`);
         }
 
+        // Sprites imported with the card go to a folder named after the character, so the whole directory is measured
+        const commitUsage = await trackStorageChange(request, request.user.directories.characters);
         const fileName = await importFunction(uploadPath, { request, response }, preservedFileName);
+        await commitUsage();
 
         if (!fileName) {
             console.warn('Failed to import character');
@@ -1339,6 +1349,7 @@ router.post('/import', async function (request, response) {
             invalidateThumbnail(request.user.directories, 'avatar', `${preservedFileName}.png`);
         }
 
+        broadcastSyncEvent(request, SYNC_EVENTS.CHARACTER, { action: preservedFileName ? 'edit' : 'create', avatar: `${fileName}.png` });
         response.send({ file_name: fileName });
     } catch (err) {
         console.error(err);
@@ -1384,6 +1395,7 @@ router.post('/duplicate', validateAvatarUrlMiddleware, async function (request,
 
         fs.copyFileSync(filename, newFilename);
         console.info(`${filename} was copied to ${newFilename}`);
+        broadcastSyncEvent(request, SYNC_EVENTS.CHARACTER, { action: 'create', avatar: path.parse(newFilename).base });
         response.send({ path: path.parse(newFilename).base });
     }
     catch (error) {
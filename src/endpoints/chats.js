@@ -17,6 +17,13 @@ import {
     removeOldBackups,
     formatBytes,
 } from '../util.js';
+import { enforceStorageQuota, trackStorageChange } from '../storage-quota.js';
+import { applyChatDelta, resetChatDeltaState, validateChatDelta } from '../chat-delta.js';
+import { withLock } from '../storage-lock.js';
+import { parseSearchQuery, queueChatIndexUpdate, searchChats } from '../chat-search.js';
+import { MAX_WINDOW_MESSAGES, hasUnloadedMessages, readChatWindow } from '../chat-window.js';
+import { CURRENT_VERSION, captureChatVersion, deleteChatHistory, diffChatVersions, listChatVersions, moveChatHistory, recordChatVersion, restoreChatVersion } from '../chat-history.js';
+import { SYNC_EVENTS, broadcastSyncEvent } from '../sync-events.js';
 
 const isBackupEnabled = !!getConfigValue('backups.chat.enabled', true, 'boolean');
 const maxTotalChatBackups = Number(getConfigValue('backups.chat.maxTotalBackups', -1, 'number'));
@@ -424,32 +431,162 @@ export async function getChatInfo(pathToFile, additionalData = {}, isGroup = fal
     });
 }
 
+/**
+ * Gets the path of the character chat file a save request writes to.
+ * @param {import('express').Request} request
+ * @returns {string}
+ */
+function getChatFilePath(request) {
+    const directoryName = String(request.body.avatar_url).replace('.png', '');
+    const fileName = `${String(request.body.file_name)}.jsonl`;
+    return path.join(request.user.directories.chats, directoryName, sanitize(fileName));
+}
+
+/**
+ * Gets the path of the group chat file a save request writes to.
+ * @param {import('express').Request} request
+ * @returns {string}
+ */
+function getGroupChatFilePath(request) {
+    return path.join(request.user.directories.groupChats, `${sanitize(String(request.body.id))}.jsonl`);
+}
+
+/**
+ * Gets the lock key that serializes the writes to a chat file.
+ * @param {string} filePath
+ * @returns {string}
+ */
+function toChatLockKey(filePath) {
+    return `chat-file:${filePath}`;
+}
+
+/**
+ * Gets the chat file a history request is about: a group chat by `id` when `is_group` is set,
+ * otherwise a character chat by `avatar_url` and `file_name`.
+ * @param {import('express').Request} request
+ * @returns {{filePath: string, hasHeader: boolean}}
+ */
+function getHistoryChat(request) {
+    return request.body.is_group
+        ? { filePath: path.join(request.user.directories.groupChats, sanitize(`${request.body.id}.jsonl`)), hasHeader: false }
+        : { filePath: getChatFilePath(request), hasHeader: true };
+}
+
+/**
+ * Tells the user's other tabs and devices that a chat file changed.
+ * @param {import('express').Request} request
+ * @param {string} filePath Chat file
+ * @param {object} change What changed, with the action: save, delta, delete or rename
+ */
+function broadcastChatChange(request, filePath, change) {
+    const name = path.parse(filePath).name;
+    const chat = path.resolve(path.dirname(filePath)) === path.resolve(request.user.directories.groupChats)
+        ? { group_chat_id: name }
+        : { avatar_url: String(request.body.avatar_url), file_name: name };
+    broadcastSyncEvent(request, SYNC_EVENTS.CHAT, { ...chat, ...change });
+}
+
+/**
+ * Applies a delta save request to a chat file.
+ * @param {import('express').Request} request
+ * @param {import('express').Response} response
+ * @param {object} options
+ * @param {string} options.filePath Chat file
+ * @param {boolean} options.hasHeader Whether the first line is the chat header
+ * @param {string} options.backupName Name of the chat in the backups
+ */
+async function handleChatDelta(request, response, { filePath, hasHeader, backupName }) {
+    const { ops, baseCount, integrity, force } = request.body;
+    if (!Number.isInteger(baseCount) || baseCount < 0) {
+        return response.status(400).send({ error: 'Invalid base count' });
+    }
+
+    try {
+        validateChatDelta(ops, { hasHeader });
+    } catch (error) {
+        return response.status(400).send({ error: error.message });
+    }
+
+    return withLock(toChatLockKey(filePath), async () => {
+        if (hasHeader && checkIntegrity && !force && !await checkChatIntegrity(filePath, integrity)) {
+            console.error(`Chat integrity check failed for ${filePath}`);
+            return response.status(400).send({ error: 'integrity' });
+        }
+
+        // The chat before the delta only becomes a version if the delta applies
+        const keepVersion = captureChatVersion(request.user.directories, filePath, { hasHeader });
+        const commitUsage = await trackStorageChange(request, filePath);
+        let result;
+        try {
+            result = applyChatDelta(filePath, ops, { hasHeader, baseCount });
+        } catch (error) {
+            return response.status(400).send({ error: error.message });
+        } finally {
+            await commitUsage();
+        }
+
+        // The client sends the whole chat when its copy is out of date
+        if (!result) {
+            return response.status(409).send({ error: 'conflict' });
+        }
+        keepVersion();
+        if (result.compacted) {
+            getBackupFunction(request.user.profile.handle)(request.user.directories.backups, backupName, result.compacted);
+        }
+        queueChatIndexUpdate(request.user.profile.handle, filePath);
+        broadcastChatChange(request, filePath, { action: 'delta', baseCount, count: result.count, ops });
+        return response.send({ result: 'ok', count: result.count });
+    });
+}
+
 export const router = express.Router();
 
-router.post('/save', validateAvatarUrlMiddleware, async function (request, response) {
+router.post('/save', validateAvatarUrlMiddleware, enforceStorageQuota(getChatFilePath), async function (request, response) {
     try {
         const directoryName = String(request.body.avatar_url).replace('.png', '');
         const chatData = request.body.chat;
+        // A client that pages a long chat in must load all of it before a full save
+        if (Array.isArray(chatData) && hasUnloadedMessages(chatData)) {
+            return response.status(400).send({ error: 'The chat has messages that were never loaded' });
+        }
         const jsonlData = chatData.map(JSON.stringify).join('\n');
-        const fileName = `${String(request.body.file_name)}.jsonl`;
-        const filePath = path.join(request.user.directories.chats, directoryName, sanitize(fileName));
-        if (checkIntegrity && !request.body.force) {
-            const integritySlug = chatData?.[0]?.chat_metadata?.integrity;
-            const isIntact = await checkChatIntegrity(filePath, integritySlug);
-            if (!isIntact) {
-                console.error(`Chat integrity check failed for ${filePath}`);
-                return response.status(400).send({ error: 'integrity' });
+        const filePath = getChatFilePath(request);
+        return await withLock(toChatLockKey(filePath), async () => {
+            if (checkIntegrity && !request.body.force) {
+                const integritySlug = chatData?.[0]?.chat_metadata?.integrity;
+                const isIntact = await checkChatIntegrity(filePath, integritySlug);
+                if (!isIntact) {
+                    console.error(`Chat integrity check failed for ${filePath}`);
+                    return response.status(400).send({ error: 'integrity' });
+                }
             }
-        }
-        writeFileAtomicSync(filePath, jsonlData, 'utf8');
-        getBackupFunction(request.user.profile.handle)(request.user.directories.backups, directoryName, jsonlData);
-        return response.send({ result: 'ok' });
+            recordChatVersion(request.user.directories, filePath, { hasHeader: true });
+            const commitUsage = await trackStorageChange(request, filePath);
+            writeFileAtomicSync(filePath, jsonlData, 'utf8');
+            resetChatDeltaState(filePath);
+            await commitUsage();
+            queueChatIndexUpdate(request.user.profile.handle, filePath);
+            getBackupFunction(request.user.profile.handle)(request.user.directories.backups, directoryName, jsonlData);
+            broadcastChatChange(request, filePath, { action: 'save' });
+            return response.send({ result: 'ok' });
+        });
     } catch (error) {
         console.error(error);
         return response.send(error);
     }
 });
 
+// Saves only what changed since the last save: appended, edited and deleted messages and metadata patches
+router.post('/save-delta', validateAvatarUrlMiddleware, enforceStorageQuota(), async function (request, response) {
+    try {
+        const directoryName = String(request.body.avatar_url).replace('.png', '');
+        return await handleChatDelta(request, response, { filePath: getChatFilePath(request), hasHeader: true, backupName: directoryName });
+    } catch (error) {
+        console.error(error);
+        return response.sendStatus(500);
+    }
+});
+
 router.post('/get', validateAvatarUrlMiddleware, function (request, response) {
     try {
         const dirName = String(request.body.avatar_url).replace('.png', '');
@@ -486,6 +623,29 @@ router.post('/get', validateAvatarUrlMiddleware, function (request, response) {
     }
 });
 
+// Reads part of a chat: a range of messages or the last few, with the total so the client can page in the rest
+router.post('/get-window', validateAvatarUrlMiddleware, async function (request, response) {
+    try {
+        const { start, end, tail } = request.body;
+        const isCount = (value) => value === undefined || (Number.isInteger(value) && value >= 0);
+        if (!request.body.file_name || !isCount(start) || !isCount(end) || !isCount(tail)) {
+            return response.status(400).send({ error: 'Invalid window' });
+        }
+
+        const directoryPath = path.join(request.user.directories.chats, String(request.body.avatar_url).replace('.png', ''));
+        if (!fs.existsSync(directoryPath)) {
+            fs.mkdirSync(directoryPath);
+        }
+
+        const filePath = getChatFilePath(request);
+        const window = await withLock(toChatLockKey(filePath), () => readChatWindow(filePath, { hasHeader: true, start, end, tail }));
+        return response.send({ ...window, limit: MAX_WINDOW_MESSAGES });
+    } catch (error) {
+        console.error(error);
+        return response.sendStatus(500);
+    }
+});
+
 router.post('/rename', validateAvatarUrlMiddleware, async function (request, response) {
     try {
         if (!request.body || !request.body.original_file || !request.body.renamed_file) {
@@ -501,22 +661,28 @@ router.post('/rename', validateAvatarUrlMiddleware, async function (request, res
         console.debug('Old chat name', pathToOriginalFile);
         console.debug('New chat name', pathToRenamedFile);
 
-        if (!fs.existsSync(pathToOriginalFile) || fs.existsSync(pathToRenamedFile)) {
-            console.error('Either Source or Destination files are not available');
-            return response.status(400).send({ error: true });
-        }
+        return await withLock([toChatLockKey(pathToOriginalFile), toChatLockKey(pathToRenamedFile)], async () => {
+            if (!fs.existsSync(pathToOriginalFile) || fs.existsSync(pathToRenamedFile)) {
+                console.error('Either Source or Destination files are not available');
+                return response.status(400).send({ error: true });
+            }
 
-        fs.copyFileSync(pathToOriginalFile, pathToRenamedFile);
-        fs.unlinkSync(pathToOriginalFile);
-        console.info('Successfully renamed chat file.');
-        return response.send({ ok: true, sanitizedFileName });
+            fs.copyFileSync(pathToOriginalFile, pathToRenamedFile);
+            fs.unlinkSync(pathToOriginalFile);
+            resetChatDeltaState(pathToOriginalFile);
+            resetChatDeltaState(pathToRenamedFile);
+            moveChatHistory(request.user.directories, pathToOriginalFile, pathToRenamedFile);
+            broadcastChatChange(request, pathToOriginalFile, { action: 'rename', renamed: sanitizedFileName });
+            console.info('Successfully renamed chat file.');
+            return response.send({ ok: true, sanitizedFileName });
+        });
     } catch (error) {
         console.error('Error renaming chat file:', error);
         return response.status(500).send({ error: true });
     }
 });
 
-router.post('/delete', validateAvatarUrlMiddleware, function (request, response) {
+router.post('/delete', validateAvatarUrlMiddleware, async function (request, response) {
     const dirName = String(request.body.avatar_url).replace('.png', '');
     const fileName = String(request.body.chatfile);
     const filePath = path.join(request.user.directories.chats, dirName, sanitize(fileName));
@@ -527,7 +693,11 @@ router.post('/delete', validateAvatarUrlMiddleware, function (request, response)
         return response.sendStatus(400);
     }
 
+    const commitUsage = await trackStorageChange(request, filePath);
     fs.unlinkSync(filePath);
+    await commitUsage();
+    deleteChatHistory(request.user.directories, filePath);
+    broadcastChatChange(request, filePath, { action: 'delete' });
     console.info(`Deleted chat file: ${filePath}`);
     return response.send('ok');
 });
@@ -737,29 +907,32 @@ router.post('/group/get', (request, response) => {
     }
 });
 
-router.post('/group/delete', (request, response) => {
+router.post('/group/delete', async (request, response) => {
     if (!request.body || !request.body.id) {
         return response.sendStatus(400);
     }
 
-    const id = request.body.id;
-    const pathToFile = path.join(request.user.directories.groupChats, `${id}.jsonl`);
+    const pathToFile = getGroupChatFilePath(request);
 
     if (fs.existsSync(pathToFile)) {
+        const commitUsage = await trackStorageChange(request, pathToFile);
         fs.unlinkSync(pathToFile);
+        await commitUsage();
+        deleteChatHistory(request.user.directories, pathToFile);
+        broadcastChatChange(request, pathToFile, { action: 'delete' });
         return response.send({ ok: true });
     }
 
     return response.send({ error: true });
 });
 
-router.post('/group/save', (request, response) => {
+router.post('/group/save', enforceStorageQuota(getGroupChatFilePath), async (request, response) => {
     if (!request.body || !request.body.id) {
         return response.sendStatus(400);
     }
 
     const id = request.body.id;
-    const pathToFile = path.join(request.user.directories.groupChats, `${id}.jsonl`);
+    const pathToFile = getGroupChatFilePath(request);
 
     if (!fs.existsSync(request.user.directories.groupChats)) {
         fs.mkdirSync(request.user.directories.groupChats);
@@ -767,11 +940,94 @@ router.post('/group/save', (request, response) => {
 
     let chat_data = request.body.chat;
     let jsonlData = chat_data.map(JSON.stringify).join('\n');
-    writeFileAtomicSync(pathToFile, jsonlData, 'utf8');
+    await withLock(toChatLockKey(pathToFile), async () => {
+        recordChatVersion(request.user.directories, pathToFile, { hasHeader: false });
+        const commitUsage = await trackStorageChange(request, pathToFile);
+        writeFileAtomicSync(pathToFile, jsonlData, 'utf8');
+        resetChatDeltaState(pathToFile);
+        await commitUsage();
+    });
+    queueChatIndexUpdate(request.user.profile.handle, pathToFile);
     getBackupFunction(request.user.profile.handle)(request.user.directories.backups, String(id), jsonlData);
+    broadcastChatChange(request, pathToFile, { action: 'save' });
     return response.send({ ok: true });
 });
 
+// Group chat files have no header line, their metadata is saved with the group
+router.post('/group/save-delta', enforceStorageQuota(), async (request, response) => {
+    if (!request.body || !request.body.id) {
+        return response.sendStatus(400);
+    }
+
+    try {
+        return await handleChatDelta(request, response, { filePath: getGroupChatFilePath(request), hasHeader: false, backupName: String(request.body.id) });
+    } catch (error) {
+        console.error(error);
+        return response.sendStatus(500);
+    }
+});
+
+// Earlier versions of a chat, kept before it's overwritten
+router.post('/history/list', validateAvatarUrlMiddleware, async function (request, response) {
+    try {
+        const { filePath } = getHistoryChat(request);
+        const current = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+        return response.send({
+            current: current ? { date: current.mtimeMs, size: current.size } : null,
+            versions: listChatVersions(request.user.directories, filePath),
+        });
+    } catch (error) {
+        console.error(error);
+        return response.sendStatus(500);
+    }
+});
+
+router.post('/history/diff', validateAvatarUrlMiddleware, async function (request, response) {
+    try {
+        const { from, to = CURRENT_VERSION } = request.body;
+        if (!from) {
+            return response.status(400).send({ error: 'Missing version' });
+        }
+
+        const { filePath, hasHeader } = getHistoryChat(request);
+        const diff = await withLock(toChatLockKey(filePath), () => diffChatVersions(request.user.directories, filePath, String(from), String(to), { hasHeader }));
+        if (!diff) {
+            return response.status(404).send({ error: 'Version not found' });
+        }
+        return response.send(diff);
+    } catch (error) {
+        console.error(error);
+        return response.sendStatus(500);
+    }
+});
+
+// Rolls the whole chat back to a version, the chat as it was becomes a version itself
+router.post('/history/restore', validateAvatarUrlMiddleware, async function (request, response) {
+    try {
+        if (!request.body.version) {
+            return response.status(400).send({ error: 'Missing version' });
+        }
+
+        const { filePath, hasHeader } = getHistoryChat(request);
+        return await withLock(toChatLockKey(filePath), async () => {
+            const commitUsage = await trackStorageChange(request, filePath);
+            const content = restoreChatVersion(request.user.directories, filePath, String(request.body.version), { hasHeader });
+            await commitUsage();
+            if (content === null) {
+                return response.status(404).send({ error: 'Version not found' });
+            }
+
+            resetChatDeltaState(filePath);
+            queueChatIndexUpdate(request.user.profile.handle, filePath);
+            broadcastChatChange(request, filePath, { action: 'save' });
+            return response.send({ result: 'ok' });
+        });
+    } catch (error) {
+        console.error(error);
+        return response.sendStatus(500);
+    }
+});
+
 router.post('/search', validateAvatarUrlMiddleware, function (request, response) {
     try {
         const { query, avatar_url, group_id } = request.body;
@@ -890,6 +1146,36 @@ router.post('/search', validateAvatarUrlMiddleware, function (request, response)
     }
 });
 
+// Searches the messages of all chats of the user through the search index
+router.post('/search-all', async function (request, response) {
+    const { query, avatar_url, group_id, speaker, from, to, limit } = request.body || {};
+    const dates = [from, to].map(date => date ? new Date(date).getTime() : null);
+    if (dates.some(date => Number.isNaN(date))) {
+        return response.status(400).send({ error: 'Invalid date' });
+    }
+    try {
+        parseSearchQuery(query);
+    } catch (error) {
+        return response.status(400).send({ error: error.message });
+    }
+
+    try {
+        const result = await searchChats(request.user.profile.handle, {
+            query: String(query ?? ''),
+            avatar: avatar_url ? String(avatar_url) : undefined,
+            groupId: group_id ? String(group_id) : undefined,
+            speaker: speaker ? String(speaker) : undefined,
+            from: dates[0] ?? undefined,
+            to: dates[1] ?? undefined,
+            limit: Number(limit) || undefined,
+        });
+        return response.send(result);
+    } catch (error) {
+        console.error('Chat search error:', error);
+        return response.status(500).send({ error: 'Search failed' });
+    }
+});
+
 router.post('/recent', async function (request, response) {
     try {
         /** @type {{pngFile?: string, groupId?: string, filePath: string, mtime: number}[]} */
@@ -7,6 +7,7 @@ import { sync as writeFileSyncAtomic } from 'write-file-atomic';
 
 import { validateAssetFileName } from './assets.js';
 import { clientRelativePath } from '../util.js';
+import { enforceStorageQuota, trackStorageChange } from '../storage-quota.js';
 
 export const router = express.Router();
 
@@ -25,7 +26,7 @@ router.post('/sanitize-filename', async (request, response) => {
     }
 });
 
-router.post('/upload', async (request, response) => {
+router.post('/upload', enforceStorageQuota(), async (request, response) => {
     try {
         if (!request.body.name) {
             return response.status(400).send('No upload name specified');
@@ -41,7 +42,9 @@ router.post('/upload', async (request, response) => {
             return response.status(400).send(validation.message);
 
         const pathToUpload = path.join(request.user.directories.files, request.body.name);
+        const commitUsage = await trackStorageChange(request, pathToUpload);
         writeFileSyncAtomic(pathToUpload, request.body.data, 'base64');
+        await commitUsage();
         const url = clientRelativePath(request.user.directories.root, pathToUpload);
         console.info(`Uploaded file: ${url} from ${request.user.profile.handle}`);
         return response.send({ path: url });
@@ -66,7 +69,9 @@ router.post('/delete', async (request, response) => {
             return response.status(404).send('File not found');
         }
 
+        const commitUsage = await trackStorageChange(request, pathToDelete);
         fs.unlinkSync(pathToDelete);
+        await commitUsage();
         console.info(`Deleted file: ${request.body.path} from ${request.user.profile.handle}`);
         return response.sendStatus(200);
     } catch (error) {
@@ -7,6 +7,7 @@ import sanitize from 'sanitize-filename';
 
 import { clientRelativePath, removeFileExtension, getImages, isPathUnderParent } from '../util.js';
 import { MEDIA_EXTENSIONS } from '../constants.js';
+import { enforceStorageQuota, trackStorageChange } from '../storage-quota.js';
 
 /**
  * Ensure the directory for the provided file path exists.
@@ -36,7 +37,7 @@ export const router = express.Router();
  * @param {string} [request.body.ch_name] - Optional character name to determine the sub-directory.
  * @returns {Object} response - The response object containing the path where the image was saved.
  */
-router.post('/upload', async (request, response) => {
+router.post('/upload', enforceStorageQuota(), async (request, response) => {
     try {
         if (!request.body) {
             return response.status(400).send({ error: 'No data provided' });
@@ -69,7 +70,9 @@ router.post('/upload', async (request, response) => {
 
         ensureDirectoryExistence(pathToNewFile);
         const imageBuffer = Buffer.from(image, 'base64');
+        const commitUsage = await trackStorageChange(request, pathToNewFile);
         await fs.promises.writeFile(pathToNewFile, new Uint8Array(imageBuffer));
+        await commitUsage();
         response.send({ path: clientRelativePath(request.user.directories.root, pathToNewFile) });
     } catch (error) {
         console.error(error);
@@ -144,7 +147,9 @@ router.post('/delete', async (request, response) => {
             return response.status(404).send('File not found');
         }
 
+        const commitUsage = await trackStorageChange(request, pathToDelete);
         fs.unlinkSync(pathToDelete);
+        await commitUsage();
         console.info(`Deleted image: ${request.body.path} from ${request.user.profile.handle}`);
         return response.sendStatus(200);
     } catch (error) {
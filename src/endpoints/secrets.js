@@ -4,6 +4,7 @@ import path from 'node:path';
 import express from 'express';
 import { sync as writeFileAtomicSync } from 'write-file-atomic';
 import { color, getConfigValue, uuidv4 } from '../util.js';
+import { readPooledSecret, getPooledSecretState } from '../key-pool.js';
 
 export const SECRETS_FILE = 'secrets.json';
 export const SECRET_KEYS = {
@@ -430,13 +431,13 @@ export function deleteSecret(directories, key) {
 }
 
 /**
- * Reads a secret from the secrets file
+ * Reads a secret from the secrets file, falling back to the shared key pool when the user has none
  * @param {import('../users.js').UserDirectoryList} directories User directories
  * @param {string} key Secret key
  * @returns {string} Secret value
  */
 export function readSecret(directories, key) {
-    return new SecretManager(directories).readSecret(key, null);
+    return new SecretManager(directories).readSecret(key, null) || readPooledSecret(key);
 }
 
 /**
@@ -516,10 +517,11 @@ router.post('/write', (request, response) => {
     }
 });
 
-router.post('/read', (request, response) => {
+router.post('/read', async (request, response) => {
     try {
         const manager = new SecretManager(request.user.directories);
         const state = manager.getSecretState();
+        Object.assign(state, await getPooledSecretState(state));
         return response.send(state);
     } catch (error) {
         console.error('Error reading secret state:', error);
@@ -7,6 +7,7 @@ import sanitize from 'sanitize-filename';
 import { sync as writeFileAtomicSync } from 'write-file-atomic';
 
 import { getImageBuffers } from '../util.js';
+import { enforceStorageQuota, reserveStorage, sendStorageQuotaError, trackStorageChange } from '../storage-quota.js';
 
 /**
  * Gets the path to the sprites folder for the provided character name
@@ -160,6 +161,7 @@ router.post('/delete', async (request, response) => {
             return response.sendStatus(404);
         }
 
+        const commitUsage = await trackStorageChange(request, spritesPath);
         const files = fs.readdirSync(spritesPath);
 
         // Remove existing sprite with the same label
@@ -169,6 +171,7 @@ router.post('/delete', async (request, response) => {
             }
         }
 
+        await commitUsage();
         return response.sendStatus(200);
     } catch (error) {
         console.error(error);
@@ -176,7 +179,7 @@ router.post('/delete', async (request, response) => {
     }
 });
 
-router.post('/upload-zip', async (request, response) => {
+router.post('/upload-zip', enforceStorageQuota(), async (request, response) => {
     const file = request.file;
     const name = request.body.name;
 
@@ -201,6 +204,20 @@ router.post('/upload-zip', async (request, response) => {
         const sprites = await getImageBuffers(spritePackPath);
         const files = fs.readdirSync(spritesPath);
 
+        // The upload was checked against the compressed size, the sprites are written uncompressed
+        let incomingBytes = 0;
+        for (const [filename, buffer] of sprites) {
+            const existingFile = files.find(file => path.parse(file).name === path.parse(filename).name);
+            incomingBytes += buffer.length - (existingFile ? fs.statSync(path.join(spritesPath, existingFile)).size : 0);
+        }
+        const { allowed, usage, quota } = await reserveStorage(request, response, incomingBytes);
+        if (!allowed) {
+            fs.unlinkSync(spritePackPath);
+            return sendStorageQuotaError(response, usage, quota);
+        }
+
+        const commitUsage = await trackStorageChange(request, spritesPath);
+
         for (const [filename, buffer] of sprites) {
             // Remove existing sprite with the same label
             const existingFile = files.find(file => path.parse(file).name === path.parse(filename).name);
@@ -216,6 +233,7 @@ router.post('/upload-zip', async (request, response) => {
 
         // Remove uploaded ZIP file
         fs.unlinkSync(spritePackPath);
+        await commitUsage();
         return response.send({ ok: true, count: sprites.length });
     } catch (error) {
         console.error(error);
@@ -223,7 +241,7 @@ router.post('/upload-zip', async (request, response) => {
     }
 });
 
-router.post('/upload', async (request, response) => {
+router.post('/upload', enforceStorageQuota(), async (request, response) => {
     const file = request.file;
     const label = request.body.label;
     const name = request.body.name;
@@ -246,6 +264,7 @@ router.post('/upload', async (request, response) => {
             return response.sendStatus(404);
         }
 
+        const commitUsage = await trackStorageChange(request, spritesPath);
         const files = fs.readdirSync(spritesPath);
 
         // Remove existing sprite with the same label
@@ -262,6 +281,7 @@ router.post('/upload', async (request, response) => {
         fs.cpSync(spritePath, pathToFile);
         // Remove uploaded file
         fs.unlinkSync(spritePath);
+        await commitUsage();
         return response.send({ ok: true });
     } catch (error) {
         console.error(error);
@@ -0,0 +1,22 @@
+import express from 'express';
+
+import { isSyncAvailable, openSyncStream } from '../sync-events.js';
+
+export const router = express.Router();
+
+// Server-sent events with the changes the user makes in other tabs and on other devices
+router.get('/events', function (request, response) {
+    if (!isSyncAvailable()) {
+        return response.sendStatus(404);
+    }
+
+    try {
+        openSyncStream(request, response);
+    } catch (error) {
+        console.error('Could not open the sync stream', error);
+        if (!response.headersSent) {
+            return response.sendStatus(500);
+        }
+        response.end();
+    }
+});
@@ -16,6 +16,10 @@ import {
     ensurePublicDirectoriesExist,
 } from '../users.js';
 import { DEFAULT_USER } from '../constants.js';
+import { recordAudit, AUDIT_ACTIONS } from '../audit-log.js';
+import { revokeSessions } from '../sessions.js';
+import { invalidateStorageUsage } from '../storage-quota.js';
+import { deleteChatSearchIndex } from '../chat-search.js';
 
 export const router = express.Router();
 
@@ -71,6 +75,8 @@ router.post('/disable', requireAdminMiddleware, async (request, response) => {
 
         user.enabled = false;
         await storage.setItem(toKey(request.body.handle), user);
+        await revokeSessions(user.handle);
+        await recordAudit(request, { action: AUDIT_ACTIONS.USER_DISABLE, target: user.handle });
         return response.sendStatus(204);
     } catch (error) {
         console.error('User disable failed:', error);
@@ -95,6 +101,7 @@ router.post('/enable', requireAdminMiddleware, async (request, response) => {
 
         user.enabled = true;
         await storage.setItem(toKey(request.body.handle), user);
+        await recordAudit(request, { action: AUDIT_ACTIONS.USER_ENABLE, target: user.handle });
         return response.sendStatus(204);
     } catch (error) {
         console.error('User enable failed:', error);
@@ -119,6 +126,7 @@ router.post('/promote', requireAdminMiddleware, async (request, response) => {
 
         user.admin = true;
         await storage.setItem(toKey(request.body.handle), user);
+        await recordAudit(request, { action: AUDIT_ACTIONS.USER_PROMOTE, target: user.handle });
         return response.sendStatus(204);
     } catch (error) {
         console.error('User promote failed:', error);
@@ -148,6 +156,7 @@ router.post('/demote', requireAdminMiddleware, async (request, response) => {
 
         user.admin = false;
         await storage.setItem(toKey(request.body.handle), user);
+        await recordAudit(request, { action: AUDIT_ACTIONS.USER_DEMOTE, target: user.handle });
         return response.sendStatus(204);
     } catch (error) {
         console.error('User demote failed:', error);
@@ -189,6 +198,7 @@ router.post('/create', requireAdminMiddleware, async (request, response) => {
         };
 
         await storage.setItem(toKey(handle), newUser);
+        await recordAudit(request, { action: AUDIT_ACTIONS.USER_CREATE, target: newUser.handle, details: { admin: newUser.admin } });
 
         // Create user directories
         console.info('Creating data directories for', newUser.handle);
@@ -220,13 +230,18 @@ router.post('/delete', requireAdminMiddleware, async (request, response) => {
         }
 
         await storage.removeItem(toKey(request.body.handle));
+        await revokeSessions(request.body.handle);
 
         if (request.body.purge) {
             const directories = getUserDirectories(request.body.handle);
             console.info('Deleting data directories for', request.body.handle);
             await fsPromises.rm(directories.root, { recursive: true, force: true });
+            await invalidateStorageUsage(request.body.handle);
+            await deleteChatSearchIndex(request.body.handle);
         }
 
+        await recordAudit(request, { action: AUDIT_ACTIONS.USER_DELETE, target: request.body.handle, details: { purge: !!request.body.purge } });
+
         return response.sendStatus(204);
     } catch (error) {
         console.error('User delete failed:', error);
@@ -5,10 +5,12 @@ import crypto from 'node:crypto';
 import storage from 'node-persist';
 import express from 'express';
 
-import { getUserAvatar, toKey, getPasswordHash, getPasswordSalt, createBackupArchive, ensurePublicDirectoriesExist, toAvatarKey } from '../users.js';
+import { getUserAvatar, toKey, getPasswordHash, getPasswordSalt, ensurePublicDirectoriesExist, toAvatarKey } from '../users.js';
 import { SETTINGS_FILE } from '../constants.js';
 import { checkForNewContent, CONTENT_TYPES } from './content-manager.js';
 import { color, Cache } from '../util.js';
+import { endSession, revokeSessions } from '../sessions.js';
+import { sendExportBundle, readExportBundle, previewRestore, restoreExportBundle, RESTORE_MODES } from '../data-transfer.js';
 
 const RESET_CACHE = new Cache(5 * 60 * 1000);
 
@@ -21,6 +23,7 @@ router.post('/logout', async (request, response) => {
             return response.sendStatus(500);
         }
 
+        await endSession(request);
         request.session.handle = null;
         request.session.csrfToken = null;
         request.session = null;
@@ -129,6 +132,9 @@ router.post('/change-password', async (request, response) => {
         }
 
         await storage.setItem(toKey(request.body.handle), user);
+        // Other devices must sign in with the new password
+        const isSelf = request.body.handle === request.user.profile.handle;
+        await revokeSessions(request.body.handle, { except: isSelf ? request.session?.sid : undefined });
         return response.sendStatus(204);
     } catch (error) {
         console.error(error);
@@ -150,13 +156,42 @@ router.post('/backup', async (request, response) => {
             return response.status(403).json({ error: 'Unauthorized' });
         }
 
-        await createBackupArchive(handle, response);
+        await sendExportBundle(handle, response);
     } catch (error) {
         console.error('Backup failed', error);
         return response.sendStatus(500);
     }
 });
 
+// 导入备份：不带 mode 时只返回预览（冲突文件、账户信息是否导入），由用户选择合并或替换后再次上传
+router.post('/restore', async (request, response) => {
+    const file = request.file;
+    if (!file) {
+        return response.status(400).json({ error: '请选择要导入的备份文件' });
+    }
+
+    try {
+        const handle = request.user.profile.handle;
+        const mode = request.body.mode;
+        if (mode && !Object.values(RESTORE_MODES).includes(mode)) {
+            return response.status(400).json({ error: '无效的导入方式' });
+        }
+
+        const bundle = await readExportBundle(file.path);
+        if (!mode) {
+            return response.json({ preview: await previewRestore(handle, bundle) });
+        }
+
+        const result = await restoreExportBundle(handle, file.path, bundle, mode);
+        return response.json({ success: true, ...result });
+    } catch (error) {
+        console.warn('Restore failed:', error.message);
+        return response.status(400).json({ error: error.message });
+    } finally {
+        await fsPromises.rm(file.path, { force: true });
+    }
+});
+
 router.post('/reset-settings', async (request, response) => {
     try {
         const password = request.body.password;
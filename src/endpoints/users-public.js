@@ -8,6 +8,12 @@ import { Cache, getConfigValue } from '../util.js';
 import { getUserDirectories, toKey, getPasswordHash, getPasswordSalt } from '../users.js';
 import { checkForNewContent } from './content-manager.js';
 import { isRegistrationEnabled } from './admin.js';
+import { withLock } from '../storage-lock.js';
+import { setPendingLogin, getPendingLogin, verifySecondFactor } from '../totp.js';
+import { startSession, SESSION_METHODS } from '../sessions.js';
+import { recordReferral } from '../referrals.js';
+import { applyImportPreset } from '../user-import.js';
+import { isEmailRecoveryEnabled, isValidEmail, resetPasswordWithCode, sendResetEmail } from '../password-recovery.js';
 
 const PREFER_REAL_IP_HEADER = getConfigValue('rateLimiting.preferRealIpHeader', false, 'boolean');
 const MFA_CACHE = new Cache(5 * 60 * 1000);
@@ -25,6 +31,13 @@ const USERNAME_BLACKLIST = new Set([
 
 export const router = express.Router();
 const loginLimiter = new RateLimiterMemory({ points: 5, duration: 60 });
+// 两步验证：按用户名限制验证码尝试次数（密码步骤已按 IP 限制），防止分散 IP 暴力猜测
+const twoFactorLimiter = new RateLimiterMemory({ points: 10, duration: 15 * 60 });
+// 找回密码：限制申请重置码和尝试重置码的频率（按 IP 和用户名分别计数）
+const recoverRequestIpLimiter = new RateLimiterMemory({ points: 5, duration: 15 * 60 });
+const recoverRequestHandleLimiter = new RateLimiterMemory({ points: 3, duration: 60 * 60 });
+const recoverAttemptIpLimiter = new RateLimiterMemory({ points: 10, duration: 15 * 60 });
+const recoverAttemptHandleLimiter = new RateLimiterMemory({ points: 10, duration: 60 * 60 });
 
 // 为登录页提供“隐式登录”模式：返回 204 让前端展示手动输入用户名/密码
 router.post('/list', async (_request, response) => response.sendStatus(204));
@@ -57,9 +70,13 @@ router.post('/login', async (request, response) => {
         if (!ok) {
             return response.status(401).json({ error: '用户名或密码错误' });
         }
+        // 开启了两步验证：验证码通过前不写入 handle
+        if (user.twoFactor && request.session) {
+            setPendingLogin(request.session, { type: 'user', id: handle.toLowerCase() });
+            return response.json({ twoFactorRequired: true });
+        }
         if (request.session) {
-            request.session.handle = handle.toLowerCase();
-            request.session.touch = Date.now();
+            await startSession(request, handle.toLowerCase(), SESSION_METHODS.PASSWORD);
         }
         return response.json({ handle: handle.toLowerCase() });
     } catch (error) {
@@ -68,12 +85,57 @@ router.post('/login', async (request, response) => {
     }
 });
 
+// 两步验证：校验验证器中的验证码或恢复码，完成登录（密码登录和第三方登录共用）
+router.post('/login-2fa', async (request, response) => {
+    const pending = getPendingLogin(request.session, 'user');
+    if (!pending) {
+        return response.status(400).json({ error: '登录已过期，请重新登录' });
+    }
+
+    try {
+        await twoFactorLimiter.consume(pending.id);
+    } catch {
+        return response.status(429).json({ error: '尝试过于频繁，请稍后重试' });
+    }
+
+    try {
+        const code = String(request.body?.code || '').trim();
+        if (!code) {
+            return response.status(400).json({ error: '请输入验证码' });
+        }
+
+        return await withLock(toKey(pending.id), async () => {
+            const user = await storage.getItem(toKey(pending.id));
+            if (!user || user.enabled === false) {
+                request.session.pendingLogin = null;
+                return response.status(403).json({ error: '用户不存在或已被禁用' });
+            }
+
+            const method = user.twoFactor ? verifySecondFactor(user.twoFactor, code) : 'totp';
+            if (!method) {
+                return response.status(401).json({ error: '验证码错误' });
+            }
+            await storage.setItem(toKey(pending.id), user);
+
+            request.session.pendingLogin = null;
+            await startSession(request, pending.id, pending.method || SESSION_METHODS.PASSWORD);
+            return response.json({
+                handle: pending.id,
+                recoveryCodesLeft: method === 'recovery' ? user.twoFactor.recoveryCodes.length : undefined,
+            });
+        });
+    } catch (error) {
+        console.error('Two-factor login failed:', error);
+        return response.status(500).json({ error: '登录失败' });
+    }
+});
+
 // 使用邀请码注册
 // 注意：邀请码注册不受 isRegistrationEnabled() 限制
 // 邀请码本身就是访问控制机制 - 管理员可以通过不生成/删除邀请码来控制注册
 router.post('/register', async (request, response) => {
     try {
-        const { code, handle, password, name } = request.body || {};
+        const { code, handle, password, name, email } = request.body || {};
         if (!code || typeof code !== 'string') {
             return response.status(400).json({ error: '请输入邀请码' });
         }
@@ -83,6 +145,10 @@ router.post('/register', async (request, response) => {
         if (!password || typeof password !== 'string' || password.length < 6) {
             return response.status(400).json({ error: '请设置不少于 6 位的密码' });
         }
+        const recoveryEmail = typeof email === 'string' ? email.trim() : '';
+        if (recoveryEmail && !isValidEmail(recoveryEmail)) {
+            return response.status(400).json({ error: '邮箱格式不正确' });
+        }
 
         // 校验并规范化用户名（仅允许 a-z0-9-_）
         const normHandle = handle.toLowerCase()
@@ -97,79 +163,134 @@ router.post('/register', async (request, response) => {
             return response.status(400).json({ error: '用户名至少需要 3 个字符' });
         }
 
-        // 检查用户名是否在黑名单中
-        if (USERNAME_BLACKLIST.has(finalHandle)) {
-            return response.status(400).json({ error: '该用户名不可用，请选择其他用户名' });
-        }
-
-        // 检查用户名是否包含敏感词
+        // 检查用户名是否在黑名单中或包含敏感词（管理员导入的账号由管理员指定用户名，不受此限制）
         const sensitivePatterns = ['admin', 'moderator', 'support', 'official'];
-        if (sensitivePatterns.some(pattern => finalHandle.includes(pattern))) {
-            return response.status(400).json({ error: '用户名包含保留关键词，请选择其他用户名' });
-        }
+        const handleError = USERNAME_BLACKLIST.has(finalHandle)
+            ? '该用户名不可用，请选择其他用户名'
+            : sensitivePatterns.some(pattern => finalHandle.includes(pattern)) ? '用户名包含保留关键词，请选择其他用户名' : null;
 
-        // 校验邀请码
+        // 校验邀请码；邀请码与用户名一起加锁，防止并发注册重复使用同一邀请码或抢占同一用户名
         const inviteKey = `invite:${code.toUpperCase()}`;
-        /** @type {{ code:string, used:boolean, usedBy:string|null, usedAt:number|null, createdAt:number, expiresAt:number|null }} */
-        const invite = await storage.getItem(inviteKey);
-        if (!invite) {
-            return response.status(404).json({ error: '邀请码不存在' });
-        }
-        if (invite.used) {
-            return response.status(400).json({ error: '邀请码已被使用' });
-        }
-        // 检查邀请码是否过期
-        if (invite.expiresAt && invite.expiresAt < Date.now()) {
-            return response.status(400).json({ error: '邀请码已过期' });
-        }
-
-        // 检查重名
         const userKey = toKey(finalHandle);
-        const exists = await storage.getItem(userKey);
-        if (exists) {
-            return response.status(409).json({ error: '该用户名已被占用' });
-        }
+        return await withLock([inviteKey, userKey], async () => {
+            /** @type {{ code:string, used:boolean, usedBy:string|null, usedAt:number|null, createdAt:number, expiresAt:number|null, reservedFor?:string }} */
+            const invite = await storage.getItem(inviteKey);
+            if (!invite) {
+                return response.status(404).json({ error: '邀请码不存在' });
+            }
+            if (invite.used) {
+                return response.status(400).json({ error: '邀请码已被使用' });
+            }
+            // 检查邀请码是否过期
+            if (invite.expiresAt && invite.expiresAt < Date.now()) {
+                return response.status(400).json({ error: '邀请码已过期' });
+            }
+            // 导入账号的邀请码只能用来认领对应的用户名
+            if (invite.reservedFor && invite.reservedFor !== finalHandle) {
+                return response.status(400).json({ error: `该邀请码只能用于注册用户名 ${invite.reservedFor}` });
+            }
+            if (handleError && !invite.reservedFor) {
+                return response.status(400).json({ error: handleError });
+            }
 
-        // 创建用户
-        const salt = getPasswordSalt();
-        const user = {
-            handle: finalHandle,
-            name: typeof name === 'string' && name.trim() ? String(name).trim() : finalHandle,
-            created: Date.now(),
-            password: getPasswordHash(password, salt),
-            salt,
-            admin: false,
-            enabled: true,
-        };
-        await storage.setItem(userKey, user);
-
-        // 初始化目录并写入默认内容
-        const dirs = getUserDirectories(finalHandle);
-        try {
-            await checkForNewContent([dirs]);
-        } catch (err) {
-            console.warn('Failed to seed default content for newly registered user', finalHandle, err?.message || err);
-        }
+            // 检查重名；管理员导入的账号用其邀请码认领
+            const exists = await storage.getItem(userKey);
+            const claimed = exists && invite.reservedFor && exists.pendingInvite === invite.code ? exists : null;
+            if (exists && !claimed) {
+                return response.status(409).json({ error: '该用户名已被占用' });
+            }
 
-        // 标记邀请码已使用
-        invite.used = true;
-        invite.usedBy = finalHandle;
-        invite.usedAt = Date.now();
-        await storage.setItem(inviteKey, invite);
+            // 创建用户
+            const salt = getPasswordSalt();
+            const user = {
+                handle: finalHandle,
+                name: typeof name === 'string' && name.trim() ? String(name).trim() : (claimed?.name || finalHandle),
+                created: claimed?.created || Date.now(),
+                password: getPasswordHash(password, salt),
+                salt,
+                email: recoveryEmail || claimed?.email || '',
+                admin: false,
+                enabled: claimed ? claimed.enabled !== false : true,
+            };
+            await storage.setItem(userKey, user);
 
-        // 写入会话
-        if (request.session) {
-            request.session.handle = finalHandle;
-            request.session.touch = Date.now();
-        }
+            // 初始化目录并写入默认内容
+            const dirs = getUserDirectories(finalHandle);
+            try {
+                await checkForNewContent([dirs]);
+            } catch (err) {
+                console.warn('Failed to seed default content for newly registered user', finalHandle, err?.message || err);
+            }
+
+            // 标记邀请码已使用
+            invite.used = true;
+            invite.usedBy = finalHandle;
+            invite.usedAt = Date.now();
+            await storage.setItem(inviteKey, invite);
+            await recordReferral(invite, finalHandle, request);
+            if (claimed) {
+                await applyImportPreset(finalHandle, invite);
+            }
 
-        return response.json({ success: true, handle: finalHandle });
+            // 写入会话
+            if (request.session) {
+                await startSession(request, finalHandle, SESSION_METHODS.REGISTER);
+            }
+
+            return response.json({ success: true, handle: finalHandle });
+        });
     } catch (error) {
         console.error('Registration failed:', error);
         return response.status(500).json({ error: '注册失败，请稍后重试' });
     }
 });
 
-// 保持找回密码禁用（如需启用，可实现对应流程）
-router.post('/recover-step1', async (_request, response) => response.sendStatus(404));
-router.post('/recover-step2', async (_request, response) => response.sendStatus(404));
+// 找回密码第一步：向账号的找回邮箱发送重置码
+// 无论账号是否存在都返回相同结果；未配置邮件时提示用户联系管理员获取重置码
+router.post('/recover-step1', async (request, response) => {
+    const handle = String(request.body?.handle || '').trim().toLowerCase();
+    if (!handle) {
+        return response.status(400).json({ error: '请输入用户名' });
+    }
+
+    if (!isEmailRecoveryEnabled()) {
+        return response.json({ method: 'admin' });
+    }
+
+    try {
+        await recoverRequestIpLimiter.consume(getIpAddress(request));
+        await recoverRequestHandleLimiter.consume(handle);
+    } catch {
+        return response.status(429).json({ error: '申请过于频繁，请稍后重试' });
+    }
+
+    // 不等待发信完成，避免通过响应时间判断账号是否绑定了邮箱
+    sendResetEmail(handle).catch(error => console.error('Failed to send password reset email:', error));
+    return response.json({ method: 'email' });
+});
+
+// 找回密码第二步：使用重置码设置新密码
+router.post('/recover-step2', async (request, response) => {
+    const { handle, code, newPassword } = request.body || {};
+    if (!handle || typeof handle !== 'string') {
+        return response.status(400).json({ error: '请输入用户名' });
+    }
+    if (!code || typeof code !== 'string') {
+        return response.status(400).json({ error: '请输入重置码' });
+    }
+
+    const normHandle = handle.trim().toLowerCase();
+    try {
+        await recoverAttemptIpLimiter.consume(getIpAddress(request));
+        await recoverAttemptHandleLimiter.consume(normHandle);
+    } catch {
+        return response.status(429).json({ error: '尝试过于频繁，请稍后重试' });
+    }
+
+    try {
+        await resetPasswordWithCode(normHandle, code, newPassword);
+        return response.json({ success: true, message: '密码已重置，请使用新密码登录' });
+    } catch (error) {
+        return response.status(400).json({ error: error.message || '重置密码失败' });
+    }
+});
@@ -5,6 +5,8 @@ import express from 'express';
 import sanitize from 'sanitize-filename';
 import { sync as writeFileAtomicSync } from 'write-file-atomic';
 
+import { SYNC_EVENTS, broadcastSyncEvent } from '../sync-events.js';
+
 /**
  * Reads a World Info file and returns its contents
  * @param {import('../users.js').UserDirectoryList} directories User directories
@@ -58,6 +60,7 @@ router.post('/delete', (request, response) => {
     }
 
     fs.unlinkSync(pathToWorldInfo);
+    broadcastSyncEvent(request, SYNC_EVENTS.WORLD_INFO, { action: 'delete', name: path.parse(filename).name });
 
     return response.sendStatus(200);
 });
@@ -94,6 +97,7 @@ router.post('/import', (request, response) => {
     }
 
     writeFileAtomicSync(pathToNewFile, fileContents);
+    broadcastSyncEvent(request, SYNC_EVENTS.WORLD_INFO, { action: 'import', name: worldName });
     return response.send({ name: worldName });
 });
 
@@ -118,6 +122,7 @@ router.post('/edit', (request, response) => {
     const pathToFile = path.join(request.user.directories.worlds, filename);
 
     writeFileAtomicSync(pathToFile, JSON.stringify(request.body.data, null, 4));
+    broadcastSyncEvent(request, SYNC_EVENTS.WORLD_INFO, { action: 'edit', name: path.parse(filename).name });
 
     return response.send({ ok: true });
 });
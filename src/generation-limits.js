@@ -0,0 +1,201 @@
+import { RateLimiterMemory, RateLimiterRes } from 'rate-limiter-flexible';
+
+import { getOrInitState } from './endpoints/account.js';
+import { getPlansConfig, resolveAccountPlan } from './plans.js';
+import { getConfigValue } from './util.js';
+
+/**
+ * Server-wide defaults, used when neither the user nor their plan sets a limit. 0 means unlimited.
+ */
+const DEFAULT_REQUESTS_PER_MINUTE = getConfigValue('generationLimits.requestsPerMinute', 0, 'number');
+const DEFAULT_MAX_CONCURRENT = getConfigValue('generationLimits.maxConcurrent', 0, 'number');
+
+/**
+ * Types of generation limit rejections, sent as `error.type` in 429 responses.
+ */
+export const GENERATION_LIMIT_ERRORS = {
+    RATE_LIMIT: 'rate_limit',
+    CONCURRENCY_LIMIT: 'concurrency_limit',
+};
+
+/**
+ * Endpoints that start a generation, either locally or by proxying to an upstream API.
+ * @type {RegExp[]}
+ */
+const GENERATION_ROUTES = [
+    /^\/api\/backends\/(?:chat-completions|text-completions|kobold)\/generate$/,
+    /^\/api\/novelai\/generate(?:-image|-voice)?$/,
+    /^\/api\/horde\/generate-(?:text|image)$/,
+    /^\/api\/sd\/(?:[\w-]+\/)?generate(?:-image)?$/,
+    /^\/api\/(?:openai|google)\/generate-image$/,
+    /^\/api\/speech\/(?:synthesize|pollinations\/generate)$/,
+    /^\/api\/azure\/generate$/,
+    /^\/api\/(?:minimax|openai|openai\/custom|openai\/electronhub|google)\/generate-voice$/,
+    /^\/api\/google\/generate-native-tts$/,
+];
+
+/**
+ * @typedef {Object} GenerationLimits
+ * @property {number} requestsPerMinute Generation requests allowed per minute, 0 for unlimited
+ * @property {number} maxConcurrent Generations allowed in flight at once, 0 for unlimited
+ */
+
+/**
+ * Rate limiters by requests-per-minute value, since each limiter has a fixed budget.
+ * @type {Map<number, RateLimiterMemory>}
+ */
+const rateLimiters = new Map();
+
+/**
+ * Generations currently in flight per user handle.
+ * @type {Map<string, number>}
+ */
+const inFlight = new Map();
+
+/**
+ * Checks whether a request path starts a generation.
+ * @param {string} requestPath
+ * @returns {boolean}
+ */
+export function isGenerationRoute(requestPath) {
+    return GENERATION_ROUTES.some(pattern => pattern.test(requestPath));
+}
+
+/**
+ * Works out the limits that apply to an account.
+ * A per-user override wins over the plan, and the plan wins over the server default.
+ * @param {import('./endpoints/account.js').AccountState} state
+ * @param {import('./plans.js').Plan} plan Plan that currently applies to the account
+ * @returns {GenerationLimits}
+ */
+export function resolveGenerationLimits(state, plan) {
+    const override = state.generationLimits || {};
+    return {
+        requestsPerMinute: override.requestsPerMinute ?? plan.requestsPerMinute ?? DEFAULT_REQUESTS_PER_MINUTE,
+        maxConcurrent: override.maxConcurrent ?? plan.maxConcurrentGenerations ?? DEFAULT_MAX_CONCURRENT,
+    };
+}
+
+/**
+ * Gets the limits that apply to a user.
+ * @param {string} handle User handle
+ * @returns {Promise<GenerationLimits>}
+ */
+export async function getUserGenerationLimits(handle) {
+    const [state, plansConfig] = await Promise.all([getOrInitState(handle), getPlansConfig()]);
+    const { plan } = resolveAccountPlan(state, plansConfig);
+    return resolveGenerationLimits(state, plan);
+}
+
+/**
+ * Gets the shared rate limiter for a requests-per-minute budget.
+ * @param {number} requestsPerMinute
+ * @returns {RateLimiterMemory}
+ */
+function getRateLimiter(requestsPerMinute) {
+    let limiter = rateLimiters.get(requestsPerMinute);
+    if (!limiter) {
+        limiter = new RateLimiterMemory({ points: requestsPerMinute, duration: 60, keyPrefix: `generation-${requestsPerMinute}` });
+        rateLimiters.set(requestsPerMinute, limiter);
+    }
+    return limiter;
+}
+
+/**
+ * Marks a generation as started and returns a function that marks it finished.
+ * @param {string} handle User handle
+ * @returns {() => void}
+ */
+function acquireSlot(handle) {
+    inFlight.set(handle, (inFlight.get(handle) ?? 0) + 1);
+
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+
+        const remaining = (inFlight.get(handle) ?? 1) - 1;
+        if (remaining > 0) {
+            inFlight.set(handle, remaining);
+        } else {
+            inFlight.delete(handle);
+        }
+    };
+}
+
+/**
+ * Sends a structured 429 response.
+ * @param {import('express').Response} response
+ * @param {object} details
+ * @param {string} details.type One of GENERATION_LIMIT_ERRORS
+ * @param {string} details.message User-facing message
+ * @param {number} details.limit The limit that was hit
+ * @param {number|null} details.retryAfter Seconds until a retry can succeed, if known
+ */
+function sendLimitError(response, { type, message, limit, retryAfter }) {
+    if (retryAfter !== null) {
+        response.set('Retry-After', String(retryAfter));
+    }
+
+    return response.status(429).json({
+        error: { message, type },
+        limit,
+        retryAfter,
+    });
+}
+
+/**
+ * Creates a middleware that enforces per-user request rate and concurrency limits on every generation endpoint.
+ * Requests that don't start a generation pass through untouched.
+ * @returns {import('express').RequestHandler}
+ */
+export function limitGenerations() {
+    return async function (request, response, next) {
+        try {
+            if (!request.user || request.method !== 'POST' || !isGenerationRoute(request.path)) {
+                return next();
+            }
+
+            const handle = request.user.profile.handle;
+            const { requestsPerMinute, maxConcurrent } = await getUserGenerationLimits(handle);
+
+            // Checked before the rate limit so a rejected request doesn't use up the user's budget
+            if (maxConcurrent > 0 && (inFlight.get(handle) ?? 0) >= maxConcurrent) {
+                return sendLimitError(response, {
+                    type: GENERATION_LIMIT_ERRORS.CONCURRENCY_LIMIT,
+                    message: `最多同时进行 ${maxConcurrent} 个生成请求，请等待当前生成完成后再试`,
+                    limit: maxConcurrent,
+                    retryAfter: null,
+                });
+            }
+
+            // Taken right after the check, before anything is awaited, so parallel requests can't all pass it
+            const release = acquireSlot(handle);
+            response.once('close', release);
+
+            if (requestsPerMinute > 0) {
+                try {
+                    await getRateLimiter(requestsPerMinute).consume(handle);
+                } catch (rejection) {
+                    release();
+                    if (!(rejection instanceof RateLimiterRes)) {
+                        throw rejection;
+                    }
+
+                    const retryAfter = Math.max(1, Math.ceil(rejection.msBeforeNext / 1000));
+                    return sendLimitError(response, {
+                        type: GENERATION_LIMIT_ERRORS.RATE_LIMIT,
+                        message: `生成请求过于频繁（每分钟最多 ${requestsPerMinute} 次），请在 ${retryAfter} 秒后重试`,
+                        limit: requestsPerMinute,
+                        retryAfter,
+                    });
+                }
+            }
+
+            return next();
+        } catch (error) {
+            console.error('Generation limit check failed', error);
+            return response.status(500).json({ error: { message: '生成限流校验失败，请稍后重试' } });
+        }
+    };
+}
@@ -0,0 +1,138 @@
+import storage from 'node-persist';
+
+import { toKey } from './users.js';
+import { withLock } from './storage-lock.js';
+
+const IDENTITY_PREFIX = 'identity:';
+
+/**
+ * An external login linked to a user. The user record keeps the list for display,
+ * `identity:<provider>:<subject>` maps the login back to the user.
+ * @typedef {Object} LinkedIdentity
+ * @property {string} provider OAuth provider id
+ * @property {string} subject User id at the provider
+ * @property {string} name Display name at the provider
+ * @property {string} email Email at the provider, empty when not shared
+ * @property {number} linkedAt Epoch ms
+ */
+
+/**
+ * @typedef {Object} IdentityRecord
+ * @property {string} handle User the identity belongs to
+ * @property {string} provider
+ * @property {string} subject
+ */
+
+/**
+ * @param {string} provider
+ * @param {string} subject
+ * @returns {string}
+ */
+export function toIdentityKey(provider, subject) {
+    return `${IDENTITY_PREFIX}${provider}:${subject}`;
+}
+
+/**
+ * Returns the user an identity is linked to. Links of removed users (purged or merged away) don't count.
+ * @param {string} provider
+ * @param {string} subject
+ * @returns {Promise<string|null>} User handle
+ */
+export async function findIdentityHandle(provider, subject) {
+    /** @type {IdentityRecord|undefined} */
+    const record = await storage.getItem(toIdentityKey(provider, subject));
+    if (!record || !await storage.getItem(toKey(record.handle))) {
+        return null;
+    }
+    return record.handle;
+}
+
+/**
+ * Returns the identities linked to a user.
+ * @param {string} handle
+ * @returns {Promise<LinkedIdentity[]>}
+ */
+export async function getLinkedIdentities(handle) {
+    const user = await storage.getItem(toKey(handle));
+    return Array.isArray(user?.identities) ? user.identities : [];
+}
+
+/**
+ * Links an external login to a user. Linking it again refreshes the stored name and email.
+ * @param {string} handle
+ * @param {{provider: string, subject: string, name?: string, email?: string}} identity
+ * @returns {Promise<LinkedIdentity>}
+ * @throws {Error} When the user is missing or the login belongs to another user
+ */
+export async function linkIdentity(handle, { provider, subject, name = '', email = '' }) {
+    const identityKey = toIdentityKey(provider, subject);
+    return withLock([toKey(handle), identityKey], async () => {
+        const user = await storage.getItem(toKey(handle));
+        if (!user) {
+            throw new Error('用户不存在');
+        }
+        const owner = await findIdentityHandle(provider, subject);
+        if (owner && owner !== handle) {
+            throw new Error('该登录方式已绑定到其他账号');
+        }
+
+        const identities = (Array.isArray(user.identities) ? user.identities : [])
+            .filter(item => !(item.provider === provider && item.subject === subject));
+        const previous = user.identities?.find(item => item.provider === provider && item.subject === subject);
+        /** @type {LinkedIdentity} */
+        const linked = { provider, subject, name, email, linkedAt: previous?.linkedAt ?? Date.now() };
+        user.identities = [...identities, linked];
+
+        await storage.setItem(toKey(handle), user);
+        await storage.setItem(identityKey, { handle, provider, subject });
+        return linked;
+    });
+}
+
+/**
+ * Unlinks an external login. The user must keep a way to sign in: a password or another identity.
+ * @param {string} handle
+ * @param {string} provider
+ * @param {string} subject
+ * @returns {Promise<boolean>} False when the identity was not linked to the user
+ * @throws {Error} When it is the last way to sign in
+ */
+export async function unlinkIdentity(handle, provider, subject) {
+    const identityKey = toIdentityKey(provider, subject);
+    return withLock([toKey(handle), identityKey], async () => {
+        const user = await storage.getItem(toKey(handle));
+        const identities = Array.isArray(user?.identities) ? user.identities : [];
+        const remaining = identities.filter(item => !(item.provider === provider && item.subject === subject));
+        if (!user || remaining.length === identities.length) {
+            return false;
+        }
+        if (remaining.length === 0 && !user.password) {
+            throw new Error('请先设置密码或绑定其他登录方式，再解绑最后一个登录方式');
+        }
+
+        user.identities = remaining;
+        await storage.setItem(toKey(handle), user);
+        /** @type {IdentityRecord|undefined} */
+        const record = await storage.getItem(identityKey);
+        if (record?.handle === handle) {
+            await storage.removeItem(identityKey);
+        }
+        return true;
+    });
+}
+
+/**
+ * Points the identities of one user at another and returns them, used when merging accounts.
+ * Must be called while holding the locks of both users.
+ * @param {string} source Handle the identities are taken from
+ * @param {string} target Handle they are moved to
+ * @returns {Promise<LinkedIdentity[]>} Moved identities
+ */
+export async function reassignIdentities(source, target) {
+    const identities = await getLinkedIdentities(source);
+    for (const identity of identities) {
+        const identityKey = toIdentityKey(identity.provider, identity.subject);
+        await withLock(identityKey, () => storage.setItem(identityKey, { handle: target, provider: identity.provider, subject: identity.subject }));
+    }
+    return identities;
+}
@@ -0,0 +1,496 @@
+import crypto from 'node:crypto';
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+import storage from 'node-persist';
+
+import { CHAT_COMPLETION_SOURCES } from './constants.js';
+import { SECRET_KEYS } from './endpoints/secrets.js';
+import { withLock } from './storage-lock.js';
+
+const KEY_POOL_KEY = 'system:key-pool';
+const MS_PER_MINUTE = 60 * 1000;
+const MAX_KEYS = 500;
+
+/**
+ * How the pool picks a key for each request.
+ */
+export const KEY_POOL_STRATEGIES = {
+    ROUND_ROBIN: 'round-robin',
+    LEAST_USED: 'least-used',
+};
+
+/**
+ * Why a key was taken out of rotation.
+ */
+export const KEY_DISABLED_REASONS = {
+    /** Upstream returned 401. The key stays out until an admin re-enables it. */
+    UNAUTHORIZED: 'unauthorized',
+    /** Upstream returned 429. The key comes back by itself after the cooldown. */
+    RATE_LIMITED: 'rate_limited',
+    /** Switched off by an admin. */
+    MANUAL: 'manual',
+};
+
+/**
+ * Id of the placeholder secret shown to users whose requests go through the pool.
+ */
+export const POOLED_SECRET_ID = 'key-pool';
+
+/**
+ * Chat completion sources that authenticate with a single API key against a fixed upstream.
+ * Sources where the user picks the URL (custom, Azure) or signs in with a service account (Vertex AI)
+ * are left out, since the user could point the request at their own server and read the key.
+ */
+export const KEY_POOL_SOURCES = [
+    CHAT_COMPLETION_SOURCES.OPENAI,
+    CHAT_COMPLETION_SOURCES.CLAUDE,
+    CHAT_COMPLETION_SOURCES.OPENROUTER,
+    CHAT_COMPLETION_SOURCES.AI21,
+    CHAT_COMPLETION_SOURCES.MAKERSUITE,
+    CHAT_COMPLETION_SOURCES.MISTRALAI,
+    CHAT_COMPLETION_SOURCES.COHERE,
+    CHAT_COMPLETION_SOURCES.PERPLEXITY,
+    CHAT_COMPLETION_SOURCES.GROQ,
+    CHAT_COMPLETION_SOURCES.ELECTRONHUB,
+    CHAT_COMPLETION_SOURCES.NANOGPT,
+    CHAT_COMPLETION_SOURCES.DEEPSEEK,
+    CHAT_COMPLETION_SOURCES.AIMLAPI,
+    CHAT_COMPLETION_SOURCES.XAI,
+    CHAT_COMPLETION_SOURCES.MOONSHOT,
+    CHAT_COMPLETION_SOURCES.FIREWORKS,
+    CHAT_COMPLETION_SOURCES.COMETAPI,
+];
+
+/**
+ * @typedef {Object} PoolKey
+ * @property {string} id Unique key id
+ * @property {string} source Chat completion source the key belongs to
+ * @property {string} label Admin-facing name
+ * @property {string} value The upstream API key. Never sent to users or the admin panel.
+ * @property {boolean} enabled Whether the key is in rotation. Turned off by admins and by upstream 401s.
+ * @property {number|null} disabledUntil Epoch ms when a rate-limited key returns to rotation
+ * @property {string|null} disabledReason One of KEY_DISABLED_REASONS
+ * @property {number} requests Requests routed through the key
+ * @property {number} failures Requests rejected upstream with 401 or 429
+ * @property {number|null} lastStatus Last upstream HTTP status seen for the key
+ * @property {number|null} lastUsedAt Epoch ms
+ * @property {number} createdAt Epoch ms
+ */
+
+/**
+ * @typedef {Object} KeyPool
+ * @property {string} strategy One of KEY_POOL_STRATEGIES
+ * @property {number} cooldownMinutes How long a rate-limited key stays out of rotation
+ * @property {PoolKey[]} keys
+ */
+
+/**
+ * @typedef {Object} KeyPoolContext
+ * @property {string} handle User the request belongs to
+ * @property {Map<string, PoolKey>} leases Pool keys handed out during the request, by secret key
+ */
+
+/** @type {KeyPool} */
+const DEFAULT_KEY_POOL = {
+    strategy: KEY_POOL_STRATEGIES.ROUND_ROBIN,
+    cooldownMinutes: 10,
+    keys: [],
+};
+
+/**
+ * The pool is read synchronously while secrets are resolved, so it lives in memory and is written through to storage.
+ * @type {KeyPool|null}
+ */
+let keyPool = null;
+
+/**
+ * Position of the round-robin cursor per source.
+ * @type {Map<string, number>}
+ */
+const cursors = new Map();
+
+/**
+ * Pool state of the request currently being handled.
+ * @type {AsyncLocalStorage<KeyPoolContext>}
+ */
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Gets the secret key a source reads its API key from.
+ * @param {string} source Chat completion source
+ * @returns {string} Secret key
+ */
+function toSecretKey(source) {
+    return SECRET_KEYS[source.toUpperCase()];
+}
+
+/**
+ * Gets the source whose API key is stored under a secret key.
+ * @param {string} secretKey Secret key
+ * @returns {string|undefined} Chat completion source, if it can use the pool
+ */
+function toSource(secretKey) {
+    return KEY_POOL_SOURCES.find(source => toSecretKey(source) === secretKey);
+}
+
+/**
+ * Loads the pool from storage on first use.
+ * @returns {Promise<KeyPool>}
+ */
+export async function loadKeyPool() {
+    if (!keyPool) {
+        const stored = await storage.getItem(KEY_POOL_KEY);
+        keyPool = { ...structuredClone(DEFAULT_KEY_POOL), ...stored };
+    }
+    return keyPool;
+}
+
+/**
+ * Writes the in-memory pool to storage.
+ * @returns {Promise<void>}
+ */
+async function saveKeyPool() {
+    await withLock(KEY_POOL_KEY, () => storage.setItem(KEY_POOL_KEY, keyPool));
+}
+
+/**
+ * Saves usage updates in the background. Losing a counter on a failed write is not worth failing the generation.
+ */
+function saveKeyPoolQuietly() {
+    saveKeyPool().catch(error => console.error('Failed to save key pool', error));
+}
+
+/**
+ * Checks whether a key can take requests right now.
+ * @param {PoolKey} key
+ * @param {number} now Epoch ms
+ * @returns {boolean}
+ */
+function isKeyAvailable(key, now) {
+    return key.enabled && (!key.disabledUntil || key.disabledUntil <= now);
+}
+
+/**
+ * Gets the rotation status of a key for display.
+ * @param {PoolKey} key
+ * @param {number} now Epoch ms
+ * @returns {'active'|'cooling'|'disabled'}
+ */
+function getKeyStatus(key, now) {
+    if (!key.enabled) return 'disabled';
+    return isKeyAvailable(key, now) ? 'active' : 'cooling';
+}
+
+/**
+ * Masks a key the same way the secrets manager does, leaving the last few characters for recognition.
+ * @param {string} value
+ * @returns {string}
+ */
+function maskKey(value) {
+    return value.length > 10 ? `${'*'.repeat(7)}${value.slice(-3)}` : '*'.repeat(10);
+}
+
+/**
+ * Converts a pool key into the shape shown in the admin panel, without the key itself.
+ * @param {PoolKey} key
+ * @param {number} [now] Epoch ms
+ * @returns {Omit<PoolKey, 'value'> & {maskedValue: string, status: string}}
+ */
+export function toPublicPoolKey(key, now = Date.now()) {
+    const { value, ...rest } = key;
+    return { ...rest, maskedValue: maskKey(value), status: getKeyStatus(key, now) };
+}
+
+/**
+ * Picks the next key for a source according to the pool strategy.
+ * @param {KeyPool} pool
+ * @param {string} source Chat completion source
+ * @param {number} now Epoch ms
+ * @returns {PoolKey|null}
+ */
+export function selectPoolKey(pool, source, now = Date.now()) {
+    const candidates = pool.keys.filter(key => key.source === source && isKeyAvailable(key, now));
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    if (pool.strategy === KEY_POOL_STRATEGIES.LEAST_USED) {
+        return candidates.reduce((best, key) => {
+            if (key.requests !== best.requests) return key.requests < best.requests ? key : best;
+            return (key.lastUsedAt ?? 0) < (best.lastUsedAt ?? 0) ? key : best;
+        });
+    }
+
+    const cursor = cursors.get(source) ?? 0;
+    cursors.set(source, cursor + 1);
+    return candidates[cursor % candidates.length];
+}
+
+/**
+ * Creates a middleware that lets requests fall back to the pool for API keys the user hasn't saved.
+ * @returns {import('express').RequestHandler}
+ */
+export function useKeyPool() {
+    return async function (request, _response, next) {
+        if (!request.user) {
+            return next();
+        }
+
+        try {
+            await loadKeyPool();
+        } catch (error) {
+            console.error('Failed to load key pool', error);
+            return next();
+        }
+
+        return requestContext.run({ handle: request.user.profile.handle, leases: new Map() }, next);
+    };
+}
+
+/**
+ * Hands out a pool key for a secret the user doesn't have. Repeated reads in the same request get the same key.
+ * Only works inside a request handled by `useKeyPool`.
+ * @param {string} secretKey Secret key
+ * @returns {string} Key value, or an empty string if the pool has nothing for the secret
+ */
+export function readPooledSecret(secretKey) {
+    const context = requestContext.getStore();
+    const source = toSource(secretKey);
+    if (!context || !source || !keyPool) {
+        return '';
+    }
+
+    const leased = context.leases.get(secretKey);
+    if (leased) {
+        return leased.value;
+    }
+
+    const key = selectPoolKey(keyPool, source);
+    if (!key) {
+        return '';
+    }
+
+    key.requests += 1;
+    key.lastUsedAt = Date.now();
+    context.leases.set(secretKey, key);
+    saveKeyPoolQuietly();
+    return key.value;
+}
+
+/**
+ * Records an upstream response for the pool keys used by the current request.
+ * A 401 takes the key out of rotation until an admin re-enables it, a 429 rests it for the cooldown.
+ * @param {number} status Upstream HTTP status
+ */
+export function reportPooledKeyStatus(status) {
+    const context = requestContext.getStore();
+    if (!context || context.leases.size === 0 || !keyPool) {
+        return;
+    }
+
+    const now = Date.now();
+    for (const key of context.leases.values()) {
+        key.lastStatus = status;
+
+        if (status === 401) {
+            key.failures += 1;
+            key.enabled = false;
+            key.disabledReason = KEY_DISABLED_REASONS.UNAUTHORIZED;
+            console.warn(`Key pool: ${key.source} key "${key.label}" was rejected with 401 and has been disabled`);
+        } else if (status === 429) {
+            key.failures += 1;
+            key.disabledUntil = now + keyPool.cooldownMinutes * MS_PER_MINUTE;
+            key.disabledReason = KEY_DISABLED_REASONS.RATE_LIMITED;
+            console.warn(`Key pool: ${key.source} key "${key.label}" was rate limited, resting for ${keyPool.cooldownMinutes} minutes`);
+        }
+    }
+    saveKeyPoolQuietly();
+}
+
+/**
+ * Wraps a fetch implementation so every upstream response is reported to the pool.
+ * @template {(...args: any[]) => Promise<{status: number}>} T
+ * @param {T} fetchImpl
+ * @returns {T}
+ */
+export function trackPooledKeys(fetchImpl) {
+    return /** @type {T} */ (async function (...args) {
+        const response = await fetchImpl(...args);
+        reportPooledKeyStatus(response.status);
+        return response;
+    });
+}
+
+/**
+ * Gets placeholder secret state entries for sources the user has no key for but the pool does,
+ * so the client treats them as configured without ever seeing the pooled keys.
+ * @param {Record<string, any[]|null>} state User secret state
+ * @returns {Promise<Record<string, any[]>>} Entries to merge into the state
+ */
+export async function getPooledSecretState(state) {
+    const pool = await loadKeyPool();
+    const now = Date.now();
+    const result = {};
+
+    for (const source of KEY_POOL_SOURCES) {
+        const secretKey = toSecretKey(source);
+        if (state[secretKey] || !pool.keys.some(key => key.source === source && isKeyAvailable(key, now))) {
+            continue;
+        }
+        result[secretKey] = [{ id: POOLED_SECRET_ID, value: '*'.repeat(10), label: '共享密钥池', active: true }];
+    }
+
+    return result;
+}
+
+/**
+ * Gets the pool for the admin panel, with keys masked.
+ * @returns {Promise<{strategy: string, cooldownMinutes: number, sources: string[], keys: ReturnType<typeof toPublicPoolKey>[]}>}
+ */
+export async function getPublicKeyPool() {
+    const pool = await loadKeyPool();
+    const now = Date.now();
+    return {
+        strategy: pool.strategy,
+        cooldownMinutes: pool.cooldownMinutes,
+        sources: KEY_POOL_SOURCES,
+        keys: pool.keys.map(key => toPublicPoolKey(key, now)),
+    };
+}
+
+/**
+ * Updates how keys are picked and rested.
+ * @param {any} input Raw settings
+ * @returns {Promise<{strategy: string, cooldownMinutes: number}>} Settings before the change
+ * @throws {Error} If the settings are invalid. The message is safe to show to the admin.
+ */
+export async function setKeyPoolSettings(input) {
+    const { strategy, cooldownMinutes } = input || {};
+    if (!Object.values(KEY_POOL_STRATEGIES).includes(strategy)) {
+        throw new Error('无效的选择策略');
+    }
+    if (!Number.isInteger(cooldownMinutes) || cooldownMinutes < 1 || cooldownMinutes > 1440) {
+        throw new Error('冷却时间需为 1-1440 分钟');
+    }
+
+    const pool = await loadKeyPool();
+    const previous = { strategy: pool.strategy, cooldownMinutes: pool.cooldownMinutes };
+    pool.strategy = strategy;
+    pool.cooldownMinutes = cooldownMinutes;
+    await saveKeyPool();
+    return previous;
+}
+
+/**
+ * Adds an upstream key to the pool.
+ * @param {any} input Raw key with source, value and label
+ * @returns {Promise<PoolKey>}
+ * @throws {Error} If the key is invalid. The message is safe to show to the admin.
+ */
+export async function addPoolKey(input) {
+    const source = String(input?.source || '').trim();
+    const value = String(input?.value || '').trim();
+    const label = String(input?.label || '').trim();
+
+    if (!KEY_POOL_SOURCES.includes(source)) {
+        throw new Error('该来源不支持密钥池');
+    }
+    if (!value || value.length > 1000) {
+        throw new Error('请输入有效的 API 密钥');
+    }
+    if (label.length > 50) {
+        throw new Error('备注最多 50 个字符');
+    }
+
+    const pool = await loadKeyPool();
+    if (pool.keys.length >= MAX_KEYS) {
+        throw new Error(`密钥池最多保存 ${MAX_KEYS} 个密钥`);
+    }
+    if (pool.keys.some(key => key.source === source && key.value === value)) {
+        throw new Error('该密钥已在密钥池中');
+    }
+
+    /** @type {PoolKey} */
+    const key = {
+        id: crypto.randomUUID(),
+        source,
+        label: label || `${source}-${pool.keys.filter(k => k.source === source).length + 1}`,
+        value,
+        enabled: true,
+        disabledUntil: null,
+        disabledReason: null,
+        requests: 0,
+        failures: 0,
+        lastStatus: null,
+        lastUsedAt: null,
+        createdAt: Date.now(),
+    };
+    pool.keys.push(key);
+    await saveKeyPool();
+    return key;
+}
+
+/**
+ * Changes a pool key. Enabling a key also ends any cooldown.
+ * @param {string} id Key id
+ * @param {any} input Raw changes: enabled, label, resetUsage
+ * @returns {Promise<{key: PoolKey, changes: Record<string, any>}|null>} Updated key and what changed, or null if not found
+ * @throws {Error} If the changes are invalid. The message is safe to show to the admin.
+ */
+export async function updatePoolKey(id, input) {
+    const { enabled, label, resetUsage } = input || {};
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        throw new Error('无效的启用状态');
+    }
+    if (label !== undefined && (typeof label !== 'string' || !label.trim() || label.trim().length > 50)) {
+        throw new Error('备注需为 1-50 个字符');
+    }
+
+    const pool = await loadKeyPool();
+    const key = pool.keys.find(k => k.id === id);
+    if (!key) {
+        return null;
+    }
+
+    /** @type {Record<string, any>} */
+    const changes = {};
+    if (enabled === true) {
+        changes.enabled = { from: getKeyStatus(key, Date.now()), to: 'active' };
+        key.enabled = true;
+        key.disabledUntil = null;
+        key.disabledReason = null;
+    } else if (enabled === false) {
+        changes.enabled = { from: getKeyStatus(key, Date.now()), to: 'disabled' };
+        key.enabled = false;
+        key.disabledReason = KEY_DISABLED_REASONS.MANUAL;
+    }
+    if (label !== undefined && label.trim() !== key.label) {
+        changes.label = { from: key.label, to: label.trim() };
+        key.label = label.trim();
+    }
+    if (resetUsage === true) {
+        changes.resetUsage = { requests: key.requests, failures: key.failures };
+        key.requests = 0;
+        key.failures = 0;
+    }
+
+    await saveKeyPool();
+    return { key, changes };
+}
+
+/**
+ * Removes a key from the pool.
+ * @param {string} id Key id
+ * @returns {Promise<PoolKey|null>} The removed key, or null if not found
+ */
+export async function removePoolKey(id) {
+    const pool = await loadKeyPool();
+    const index = pool.keys.findIndex(key => key.id === id);
+    if (index === -1) {
+        return null;
+    }
+
+    const [key] = pool.keys.splice(index, 1);
+    await saveKeyPool();
+    return key;
+}
@@ -0,0 +1,181 @@
+import path from 'node:path';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { promises as fsPromises } from 'node:fs';
+
+import sanitize from 'sanitize-filename';
+
+/**
+ * Directory under the data root that holds the points ledgers.
+ * Kept outside of user directories so the history survives data purges.
+ */
+const LEDGER_DIRECTORY = '_ledger';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Reasons a points balance can change.
+ */
+export const LEDGER_REASONS = {
+    INITIAL: 'initial',
+    CHECKIN: 'checkin',
+    REDEEM: 'redeem',
+    ACTIVATION_FEE: 'activation_fee',
+    DAILY_FEE: 'daily_fee',
+    GENERATION: 'generation',
+    PURGE: 'purge',
+    RESTORE: 'restore',
+    MERGE: 'merge',
+    IMPORT: 'import',
+    REFERRAL: 'referral',
+    ADMIN_ADD: 'admin_add',
+    ADMIN_SUBTRACT: 'admin_subtract',
+    ADMIN_SET: 'admin_set',
+    ADMIN_RESET: 'admin_reset',
+};
+
+/**
+ * Actor recorded for changes that are not triggered by a person.
+ */
+export const SYSTEM_ACTOR = 'system';
+
+/**
+ * @typedef {Object} Transaction
+ * @property {string} id Unique transaction id
+ * @property {string} handle User handle the transaction belongs to
+ * @property {number} delta Signed change in points
+ * @property {number} balance Balance after the change
+ * @property {string} reason One of LEDGER_REASONS
+ * @property {string} actor Who caused the change: the user handle, `admin:<username>` or `system`
+ * @property {string} [note] Free-form details, e.g. redeem code or model name
+ * @property {number} createdAt Epoch ms
+ */
+
+/**
+ * Pending appends per handle, so entries land in the file in call order.
+ * @type {Map<string, Promise<void>>}
+ */
+const appendQueues = new Map();
+
+function getLedgerPath(handle) {
+    return path.join(globalThis.DATA_ROOT, LEDGER_DIRECTORY, `${sanitize(handle)}.jsonl`);
+}
+
+/**
+ * Appends a transaction to the user's ledger. Zero-delta changes are not recorded.
+ * Failures are logged rather than thrown so a ledger problem never blocks the balance update itself.
+ * @param {Omit<Transaction, 'id' | 'createdAt'>} entry
+ * @returns {Promise<Transaction|null>} The recorded transaction
+ */
+export async function recordTransaction({ handle, delta, balance, reason, actor, note }) {
+    if (!handle || !Number.isFinite(delta) || delta === 0) {
+        return null;
+    }
+
+    /** @type {Transaction} */
+    const transaction = {
+        id: crypto.randomUUID(),
+        handle,
+        delta: Math.round(delta * 100) / 100,
+        balance,
+        reason,
+        actor: actor || SYSTEM_ACTOR,
+        createdAt: Date.now(),
+    };
+
+    if (note) {
+        transaction.note = String(note);
+    }
+
+    const filePath = getLedgerPath(handle);
+    const previous = appendQueues.get(handle) ?? Promise.resolve();
+    const current = previous.then(async () => {
+        await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+        await fsPromises.appendFile(filePath, JSON.stringify(transaction) + '\n', 'utf8');
+    }).catch(error => {
+        console.error('Failed to record transaction for', handle, error);
+    });
+
+    appendQueues.set(handle, current);
+    await current;
+    if (appendQueues.get(handle) === current) {
+        appendQueues.delete(handle);
+    }
+
+    return transaction;
+}
+
+/**
+ * Reads a page of the user's transactions, newest first.
+ * @param {string} handle User handle
+ * @param {object} [options]
+ * @param {number} [options.page] 1-based page number
+ * @param {number} [options.pageSize] Entries per page
+ * @returns {Promise<{transactions: Transaction[], total: number, page: number, pageSize: number}>}
+ */
+export async function getTransactions(handle, { page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    page = Math.max(1, Math.floor(Number(page)) || 1);
+    pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(Number(pageSize)) || DEFAULT_PAGE_SIZE));
+
+    await appendQueues.get(handle);
+
+    const filePath = getLedgerPath(handle);
+    if (!fs.existsSync(filePath)) {
+        return { transactions: [], total: 0, page, pageSize };
+    }
+
+    const lines = (await fsPromises.readFile(filePath, 'utf8')).split('\n').filter(line => line.trim());
+    const total = lines.length;
+    const end = Math.max(0, total - (page - 1) * pageSize);
+    const start = Math.max(0, end - pageSize);
+
+    const transactions = [];
+    for (const line of lines.slice(start, end).reverse()) {
+        try {
+            transactions.push(JSON.parse(line));
+        } catch {
+            console.warn('Skipping malformed ledger line for', handle);
+        }
+    }
+
+    return { transactions, total, page, pageSize };
+}
+
+/**
+ * Reads every transaction of the user with the given reason, oldest first.
+ * @param {string} handle User handle
+ * @param {string} reason One of LEDGER_REASONS
+ * @returns {Promise<Transaction[]>}
+ */
+export async function getTransactionsByReason(handle, reason) {
+    await appendQueues.get(handle);
+
+    const filePath = getLedgerPath(handle);
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    const transactions = [];
+    for (const line of (await fsPromises.readFile(filePath, 'utf8')).split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const transaction = JSON.parse(line);
+            if (transaction.reason === reason) transactions.push(transaction);
+        } catch {
+            console.warn('Skipping malformed ledger line for', handle);
+        }
+    }
+    return transactions;
+}
+
+/**
+ * Reads the pagination query parameters of a transactions request.
+ * @param {import('express').Request} request
+ * @returns {{page: number, pageSize: number}}
+ */
+export function getPaginationQuery(request) {
+    return {
+        page: Number(request.query.page) || 1,
+        pageSize: Number(request.query.pageSize) || DEFAULT_PAGE_SIZE,
+    };
+}
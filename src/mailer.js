@@ -0,0 +1,254 @@
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+import crypto from 'node:crypto';
+
+import { getConfigValue } from './util.js';
+
+const SMTP_TIMEOUT = 30 * 1000;
+
+/**
+ * @typedef {object} MailerSettings
+ * @property {string} host SMTP server, empty when email is disabled
+ * @property {number} port
+ * @property {boolean} secure Connect with TLS right away instead of upgrading with STARTTLS
+ * @property {boolean} requireTls Refuse to send over an unencrypted connection
+ * @property {boolean} rejectUnauthorized Verify the server certificate
+ * @property {string} username Empty for servers without authentication
+ * @property {string} password
+ * @property {string} from Sender, either "address" or "Name <address>"
+ */
+
+/**
+ * @typedef {object} SmtpReply
+ * @property {number} code
+ * @property {string[]} lines Reply text without the status code
+ */
+
+/**
+ * Reads the SMTP settings from the config. The password may also come from the SMTP_PASSWORD environment variable.
+ * @returns {MailerSettings}
+ */
+export function getMailerSettings() {
+    const secure = getConfigValue('smtp.secure', false, 'boolean');
+    return {
+        host: String(getConfigValue('smtp.host', '') || '').trim(),
+        port: Number(getConfigValue('smtp.port', secure ? 465 : 587, 'number')),
+        secure,
+        requireTls: getConfigValue('smtp.requireTls', true, 'boolean'),
+        rejectUnauthorized: getConfigValue('smtp.rejectUnauthorized', true, 'boolean'),
+        username: String(getConfigValue('smtp.username', '') || ''),
+        password: String(getConfigValue('smtp.password', '') || process.env.SMTP_PASSWORD || ''),
+        from: String(getConfigValue('smtp.from', '') || '').trim(),
+    };
+}
+
+/**
+ * Whether outgoing email is set up.
+ * @returns {boolean}
+ */
+export function isMailerConfigured() {
+    const settings = getMailerSettings();
+    return !!settings.host && !!parseAddress(settings.from).address;
+}
+
+/**
+ * Splits "Name <address>" into its parts.
+ * @param {string} value
+ * @returns {{name: string, address: string}}
+ */
+function parseAddress(value) {
+    const match = /^(.*)<([^<>]+)>\s*$/.exec(value);
+    if (match) {
+        return { name: match[1].trim().replace(/^"|"$/g, ''), address: match[2].trim() };
+    }
+    return { name: '', address: value.trim() };
+}
+
+/**
+ * Encodes a header value as an RFC 2047 word when it isn't plain ASCII.
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+    // eslint-disable-next-line no-control-regex
+    if (/^[\x20-\x7e]*$/.test(value)) {
+        return value;
+    }
+    return `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Builds a plain text message. The body is base64 encoded, so no line of it can end the DATA section.
+ * @param {{from: string, to: string, subject: string, text: string}} mail
+ * @returns {string}
+ */
+function buildMessage({ from, to, subject, text }) {
+    const sender = parseAddress(from);
+    const domain = sender.address.split('@')[1] || 'localhost';
+    const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${sender.name ? `${encodeHeader(sender.name)} <${sender.address}>` : sender.address}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body,
+    ].join('\r\n');
+}
+
+/**
+ * Wraps a socket into a reader of SMTP replies. Multi-line replies are collected into one.
+ * @param {net.Socket} socket
+ * @returns {{read: () => Promise<SmtpReply>, detach: () => void}}
+ */
+function createReplyReader(socket) {
+    let buffer = '';
+    let lines = [];
+    /** @type {SmtpReply[]} */
+    const replies = [];
+    /** @type {{resolve: (reply: SmtpReply) => void, reject: (error: Error) => void}[]} */
+    const waiting = [];
+    /** @type {Error|null} */
+    let failure = null;
+
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+            lines.push(line.slice(4));
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = { code: Number(line.slice(0, 3)), lines };
+                lines = [];
+                const next = waiting.shift();
+                next ? next.resolve(reply) : replies.push(reply);
+            }
+        }
+    };
+    const onFailure = (error) => {
+        failure = error instanceof Error ? error : new Error('SMTP connection closed');
+        waiting.splice(0).forEach(next => next.reject(failure));
+    };
+    const onClose = () => onFailure(null);
+
+    socket.on('data', onData);
+    socket.on('error', onFailure);
+    socket.on('close', onClose);
+
+    return {
+        read: () => {
+            if (replies.length) {
+                return Promise.resolve(replies.shift());
+            }
+            if (failure) {
+                return Promise.reject(failure);
+            }
+            return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        },
+        detach: () => {
+            socket.off('data', onData);
+            socket.off('error', onFailure);
+            socket.off('close', onClose);
+        },
+    };
+}
+
+/**
+ * Opens a connection and resolves once it's established.
+ * @param {MailerSettings} settings
+ * @param {net.Socket} [plainSocket] Connection to upgrade to TLS
+ * @returns {Promise<net.Socket>}
+ */
+function connect(settings, plainSocket) {
+    return new Promise((resolve, reject) => {
+        const socket = settings.secure || plainSocket
+            ? tls.connect({ host: settings.host, port: settings.port, socket: plainSocket, servername: net.isIP(settings.host) ? undefined : settings.host, rejectUnauthorized: settings.rejectUnauthorized })
+            : net.connect({ host: settings.host, port: settings.port });
+        socket.setTimeout(SMTP_TIMEOUT, () => socket.destroy(new Error('SMTP connection timed out')));
+        socket.once('error', reject);
+        socket.once(settings.secure || plainSocket ? 'secureConnect' : 'connect', () => {
+            socket.off('error', reject);
+            resolve(socket);
+        });
+    });
+}
+
+/**
+ * Sends a plain text email through the configured SMTP server.
+ * @param {{to: string, subject: string, text: string}} mail
+ * @returns {Promise<void>}
+ * @throws {Error} When email is not configured or the server rejects the message
+ */
+export async function sendMail({ to, subject, text }) {
+    const settings = getMailerSettings();
+    const sender = parseAddress(settings.from);
+    if (!settings.host || !sender.address) {
+        throw new Error('SMTP is not configured');
+    }
+    if ([to, subject, settings.from].some(value => /[\r\n]/.test(value))) {
+        throw new Error('Invalid mail header');
+    }
+
+    let socket = await connect(settings);
+    let reader = createReplyReader(socket);
+    let encrypted = settings.secure;
+
+    const command = async (line, expected) => {
+        if (line !== null) {
+            socket.write(`${line}\r\n`);
+        }
+        const reply = await reader.read();
+        if (!expected.includes(reply.code)) {
+            const shown = line?.startsWith('AUTH') ? 'AUTH' : line;
+            throw new Error(`SMTP ${shown ?? 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    };
+
+    try {
+        await command(null, [220]);
+        const clientName = os.hostname() || 'localhost';
+        let hello = await command(`EHLO ${clientName}`, [250]);
+        const supports = (keyword) => hello.lines.some(line => line.toUpperCase().startsWith(keyword));
+
+        if (!encrypted && supports('STARTTLS')) {
+            await command('STARTTLS', [220]);
+            reader.detach();
+            socket = await connect(settings, socket);
+            reader = createReplyReader(socket);
+            encrypted = true;
+            hello = await command(`EHLO ${clientName}`, [250]);
+        }
+        if (!encrypted && settings.requireTls) {
+            throw new Error('SMTP server does not support TLS');
+        }
+
+        if (settings.username) {
+            const methods = hello.lines.find(line => line.toUpperCase().startsWith('AUTH'))?.toUpperCase().split(/\s+/) ?? [];
+            if (methods.includes('LOGIN') && !methods.includes('PLAIN')) {
+                await command('AUTH LOGIN', [334]);
+                await command(Buffer.from(settings.username).toString('base64'), [334]);
+                await command(Buffer.from(settings.password).toString('base64'), [235]);
+            } else {
+                const credentials = Buffer.from(`\0${settings.username}\0${settings.password}`).toString('base64');
+                await command(`AUTH PLAIN ${credentials}`, [235]);
+            }
+        }
+
+        await command(`MAIL FROM:<${sender.address}>`, [250]);
+        await command(`RCPT TO:<${to}>`, [250, 251]);
+        await command('DATA', [354]);
+        const message = buildMessage({ from: settings.from, to, subject, text }).replace(/^\./gm, '..');
+        await command(`${message}\r\n.`, [250]);
+        await command('QUIT', [221]).catch(() => null);
+    } finally {
+        reader.detach();
+        socket.destroy();
+    }
+}
@@ -0,0 +1,506 @@
+import crypto from 'node:crypto';
+
+import _ from 'lodash';
+
+import { getConfigValue } from './util.js';
+
+/**
+ * @typedef {object} OAuthProvider
+ * @property {string} id Route id, used in /auth/:id and as the default handle prefix
+ * @property {string} name Display name on the login page
+ * @property {'oidc'|'oauth2'} type OIDC issuers are configured through discovery, plain OAuth2 providers need explicit endpoints
+ * @property {string} clientId
+ * @property {string} clientSecret
+ * @property {string} scope
+ * @property {string} [issuer] OIDC issuer URL
+ * @property {string} [authorizeUrl]
+ * @property {string} [tokenUrl]
+ * @property {string} [userInfoUrl]
+ * @property {boolean} pkce Whether to send an S256 code challenge
+ * @property {'client_secret_post'|'client_secret_basic'} tokenAuthMethod How the client authenticates at the token endpoint
+ * @property {string} handlePrefix Prefix of the handles created for this provider's users
+ * @property {{id: string[], name: string[], email: string[]}} mapping Candidate userinfo paths for each profile field
+ */
+
+/**
+ * @typedef {object} OAuthProfile
+ * @property {string} subject Stable user id at the provider
+ * @property {string} name Display name
+ * @property {string} email Email address, empty when the provider does not share it
+ */
+
+export const OAUTH_PROVIDER_TYPES = ['oidc', 'oauth2'];
+
+const TOKEN_AUTH_METHODS = ['client_secret_post', 'client_secret_basic'];
+// Ids that would collide with the other /auth routes
+const RESERVED_PROVIDER_IDS = ['providers', 'complete-oauth'];
+const DEFAULT_MAPPING = {
+    oidc: { id: ['sub'], name: ['name', 'preferred_username', 'nickname'], email: ['email'] },
+    oauth2: { id: ['id', 'sub'], name: ['name', 'username', 'login', 'preferred_username'], email: ['email'] },
+};
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+// Tolerated clock difference between this server and the issuer
+const CLOCK_SKEW_MS = 60 * 1000;
+
+/** @type {Map<string, {expiresAt: number, value: any}>} */
+const discoveryCache = new Map();
+/** @type {Map<string, {expiresAt: number, value: any[]}>} */
+const jwksCache = new Map();
+// The registry is read on every request, report each config problem once
+const reportedProblems = new Set();
+
+/**
+ * @param {string} message
+ */
+function reportProblem(message) {
+    if (!reportedProblems.has(message)) {
+        reportedProblems.add(message);
+        console.warn(message);
+    }
+}
+
+/**
+ * Built-in providers from the legacy oauth.discord / oauth.linuxdo blocks, so existing handles keep working.
+ * @returns {object[]} Raw provider definitions
+ */
+function getLegacyProviders() {
+    return [
+        {
+            id: 'linuxdo',
+            name: 'LinuxDo',
+            type: 'oauth2',
+            clientId: getConfigValue('oauth.linuxdo.clientId', process.env.LINUXDO_CLIENT_ID || ''),
+            clientSecret: getConfigValue('oauth.linuxdo.clientSecret', process.env.LINUXDO_CLIENT_SECRET || ''),
+            authorizeUrl: getConfigValue('oauth.linuxdo.authorizeUrl', process.env.LINUXDO_AUTHORIZE_URL || 'https://connect.linux.do/oauth2/authorize'),
+            tokenUrl: getConfigValue('oauth.linuxdo.tokenUrl', process.env.LINUXDO_TOKEN_URL || 'https://connect.linux.do/oauth2/token'),
+            userInfoUrl: getConfigValue('oauth.linuxdo.userInfoUrl', process.env.LINUXDO_USERINFO_URL || 'https://connect.linux.do/api/user'),
+            scope: getConfigValue('oauth.linuxdo.scope', process.env.LINUXDO_SCOPE || 'openid profile email'),
+            mapping: { id: ['id', 'sub'], name: ['username', 'name', 'preferred_username'] },
+        },
+        {
+            id: 'discord',
+            name: 'Discord',
+            type: 'oauth2',
+            clientId: getConfigValue('oauth.discord.clientId', process.env.DISCORD_CLIENT_ID || ''),
+            clientSecret: getConfigValue('oauth.discord.clientSecret', process.env.DISCORD_CLIENT_SECRET || ''),
+            authorizeUrl: 'https://discord.com/oauth2/authorize',
+            tokenUrl: 'https://discord.com/api/oauth2/token',
+            userInfoUrl: 'https://discord.com/api/users/@me',
+            scope: 'identify email',
+            mapping: { id: ['id'], name: ['global_name', 'username'] },
+        },
+    ];
+}
+
+/**
+ * Normalizes a mapping entry to a list of candidate paths.
+ * @param {any} value Path or list of paths
+ * @param {string[]} fallback Paths used when the entry is missing
+ * @returns {string[]}
+ */
+function toPathList(value, fallback) {
+    const list = (Array.isArray(value) ? value : [value]).filter(path => typeof path === 'string' && path.trim()).map(path => path.trim());
+    return list.length ? list : fallback;
+}
+
+/**
+ * Validates a raw provider definition from config.yaml.
+ * @param {any} raw Provider definition
+ * @returns {{provider?: OAuthProvider, error?: string}}
+ */
+export function parseProvider(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return { error: 'provider must be an object' };
+    }
+    const id = String(raw.id || '').trim().toLowerCase();
+    if (!/^[a-z0-9_-]{1,32}$/.test(id) || RESERVED_PROVIDER_IDS.includes(id)) {
+        return { error: `invalid provider id "${raw.id}"` };
+    }
+    const type = String(raw.type || 'oauth2').toLowerCase();
+    if (!OAUTH_PROVIDER_TYPES.includes(type)) {
+        return { error: `${id}: type must be one of ${OAUTH_PROVIDER_TYPES.join(', ')}` };
+    }
+    const tokenAuthMethod = String(raw.tokenAuthMethod || 'client_secret_post');
+    if (!TOKEN_AUTH_METHODS.includes(tokenAuthMethod)) {
+        return { error: `${id}: tokenAuthMethod must be one of ${TOKEN_AUTH_METHODS.join(', ')}` };
+    }
+
+    // Secrets may stay out of config.yaml, e.g. OAUTH_GITHUB_CLIENT_SECRET
+    const envPrefix = `OAUTH_${id.toUpperCase().replace(/-/g, '_')}_`;
+    const provider = {
+        id,
+        name: String(raw.name || id),
+        type,
+        clientId: String(raw.clientId || process.env[`${envPrefix}CLIENT_ID`] || ''),
+        clientSecret: String(raw.clientSecret || process.env[`${envPrefix}CLIENT_SECRET`] || ''),
+        scope: String(raw.scope || (type === 'oidc' ? 'openid profile email' : '')),
+        issuer: raw.issuer ? String(raw.issuer) : undefined,
+        authorizeUrl: raw.authorizeUrl ? String(raw.authorizeUrl) : undefined,
+        tokenUrl: raw.tokenUrl ? String(raw.tokenUrl) : undefined,
+        userInfoUrl: raw.userInfoUrl ? String(raw.userInfoUrl) : undefined,
+        pkce: raw.pkce === undefined ? type === 'oidc' : !!raw.pkce,
+        tokenAuthMethod: /** @type {OAuthProvider['tokenAuthMethod']} */ (tokenAuthMethod),
+        handlePrefix: String(raw.handlePrefix || id),
+        mapping: {
+            id: toPathList(raw.mapping?.id, DEFAULT_MAPPING[type].id),
+            name: toPathList(raw.mapping?.name, DEFAULT_MAPPING[type].name),
+            email: toPathList(raw.mapping?.email, DEFAULT_MAPPING[type].email),
+        },
+    };
+
+    if (!provider.clientId) {
+        return { error: `${id}: missing clientId` };
+    }
+    if (type === 'oidc' && !provider.issuer) {
+        return { error: `${id}: OIDC providers need an issuer` };
+    }
+    if (type === 'oauth2' && (!provider.authorizeUrl || !provider.tokenUrl || !provider.userInfoUrl)) {
+        return { error: `${id}: OAuth2 providers need authorizeUrl, tokenUrl and userInfoUrl` };
+    }
+
+    return { provider: /** @type {OAuthProvider} */ (provider) };
+}
+
+/**
+ * Returns the enabled providers: oauth.providers from config.yaml, then the legacy Discord/LinuxDo blocks.
+ * Invalid or unconfigured entries are skipped, the first definition of an id wins.
+ * @returns {OAuthProvider[]}
+ */
+export function getOAuthProviders() {
+    const configured = getConfigValue('oauth.providers', []);
+    const definitions = Array.isArray(configured) ? configured : [];
+    /** @type {Map<string, OAuthProvider>} */
+    const providers = new Map();
+
+    for (const raw of definitions) {
+        const { provider, error } = parseProvider(raw);
+        if (error) {
+            reportProblem(`Skipping OAuth provider: ${error}`);
+            continue;
+        }
+        if (providers.has(provider.id)) {
+            reportProblem(`Skipping duplicate OAuth provider: ${provider.id}`);
+            continue;
+        }
+        providers.set(provider.id, provider);
+    }
+
+    for (const raw of getLegacyProviders()) {
+        // Legacy blocks are optional, an empty clientId just means the provider is off
+        const { provider } = parseProvider(raw);
+        if (provider && !providers.has(provider.id)) {
+            providers.set(provider.id, provider);
+        }
+    }
+
+    return Array.from(providers.values());
+}
+
+/**
+ * Finds an enabled provider by id.
+ * @param {string} id Provider id
+ * @returns {OAuthProvider|undefined}
+ */
+export function findOAuthProvider(id) {
+    return getOAuthProviders().find(provider => provider.id === String(id || '').toLowerCase());
+}
+
+/**
+ * Fetches JSON and throws with the response text on a non-2xx status.
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<any>}
+ */
+async function fetchJson(url, init) {
+    const response = await fetch(url, init);
+    if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`${url} responded with ${response.status}: ${text.slice(0, 200)}`);
+    }
+    return await response.json();
+}
+
+/**
+ * Reads a cached value or loads and caches it.
+ * @param {Map<string, {expiresAt: number, value: any}>} cache
+ * @param {string} key
+ * @param {() => Promise<any>} load
+ * @param {boolean} [refresh] Skip the cached value
+ * @returns {Promise<any>}
+ */
+async function getCached(cache, key, load, refresh = false) {
+    const cached = cache.get(key);
+    if (!refresh && cached && cached.expiresAt > Date.now()) {
+        return cached.value;
+    }
+    const value = await load();
+    cache.set(key, { value, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+    return value;
+}
+
+/**
+ * Loads the OIDC discovery document of an issuer.
+ * @param {string} issuer
+ * @returns {Promise<any>}
+ */
+async function getDiscoveryDocument(issuer) {
+    const trimmed = issuer.replace(/\/+$/, '');
+    return await getCached(discoveryCache, trimmed, async () => {
+        const document = await fetchJson(`${trimmed}/.well-known/openid-configuration`);
+        if (String(document.issuer || '').replace(/\/+$/, '') !== trimmed) {
+            throw new Error(`Discovery document issuer ${document.issuer} does not match ${issuer}`);
+        }
+        if (!document.authorization_endpoint || !document.token_endpoint || !document.jwks_uri) {
+            throw new Error(`Discovery document of ${issuer} is missing endpoints`);
+        }
+        return document;
+    });
+}
+
+/**
+ * Resolves the endpoints of a provider, using discovery for OIDC issuers.
+ * Explicit URLs in the config override discovered ones.
+ * @param {OAuthProvider} provider
+ * @returns {Promise<{authorizeUrl: string, tokenUrl: string, userInfoUrl: string|undefined, issuer?: string, jwksUri?: string}>}
+ */
+async function getEndpoints(provider) {
+    if (provider.type !== 'oidc') {
+        return { authorizeUrl: provider.authorizeUrl, tokenUrl: provider.tokenUrl, userInfoUrl: provider.userInfoUrl };
+    }
+    const document = await getDiscoveryDocument(provider.issuer);
+    return {
+        authorizeUrl: provider.authorizeUrl || document.authorization_endpoint,
+        tokenUrl: provider.tokenUrl || document.token_endpoint,
+        userInfoUrl: provider.userInfoUrl || document.userinfo_endpoint,
+        issuer: document.issuer,
+        jwksUri: document.jwks_uri,
+    };
+}
+
+/**
+ * @param {Buffer|string} value
+ * @returns {string}
+ */
+function toBase64Url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Builds the authorization redirect and the values to keep in the session until the callback.
+ * @param {OAuthProvider} provider
+ * @param {string} redirectUri
+ * @returns {Promise<{url: string, state: string, nonce: string|null, codeVerifier: string|null}>}
+ */
+export async function createAuthorizationRequest(provider, redirectUri) {
+    const { authorizeUrl } = await getEndpoints(provider);
+    const state = crypto.randomBytes(16).toString('hex');
+    const nonce = provider.type === 'oidc' ? toBase64Url(crypto.randomBytes(16)) : null;
+    const codeVerifier = provider.pkce ? toBase64Url(crypto.randomBytes(32)) : null;
+
+    const params = new URLSearchParams({
+        client_id: provider.clientId,
+        response_type: 'code',
+        redirect_uri: redirectUri,
+        scope: provider.scope,
+        state,
+    });
+    if (nonce) {
+        params.set('nonce', nonce);
+    }
+    if (codeVerifier) {
+        params.set('code_challenge', toBase64Url(crypto.createHash('sha256').update(codeVerifier).digest()));
+        params.set('code_challenge_method', 'S256');
+    }
+
+    const url = new URL(authorizeUrl);
+    for (const [key, value] of params) {
+        url.searchParams.set(key, value);
+    }
+    return { url: url.toString(), state, nonce, codeVerifier };
+}
+
+/**
+ * Loads the signing keys of an issuer, refreshing them once when the key id is unknown (key rotation).
+ * @param {string} jwksUri
+ * @param {string|undefined} kid Key id from the token header
+ * @param {string} kty Key type the algorithm needs
+ * @returns {Promise<any>} Matching JWK
+ */
+async function findSigningKey(jwksUri, kid, kty) {
+    const load = async () => (await fetchJson(jwksUri)).keys || [];
+    const match = (keys) => keys.find(key => key.kty === kty && (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+    const key = match(await getCached(jwksCache, jwksUri, load)) || match(await getCached(jwksCache, jwksUri, load, true));
+    if (!key) {
+        throw new Error(`No signing key ${kid || ''} found at ${jwksUri}`);
+    }
+    return key;
+}
+
+/**
+ * Verifies the signature of a JWS in compact form.
+ * @param {string} alg Algorithm from the token header
+ * @param {string} signingInput header.payload
+ * @param {Buffer} signature
+ * @param {OAuthProvider} provider
+ * @param {string} jwksUri
+ * @param {string|undefined} kid
+ * @returns {Promise<boolean>}
+ */
+async function verifySignature(alg, signingInput, signature, provider, jwksUri, kid) {
+    const family = alg.slice(0, 2);
+    const digest = `sha${alg.slice(2)}`;
+    const data = Buffer.from(signingInput);
+
+    if (family === 'HS') {
+        const expected = crypto.createHmac(digest, provider.clientSecret).update(data).digest();
+        return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    if (alg === 'EdDSA') {
+        const key = crypto.createPublicKey({ key: await findSigningKey(jwksUri, kid, 'OKP'), format: 'jwk' });
+        return crypto.verify(null, data, key, signature);
+    }
+
+    const kty = family === 'ES' ? 'EC' : 'RSA';
+    const key = crypto.createPublicKey({ key: await findSigningKey(jwksUri, kid, kty), format: 'jwk' });
+    switch (family) {
+        case 'RS':
+            return crypto.verify(digest, data, key, signature);
+        case 'PS':
+            return crypto.verify(digest, data, { key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST }, signature);
+        case 'ES':
+            return crypto.verify(digest, data, { key, dsaEncoding: 'ieee-p1363' }, signature);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Validates an OIDC id_token: signature, issuer, audience, expiry and nonce.
+ * @param {string} idToken
+ * @param {OAuthProvider} provider
+ * @param {{issuer: string, jwksUri: string}} endpoints
+ * @param {string|null} nonce Nonce sent with the authorization request
+ * @returns {Promise<object>} Token claims
+ */
+export async function validateIdToken(idToken, provider, endpoints, nonce) {
+    const parts = String(idToken || '').split('.');
+    if (parts.length !== 3) {
+        throw new Error('id_token is not a JWS');
+    }
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    const alg = String(header.alg || '');
+
+    if (!/^(RS|PS|ES|HS)(256|384|512)$/.test(alg) && alg !== 'EdDSA') {
+        throw new Error(`Unsupported id_token algorithm ${alg || 'none'}`);
+    }
+    const signature = Buffer.from(parts[2], 'base64url');
+    if (!await verifySignature(alg, `${parts[0]}.${parts[1]}`, signature, provider, endpoints.jwksUri, header.kid)) {
+        throw new Error('id_token signature is invalid');
+    }
+
+    const now = Date.now();
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (claims.iss !== endpoints.issuer) {
+        throw new Error(`id_token issuer ${claims.iss} does not match ${endpoints.issuer}`);
+    }
+    if (!audiences.includes(provider.clientId) || (audiences.length > 1 && claims.azp !== provider.clientId)) {
+        throw new Error('id_token was not issued for this client');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp * 1000 < now - CLOCK_SKEW_MS) {
+        throw new Error('id_token has expired');
+    }
+    if (typeof claims.iat === 'number' && claims.iat * 1000 > now + CLOCK_SKEW_MS) {
+        throw new Error('id_token was issued in the future');
+    }
+    if (nonce && claims.nonce !== nonce) {
+        throw new Error('id_token nonce mismatch');
+    }
+    if (!claims.sub) {
+        throw new Error('id_token has no subject');
+    }
+
+    return claims;
+}
+
+/**
+ * Picks the first non-empty value among the candidate paths.
+ * @param {object} source Userinfo or token claims
+ * @param {string[]} paths Dotted paths, e.g. "data.user.id"
+ * @returns {string}
+ */
+function pickField(source, paths) {
+    for (const path of paths) {
+        const value = _.get(source, path);
+        if (value !== undefined && value !== null && String(value).trim()) {
+            return String(value).trim();
+        }
+    }
+    return '';
+}
+
+/**
+ * Exchanges the authorization code and resolves the user's profile.
+ * @param {OAuthProvider} provider
+ * @param {{code: string, redirectUri: string, codeVerifier?: string|null, nonce?: string|null}} params
+ * @returns {Promise<OAuthProfile>}
+ */
+export async function completeAuthorization(provider, { code, redirectUri, codeVerifier = null, nonce = null }) {
+    const endpoints = await getEndpoints(provider);
+
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+    });
+    /** @type {Record<string, string>} */
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' };
+    if (provider.tokenAuthMethod === 'client_secret_basic') {
+        const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+        body.set('client_id', provider.clientId);
+        if (provider.clientSecret) {
+            body.set('client_secret', provider.clientSecret);
+        }
+    }
+    if (codeVerifier) {
+        body.set('code_verifier', codeVerifier);
+    }
+
+    const token = await fetchJson(endpoints.tokenUrl, { method: 'POST', headers, body });
+    if (!token.access_token && !token.id_token) {
+        throw new Error(`Token response of ${provider.id} has no token`);
+    }
+
+    /** @type {Record<string, any>} */
+    let claims = {};
+    if (provider.type === 'oidc') {
+        if (!token.id_token) {
+            throw new Error(`Token response of ${provider.id} has no id_token`);
+        }
+        claims = await validateIdToken(token.id_token, provider, { issuer: endpoints.issuer, jwksUri: endpoints.jwksUri }, nonce);
+    }
+
+    let userInfo = {};
+    if (endpoints.userInfoUrl && token.access_token) {
+        userInfo = await fetchJson(endpoints.userInfoUrl, { headers: { Authorization: `Bearer ${token.access_token}`, Accept: 'application/json' } });
+        // A userinfo response for another subject must not be merged into the verified claims
+        if (provider.type === 'oidc' && userInfo.sub !== claims.sub) {
+            throw new Error('userinfo subject does not match the id_token');
+        }
+    }
+
+    const profile = { ...claims, ...userInfo };
+    const subject = pickField(profile, provider.mapping.id);
+    if (!subject) {
+        throw new Error(`No user id found in the ${provider.id} profile`);
+    }
+
+    return {
+        subject,
+        name: pickField(profile, provider.mapping.name),
+        email: pickField(profile, provider.mapping.email),
+    };
+}
@@ -9,6 +9,12 @@ import { getConfigValue } from './util.js';
 import { getUserDirectories, toKey } from './users.js';
 import { checkForNewContent } from './endpoints/content-manager.js';
 import { isRegistrationEnabled } from './endpoints/admin.js';
+import { withLock } from './storage-lock.js';
+import { getOAuthProviders, findOAuthProvider, createAuthorizationRequest, completeAuthorization } from './oauth-providers.js';
+import { findIdentityHandle, linkIdentity } from './identities.js';
+import { setPendingLogin } from './totp.js';
+import { startSession, SESSION_METHODS } from './sessions.js';
+import { recordReferral } from './referrals.js';
 
 /**
  * OAuth router providing login initiation and callback handling.
@@ -20,32 +26,6 @@ function getRedirectUri() {
     return String(uri || 'http://localhost:8000/oauth');
 }
 
-function getDiscordConfig() {
-    return {
-        clientId: String(getConfigValue('oauth.discord.clientId', process.env.DISCORD_CLIENT_ID || '')),
-        clientSecret: String(getConfigValue('oauth.discord.clientSecret', process.env.DISCORD_CLIENT_SECRET || '')),
-        authorizeUrl: 'https://discord.com/oauth2/authorize',
-        tokenUrl: 'https://discord.com/api/oauth2/token',
-        userInfoUrl: 'https://discord.com/api/users/@me',
-        scope: 'identify email',
-    };
-}
-
-function getLinuxdoConfig() {
-    return {
-        clientId: String(getConfigValue('oauth.linuxdo.clientId', process.env.LINUXDO_CLIENT_ID || '')),
-        clientSecret: String(getConfigValue('oauth.linuxdo.clientSecret', process.env.LINUXDO_CLIENT_SECRET || '')),
-        authorizeUrl: String(getConfigValue('oauth.linuxdo.authorizeUrl', process.env.LINUXDO_AUTHORIZE_URL || 'https://connect.linux.do/oauth2/authorize')),
-        tokenUrl: String(getConfigValue('oauth.linuxdo.tokenUrl', process.env.LINUXDO_TOKEN_URL || 'https://connect.linux.do/oauth2/token')),
-        userInfoUrl: String(getConfigValue('oauth.linuxdo.userInfoUrl', process.env.LINUXDO_USERINFO_URL || 'https://connect.linux.do/api/user')),
-        scope: String(getConfigValue('oauth.linuxdo.scope', process.env.LINUXDO_SCOPE || 'openid profile email')),
-    };
-}
-
-function createState() {
-    return crypto.randomBytes(16).toString('hex');
-}
-
 function sanitizeHandle(raw) {
     return String(raw || '')
         .toLowerCase()
@@ -55,6 +35,10 @@ function sanitizeHandle(raw) {
         .slice(0, 64) || `user-${crypto.randomBytes(3).toString('hex')}`;
 }
 
+function toInviteKey(code) {
+    return `invite:${code.toUpperCase()}`;
+}
+
 /**
  * 验证邀请码是否有效
  * @param {string} code - 邀请码
@@ -65,14 +49,14 @@ async function validateInviteCode(code) {
         return false;
     }
 
-    const inviteKey = `invite:${code.toUpperCase()}`;
-    const invite = await storage.getItem(inviteKey);
+    const invite = await storage.getItem(toInviteKey(code));
 
     if (!invite) {
         return false;
     }
 
-    if (invite.used) {
+    // 管理员导入账号的邀请码只能通过用户名注册认领
+    if (invite.used || invite.reservedFor) {
         return false;
     }
 
@@ -88,9 +72,10 @@ async function validateInviteCode(code) {
  * 标记邀请码为已使用
  * @param {string} code - 邀请码
  * @param {string} usedBy - 使用者用户名
+ * @returns {Promise<object|null>} - 邀请码记录
  */
 async function markInviteCodeAsUsed(code, usedBy) {
-    const inviteKey = `invite:${code.toUpperCase()}`;
+    const inviteKey = toInviteKey(code);
     const invite = await storage.getItem(inviteKey);
 
     if (invite) {
@@ -99,39 +84,49 @@ async function markInviteCodeAsUsed(code, usedBy) {
         invite.usedAt = Date.now();
         await storage.setItem(inviteKey, invite);
     }
+    return invite || null;
 }
 
-async function ensureUser(handle, name, inviteCode = null) {
+async function ensureUser(handle, name, inviteCode = null, request = null) {
     const key = toKey(handle);
-    const existing = await storage.getItem(key);
+    const hasInviteCode = typeof inviteCode === 'string' && inviteCode.length > 0;
+    // 用户与邀请码一起加锁，保证邀请码只能被使用一次
+    const lockKeys = hasInviteCode ? [key, toInviteKey(inviteCode)] : [key];
 
-    if (!existing) {
-        // 检查是否允许注册
-        const registrationAllowed = await isRegistrationEnabled();
+    await withLock(lockKeys, async () => {
+        const existing = await storage.getItem(key);
 
-        // 如果提供了有效的邀请码，则允许注册（即使注册开关关闭）
-        const hasValidInviteCode = inviteCode ? await validateInviteCode(inviteCode) : false;
+        if (!existing) {
+            // 检查是否允许注册
+            const registrationAllowed = await isRegistrationEnabled();
 
-        if (!registrationAllowed && !hasValidInviteCode) {
-            throw new Error('REGISTRATION_DISABLED');
-        }
+            // 如果提供了有效的邀请码，则允许注册（即使注册开关关闭）
+            const hasValidInviteCode = hasInviteCode ? await validateInviteCode(inviteCode) : false;
+
+            if (!registrationAllowed && !hasValidInviteCode) {
+                throw new Error('REGISTRATION_DISABLED');
+            }
+
+            const user = {
+                handle,
+                name: name || handle,
+                created: Date.now(),
+                password: '',
+                admin: false,
+                enabled: true,
+                salt: '',
+            };
+            await storage.setItem(key, user);
 
-        const user = {
-            handle,
-            name: name || handle,
-            created: Date.now(),
-            password: '',
-            admin: false,
-            enabled: true,
-            salt: '',
-        };
-        await storage.setItem(key, user);
-
-        // 如果使用了邀请码，标记为已使用
-        if (hasValidInviteCode) {
-            await markInviteCodeAsUsed(inviteCode, handle);
+            // 如果使用了邀请码，标记为已使用
+            if (hasValidInviteCode) {
+                const invite = await markInviteCodeAsUsed(inviteCode, handle);
+                if (request) {
+                    await recordReferral(invite, handle, request);
+                }
+            }
         }
-    }
+    });
 
     // Ensure directories exist
     const dirs = getUserDirectories(handle);
@@ -181,74 +176,43 @@ async function disableSecurityOverrideInConfig() {
     }
 }
 
-// Initiate Discord OAuth
-router.get('/auth/discord', async (req, res) => {
-    try {
-        const cfg = getDiscordConfig();
-        const redirectUri = getRedirectUri();
-
-        if (!cfg.clientId) {
-            return res.status(500).send('Discord OAuth is not configured (missing clientId).');
-        }
-
-        const state = createState();
-        // 从 query 参数获取邀请码（如果有）
-        const inviteCode = req.query.invite || '';
-
-        if (req.session) {
-            req.session.oauthState = state;
-            req.session.oauthProvider = 'discord';
-            req.session.oauthInviteCode = inviteCode || null; // 保存邀请码到 session
-            req.session.touch = Date.now();
-        }
-
-        const params = new URLSearchParams({
-            client_id: cfg.clientId,
-            response_type: 'code',
-            redirect_uri: redirectUri,
-            scope: cfg.scope,
-            state,
-        });
-        const url = `${cfg.authorizeUrl}?${params.toString()}`;
-        return res.redirect(url);
-    } catch (err) {
-        console.error('Discord auth init failed', err);
-        return res.sendStatus(500);
-    }
+// Providers shown on the login page
+router.get('/auth/providers', (_req, res) => {
+    const providers = getOAuthProviders().map(provider => ({ id: provider.id, name: provider.name }));
+    return res.json({ providers });
 });
 
-// Initiate LinuxDo OAuth
-router.get('/auth/linuxdo', async (req, res) => {
+// Initiate OAuth with a configured provider, e.g. /auth/discord or /auth/keycloak
+// With ?link=1 the login is linked to the signed-in user instead of signing in
+router.get('/auth/:provider', async (req, res) => {
     try {
-        const cfg = getLinuxdoConfig();
-        const redirectUri = getRedirectUri();
+        const provider = findOAuthProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).send('Unknown OAuth provider');
+        }
 
-        if (!cfg.clientId || !cfg.authorizeUrl) {
-            return res.status(500).send('LinuxDo OAuth is not configured (missing clientId/authorizeUrl).');
+        const linkHandle = req.query.link ? req.session?.handle : null;
+        if (req.query.link && !(linkHandle && await storage.getItem(toKey(linkHandle)))) {
+            return res.redirect('/oauth.html');
         }
 
-        const state = createState();
+        const { url, state, nonce, codeVerifier } = await createAuthorizationRequest(provider, getRedirectUri());
         // 从 query 参数获取邀请码（如果有）
         const inviteCode = req.query.invite || '';
 
         if (req.session) {
             req.session.oauthState = state;
-            req.session.oauthProvider = 'linuxdo';
+            req.session.oauthProvider = provider.id;
+            req.session.oauthNonce = nonce;
+            req.session.oauthCodeVerifier = codeVerifier;
+            req.session.oauthLinkHandle = linkHandle || null;
             req.session.oauthInviteCode = inviteCode || null; // 保存邀请码到 session
             req.session.touch = Date.now();
         }
 
-        const params = new URLSearchParams({
-            client_id: cfg.clientId,
-            response_type: 'code',
-            redirect_uri: redirectUri,
-            scope: cfg.scope,
-            state,
-        });
-        const url = `${cfg.authorizeUrl}?${params.toString()}`;
         return res.redirect(url);
     } catch (err) {
-        console.error('LinuxDo auth init failed', err);
+        console.error(`OAuth init failed for ${req.params.provider}`, err);
         return res.sendStatus(500);
     }
 });
@@ -258,10 +222,10 @@ router.get('/oauth', async (req, res) => {
     try {
         const code = String(req.query.code || '');
         const state = String(req.query.state || '');
-        const provider = req.session?.oauthProvider || '';
+        const providerId = req.session?.oauthProvider || '';
         const sessionState = req.session?.oauthState || '';
 
-        if (!code || !provider) {
+        if (!code || !providerId) {
             return res.status(400).send('Invalid OAuth response');
         }
 
@@ -269,149 +233,83 @@ router.get('/oauth', async (req, res) => {
             return res.status(400).send('OAuth state mismatch');
         }
 
-        const redirectUri = getRedirectUri();
+        const provider = findOAuthProvider(providerId);
+        if (!provider) {
+            return res.status(400).send('Unknown OAuth provider');
+        }
+
         // 从 session 获取邀请码
         const inviteCode = req.session?.oauthInviteCode || null;
+        const nonce = req.session?.oauthNonce || null;
+        const codeVerifier = req.session?.oauthCodeVerifier || null;
+        const linkHandle = req.session?.oauthLinkHandle || null;
+
+        // The state is single-use, clear it before talking to the provider
+        req.session.oauthState = null;
+        req.session.oauthProvider = null;
+        req.session.oauthNonce = null;
+        req.session.oauthCodeVerifier = null;
+        req.session.oauthLinkHandle = null;
+        req.session.oauthInviteCode = null;
+
+        let profile;
+        try {
+            profile = await completeAuthorization(provider, { code, redirectUri: getRedirectUri(), codeVerifier, nonce });
+        } catch (err) {
+            console.error(`${provider.name} OAuth exchange failed:`, err?.message || err);
+            return res.status(500).send('OAuth login failed');
+        }
 
-        if (provider === 'discord') {
-            const cfg = getDiscordConfig();
-            // Exchange code for token
-            const body = new URLSearchParams({
-                client_id: cfg.clientId,
-                client_secret: cfg.clientSecret,
-                grant_type: 'authorization_code',
-                code,
-                redirect_uri: redirectUri,
-            });
-
-            const tokenResp = await fetch(cfg.tokenUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-                body,
-            });
-            if (!tokenResp.ok) {
-                const text = await tokenResp.text();
-                console.error('Discord token exchange failed', tokenResp.status, text);
-                return res.status(500).send('Token exchange failed');
-            }
-            const token = await tokenResp.json();
-
-            const meResp = await fetch(cfg.userInfoUrl, {
-                headers: { Authorization: `Bearer ${token.access_token}` },
-            });
-            if (!meResp.ok) {
-                const text = await meResp.text();
-                console.error('Discord userinfo failed', meResp.status, text);
-                return res.status(500).send('User info fetch failed');
-            }
-            const me = await meResp.json();
-            const discordId = String(me.id || '').trim();
-            const baseHandle = sanitizeHandle(`discord-${discordId || crypto.randomBytes(2).toString('hex')}`);
-            const displayName = me.global_name || me.username || 'Discord 用户';
+        const identity = { provider: provider.id, subject: profile.subject, name: profile.name, email: profile.email };
+        const linkedHandle = await findIdentityHandle(provider.id, profile.subject);
 
+        if (linkHandle) {
+            if (linkedHandle && linkedHandle !== linkHandle) {
+                return res.redirect('/?linkError=taken');
+            }
             try {
-                await ensureUser(baseHandle, displayName, inviteCode);
-
-                if (req.session) {
-                    req.session.handle = baseHandle;
-                    req.session.touch = Date.now();
-                    // clear one-time oauth fields
-                    req.session.oauthState = null;
-                    req.session.oauthProvider = null;
-                    req.session.oauthInviteCode = null;
-                }
-                await retireDefaultAdmin();
-                await disableSecurityOverrideInConfig();
-                return res.redirect('/');
+                await linkIdentity(linkHandle, identity);
+                return res.redirect(`/?linked=${encodeURIComponent(provider.id)}`);
             } catch (err) {
-                if (err.message === 'REGISTRATION_DISABLED') {
-                    // 保存OAuth用户信息到session，等待邀请码
-                    if (req.session) {
-                        req.session.pendingOAuth = {
-                            provider: 'discord',
-                            handle: baseHandle,
-                            name: displayName,
-                            timestamp: Date.now(),
-                        };
-                    }
-                    // 重定向到oauth页面，带上需要邀请码的标记
-                    return res.redirect('/oauth.html?needInvite=true');
-                }
-                throw err;
+                console.warn(`Linking ${provider.id} to ${linkHandle} failed:`, err?.message || err);
+                return res.redirect('/?linkError=failed');
             }
         }
 
-        if (provider === 'linuxdo') {
-            const cfg = getLinuxdoConfig();
-            if (!cfg.tokenUrl || !cfg.userInfoUrl) {
-                return res.status(500).send('LinuxDo OAuth endpoints not configured');
+        // Linked logins resolve to their user, otherwise the handle is derived from the provider's user id
+        const baseHandle = linkedHandle || sanitizeHandle(`${provider.handlePrefix}-${profile.subject}`);
+        const displayName = profile.name || `${provider.name} 用户`;
+
+        try {
+            await ensureUser(baseHandle, displayName, inviteCode, req);
+            await linkIdentity(baseHandle, identity);
+            await retireDefaultAdmin();
+            await disableSecurityOverrideInConfig();
+
+            // Accounts with two-factor finish signing in on the login page
+            const user = await storage.getItem(toKey(baseHandle));
+            if (user?.twoFactor) {
+                setPendingLogin(req.session, { type: 'user', id: baseHandle, method: SESSION_METHODS.OAUTH });
+                return res.redirect('/login.html?twoFactor=1');
             }
 
-            const body = new URLSearchParams({
-                client_id: cfg.clientId,
-                client_secret: cfg.clientSecret,
-                grant_type: 'authorization_code',
-                code,
-                redirect_uri: redirectUri,
-            });
-
-            const tokenResp = await fetch(cfg.tokenUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-                body,
-            });
-            if (!tokenResp.ok) {
-                const text = await tokenResp.text();
-                console.error('LinuxDo token exchange failed', tokenResp.status, text);
-                return res.status(500).send('Token exchange failed');
-            }
-            const token = await tokenResp.json();
-
-            const meResp = await fetch(cfg.userInfoUrl, {
-                headers: { Authorization: `Bearer ${token.access_token}` },
-            });
-            if (!meResp.ok) {
-                const text = await meResp.text();
-                console.error('LinuxDo userinfo failed', meResp.status, text);
-                return res.status(500).send('User info fetch failed');
-            }
-            const me = await meResp.json();
-            const displayName = me.username || me.name || me.preferred_username || 'LinuxDo 用户';
-            const possibleId = String(me.id || me.sub || '').trim();
-            const baseHandle = sanitizeHandle(`linuxdo-${possibleId || crypto.randomBytes(2).toString('hex')}`);
-
-            try {
-                await ensureUser(baseHandle, displayName, inviteCode);
-
-                if (req.session) {
-                    req.session.handle = baseHandle;
-                    req.session.touch = Date.now();
-                    req.session.oauthState = null;
-                    req.session.oauthProvider = null;
-                    req.session.oauthInviteCode = null;
-                }
-                await retireDefaultAdmin();
-                await disableSecurityOverrideInConfig();
-                return res.redirect('/');
-            } catch (err) {
-                if (err.message === 'REGISTRATION_DISABLED') {
-                    // 保存OAuth用户信息到session，等待邀请码
-                    if (req.session) {
-                        req.session.pendingOAuth = {
-                            provider: 'linuxdo',
-                            handle: baseHandle,
-                            name: displayName,
-                            timestamp: Date.now(),
-                        };
-                    }
-                    // 重定向到oauth页面，带上需要邀请码的标记
-                    return res.redirect('/oauth.html?needInvite=true');
-                }
-                throw err;
+            await startSession(req, baseHandle, SESSION_METHODS.OAUTH);
+            return res.redirect('/');
+        } catch (err) {
+            if (err.message === 'REGISTRATION_DISABLED') {
+                // 保存OAuth用户信息到session，等待邀请码
+                req.session.pendingOAuth = {
+                    provider: provider.id,
+                    handle: baseHandle,
+                    name: displayName,
+                    identity,
+                    timestamp: Date.now(),
+                };
+                // 重定向到oauth页面，带上需要邀请码的标记
+                return res.redirect('/oauth.html?needInvite=true');
             }
+            throw err;
         }
-
-        return res.status(400).send('Unknown OAuth provider');
     } catch (err) {
         console.error('OAuth callback failed', err);
         return res.sendStatus(500);
@@ -446,12 +344,14 @@ router.post('/auth/complete-oauth', async (req, res) => {
         }
 
         // 完成用户注册
-        await ensureUser(pendingOAuth.handle, pendingOAuth.name, inviteCode);
+        await ensureUser(pendingOAuth.handle, pendingOAuth.name, inviteCode, req);
+        if (pendingOAuth.identity) {
+            await linkIdentity(pendingOAuth.handle, pendingOAuth.identity);
+        }
 
         // 设置session
         if (req.session) {
-            req.session.handle = pendingOAuth.handle;
-            req.session.touch = Date.now();
+            await startSession(req, pendingOAuth.handle, SESSION_METHODS.OAUTH);
             delete req.session.pendingOAuth;
         }
 
@@ -0,0 +1,229 @@
+import crypto from 'node:crypto';
+
+import storage from 'node-persist';
+
+import { toKey, getPasswordHash, getPasswordSalt } from './users.js';
+import { withLock } from './storage-lock.js';
+import { getConfigValue } from './util.js';
+import { isMailerConfigured, sendMail } from './mailer.js';
+import { revokeSessions } from './sessions.js';
+
+const RESET_CODE_PREFIX = 'password-reset:';
+// No 0/O or 1/I so codes can be typed from a screenshot
+const RESET_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const RESET_CODE_LENGTH = 16;
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+/**
+ * How a reset code reached the user.
+ */
+export const RESET_METHODS = {
+    ADMIN: 'admin',
+    EMAIL: 'email',
+};
+
+/**
+ * A reset code waiting to be used. Only a hash of the code is stored, as the key.
+ * @typedef {Object} ResetCodeRecord
+ * @property {string} handle User the code resets
+ * @property {string} method One of RESET_METHODS
+ * @property {string} issuedBy Admin actor, or the handle itself for emailed codes
+ * @property {string} passwordStamp Fingerprint of the password at issue time, the code dies with that password
+ * @property {number} createdAt Epoch ms
+ * @property {number} expiresAt Epoch ms
+ */
+
+/**
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeResetCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * @param {string} code
+ * @returns {string}
+ */
+function toResetCodeKey(code) {
+    return `${RESET_CODE_PREFIX}${crypto.createHash('sha256').update(normalizeResetCode(code)).digest('hex')}`;
+}
+
+/**
+ * Fingerprint of the user's current password. Any password change, however it's made, gives a new stamp.
+ * @param {{password?: string, salt?: string}} user
+ * @returns {string}
+ */
+function getPasswordStamp(user) {
+    return crypto.createHash('sha256').update(`${user.password || ''}:${user.salt || ''}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * @returns {string} Code like ABCD-EFGH-JKLM-NPQR
+ */
+function generateResetCode() {
+    const chars = Array.from(crypto.randomBytes(RESET_CODE_LENGTH), byte => RESET_CODE_ALPHABET[byte % RESET_CODE_ALPHABET.length]);
+    return chars.join('').match(/.{4}/g).join('-');
+}
+
+/**
+ * Whether users can request reset codes by email.
+ * @returns {boolean}
+ */
+export function isEmailRecoveryEnabled() {
+    return getConfigValue('passwordRecovery.email', true, 'boolean') && isMailerConfigured();
+}
+
+/**
+ * @param {string} email
+ * @returns {boolean}
+ */
+export function isValidEmail(email) {
+    return typeof email === 'string' && email.length <= 254 && EMAIL_PATTERN.test(email);
+}
+
+/**
+ * @param {string} method One of RESET_METHODS
+ * @returns {number} Lifetime of a new code in ms
+ */
+function getResetCodeTtl(method) {
+    if (method === RESET_METHODS.EMAIL) {
+        return getConfigValue('passwordRecovery.emailCodeTtlMinutes', 30, 'number') * 60 * 1000;
+    }
+    return getConfigValue('passwordRecovery.adminCodeTtlHours', 24, 'number') * 60 * 60 * 1000;
+}
+
+/**
+ * Removes the reset codes of a user. Must be called while holding the user's lock.
+ * @param {string} handle
+ * @returns {Promise<number>} Number of removed codes
+ */
+async function removeResetCodes(handle) {
+    const keys = await storage.keys(x => x.key.startsWith(RESET_CODE_PREFIX) && x.value?.handle === handle);
+    for (const key of keys) {
+        await storage.removeItem(key);
+    }
+    return keys.length;
+}
+
+/**
+ * Removes expired reset codes of all users.
+ * @returns {Promise<number>} Number of removed codes
+ */
+async function purgeExpiredResetCodes() {
+    const now = Date.now();
+    const keys = await storage.keys(x => x.key.startsWith(RESET_CODE_PREFIX) && !(x.value?.expiresAt > now));
+    for (const key of keys) {
+        await storage.removeItem(key);
+    }
+    return keys.length;
+}
+
+/**
+ * Issues a one-time reset code for a user. Earlier codes of the user stop working,
+ * expired codes of other users are cleaned up on the way.
+ * @param {string} handle
+ * @param {{method: string, issuedBy: string}} options
+ * @returns {Promise<{code: string, expiresAt: number}>} The code is not stored and can't be shown again
+ * @throws {Error} When the user is missing
+ */
+export async function issueResetCode(handle, { method, issuedBy }) {
+    return withLock(toKey(handle), async () => {
+        const user = await storage.getItem(toKey(handle));
+        if (!user) {
+            throw new Error('用户不存在');
+        }
+
+        await removeResetCodes(handle);
+        await purgeExpiredResetCodes();
+        const code = generateResetCode();
+        const now = Date.now();
+        /** @type {ResetCodeRecord} */
+        const record = {
+            handle,
+            method,
+            issuedBy,
+            passwordStamp: getPasswordStamp(user),
+            createdAt: now,
+            expiresAt: now + getResetCodeTtl(method),
+        };
+        await storage.setItem(toResetCodeKey(code), record);
+        return { code, expiresAt: record.expiresAt };
+    });
+}
+
+/**
+ * Emails a reset code to the user's recovery email. Does nothing for unknown or disabled users
+ * and users without an email, so callers can't tell them apart.
+ * @param {string} handle
+ * @returns {Promise<boolean>} Whether an email was sent
+ */
+export async function sendResetEmail(handle) {
+    const user = await storage.getItem(toKey(handle));
+    if (!user || user.enabled === false || !isValidEmail(user.email) || !isEmailRecoveryEnabled()) {
+        return false;
+    }
+
+    const { code, expiresAt } = await issueResetCode(handle, { method: RESET_METHODS.EMAIL, issuedBy: handle });
+    const minutes = Math.round((expiresAt - Date.now()) / 60000);
+    await sendMail({
+        to: user.email,
+        subject: '云酒馆 密码重置码',
+        text: [
+            `你好，${user.name || handle}：`,
+            '',
+            `账号 ${handle} 申请了重置密码，重置码为：`,
+            '',
+            `    ${code}`,
+            '',
+            `重置码 ${minutes} 分钟内有效，只能使用一次。如果不是你本人操作，请忽略这封邮件，你的密码不会改变。`,
+        ].join('\n'),
+    });
+    return true;
+}
+
+/**
+ * Sets a new password with a reset code. The code must belong to the user, be unexpired and
+ * predate the current password. All codes of the user are used up afterwards.
+ * @param {string} handle
+ * @param {string} code
+ * @param {string} newPassword
+ * @returns {Promise<void>}
+ * @throws {Error} When the code or the new password is not acceptable
+ */
+export async function resetPasswordWithCode(handle, code, newPassword) {
+    if (typeof newPassword !== 'string' || newPassword.length < 6) {
+        throw new Error('新密码至少需要 6 位字符');
+    }
+    if (newPassword.length > 128) {
+        throw new Error('新密码最多 128 位字符');
+    }
+    if (normalizeResetCode(code).length !== RESET_CODE_LENGTH) {
+        throw new Error('重置码无效或已过期');
+    }
+
+    const resetKey = toResetCodeKey(code);
+    return withLock([toKey(handle), resetKey], async () => {
+        /** @type {ResetCodeRecord|undefined} */
+        const record = await storage.getItem(resetKey);
+        const user = await storage.getItem(toKey(handle));
+        if (!record || record.handle !== handle || !user) {
+            throw new Error('重置码无效或已过期');
+        }
+        if (record.expiresAt <= Date.now() || record.passwordStamp !== getPasswordStamp(user)) {
+            await storage.removeItem(resetKey);
+            throw new Error('重置码无效或已过期');
+        }
+        if (user.enabled === false) {
+            throw new Error('用户不存在或已被禁用');
+        }
+
+        user.salt = getPasswordSalt();
+        user.password = getPasswordHash(newPassword, user.salt);
+        user.passwordChangedAt = Date.now();
+        await storage.setItem(toKey(handle), user);
+        await removeResetCodes(handle);
+        await revokeSessions(handle);
+        console.info(`Password of user ${handle} was reset with a reset code (${record.method})`);
+    });
+}
@@ -0,0 +1,396 @@
+import storage from 'node-persist';
+
+import { getOrInitState } from './endpoints/account.js';
+import { getGenerationTarget } from './billing.js';
+
+const PLANS_KEY = 'system:plans';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const PLAN_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+/**
+ * Extension features a plan can switch off.
+ */
+export const PLAN_FEATURES = {
+    IMAGE_GENERATION: 'imageGeneration',
+    TTS: 'tts',
+    VECTORS: 'vectors',
+};
+
+/**
+ * Generation endpoints that belong to each feature.
+ * Listing and cleanup endpoints stay open so a downgraded user can still manage existing data.
+ * @type {Record<string, RegExp[]>}
+ */
+const FEATURE_ROUTES = {
+    [PLAN_FEATURES.IMAGE_GENERATION]: [
+        /^\/api\/sd\/(?:[\w-]+\/)?generate(?:-image)?$/,
+        /^\/api\/(?:openai|novelai|google|horde)\/generate-image$/,
+    ],
+    [PLAN_FEATURES.TTS]: [
+        /^\/api\/speech\/(?:synthesize|pollinations\/generate)$/,
+        /^\/api\/azure\/generate$/,
+        /^\/api\/(?:minimax|openai|openai\/electronhub|google|novelai)\/generate-voice$/,
+        /^\/api\/google\/generate-native-tts$/,
+    ],
+    [PLAN_FEATURES.VECTORS]: [
+        /^\/api\/vector\/(?:query|query-multi|insert)$/,
+    ],
+};
+
+const FEATURE_NAMES = {
+    [PLAN_FEATURES.IMAGE_GENERATION]: '图片生成',
+    [PLAN_FEATURES.TTS]: '语音合成',
+    [PLAN_FEATURES.VECTORS]: '向量存储',
+};
+
+/**
+ * @typedef {Object} Plan
+ * @property {string} id Stable identifier stored on accounts and redeem codes
+ * @property {string} name Display name
+ * @property {number|null} dailyFee Points charged per day while access is on. Null uses the pricing config's daily fee.
+ * @property {number} checkinReward Points granted by the daily check-in
+ * @property {number|null} requestsPerMinute Generation requests allowed per minute. 0 means unlimited, null uses the server default.
+ * @property {number|null} maxConcurrentGenerations Generations allowed in flight at once. 0 means unlimited, null uses the server default.
+ * @property {number|null} storageQuotaMb Disk space for the user's data directory in MB. 0 means unlimited, null uses the server default.
+ * @property {number|null} referralCodes Personal invite codes a user may hold. 0 disables them, null uses the server default.
+ * @property {string[]} allowedSources Chat completion sources, text completion API types, or kobold, novel and koboldhorde. Empty allows all.
+ * @property {string[]} allowedModels Model ids. A trailing '*' matches by prefix. Empty allows all.
+ * @property {Record<string, boolean>} features Which of PLAN_FEATURES are usable
+ */
+
+/**
+ * @typedef {Object} PlansConfig
+ * @property {string} defaultPlan Plan used by accounts without a plan or with an expired one
+ * @property {Plan[]} plans
+ */
+
+/** @type {PlansConfig} */
+const DEFAULT_PLANS_CONFIG = {
+    defaultPlan: 'standard',
+    plans: [
+        {
+            id: 'standard',
+            name: '标准版',
+            dailyFee: null,
+            checkinReward: 5,
+            requestsPerMinute: null,
+            maxConcurrentGenerations: null,
+            storageQuotaMb: null,
+            referralCodes: null,
+            allowedSources: [],
+            allowedModels: [],
+            features: {
+                [PLAN_FEATURES.IMAGE_GENERATION]: true,
+                [PLAN_FEATURES.TTS]: true,
+                [PLAN_FEATURES.VECTORS]: true,
+            },
+        },
+    ],
+};
+
+/**
+ * Checks that the value is a finite non-negative number.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isAmount(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Checks that the value is a usable request limit: a non-negative integer, or null/undefined to inherit the default.
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isLimit(value) {
+    return value === null || value === undefined || (Number.isInteger(value) && value >= 0);
+}
+
+/**
+ * Normalizes a list of sources or models entered by an admin.
+ * @param {any} value Array or comma-separated string
+ * @param {boolean} lowercase Whether to lowercase the entries
+ * @returns {string[]}
+ */
+function toList(value, lowercase) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(items.map(x => String(x).trim()).map(x => lowercase ? x.toLowerCase() : x).filter(Boolean))];
+}
+
+/**
+ * Validates and normalizes a plans config submitted by an admin.
+ * @param {any} input Raw plans config
+ * @returns {PlansConfig} Normalized plans config
+ * @throws {Error} If the config is invalid. The message is safe to show to the admin.
+ */
+export function validatePlansConfig(input) {
+    if (!input || typeof input !== 'object' || !Array.isArray(input.plans)) {
+        throw new Error('无效的套餐配置');
+    }
+
+    if (input.plans.length === 0 || input.plans.length > 50) {
+        throw new Error('套餐数量必须在 1-50 之间');
+    }
+
+    const ids = new Set();
+    const plans = input.plans.map((plan, index) => {
+        const label = `第 ${index + 1} 个套餐`;
+        if (!plan || typeof plan !== 'object') {
+            throw new Error(`${label}无效`);
+        }
+
+        const id = String(plan.id || '').trim().toLowerCase();
+        if (!PLAN_ID_PATTERN.test(id)) {
+            throw new Error(`${label}的标识需为 1-32 位小写字母、数字、- 或 _`);
+        }
+        if (ids.has(id)) {
+            throw new Error(`套餐标识重复：${id}`);
+        }
+        ids.add(id);
+
+        const name = String(plan.name || '').trim();
+        if (!name || name.length > 30) {
+            throw new Error(`${label}的名称需为 1-30 个字符`);
+        }
+
+        if (plan.dailyFee !== null && plan.dailyFee !== undefined && !isAmount(plan.dailyFee)) {
+            throw new Error(`${label}的每日费用无效`);
+        }
+
+        if (!isAmount(plan.checkinReward)) {
+            throw new Error(`${label}的签到奖励无效`);
+        }
+
+        if (!isLimit(plan.requestsPerMinute)) {
+            throw new Error(`${label}的每分钟请求数无效`);
+        }
+
+        if (!isLimit(plan.maxConcurrentGenerations)) {
+            throw new Error(`${label}的并发生成数无效`);
+        }
+
+        if (!isLimit(plan.storageQuotaMb)) {
+            throw new Error(`${label}的存储配额无效`);
+        }
+
+        if (!isLimit(plan.referralCodes)) {
+            throw new Error(`${label}的邀请码数量无效`);
+        }
+
+        const features = {};
+        for (const feature of Object.values(PLAN_FEATURES)) {
+            features[feature] = plan.features?.[feature] !== false;
+        }
+
+        return {
+            id,
+            name,
+            dailyFee: plan.dailyFee ?? null,
+            checkinReward: plan.checkinReward,
+            requestsPerMinute: plan.requestsPerMinute ?? null,
+            maxConcurrentGenerations: plan.maxConcurrentGenerations ?? null,
+            storageQuotaMb: plan.storageQuotaMb ?? null,
+            referralCodes: plan.referralCodes ?? null,
+            allowedSources: toList(plan.allowedSources, true),
+            allowedModels: toList(plan.allowedModels, false),
+            features,
+        };
+    });
+
+    const defaultPlan = String(input.defaultPlan || '').trim().toLowerCase();
+    if (!ids.has(defaultPlan)) {
+        throw new Error('默认套餐不存在');
+    }
+
+    return { defaultPlan, plans };
+}
+
+/**
+ * Gets the plans config, falling back to the built-in standard plan.
+ * @returns {Promise<PlansConfig>}
+ */
+export async function getPlansConfig() {
+    const stored = await storage.getItem(PLANS_KEY);
+    return stored?.plans?.length ? stored : structuredClone(DEFAULT_PLANS_CONFIG);
+}
+
+/**
+ * Saves the plans config.
+ * @param {PlansConfig} config Validated plans config
+ * @returns {Promise<void>}
+ */
+export async function setPlansConfig(config) {
+    await storage.setItem(PLANS_KEY, config);
+}
+
+/**
+ * Finds a plan by id.
+ * @param {PlansConfig} config
+ * @param {string} id
+ * @returns {Plan|undefined}
+ */
+export function findPlan(config, id) {
+    return config.plans.find(plan => plan.id === id);
+}
+
+/**
+ * Resolves the plan that currently applies to an account.
+ * Unknown or expired plans fall back to the default plan.
+ * @param {import('./endpoints/account.js').AccountState} state
+ * @param {PlansConfig} config
+ * @param {number} [now] Current time, epoch ms
+ * @returns {{plan: Plan, expiresAt: number|null}}
+ */
+export function resolveAccountPlan(state, config, now = Date.now()) {
+    const assigned = state.plan ? findPlan(config, state.plan) : undefined;
+    const expired = state.planExpiresAt != null && state.planExpiresAt <= now;
+    if (assigned && !expired) {
+        return { plan: assigned, expiresAt: state.planExpiresAt ?? null };
+    }
+    return { plan: findPlan(config, config.defaultPlan) ?? config.plans[0], expiresAt: null };
+}
+
+/**
+ * Assigns a plan to an account. The caller must hold the account lock and save the state afterwards.
+ * Granting the plan the account already has extends it rather than restarting it.
+ * @param {import('./endpoints/account.js').AccountState} state
+ * @param {string|null} planId Plan to assign, null to return to the default plan
+ * @param {number|null} days Duration in days, null for no expiry
+ * @param {number} [now] Current time, epoch ms
+ */
+export function assignPlan(state, planId, days, now = Date.now()) {
+    if (!planId) {
+        state.plan = null;
+        state.planExpiresAt = null;
+        return;
+    }
+
+    if (!days) {
+        state.plan = planId;
+        state.planExpiresAt = null;
+        return;
+    }
+
+    const isActiveSamePlan = state.plan === planId && state.planExpiresAt != null && state.planExpiresAt > now;
+    const permanentSamePlan = state.plan === planId && state.planExpiresAt == null;
+    if (permanentSamePlan) {
+        return;
+    }
+
+    const base = isActiveSamePlan ? state.planExpiresAt : now;
+    state.plan = planId;
+    state.planExpiresAt = base + days * MS_PER_DAY;
+}
+
+/**
+ * Gets the plan that currently applies to a user.
+ * @param {string} handle User handle
+ * @returns {Promise<{plan: Plan, expiresAt: number|null}>}
+ */
+export async function getUserPlan(handle) {
+    const [state, config] = await Promise.all([getOrInitState(handle), getPlansConfig()]);
+    return resolveAccountPlan(state, config);
+}
+
+/**
+ * Checks whether a plan allows a generation source and model.
+ * @param {Plan} plan
+ * @param {string} source Generation source
+ * @param {string} model Model id
+ * @returns {boolean}
+ */
+export function isGenerationAllowed(plan, source, model) {
+    if (plan.allowedSources.length > 0 && !plan.allowedSources.includes(String(source || '').toLowerCase())) {
+        return false;
+    }
+
+    if (plan.allowedModels.length === 0) {
+        return true;
+    }
+
+    const normalizedModel = String(model || '');
+    return plan.allowedModels.some(pattern => pattern.endsWith('*')
+        ? normalizedModel.startsWith(pattern.slice(0, -1))
+        : pattern === normalizedModel);
+}
+
+/**
+ * Creates a middleware that enforces the user's plan on a generation endpoint: allowed sources and models.
+ * Request rate and concurrency are enforced separately, see generation-limits.js.
+ * Must run before the billing middleware so rejected requests are never charged.
+ * @param {string} kind Generation kind, one of GENERATION_KINDS
+ * @returns {import('express').RequestHandler}
+ */
+export function enforcePlanGeneration(kind) {
+    return async function (request, response, next) {
+        try {
+            if (!request.user || !request.body) {
+                return next();
+            }
+
+            const handle = request.user.profile.handle;
+            const { plan } = await getUserPlan(handle);
+            const { source, models } = getGenerationTarget(kind, request.body);
+            const model = models.find(x => !isGenerationAllowed(plan, source, x));
+
+            if (model !== undefined) {
+                return response.status(403).json({
+                    error: {
+                        message: `当前套餐「${plan.name}」不支持 ${source || '该来源'}${model ? ` / ${model}` : ''}`,
+                        type: 'plan_restricted',
+                    },
+                    plan: plan.id,
+                });
+            }
+
+            return next();
+        } catch (error) {
+            console.error('Plan check failed', error);
+            return response.status(500).json({ error: { message: '套餐校验失败，请稍后重试' } });
+        }
+    };
+}
+
+/**
+ * Gets the feature a request path belongs to, if any.
+ * @param {string} requestPath
+ * @returns {string|null} One of PLAN_FEATURES
+ */
+function getRequestFeature(requestPath) {
+    for (const [feature, patterns] of Object.entries(FEATURE_ROUTES)) {
+        if (patterns.some(pattern => pattern.test(requestPath))) {
+            return feature;
+        }
+    }
+    return null;
+}
+
+/**
+ * Creates a middleware that rejects requests to extension features the user's plan doesn't include.
+ * @returns {import('express').RequestHandler}
+ */
+export function enforcePlanFeatures() {
+    return async function (request, response, next) {
+        try {
+            const feature = request.method === 'POST' ? getRequestFeature(request.path) : null;
+            if (!feature || !request.user) {
+                return next();
+            }
+
+            const { plan } = await getUserPlan(request.user.profile.handle);
+            if (plan.features[feature] === false) {
+                return response.status(403).json({
+                    error: `当前套餐「${plan.name}」不支持${FEATURE_NAMES[feature]}`,
+                    type: 'plan_restricted',
+                    feature,
+                    plan: plan.id,
+                });
+            }
+
+            return next();
+        } catch (error) {
+            console.error('Plan feature check failed', error);
+            return response.status(500).json({ error: '套餐校验失败，请稍后重试' });
+        }
+    };
+}
@@ -0,0 +1,149 @@
+import crypto from 'node:crypto';
+
+export const REDEEM_CODE_PREFIX = 'redeem:';
+export const REDEEM_BATCH_PREFIX = 'redeem-batch:';
+
+/**
+ * Display states of a redeem code.
+ */
+export const REDEEM_CODE_STATUS = {
+    UNUSED: 'unused',
+    PARTIAL: 'partial',
+    USED: 'used',
+    EXPIRED: 'expired',
+    REVOKED: 'revoked',
+};
+
+/**
+ * @typedef {Object} Redemption
+ * @property {string} handle User who redeemed the code
+ * @property {number} at Epoch ms
+ */
+
+/**
+ * @typedef {Object} RedeemCode
+ * @property {string} code
+ * @property {number} points Points granted per redemption
+ * @property {string|null} [plan] Plan granted per redemption
+ * @property {number|null} [planDays] Days of the plan granted per redemption, null for no expiry
+ * @property {boolean} used True once every use has been consumed
+ * @property {string|null} usedBy Handle of the most recent redeemer
+ * @property {number} createdAt
+ * @property {number|null} usedAt Time of the most recent redemption
+ * @property {number} [maxUses] Total redemptions allowed across all users, defaults to 1
+ * @property {number} [uses] Redemptions so far
+ * @property {boolean} [oncePerUser] Whether each user may redeem the code only once, defaults to true
+ * @property {Redemption[]} [redemptions]
+ * @property {number|null} [expiresAt] Epoch ms after which the code can no longer be redeemed
+ * @property {string|null} [batchId] Batch the code was created in
+ * @property {string} [campaign] Campaign label copied from the batch
+ * @property {boolean} [revoked]
+ * @property {number|null} [revokedAt]
+ */
+
+/**
+ * @typedef {Object} RedeemBatch
+ * @property {string} id
+ * @property {string} campaign Campaign label
+ * @property {number} points Points granted per redemption
+ * @property {string|null} [plan] Plan granted per redemption
+ * @property {number|null} [planDays] Days of the plan granted per redemption
+ * @property {number} count Number of codes in the batch
+ * @property {number} maxUses Redemptions allowed per code
+ * @property {boolean} oncePerUser
+ * @property {number|null} expiresAt
+ * @property {number} createdAt
+ * @property {string} createdBy Admin actor that created the batch
+ * @property {boolean} revoked
+ * @property {number|null} revokedAt
+ */
+
+export function toRedeemCodeKey(code) {
+    return `${REDEEM_CODE_PREFIX}${code.toUpperCase()}`;
+}
+
+export function toRedeemBatchKey(id) {
+    return `${REDEEM_BATCH_PREFIX}${id}`;
+}
+
+/**
+ * Generates a random code from uppercase letters and digits using a CSPRNG.
+ * @param {number} [length] Code length
+ * @returns {string}
+ */
+export function generateRedeemCode(length = 12) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    let code = '';
+    for (let i = 0; i < length; i++) {
+        code += chars[crypto.randomInt(chars.length)];
+    }
+    return code;
+}
+
+/**
+ * Generates a short id for a new batch.
+ * @returns {string}
+ */
+export function generateBatchId() {
+    return crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Gets how many times a code has been and may be redeemed.
+ * Codes created before multi-use support count as single-use.
+ * @param {RedeemCode} code
+ * @returns {{uses: number, maxUses: number}}
+ */
+export function getRedeemCodeUsage(code) {
+    const maxUses = Number.isInteger(code.maxUses) && code.maxUses > 0 ? code.maxUses : 1;
+    const uses = Number.isInteger(code.uses) ? code.uses : (code.used ? maxUses : 0);
+    return { uses, maxUses };
+}
+
+/**
+ * Gets the display state of a code.
+ * @param {RedeemCode} code
+ * @param {number} [now] Current time, epoch ms
+ * @returns {string} One of REDEEM_CODE_STATUS
+ */
+export function getRedeemCodeStatus(code, now = Date.now()) {
+    const { uses, maxUses } = getRedeemCodeUsage(code);
+    if (code.revoked) return REDEEM_CODE_STATUS.REVOKED;
+    if (uses >= maxUses) return REDEEM_CODE_STATUS.USED;
+    if (code.expiresAt && code.expiresAt <= now) return REDEEM_CODE_STATUS.EXPIRED;
+    return uses > 0 ? REDEEM_CODE_STATUS.PARTIAL : REDEEM_CODE_STATUS.UNUSED;
+}
+
+/**
+ * Checks whether a user may redeem a code.
+ * @param {RedeemCode} code
+ * @param {string} handle User handle
+ * @param {number} [now] Current time, epoch ms
+ * @returns {string|null} User-facing reason the code cannot be redeemed, or null if it can
+ */
+export function getRedeemError(code, handle, now = Date.now()) {
+    const status = getRedeemCodeStatus(code, now);
+    if (status === REDEEM_CODE_STATUS.REVOKED) return '此兑换码已作废';
+    if (status === REDEEM_CODE_STATUS.USED) return '此兑换码已被使用';
+    if (status === REDEEM_CODE_STATUS.EXPIRED) return '此兑换码已过期';
+    if (code.oncePerUser !== false && (code.redemptions || []).some(r => r.handle === handle)) {
+        return '你已经使用过此兑换码';
+    }
+    return null;
+}
+
+/**
+ * Records a redemption on the code. The caller must hold the code's lock and save it afterwards.
+ * @param {RedeemCode} code
+ * @param {string} handle User handle
+ * @param {number} [now] Current time, epoch ms
+ */
+export function applyRedemption(code, handle, now = Date.now()) {
+    const { uses, maxUses } = getRedeemCodeUsage(code);
+    code.maxUses = maxUses;
+    code.uses = uses + 1;
+    code.redemptions = [...(code.redemptions || []), { handle, at: now }];
+    code.used = code.uses >= maxUses;
+    code.usedBy = handle;
+    code.usedAt = now;
+}
@@ -0,0 +1,372 @@
+import storage from 'node-persist';
+
+import { getOrInitState, withAccountState, saveAccountState, roundPoints } from './endpoints/account.js';
+import { getPlansConfig, resolveAccountPlan } from './plans.js';
+import { generateRedeemCode } from './redeem-codes.js';
+import { recordTransaction, LEDGER_REASONS, SYSTEM_ACTOR } from './ledger.js';
+import { withLock } from './storage-lock.js';
+import { toKey } from './users.js';
+import { getConfigValue } from './util.js';
+import { getIpFromRequest, getRealIpFromHeader } from './express-common.js';
+
+const INVITE_PREFIX = 'invite:';
+const REFERRAL_PREFIX = 'referral:';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const PREFER_REAL_IP_HEADER = getConfigValue('rateLimiting.preferRealIpHeader', false, 'boolean');
+/**
+ * Personal invite codes a user may hold when their plan doesn't set a number. 0 disables personal codes.
+ */
+const DEFAULT_CODE_QUOTA = getConfigValue('referrals.defaultCodes', 0, 'number');
+const CODE_EXPIRES_IN_DAYS = getConfigValue('referrals.codeExpiresInDays', 30, 'number');
+const BONUS_POINTS = getConfigValue('referrals.bonusPoints', 10, 'number');
+const QUALIFYING_DAYS = getConfigValue('referrals.qualifyingDays', 7, 'number');
+
+/**
+ * Admin review states of a bonus that was held because the invitee registered from the inviter's address.
+ */
+export const REFERRAL_REVIEW = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+};
+
+/**
+ * An invitee who registered with a personal invite code, stored under the invitee's handle.
+ * @typedef {Object} Referral
+ * @property {string} invitee
+ * @property {string} inviter
+ * @property {string} code
+ * @property {string} ip Address the invitee registered from
+ * @property {boolean} sharedIp Whether the invitee registered from the address the code was created from
+ * @property {number} createdAt Epoch ms
+ * @property {number} activeDays Distinct days the invitee used the service
+ * @property {string} lastActiveDate YYYY-MM-DD of the last counted day
+ * @property {number|null} qualifiedAt Epoch ms when the invitee reached the qualifying days
+ * @property {number} bonus Points the inviter earned
+ * @property {string} [review] One of REFERRAL_REVIEW, set when the bonus was held for review because of a shared address
+ * @property {number} [reviewedAt] Epoch ms of the review
+ */
+
+/**
+ * Node of the referral tree shown to admins.
+ * @typedef {Object} ReferralNode
+ * @property {string} handle
+ * @property {Referral|null} referral How this user was invited, null for the roots
+ * @property {number} invited Users this user invited directly
+ * @property {number} qualified Direct invitees that qualified
+ * @property {ReferralNode[]} children
+ */
+
+/**
+ * Users already counted as active today, so the storage is only touched once a day per user.
+ * Cleared when the date changes.
+ * @type {Set<string>}
+ */
+const countedToday = new Set();
+let countedDate = '';
+
+function toInviteKey(code) {
+    return `${INVITE_PREFIX}${code.toUpperCase()}`;
+}
+
+function toReferralKey(handle) {
+    return `${REFERRAL_PREFIX}${handle}`;
+}
+
+function toDateString(ts) {
+    const d = new Date(ts);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * @param {import('express').Request} request
+ * @returns {string}
+ */
+function getClientIp(request) {
+    return (PREFER_REAL_IP_HEADER ? getRealIpFromHeader(request) : getIpFromRequest(request)) || '';
+}
+
+/**
+ * Gets the terms shown to users on the invite page.
+ * @returns {{bonusPoints: number, qualifyingDays: number, codeExpiresInDays: number}}
+ */
+export function getReferralTerms() {
+    return { bonusPoints: BONUS_POINTS, qualifyingDays: QUALIFYING_DAYS, codeExpiresInDays: CODE_EXPIRES_IN_DAYS };
+}
+
+/**
+ * Gets how many personal invite codes a user may hold. The plan wins over the server default.
+ * @param {string} handle
+ * @returns {Promise<number>}
+ */
+export async function getReferralCodeQuota(handle) {
+    const [state, plansConfig] = await Promise.all([getOrInitState(handle), getPlansConfig()]);
+    const { plan } = resolveAccountPlan(state, plansConfig);
+    return plan.referralCodes ?? DEFAULT_CODE_QUOTA;
+}
+
+/**
+ * Lists the personal invite codes of a user, newest first.
+ * @param {string} handle
+ * @returns {Promise<Array<{code: string, used: boolean, usedBy: string|null, usedAt: number|null, createdAt: number, expiresAt: number|null, createdBy: string}>>}
+ */
+export async function getReferralCodes(handle) {
+    const keys = await storage.keys(datum => datum.key.startsWith(INVITE_PREFIX) && datum.value?.createdBy === handle);
+    const codes = [];
+    for (const key of keys) {
+        const invite = await storage.getItem(key);
+        if (invite) codes.push(invite);
+    }
+    return codes.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+}
+
+/**
+ * Counts the codes that take up the quota: used ones and unused ones that haven't expired.
+ * @param {Array<{used: boolean, expiresAt: number|null}>} codes
+ * @returns {number}
+ */
+export function countHeldCodes(codes) {
+    return codes.filter(code => code.used || !code.expiresAt || code.expiresAt >= Date.now()).length;
+}
+
+/**
+ * Creates a personal invite code for a user.
+ * @param {import('express').Request} request
+ * @returns {Promise<{code: string, createdAt: number, expiresAt: number|null}>}
+ * @throws {Error} When the quota is used up. The message is safe to show to the user.
+ */
+export async function createReferralCode(request) {
+    const handle = request.user.profile.handle;
+    return withLock(`referral-codes:${handle}`, async () => {
+        const quota = await getReferralCodeQuota(handle);
+        if (quota <= 0) {
+            throw new Error('当前套餐不能生成邀请码');
+        }
+        if (countHeldCodes(await getReferralCodes(handle)) >= quota) {
+            throw new Error(`邀请码数量已达上限（${quota} 个），过期未使用的邀请码不计入`);
+        }
+
+        let code = generateRedeemCode(12);
+        for (let attempts = 0; await storage.getItem(toInviteKey(code)); attempts++) {
+            if (attempts >= 50) {
+                throw new Error('生成邀请码失败，请稍后重试');
+            }
+            code = generateRedeemCode(12);
+        }
+
+        const invite = {
+            code,
+            used: false,
+            usedBy: null,
+            createdAt: Date.now(),
+            usedAt: null,
+            expiresAt: CODE_EXPIRES_IN_DAYS > 0 ? Date.now() + CODE_EXPIRES_IN_DAYS * MS_PER_DAY : null,
+            createdBy: handle,
+            createdIp: getClientIp(request),
+        };
+        await storage.setItem(toInviteKey(code), invite);
+        return { code: invite.code, createdAt: invite.createdAt, expiresAt: invite.expiresAt };
+    });
+}
+
+/**
+ * Records who invited a new user. Codes created by admins are ignored.
+ * Call after the invite code was marked as used.
+ * @param {{code: string, createdBy?: string, createdIp?: string}} invite The used invite code
+ * @param {string} invitee Handle of the new user
+ * @param {import('express').Request} request Registration request
+ * @returns {Promise<void>}
+ */
+export async function recordReferral(invite, invitee, request) {
+    if (!invite?.createdBy || invite.createdBy === invitee) {
+        return;
+    }
+
+    const ip = getClientIp(request);
+    /** @type {Referral} */
+    const referral = {
+        invitee,
+        inviter: invite.createdBy,
+        code: invite.code,
+        ip,
+        sharedIp: Boolean(ip) && ip === invite.createdIp,
+        createdAt: Date.now(),
+        activeDays: 0,
+        lastActiveDate: '',
+        qualifiedAt: null,
+        bonus: 0,
+    };
+    await storage.setItem(toReferralKey(invitee), referral);
+}
+
+/**
+ * Pays the referral bonus to the inviter.
+ * Must be called while holding the referral lock.
+ * @param {Referral} referral
+ * @returns {Promise<void>}
+ */
+async function payReferralBonus(referral) {
+    // Deleted inviters are not paid, and their account must not be recreated
+    if (BONUS_POINTS <= 0 || !await storage.getItem(toKey(referral.inviter))) {
+        return;
+    }
+
+    await withAccountState(referral.inviter, async (state) => {
+        state.points = roundPoints(state.points + BONUS_POINTS);
+        await saveAccountState(state);
+        await recordTransaction({ handle: referral.inviter, delta: BONUS_POINTS, balance: state.points, reason: LEDGER_REASONS.REFERRAL, actor: SYSTEM_ACTOR, note: `邀请 ${referral.invitee}` });
+    });
+    referral.bonus = BONUS_POINTS;
+    console.info(`Referral bonus for ${referral.invitee} paid, ${referral.inviter} earned ${BONUS_POINTS} points`);
+}
+
+/**
+ * Marks a referral as qualified once the invitee has been active on enough days, and pays the inviter.
+ * Invitees who registered from the address the code was created from may be the inviter's own accounts,
+ * so their bonus waits for an admin to review it.
+ * Must be called while holding the referral lock.
+ * @param {Referral} referral
+ * @returns {Promise<void>}
+ */
+async function qualifyReferral(referral) {
+    referral.qualifiedAt = Date.now();
+    if (referral.sharedIp && BONUS_POINTS > 0) {
+        referral.review = REFERRAL_REVIEW.PENDING;
+        console.info(`Referral of ${referral.invitee} qualified, the bonus of ${referral.inviter} is held for review`);
+        return;
+    }
+
+    await payReferralBonus(referral);
+}
+
+/**
+ * Approves or rejects a bonus held for review.
+ * @param {string} invitee Handle of the invited user
+ * @param {boolean} approve Whether to pay the inviter
+ * @returns {Promise<Referral|null>} The reviewed referral, null when the user was not invited
+ * @throws {Error} When the bonus is not waiting for review. The message is safe to show to the admin.
+ */
+export async function reviewReferral(invitee, approve) {
+    const key = toReferralKey(invitee);
+    return withLock(key, async () => {
+        /** @type {Referral|undefined} */
+        const referral = await storage.getItem(key);
+        if (!referral) {
+            return null;
+        }
+        if (referral.review !== REFERRAL_REVIEW.PENDING) {
+            throw new Error('该邀请奖励不在待审核状态');
+        }
+
+        if (approve) {
+            await payReferralBonus(referral);
+        }
+        referral.review = approve ? REFERRAL_REVIEW.APPROVED : REFERRAL_REVIEW.REJECTED;
+        referral.reviewedAt = Date.now();
+        await storage.setItem(key, referral);
+        return referral;
+    });
+}
+
+/**
+ * Counts today as an active day of an invited user.
+ * @param {string} handle
+ * @returns {Promise<void>}
+ */
+export async function recordReferralActivity(handle) {
+    const today = toDateString(Date.now());
+    if (countedDate !== today) {
+        countedToday.clear();
+        countedDate = today;
+    }
+    if (countedToday.has(handle)) {
+        return;
+    }
+    countedToday.add(handle);
+
+    const key = toReferralKey(handle);
+    await withLock(key, async () => {
+        /** @type {Referral|undefined} */
+        const referral = await storage.getItem(key);
+        if (!referral || referral.qualifiedAt || referral.lastActiveDate === today) {
+            return;
+        }
+
+        referral.activeDays++;
+        referral.lastActiveDate = today;
+        if (referral.activeDays >= QUALIFYING_DAYS) {
+            await qualifyReferral(referral);
+        }
+        await storage.setItem(key, referral);
+    });
+}
+
+/**
+ * Counts the active days of invited users. Must run after setUserDataMiddleware.
+ * @param {import('express').Request} request
+ * @param {import('express').Response} _response
+ * @param {import('express').NextFunction} next
+ */
+export function referralActivityMiddleware(request, _response, next) {
+    const handle = request.user?.profile?.handle;
+    if (handle) {
+        recordReferralActivity(handle).catch(error => console.error(`Referral activity of ${handle} failed:`, error));
+    }
+    next();
+}
+
+/**
+ * Gets how a user was invited.
+ * @param {string} handle
+ * @returns {Promise<Referral|null>}
+ */
+export async function getReferral(handle) {
+    return (await storage.getItem(toReferralKey(handle))) || null;
+}
+
+/**
+ * Builds the referral tree of all users who invited or were invited.
+ * Roots are inviters that registered without a personal code.
+ * @returns {Promise<ReferralNode[]>} Largest trees first
+ */
+export async function getReferralTree() {
+    const keys = await storage.keys(datum => datum.key.startsWith(REFERRAL_PREFIX));
+    /** @type {Map<string, Referral>} */
+    const referrals = new Map();
+    for (const key of keys) {
+        const referral = await storage.getItem(key);
+        if (referral) referrals.set(referral.invitee, referral);
+    }
+
+    /** @type {Map<string, string[]>} */
+    const invitees = new Map();
+    for (const referral of referrals.values()) {
+        invitees.set(referral.inviter, [...(invitees.get(referral.inviter) || []), referral.invitee]);
+    }
+
+    const visited = new Set();
+    /**
+     * @param {string} handle
+     * @returns {ReferralNode & {size: number}}
+     */
+    const buildNode = (handle) => {
+        visited.add(handle);
+        const children = (invitees.get(handle) || []).filter(child => !visited.has(child)).map(buildNode);
+        children.sort((a, b) => b.size - a.size);
+        return {
+            handle,
+            referral: referrals.get(handle) || null,
+            invited: children.length,
+            qualified: children.filter(child => child.referral?.qualifiedAt).length,
+            size: 1 + children.reduce((total, child) => total + child.size, 0),
+            children,
+        };
+    };
+
+    const roots = [...invitees.keys()].filter(handle => !referrals.has(handle)).map(buildNode);
+    // Inviters whose own inviter chain loops back are not reachable from a root
+    for (const handle of invitees.keys()) {
+        if (!visited.has(handle)) roots.push(buildNode(handle));
+    }
+    return roots.sort((a, b) => b.size - a.size);
+}
@@ -0,0 +1,369 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import { promises as fsPromises } from 'node:fs';
+import { once } from 'node:events';
+import crypto from 'node:crypto';
+
+import storage from 'node-persist';
+
+import { ARCHIVES_DIRECTORY } from './constants.js';
+import { getUserDirectories, toKey, writeBackupArchive } from './users.js';
+import { withLock } from './storage-lock.js';
+import { recordTransaction, LEDGER_REASONS, SYSTEM_ACTOR } from './ledger.js';
+import { revokeSessions } from './sessions.js';
+import { invalidateStorageUsage } from './storage-quota.js';
+import { deleteChatSearchIndex } from './chat-search.js';
+import { extractZipArchive, generateTimestamp } from './util.js';
+
+const RETENTION_KEY = 'system:retention';
+const ACCOUNT_PREFIX = 'account:';
+const ARCHIVE_PREFIX = 'archive:';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Days before the purge at which the user is warned on the home page, latest last.
+ */
+export const PURGE_WARNING_DAYS = [7, 1];
+
+/**
+ * @typedef {Object} RetentionSettings
+ * @property {number} purgeAfterDays Days an account can stay OFF before its data is archived and removed
+ * @property {number} archiveGraceDays Days an archive is kept for restore before it is deleted for good
+ */
+
+/**
+ * @typedef {Object} PurgeWarning
+ * @property {number} level Which of PURGE_WARNING_DAYS was last reached
+ * @property {number} purgeAt Epoch ms when the data will be purged
+ * @property {number} notifiedAt Epoch ms when the warning was raised
+ */
+
+/**
+ * @typedef {Object} UserArchive
+ * @property {string} id Unique archive id
+ * @property {string} handle User the data belonged to
+ * @property {string|null} fileName ZIP file under the archives directory, null if the user had no data directory
+ * @property {number} size Archive size in bytes
+ * @property {object|null} user The user record removed together with the data, put back on restore
+ * @property {number} points Balance removed by the purge, refunded on restore
+ * @property {number} createdAt Epoch ms
+ * @property {number} expiresAt Epoch ms after which the archive is deleted
+ */
+
+/** @type {RetentionSettings} */
+const DEFAULT_RETENTION_SETTINGS = {
+    purgeAfterDays: 30,
+    archiveGraceDays: 30,
+};
+
+function toAccountKey(handle) {
+    return `${ACCOUNT_PREFIX}${handle}`;
+}
+
+function toArchiveKey(id) {
+    return `${ARCHIVE_PREFIX}${id}`;
+}
+
+/**
+ * Gets the directory purged user data is archived to.
+ * @returns {string}
+ */
+function getArchivesDirectory() {
+    return path.join(globalThis.DATA_ROOT, ARCHIVES_DIRECTORY);
+}
+
+/**
+ * Validates retention settings submitted by an admin.
+ * @param {any} input Raw settings
+ * @returns {RetentionSettings}
+ * @throws {Error} If the settings are invalid. The message is safe to show to the admin.
+ */
+export function validateRetentionSettings(input) {
+    const { purgeAfterDays, archiveGraceDays } = input || {};
+    // The purge has to come after the first warning, otherwise the user is never warned
+    if (!Number.isInteger(purgeAfterDays) || purgeAfterDays <= PURGE_WARNING_DAYS[0] || purgeAfterDays > 3650) {
+        throw new Error(`清除期限需为 ${PURGE_WARNING_DAYS[0] + 1}-3650 天`);
+    }
+    if (!Number.isInteger(archiveGraceDays) || archiveGraceDays < 1 || archiveGraceDays > 3650) {
+        throw new Error('归档保留期需为 1-3650 天');
+    }
+    return { purgeAfterDays, archiveGraceDays };
+}
+
+/**
+ * Gets the retention settings.
+ * @returns {Promise<RetentionSettings>}
+ */
+export async function getRetentionSettings() {
+    const stored = await storage.getItem(RETENTION_KEY);
+    return { ...DEFAULT_RETENTION_SETTINGS, ...stored };
+}
+
+/**
+ * Saves the retention settings.
+ * @param {RetentionSettings} settings Validated settings
+ * @returns {Promise<void>}
+ */
+export async function setRetentionSettings(settings) {
+    await storage.setItem(RETENTION_KEY, settings);
+}
+
+/**
+ * Works out when an OFF account's data will be purged.
+ * @param {import('./endpoints/account.js').AccountState} state
+ * @param {RetentionSettings} settings
+ * @returns {number|null} Epoch ms of the purge, or null if access is on
+ */
+export function getPurgeAt(state, settings) {
+    if (state.accessOn || !state.accessOffSince) {
+        return null;
+    }
+    return state.accessOffSince + settings.purgeAfterDays * MS_PER_DAY;
+}
+
+/**
+ * Gets the warning level an account has reached.
+ * @param {number} purgeAt Epoch ms of the purge
+ * @param {number} now Epoch ms
+ * @returns {number|null} One of PURGE_WARNING_DAYS, or null if it is too early to warn
+ */
+function getWarningLevel(purgeAt, now) {
+    const reached = PURGE_WARNING_DAYS.filter(days => purgeAt - now <= days * MS_PER_DAY);
+    return reached.length > 0 ? reached[reached.length - 1] : null;
+}
+
+/**
+ * Zips the user's data directory into the archives directory.
+ * @param {string} handle User handle
+ * @param {number} now Epoch ms
+ * @returns {Promise<{fileName: string|null, size: number}>}
+ */
+async function archiveUserDirectory(handle, now) {
+    const directories = getUserDirectories(handle);
+    if (!fs.existsSync(directories.root)) {
+        return { fileName: null, size: 0 };
+    }
+
+    await fsPromises.mkdir(getArchivesDirectory(), { recursive: true });
+    const fileName = `${handle}-${generateTimestamp()}-${now}.zip`;
+    const output = fs.createWriteStream(path.join(getArchivesDirectory(), fileName));
+    const closed = once(output, 'close');
+    const size = await writeBackupArchive(handle, output);
+    await closed;
+    return { fileName, size };
+}
+
+/**
+ * Archives a user's data, then removes it along with the user record and balance.
+ * Nothing is removed if the archive can't be written.
+ * Must be called while holding the account lock.
+ * @param {import('./endpoints/account.js').AccountState} state
+ * @param {RetentionSettings} settings
+ * @param {number} now Epoch ms
+ * @returns {Promise<UserArchive>}
+ */
+async function archiveAndPurge(state, settings, now) {
+    const handle = state.handle;
+    const { fileName, size } = await archiveUserDirectory(handle, now);
+
+    /** @type {UserArchive} */
+    const archive = {
+        id: crypto.randomUUID(),
+        handle,
+        fileName,
+        size,
+        user: await storage.getItem(toKey(handle)) ?? null,
+        points: state.points,
+        createdAt: now,
+        expiresAt: now + settings.archiveGraceDays * MS_PER_DAY,
+    };
+    await storage.setItem(toArchiveKey(archive.id), archive);
+
+    await storage.removeItem(toKey(handle));
+    await revokeSessions(handle);
+    await fsPromises.rm(getUserDirectories(handle).root, { recursive: true, force: true });
+    await invalidateStorageUsage(handle);
+    await deleteChatSearchIndex(handle);
+
+    const before = state.points;
+    state.points = 0;
+    state.accessOn = false;
+    state.lastCheckInDate = '';
+    state.accessOffSince = now;
+    state.lastCostAppliedAt = now;
+    state.purgeWarning = null;
+    await storage.setItem(toAccountKey(handle), state);
+    await recordTransaction({ handle, delta: -before, balance: 0, reason: LEDGER_REASONS.PURGE, actor: SYSTEM_ACTOR, note: `归档 ${archive.id}` });
+
+    console.info(`Retention: archived and purged data of ${handle}`);
+    return archive;
+}
+
+/**
+ * Deletes an archive file and its record.
+ * @param {UserArchive} archive
+ * @returns {Promise<void>}
+ */
+async function removeArchive(archive) {
+    if (archive.fileName) {
+        await fsPromises.rm(path.join(getArchivesDirectory(), archive.fileName), { force: true });
+    }
+    await storage.removeItem(toArchiveKey(archive.id));
+}
+
+/**
+ * Gets every archive, newest first.
+ * @returns {Promise<UserArchive[]>}
+ */
+export async function getArchives() {
+    const keys = (await storage.keys()).filter(key => key.startsWith(ARCHIVE_PREFIX));
+    const archives = await Promise.all(keys.map(key => storage.getItem(key)));
+    return archives.filter(Boolean).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Converts an archive into the shape shown in the admin panel, without the stored user record.
+ * @param {UserArchive} archive
+ */
+export function toPublicArchive(archive) {
+    const { user, ...rest } = archive;
+    return { ...rest, name: user?.name ?? archive.handle };
+}
+
+/**
+ * Deletes an archive before its grace period is over.
+ * @param {string} id Archive id
+ * @returns {Promise<UserArchive|null>} The deleted archive, or null if not found
+ */
+export async function deleteArchive(id) {
+    return withLock(toArchiveKey(id), async () => {
+        /** @type {UserArchive|undefined} */
+        const archive = await storage.getItem(toArchiveKey(id));
+        if (!archive) {
+            return null;
+        }
+        await removeArchive(archive);
+        return archive;
+    });
+}
+
+/**
+ * Puts an archived user back: data directory, user record and balance. The archive is removed afterwards.
+ * Access stays OFF and the purge clock restarts, so the user has a full period to top up.
+ * @param {string} id Archive id
+ * @returns {Promise<UserArchive|null>} The restored archive, or null if not found
+ * @throws {Error} If the handle is taken again. The message is safe to show to the admin.
+ */
+export async function restoreArchive(id) {
+    return withLock(toArchiveKey(id), async () => {
+        /** @type {UserArchive|undefined} */
+        const archive = await storage.getItem(toArchiveKey(id));
+        if (!archive) {
+            return null;
+        }
+
+        const { handle } = archive;
+        return withLock(toAccountKey(handle), async () => {
+            if (await storage.getItem(toKey(handle))) {
+                throw new Error('该用户名已被重新注册，无法恢复');
+            }
+
+            const directories = getUserDirectories(handle);
+            await fsPromises.rm(directories.root, { recursive: true, force: true });
+            if (archive.fileName) {
+                await extractZipArchive(path.join(getArchivesDirectory(), archive.fileName), directories.root);
+            }
+            // Empty directories are not kept in the archive
+            for (const dir of Object.values(directories)) {
+                await fsPromises.mkdir(dir, { recursive: true });
+            }
+            await invalidateStorageUsage(handle);
+            if (archive.user) {
+                await storage.setItem(toKey(handle), archive.user);
+            }
+
+            /** @type {import('./endpoints/account.js').AccountState|undefined} */
+            const state = await storage.getItem(toAccountKey(handle));
+            if (state) {
+                const before = state.points;
+                state.points = Math.round((state.points + archive.points) * 100) / 100;
+                state.accessOffSince = Date.now();
+                state.purgeWarning = null;
+                await storage.setItem(toAccountKey(handle), state);
+                if (archive.points > 0) {
+                    await recordTransaction({ handle, delta: state.points - before, balance: state.points, reason: LEDGER_REASONS.RESTORE, actor: SYSTEM_ACTOR, note: `归档 ${archive.id}` });
+                }
+            }
+
+            await removeArchive(archive);
+            console.info(`Retention: restored data of ${handle}`);
+            return archive;
+        });
+    });
+}
+
+/**
+ * Warns accounts that are close to the purge, archives and purges the ones past it,
+ * and deletes archives whose grace period is over.
+ * @param {number} [now] Epoch ms
+ * @returns {Promise<{warned: string[], purged: string[], expired: string[]}>} Handles affected by each step
+ */
+export async function runRetentionJob(now = Date.now()) {
+    const settings = await getRetentionSettings();
+    const result = { warned: [], purged: [], expired: [] };
+
+    const accountKeys = (await storage.keys()).filter(key => key.startsWith(ACCOUNT_PREFIX));
+    for (const key of accountKeys) {
+        try {
+            await withLock(key, async () => {
+                /** @type {import('./endpoints/account.js').AccountState|undefined} */
+                const state = await storage.getItem(key);
+                // Accounts whose user was already purged or deleted have nothing left to warn about or archive
+                if (!state || !(await storage.getItem(toKey(state.handle)))) return;
+
+                const purgeAt = getPurgeAt(state, settings);
+                if (purgeAt === null) {
+                    if (state.purgeWarning) {
+                        state.purgeWarning = null;
+                        await storage.setItem(key, state);
+                    }
+                    return;
+                }
+
+                if (purgeAt <= now) {
+                    await archiveAndPurge(state, settings, now);
+                    result.purged.push(state.handle);
+                    return;
+                }
+
+                const level = getWarningLevel(purgeAt, now);
+                if (level !== null && (state.purgeWarning?.level !== level || state.purgeWarning.purgeAt !== purgeAt)) {
+                    state.purgeWarning = { level, purgeAt, notifiedAt: now };
+                    await storage.setItem(key, state);
+                    result.warned.push(state.handle);
+                }
+            });
+        } catch (error) {
+            console.error('Retention: failed to process', key, error);
+        }
+    }
+
+    for (const archive of await getArchives()) {
+        if (archive.expiresAt <= now) {
+            await removeArchive(archive);
+            result.expired.push(archive.handle);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Runs the retention job now and then every hour.
+ */
+export function startRetentionJob() {
+    const run = () => runRetentionJob().catch(error => console.error('Retention job failed', error));
+    run();
+    setInterval(run, JOB_INTERVAL_MS).unref();
+}
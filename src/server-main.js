@@ -72,6 +72,9 @@ import { init as settingsInit } from './endpoints/settings.js';
 import { redirectDeprecatedEndpoints, ServerStartup, setupPrivateEndpoints } from './server-startup.js';
 import { diskCache } from './endpoints/characters.js';
 import { migrateFlatSecrets } from './endpoints/secrets.js';
+import { startRetentionJob } from './retention.js';
+import { sessionRegistryMiddleware } from './sessions.js';
+import { referralActivityMiddleware } from './referrals.js';
 
 // Work around a node v20.0.0, v20.1.0, and v20.2.0 bug. The issue was fixed in v20.3.0.
 // https://github.com/nodejs/node/issues/47822#issuecomment-1564708870
@@ -164,6 +167,8 @@ app.use(cookieSession({
 }));
 
 app.use(setUserDataMiddleware);
+app.use(sessionRegistryMiddleware);
+app.use(referralActivityMiddleware);
 
 // CSRF Protection //
 if (!cliArgs.disableCsrf) {
@@ -327,6 +332,7 @@ async function preSetupTasks() {
 
     await settingsInit();
     await statsInit();
+    startRetentionJob();
 
     const pluginsDirectory = path.join(serverDirectory, 'plugins');
     const cleanupPlugins = await loadPlugins(app, pluginsDirectory);
@@ -48,6 +48,11 @@ import { router as azureRouter } from './endpoints/azure.js';
 import { router as minimaxRouter } from './endpoints/minimax.js';
 import { router as dataMaidRouter } from './endpoints/data-maid.js';
 import { router as accountRouter } from './endpoints/account.js';
+import { router as syncRouter } from './endpoints/sync.js';
+import { meterGeneration, GENERATION_KINDS } from './billing.js';
+import { enforcePlanGeneration, enforcePlanFeatures } from './plans.js';
+import { limitGenerations } from './generation-limits.js';
+import { useKeyPool } from './key-pool.js';
 
 /**
  * @typedef {object} ServerStartupResult
@@ -133,6 +138,15 @@ export function redirectDeprecatedEndpoints(app) {
  * @param {import('express').Express} app The Express app to use
  */
 export function setupPrivateEndpoints(app) {
+    // Plan limits, rate limits and point billing must wrap the generation handlers, so they go before the routers
+    app.use(enforcePlanFeatures());
+    app.use(limitGenerations());
+    app.post('/api/backends/chat-completions/generate', enforcePlanGeneration(GENERATION_KINDS.CHAT), meterGeneration(GENERATION_KINDS.CHAT));
+    app.post('/api/backends/text-completions/generate', enforcePlanGeneration(GENERATION_KINDS.TEXT), meterGeneration(GENERATION_KINDS.TEXT));
+    app.post('/api/backends/kobold/generate', enforcePlanGeneration(GENERATION_KINDS.KOBOLD));
+    app.post('/api/novelai/generate', enforcePlanGeneration(GENERATION_KINDS.NOVEL));
+    app.post('/api/horde/generate-text', enforcePlanGeneration(GENERATION_KINDS.HORDE));
+
     app.use('/', userDataRouter);
     app.use('/api/users', usersPrivateRouter);
     app.use('/api/users', usersAdminRouter);
@@ -171,12 +185,13 @@ export function setupPrivateEndpoints(app) {
     app.use('/api/backends/text-completions', textCompletionsRouter);
     app.use('/api/openrouter', openRouterRouter);
     app.use('/api/backends/kobold', koboldRouter);
-    app.use('/api/backends/chat-completions', chatCompletionsRouter);
+    app.use('/api/backends/chat-completions', useKeyPool(), chatCompletionsRouter);
     app.use('/api/speech', speechRouter);
     app.use('/api/azure', azureRouter);
     app.use('/api/minimax', minimaxRouter);
     app.use('/api/data-maid', dataMaidRouter);
     app.use('/api/account', accountRouter);
+    app.use('/api/sync', syncRouter);
 }
 
 /**
@@ -0,0 +1,302 @@
+import crypto from 'node:crypto';
+
+import storage from 'node-persist';
+
+import { getSessionCookieAge } from './users.js';
+import { withLock } from './storage-lock.js';
+import { getConfigValue } from './util.js';
+import { getIpFromRequest, getRealIpFromHeader } from './express-common.js';
+
+const SESSION_PREFIX = 'session:';
+// Sessions older than this cutoff without a registry id are rejected, see sessionRegistryMiddleware
+const CUTOFF_PREFIX = 'session-cutoff:';
+// Most recent sign-in per user, kept after the session itself is gone
+const LAST_LOGIN_PREFIX = 'last-login:';
+const PREFER_REAL_IP_HEADER = getConfigValue('rateLimiting.preferRealIpHeader', false, 'boolean');
+// Last-seen info is written at most this often per session
+const TOUCH_INTERVAL = 60 * 1000;
+// Browser-session cookies (sessionTimeout: 0) have no age, their records expire after this much idle time
+const DEFAULT_IDLE_TIMEOUT = 7 * 24 * 60 * 60 * 1000;
+const MAX_USER_AGENT_LENGTH = 256;
+
+/**
+ * How a session was signed in.
+ */
+export const SESSION_METHODS = {
+    PASSWORD: 'password',
+    OAUTH: 'oauth',
+    REGISTER: 'register',
+    // Signed in before the registry existed
+    LEGACY: 'legacy',
+};
+
+/**
+ * A signed-in browser. The cookie only carries the id, so deleting the record logs the browser out.
+ * @typedef {Object} SessionRecord
+ * @property {string} id
+ * @property {string} handle
+ * @property {string} method One of SESSION_METHODS
+ * @property {number} createdAt Epoch ms
+ * @property {number} lastSeenAt Epoch ms
+ * @property {string} ip Address of the last request
+ * @property {string} userAgent User-Agent of the last request
+ */
+
+/**
+ * @typedef {Object} LastLogin
+ * @property {number} at Epoch ms
+ * @property {string} method One of SESSION_METHODS
+ * @property {string} ip
+ * @property {string} userAgent
+ */
+
+/**
+ * @param {string} id
+ * @returns {string}
+ */
+function toSessionKey(id) {
+    return `${SESSION_PREFIX}${id}`;
+}
+
+/**
+ * @param {import('express').Request} req
+ * @returns {{ip: string, userAgent: string}}
+ */
+function getClientInfo(req) {
+    return {
+        ip: PREFER_REAL_IP_HEADER ? getRealIpFromHeader(req) : getIpFromRequest(req),
+        userAgent: String(req.get('user-agent') || '').slice(0, MAX_USER_AGENT_LENGTH),
+    };
+}
+
+/**
+ * @param {SessionRecord} record
+ * @returns {boolean}
+ */
+function isExpired(record) {
+    return record.lastSeenAt + (getSessionCookieAge() ?? DEFAULT_IDLE_TIMEOUT) <= Date.now();
+}
+
+/**
+ * Short browser and system name for the session list, like "Chrome · Windows".
+ * @param {string} userAgent
+ * @returns {string}
+ */
+function describeUserAgent(userAgent) {
+    const browsers = [[/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'], [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari']];
+    const systems = [[/Windows/, 'Windows'], [/Android/, 'Android'], [/iPhone|iPad/, 'iOS'], [/Mac OS X/, 'macOS'], [/Linux/, 'Linux']];
+    const browser = browsers.find(([pattern]) => pattern.test(userAgent))?.[1];
+    const system = systems.find(([pattern]) => pattern.test(userAgent))?.[1];
+    return [browser, system].filter(Boolean).join(' · ') || '未知设备';
+}
+
+/**
+ * Signs a user in: stores the handle in the cookie and registers a new session for it.
+ * Must be used by every login path, so an older session id in the same cookie is never reused.
+ * @param {import('express').Request} req
+ * @param {string} handle
+ * @param {string} method One of SESSION_METHODS
+ * @returns {Promise<SessionRecord>}
+ */
+export async function startSession(req, handle, method) {
+    if (req.session?.sid) {
+        const previousKey = toSessionKey(req.session.sid);
+        await withLock(previousKey, () => storage.removeItem(previousKey));
+    }
+
+    const now = Date.now();
+    /** @type {SessionRecord} */
+    const record = {
+        id: crypto.randomBytes(16).toString('hex'),
+        handle,
+        method,
+        createdAt: now,
+        lastSeenAt: now,
+        ...getClientInfo(req),
+    };
+    const key = toSessionKey(record.id);
+    await withLock(key, () => storage.setItem(key, record));
+    /** @type {LastLogin} */
+    const lastLogin = { at: now, method, ip: record.ip, userAgent: record.userAgent };
+    await storage.setItem(`${LAST_LOGIN_PREFIX}${handle}`, lastLogin);
+
+    req.session.sid = record.id;
+    req.session.handle = handle;
+    req.session.touch = now;
+    return record;
+}
+
+/**
+ * Ends the current session on the server. The caller clears the cookie.
+ * @param {import('express').Request} req
+ * @returns {Promise<void>}
+ */
+export async function endSession(req) {
+    if (req.session?.sid) {
+        const key = toSessionKey(req.session.sid);
+        await withLock(key, () => storage.removeItem(key));
+    }
+}
+
+/**
+ * Session info shown to the user and to admins.
+ * @param {SessionRecord} record
+ * @param {string} [currentId] Session id of the viewer
+ * @returns {{id: string, device: string, ip: string, method: string, createdAt: number, lastSeenAt: number, current: boolean}}
+ */
+export function toPublicSession(record, currentId) {
+    return {
+        id: record.id,
+        device: describeUserAgent(record.userAgent),
+        ip: record.ip,
+        method: record.method,
+        createdAt: record.createdAt,
+        lastSeenAt: record.lastSeenAt,
+        current: !!currentId && record.id === currentId,
+    };
+}
+
+/**
+ * Gets the most recent sign-in of a user, for the admin user details.
+ * @param {string} handle
+ * @returns {Promise<(LastLogin & {device: string})|null>} Null for users who haven't signed in since this was recorded
+ */
+export async function getLastLogin(handle) {
+    /** @type {LastLogin|undefined} */
+    const lastLogin = await storage.getItem(`${LAST_LOGIN_PREFIX}${handle}`);
+    return lastLogin ? { ...lastLogin, device: describeUserAgent(lastLogin.userAgent) } : null;
+}
+
+/**
+ * Returns the live sessions of a user, most recently active first. Expired records are removed on the way.
+ * @param {string} handle
+ * @returns {Promise<SessionRecord[]>}
+ */
+export async function listSessions(handle) {
+    const keys = await storage.keys(x => x.key.startsWith(SESSION_PREFIX) && x.value?.handle === handle);
+    const sessions = [];
+    for (const key of keys) {
+        /** @type {SessionRecord|undefined} */
+        const record = await storage.getItem(key);
+        if (!record) continue;
+        if (isExpired(record)) {
+            await storage.removeItem(key);
+            continue;
+        }
+        sessions.push(record);
+    }
+    return sessions.sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+}
+
+/**
+ * Logs out one session of a user.
+ * @param {string} handle
+ * @param {string} id
+ * @returns {Promise<boolean>} False when the session doesn't exist or belongs to someone else
+ */
+export async function revokeSession(handle, id) {
+    const key = toSessionKey(String(id));
+    return withLock(key, async () => {
+        /** @type {SessionRecord|undefined} */
+        const record = await storage.getItem(key);
+        if (!record || record.handle !== handle) {
+            return false;
+        }
+        await storage.removeItem(key);
+        return true;
+    });
+}
+
+/**
+ * Checks that a session is still signed in, for connections that outlive a single request.
+ * @param {string} handle
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+export async function isSessionActive(handle, id) {
+    /** @type {SessionRecord|undefined} */
+    const record = await storage.getItem(toSessionKey(String(id)));
+    return !!record && record.handle === handle && !isExpired(record);
+}
+
+/**
+ * Logs out every session of a user, e.g. after a ban or a password change.
+ * Sessions from before the registry are cut off too.
+ * @param {string} handle
+ * @param {{except?: string}} [options] Session id to keep, usually the one making the change
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+export async function revokeSessions(handle, { except } = {}) {
+    await storage.setItem(`${CUTOFF_PREFIX}${handle}`, Date.now());
+    const keys = await storage.keys(x => x.key.startsWith(SESSION_PREFIX) && x.value?.handle === handle);
+    let count = 0;
+    for (const key of keys) {
+        if (except && key === toSessionKey(except)) continue;
+        await withLock(key, () => storage.removeItem(key));
+        count++;
+    }
+    if (count) {
+        console.info(`Revoked ${count} session(s) of user ${handle}`);
+    }
+    return count;
+}
+
+/**
+ * Drops the user from a request whose session was revoked.
+ * @param {import('express').Request} request
+ */
+function signOut(request) {
+    request.session.handle = null;
+    request.session.sid = null;
+    request.user = undefined;
+}
+
+/**
+ * Checks the signed-in user against the session registry. Revoked or expired sessions are
+ * signed out; live ones get their last-seen info updated. Cookies from before the registry
+ * existed are registered on their first request, unless the user's sessions were revoked since.
+ * Requests whose session can't be checked are refused rather than let through signed in.
+ * Must run after setUserDataMiddleware.
+ * @param {import('express').Request} request
+ * @param {import('express').Response} response
+ * @param {import('express').NextFunction} next
+ */
+export async function sessionRegistryMiddleware(request, response, next) {
+    const session = request.session;
+    if (!request.user || !session?.handle) {
+        return next();
+    }
+
+    try {
+        const handle = session.handle;
+        if (!session.sid) {
+            if (await storage.getItem(`${CUTOFF_PREFIX}${handle}`)) {
+                signOut(request);
+            } else {
+                await startSession(request, handle, SESSION_METHODS.LEGACY);
+            }
+            return next();
+        }
+
+        const key = toSessionKey(session.sid);
+        const valid = await withLock(key, async () => {
+            /** @type {SessionRecord|undefined} */
+            const record = await storage.getItem(key);
+            if (!record || record.handle !== handle || isExpired(record)) {
+                return false;
+            }
+            const client = getClientInfo(request);
+            if (Date.now() - record.lastSeenAt >= TOUCH_INTERVAL || client.ip !== record.ip) {
+                await storage.setItem(key, { ...record, ...client, lastSeenAt: Date.now() });
+            }
+            return true;
+        });
+        if (!valid) {
+            signOut(request);
+        }
+        return next();
+    } catch (error) {
+        console.error('Session registry check failed:', error);
+        return response.sendStatus(500);
+    }
+}
@@ -0,0 +1,92 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+import storage from 'node-persist';
+
+/**
+ * Keys held by the current async call chain. Lets nested helpers lock a key
+ * the caller already holds without deadlocking on themselves.
+ * @type {AsyncLocalStorage<Set<string>>}
+ */
+const heldKeys = new AsyncLocalStorage();
+
+/**
+ * Tail of the wait queue for each locked key.
+ * @type {Map<string, Promise<void>>}
+ */
+const queues = new Map();
+
+/**
+ * Waits for exclusive access to a single key.
+ * @param {string} key Storage key
+ * @returns {Promise<() => void>} Function that releases the key
+ */
+async function acquire(key) {
+    const previous = queues.get(key) ?? Promise.resolve();
+    /** @type {() => void} */
+    let release = () => {};
+    const current = new Promise(resolve => release = resolve);
+    const tail = previous.then(() => current);
+    queues.set(key, tail);
+
+    await previous;
+
+    return () => {
+        release();
+        if (queues.get(key) === tail) {
+            queues.delete(key);
+        }
+    };
+}
+
+/**
+ * Runs a function while holding exclusive access to one or more storage keys.
+ * Every read-modify-write of a shared record (account balances, redeem and invite codes)
+ * must happen inside this, otherwise concurrent requests can overwrite each other.
+ *
+ * Keys are acquired in sorted order, so lock every key an operation touches in a single call.
+ * Re-locking a key already held by the caller is a no-op.
+ * @template T
+ * @param {string|string[]} keys Storage key(s) to lock
+ * @param {() => Promise<T>|T} fn Critical section
+ * @returns {Promise<T>} Result of the critical section
+ */
+export async function withLock(keys, fn) {
+    const held = heldKeys.getStore() ?? new Set();
+    const needed = [...new Set(Array.isArray(keys) ? keys : [keys])]
+        .filter(key => !held.has(key))
+        .sort();
+
+    if (needed.length === 0) {
+        return await fn();
+    }
+
+    const releases = [];
+    try {
+        for (const key of needed) {
+            releases.push(await acquire(key));
+        }
+        return await heldKeys.run(new Set([...held, ...needed]), fn);
+    } finally {
+        releases.reverse().forEach(release => release());
+    }
+}
+
+/**
+ * Atomically updates a stored record.
+ * The updater receives the current value and returns the new one; returning undefined leaves the record untouched.
+ * @template T
+ * @param {string} key Storage key
+ * @param {(value: T|undefined) => Promise<T|undefined>|T|undefined} updater Produces the new value
+ * @returns {Promise<T|undefined>} The stored value after the update
+ */
+export async function updateItem(key, updater) {
+    return withLock(key, async () => {
+        const current = await storage.getItem(key);
+        const next = await updater(current);
+        if (next === undefined) {
+            return current;
+        }
+        await storage.setItem(key, next);
+        return next;
+    });
+}
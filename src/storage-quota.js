@@ -0,0 +1,326 @@
+import { promises as fsPromises } from 'node:fs';
+import path from 'node:path';
+
+import storage from 'node-persist';
+
+import { getOrInitState } from './endpoints/account.js';
+import { getPlansConfig, resolveAccountPlan } from './plans.js';
+import { getUserDirectories } from './users.js';
+import { withLock } from './storage-lock.js';
+import { formatBytes, getConfigValue } from './util.js';
+
+const USAGE_PREFIX = 'storage-usage:';
+const BYTES_PER_MB = 1024 * 1024;
+/**
+ * Server-wide default quota in MB, used when neither the user nor their plan sets one. 0 means unlimited.
+ */
+const DEFAULT_QUOTA_MB = getConfigValue('storageQuota.defaultMb', 0, 'number');
+// Counters only see writes through the tracked endpoints, a full rescan picks up everything else
+const RESCAN_INTERVAL = 24 * 60 * 60 * 1000;
+// Before rejecting a write the usage is rescanned, at most this often per user, so deleted files are counted out
+const RECHECK_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Type of the quota rejection, sent as `error.type` in 413 responses.
+ */
+export const STORAGE_QUOTA_ERROR = 'storage_quota';
+
+/**
+ * Disk usage counter of a user's data directory.
+ * @typedef {Object} StorageUsage
+ * @property {number} bytes
+ * @property {number} scannedAt Epoch ms of the last full scan
+ */
+
+/**
+ * Users whose directory is being scanned in the background.
+ * @type {Set<string>}
+ */
+const scansInProgress = new Set();
+
+/**
+ * Bytes of writes that passed the quota check but aren't in the usage counter yet, by user.
+ * @type {Map<string, number>}
+ */
+const reservedBytes = new Map();
+
+/**
+ * Bytes each request has reserved. Released when the write is recorded or the response closes.
+ * @type {WeakMap<import('express').Request, number>}
+ */
+const requestReservations = new WeakMap();
+
+/**
+ * @param {string} handle
+ * @returns {string}
+ */
+function toUsageKey(handle) {
+    return `${USAGE_PREFIX}${handle}`;
+}
+
+/**
+ * Size of a file, or of everything inside a directory.
+ * @param {string} targetPath
+ * @returns {Promise<number>} Bytes, 0 when the path doesn't exist
+ */
+export async function getPathSize(targetPath) {
+    let stats;
+    try {
+        stats = await fsPromises.stat(targetPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+
+    if (!stats.isDirectory()) {
+        return stats.size;
+    }
+
+    let total = 0;
+    for (const entry of await fsPromises.readdir(targetPath)) {
+        total += await getPathSize(path.join(targetPath, entry));
+    }
+    return total;
+}
+
+/**
+ * Works out the storage quota of an account in MB.
+ * A per-user override wins over the plan, and the plan wins over the server default.
+ * @param {import('./endpoints/account.js').AccountState} state
+ * @param {import('./plans.js').Plan} plan Plan that currently applies to the account
+ * @returns {number} 0 for unlimited
+ */
+export function resolveStorageQuota(state, plan) {
+    return state.storageQuotaMb ?? plan.storageQuotaMb ?? DEFAULT_QUOTA_MB;
+}
+
+/**
+ * Gets the storage quota of a user.
+ * @param {string} handle
+ * @returns {Promise<number>} Bytes, 0 for unlimited
+ */
+export async function getUserStorageQuota(handle) {
+    const [state, plansConfig] = await Promise.all([getOrInitState(handle), getPlansConfig()]);
+    const { plan } = resolveAccountPlan(state, plansConfig);
+    return resolveStorageQuota(state, plan) * BYTES_PER_MB;
+}
+
+/**
+ * Measures the user's data directory from scratch and stores the result.
+ * @param {string} handle
+ * @returns {Promise<StorageUsage>}
+ */
+export async function rescanStorageUsage(handle) {
+    const bytes = await getPathSize(getUserDirectories(handle).root);
+    /** @type {StorageUsage} */
+    const usage = { bytes, scannedAt: Date.now() };
+    await withLock(toUsageKey(handle), () => storage.setItem(toUsageKey(handle), usage));
+    return usage;
+}
+
+/**
+ * Gets the usage counter of a user. The directory is scanned when there's no counter yet,
+ * and rescanned in the background when the last scan is old.
+ * @param {string} handle
+ * @returns {Promise<StorageUsage>}
+ */
+export async function getStorageUsage(handle) {
+    /** @type {StorageUsage|undefined} */
+    const usage = await storage.getItem(toUsageKey(handle));
+    if (!usage) {
+        return rescanStorageUsage(handle);
+    }
+
+    if (Date.now() - usage.scannedAt >= RESCAN_INTERVAL && !scansInProgress.has(handle)) {
+        scansInProgress.add(handle);
+        rescanStorageUsage(handle)
+            .catch(error => console.error(`Storage rescan of ${handle} failed:`, error))
+            .finally(() => scansInProgress.delete(handle));
+    }
+    return usage;
+}
+
+/**
+ * Drops the usage counter of a user, so the next read scans the directory again.
+ * Used after the directory was changed wholesale, e.g. by an account merge or a purge.
+ * @param {string} handle
+ * @returns {Promise<void>}
+ */
+export async function invalidateStorageUsage(handle) {
+    await withLock(toUsageKey(handle), () => storage.removeItem(toUsageKey(handle)));
+}
+
+/**
+ * Releases the bytes a request reserved for its write, if any.
+ * @param {import('express').Request} request
+ */
+function releaseStorageReservation(request) {
+    const bytes = requestReservations.get(request);
+    if (bytes === undefined) {
+        return;
+    }
+
+    requestReservations.delete(request);
+    const handle = request.user.profile.handle;
+    const remaining = (reservedBytes.get(handle) ?? 0) - bytes;
+    if (remaining > 0) {
+        reservedBytes.set(handle, remaining);
+    } else {
+        reservedBytes.delete(handle);
+    }
+}
+
+/**
+ * Adds a change to the usage counter of the requesting user and releases the bytes the request reserved.
+ * Users without a counter are left alone, their first read scans anyway.
+ * @param {import('express').Request} request
+ * @param {number} delta Bytes, negative for freed space
+ * @returns {Promise<void>}
+ */
+export async function recordStorageChange(request, delta) {
+    const handle = request.user.profile.handle;
+    const key = toUsageKey(handle);
+    try {
+        await withLock(key, async () => {
+            /** @type {StorageUsage|undefined} */
+            const usage = await storage.getItem(key);
+            if (usage && delta !== 0) {
+                await storage.setItem(key, { ...usage, bytes: Math.max(0, usage.bytes + delta) });
+            }
+        });
+    } catch (error) {
+        console.error(`Storage usage update of ${handle} failed:`, error);
+    } finally {
+        releaseStorageReservation(request);
+    }
+}
+
+/**
+ * Starts tracking a write or delete in the user's data directory. Call the returned function
+ * once the change is done to add the size difference of the path to the user's usage counter.
+ * @param {import('express').Request} request
+ * @param {string} targetPath File or directory that is about to change
+ * @returns {Promise<() => Promise<void>>}
+ */
+export async function trackStorageChange(request, targetPath) {
+    const before = await getPathSize(targetPath);
+    return async () => {
+        try {
+            await recordStorageChange(request, await getPathSize(targetPath) - before);
+        } catch (error) {
+            console.error(`Storage usage update of ${request.user.profile.handle} failed:`, error);
+        }
+    };
+}
+
+/**
+ * Checks whether a write of the given size fits in the user's quota, next to the writes other requests have reserved.
+ * A stale counter is rescanned once before saying no.
+ * @param {string} handle
+ * @param {number} incomingBytes
+ * @returns {Promise<{allowed: boolean, usage: number, quota: number}>} Usage includes the reserved bytes, quota is 0 for unlimited
+ */
+export async function checkStorageQuota(handle, incomingBytes) {
+    const quota = await getUserStorageQuota(handle);
+    if (quota <= 0) {
+        return { allowed: true, usage: 0, quota };
+    }
+
+    let usage = await getStorageUsage(handle);
+    const reserved = reservedBytes.get(handle) ?? 0;
+    if (usage.bytes + reserved + incomingBytes > quota && Date.now() - usage.scannedAt >= RECHECK_INTERVAL) {
+        usage = await rescanStorageUsage(handle);
+    }
+    return { allowed: usage.bytes + reserved + incomingBytes <= quota, usage: usage.bytes + reserved, quota };
+}
+
+/**
+ * Checks a write against the requesting user's quota and holds its size until the write is recorded
+ * with trackStorageChange or recordStorageChange, so parallel requests can't pass the check with the same free space.
+ * Replaces what the request reserved before, e.g. the compressed size of an upload that is unpacked.
+ * The reservation is also released when the response closes.
+ * @param {import('express').Request} request
+ * @param {import('express').Response} response
+ * @param {number} incomingBytes
+ * @returns {Promise<{allowed: boolean, usage: number, quota: number}>} Same as checkStorageQuota
+ */
+export async function reserveStorage(request, response, incomingBytes) {
+    const handle = request.user.profile.handle;
+    return withLock(toUsageKey(handle), async () => {
+        releaseStorageReservation(request);
+        const result = await checkStorageQuota(handle, incomingBytes);
+        if (result.allowed && result.quota > 0 && incomingBytes > 0) {
+            requestReservations.set(request, incomingBytes);
+            reservedBytes.set(handle, (reservedBytes.get(handle) ?? 0) + incomingBytes);
+            response.once('close', () => releaseStorageReservation(request));
+        }
+        return result;
+    });
+}
+
+/**
+ * Sends the 413 response for a write that doesn't fit in the user's quota.
+ * @param {import('express').Response} response
+ * @param {number} usage Bytes in use
+ * @param {number} quota Bytes allowed
+ */
+export function sendStorageQuotaError(response, usage, quota) {
+    return response.status(413).json({
+        error: {
+            message: `存储空间不足：已使用 ${formatBytes(usage)}，配额 ${formatBytes(quota)}，请删除部分文件后再试`,
+            type: STORAGE_QUOTA_ERROR,
+        },
+        usage,
+        quota,
+    });
+}
+
+/**
+ * Removes the uploaded file of a request that won't be handled.
+ * @param {import('express').Request} request
+ * @returns {Promise<void>}
+ */
+async function removeUpload(request) {
+    if (request.file?.path) {
+        await fsPromises.rm(request.file.path, { force: true });
+    }
+}
+
+/**
+ * Creates a middleware that rejects writes which would take the user over their storage quota,
+ * and reserves the size of the ones that fit until the route records them.
+ * The incoming size is the uploaded file, or the request body for JSON writes.
+ * When the quota can't be checked the write is refused.
+ * @param {(request: import('express').Request) => string} [getTargetPath] File the request overwrites,
+ * its current size is subtracted so shrinking or same-size saves always pass
+ * @returns {import('express').RequestHandler}
+ */
+export function enforceStorageQuota(getTargetPath) {
+    return async function (request, response, next) {
+        try {
+            if (!request.user) {
+                return next();
+            }
+
+            let incomingBytes = request.file?.size ?? (Number(request.get('content-length')) || 0);
+            if (getTargetPath) {
+                incomingBytes -= await getPathSize(getTargetPath(request));
+            }
+            if (incomingBytes <= 0) {
+                return next();
+            }
+
+            const { allowed, usage, quota } = await reserveStorage(request, response, incomingBytes);
+            if (allowed) {
+                return next();
+            }
+
+            await removeUpload(request);
+            return sendStorageQuotaError(response, usage, quota);
+        } catch (error) {
+            console.error('Storage quota check failed:', error);
+            await removeUpload(request).catch(() => {});
+            return response.status(500).json({ error: { message: '存储空间校验失败，请稍后重试' } });
+        }
+    };
+}
@@ -0,0 +1,212 @@
+import { getConfigValue } from './util.js';
+import { isSessionActive } from './sessions.js';
+
+/**
+ * Kinds of changes pushed to the other tabs and devices of a user.
+ * @enum {string}
+ * @readonly
+ */
+export const SYNC_EVENTS = Object.freeze({
+    CHAT: 'chat',
+    SETTINGS: 'settings',
+    CHARACTER: 'character',
+    WORLD_INFO: 'worldinfo',
+    /**
+     * Sent instead of the missed events when a stream reconnects too late to replay them.
+     */
+    RESYNC: 'resync',
+});
+
+/**
+ * Request header with the id of the tab that made a change. The tab doesn't get its own changes pushed back.
+ */
+export const CLIENT_ID_HEADER = 'X-Client-Id';
+
+const isSyncEnabled = !!getConfigValue('sync.enabled', true, 'boolean');
+const HEARTBEAT_INTERVAL = Math.max(1000, Number(getConfigValue('sync.heartbeatInterval', 30_000, 'number')) || 30_000);
+const MAX_STREAMS_PER_USER = Math.max(1, Number(getConfigValue('sync.maxStreamsPerUser', 20, 'number')) || 20);
+/**
+ * Recent events kept per user, replayed to streams that reconnect after missing them.
+ */
+const REPLAY_SIZE = 100;
+const MAX_CLIENT_ID_LENGTH = 64;
+
+/**
+ * @typedef {Object} SyncStream
+ * @property {import('express').Response} response
+ * @property {string} clientId
+ * @property {string|null} sessionId
+ */
+
+/**
+ * @typedef {Object} SyncEvent
+ * @property {number} id Increasing per user
+ * @property {string} type One of SYNC_EVENTS
+ * @property {string} data Serialized payload
+ * @property {string} origin Client id of the tab that made the change
+ */
+
+/**
+ * @typedef {Object} UserChannel
+ * @property {Set<SyncStream>} streams
+ * @property {SyncEvent[]} recent Up to REPLAY_SIZE events, oldest first
+ * @property {number} lastId
+ */
+
+/** @type {Map<string, UserChannel>} */
+const channels = new Map();
+
+/**
+ * @param {string} handle
+ * @returns {UserChannel}
+ */
+function getChannel(handle) {
+    let channel = channels.get(handle);
+    if (!channel) {
+        // Event ids start at the current time so they keep increasing across server restarts
+        channel = { streams: new Set(), recent: [], lastId: Date.now() };
+        channels.set(handle, channel);
+    }
+    return channel;
+}
+
+/**
+ * Normalizes a client id sent by a tab.
+ * @param {unknown} value
+ * @returns {string}
+ */
+function toClientId(value) {
+    return typeof value === 'string' ? value.slice(0, MAX_CLIENT_ID_LENGTH) : '';
+}
+
+/**
+ * Gets the id of the tab that sent a request.
+ * @param {import('express').Request} request
+ * @returns {string} Empty if the request didn't come from a tab that listens for changes
+ */
+export function getSyncClientId(request) {
+    return toClientId(request.get(CLIENT_ID_HEADER));
+}
+
+/**
+ * @param {SyncStream} stream
+ * @param {SyncEvent} event
+ */
+function writeEvent(stream, event) {
+    if (event.origin && event.origin === stream.clientId) {
+        return;
+    }
+    stream.response.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${event.data}\n\n`);
+    // Let the compression middleware send the event right away
+    // @ts-ignore
+    stream.response.flush?.();
+}
+
+/**
+ * Pushes a change to every other open tab of the user who made it.
+ * @param {import('express').Request} request Request that made the change
+ * @param {string} type One of SYNC_EVENTS
+ * @param {object} [data] What changed
+ */
+export function broadcastSyncEvent(request, type, data = {}) {
+    const handle = request.user?.profile?.handle;
+    if (!isSyncEnabled || !handle) {
+        return;
+    }
+
+    const channel = getChannel(handle);
+    /** @type {SyncEvent} */
+    const event = { id: ++channel.lastId, type, data: JSON.stringify(data), origin: getSyncClientId(request) };
+    channel.recent.push(event);
+    if (channel.recent.length > REPLAY_SIZE) {
+        channel.recent.shift();
+    }
+
+    for (const stream of channel.streams) {
+        try {
+            writeEvent(stream, event);
+        } catch (error) {
+            console.warn(`Could not push a ${type} change to user ${handle}`, error);
+        }
+    }
+}
+
+/**
+ * Turns a request into a stream of the changes the user makes elsewhere. A stream that reconnects
+ * with Last-Event-ID gets the events it missed, or a resync event if they are no longer kept.
+ * The stream ends when the client goes away or its session is signed out.
+ * @param {import('express').Request} request
+ * @param {import('express').Response} response
+ */
+export function openSyncStream(request, response) {
+    const handle = request.user.profile.handle;
+    const channel = getChannel(handle);
+
+    /** @type {SyncStream} */
+    const stream = {
+        response,
+        clientId: toClientId(request.query.client),
+        sessionId: request.session?.sid ?? null,
+    };
+
+    // Too many tabs: drop the oldest stream, its tab reconnects if it's still open
+    if (channel.streams.size >= MAX_STREAMS_PER_USER) {
+        const [oldest] = channel.streams;
+        channel.streams.delete(oldest);
+        oldest.response.end();
+    }
+
+    response.status(200);
+    response.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    response.flushHeaders();
+    response.write('retry: 5000\n: connected\n\n');
+
+    const lastEventId = Number(request.get('Last-Event-ID'));
+    if (Number.isInteger(lastEventId) && lastEventId > 0 && lastEventId < channel.lastId) {
+        const missed = channel.recent.filter(event => event.id > lastEventId);
+        if (missed.length === channel.lastId - lastEventId) {
+            missed.forEach(event => writeEvent(stream, event));
+        } else {
+            writeEvent(stream, { id: channel.lastId, type: SYNC_EVENTS.RESYNC, data: '{}', origin: '' });
+        }
+    }
+    // @ts-ignore
+    response.flush?.();
+    channel.streams.add(stream);
+
+    const heartbeat = setInterval(async () => {
+        try {
+            if (stream.sessionId && !await isSessionActive(handle, stream.sessionId)) {
+                return response.end();
+            }
+            response.write(': ping\n\n');
+            // @ts-ignore
+            response.flush?.();
+        } catch (error) {
+            console.warn('Sync stream heartbeat failed', error);
+            response.end();
+        }
+    }, HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+
+    response.on('close', () => {
+        clearInterval(heartbeat);
+        channel.streams.delete(stream);
+        if (channel.streams.size === 0 && channel.recent.length === 0) {
+            channels.delete(handle);
+        }
+    });
+}
+
+/**
+ * Checks whether pushing changes is turned on in the config.
+ * @returns {boolean}
+ */
+export function isSyncAvailable() {
+    return isSyncEnabled;
+}
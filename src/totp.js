@@ -0,0 +1,211 @@
+import crypto from 'node:crypto';
+
+import { getConfigValue } from './util.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from the neighbouring time steps are accepted too, to allow for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+// A pending second step (password accepted, code not yet entered) is dropped after this long
+const PENDING_LOGIN_TTL = 5 * 60 * 1000;
+
+/**
+ * Two-factor settings stored on a user or admin operator record.
+ * @typedef {Object} TwoFactorState
+ * @property {string} secret Base32 TOTP secret
+ * @property {number} enabledAt Epoch ms
+ * @property {number} lastStep Last accepted time step, so a code can't be replayed
+ * @property {string[]} recoveryCodes SHA-256 hashes of the unused recovery codes
+ */
+
+/**
+ * A login that passed the password check and waits for the second step. Kept in the session.
+ * @typedef {Object} PendingLogin
+ * @property {'user'|'admin'} type
+ * @property {string} id User handle or operator username
+ * @property {string} [setupSecret] Secret being enrolled, for admins that must set up two-factor before their first login
+ * @property {string} [method] How the user signed in before the second step, one of SESSION_METHODS
+ * @property {number} expiresAt Epoch ms
+ */
+
+/**
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function toBase32(buffer) {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+    return (bits.match(/.{1,5}/g) || []).map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+}
+
+/**
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function fromBase32(value) {
+    let bits = '';
+    for (const char of value.toUpperCase().replace(/[\s=]/g, '')) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        bits += index.toString(2).padStart(5, '0');
+    }
+    return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+}
+
+/**
+ * @param {string} code
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+}
+
+/**
+ * Creates a random 160-bit TOTP secret.
+ * @returns {string} Base32 secret
+ */
+export function generateTotpSecret() {
+    return toBase32(crypto.randomBytes(20));
+}
+
+/**
+ * Builds the otpauth:// URI shown as a QR code to authenticator apps.
+ * @param {string} secret Base32 secret
+ * @param {string} account Account name shown in the app
+ * @param {string} [issuer] Defaults to twoFactor.issuer from the config
+ * @returns {string}
+ */
+export function getTotpUri(secret, account, issuer = getConfigValue('twoFactor.issuer', 'Chloe')) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(TOTP_DIGITS), period: String(TOTP_PERIOD_SECONDS) });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * @param {number} [time] Epoch ms
+ * @returns {number}
+ */
+function getTimeStep(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Computes the RFC 6238 code of a time step.
+ * @param {string} secret Base32 secret
+ * @param {number} [step] Defaults to the current time step
+ * @returns {string}
+ */
+export function generateTotpCode(secret, step = getTimeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeUInt32BE(Math.floor(step / 2 ** 32), 0);
+    counter.writeUInt32BE(step % 2 ** 32, 4);
+    const digest = crypto.createHmac('sha1', fromBase32(secret)).update(counter).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const value = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Checks a TOTP code against the current time steps.
+ * @param {string} secret Base32 secret
+ * @param {string} code
+ * @param {number} [lastStep] Steps up to this one were already used and are rejected
+ * @returns {number|null} The matching time step
+ */
+export function verifyTotpCode(secret, code, lastStep = -1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+    const current = getTimeStep();
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+        const expected = generateTotpCode(secret, step);
+        if (step > lastStep && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Creates a set of single-use recovery codes.
+ * @returns {{codes: string[], hashes: string[]}} Codes to show once and the hashes to store
+ */
+export function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-'));
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Finishes enrollment: the user proved their app works by entering a code for the new secret.
+ * @param {string} secret Base32 secret being enrolled
+ * @param {string} code Code from the authenticator app
+ * @returns {{state: TwoFactorState, recoveryCodes: string[]}|null} Null when the code doesn't match
+ */
+export function enrollTwoFactor(secret, code) {
+    const step = verifyTotpCode(secret, code);
+    if (step === null) {
+        return null;
+    }
+    const { codes, hashes } = generateRecoveryCodes();
+    return {
+        state: { secret, enabledAt: Date.now(), lastStep: step, recoveryCodes: hashes },
+        recoveryCodes: codes,
+    };
+}
+
+/**
+ * Checks the second factor: a TOTP code or one of the recovery codes. A used recovery code is
+ * removed and the accepted TOTP step remembered, so the caller must save the state afterwards.
+ * @param {TwoFactorState} state Updated in place
+ * @param {string} code
+ * @returns {'totp'|'recovery'|null} What was accepted
+ */
+export function verifySecondFactor(state, code) {
+    const step = verifyTotpCode(state.secret, code, state.lastStep ?? -1);
+    if (step !== null) {
+        state.lastStep = step;
+        return 'totp';
+    }
+
+    const hash = hashRecoveryCode(code);
+    const index = String(code || '').length >= 10 ? (state.recoveryCodes || []).indexOf(hash) : -1;
+    if (index !== -1) {
+        state.recoveryCodes.splice(index, 1);
+        return 'recovery';
+    }
+    return null;
+}
+
+/**
+ * Starts the second login step in the session.
+ * @param {any} session
+ * @param {Omit<PendingLogin, 'expiresAt'>} login
+ */
+export function setPendingLogin(session, login) {
+    session.pendingLogin = { ...login, expiresAt: Date.now() + PENDING_LOGIN_TTL };
+}
+
+/**
+ * Returns the pending second login step of a given type, dropping it when it has expired.
+ * @param {any} session
+ * @param {'user'|'admin'} type
+ * @returns {PendingLogin|null}
+ */
+export function getPendingLogin(session, type) {
+    const pending = session?.pendingLogin;
+    if (!pending || pending.type !== type) {
+        return null;
+    }
+    if (pending.expiresAt <= Date.now()) {
+        session.pendingLogin = null;
+        return null;
+    }
+    return pending;
+}
@@ -0,0 +1,322 @@
+import fs from 'node:fs';
+import { promises as fsPromises } from 'node:fs';
+
+import storage from 'node-persist';
+
+import { getUserDirectories, toKey } from './users.js';
+import { roundPoints } from './endpoints/account.js';
+import { getPlansConfig, resolveAccountPlan, assignPlan } from './plans.js';
+import { resolveGenerationLimits } from './generation-limits.js';
+import { resolveStorageQuota, getStorageUsage, invalidateStorageUsage } from './storage-quota.js';
+import { recordTransaction, LEDGER_REASONS } from './ledger.js';
+import { getLastLogin, revokeSessions } from './sessions.js';
+import { withLock } from './storage-lock.js';
+import { escapeCsvValue } from './audit-log.js';
+import { deleteChatSearchIndex } from './chat-search.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+/**
+ * Most users a single bulk action may touch.
+ */
+export const MAX_BULK_USERS = 1000;
+
+/**
+ * @typedef {Object} UserRow
+ * @property {string} handle
+ * @property {string} name
+ * @property {string} email
+ * @property {boolean} enabled
+ * @property {boolean} admin
+ * @property {boolean} twoFactorEnabled
+ * @property {boolean} pending Imported account that hasn't been claimed with its invite code yet
+ * @property {number} created
+ * @property {number|null} lastActiveAt Latest of the last sign-in and the last check-in, null when unknown
+ * @property {number} points
+ * @property {boolean} accessOn
+ * @property {string} plan
+ * @property {string} planName
+ * @property {number|null} planExpiresAt
+ * @property {object|null} generationLimits
+ * @property {object} effectiveLimits
+ * @property {number} storageSize
+ * @property {number|null} storageQuotaMb
+ * @property {number} effectiveStorageQuotaMb
+ */
+
+/**
+ * Criteria that select users for a bulk action. Unset criteria match everyone.
+ * @typedef {Object} UserFilter
+ * @property {number} [inactiveDays] Users not active for more than this many days
+ * @property {string} [plan] Plan id
+ * @property {'enabled'|'banned'} [status]
+ * @property {string} [search] Part of the handle or name
+ */
+
+function toAccountKey(handle) {
+    return `account:${handle}`;
+}
+
+/**
+ * Lists all users as shown in the admin user table, newest first.
+ * @returns {Promise<UserRow[]>}
+ */
+export async function listUserRows() {
+    const keys = await storage.keys(x => x.key.startsWith('user:'));
+    const plansConfig = await getPlansConfig();
+    const rows = [];
+
+    for (const key of keys) {
+        const user = await storage.getItem(key);
+        if (!user) continue;
+
+        const account = await storage.getItem(toAccountKey(user.handle));
+        const { bytes } = await getStorageUsage(user.handle);
+        const { plan, expiresAt: planExpiresAt } = resolveAccountPlan(account || {}, plansConfig);
+        const activity = [(await getLastLogin(user.handle))?.at, account?.lastCheckInAt].filter(Boolean);
+
+        rows.push({
+            handle: user.handle,
+            name: user.name,
+            email: user.email || '',
+            enabled: user.enabled,
+            admin: user.admin,
+            twoFactorEnabled: !!user.twoFactor,
+            pending: !!user.pendingInvite,
+            created: user.created,
+            lastActiveAt: activity.length ? Math.max(...activity) : null,
+            points: account?.points || 0,
+            accessOn: account?.accessOn || false,
+            plan: plan.id,
+            planName: plan.name,
+            planExpiresAt,
+            generationLimits: account?.generationLimits ?? null,
+            effectiveLimits: resolveGenerationLimits(account || {}, plan),
+            storageSize: bytes,
+            storageQuotaMb: account?.storageQuotaMb ?? null,
+            effectiveStorageQuotaMb: resolveStorageQuota(account || {}, plan),
+        });
+    }
+
+    return rows.sort((a, b) => (b.created || 0) - (a.created || 0));
+}
+
+/**
+ * Validates and normalizes a user filter submitted by an admin.
+ * @param {any} input
+ * @returns {UserFilter}
+ * @throws {Error} If the filter is invalid. The message is safe to show to the admin.
+ */
+export function validateUserFilter(input) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('无效的筛选条件');
+    }
+
+    /** @type {UserFilter} */
+    const filter = {};
+    if (input.inactiveDays !== undefined && input.inactiveDays !== null && input.inactiveDays !== '') {
+        if (!Number.isInteger(input.inactiveDays) || input.inactiveDays <= 0 || input.inactiveDays > 3650) {
+            throw new Error('未活跃天数必须在 1-3650 之间');
+        }
+        filter.inactiveDays = input.inactiveDays;
+    }
+    if (input.plan) {
+        filter.plan = String(input.plan);
+    }
+    if (input.status) {
+        if (!['enabled', 'banned'].includes(input.status)) {
+            throw new Error('无效的用户状态');
+        }
+        filter.status = input.status;
+    }
+    if (typeof input.search === 'string' && input.search.trim()) {
+        filter.search = input.search.trim().toLowerCase();
+    }
+    return filter;
+}
+
+/**
+ * Checks whether a user matches a filter. Users who were never active count from their creation.
+ * @param {UserRow} row
+ * @param {UserFilter} filter
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function matchesUserFilter(row, filter, now = Date.now()) {
+    if (filter.inactiveDays && now - (row.lastActiveAt ?? row.created ?? 0) <= filter.inactiveDays * MS_PER_DAY) {
+        return false;
+    }
+    if (filter.plan && row.plan !== filter.plan) {
+        return false;
+    }
+    if (filter.status && (filter.status === 'enabled') !== (row.enabled !== false)) {
+        return false;
+    }
+    if (filter.search && !`${row.handle}\n${row.name || ''}`.toLowerCase().includes(filter.search)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Resolves the users a bulk action applies to: the given handles, or everyone matching the filter.
+ * Admin users are never selected by a filter.
+ * @param {{handles?: any, filter?: any}} input
+ * @returns {Promise<string[]>}
+ * @throws {Error} If nothing or too much was selected. The message is safe to show to the admin.
+ */
+export async function resolveBulkTargets({ handles, filter }) {
+    let targets;
+    if (Array.isArray(handles) && handles.length) {
+        const existing = new Set((await storage.keys(x => x.key.startsWith('user:'))).map(key => key.slice('user:'.length)));
+        targets = [...new Set(handles.map(handle => String(handle).toLowerCase()))].filter(handle => existing.has(handle));
+    } else if (filter) {
+        const criteria = validateUserFilter(filter);
+        if (!Object.keys(criteria).length) {
+            throw new Error('请至少设置一个筛选条件');
+        }
+        const now = Date.now();
+        targets = (await listUserRows()).filter(row => !row.admin && matchesUserFilter(row, criteria, now)).map(row => row.handle);
+    } else {
+        throw new Error('请选择用户或设置筛选条件');
+    }
+
+    if (!targets.length) {
+        throw new Error('没有符合条件的用户');
+    }
+    if (targets.length > MAX_BULK_USERS) {
+        throw new Error(`一次最多操作 ${MAX_BULK_USERS} 个用户，请缩小筛选范围`);
+    }
+    return targets;
+}
+
+/**
+ * Adds, subtracts or sets the points of a user.
+ * @param {string} handle
+ * @param {'add'|'subtract'|'set'} action
+ * @param {number} amount
+ * @param {string} actor Admin actor recorded in the ledger
+ * @returns {Promise<{oldPoints: number, points: number}|null>} Null when the account doesn't exist
+ */
+export async function changeUserPoints(handle, action, amount, actor) {
+    const accountKey = toAccountKey(handle);
+    return withLock(accountKey, async () => {
+        const account = await storage.getItem(accountKey);
+        if (!account) {
+            return null;
+        }
+
+        const oldPoints = account.points || 0;
+        const newPoints = action === 'add' ? oldPoints + amount : action === 'subtract' ? Math.max(0, oldPoints - amount) : amount;
+        account.points = roundPoints(newPoints);
+        await storage.setItem(accountKey, account);
+
+        const reasons = { add: LEDGER_REASONS.ADMIN_ADD, subtract: LEDGER_REASONS.ADMIN_SUBTRACT, set: LEDGER_REASONS.ADMIN_SET };
+        await recordTransaction({ handle, delta: account.points - oldPoints, balance: account.points, reason: reasons[action], actor });
+        return { oldPoints, points: account.points };
+    });
+}
+
+/**
+ * Puts a user on a plan starting now, replacing the current one.
+ * @param {string} handle
+ * @param {string|null} planId Null returns the user to the default plan
+ * @param {number|null} days
+ * @returns {Promise<{from: {plan: string|null, expiresAt: number|null}, account: import('./endpoints/account.js').AccountState}|null>} Null when the account doesn't exist
+ */
+export async function setUserPlan(handle, planId, days) {
+    const accountKey = toAccountKey(handle);
+    return withLock(accountKey, async () => {
+        const account = await storage.getItem(accountKey);
+        if (!account) {
+            return null;
+        }
+
+        const from = { plan: account.plan ?? null, expiresAt: account.planExpiresAt ?? null };
+        // 管理员设置的套餐从现在起计算，而不是在原有期限上叠加
+        account.plan = null;
+        account.planExpiresAt = null;
+        assignPlan(account, planId, days);
+        await storage.setItem(accountKey, account);
+        return { from, account };
+    });
+}
+
+/**
+ * Bans or unbans a user. Banning signs the user out everywhere.
+ * @param {string} handle
+ * @param {boolean} enabled
+ * @returns {Promise<{changed: boolean, sessionsRevoked?: number}|null>} Null when the user doesn't exist
+ */
+export async function setUserEnabled(handle, enabled) {
+    const userKey = toKey(handle);
+    return withLock(userKey, async () => {
+        const user = await storage.getItem(userKey);
+        if (!user) {
+            return null;
+        }
+        if (user.enabled === enabled) {
+            return { changed: false };
+        }
+
+        user.enabled = enabled;
+        await storage.setItem(userKey, user);
+        // 封禁立即生效：已登录的设备全部下线，解封后也需要重新登录
+        return enabled ? { changed: true } : { changed: true, sessionsRevoked: await revokeSessions(handle) };
+    });
+}
+
+/**
+ * Deletes the data directory of a user and resets the account's points and access.
+ * @param {string} handle
+ * @param {string} actor Admin actor recorded in the ledger
+ * @returns {Promise<void>}
+ */
+export async function deleteUserData(handle, actor) {
+    const directories = getUserDirectories(handle);
+    if (fs.existsSync(directories.root)) {
+        await fsPromises.rm(directories.root, { recursive: true, force: true });
+    }
+    await invalidateStorageUsage(handle);
+    await deleteChatSearchIndex(handle);
+
+    const accountKey = toAccountKey(handle);
+    await withLock(accountKey, async () => {
+        const account = await storage.getItem(accountKey);
+        if (account) {
+            const oldPoints = account.points || 0;
+            account.points = 0;
+            account.accessOn = false;
+            account.lastCheckInDate = '';
+            await storage.setItem(accountKey, account);
+            await recordTransaction({ handle, delta: -oldPoints, balance: 0, reason: LEDGER_REASONS.ADMIN_RESET, actor });
+        }
+    });
+}
+
+function toIsoTime(ts) {
+    return ts ? new Date(ts).toISOString() : '';
+}
+
+/**
+ * Serializes the user table as CSV with a header row.
+ * @param {UserRow[]} rows
+ * @returns {string}
+ */
+export function toUsersCsv(rows) {
+    const header = ['handle', 'name', 'email', 'status', 'plan', 'planExpiresAt', 'points', 'accessOn', 'storageBytes', 'created', 'lastActiveAt'];
+    const lines = rows.map(row => [
+        row.handle,
+        row.name,
+        row.email,
+        row.pending ? 'pending' : row.enabled === false ? 'banned' : 'enabled',
+        row.plan,
+        toIsoTime(row.planExpiresAt),
+        row.points,
+        row.accessOn,
+        row.storageSize,
+        toIsoTime(row.created),
+        toIsoTime(row.lastActiveAt),
+    ].map(escapeCsvValue).join(','));
+
+    return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,175 @@
+import { promises as fsPromises } from 'node:fs';
+import path from 'node:path';
+
+import storage from 'node-persist';
+
+import { getUserDirectories, toKey } from './users.js';
+import { getPlansConfig, resolveAccountPlan } from './plans.js';
+import { getTransactionsByReason, LEDGER_REASONS } from './ledger.js';
+import { getLastLogin, listSessions } from './sessions.js';
+import { getReferral } from './referrals.js';
+import { getPathSize, getStorageUsage, resolveStorageQuota } from './storage-quota.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Everything the admin user detail page shows about one user.
+ * @typedef {Object} UserDetails
+ * @property {{handle: string, name: string, email: string, created: number, enabled: boolean, admin: boolean, twoFactorEnabled: boolean, hasPassword: boolean}} profile
+ * @property {import('./identities.js').LinkedIdentity[]} identities
+ * @property {{code: string, usedAt: number|null, createdBy: string|null}|null} invite Invite code the user registered with
+ * @property {import('./referrals.js').Referral|null} referral
+ * @property {{points: number, accessOn: boolean, plan: string, planName: string, planExpiresAt: number|null, createdAt: number|null}|null} account Null when the account state was never created
+ * @property {{total: number, streak: number, longestStreak: number, lastCheckInAt: number|null}} checkIns
+ * @property {import('./sessions.js').LastLogin & {device: string}|null} lastLogin
+ * @property {number} activeSessions
+ * @property {{bytes: number, quotaMb: number, directories: {name: string, bytes: number}[]}} storage
+ * @property {{characters: number, chats: number, groups: number, groupChats: number}} counts
+ */
+
+/**
+ * Formats a timestamp as the server's local calendar day.
+ * @param {number} ts
+ * @returns {string}
+ */
+function toDateString(ts) {
+    const d = new Date(ts);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Counts consecutive check-in days.
+ * The current streak still counts when the user hasn't checked in yet today.
+ * @param {number[]} timestamps Check-in times, oldest first
+ * @param {number} [now]
+ * @returns {{streak: number, longestStreak: number}}
+ */
+export function getCheckInStreaks(timestamps, now = Date.now()) {
+    const days = [...new Set(timestamps.map(toDateString))];
+    let longestStreak = 0;
+    let run = 0;
+    let previous = null;
+    for (const day of days) {
+        run = previous && toDateString(new Date(`${previous}T12:00:00`).getTime() + MS_PER_DAY) === day ? run + 1 : 1;
+        longestStreak = Math.max(longestStreak, run);
+        previous = day;
+    }
+
+    const lastDay = days[days.length - 1];
+    const current = lastDay === toDateString(now) || lastDay === toDateString(now - MS_PER_DAY);
+    return { streak: current ? run : 0, longestStreak };
+}
+
+/**
+ * Lists the entries of a directory, empty when it doesn't exist.
+ * @param {string} dir
+ * @returns {Promise<import('node:fs').Dirent[]>}
+ */
+async function readDirectory(dir) {
+    try {
+        return await fsPromises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Counts the files with an extension directly inside a directory.
+ * @param {string} dir
+ * @param {string} extension
+ * @returns {Promise<number>}
+ */
+async function countFiles(dir, extension) {
+    return (await readDirectory(dir)).filter(entry => entry.isFile() && path.extname(entry.name).toLowerCase() === extension).length;
+}
+
+/**
+ * Measures each top-level entry of the user's data directory.
+ * @param {string} root
+ * @returns {Promise<{name: string, bytes: number}[]>} Largest first
+ */
+async function getStorageBreakdown(root) {
+    const directories = [];
+    for (const entry of await readDirectory(root)) {
+        directories.push({ name: entry.name, bytes: await getPathSize(path.join(root, entry.name)) });
+    }
+    return directories.sort((a, b) => b.bytes - a.bytes);
+}
+
+/**
+ * Finds the invite code a user registered with.
+ * @param {string} handle
+ * @returns {Promise<{code: string, usedAt: number|null, createdBy: string|null}|null>}
+ */
+async function findUsedInviteCode(handle) {
+    const [key] = await storage.keys(datum => datum.key.startsWith('invite:') && datum.value?.usedBy === handle);
+    const invite = key ? await storage.getItem(key) : null;
+    return invite ? { code: invite.code, usedAt: invite.usedAt ?? null, createdBy: invite.createdBy ?? null } : null;
+}
+
+/**
+ * Collects the details of a user for the admin panel.
+ * @param {string} handle
+ * @returns {Promise<UserDetails|null>} Null when the user doesn't exist
+ */
+export async function getUserDetails(handle) {
+    const user = await storage.getItem(toKey(handle));
+    if (!user) {
+        return null;
+    }
+
+    const directories = getUserDirectories(handle);
+    /** @type {import('./endpoints/account.js').AccountState|undefined} */
+    const state = await storage.getItem(`account:${handle}`);
+    const { plan, expiresAt: planExpiresAt } = resolveAccountPlan(state || {}, await getPlansConfig());
+    const checkIns = await getTransactionsByReason(handle, LEDGER_REASONS.CHECKIN);
+
+    const characters = await countFiles(directories.characters, '.png');
+    let chats = 0;
+    for (const entry of await readDirectory(directories.chats)) {
+        if (entry.isDirectory()) chats += await countFiles(path.join(directories.chats, entry.name), '.jsonl');
+    }
+
+    return {
+        profile: {
+            handle: user.handle,
+            name: user.name,
+            email: user.email || '',
+            created: user.created,
+            enabled: user.enabled,
+            admin: user.admin,
+            twoFactorEnabled: !!user.twoFactor,
+            hasPassword: !!user.password,
+        },
+        identities: Array.isArray(user.identities) ? user.identities : [],
+        invite: await findUsedInviteCode(handle),
+        referral: await getReferral(handle),
+        account: state ? {
+            points: state.points,
+            accessOn: state.accessOn,
+            plan: plan.id,
+            planName: plan.name,
+            planExpiresAt,
+            createdAt: state.createdAt ?? null,
+        } : null,
+        checkIns: {
+            total: checkIns.length,
+            ...getCheckInStreaks(checkIns.map(transaction => transaction.createdAt)),
+            lastCheckInAt: state?.lastCheckInAt ?? null,
+        },
+        lastLogin: await getLastLogin(handle),
+        activeSessions: (await listSessions(handle)).length,
+        storage: {
+            bytes: (await getStorageUsage(handle)).bytes,
+            quotaMb: resolveStorageQuota(state || {}, plan),
+            directories: await getStorageBreakdown(directories.root),
+        },
+        counts: {
+            characters,
+            chats,
+            groups: await countFiles(directories.groups, '.json'),
+            groupChats: await countFiles(directories.groupChats, '.jsonl'),
+        },
+    };
+}
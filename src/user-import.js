@@ -0,0 +1,230 @@
+import storage from 'node-persist';
+
+import { toKey } from './users.js';
+import { withAccountState, saveAccountState, roundPoints } from './endpoints/account.js';
+import { getPlansConfig, findPlan, assignPlan } from './plans.js';
+import { generateRedeemCode } from './redeem-codes.js';
+import { recordTransaction, LEDGER_REASONS } from './ledger.js';
+import { isValidEmail } from './password-recovery.js';
+import { withLock } from './storage-lock.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const HANDLE_PATTERN = /^[a-z0-9_-]{3,64}$/;
+/**
+ * Most rows a single import may contain.
+ */
+export const MAX_IMPORT_ROWS = 500;
+
+/**
+ * What an imported account starts with once it's claimed.
+ * @typedef {Object} ImportPreset
+ * @property {number} points Points added on top of the initial points
+ * @property {string|null} plan
+ * @property {number|null} days Plan duration, counted from the claim
+ */
+
+/**
+ * @typedef {Object} ImportResult
+ * @property {{line: number, handle: string, code: string}[]} created
+ * @property {{line: number, handle: string, error: string}[]} failed
+ * @property {number|null} expiresAt When the invite codes expire
+ */
+
+function toInviteKey(code) {
+    return `invite:${code.toUpperCase()}`;
+}
+
+/**
+ * Parses CSV text into rows of cells. Handles quoted cells, doubled quotes and CRLF line ends.
+ * @param {string} text
+ * @returns {string[][]} Blank lines are skipped
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * Validates one import row.
+ * @param {Record<string, string>} record Cells by column name
+ * @param {import('./plans.js').PlansConfig} plansConfig
+ * @returns {{handle: string, name: string, email: string, preset: ImportPreset}}
+ * @throws {Error} If the row is invalid. The message is safe to show to the admin.
+ */
+function parseImportRecord(record, plansConfig) {
+    const handle = (record.handle || '').trim().toLowerCase();
+    if (!HANDLE_PATTERN.test(handle)) {
+        throw new Error('用户名只能包含 a-z、0-9、- 和 _，长度 3-64');
+    }
+
+    const email = (record.email || '').trim();
+    if (email && !isValidEmail(email)) {
+        throw new Error('邮箱格式不正确');
+    }
+
+    const points = record.points?.trim() ? Number(record.points) : 0;
+    if (!Number.isFinite(points) || points < 0) {
+        throw new Error('积分必须为非负数');
+    }
+
+    const planId = (record.plan || '').trim();
+    if (planId && !findPlan(plansConfig, planId)) {
+        throw new Error(`套餐 ${planId} 不存在`);
+    }
+    const days = record.days?.trim() ? Number(record.days) : null;
+    if (days !== null && (!Number.isInteger(days) || days <= 0 || days > 3650 || !planId)) {
+        throw new Error('套餐天数必须在 1-3650 之间，且需要同时填写套餐');
+    }
+
+    return {
+        handle,
+        name: (record.name || '').trim() || handle,
+        email,
+        preset: { points: roundPoints(points), plan: planId || null, days },
+    };
+}
+
+/**
+ * Generates an invite code that isn't taken yet.
+ * @returns {Promise<string>}
+ */
+async function generateInviteCode() {
+    for (let attempts = 0; attempts < 50; attempts++) {
+        const code = generateRedeemCode(12);
+        if (!await storage.getItem(toInviteKey(code))) {
+            return code;
+        }
+    }
+    throw new Error('生成邀请码失败，请稍后重试');
+}
+
+/**
+ * Pre-creates accounts from a CSV with the columns handle, name, email, points, plan and days.
+ * Only handle is required. Each account gets an invite code reserved for it; the account can't sign in
+ * until someone registers with that code and the same handle, which sets the password.
+ * @param {string} csv
+ * @param {{actor: string, expiresInDays: number|null}} options
+ * @returns {Promise<ImportResult>}
+ * @throws {Error} If the file can't be imported at all. The message is safe to show to the admin.
+ */
+export async function importUsers(csv, { actor, expiresInDays }) {
+    const [header, ...rows] = parseCsv(csv);
+    const columns = (header || []).map(name => name.trim().toLowerCase());
+    if (!columns.includes('handle')) {
+        throw new Error('CSV 第一行必须是表头，且包含 handle 列');
+    }
+    if (!rows.length) {
+        throw new Error('CSV 中没有用户');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new Error(`一次最多导入 ${MAX_IMPORT_ROWS} 个用户`);
+    }
+
+    const plansConfig = await getPlansConfig();
+    const expiresAt = expiresInDays ? Date.now() + expiresInDays * MS_PER_DAY : null;
+    /** @type {ImportResult} */
+    const result = { created: [], failed: [], expiresAt };
+
+    for (const [index, cells] of rows.entries()) {
+        // 表头是第 1 行
+        const line = index + 2;
+        const record = Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? '']));
+        try {
+            const { handle, name, email, preset } = parseImportRecord(record, plansConfig);
+            const code = await withLock(toKey(handle), async () => {
+                if (await storage.getItem(toKey(handle))) {
+                    throw new Error('用户名已存在');
+                }
+
+                const inviteCode = await generateInviteCode();
+                await storage.setItem(toInviteKey(inviteCode), {
+                    code: inviteCode,
+                    used: false,
+                    usedBy: null,
+                    createdAt: Date.now(),
+                    usedAt: null,
+                    expiresAt,
+                    reservedFor: handle,
+                    preset,
+                    importedBy: actor,
+                });
+                await storage.setItem(toKey(handle), {
+                    handle,
+                    name,
+                    created: Date.now(),
+                    password: '',
+                    salt: '',
+                    email,
+                    admin: false,
+                    enabled: true,
+                    pendingInvite: inviteCode,
+                });
+                return inviteCode;
+            });
+            result.created.push({ line, handle, code });
+        } catch (error) {
+            result.failed.push({ line, handle: String(record.handle || '').trim(), error: error.message });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Gives a claimed account the points and plan it was imported with.
+ * Call after the registration saved the user.
+ * @param {string} handle
+ * @param {{preset?: ImportPreset, importedBy?: string}} invite The used invite code
+ * @returns {Promise<void>}
+ */
+export async function applyImportPreset(handle, invite) {
+    const preset = invite.preset;
+    if (!preset || (!preset.points && !preset.plan)) {
+        return;
+    }
+
+    await withAccountState(handle, async (state) => {
+        if (preset.points) {
+            state.points = roundPoints(state.points + preset.points);
+            await recordTransaction({ handle, delta: preset.points, balance: state.points, reason: LEDGER_REASONS.ADMIN_ADD, actor: invite.importedBy, note: '导入账号预设积分' });
+        }
+        if (preset.plan) {
+            assignPlan(state, preset.plan, preset.days);
+        }
+        await saveAccountState(state);
+    });
+}
@@ -16,7 +16,7 @@ import { sync as writeFileAtomicSync } from 'write-file-atomic';
 import sanitize from 'sanitize-filename';
 
 import { USER_DIRECTORY_TEMPLATE, DEFAULT_USER, PUBLIC_DIRECTORIES, SETTINGS_FILE, UPLOADS_DIRECTORY } from './constants.js';
-import { getConfigValue, color, delay, generateTimestamp } from './util.js';
+import { getConfigValue, color, delay } from './util.js';
 import { readSecret, writeSecret } from './endpoints/secrets.js';
 import { getContentOfType } from './endpoints/content-manager.js';
 import { serverDirectory } from './server-directory.js';
@@ -54,6 +54,8 @@ const STORAGE_KEYS = {
  * @property {string} salt - Salt used for hashing the password
  * @property {boolean} enabled - Whether the user is enabled
  * @property {boolean} admin - Whether the user is an admin (can manage other users)
+ * @property {import('./identities.js').LinkedIdentity[]} [identities] - External logins linked to the user
+ * @property {string} [email] - Recovery email that password reset codes are sent to
  */
 
 /**
@@ -742,7 +744,8 @@ async function singleUserLogin(request) {
     const userHandles = await getAllUserHandles();
     if (userHandles.length === 1) {
         const user = await storage.getItem(toKey(userHandles[0]));
-        if (user && !user.password) {
+        // Accounts with two-factor authentication always go through the login page
+        if (user && !user.password && !user.twoFactor) {
             request.session.handle = userHandles[0];
             return true;
         }
@@ -791,7 +794,8 @@ async function headerUserLogin(request, header = 'Remote-User') {
     for (const userHandle of userHandles) {
         if (remoteUser.toLowerCase() === userHandle) {
             const user = await storage.getItem(toKey(userHandle));
-            if (user && user.enabled) {
+            // The proxy doesn't ask for the second factor, so these accounts sign in on the login page
+            if (user && user.enabled && !user.twoFactor) {
                 request.session.handle = userHandle;
                 return true;
             }
@@ -830,8 +834,8 @@ async function basicUserLogin(request) {
     for (const userHandle of userHandles) {
         if (username === userHandle) {
             const user = await storage.getItem(toKey(userHandle));
-            // Verify pass again here just to be sure
-            if (user && user.enabled && user.password && user.password === getPasswordHash(password, user.salt)) {
+            // Verify pass again here just to be sure. Basic auth has no second factor, so two-factor accounts are left to the login page
+            if (user && user.enabled && !user.twoFactor && user.password && user.password === getPasswordHash(password, user.salt)) {
                 request.session.handle = userHandle;
                 return true;
             }
@@ -996,39 +1000,32 @@ export function requireAdminMiddleware(request, response, next) {
 }
 
 /**
- * Creates an archive of the user's data root directory.
+ * Writes a ZIP archive of the user's data root directory to a stream.
  * @param {string} handle User handle
- * @param {import('express').Response} response Express response object to write to
- * @returns {Promise<void>} Promise that resolves when the archive is created
+ * @param {import('node:stream').Writable} output Stream to write the archive to
+ * @returns {Promise<number>} Promise that resolves with the archive size in bytes once it is written
  */
-export async function createBackupArchive(handle, response) {
+export function writeBackupArchive(handle, output) {
     const directories = getUserDirectories(handle);
-
-    console.info('Backup requested for', handle);
     const archive = archiver('zip');
 
-    archive.on('error', function (err) {
-        response.status(500).send({ error: err.message });
-    });
-
-    // On stream closed we can end the request
-    archive.on('end', function () {
-        console.info('Archive wrote %d bytes', archive.pointer());
-        response.end(); // End the Express response
-    });
-
-    const timestamp = generateTimestamp();
+    return new Promise((resolve, reject) => {
+        archive.on('error', reject);
 
-    // Set the archive name
-    response.attachment(`${handle}-${timestamp}.zip`);
+        // On stream closed the archive is complete
+        archive.on('end', function () {
+            console.info('Archive wrote %d bytes', archive.pointer());
+            resolve(archive.pointer());
+        });
 
-    // This is the streaming magic
-    // @ts-ignore
-    archive.pipe(response);
+        // This is the streaming magic
+        // @ts-ignore
+        archive.pipe(output);
 
-    // Append files from a sub-directory, putting its contents at the root of archive
-    archive.directory(directories.root, false);
-    archive.finalize();
+        // Append files from a sub-directory, putting its contents at the root of archive
+        archive.directory(directories.root, false);
+        archive.finalize();
+    });
 }
 
 /**
@@ -318,6 +318,89 @@ export async function getImageBuffers(zipFilePath) {
     });
 }
 
+/**
+ * Code of the error extractZipArchive rejects with when the archive unpacks to more than the allowed size.
+ */
+export const ZIP_SIZE_LIMIT_ERROR = 'ERR_ZIP_SIZE_LIMIT';
+
+/**
+ * Extracts every file of a ZIP archive into a directory.
+ * @param {string} zipFilePath Path to the ZIP archive
+ * @param {string} targetDirectory Directory to extract into, created if missing
+ * @param {(fileName: string) => string|null} [mapEntry] Maps an entry name to its path in the target directory, null skips the entry
+ * @param {number} [maxBytes] Most bytes to write in total. Counted from the unpacked data, not the sizes the archive claims
+ * @returns {Promise<void>}
+ * @throws {Error} With code ZIP_SIZE_LIMIT_ERROR when the entries unpack to more than maxBytes
+ */
+export async function extractZipArchive(zipFilePath, targetDirectory, mapEntry = fileName => fileName, maxBytes = Infinity) {
+    const root = path.resolve(targetDirectory);
+    fs.mkdirSync(root, { recursive: true });
+
+    return new Promise((resolve, reject) => {
+        yauzl.open(zipFilePath, { lazyEntries: true }, (err, zipfile) => {
+            if (err) {
+                return reject(err);
+            }
+
+            let failed = false;
+            let writtenBytes = 0;
+            const fail = (error) => {
+                if (failed) return;
+                failed = true;
+                zipfile.close();
+                reject(error);
+            };
+
+            zipfile.readEntry();
+            zipfile.on('entry', (entry) => {
+                const fileName = mapEntry(entry.fileName);
+                if (fileName === null) {
+                    return zipfile.readEntry();
+                }
+
+                const targetPath = path.resolve(root, fileName);
+                // Refuse entries that would land outside the target directory
+                if (!targetPath.startsWith(root + path.sep)) {
+                    return fail(new Error(`Unsafe path in archive: ${entry.fileName}`));
+                }
+
+                if (entry.fileName.endsWith('/')) {
+                    fs.mkdirSync(targetPath, { recursive: true });
+                    return zipfile.readEntry();
+                }
+
+                fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+                zipfile.openReadStream(entry, (err, readStream) => {
+                    if (err) {
+                        return fail(err);
+                    }
+
+                    const output = fs.createWriteStream(targetPath);
+                    const abort = (error) => {
+                        readStream.destroy();
+                        output.destroy();
+                        fail(error);
+                    };
+                    // A corrupt entry errors the read stream, e.g. when it holds more data than its header says
+                    readStream.on('error', abort);
+                    readStream.on('data', (chunk) => {
+                        writtenBytes += chunk.length;
+                        if (writtenBytes > maxBytes) {
+                            abort(Object.assign(new Error(`Archive unpacks to more than ${maxBytes} bytes`), { code: ZIP_SIZE_LIMIT_ERROR }));
+                        }
+                    });
+                    output.on('error', abort);
+                    output.on('close', () => !failed && zipfile.readEntry()); // Continue to the next entry
+                    readStream.pipe(output);
+                });
+            });
+
+            zipfile.on('end', () => resolve());
+            zipfile.on('error', fail);
+        });
+    });
+}
+
 /**
  * Gets all chunks of data from the given readable stream.
  * @param {any} readableStream Readable stream to read from
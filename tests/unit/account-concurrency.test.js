@@ -0,0 +1,150 @@
+import storage from 'node-persist';
+
+import { setupDataRoot, removeDataRoot, startTestServer, headerUser, userHeaders } from './helpers.js';
+
+const CONCURRENCY = 20;
+
+describe('account concurrency', () => {
+    let server;
+    let baseUrl;
+    let dataRoot;
+    let withLock;
+    let updateItem;
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('concurrency');
+
+        ({ withLock, updateItem } = await import('../../src/storage-lock.js'));
+        const { router: accountRouter } = await import('../../src/endpoints/account.js');
+        const { router: adminRouter } = await import('../../src/endpoints/admin.js');
+        const { router: usersPublicRouter } = await import('../../src/endpoints/users-public.js');
+        const { setPricing } = await import('../../src/billing.js');
+        await setPricing({ enabled: false });
+        const { createOperator } = await import('../../src/admin-operators.js');
+        await createOperator('tester', 'tester-password', 'super-admin');
+
+        server = await startTestServer(app => {
+            app.use(headerUser('tester'));
+            app.use('/api/account', accountRouter);
+            app.use('/api/admin', adminRouter);
+            app.use('/api/users', usersPublicRouter);
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    function post(url, body, handle) {
+        return server.post(url, body, userHeaders(handle));
+    }
+
+    async function getPoints(handle) {
+        const res = await fetch(`${baseUrl}/api/account/status`, { headers: { 'x-test-user': handle } });
+        return (await res.json()).points;
+    }
+
+    async function createRedeemCode(points) {
+        const res = await post('/api/admin/redeem-codes', { points, count: 1 });
+        return (await res.json()).codes[0].code;
+    }
+
+    it('serializes read-modify-write cycles on the same key', async () => {
+        await storage.setItem('test:counter', 0);
+        await Promise.all(Array.from({ length: CONCURRENCY }, () => updateItem('test:counter', async (value) => {
+            await new Promise(resolve => setTimeout(resolve, 1));
+            return value + 1;
+        })));
+        expect(await storage.getItem('test:counter')).toBe(CONCURRENCY);
+    });
+
+    it('allows re-entering a lock already held by the caller', async () => {
+        const result = await withLock('test:reentrant', () => withLock(['test:reentrant', 'test:other'], () => 'done'));
+        expect(result).toBe('done');
+    });
+
+    it('redeems a code exactly once for concurrent requests from one user', async () => {
+        const handle = 'redeemer';
+        const before = await getPoints(handle);
+        const code = await createRedeemCode(10);
+
+        const responses = await Promise.all(Array.from({ length: CONCURRENCY }, () => post('/api/account/redeem', { code }, handle)));
+        const succeeded = responses.filter(res => res.status === 200);
+
+        expect(succeeded).toHaveLength(1);
+        expect(await getPoints(handle)).toBe(before + 10);
+    });
+
+    it('redeems a code exactly once across concurrent users', async () => {
+        const code = await createRedeemCode(7);
+        const handles = Array.from({ length: CONCURRENCY }, (_, i) => `racer-${i}`);
+
+        const responses = await Promise.all(handles.map(handle => post('/api/account/redeem', { code }, handle)));
+        const winners = handles.filter((_, i) => responses[i].status === 200);
+
+        expect(winners).toHaveLength(1);
+        const points = await Promise.all(handles.map(getPoints));
+        expect(points.reduce((sum, value) => sum + value, 0)).toBe(handles.length * 20 + 7);
+    });
+
+    it('checks in exactly once for concurrent requests', async () => {
+        const handle = 'checker';
+        const before = await getPoints(handle);
+
+        const responses = await Promise.all(Array.from({ length: CONCURRENCY }, () => post('/api/account/checkin', {}, handle)));
+
+        expect(responses.filter(res => res.status === 200)).toHaveLength(1);
+        expect(await getPoints(handle)).toBe(before + 5);
+    });
+
+    it('does not lose concurrent admin point adjustments', async () => {
+        const handle = 'adjusted';
+        const before = await getPoints(handle);
+
+        const responses = await Promise.all(Array.from({ length: CONCURRENCY }, () => post(`/api/admin/users/${handle}/points`, { action: 'add', amount: 1 })));
+
+        expect(responses.every(res => res.status === 200)).toBe(true);
+        expect(await getPoints(handle)).toBe(before + CONCURRENCY);
+    });
+
+    it('charges the activation fee exactly once for concurrent toggles', async () => {
+        const handle = 'toggler';
+        await post('/api/account/toggle', { accessOn: false }, handle);
+        const before = await getPoints(handle);
+
+        await Promise.all(Array.from({ length: CONCURRENCY }, () => post('/api/account/toggle', { accessOn: true }, handle)));
+
+        expect(await getPoints(handle)).toBe(before - 1);
+    });
+
+    it('accepts an invite code for exactly one concurrent registration', async () => {
+        const res = await post('/api/admin/invite-codes', { count: 1 });
+        const { code } = (await res.json()).codes[0];
+
+        const responses = await Promise.all(Array.from({ length: 5 }, (_, i) => post('/api/users/register', { code, handle: `invitee-${i}`, password: 'secret123' })));
+
+        expect(responses.filter(res => res.status === 200)).toHaveLength(1);
+    });
+
+    it('keeps a recovery email saved while the password changes', async () => {
+        const handle = 'changer';
+        const { getPasswordHash } = await import('../../src/users.js');
+        for (let round = 0; round < 5; round++) {
+            const salt = `salt-${round}`;
+            await storage.setItem(`user:${handle}`, { handle, name: handle, created: Date.now(), password: getPasswordHash('old-password', salt), salt, enabled: true });
+
+            const [changed, saved] = await Promise.all([
+                post('/api/account/change-password', { currentPassword: 'old-password', newPassword: 'new-password' }, handle),
+                post('/api/account/recovery-email', { email: 'changer@example.com', currentPassword: 'old-password' }, handle),
+            ]);
+
+            const user = await storage.getItem(`user:${handle}`);
+            expect(changed.status).toBe(200);
+            expect(user.password).toBe(getPasswordHash('new-password', user.salt));
+            // Saved before the change, or refused after it because the old password no longer works
+            expect([saved.status, user.email]).toEqual(saved.status === 200 ? [200, 'changer@example.com'] : [401, undefined]);
+        }
+    });
+});
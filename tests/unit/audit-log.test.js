@@ -0,0 +1,111 @@
+import storage from 'node-persist';
+
+import { setupDataRoot, removeDataRoot, startTestServer } from './helpers.js';
+
+describe('admin audit log', () => {
+    let server;
+    let baseUrl;
+    let dataRoot;
+    let session;
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('audit');
+
+        const { router: adminRouter } = await import('../../src/endpoints/admin.js');
+        const { createOperator } = await import('../../src/admin-operators.js');
+        await createOperator('auditor', 'auditor-password', 'super-admin');
+        await createOperator('helper', 'helper-password', 'support');
+        await storage.setItem('account:target', { points: 10, accessOn: true });
+
+        server = await startTestServer(app => {
+            app.use((req, _res, next) => {
+                req.session = { ...session };
+                next();
+            });
+            app.use('/api/admin', adminRouter);
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    function request(method, url, body) {
+        return fetch(`${baseUrl}${url}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined,
+        });
+    }
+
+    it('records privileged actions with actor, target and IP', async () => {
+        session = { isAdmin: true, adminUser: 'auditor' };
+        await request('POST', '/api/admin/users/target/points', { action: 'add', amount: 5 });
+        await request('POST', '/api/admin/invite-codes', { count: 2 });
+
+        const res = await request('GET', '/api/admin/audit-log');
+        const { entries, total } = await res.json();
+
+        expect(total).toBe(2);
+        expect(entries[0]).toMatchObject({ actor: 'admin:auditor', action: 'invite_code.create', ip: '127.0.0.1' });
+        expect(entries[0].details.codes).toHaveLength(2);
+        expect(entries[1]).toMatchObject({ action: 'user.points', target: 'target', details: { oldPoints: 10, newPoints: 15 } });
+    });
+
+    it('records failed logins', async () => {
+        session = {};
+        await request('POST', '/api/admin/login', { username: 'auditor', password: 'wrong-password' });
+
+        session = { isAdmin: true, adminUser: 'auditor' };
+        const res = await request('GET', '/api/admin/audit-log?action=admin.login_failed');
+        const { entries } = await res.json();
+
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toMatchObject({ actor: 'anonymous', target: 'auditor' });
+    });
+
+    it('filters by actor, target and time range', async () => {
+        session = { isAdmin: true, adminUser: 'auditor' };
+
+        const byTarget = await (await request('GET', '/api/admin/audit-log?target=target')).json();
+        expect(byTarget.entries.map(e => e.action)).toEqual(['user.points']);
+
+        const future = await (await request('GET', `/api/admin/audit-log?from=${Date.now() + 60_000}`)).json();
+        expect(future.total).toBe(0);
+
+        const byOtherActor = await (await request('GET', '/api/admin/audit-log?actor=helper')).json();
+        expect(byOtherActor.total).toBe(0);
+    });
+
+    it('exports matching entries as CSV and JSONL', async () => {
+        session = { isAdmin: true, adminUser: 'auditor' };
+
+        const csv = await request('GET', '/api/admin/audit-log/export?format=csv&action=user.points');
+        expect(csv.headers.get('content-type')).toContain('text/csv');
+        const lines = (await csv.text()).trim().split('\r\n');
+        expect(lines[0]).toContain('time,actor,action,target,ip,details,id');
+        expect(lines).toHaveLength(2);
+
+        const jsonl = await request('GET', '/api/admin/audit-log/export?format=jsonl');
+        const entries = (await jsonl.text()).trim().split('\n').map(line => JSON.parse(line));
+        expect(entries.length).toBeGreaterThanOrEqual(3);
+    });
+
+    it('hides the audit log from roles without access', async () => {
+        session = { isAdmin: true, adminUser: 'helper' };
+        const res = await request('GET', '/api/admin/audit-log');
+        expect(res.status).toBe(403);
+    });
+
+    it('rate-limits login attempts per IP', async () => {
+        session = {};
+        // The failed login above already used one of the five attempts
+        const statuses = [];
+        for (let i = 0; i < 5; i++) {
+            statuses.push((await request('POST', '/api/admin/login', { username: 'helper', password: 'wrong-password' })).status);
+        }
+        expect(statuses).toEqual([401, 401, 401, 401, 429]);
+    });
+});
@@ -0,0 +1,167 @@
+import storage from 'node-persist';
+
+import { setupDataRoot, removeDataRoot, startTestServer, headerUser, userHeaders } from './helpers.js';
+
+describe('generation billing', () => {
+    let server;
+    let dataRoot;
+    let findPriceRule;
+    let getPricing;
+    let getTransactionsByReason;
+    let withLock;
+    let generated = 0;
+    const pending = [];
+
+    const pricing = {
+        enabled: true,
+        dailyFee: 0,
+        minimumCharge: 0.01,
+        defaultMaxTokens: 300,
+        default: { prompt: 1, completion: 1 },
+        rules: [
+            { source: 'openai', model: 'gpt-4o*', prompt: 0, completion: 10 },
+            { source: 'openai', model: 'o1', prompt: 2, completion: 40 },
+            { source: 'claude', model: '', prompt: 5, completion: 20 },
+            { source: '', model: 'shared-model', prompt: 0, completion: 3 },
+        ],
+    };
+
+    // What the fake upstream sends back, picked by the `reply` field of the request
+    const replies = {
+        json: res => res.json({ choices: [{ message: { content: 'Hello there' } }], usage: { prompt_tokens: 100, completion_tokens: 50 } }),
+        stream: res => {
+            res.setHeader('Content-Type', 'text/event-stream');
+            for (const content of ['Once ', 'upon ', 'a time']) {
+                res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+            }
+            res.write(`data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 100, completion_tokens: 80 } })}\n\n`);
+            res.end('data: [DONE]\n\n');
+        },
+        empty: res => res.json({ choices: [{ message: { content: '' } }], usage: { prompt_tokens: 1000, completion_tokens: 0 } }),
+        failed: res => res.status(502).json({ error: { message: 'upstream down' } }),
+        full: res => res.json({ choices: [{ message: { content: 'Long answer' } }], usage: { prompt_tokens: 10, completion_tokens: 400 } }),
+    };
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('billing', {});
+
+        const { meterGeneration, setPricing, GENERATION_KINDS } = await import('../../src/billing.js');
+        ({ findPriceRule, getPricing } = await import('../../src/billing.js'));
+        ({ getTransactionsByReason } = await import('../../src/ledger.js'));
+        ({ withLock } = await import('../../src/storage-lock.js'));
+        await setPricing(pricing);
+
+        server = await startTestServer(app => {
+            app.use(headerUser('nobody'));
+            app.post('/generate', meterGeneration(GENERATION_KINDS.CHAT), (req, res) => {
+                generated++;
+                // Held generations stay open until the test releases them
+                if (req.body.hold) {
+                    pending.push(() => replies[req.body.reply](res));
+                } else {
+                    replies[req.body.reply](res);
+                }
+            });
+        });
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    async function setPoints(handle, points) {
+        await storage.setItem(`account:${handle}`, { handle, points, accessOn: true, lastCostAppliedAt: Date.now(), lastCheckInDate: '', lastCheckInAt: null, accessOffSince: null, createdAt: Date.now() });
+    }
+
+    async function getPoints(handle) {
+        return (await storage.getItem(`account:${handle}`)).points;
+    }
+
+    // Charges are settled after the response is sent, so wait for the balance to move
+    async function waitForPoints(handle, points) {
+        for (let i = 0; i < 100 && await getPoints(handle) !== points; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        return await getPoints(handle);
+    }
+
+    function generate(handle, body) {
+        return server.post('/generate', { chat_completion_source: 'openai', model: 'gpt-4o', messages: [], max_tokens: 400, ...body }, userHeaders(handle));
+    }
+
+    it('finds the price rule by source and model', async () => {
+        const config = await getPricing();
+        expect(findPriceRule(config, 'openai', 'gpt-4o-mini')).toMatchObject({ completion: 10 });
+        expect(findPriceRule(config, 'OpenAI', 'gpt-4o')).toMatchObject({ completion: 10 });
+        expect(findPriceRule(config, 'openai', 'o1')).toMatchObject({ completion: 40 });
+        expect(findPriceRule(config, 'openai', 'o1-mini')).toBe(config.default);
+        expect(findPriceRule(config, 'claude', 'claude-3-opus')).toMatchObject({ completion: 20 });
+        expect(findPriceRule(config, 'makersuite', 'shared-model')).toMatchObject({ completion: 3 });
+        expect(findPriceRule(config, 'makersuite', 'gpt-4o')).toBe(config.default);
+    });
+
+    it('rejects a generation the balance cannot cover', async () => {
+        await setPoints('poor', 3);
+        const before = generated;
+
+        const res = await generate('poor', { reply: 'json' });
+        expect(res.status).toBe(402);
+        expect(await res.json()).toMatchObject({ error: { type: 'insufficient_points' }, estimate: 4, points: 3 });
+        expect(generated).toBe(before);
+        expect(await getPoints('poor')).toBe(3);
+    });
+
+    it('charges the reported usage of a non-streaming response', async () => {
+        await setPoints('alice', 10);
+        expect((await generate('alice', { reply: 'json' })).status).toBe(200);
+        expect(await waitForPoints('alice', 9.5)).toBe(9.5);
+
+        // The ledger line is written right after the balance, under the same account lock
+        await withLock('account:alice', () => {});
+        const [charge] = await getTransactionsByReason('alice', 'generation');
+        expect(charge).toMatchObject({ delta: -0.5, balance: 9.5, note: 'openai/gpt-4o (100+50 tokens)' });
+    });
+
+    it('charges the usage at the end of a streamed response', async () => {
+        await setPoints('bob', 10);
+        const res = await generate('bob', { reply: 'stream', stream: true });
+        expect(await res.text()).toContain('a time');
+        expect(await waitForPoints('bob', 9.2)).toBe(9.2);
+    });
+
+    it('charges the prompt when nothing was generated and nothing for upstream errors', async () => {
+        await setPoints('carol', 100);
+        expect((await generate('carol', { model: 'o1', reply: 'empty', max_tokens: 100 })).status).toBe(200);
+        expect(await waitForPoints('carol', 98)).toBe(98);
+
+        expect((await generate('carol', { reply: 'failed' })).status).toBe(502);
+        // The failed generation released its hold, the whole balance can be held again
+        expect((await generate('carol', { reply: 'json', max_tokens: 9800 })).status).toBe(200);
+        expect(await waitForPoints('carol', 97.5)).toBe(97.5);
+    });
+
+    it('holds the estimate so parallel generations cannot overdraw', async () => {
+        await setPoints('dave', 10);
+        const rejected = [];
+        const requests = Array.from({ length: 5 }, () => generate('dave', { reply: 'full', hold: true }).then(res => {
+            if (res.status === 402) rejected.push(res);
+            return res;
+        }));
+
+        // Two estimates of 4 points fit in the balance, the rest is rejected while they run
+        for (let i = 0; i < 100 && (pending.length < 2 || rejected.length < 3); i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        expect(pending).toHaveLength(2);
+        expect(rejected).toHaveLength(3);
+        pending.splice(0).forEach(release => release());
+        const statuses = (await Promise.all(requests)).map(res => res.status).sort();
+        expect(statuses).toEqual([200, 200, 402, 402, 402]);
+
+        expect(await waitForPoints('dave', 2)).toBe(2);
+        expect((await generate('dave', { reply: 'json' })).status).toBe(402);
+        expect((await generate('dave', { reply: 'json', max_tokens: 100 })).status).toBe(200);
+        expect(await waitForPoints('dave', 1.5)).toBe(1.5);
+    });
+});
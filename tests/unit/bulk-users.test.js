@@ -0,0 +1,95 @@
+import storage from 'node-persist';
+
+import { setupDataRoot, removeDataRoot, startTestServer, adminSession } from './helpers.js';
+
+describe('bulk user actions', () => {
+    let server;
+    let baseUrl;
+    let dataRoot;
+    const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('bulk-users', {});
+
+        const users = [
+            { handle: 'alice', created: Date.now() - 90 * MS_PER_DAY, admin: false },
+            { handle: 'bob', created: Date.now() - 90 * MS_PER_DAY, admin: false },
+            { handle: 'carol', created: Date.now(), admin: false },
+            { handle: 'root-user', created: Date.now() - 90 * MS_PER_DAY, admin: true },
+        ];
+        for (const user of users) {
+            await storage.setItem(`user:${user.handle}`, { ...user, name: user.handle, enabled: true });
+            await storage.setItem(`account:${user.handle}`, { handle: user.handle, points: 10, accessOn: true });
+        }
+        // A recent sign-in makes bob active again
+        await storage.setItem('last-login:bob', { at: Date.now() - MS_PER_DAY, method: 'password', ip: '', userAgent: '' });
+
+        const { router: publicRouter } = await import('../../src/endpoints/users-public.js');
+        const { router: adminRouter } = await import('../../src/endpoints/admin.js');
+        const { createOperator } = await import('../../src/admin-operators.js');
+        await createOperator('root', 'root-password', 'super-admin');
+
+        server = await startTestServer(app => {
+            app.use(adminSession('root'));
+            app.use('/api/users', publicRouter);
+            app.use('/api/admin', adminRouter);
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    function post(url, body) {
+        return server.post(url, body);
+    }
+
+    it('applies actions to a filter or a selection', async () => {
+        const preview = await (await post('/api/admin/users/bulk/preview', { filter: { inactiveDays: 60 } })).json();
+        expect(preview).toEqual({ handles: ['alice'], total: 1 });
+
+        const banned = await (await post('/api/admin/users/bulk/ban', { filter: { inactiveDays: 60 }, enabled: false })).json();
+        expect(banned).toMatchObject({ total: 1, succeeded: 1, failed: [] });
+        expect((await storage.getItem('user:alice')).enabled).toBe(false);
+
+        const points = await (await post('/api/admin/users/bulk/points', { handles: ['alice', 'carol', 'nobody'], action: 'add', amount: 50 })).json();
+        expect(points).toMatchObject({ total: 2, succeeded: 2 });
+        expect((await storage.getItem('account:carol')).points).toBe(60);
+        expect((await storage.getItem('account:bob')).points).toBe(10);
+
+        expect((await post('/api/admin/users/bulk/plan', { filter: {}, plan: null })).status).toBe(400);
+        expect((await post('/api/admin/users/bulk/points', { handles: ['bob'], action: 'double', amount: 1 })).status).toBe(400);
+    });
+
+    it('exports the user table as CSV', async () => {
+        const response = await fetch(`${baseUrl}/api/admin/users/export`);
+        expect(response.headers.get('content-type')).toContain('text/csv');
+        const lines = (await response.text()).replace(/^\uFEFF/, '').trim().split('\r\n');
+        expect(lines[0]).toBe('handle,name,email,status,plan,planExpiresAt,points,accessOn,storageBytes,created,lastActiveAt');
+        expect(lines).toHaveLength(5);
+        expect(lines.find(line => line.startsWith('alice,'))).toContain(',banned,');
+    });
+
+    it('pre-creates accounts that are claimed with their invite code', async () => {
+        const csv = 'handle,name,points\r\ndave,"Dave, Jr.",25\r\nbob,Bob again,\r\nx,Too short,\r\n';
+        const result = await (await post('/api/admin/users/import', { csv })).json();
+        expect(result.created).toEqual([{ line: 2, handle: 'dave', code: expect.any(String) }]);
+        expect(result.failed.map(row => row.line)).toEqual([3, 4]);
+
+        const { code } = result.created[0];
+        expect(await storage.getItem('user:dave')).toMatchObject({ name: 'Dave, Jr.', password: '', pendingInvite: code });
+        expect((await post('/api/users/login', { handle: 'dave', password: '' })).status).toBe(401);
+
+        expect((await post('/api/users/register', { code, handle: 'eve', password: 'secret-pass' })).status).toBe(400);
+        const claimed = await post('/api/users/register', { code, handle: 'dave', password: 'secret-pass' });
+        expect(await claimed.json()).toMatchObject({ success: true, handle: 'dave' });
+
+        const user = await storage.getItem('user:dave');
+        expect(user.name).toBe('Dave, Jr.');
+        expect(user.pendingInvite).toBeUndefined();
+        expect((await storage.getItem('account:dave')).points).toBe(45);
+        expect((await post('/api/users/login', { handle: 'dave', password: 'secret-pass' })).status).toBe(200);
+    });
+});
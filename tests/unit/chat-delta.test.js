@@ -0,0 +1,114 @@
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { setupDataRoot, removeDataRoot, startTestServer, createTestUser, fixedUser } from './helpers.js';
+
+describe('delta chat saves', () => {
+    let server;
+    let dataRoot;
+    let chatPath;
+    let directories;
+    const handle = 'alice';
+    const integrity = 'slug-1';
+    const header = { user_name: 'You', character_name: 'Seraphina', create_date: '2024-01-01', chat_metadata: { integrity } };
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('chat-delta', { backups: { chat: { enabled: false, compactEvery: 3 } } });
+
+        directories = await createTestUser(handle);
+        fs.mkdirSync(path.join(directories.chats, 'Seraphina'));
+        chatPath = path.join(directories.chats, 'Seraphina', 'chat.jsonl');
+
+        const { router: chatsRouter } = await import('../../src/endpoints/chats.js');
+        server = await startTestServer(app => {
+            app.use(fixedUser(handle, directories));
+            app.use('/api/chats', chatsRouter);
+        }, { jsonLimit: '10mb' });
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    function post(url, body) {
+        return server.post(url, body);
+    }
+
+    function saveDelta(baseCount, ops, slug = integrity) {
+        return post('/api/chats/save-delta', { avatar_url: 'Seraphina.png', file_name: 'chat', integrity: slug, baseCount, ops });
+    }
+
+    function readChat() {
+        return fs.readFileSync(chatPath, 'utf8').split('\n').map(line => JSON.parse(line));
+    }
+
+    it('appends in place and replaces the file for edits, deletes and metadata', async () => {
+        const messages = [{ mes: 'Hello' }, { mes: 'Hi' }];
+        expect((await post('/api/chats/save', { avatar_url: 'Seraphina.png', file_name: 'chat', chat: [header, ...messages], force: true })).status).toBe(200);
+
+        const { ino } = fs.statSync(chatPath);
+        const appended = await saveDelta(2, [{ op: 'append', messages: [{ mes: 'How are you?' }, { mes: 'Fine' }] }]);
+        expect(await appended.json()).toEqual({ result: 'ok', count: 4 });
+        expect(fs.statSync(chatPath).ino).toBe(ino);
+
+        const edited = await saveDelta(4, [
+            { op: 'edit', index: 1, message: { mes: 'Hi there' } },
+            { op: 'delete', start: 3, count: 1 },
+            { op: 'metadata', set: { note: 'x' } },
+        ]);
+        expect(await edited.json()).toEqual({ result: 'ok', count: 3 });
+        expect(fs.statSync(chatPath).ino).not.toBe(ino);
+
+        const [savedHeader, ...saved] = readChat();
+        expect(saved.map(message => message.mes)).toEqual(['Hello', 'Hi there', 'How are you?']);
+        expect(savedHeader.chat_metadata).toEqual({ integrity, note: 'x' });
+    });
+
+    it('refuses deltas against a different base', async () => {
+        expect((await saveDelta(10, [{ op: 'append', messages: [{ mes: 'Lost' }] }])).status).toBe(409);
+        expect((await saveDelta(3, [{ op: 'append', messages: [{ mes: 'Lost' }] }], 'other-slug')).status).toBe(400);
+        expect((await saveDelta(3, [{ op: 'edit', index: 7, message: { mes: 'Lost' } }])).status).toBe(400);
+        expect((await saveDelta(3, [{ op: 'rename' }])).status).toBe(400);
+        expect(readChat()).toHaveLength(4);
+    });
+
+    it('rewrites the file in full every few saves and pads the header', async () => {
+        // The second delta of the first test was the last incremental one before compaction
+        expect((await saveDelta(3, [{ op: 'append', messages: [{ mes: 'Compacted' }] }])).status).toBe(200);
+        const firstLine = fs.readFileSync(chatPath, 'utf8').split('\n')[0];
+        expect(firstLine.length - firstLine.trimEnd().length).toBe(512);
+
+        const longNote = 'n'.repeat(400);
+        expect((await saveDelta(4, [{ op: 'metadata', set: { note: longNote }, unset: ['missing'] }])).status).toBe(200);
+        expect(fs.readFileSync(chatPath, 'utf8').split('\n')[0].length).toBe(firstLine.length);
+        expect(readChat()[0].chat_metadata.note).toBe(longNote);
+        expect(readChat().map(message => message.mes).slice(1)).toEqual(['Hello', 'Hi there', 'How are you?', 'Compacted']);
+    });
+
+    it('keeps group chat ids inside the group chats folder', async () => {
+        const before = fs.readFileSync(chatPath, 'utf8');
+        const res = await post('/api/chats/group/save-delta', { id: '../chats/Seraphina/chat', baseCount: 5, ops: [{ op: 'append', messages: [{ mes: 'Escaped' }] }] });
+        expect(res.status).not.toBe(200);
+        expect(fs.readFileSync(chatPath, 'utf8')).toBe(before);
+    });
+
+    it('starts counting saves again for a renamed chat', async () => {
+        const groupPath = id => path.join(directories.groupChats, `${id}.jsonl`);
+        const saveGroupDelta = (id, baseCount) => post('/api/chats/group/save-delta', { id, baseCount, ops: [{ op: 'append', messages: [{ mes: `#${baseCount}` }] }] });
+        const rename = (from, to) => post('/api/chats/rename', { is_group: true, original_file: `${from}.jsonl`, renamed_file: `${to}.jsonl` });
+
+        expect((await post('/api/chats/group/save', { id: 'party', chat: [{ mes: 'Hello' }] })).status).toBe(200);
+        expect((await saveGroupDelta('party', 1)).status).toBe(200);
+        expect((await saveGroupDelta('party', 2)).status).toBe(200);
+
+        expect((await rename('party', 'trip')).status).toBe(200);
+        expect((await rename('trip', 'party')).status).toBe(200);
+
+        // Without a reset the third save would count as a compaction and replace the file
+        const { ino } = fs.statSync(groupPath('party'));
+        expect((await saveGroupDelta('party', 3)).status).toBe(200);
+        expect(fs.statSync(groupPath('party')).ino).toBe(ino);
+        expect(fs.readFileSync(groupPath('party'), 'utf8').split('\n')).toHaveLength(4);
+    });
+});
@@ -0,0 +1,121 @@
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { setupDataRoot, removeDataRoot, startTestServer, createTestUser, fixedUser } from './helpers.js';
+
+describe('chat history', () => {
+    let server;
+    let dataRoot;
+    let directories;
+    let chatPath;
+    const handle = 'alice';
+    const header = { user_name: 'You', character_name: 'Seraphina', create_date: '2024-01-01', chat_metadata: {} };
+    const chatBody = { avatar_url: 'Seraphina.png', file_name: 'chat' };
+
+    function writeChat(filePath, lines, savedAt) {
+        fs.writeFileSync(filePath, lines.map(line => JSON.stringify(line)).join('\n'));
+        fs.utimesSync(filePath, new Date(savedAt), new Date(savedAt));
+    }
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('chat-history', { backups: { chat: { enabled: false, checkIntegrity: false, history: { interval: 60_000, maxVersions: 2 } } } });
+
+        directories = await createTestUser(handle);
+        fs.mkdirSync(path.join(directories.chats, 'Seraphina'));
+        chatPath = path.join(directories.chats, 'Seraphina', 'chat.jsonl');
+
+        const { router: chatsRouter } = await import('../../src/endpoints/chats.js');
+        server = await startTestServer(app => {
+            app.use(fixedUser(handle, directories));
+            app.use('/api/chats', chatsRouter);
+        });
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    async function post(url, body) {
+        const response = await server.post(url, body);
+        return { status: response.status, body: await response.json() };
+    }
+
+    function saveChat(messages) {
+        return post('/api/chats/save', { ...chatBody, chat: [header, ...messages] });
+    }
+
+    it('keeps the chat before a save and diffs it message by message', async () => {
+        writeChat(chatPath, [header, { name: 'A', mes: 'one' }, { name: 'B', mes: 'two' }, { name: 'C', mes: 'three' }, { name: 'D', mes: 'four' }], Date.UTC(2024, 0, 1));
+        expect((await saveChat([{ name: 'A', mes: 'one' }, { name: 'B', mes: 'two!' }, { name: 'D', mes: 'four' }, { name: 'E', mes: 'five' }])).status).toBe(200);
+        // Saved again right away, within the interval: no new version
+        expect((await saveChat([{ name: 'A', mes: 'one' }, { name: 'B', mes: 'two!' }, { name: 'D', mes: 'four' }, { name: 'E', mes: 'five' }])).status).toBe(200);
+
+        const { body: history } = await post('/api/chats/history/list', chatBody);
+        expect(history.versions).toEqual([{ id: String(Date.UTC(2024, 0, 1)), date: Date.UTC(2024, 0, 1), size: expect.any(Number), messages: 4 }]);
+        expect(history.current).toMatchObject({ size: fs.statSync(chatPath).size });
+
+        const { body: diff } = await post('/api/chats/history/diff', { ...chatBody, from: history.versions[0].id });
+        expect(diff).toEqual({
+            total: 3,
+            changes: [
+                { type: 'edited', fromIndex: 1, toIndex: 1, before: { name: 'B', mes: 'two' }, after: { name: 'B', mes: 'two!' } },
+                { type: 'deleted', fromIndex: 2, toIndex: 2, before: { name: 'C', mes: 'three' }, after: null },
+                { type: 'added', fromIndex: 4, toIndex: 3, before: null, after: { name: 'E', mes: 'five' } },
+            ],
+        });
+        expect((await post('/api/chats/history/diff', { ...chatBody, from: '123' })).status).toBe(404);
+    });
+
+    it('rolls back to a version and keeps the chat before the rollback', async () => {
+        const version = String(Date.UTC(2024, 0, 1));
+        expect((await post('/api/chats/history/restore', { ...chatBody, version })).body).toEqual({ result: 'ok' });
+        expect(fs.readFileSync(chatPath, 'utf8').split('\n').map(line => JSON.parse(line).mes)).toEqual([undefined, 'one', 'two', 'three', 'four']);
+
+        const { body: history } = await post('/api/chats/history/list', chatBody);
+        expect(history.versions.map(x => x.messages)).toEqual([4, 4]);
+        const { body: undo } = await post('/api/chats/history/diff', { ...chatBody, from: history.versions[0].id });
+        expect(undo.changes.map(x => x.type)).toEqual(['edited', 'added', 'deleted']);
+
+        // Only maxVersions are kept
+        const historyPath = path.join(directories.backups, '_chat-history', 'chats', 'Seraphina', 'chat');
+        for (const file of fs.readdirSync(historyPath)) {
+            fs.utimesSync(path.join(historyPath, file), new Date(Date.UTC(2024, 0, 1)), new Date(Date.UTC(2024, 0, 1)));
+        }
+        const tomorrow = Math.floor(Date.now() / 1000) * 1000 + 24 * 60 * 60 * 1000;
+        fs.utimesSync(chatPath, new Date(tomorrow), new Date(tomorrow));
+        await saveChat([{ name: 'A', mes: 'one' }]);
+        expect((await post('/api/chats/history/list', chatBody)).body.versions.map(x => x.date)).toEqual([tomorrow, history.versions[0].date]);
+    });
+
+    it('moves the history with renamed chats and drops it with deleted ones', async () => {
+        const renamed = await post('/api/chats/rename', { avatar_url: 'Seraphina.png', original_file: 'chat.jsonl', renamed_file: 'renamed.jsonl' });
+        expect(renamed.body).toMatchObject({ ok: true });
+        expect((await post('/api/chats/history/list', { ...chatBody, file_name: 'renamed' })).body.versions).toHaveLength(2);
+        expect((await post('/api/chats/history/list', chatBody)).body).toEqual({ current: null, versions: [] });
+
+        const groupChatPath = path.join(directories.groupChats, 'party.jsonl');
+        writeChat(groupChatPath, [{ name: 'Aqua', mes: 'Hi' }], Date.UTC(2024, 0, 1));
+        await post('/api/chats/group/save', { id: 'party', chat: [{ name: 'Aqua', mes: 'Explosion!' }] });
+        const { body: groupHistory } = await post('/api/chats/history/list', { is_group: true, id: 'party' });
+        expect(groupHistory.versions).toMatchObject([{ messages: 1 }]);
+        const { body: groupDiff } = await post('/api/chats/history/diff', { is_group: true, id: 'party', from: groupHistory.versions[0].id });
+        expect(groupDiff.changes).toMatchObject([{ type: 'edited', fromIndex: 0, before: { mes: 'Hi' } }]);
+
+        await post('/api/chats/group/delete', { id: 'party' });
+        expect((await post('/api/chats/history/list', { is_group: true, id: 'party' })).body.versions).toEqual([]);
+    });
+
+    it('keeps a version before a delta only once the delta applied', async () => {
+        const deltaBody = { ...chatBody, file_name: 'delta' };
+        writeChat(path.join(directories.chats, 'Seraphina', 'delta.jsonl'), [header, { name: 'A', mes: 'one' }], Date.UTC(2024, 0, 1));
+        const saveDelta = (baseCount, ops) => post('/api/chats/save-delta', { ...deltaBody, baseCount, ops });
+
+        expect((await saveDelta(1, [{ op: 'edit', index: 5, message: { mes: 'missing' } }])).status).toBe(400);
+        expect((await saveDelta(3, [{ op: 'append', messages: [{ mes: 'two' }] }])).status).toBe(409);
+        expect((await post('/api/chats/history/list', deltaBody)).body.versions).toEqual([]);
+
+        expect((await saveDelta(1, [{ op: 'append', messages: [{ mes: 'two' }] }])).status).toBe(200);
+        expect((await post('/api/chats/history/list', deltaBody)).body.versions).toMatchObject([{ date: Date.UTC(2024, 0, 1), messages: 1 }]);
+    });
+});
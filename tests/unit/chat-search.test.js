@@ -0,0 +1,83 @@
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { setupDataRoot, removeDataRoot, startTestServer, createTestUser, fixedUser } from './helpers.js';
+
+describe('chat search', () => {
+    let server;
+    let dataRoot;
+    let directories;
+    const handle = 'alice';
+
+    function writeChat(filePath, lines) {
+        fs.writeFileSync(filePath, lines.map(line => JSON.stringify(line)).join('\n'));
+    }
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('chat-search', { backups: { chat: { enabled: false } } });
+
+        directories = await createTestUser(handle);
+        fs.mkdirSync(path.join(directories.chats, 'Seraphina'));
+        writeChat(path.join(directories.chats, 'Seraphina', 'Forest.jsonl'), [
+            { user_name: 'You', character_name: 'Seraphina', chat_metadata: {} },
+            { name: 'Seraphina', is_user: false, send_date: '2024-1-5 @10h 00m 00s 000ms', mes: 'Welcome to the enchanted forest, traveler.' },
+            { name: 'You', is_user: true, send_date: '2024-1-5 @10h 01m 00s 000ms', mes: 'Is the forest safe? The forest looks dark.' },
+            { name: 'Seraphina', is_user: false, send_date: '2024-3-1 @10h 02m 00s 000ms', mes: '森林里很安全，我会保护你。' },
+        ]);
+        writeChat(path.join(directories.groupChats, 'party-1.jsonl'), [
+            { name: 'Aqua', is_user: false, send_date: Date.UTC(2024, 5, 1), mes: 'A safe forest camp for the party.' },
+        ]);
+        fs.writeFileSync(path.join(directories.groups, 'g1.json'), JSON.stringify({ id: 'g1', name: 'Party', chats: ['party-1'] }));
+
+        const { router: chatsRouter } = await import('../../src/endpoints/chats.js');
+        server = await startTestServer(app => {
+            app.use(fixedUser(handle, directories));
+            app.use('/api/chats', chatsRouter);
+        });
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    async function search(body) {
+        const response = await server.post('/api/chats/search-all', body);
+        return { status: response.status, body: await response.json() };
+    }
+
+    it('ranks messages across character and group chats', async () => {
+        const { body } = await search({ query: 'forest safe' });
+        expect(body.total).toBe(2);
+        expect(body.results[0]).toMatchObject({ type: 'character', avatar: 'Seraphina.png', fileName: 'Forest', messageIndex: 1, name: 'You', isUser: true });
+        expect(body.results[0].snippet).toContain('Is the forest safe?');
+        expect(body.results[1]).toMatchObject({ type: 'group', groupId: 'g1', fileName: 'party-1', messageIndex: 0 });
+        expect(fs.existsSync(path.join(dataRoot, '_cache', 'chat-search', `${handle}.json`))).toBe(true);
+    });
+
+    it('matches phrases and CJK text', async () => {
+        expect((await search({ query: '"forest looks safe"' })).body.total).toBe(0);
+        expect((await search({ query: '"safe forest"' })).body.results).toMatchObject([{ type: 'group' }]);
+        expect((await search({ query: '安全' })).body.results).toMatchObject([{ messageIndex: 2, snippet: '森林里很安全，我会保护你。' }]);
+        expect((await search({ query: '全安' })).body.total).toBe(0);
+        expect((await search({ query: '  ' })).status).toBe(400);
+    });
+
+    it('filters by chat, speaker and date', async () => {
+        expect((await search({ query: 'forest', group_id: 'g1' })).body.results).toMatchObject([{ fileName: 'party-1' }]);
+        expect((await search({ query: 'forest', avatar_url: 'Seraphina.png', speaker: 'seraphina' })).body.results).toMatchObject([{ messageIndex: 0 }]);
+        expect((await search({ query: 'forest', from: '2024-02-01' })).body.results).toMatchObject([{ type: 'group' }]);
+        expect((await search({ query: 'forest', to: 'someday' })).status).toBe(400);
+    });
+
+    it('picks up saved, added and deleted chats', async () => {
+        const save = await server.post('/api/chats/group/save', { id: 'party-1', chat: [{ name: 'Aqua', is_user: false, mes: 'Explosion!' }] });
+        expect(save.status).toBe(200);
+        fs.rmSync(path.join(directories.chats, 'Seraphina', 'Forest.jsonl'));
+        writeChat(path.join(directories.chats, 'Seraphina', 'Beach.jsonl'), [{ chat_metadata: {} }, { name: 'You', is_user: true, mes: 'A calm forest by the sea.' }]);
+
+        const { body } = await search({ query: 'forest' });
+        expect(body.results).toMatchObject([{ fileName: 'Beach', messageIndex: 0 }]);
+        expect((await search({ query: 'explosion' })).body.total).toBe(1);
+    });
+});
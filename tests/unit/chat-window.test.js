@@ -0,0 +1,72 @@
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { setupDataRoot, removeDataRoot, startTestServer, createTestUser, fixedUser } from './helpers.js';
+
+describe('chat windows', () => {
+    let server;
+    let dataRoot;
+    let chatPath;
+    const handle = 'alice';
+    const header = { user_name: 'You', character_name: 'Seraphina', create_date: '2024-01-01', chat_metadata: { integrity: 'slug-1' } };
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('chat-window', { backups: { chat: { enabled: false } } });
+
+        const directories = await createTestUser(handle);
+        fs.mkdirSync(path.join(directories.chats, 'Seraphina'));
+        chatPath = path.join(directories.chats, 'Seraphina', 'chat.jsonl');
+        const lines = [header, ...Array.from({ length: 2500 }, (_, i) => ({ mes: `Message ${i}` }))].map(line => JSON.stringify(line));
+        lines[3] = '{broken';
+        fs.writeFileSync(chatPath, lines.join('\n') + '\n\n');
+
+        const { router: chatsRouter } = await import('../../src/endpoints/chats.js');
+        server = await startTestServer(app => {
+            app.use(fixedUser(handle, directories));
+            app.use('/api/chats', chatsRouter);
+        }, { jsonLimit: '10mb' });
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    async function post(url, body) {
+        const response = await server.post(url, body);
+        return { status: response.status, body: await response.json() };
+    }
+
+    function getWindow(range) {
+        return post('/api/chats/get-window', { avatar_url: 'Seraphina.png', file_name: 'chat', ...range });
+    }
+
+    it('reads the end of a chat and ranges before it', async () => {
+        const { body: tail } = await getWindow({ tail: 50 });
+        expect(tail).toMatchObject({ header, start: 2450, total: 2500, limit: 1000 });
+        expect(tail.messages).toHaveLength(50);
+        expect(tail.messages[49]).toEqual({ mes: 'Message 2499' });
+
+        const { body: range } = await getWindow({ start: 0, end: 5 });
+        expect(range.messages).toEqual([{ mes: 'Message 0' }, { mes: 'Message 1' }, null, { mes: 'Message 3' }, { mes: 'Message 4' }]);
+        expect((await getWindow({ start: 100 })).body.messages).toHaveLength(1000);
+        expect((await getWindow({ start: 3000 })).body).toMatchObject({ messages: [], start: 2500 });
+        expect((await getWindow({ start: -1 })).status).toBe(400);
+    });
+
+    it('keeps indexes in step with delta saves', async () => {
+        const saved = await post('/api/chats/save-delta', { avatar_url: 'Seraphina.png', file_name: 'chat', integrity: 'slug-1', baseCount: 2500, ops: [{ op: 'delete', start: 2498, count: 2 }, { op: 'append', messages: [{ mes: 'New' }] }] });
+        expect(saved.body).toEqual({ result: 'ok', count: 2499 });
+        expect((await getWindow({ tail: 2 })).body).toMatchObject({ start: 2497, total: 2499, messages: [{ mes: 'Message 2497' }, { mes: 'New' }] });
+        expect((await post('/api/chats/get-window', { avatar_url: 'Seraphina.png', file_name: 'missing', tail: 10 })).body).toEqual({ header: null, messages: [], start: 0, total: 0, limit: 1000 });
+    });
+
+    it('refuses to write placeholders of messages that were never loaded', async () => {
+        const placeholder = { mes: '', is_system: true, extra: { unloaded: true, window_index: 0 } };
+        const delta = await post('/api/chats/save-delta', { avatar_url: 'Seraphina.png', file_name: 'chat', integrity: 'slug-1', baseCount: 2499, ops: [{ op: 'edit', index: 0, message: placeholder }] });
+        expect(delta.status).toBe(400);
+        const full = await post('/api/chats/save', { avatar_url: 'Seraphina.png', file_name: 'chat', chat: [header, placeholder], force: true });
+        expect(full.status).toBe(400);
+        expect((await getWindow({ start: 0, end: 1 })).body.messages).toEqual([{ mes: 'Message 0' }]);
+    });
+});
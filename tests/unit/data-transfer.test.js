@@ -0,0 +1,179 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+import fs from 'node:fs';
+
+import archiver from 'archiver';
+
+import { setupDataRoot, removeDataRoot, startTestServer, createTestUser, fixedUser } from './helpers.js';
+
+describe('export bundles', () => {
+    let server;
+    let baseUrl;
+    let dataRoot;
+    let filesDir;
+    let bundlePath;
+    let getOrInitState;
+    const handle = 'alice';
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('data-transfer', { dataTransfer: { trustedKeys: ['bob-instance-key'] } });
+        ({ getOrInitState } = await import('../../src/endpoints/account.js'));
+
+        const directories = await createTestUser(handle, { name: 'Alice' });
+        filesDir = directories.files;
+        await getOrInitState(handle);
+
+        const { router } = await import('../../src/endpoints/users-private.js');
+        server = await startTestServer(app => {
+            app.use(fixedUser(handle, directories, { name: 'Alice', session: {} }));
+            app.use('/api/users', router);
+        }, { uploads: true });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    function restore(filePath, mode) {
+        const form = new FormData();
+        form.append('avatar', new Blob([fs.readFileSync(filePath)]), 'bundle.zip');
+        if (mode) form.append('mode', mode);
+        return fetch(`${baseUrl}/api/users/restore`, { method: 'POST', body: form });
+    }
+
+    function writeZip(zipPath, entries) {
+        const archive = archiver('zip');
+        const output = fs.createWriteStream(zipPath);
+        return new Promise((resolve, reject) => {
+            output.on('close', resolve);
+            archive.on('error', reject);
+            archive.pipe(output);
+            for (const [name, content] of Object.entries(entries)) {
+                archive.append(content, { name });
+            }
+            archive.finalize();
+        });
+    }
+
+    it('exports the data directory with account metadata', async () => {
+        fs.writeFileSync(path.join(filesDir, 'notes.txt'), 'original');
+        fs.writeFileSync(path.join(filesDir, 'extra.txt'), 'extra');
+
+        const { writeExportBundle, readExportBundle } = await import('../../src/data-transfer.js');
+        bundlePath = path.join(dataRoot, 'alice.zip');
+        const output = fs.createWriteStream(bundlePath);
+        await writeExportBundle(handle, output);
+        await new Promise(resolve => output.close(resolve));
+
+        const bundle = await readExportBundle(bundlePath);
+        expect(bundle.sameInstance).toBe(true);
+        expect(bundle.manifest).toMatchObject({ format: 'chloe-user-export', version: 1, handle, name: 'Alice', account: { points: (await getOrInitState(handle)).points } });
+        expect(bundle.files.map(file => file.path)).toEqual(expect.arrayContaining(['user/files/notes.txt', 'user/files/extra.txt']));
+    });
+
+    it('previews conflicts and merges without overwriting', async () => {
+        fs.writeFileSync(path.join(filesDir, 'notes.txt'), 'edited');
+        fs.rmSync(path.join(filesDir, 'extra.txt'));
+
+        const { preview } = await (await restore(bundlePath)).json();
+        expect(preview).toMatchObject({ conflicts: ['user/files/notes.txt'], account: { restore: false } });
+        expect(fs.readFileSync(path.join(filesDir, 'notes.txt'), 'utf8')).toBe('edited');
+
+        const result = await (await restore(bundlePath, 'merge')).json();
+        expect(result).toMatchObject({ success: true, accountRestored: false, skipped: 1 });
+        expect(fs.readFileSync(path.join(filesDir, 'notes.txt'), 'utf8')).toBe('edited');
+        expect(fs.readFileSync(path.join(filesDir, 'extra.txt'), 'utf8')).toBe('extra');
+    });
+
+    it('replaces the whole directory', async () => {
+        fs.writeFileSync(path.join(filesDir, 'later.txt'), 'later');
+
+        expect((await restore(bundlePath, 'replace')).status).toBe(200);
+        expect(fs.readFileSync(path.join(filesDir, 'notes.txt'), 'utf8')).toBe('original');
+        expect(fs.existsSync(path.join(filesDir, 'later.txt'))).toBe(false);
+    });
+
+    function signManifest(manifest, key) {
+        return crypto.createHmac('sha256', key).update(`chloe-user-export:${JSON.stringify(manifest)}`).digest('hex');
+    }
+
+    it('keeps the data directory when a replace fails', async () => {
+        const brokenPath = path.join(dataRoot, 'broken.zip');
+        fs.writeFileSync(brokenPath, fs.readFileSync(bundlePath).subarray(0, 200));
+        const bundle = { manifest: { handle }, files: [{ path: 'user/files/notes.txt', size: 8 }], sameInstance: true, trusted: false };
+
+        const { restoreExportBundle } = await import('../../src/data-transfer.js');
+        await expect(restoreExportBundle(handle, brokenPath, /** @type {any} */ (bundle), 'replace')).rejects.toThrow();
+        expect(fs.readFileSync(path.join(filesDir, 'notes.txt'), 'utf8')).toBe('original');
+        expect(fs.readdirSync(dataRoot).filter(name => /^alice\.(restore|previous)-/.test(name))).toEqual([]);
+    });
+
+    it('restores points only from bundles signed by a trusted instance, once', async () => {
+        const fields = { format: 'chloe-user-export', version: 1, id: 'foreign-1', exportedAt: Date.now(), handle: 'bob', name: 'Bob', account: { points: 50, lastCheckInAt: null, lastCheckInDate: '', createdAt: 0 } };
+        const forgedPath = path.join(dataRoot, 'forged.zip');
+        await writeZip(forgedPath, { 'chloe-export.json': JSON.stringify({ ...fields, id: 'forged-1', signature: signManifest(fields, 'unknown-key') }), 'data/user/files/bob.txt': 'bob' });
+        const foreignPath = path.join(dataRoot, 'foreign.zip');
+        await writeZip(foreignPath, { 'chloe-export.json': JSON.stringify({ ...fields, signature: signManifest(fields, 'bob-instance-key') }), 'data/user/files/bob.txt': 'bob' });
+        const before = (await getOrInitState(handle)).points;
+
+        expect(await (await restore(forgedPath, 'merge')).json()).toMatchObject({ accountRestored: false, points: 0 });
+        expect((await getOrInitState(handle)).points).toBe(before);
+
+        expect(await (await restore(foreignPath, 'merge')).json()).toMatchObject({ accountRestored: true, points: 50 });
+        expect((await getOrInitState(handle)).points).toBe(before + 50);
+        expect(await (await restore(foreignPath, 'merge')).json()).toMatchObject({ accountRestored: false, points: 0 });
+        expect((await getOrInitState(handle)).points).toBe(before + 50);
+
+        // A later export of the same account has a new id but brings no points again, in either mode
+        const laterFields = { ...fields, id: 'foreign-2', exportedAt: Date.now() + 1 };
+        const laterPath = path.join(dataRoot, 'foreign-later.zip');
+        await writeZip(laterPath, { 'chloe-export.json': JSON.stringify({ ...laterFields, signature: signManifest(laterFields, 'bob-instance-key') }), 'data/user/files/bob.txt': 'bob' });
+        expect((await (await restore(laterPath)).json()).preview.account).toMatchObject({ restore: false });
+        expect(await (await restore(laterPath, 'merge')).json()).toMatchObject({ accountRestored: false, points: 0 });
+        expect(await (await restore(laterPath, 'replace')).json()).toMatchObject({ accountRestored: false, points: 0 });
+        expect((await getOrInitState(handle)).points).toBe(before + 50);
+    });
+
+    // Rewrites the uncompressed size in the central directory record of an entry
+    function fakeUncompressedSize(zipPath, entryName, size) {
+        const zip = fs.readFileSync(zipPath);
+        const name = Buffer.from(entryName);
+        const signature = Buffer.from([0x50, 0x4b, 0x01, 0x02]);
+        for (let offset = zip.indexOf(signature); offset !== -1; offset = zip.indexOf(signature, offset + 4)) {
+            if (zip.subarray(offset + 46, offset + 46 + name.length).equals(name)) {
+                zip.writeUInt32LE(size, offset + 24);
+            }
+        }
+        fs.writeFileSync(zipPath, zip);
+    }
+
+    it('rejects entries that unpack to more than they claim', async () => {
+        const fields = { format: 'chloe-user-export', version: 1, id: 'oversized-1', exportedAt: Date.now(), handle: 'bob', name: 'Bob', account: null };
+        const oversizedPath = path.join(dataRoot, 'oversized.zip');
+        await writeZip(oversizedPath, { 'chloe-export.json': JSON.stringify(fields), 'data/user/files/big.txt': 'x'.repeat(64 * 1024) });
+        fakeUncompressedSize(oversizedPath, 'data/user/files/big.txt', 1);
+
+        expect((await restore(oversizedPath, 'merge')).status).toBe(400);
+        expect(fs.existsSync(path.join(filesDir, 'big.txt'))).toBe(false);
+        expect((await restore(bundlePath)).status).toBe(200);
+    });
+
+    it('stops unpacking at the byte limit', async () => {
+        const archivePath = path.join(dataRoot, 'limit.zip');
+        await writeZip(archivePath, { 'a.txt': 'a'.repeat(600), 'b.txt': 'b'.repeat(600) });
+
+        const { extractZipArchive, ZIP_SIZE_LIMIT_ERROR } = await import('../../src/util.js');
+        await expect(extractZipArchive(archivePath, path.join(dataRoot, 'limit'), undefined, 1000)).rejects.toMatchObject({ code: ZIP_SIZE_LIMIT_ERROR });
+        await extractZipArchive(archivePath, path.join(dataRoot, 'unlimited'), undefined, 1200);
+        expect(fs.readFileSync(path.join(dataRoot, 'unlimited', 'b.txt'), 'utf8')).toBe('b'.repeat(600));
+    });
+
+    it('rejects files that are not bundles', async () => {
+        const plainPath = path.join(dataRoot, 'plain.zip');
+        await writeZip(plainPath, { 'user/files/x.txt': 'x' });
+        expect((await restore(plainPath)).status).toBe(400);
+        expect((await restore(bundlePath, 'overwrite')).status).toBe(400);
+    });
+});
@@ -0,0 +1,132 @@
+import { setupDataRoot, removeDataRoot, startTestServer, headerUser, userHeaders } from './helpers.js';
+
+describe('generation limits', () => {
+    let server;
+    let baseUrl;
+    let dataRoot;
+    const pending = [];
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('limits');
+
+        const { router: accountRouter } = await import('../../src/endpoints/account.js');
+        const { router: adminRouter } = await import('../../src/endpoints/admin.js');
+        const { limitGenerations } = await import('../../src/generation-limits.js');
+        const { setPlansConfig } = await import('../../src/plans.js');
+        await setPlansConfig({
+            defaultPlan: 'basic',
+            plans: [{
+                id: 'basic',
+                name: '基础版',
+                dailyFee: null,
+                checkinReward: 5,
+                requestsPerMinute: 3,
+                maxConcurrentGenerations: null,
+                allowedSources: [],
+                allowedModels: [],
+                features: {},
+            }],
+        });
+        const { createOperator } = await import('../../src/admin-operators.js');
+        await createOperator('limiter', 'limiter-password', 'support');
+
+        server = await startTestServer(app => {
+            app.use(headerUser('limiter'));
+            app.use(limitGenerations());
+            // Generations stay open until the test releases them, so concurrency can be observed
+            app.post(['/api/backends/chat-completions/generate', '/api/sd/comfy/generate'], (_req, res) => {
+                pending.push(() => res.json({ ok: true }));
+            });
+            app.post('/api/sd/comfy/models', (_req, res) => res.json([]));
+            app.use('/api/account', accountRouter);
+            app.use('/api/admin', adminRouter);
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    function post(url, body, handle) {
+        return server.post(url, body, userHeaders(handle));
+    }
+
+    async function waitForPending(count) {
+        while (pending.length < count) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
+    async function releaseAll(requests) {
+        await waitForPending(requests.length);
+        pending.splice(0).forEach(release => release());
+        return await Promise.all(requests);
+    }
+
+    it('caps generations in flight using the server default', async () => {
+        const running = [
+            post('/api/backends/chat-completions/generate', {}, 'alice'),
+            post('/api/sd/comfy/generate', {}, 'alice'),
+        ];
+        await waitForPending(2);
+
+        const blocked = await post('/api/backends/chat-completions/generate', {}, 'alice');
+        expect(blocked.status).toBe(429);
+        expect(await blocked.json()).toMatchObject({ error: { type: 'concurrency_limit' }, limit: 2, retryAfter: null });
+
+        // Other users and non-generation routes are unaffected
+        expect((await post('/api/sd/comfy/models', {}, 'alice')).status).toBe(200);
+        const other = post('/api/backends/chat-completions/generate', {}, 'bob');
+
+        const responses = await releaseAll([...running, other]);
+        expect(responses.map(res => res.status)).toEqual([200, 200, 200]);
+    });
+
+    it('holds the cap against a burst of parallel requests', async () => {
+        const burst = [1, 2, 3].map(() => post('/api/backends/chat-completions/generate', {}, 'erin'));
+        await waitForPending(2);
+        const blocked = await Promise.race(burst);
+        expect(blocked.status).toBe(429);
+        expect(await blocked.json()).toMatchObject({ error: { type: 'concurrency_limit' } });
+
+        pending.splice(0).forEach(release => release());
+        const responses = await Promise.all(burst);
+        expect(responses.map(res => res.status).sort()).toEqual([200, 200, 429]);
+    });
+
+    it('limits requests per minute using the plan', async () => {
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            const [res] = await releaseAll([post('/api/backends/chat-completions/generate', {}, 'carol')]);
+            statuses.push(res.status);
+        }
+        expect(statuses).toEqual([200, 200, 200]);
+
+        const blocked = await post('/api/backends/chat-completions/generate', {}, 'carol');
+        expect(blocked.status).toBe(429);
+        expect(Number(blocked.headers.get('retry-after'))).toBeGreaterThan(0);
+        const body = await blocked.json();
+        expect(body).toMatchObject({ error: { type: 'rate_limit' }, limit: 3 });
+        expect(body.error.message).toContain('每分钟最多 3 次');
+    });
+
+    it('lets admins override the limits for a single user', async () => {
+        await fetch(`${baseUrl}/api/account/status`, { headers: { 'x-test-user': 'dave' } });
+
+        const res = await post('/api/admin/users/dave/limits', { requestsPerMinute: 0, maxConcurrent: 1 });
+        expect(res.status).toBe(200);
+        expect((await res.json()).effectiveLimits).toEqual({ requestsPerMinute: 0, maxConcurrent: 1 });
+
+        const status = await (await fetch(`${baseUrl}/api/account/status`, { headers: { 'x-test-user': 'dave' } })).json();
+        expect(status.generationLimits).toEqual({ requestsPerMinute: 0, maxConcurrent: 1 });
+
+        const running = post('/api/backends/chat-completions/generate', {}, 'dave');
+        await waitForPending(1);
+        expect((await post('/api/backends/chat-completions/generate', {}, 'dave')).status).toBe(429);
+        await releaseAll([running]);
+
+        expect((await post('/api/admin/users/dave/limits', { requestsPerMinute: -1 })).status).toBe(400);
+    });
+});
@@ -0,0 +1,184 @@
+import path from 'node:path';
+import os from 'node:os';
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+import express from 'express';
+import multer from 'multer';
+import storage from 'node-persist';
+
+const DEFAULT_CONFIG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'default', 'config.yaml');
+
+/**
+ * Creates a temporary data root, points the server config at it and opens the key-value storage inside it.
+ * Server modules read the data root when they are imported, so import them after this resolves.
+ * @param {string} name Name of the suite, used in the temporary directory name
+ * @param {object|null} [config] Config values written on top of skipContentCheck, or null to use the default config
+ * @returns {Promise<string>} Path of the data root
+ */
+export async function setupDataRoot(name, config = null) {
+    const dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), `st-${name}-`));
+    globalThis.DATA_ROOT = dataRoot;
+
+    let configPath = DEFAULT_CONFIG_PATH;
+    if (config) {
+        configPath = path.join(dataRoot, 'config.yaml');
+        fs.writeFileSync(configPath, JSON.stringify({ skipContentCheck: true, ...config }));
+    }
+    const { setConfigFilePath } = await import('../../src/util.js');
+    setConfigFilePath(configPath);
+    await storage.init({ dir: path.join(dataRoot, '_storage'), ttl: false, expiredInterval: 0 });
+    return dataRoot;
+}
+
+/**
+ * Removes a data root created by setupDataRoot.
+ * @param {string} dataRoot Path of the data root
+ */
+export function removeDataRoot(dataRoot) {
+    fs.rmSync(dataRoot, { recursive: true, force: true });
+}
+
+/**
+ * Creates the user record and all data directories of a user.
+ * @param {string} handle User handle
+ * @param {object} [fields] Fields of the user record to set or override
+ * @returns {Promise<import('../../src/users.js').UserDirectoryList>} Directories of the user
+ */
+export async function createTestUser(handle, fields = {}) {
+    const { getUserDirectories } = await import('../../src/users.js');
+    const directories = getUserDirectories(handle);
+    for (const dir of Object.values(directories)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    await storage.setItem(`user:${handle}`, { handle, name: handle, created: Date.now(), admin: false, enabled: true, ...fields });
+    return directories;
+}
+
+/**
+ * Middleware that signs every request in as an admin panel operator.
+ * @param {string} adminUser Operator username
+ * @returns {import('express').RequestHandler}
+ */
+export function adminSession(adminUser) {
+    return (req, _res, next) => {
+        req.session = { isAdmin: true, adminUser };
+        next();
+    };
+}
+
+/**
+ * Middleware that signs the request in as the user named by the X-Test-User header, if any,
+ * and every request in as an admin panel operator.
+ * @param {string} adminUser Operator username
+ * @returns {import('express').RequestHandler}
+ */
+export function headerUser(adminUser) {
+    return (req, _res, next) => {
+        const handle = req.get('x-test-user');
+        req.user = handle ? /** @type {any} */ ({ profile: { handle, name: handle } }) : undefined;
+        req.session = { isAdmin: true, adminUser };
+        next();
+    };
+}
+
+/**
+ * Builds the headers that pick the user for headerUser.
+ * @param {string} [handle] User handle, or nothing for an anonymous request
+ * @returns {Record<string, string>}
+ */
+export function userHeaders(handle) {
+    return handle ? { 'x-test-user': handle } : {};
+}
+
+/**
+ * Middleware that uses a session object owned by the test and signs the request in as its handle.
+ * @param {() => object} getSession Returns the current session
+ * @returns {import('express').RequestHandler}
+ */
+export function sessionUser(getSession) {
+    return (req, _res, next) => {
+        const session = getSession();
+        req.session = session;
+        req.user = session.handle ? /** @type {any} */ ({ profile: { handle: session.handle, name: session.handle } }) : undefined;
+        next();
+    };
+}
+
+/**
+ * Middleware that signs every request in as the same user.
+ * @param {string} handle User handle
+ * @param {object} directories Directories of the user
+ * @param {object} [options]
+ * @param {string} [options.name] Display name of the user
+ * @param {object} [options.session] Session to attach to every request
+ * @returns {import('express').RequestHandler}
+ */
+export function fixedUser(handle, directories, { name = handle, session } = {}) {
+    return (req, _res, next) => {
+        req.user = /** @type {any} */ ({ profile: { handle, name }, directories });
+        if (session) {
+            req.session = { ...session };
+        }
+        next();
+    };
+}
+
+/**
+ * Starts listening on a random local port.
+ * @param {import('express').Express} app App to serve
+ * @returns {Promise<{ server: import('node:http').Server, baseUrl: string }>}
+ */
+export async function listen(app) {
+    const server = await new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+    return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Closes a server started by listen, including open streams.
+ * @param {import('node:http').Server} server Server to close
+ * @returns {Promise<void>}
+ */
+export function closeServer(server) {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(() => resolve()));
+}
+
+/**
+ * @typedef {object} TestServer
+ * @property {import('node:http').Server} server HTTP server
+ * @property {string} baseUrl URL of the server root
+ * @property {(url: string, body?: any, headers?: Record<string, string>) => Promise<Response>} post Sends a JSON POST request
+ * @property {() => Promise<void>} close Closes the server
+ */
+
+/**
+ * Starts an app with the JSON body parser and the routes the suite mounts.
+ * @param {(app: import('express').Express) => void} mount Adds middleware and routers to the app
+ * @param {object} [options]
+ * @param {string} [options.jsonLimit] Size limit of JSON bodies
+ * @param {boolean} [options.uploads] Accept a multipart 'avatar' file like the server does
+ * @returns {Promise<TestServer>}
+ */
+export async function startTestServer(mount, { jsonLimit, uploads = false } = {}) {
+    const app = express();
+    app.use(express.json(jsonLimit ? { limit: jsonLimit } : {}));
+    if (uploads) {
+        app.use(multer({ dest: path.join(globalThis.DATA_ROOT, '_uploads') }).single('avatar'));
+    }
+    mount(app);
+
+    const { server, baseUrl } = await listen(app);
+    return {
+        server,
+        baseUrl,
+        post: (url, body, headers) => fetch(`${baseUrl}${url}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body ?? {}),
+        }),
+        close: () => closeServer(server),
+    };
+}
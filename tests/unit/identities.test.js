@@ -0,0 +1,148 @@
+import path from 'node:path';
+import fs from 'node:fs';
+
+import express from 'express';
+import storage from 'node-persist';
+
+import { setupDataRoot, removeDataRoot, startTestServer, listen, closeServer, sessionUser, adminSession } from './helpers.js';
+
+describe('linked identities', () => {
+    let server;
+    let providerServer;
+    let baseUrl;
+    let dataRoot;
+    let session = {};
+
+    beforeAll(async () => {
+        // Two OAuth2 providers; the authorization code is the provider's user id
+        const providerApp = express();
+        providerApp.use(express.urlencoded({ extended: false }));
+        providerApp.post('/:provider/token', (req, res) => res.json({ access_token: req.body.code }));
+        providerApp.get('/:provider/me', (req, res) => {
+            const id = String(req.get('authorization')).replace('Bearer ', '');
+            res.json({ id, username: `${req.params.provider}-user-${id}` });
+        });
+        let providerUrl;
+        ({ server: providerServer, baseUrl: providerUrl } = await listen(providerApp));
+        const toProvider = id => ({
+            id,
+            name: id.toUpperCase(),
+            type: 'oauth2',
+            clientId: `${id}-client`,
+            authorizeUrl: `${providerUrl}/${id}/authorize`,
+            tokenUrl: `${providerUrl}/${id}/token`,
+            userInfoUrl: `${providerUrl}/${id}/me`,
+        });
+
+        dataRoot = await setupDataRoot('identities', { oauth: { providers: [toProvider('alpha'), toProvider('beta')] } });
+
+        const { router: oauthRouter } = await import('../../src/oauth.js');
+        const { router: accountRouter } = await import('../../src/endpoints/account.js');
+        const { router: adminRouter } = await import('../../src/endpoints/admin.js');
+        const { createOperator } = await import('../../src/admin-operators.js');
+        await createOperator('merger', 'merger-password', 'super-admin');
+
+        server = await startTestServer(app => {
+            app.use(sessionUser(() => session));
+            app.use(oauthRouter);
+            app.use('/api/account', accountRouter);
+            app.use('/api/admin', adminSession('merger'), adminRouter);
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await closeServer(providerServer);
+        removeDataRoot(dataRoot);
+    });
+
+    function post(url, body) {
+        return server.post(url, body);
+    }
+
+    // Runs the redirect dance and returns where the callback sends the browser
+    async function oauth(provider, userId, { link = false, fresh = true } = {}) {
+        if (fresh) {
+            session = {};
+        }
+        const start = await fetch(`${baseUrl}/auth/${provider}${link ? '?link=1' : ''}`, { redirect: 'manual' });
+        const state = new URL(start.headers.get('location')).searchParams.get('state');
+        const callback = await fetch(`${baseUrl}/oauth?code=${userId}&state=${state}`, { redirect: 'manual' });
+        return callback.headers.get('location');
+    }
+
+    async function getIdentities() {
+        return await (await fetch(`${baseUrl}/api/account/identities`)).json();
+    }
+
+    it('links a second provider and signs in with either one', async () => {
+        expect(await oauth('alpha', '1')).toBe('/');
+        expect(session.handle).toBe('alpha-1');
+
+        expect(await oauth('beta', '9', { link: true, fresh: false })).toBe('/?linked=beta');
+        const { identities, hasPassword } = await getIdentities();
+        expect(hasPassword).toBe(false);
+        expect(identities.map(identity => [identity.provider, identity.subject, identity.name])).toEqual([
+            ['alpha', '1', 'alpha-user-1'],
+            ['beta', '9', 'beta-user-9'],
+        ]);
+
+        await oauth('beta', '9');
+        expect(session.handle).toBe('alpha-1');
+        expect(await storage.getItem('user:beta-9')).toBeUndefined();
+    });
+
+    it('refuses to link a login that belongs to someone else', async () => {
+        await oauth('beta', '5');
+        expect(session.handle).toBe('beta-5');
+        await oauth('alpha', '2');
+        expect(await oauth('beta', '5', { link: true, fresh: false })).toBe('/?linkError=taken');
+        expect((await getIdentities()).identities).toHaveLength(1);
+    });
+
+    it('keeps at least one way to sign in', async () => {
+        await oauth('alpha', '2');
+        const unlink = () => post('/api/account/identities/unlink', { provider: 'alpha', subject: '2' });
+        expect((await unlink()).status).toBe(400);
+
+        const setPassword = await post('/api/account/change-password', { newPassword: 'secret-123' });
+        expect(await setPassword.json()).toMatchObject({ success: true, message: '密码设置成功' });
+        expect((await getIdentities()).hasPassword).toBe(true);
+        expect((await post('/api/account/change-password', { newPassword: 'secret-456' })).status).toBe(400);
+
+        expect((await unlink()).status).toBe(200);
+        expect((await getIdentities()).identities).toEqual([]);
+        expect(await oauth('alpha', '2')).toBe('/');
+        expect(session.handle).toBe('alpha-2');
+    });
+
+    it('merges data, points and logins of two accounts', async () => {
+        await oauth('beta', '5');
+        await fetch(`${baseUrl}/api/account/status`);
+        const sourceChats = path.join(dataRoot, 'beta-5', 'chats');
+        const targetChats = path.join(dataRoot, 'alpha-1', 'chats');
+        fs.writeFileSync(path.join(sourceChats, 'only-source.jsonl'), 'source');
+        fs.writeFileSync(path.join(sourceChats, 'shared.jsonl'), 'source copy');
+        fs.writeFileSync(path.join(targetChats, 'shared.jsonl'), 'target copy');
+
+        const res = await post('/api/admin/users/merge', { source: 'beta-5', target: 'alpha-1' });
+        expect(res.status).toBe(200);
+        expect((await res.json()).result).toMatchObject({ points: 20, identities: 1, renamed: expect.any(Number) });
+
+        expect(fs.readFileSync(path.join(targetChats, 'only-source.jsonl'), 'utf8')).toBe('source');
+        expect(fs.readFileSync(path.join(targetChats, 'shared.jsonl'), 'utf8')).toBe('target copy');
+        expect(fs.readFileSync(path.join(targetChats, 'shared (from beta-5).jsonl'), 'utf8')).toBe('source copy');
+        expect(fs.existsSync(path.join(dataRoot, 'beta-5'))).toBe(false);
+        expect(await storage.getItem('user:beta-5')).toBeUndefined();
+
+        await oauth('beta', '5');
+        expect(session.handle).toBe('alpha-1');
+        const status = await (await fetch(`${baseUrl}/api/account/status`)).json();
+        expect(status.points).toBe(40);
+        expect((await getIdentities()).identities.map(identity => `${identity.provider}:${identity.subject}`)).toEqual(['alpha:1', 'beta:9', 'beta:5']);
+
+        expect((await post('/api/admin/users/merge', { source: 'alpha-1', target: 'alpha-1' })).status).toBe(400);
+        expect((await post('/api/admin/users/merge', { source: 'beta-5', target: 'alpha-1' })).status).toBe(404);
+    });
+});
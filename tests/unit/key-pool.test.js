@@ -0,0 +1,131 @@
+import path from 'node:path';
+import fs from 'node:fs';
+
+import express from 'express';
+
+import { setupDataRoot, removeDataRoot, startTestServer, listen, closeServer } from './helpers.js';
+
+describe('shared key pool', () => {
+    let server;
+    let upstream;
+    let baseUrl;
+    let dataRoot;
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('key-pool');
+
+        const { router: adminRouter } = await import('../../src/endpoints/admin.js');
+        const { router: secretsRouter, readSecret, SECRET_KEYS } = await import('../../src/endpoints/secrets.js');
+        const { useKeyPool, trackPooledKeys } = await import('../../src/key-pool.js');
+        const { createOperator } = await import('../../src/admin-operators.js');
+        await createOperator('keeper', 'keeper-password', 'super-admin');
+        await createOperator('helper', 'helper-password', 'support');
+
+        // Fake upstream that rejects some keys the way real providers do
+        const upstreamApp = express();
+        upstreamApp.get('/v1/chat', (req, res) => {
+            const key = req.get('authorization');
+            res.sendStatus(key === 'sk-revoked-key-000' ? 401 : key === 'sk-throttled-key-0' ? 429 : 200);
+        });
+        let upstreamUrl;
+        ({ server: upstream, baseUrl: upstreamUrl } = await listen(upstreamApp));
+        const fetch = trackPooledKeys(globalThis.fetch);
+
+        server = await startTestServer(app => {
+            app.use((req, _res, next) => {
+                const handle = req.get('x-test-user');
+                if (handle) {
+                    const root = path.join(dataRoot, handle);
+                    fs.mkdirSync(root, { recursive: true });
+                    req.user = /** @type {any} */ ({ profile: { handle, name: handle }, directories: { root } });
+                }
+                req.session = { isAdmin: true, adminUser: req.get('x-test-admin') || 'keeper' };
+                next();
+            });
+            app.post('/api/backends/chat-completions/generate', useKeyPool(), async (req, res) => {
+                const key = readSecret(req.user.directories, SECRET_KEYS.OPENAI);
+                if (!key) {
+                    return res.status(400).json({ error: 'no key' });
+                }
+                const response = await fetch(`${upstreamUrl}/v1/chat`, { headers: { authorization: key } });
+                return res.json({ key, status: response.status });
+            });
+            app.use('/api/secrets', secretsRouter);
+            app.use('/api/admin', adminRouter);
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await closeServer(upstream);
+        // Usage counters are saved in the background, wait for the last write before removing the data
+        const { withLock } = await import('../../src/storage-lock.js');
+        await withLock('system:key-pool', () => {});
+        removeDataRoot(dataRoot);
+    });
+
+    function post(url, body, headers) {
+        return server.post(url, body, headers);
+    }
+
+    async function generate(handle) {
+        return await (await post('/api/backends/chat-completions/generate', {}, { 'x-test-user': handle })).json();
+    }
+
+    async function getKeys() {
+        return (await (await fetch(`${baseUrl}/api/admin/key-pool`)).json()).keys;
+    }
+
+    it('lets only super admins manage keys and never returns them', async () => {
+        const denied = await post('/api/admin/key-pool/keys', { source: 'openai', value: 'sk-healthy-key-01' }, { 'x-test-admin': 'helper' });
+        expect(denied.status).toBe(403);
+
+        expect((await post('/api/admin/key-pool/keys', { source: 'custom', value: 'sk-anything-000' })).status).toBe(400);
+
+        for (const value of ['sk-healthy-key-01', 'sk-healthy-key-02']) {
+            const res = await post('/api/admin/key-pool/keys', { source: 'openai', value });
+            expect(res.status).toBe(200);
+        }
+        expect((await post('/api/admin/key-pool/keys', { source: 'openai', value: 'sk-healthy-key-01' })).status).toBe(400);
+
+        const body = await (await fetch(`${baseUrl}/api/admin/key-pool`)).text();
+        expect(body).not.toContain('sk-healthy');
+        expect(JSON.parse(body).keys.map(key => key.maskedValue)).toEqual(['*******-01', '*******-02']);
+    });
+
+    it('rotates keys for users without their own and prefers a saved key', async () => {
+        const keys = [(await generate('alice')).key, (await generate('alice')).key, (await generate('bob')).key];
+        expect(keys).toEqual(['sk-healthy-key-01', 'sk-healthy-key-02', 'sk-healthy-key-01']);
+        expect((await getKeys()).map(key => key.requests)).toEqual([2, 1]);
+
+        const state = await (await post('/api/secrets/read', {}, { 'x-test-user': 'alice' })).json();
+        expect(state.api_key_openai).toEqual([expect.objectContaining({ id: 'key-pool', active: true })]);
+        expect(JSON.stringify(state)).not.toContain('sk-healthy');
+
+        await post('/api/secrets/write', { key: 'api_key_openai', value: 'sk-own-key-of-carol' }, { 'x-test-user': 'carol' });
+        expect((await generate('carol')).key).toBe('sk-own-key-of-carol');
+    });
+
+    it('takes keys out of rotation on 401 and 429', async () => {
+        await post('/api/admin/key-pool/settings', { strategy: 'least-used', cooldownMinutes: 5 });
+        const [first, second] = await getKeys();
+        await post(`/api/admin/key-pool/keys/${first.id}`, { enabled: false });
+        await post(`/api/admin/key-pool/keys/${second.id}`, { enabled: false });
+        await post('/api/admin/key-pool/keys', { source: 'openai', value: 'sk-revoked-key-000' });
+        await post('/api/admin/key-pool/keys', { source: 'openai', value: 'sk-throttled-key-0' });
+
+        expect(await generate('dave')).toMatchObject({ key: 'sk-revoked-key-000', status: 401 });
+        expect(await generate('dave')).toMatchObject({ key: 'sk-throttled-key-0', status: 429 });
+        expect((await post('/api/backends/chat-completions/generate', {}, { 'x-test-user': 'dave' })).status).toBe(400);
+
+        const [, , revoked, throttled] = await getKeys();
+        expect(revoked).toMatchObject({ status: 'disabled', disabledReason: 'unauthorized', failures: 1, lastStatus: 401 });
+        expect(throttled).toMatchObject({ status: 'cooling', disabledReason: 'rate_limited', failures: 1 });
+        expect(throttled.disabledUntil - Date.now()).toBeGreaterThan(4 * 60 * 1000);
+
+        const res = await post(`/api/admin/key-pool/keys/${second.id}`, { enabled: true });
+        expect((await res.json()).key.status).toBe('active');
+        expect((await generate('dave')).key).toBe('sk-healthy-key-02');
+    });
+});
@@ -0,0 +1,114 @@
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { setupDataRoot, removeDataRoot, startTestServer, headerUser, userHeaders, createTestUser } from './helpers.js';
+
+describe('points ledger', () => {
+    let server;
+    let baseUrl;
+    let dataRoot;
+    let ledger;
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('ledger', {});
+        ledger = await import('../../src/ledger.js');
+
+        await createTestUser('alice');
+        const { router: accountRouter } = await import('../../src/endpoints/account.js');
+        const { router: adminRouter } = await import('../../src/endpoints/admin.js');
+        const { createOperator } = await import('../../src/admin-operators.js');
+        await createOperator('auditor', 'auditor-password', 'support');
+
+        server = await startTestServer(app => {
+            app.use(headerUser('auditor'));
+            app.use('/api/account', accountRouter);
+            app.use('/api/admin', adminRouter);
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    function readLedgerFile(handle) {
+        return fs.readFileSync(path.join(dataRoot, '_ledger', `${handle}.jsonl`), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    }
+
+    async function getJson(url, handle) {
+        return await (await fetch(`${baseUrl}${url}`, { headers: userHeaders(handle) })).json();
+    }
+
+    it('appends concurrent transactions of a user in call order', async () => {
+        const { recordTransaction, LEDGER_REASONS } = ledger;
+        const calls = [];
+        for (let i = 1; i <= 40; i++) {
+            calls.push(recordTransaction({ handle: 'queue', delta: 1, balance: i, reason: LEDGER_REASONS.CHECKIN, actor: 'queue', note: `#${i}` }));
+            calls.push(recordTransaction({ handle: 'other', delta: -1, balance: -i, reason: LEDGER_REASONS.GENERATION, actor: 'other' }));
+        }
+        const recorded = await Promise.all(calls);
+
+        expect(readLedgerFile('queue').map(entry => entry.balance)).toEqual(Array.from({ length: 40 }, (_, i) => i + 1));
+        expect(readLedgerFile('other')).toHaveLength(40);
+        expect(new Set(recorded.map(entry => entry.id)).size).toBe(80);
+    });
+
+    it('skips zero changes and rounds deltas', async () => {
+        const { recordTransaction, LEDGER_REASONS } = ledger;
+        expect(await recordTransaction({ handle: 'rounding', delta: 0, balance: 5, reason: LEDGER_REASONS.ADMIN_SET })).toBeNull();
+        expect(await recordTransaction({ handle: 'rounding', delta: NaN, balance: 5, reason: LEDGER_REASONS.ADMIN_SET })).toBeNull();
+
+        const entry = await recordTransaction({ handle: 'rounding', delta: 0.1 + 0.2, balance: 5.3, reason: LEDGER_REASONS.ADMIN_ADD });
+        expect(entry).toMatchObject({ delta: 0.3, actor: 'system' });
+        expect(entry).not.toHaveProperty('note');
+        expect(readLedgerFile('rounding')).toEqual([entry]);
+    });
+
+    it('reads pages newest first and skips malformed lines', async () => {
+        const { getTransactions } = ledger;
+        expect(await getTransactions('nobody')).toEqual({ transactions: [], total: 0, page: 1, pageSize: 20 });
+
+        const firstPage = await getTransactions('queue', { page: 1, pageSize: 15 });
+        expect(firstPage).toMatchObject({ total: 40, page: 1, pageSize: 15 });
+        expect(firstPage.transactions.map(entry => entry.balance)).toEqual(Array.from({ length: 15 }, (_, i) => 40 - i));
+        const lastPage = await getTransactions('queue', { page: 3, pageSize: 15 });
+        expect(lastPage.transactions.map(entry => entry.balance)).toEqual(Array.from({ length: 10 }, (_, i) => 10 - i));
+        expect((await getTransactions('queue', { page: 4, pageSize: 15 })).transactions).toEqual([]);
+
+        // Out of range paging falls back to the defaults and limits
+        expect(await getTransactions('queue', { page: -2, pageSize: 1000 })).toMatchObject({ page: 1, pageSize: 100 });
+        expect((await getTransactions('queue', { page: 'x', pageSize: 'y' })).transactions).toHaveLength(20);
+
+        fs.appendFileSync(path.join(dataRoot, '_ledger', 'rounding.jsonl'), '{broken\n');
+        const { transactions, total } = await getTransactions('rounding');
+        expect(total).toBe(2);
+        expect(transactions).toHaveLength(1);
+    });
+
+    it('filters transactions by reason, oldest first', async () => {
+        const { recordTransaction, getTransactionsByReason, LEDGER_REASONS } = ledger;
+        await recordTransaction({ handle: 'mixed', delta: 5, balance: 5, reason: LEDGER_REASONS.CHECKIN, actor: 'mixed' });
+        await recordTransaction({ handle: 'mixed', delta: -2, balance: 3, reason: LEDGER_REASONS.GENERATION, actor: 'mixed' });
+        await recordTransaction({ handle: 'mixed', delta: 5, balance: 8, reason: LEDGER_REASONS.CHECKIN, actor: 'mixed' });
+
+        expect((await getTransactionsByReason('mixed', LEDGER_REASONS.CHECKIN)).map(entry => entry.balance)).toEqual([5, 8]);
+        expect(await getTransactionsByReason('mixed', LEDGER_REASONS.REDEEM)).toEqual([]);
+        expect(await getTransactionsByReason('nobody', LEDGER_REASONS.CHECKIN)).toEqual([]);
+    });
+
+    it('serves the history to the user and to admins', async () => {
+        const { recordTransaction, LEDGER_REASONS } = ledger;
+        for (let i = 1; i <= 3; i++) {
+            await recordTransaction({ handle: 'alice', delta: i, balance: i, reason: LEDGER_REASONS.CHECKIN, actor: 'alice' });
+        }
+
+        const own = await getJson('/api/account/transactions?page=1&pageSize=2', 'alice');
+        expect(own).toMatchObject({ total: 3, page: 1, pageSize: 2 });
+        expect(own.transactions.map(entry => entry.delta)).toEqual([3, 2]);
+
+        const admin = await getJson('/api/admin/users/alice/transactions?page=2&pageSize=2');
+        expect(admin.transactions.map(entry => entry.delta)).toEqual([1]);
+        expect((await fetch(`${baseUrl}/api/admin/users/nobody/transactions`)).status).toBe(404);
+    });
+});
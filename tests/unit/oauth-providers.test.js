@@ -0,0 +1,155 @@
+import crypto from 'node:crypto';
+
+import express from 'express';
+import storage from 'node-persist';
+
+import { setupDataRoot, removeDataRoot, startTestServer, listen, closeServer } from './helpers.js';
+
+describe('OAuth provider registry', () => {
+    let server;
+    let issuerServer;
+    let baseUrl;
+    let issuer;
+    let dataRoot;
+    let session = {};
+    // What the mock issuer puts into the next id_token
+    let tokenOverrides = {};
+    const codes = new Map();
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    function signIdToken(claims) {
+        const header = Buffer.from(JSON.stringify({ alg: 'RS256', kid: 'test-key', typ: 'JWT' })).toString('base64url');
+        const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+        const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+        return `${header}.${payload}.${signature}`;
+    }
+
+    beforeAll(async () => {
+        // Minimal OIDC issuer plus a plain OAuth2 provider with a nested userinfo payload
+        const issuerApp = express();
+        issuerApp.use(express.urlencoded({ extended: false }));
+        issuerApp.get('/.well-known/openid-configuration', (_req, res) => res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            userinfo_endpoint: `${issuer}/userinfo`,
+            jwks_uri: `${issuer}/jwks`,
+        }));
+        issuerApp.get('/jwks', (_req, res) => res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig' }] }));
+        issuerApp.post('/token', (req, res) => {
+            const grant = codes.get(req.body.code);
+            const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+            if (!grant || challenge !== grant.challenge || req.body.client_secret !== 'mock-secret') {
+                return res.status(400).json({ error: 'invalid_grant' });
+            }
+            const now = Math.floor(Date.now() / 1000);
+            const claims = { iss: issuer, aud: 'mock-client', sub: 'u-1001', nonce: grant.nonce, iat: now, exp: now + 300, ...tokenOverrides };
+            return res.json({ access_token: 'mock-access', token_type: 'Bearer', id_token: signIdToken(claims) });
+        });
+        issuerApp.get('/userinfo', (_req, res) => res.json({ sub: 'u-1001', name: 'Mock User', email: 'mock@example.com' }));
+        issuerApp.post('/plain/token', (_req, res) => res.json({ access_token: 'plain-access' }));
+        issuerApp.get('/plain/me', (req, res) => {
+            if (req.get('authorization') !== 'Bearer plain-access') {
+                return res.sendStatus(401);
+            }
+            return res.json({ data: { user: { uid: 42, nick: 'Neo' } } });
+        });
+        ({ server: issuerServer, baseUrl: issuer } = await listen(issuerApp));
+
+        dataRoot = await setupDataRoot('oauth', {
+            oauth: {
+                redirectUri: 'http://localhost:8000/oauth',
+                providers: [
+                    { id: 'mock', name: 'Mock SSO', type: 'oidc', issuer, clientId: 'mock-client', clientSecret: 'mock-secret' },
+                    {
+                        id: 'plain',
+                        name: 'Plain',
+                        type: 'oauth2',
+                        clientId: 'plain-client',
+                        authorizeUrl: `${issuer}/plain/authorize`,
+                        tokenUrl: `${issuer}/plain/token`,
+                        userInfoUrl: `${issuer}/plain/me`,
+                        mapping: { id: 'data.user.uid', name: ['data.user.name', 'data.user.nick'] },
+                    },
+                    { id: 'broken', type: 'oauth2', clientId: 'x' },
+                ],
+            },
+        });
+
+        const { router: oauthRouter } = await import('../../src/oauth.js');
+        server = await startTestServer(app => {
+            app.use((req, _res, next) => {
+                req.session = session;
+                next();
+            });
+            app.use(oauthRouter);
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await closeServer(issuerServer);
+        removeDataRoot(dataRoot);
+    });
+
+    async function startLogin(provider) {
+        session = {};
+        const res = await fetch(`${baseUrl}/auth/${provider}`, { redirect: 'manual' });
+        expect(res.status).toBe(302);
+        return new URL(res.headers.get('location'));
+    }
+
+    async function finishLogin(authorizeUrl) {
+        const params = authorizeUrl.searchParams;
+        const code = crypto.randomBytes(8).toString('hex');
+        codes.set(code, { challenge: params.get('code_challenge'), nonce: params.get('nonce') });
+        return await fetch(`${baseUrl}/oauth?code=${code}&state=${params.get('state')}`, { redirect: 'manual' });
+    }
+
+    it('lists the valid providers only', async () => {
+        const { providers } = await (await fetch(`${baseUrl}/auth/providers`)).json();
+        expect(providers).toEqual([{ id: 'mock', name: 'Mock SSO' }, { id: 'plain', name: 'Plain' }]);
+        expect((await fetch(`${baseUrl}/auth/broken`, { redirect: 'manual' })).status).toBe(404);
+    });
+
+    it('signs in through an OIDC issuer with PKCE and a validated id_token', async () => {
+        const authorizeUrl = await startLogin('mock');
+        expect(authorizeUrl.origin + authorizeUrl.pathname).toBe(`${issuer}/authorize`);
+        expect(authorizeUrl.searchParams.get('code_challenge_method')).toBe('S256');
+        expect(authorizeUrl.searchParams.get('nonce')).toBeTruthy();
+        expect(authorizeUrl.searchParams.get('scope')).toBe('openid profile email');
+
+        const res = await finishLogin(authorizeUrl);
+        expect(res.status).toBe(302);
+        expect(res.headers.get('location')).toBe('/');
+        expect(session.handle).toBe('mock-u-1001');
+        expect(session.oauthCodeVerifier).toBeNull();
+        expect(await storage.getItem('user:mock-u-1001')).toMatchObject({ name: 'Mock User' });
+    });
+
+    it('rejects id_tokens for another client, with a stale nonce or a reused state', async () => {
+        tokenOverrides = { aud: 'someone-else' };
+        expect((await finishLogin(await startLogin('mock'))).status).toBe(500);
+        expect(session.handle).toBeUndefined();
+
+        tokenOverrides = { nonce: 'replayed' };
+        expect((await finishLogin(await startLogin('mock'))).status).toBe(500);
+        expect(session.handle).toBeUndefined();
+        tokenOverrides = {};
+
+        const authorizeUrl = await startLogin('mock');
+        expect((await finishLogin(authorizeUrl)).status).toBe(302);
+        session.oauthProvider = 'mock';
+        expect((await finishLogin(authorizeUrl)).status).toBe(400);
+    });
+
+    it('maps nested userinfo fields for plain OAuth2 providers', async () => {
+        const authorizeUrl = await startLogin('plain');
+        expect(authorizeUrl.searchParams.has('code_challenge')).toBe(false);
+
+        expect((await finishLogin(authorizeUrl)).status).toBe(302);
+        expect(session.handle).toBe('plain-42');
+        expect(await storage.getItem('user:plain-42')).toMatchObject({ name: 'Neo' });
+    });
+});
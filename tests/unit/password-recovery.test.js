@@ -0,0 +1,192 @@
+import net from 'node:net';
+
+import storage from 'node-persist';
+
+import { setupDataRoot, removeDataRoot, startTestServer, sessionUser, adminSession } from './helpers.js';
+
+describe('password recovery', () => {
+    let server;
+    let smtpServer;
+    let dataRoot;
+    let session = {};
+    let getPasswordHash;
+    const mails = [];
+
+    // Accepts everything and keeps what was sent between DATA and the final dot
+    function handleSmtpClient(socket) {
+        let buffer = '';
+        let mail = null;
+        socket.write('220 sink ready\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (mail?.reading) {
+                    if (line === '.') {
+                        mail.reading = false;
+                        mails.push(mail);
+                        socket.write('250 queued\r\n');
+                    } else {
+                        mail.data.push(line);
+                    }
+                } else if (line.startsWith('EHLO')) {
+                    socket.write('250-sink\r\n250 AUTH PLAIN LOGIN\r\n');
+                } else if (line.startsWith('AUTH PLAIN')) {
+                    mail = { auth: Buffer.from(line.slice(11), 'base64').toString(), data: [] };
+                    socket.write('235 ok\r\n');
+                } else if (line.startsWith('MAIL FROM') || line.startsWith('RCPT TO')) {
+                    mail[line.startsWith('MAIL') ? 'from' : 'to'] = line.replace(/^.*<|>$/g, '');
+                    socket.write('250 ok\r\n');
+                } else if (line === 'DATA') {
+                    mail.reading = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (line === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                }
+            }
+        });
+    }
+
+    function getMailText(mail) {
+        const body = mail.data.slice(mail.data.indexOf('') + 1).join('');
+        return Buffer.from(body, 'base64').toString('utf8');
+    }
+
+    async function waitForMail(count) {
+        for (let i = 0; i < 100 && mails.length < count; i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        return mails[count - 1];
+    }
+
+    async function createUser(handle, password, email = '') {
+        const salt = 'salt-' + handle;
+        await storage.setItem(`user:${handle}`, { handle, name: handle, created: Date.now(), password: getPasswordHash(password, salt), salt, email, admin: false, enabled: true });
+    }
+
+    beforeAll(async () => {
+        smtpServer = net.createServer(handleSmtpClient);
+        await new Promise(resolve => smtpServer.listen(0, '127.0.0.1', resolve));
+
+        dataRoot = await setupDataRoot('recovery', {
+            smtp: {
+                host: '127.0.0.1',
+                port: smtpServer.address().port,
+                requireTls: false,
+                username: 'mailer',
+                password: 'mail-secret',
+                from: '云酒馆 <noreply@example.com>',
+            },
+        });
+        ({ getPasswordHash } = await import('../../src/users.js'));
+
+        const { router: usersRouter } = await import('../../src/endpoints/users-public.js');
+        const { router: accountRouter } = await import('../../src/endpoints/account.js');
+        const { router: adminRouter } = await import('../../src/endpoints/admin.js');
+        const { createOperator } = await import('../../src/admin-operators.js');
+        await createOperator('helper', 'helper-password', 'support');
+
+        server = await startTestServer(app => {
+            app.use(sessionUser(() => session));
+            app.use('/api/users', usersRouter);
+            app.use('/api/account', accountRouter);
+            app.use('/api/admin', adminSession('helper'), adminRouter);
+        });
+
+        await createUser('alice', 'alice-old', 'alice@example.com');
+        await createUser('bob', 'bob-old');
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await new Promise(resolve => smtpServer.close(resolve));
+        removeDataRoot(dataRoot);
+    });
+
+    function post(url, body) {
+        return server.post(url, body);
+    }
+
+    async function login(handle, password) {
+        session = {};
+        return (await post('/api/users/login', { handle, password })).status;
+    }
+
+    it('resets a password with a one-time code issued by an admin', async () => {
+        const issued = await post('/api/admin/users/bob/reset-code');
+        expect(issued.status).toBe(200);
+        const { code, expiresAt } = await issued.json();
+        expect(code).toMatch(/^[A-Z2-9]{4}(-[A-Z2-9]{4}){3}$/);
+        expect(expiresAt - Date.now()).toBeGreaterThan(23 * 60 * 60 * 1000);
+
+        const wrongUser = await post('/api/users/recover-step2', { handle: 'alice', code, newPassword: 'hijacked' });
+        expect(wrongUser.status).toBe(400);
+
+        const reset = await post('/api/users/recover-step2', { handle: 'bob', code: code.toLowerCase(), newPassword: 'bob-new-1' });
+        expect(await reset.json()).toMatchObject({ success: true });
+        expect(await login('bob', 'bob-old')).toBe(401);
+        expect(await login('bob', 'bob-new-1')).toBe(200);
+
+        const reused = await post('/api/users/recover-step2', { handle: 'bob', code, newPassword: 'bob-new-2' });
+        expect(await reused.json()).toEqual({ error: '重置码无效或已过期' });
+        expect((await post('/api/admin/users/nobody/reset-code')).status).toBe(404);
+    });
+
+    it('keeps support operators away from the logins of admin users', async () => {
+        await createUser('root-user', 'root-old');
+        const user = await storage.getItem('user:root-user');
+        await storage.setItem('user:root-user', { ...user, admin: true, twoFactor: { secret: 'secret', recoveryCodes: [] } });
+
+        for (const action of ['reset-code', '2fa/reset', 'logout', 'toggle-ban']) {
+            expect((await post(`/api/admin/users/root-user/${action}`)).status).toBe(403);
+        }
+        const bulk = await (await post('/api/admin/users/bulk/ban', { handles: ['root-user'], enabled: false })).json();
+        expect(bulk).toMatchObject({ succeeded: 0, failed: [{ handle: 'root-user' }] });
+        expect(await storage.getItem('user:root-user')).toMatchObject({ enabled: true, twoFactor: { secret: 'secret' } });
+        expect(await storage.keys(x => x.key.startsWith('password-reset:') && x.value.handle === 'root-user')).toEqual([]);
+    });
+
+    it('emails a code to the recovery email without revealing which accounts have one', async () => {
+        const known = await post('/api/users/recover-step1', { handle: 'alice' });
+        const unknown = await post('/api/users/recover-step1', { handle: 'nobody' });
+        expect(await known.json()).toEqual({ method: 'email' });
+        expect(await unknown.json()).toEqual({ method: 'email' });
+
+        const mail = await waitForMail(1);
+        expect(mail).toMatchObject({ from: 'noreply@example.com', to: 'alice@example.com', auth: '\0mailer\0mail-secret' });
+        expect(mail.data).toContain('Subject: =?UTF-8?B?' + Buffer.from('云酒馆 密码重置码').toString('base64') + '?=');
+        const code = getMailText(mail).match(/[A-Z2-9]{4}(-[A-Z2-9]{4}){3}/)[0];
+
+        const reset = await post('/api/users/recover-step2', { handle: 'alice', code, newPassword: 'alice-new' });
+        expect(reset.status).toBe(200);
+        expect(await login('alice', 'alice-new')).toBe(200);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(mails).toHaveLength(1);
+    });
+
+    it('invalidates codes when the password changes or the code expires', async () => {
+        const { code } = await (await post('/api/admin/users/alice/reset-code')).json();
+        expect(await login('alice', 'alice-new')).toBe(200);
+        const changed = await post('/api/account/change-password', { currentPassword: 'alice-new', newPassword: 'alice-newer' });
+        expect(changed.status).toBe(200);
+        expect((await post('/api/users/recover-step2', { handle: 'alice', code, newPassword: 'alice-x' })).status).toBe(400);
+
+        const { code: expiring } = await (await post('/api/admin/users/alice/reset-code')).json();
+        const [key] = await storage.keys(x => x.key.startsWith('password-reset:') && x.value.handle === 'alice');
+        await storage.setItem(key, { ...await storage.getItem(key), expiresAt: Date.now() - 1 });
+        const expired = await post('/api/users/recover-step2', { handle: 'alice', code: expiring, newPassword: 'alice-x' });
+        expect(await expired.json()).toEqual({ error: '重置码无效或已过期' });
+        expect(await storage.getItem(key)).toBeUndefined();
+        expect(await login('alice', 'alice-newer')).toBe(200);
+    });
+
+    it('rate limits reset code requests', async () => {
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+            statuses.push((await post('/api/users/recover-step1', { handle: 'bob' })).status);
+        }
+        expect(statuses).toEqual([200, 200, 200, 429]);
+    });
+});
@@ -0,0 +1,158 @@
+import storage from 'node-persist';
+
+import { setupDataRoot, removeDataRoot, startTestServer, headerUser, userHeaders } from './helpers.js';
+
+describe('account plans', () => {
+    let server;
+    let baseUrl;
+    let dataRoot;
+
+    const plans = {
+        defaultPlan: 'free',
+        plans: [
+            {
+                id: 'free',
+                name: '免费版',
+                dailyFee: 2,
+                checkinReward: 3,
+                maxConcurrentGenerations: 1,
+                allowedSources: ['openai'],
+                allowedModels: ['gpt-4o-mini*'],
+                features: { imageGeneration: false, tts: true, vectors: true },
+            },
+            {
+                id: 'pro',
+                name: '专业版',
+                dailyFee: null,
+                checkinReward: 10,
+                maxConcurrentGenerations: 0,
+                allowedSources: [],
+                allowedModels: [],
+                features: {},
+            },
+        ],
+    };
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('plans');
+
+        const { router: accountRouter } = await import('../../src/endpoints/account.js');
+        const { router: adminRouter } = await import('../../src/endpoints/admin.js');
+        const { enforcePlanGeneration, enforcePlanFeatures } = await import('../../src/plans.js');
+        const { setPricing, GENERATION_KINDS } = await import('../../src/billing.js');
+        await setPricing({ enabled: false, dailyFee: 1 });
+        const { createOperator } = await import('../../src/admin-operators.js');
+        await createOperator('planner', 'planner-password', 'super-admin');
+
+        server = await startTestServer(app => {
+            app.use(headerUser('planner'));
+            app.post('/generate', enforcePlanGeneration(GENERATION_KINDS.CHAT), (_req, res) => res.json({ ok: true }));
+            for (const kind of [GENERATION_KINDS.KOBOLD, GENERATION_KINDS.NOVEL, GENERATION_KINDS.HORDE]) {
+                app.post(`/generate-${kind}`, enforcePlanGeneration(kind), (_req, res) => res.json({ ok: true }));
+            }
+            app.use(enforcePlanFeatures());
+            app.use('/api/sd', (_req, res) => res.json({ ok: true }));
+            app.use('/api/account', accountRouter);
+            app.use('/api/admin', adminRouter);
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    function post(url, body, handle) {
+        return server.post(url, body, userHeaders(handle));
+    }
+
+    async function getStatus(handle) {
+        return await (await fetch(`${baseUrl}/api/account/status`, { headers: { 'x-test-user': handle } })).json();
+    }
+
+    it('validates and saves the plan list', async () => {
+        expect((await post('/api/admin/plans', { ...plans, defaultPlan: 'missing' })).status).toBe(400);
+        expect((await post('/api/admin/plans', { defaultPlan: 'a', plans: [{ id: 'A B', name: 'x', checkinReward: 1, maxConcurrentGenerations: 0 }] })).status).toBe(400);
+
+        const res = await post('/api/admin/plans', plans);
+        expect(res.status).toBe(200);
+        const saved = await res.json();
+        expect(saved.plans[1].features).toEqual({ imageGeneration: true, tts: true, vectors: true });
+    });
+
+    it('uses the plan daily fee and check-in reward', async () => {
+        const before = await getStatus('alice');
+        expect(before.plan).toMatchObject({ id: 'free', checkinReward: 3, expiresAt: null });
+        expect(before.dailyFee).toBe(2);
+
+        const checkin = await (await post('/api/account/checkin', {}, 'alice')).json();
+        expect(checkin.reward).toBe(3);
+        expect(checkin.points).toBe(before.points + 3);
+    });
+
+    it('grants and extends a plan through redeem codes', async () => {
+        const { codes } = await (await post('/api/admin/redeem-codes', { points: 0, count: 2, plan: 'pro', planDays: 30 })).json();
+
+        const first = await (await post('/api/account/redeem', { code: codes[0].code }, 'bob')).json();
+        expect(first.addedPoints).toBe(0);
+        expect(first.plan.id).toBe('pro');
+
+        const second = await (await post('/api/account/redeem', { code: codes[1].code }, 'bob')).json();
+        expect(second.plan.expiresAt - first.plan.expiresAt).toBe(30 * 24 * 60 * 60 * 1000);
+
+        const status = await getStatus('bob');
+        expect(status.plan.id).toBe('pro');
+        expect(status.dailyFee).toBe(1);
+    });
+
+    it('falls back to the default plan when a plan expires', async () => {
+        await getStatus('carol');
+        expect((await post('/api/admin/users/carol/plan', { plan: 'pro', days: 1 })).status).toBe(200);
+        expect((await getStatus('carol')).plan.id).toBe('pro');
+
+        const account = await storage.getItem('account:carol');
+        await storage.setItem('account:carol', { ...account, planExpiresAt: Date.now() - 1000 });
+        expect((await getStatus('carol')).plan.id).toBe('free');
+    });
+
+    it('restricts generation sources and models', async () => {
+        const denied = await post('/generate', { chat_completion_source: 'claude', model: 'claude-3' }, 'dave');
+        expect(denied.status).toBe(403);
+        expect((await denied.json()).error.type).toBe('plan_restricted');
+
+        const wrongModel = await post('/generate', { chat_completion_source: 'openai', model: 'gpt-4o' }, 'dave');
+        expect(wrongModel.status).toBe(403);
+
+        const allowed = await post('/generate', { chat_completion_source: 'openai', model: 'gpt-4o-mini-2024' }, 'dave');
+        expect(allowed.status).toBe(200);
+    });
+
+    it('restricts KoboldAI, NovelAI and Horde generations too', async () => {
+        for (const kind of ['kobold', 'novel', 'horde']) {
+            expect((await post(`/generate-${kind}`, { model: 'gpt-4o-mini', models: ['gpt-4o-mini'] }, 'dave')).status).toBe(403);
+        }
+
+        const story = { id: 'story', name: '故事版', checkinReward: 0, maxConcurrentGenerations: 0, allowedSources: ['novel', 'koboldhorde'], allowedModels: ['kayra*', 'llama-3*'] };
+        expect((await post('/api/admin/plans', { ...plans, plans: [...plans.plans, story] })).status).toBe(200);
+        await getStatus('fay');
+        expect((await post('/api/admin/users/fay/plan', { plan: 'story', days: 1 })).status).toBe(200);
+
+        // The model a KoboldAI server runs is unknown, so a plan that lists models denies it
+        expect((await post('/generate-kobold', {}, 'fay')).status).toBe(403);
+        expect((await post('/generate-novel', { model: 'kayra-v1' }, 'fay')).status).toBe(200);
+        expect((await post('/generate-novel', { model: 'clio-v1' }, 'fay')).status).toBe(403);
+        expect((await post('/generate-horde', { models: ['llama-3-8b'] }, 'fay')).status).toBe(200);
+        expect((await post('/generate-horde', { models: ['llama-3-8b', 'mythomax'] }, 'fay')).status).toBe(403);
+        expect((await post('/generate-horde', { models: [] }, 'fay')).status).toBe(403);
+        expect((await post('/generate', { chat_completion_source: 'openai', model: 'llama-3-8b' }, 'fay')).status).toBe(403);
+    });
+
+    it('blocks extension features the plan does not include', async () => {
+        const res = await post('/api/sd/generate', {}, 'erin');
+        expect(res.status).toBe(403);
+        expect((await res.json()).feature).toBe('imageGeneration');
+
+        expect((await post('/api/sd/ping', {}, 'erin')).status).toBe(200);
+    });
+});
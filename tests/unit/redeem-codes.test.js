@@ -0,0 +1,114 @@
+import storage from 'node-persist';
+
+import { setupDataRoot, removeDataRoot, startTestServer, headerUser, userHeaders } from './helpers.js';
+
+describe('redeem code batches', () => {
+    let server;
+    let baseUrl;
+    let dataRoot;
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('redeem');
+
+        const { router: accountRouter } = await import('../../src/endpoints/account.js');
+        const { router: adminRouter } = await import('../../src/endpoints/admin.js');
+        const { setPricing } = await import('../../src/billing.js');
+        await setPricing({ enabled: false });
+        const { createOperator } = await import('../../src/admin-operators.js');
+        await createOperator('issuer', 'issuer-password', 'code-issuer');
+
+        server = await startTestServer(app => {
+            app.use(headerUser('issuer'));
+            app.use('/api/account', accountRouter);
+            app.use('/api/admin', adminRouter);
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    function post(url, body, handle) {
+        return server.post(url, body, userHeaders(handle));
+    }
+
+    async function createBatch(options) {
+        const res = await post('/api/admin/redeem-codes', { points: 5, count: 1, ...options });
+        expect(res.status).toBe(200);
+        return await res.json();
+    }
+
+    async function getBatch(id) {
+        const { batches } = await (await fetch(`${baseUrl}/api/admin/redeem-batches`)).json();
+        return batches.find(batch => batch.id === id);
+    }
+
+    it('lets a multi-use code be redeemed up to its limit, once per user', async () => {
+        const { batch, codes } = await createBatch({ maxUses: 5, campaign: 'launch' });
+        const [{ code }] = codes;
+        const handles = Array.from({ length: 10 }, (_, i) => `fan-${i}`);
+
+        const responses = await Promise.all(handles.map(handle => post('/api/account/redeem', { code }, handle)));
+        expect(responses.filter(res => res.status === 200)).toHaveLength(5);
+
+        const winner = handles[responses.findIndex(res => res.status === 200)];
+        const again = await post('/api/account/redeem', { code }, winner);
+        expect(again.status).toBe(400);
+
+        const stats = await getBatch(batch.id);
+        expect(stats).toMatchObject({ campaign: 'launch', uses: 5, capacity: 5, redemptionRate: 1 });
+    });
+
+    it('allows repeat redemptions when the per-user limit is off', async () => {
+        const { codes } = await createBatch({ maxUses: 3, oncePerUser: false });
+        const [{ code }] = codes;
+
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+            statuses.push((await post('/api/account/redeem', { code }, 'repeat-user')).status);
+        }
+        expect(statuses).toEqual([200, 200, 200, 400]);
+    });
+
+    it('rejects expired codes', async () => {
+        const { codes } = await createBatch({ expiresInDays: 1 });
+        const key = `redeem:${codes[0].code}`;
+        const stored = await storage.getItem(key);
+        await storage.setItem(key, { ...stored, expiresAt: Date.now() - 1000 });
+
+        const res = await post('/api/account/redeem', { code: codes[0].code }, 'late-user');
+        expect(res.status).toBe(400);
+        expect((await res.json()).error).toBe('此兑换码已过期');
+    });
+
+    it('revokes every unused code in a batch', async () => {
+        const { batch, codes } = await createBatch({ count: 3 });
+        expect((await post('/api/account/redeem', { code: codes[0].code }, 'early-user')).status).toBe(200);
+
+        const revoke = await post(`/api/admin/redeem-batches/${batch.id}/revoke`);
+        expect((await revoke.json()).revoked).toBe(2);
+
+        const res = await post('/api/account/redeem', { code: codes[1].code }, 'other-user');
+        expect(res.status).toBe(400);
+        expect((await res.json()).error).toBe('此兑换码已作废');
+
+        const stats = await getBatch(batch.id);
+        expect(stats).toMatchObject({ revoked: true, codes: 3, redeemedCodes: 1 });
+    });
+
+    it('keeps redeeming codes created before batches existed', async () => {
+        await storage.setItem('redeem:LEGACYCODE01', { code: 'LEGACYCODE01', points: 3, used: false, usedBy: null, createdAt: Date.now(), usedAt: null });
+
+        expect((await post('/api/account/redeem', { code: 'legacycode01' }, 'legacy-a')).status).toBe(200);
+        expect((await post('/api/account/redeem', { code: 'LEGACYCODE01' }, 'legacy-b')).status).toBe(400);
+    });
+
+    it('validates batch options', async () => {
+        expect((await post('/api/admin/redeem-codes', { points: 5, maxUses: 0 })).status).toBe(400);
+        expect((await post('/api/admin/redeem-codes', { points: 5, oncePerUser: 'yes' })).status).toBe(400);
+        expect((await post('/api/admin/redeem-codes', { points: 5, campaign: 'x'.repeat(51) })).status).toBe(400);
+        expect((await post('/api/admin/redeem-codes', { points: 5, expiresInDays: 400 })).status).toBe(400);
+    });
+});
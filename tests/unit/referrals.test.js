@@ -0,0 +1,149 @@
+import storage from 'node-persist';
+
+import { setupDataRoot, removeDataRoot, startTestServer, headerUser, userHeaders } from './helpers.js';
+
+describe('referrals', () => {
+    let server;
+    let baseUrl;
+    let dataRoot;
+    let getOrInitState;
+    const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('referrals', { referrals: { defaultCodes: 2, bonusPoints: 15, qualifyingDays: 2 }, rateLimiting: { preferRealIpHeader: true } });
+        await storage.setItem('user:alice', { handle: 'alice', name: 'alice', created: Date.now(), admin: false, enabled: true });
+
+        ({ getOrInitState } = await import('../../src/endpoints/account.js'));
+        const { router: accountRouter } = await import('../../src/endpoints/account.js');
+        const { router: publicRouter } = await import('../../src/endpoints/users-public.js');
+        const { router: adminRouter } = await import('../../src/endpoints/admin.js');
+        const { referralActivityMiddleware } = await import('../../src/referrals.js');
+        const { createOperator } = await import('../../src/admin-operators.js');
+        await createOperator('root', 'root-password', 'super-admin');
+
+        server = await startTestServer(app => {
+            app.use(headerUser('root'));
+            app.use(referralActivityMiddleware);
+            app.use('/api/account', accountRouter);
+            app.use('/api/users', publicRouter);
+            app.use('/api/admin', adminRouter);
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    // Codes are created from 10.0.0.1, invitees register from the address they are given
+    function request(url, { user, body, ip = '10.0.0.1' } = {}) {
+        const headers = { ...userHeaders(user), 'X-Real-IP': ip };
+        return body ? server.post(url, body, headers) : fetch(`${baseUrl}${url}`, { headers });
+    }
+
+    // Counts an active day of the invitee today and another one tomorrow
+    async function activateForTwoDays(handle) {
+        const realNow = Date.now;
+        try {
+            await request('/api/account/referrals', { user: handle });
+            await waitForReferral(handle, referral => referral.activeDays === 1);
+            const tomorrow = realNow() + MS_PER_DAY;
+            Date.now = () => tomorrow;
+            await request('/api/account/referrals', { user: handle });
+            return await waitForReferral(handle, referral => referral.qualifiedAt);
+        } finally {
+            Date.now = realNow;
+        }
+    }
+
+    async function waitForReferral(handle, predicate) {
+        for (let i = 0; i < 50; i++) {
+            const referral = await storage.getItem(`referral:${handle}`);
+            if (referral && predicate(referral)) return referral;
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error(`referral of ${handle} did not change`);
+    }
+
+    let code;
+    let secondCode;
+
+    it('limits personal codes to the quota', async () => {
+        const first = await (await request('/api/account/referrals/codes', { user: 'alice', body: {} })).json();
+        expect(first).toMatchObject({ success: true, code: expect.any(String) });
+        code = first.code;
+        secondCode = (await (await request('/api/account/referrals/codes', { user: 'alice', body: {} })).json()).code;
+
+        const rejected = await request('/api/account/referrals/codes', { user: 'alice', body: {} });
+        expect(rejected.status).toBe(400);
+
+        const list = await (await request('/api/account/referrals', { user: 'alice' })).json();
+        expect(list).toMatchObject({ quota: 2, remaining: 0, bonusPoints: 15, qualifyingDays: 2 });
+        expect(list.codes).toHaveLength(2);
+    });
+
+    it('pays the inviter once the invitee has been active long enough', async () => {
+        const registered = await request('/api/users/register', { body: { code, handle: 'bob', password: 'bob-password' }, ip: '10.0.0.2' });
+        expect(registered.status).toBe(200);
+        expect(await storage.getItem('referral:bob')).toMatchObject({ inviter: 'alice', code, ip: '10.0.0.2', sharedIp: false, activeDays: 0 });
+        const before = (await getOrInitState('alice')).points;
+
+        const realNow = Date.now;
+        try {
+            await request('/api/account/referrals', { user: 'bob' });
+            await waitForReferral('bob', referral => referral.activeDays === 1);
+            // Same day again does not count
+            await request('/api/account/referrals', { user: 'bob' });
+            expect((await getOrInitState('alice')).points).toBe(before);
+
+            const tomorrow = realNow() + MS_PER_DAY;
+            Date.now = () => tomorrow;
+            await request('/api/account/referrals', { user: 'bob' });
+            await waitForReferral('bob', referral => referral.qualifiedAt);
+        } finally {
+            Date.now = realNow;
+        }
+
+        expect((await getOrInitState('alice')).points).toBe(before + 15);
+        const list = await (await request('/api/account/referrals', { user: 'alice' })).json();
+        expect(list.codes.find(c => c.code === code)).toMatchObject({ used: true, usedBy: 'bob', qualified: true, bonus: 15 });
+    });
+
+    it('holds the bonus for review when the invitee registered from the address of the code', async () => {
+        expect((await request('/api/users/register', { body: { code: secondCode, handle: 'carol', password: 'carol-password' } })).status).toBe(200);
+        const before = (await getOrInitState('alice')).points;
+
+        expect(await activateForTwoDays('carol')).toMatchObject({ sharedIp: true, review: 'pending', bonus: 0 });
+        expect((await getOrInitState('alice')).points).toBe(before);
+        const list = await (await request('/api/account/referrals', { user: 'alice' })).json();
+        expect(list.codes.find(c => c.code === secondCode)).toMatchObject({ qualified: true, bonus: 0, review: 'pending' });
+
+        expect((await request('/api/admin/referrals/carol/review', { body: { approve: 'yes' } })).status).toBe(400);
+        expect((await request('/api/admin/referrals/nobody/review', { body: { approve: true } })).status).toBe(404);
+        const approved = await request('/api/admin/referrals/carol/review', { body: { approve: true } });
+        expect(await approved.json()).toMatchObject({ success: true, referral: { review: 'approved', bonus: 15 } });
+        expect((await getOrInitState('alice')).points).toBe(before + 15);
+
+        // A reviewed bonus can't be reviewed again
+        expect((await request('/api/admin/referrals/carol/review', { body: { approve: true } })).status).toBe(400);
+        expect((await request('/api/admin/referrals/bob/review', { body: { approve: true } })).status).toBe(400);
+        expect((await getOrInitState('alice')).points).toBe(before + 15);
+    });
+
+    it('pays nothing for a rejected bonus', async () => {
+        await storage.setItem('referral:dave', { invitee: 'dave', inviter: 'alice', code: 'MANUAL', ip: '10.0.0.1', sharedIp: true, createdAt: Date.now(), activeDays: 2, lastActiveDate: '', qualifiedAt: Date.now(), bonus: 0, review: 'pending' });
+        const before = (await getOrInitState('alice')).points;
+
+        const rejected = await request('/api/admin/referrals/dave/review', { body: { approve: false } });
+        expect(await rejected.json()).toMatchObject({ success: true, referral: { review: 'rejected', bonus: 0 } });
+        expect((await getOrInitState('alice')).points).toBe(before);
+        await storage.removeItem('referral:dave');
+    });
+
+    it('shows the referral tree to admins', async () => {
+        const { tree } = await (await request('/api/admin/referrals')).json();
+        expect(tree).toMatchObject([{ handle: 'alice', referral: null, invited: 2, qualified: 2 }]);
+        expect(tree[0].children.map(child => [child.handle, child.referral.sharedIp])).toEqual(expect.arrayContaining([['bob', false], ['carol', true]]));
+    });
+});
@@ -0,0 +1,118 @@
+import path from 'node:path';
+import fs from 'node:fs';
+
+import storage from 'node-persist';
+
+import { setupDataRoot, removeDataRoot, startTestServer, headerUser } from './helpers.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+describe('data retention', () => {
+    let server;
+    let baseUrl;
+    let dataRoot;
+    let runRetentionJob;
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('retention');
+
+        const { router: accountRouter } = await import('../../src/endpoints/account.js');
+        const { router: adminRouter } = await import('../../src/endpoints/admin.js');
+        ({ runRetentionJob } = await import('../../src/retention.js'));
+        const { createOperator } = await import('../../src/admin-operators.js');
+        await createOperator('archivist', 'archivist-password', 'super-admin');
+
+        server = await startTestServer(app => {
+            app.use(headerUser('archivist'));
+            app.use('/api/account', accountRouter);
+            app.use('/api/admin', adminRouter);
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    function post(url, body) {
+        return server.post(url, body);
+    }
+
+    async function getStatus(handle) {
+        return await (await fetch(`${baseUrl}/api/account/status`, { headers: { 'x-test-user': handle } })).json();
+    }
+
+    async function createOffUser(handle, offSince) {
+        await storage.setItem(`user:${handle}`, { handle, name: handle.toUpperCase(), enabled: true });
+        fs.mkdirSync(path.join(dataRoot, handle, 'chats'), { recursive: true });
+        fs.writeFileSync(path.join(dataRoot, handle, 'chats', 'story.jsonl'), '{"mes":"hello"}\n');
+        await getStatus(handle);
+        const state = await storage.getItem(`account:${handle}`);
+        await storage.setItem(`account:${handle}`, { ...state, points: 12, accessOn: false, accessOffSince: offSince });
+    }
+
+    it('validates the settings', async () => {
+        expect((await post('/api/admin/retention', { purgeAfterDays: 5, archiveGraceDays: 30 })).status).toBe(400);
+        expect((await post('/api/admin/retention', { purgeAfterDays: 30, archiveGraceDays: 0 })).status).toBe(400);
+        const res = await post('/api/admin/retention', { purgeAfterDays: 30, archiveGraceDays: 60 });
+        expect(res.status).toBe(200);
+    });
+
+    it('warns 7 days and 1 day ahead, then archives and purges', async () => {
+        const offSince = Date.now() - 20 * MS_PER_DAY;
+        const purgeAt = offSince + 30 * MS_PER_DAY;
+        await createOffUser('alice', offSince);
+
+        expect((await runRetentionJob()).warned).toEqual([]);
+        expect((await getStatus('alice')).purgeWarning).toBeNull();
+
+        expect((await runRetentionJob(purgeAt - 6 * MS_PER_DAY)).warned).toEqual(['alice']);
+        expect((await getStatus('alice')).purgeWarning).toEqual({ purgeAt, warningDays: 7 });
+
+        // Already warned at this level
+        expect((await runRetentionJob(purgeAt - 5 * MS_PER_DAY)).warned).toEqual([]);
+        expect((await runRetentionJob(purgeAt - 12 * 60 * 60 * 1000)).warned).toEqual(['alice']);
+        expect((await getStatus('alice')).purgeWarning.warningDays).toBe(1);
+
+        const result = await runRetentionJob(purgeAt + 1000);
+        expect(result.purged).toEqual(['alice']);
+        expect(await storage.getItem('user:alice')).toBeUndefined();
+        expect(fs.existsSync(path.join(dataRoot, 'alice'))).toBe(false);
+        expect((await storage.getItem('account:alice')).points).toBe(0);
+
+        // A purged account is not archived again
+        expect((await runRetentionJob(purgeAt + 31 * MS_PER_DAY)).purged).toEqual([]);
+    });
+
+    it('restores an archive with its data, login and points', async () => {
+        const { archives } = await (await fetch(`${baseUrl}/api/admin/archives`)).json();
+        expect(archives).toHaveLength(1);
+        expect(archives[0]).toMatchObject({ handle: 'alice', name: 'ALICE', points: 12 });
+        expect(archives[0].user).toBeUndefined();
+        expect(archives[0].expiresAt - archives[0].createdAt).toBe(60 * MS_PER_DAY);
+
+        const res = await post(`/api/admin/archives/${archives[0].id}/restore`);
+        expect(res.status).toBe(200);
+
+        expect(await storage.getItem('user:alice')).toMatchObject({ handle: 'alice', name: 'ALICE' });
+        expect(fs.readFileSync(path.join(dataRoot, 'alice', 'chats', 'story.jsonl'), 'utf8')).toBe('{"mes":"hello"}\n');
+        const status = await getStatus('alice');
+        expect(status.points).toBe(12);
+        expect(status.accessOn).toBe(false);
+        expect(status.purgeWarning).toBeNull();
+
+        expect((await (await fetch(`${baseUrl}/api/admin/archives`)).json()).archives).toEqual([]);
+        expect((await post(`/api/admin/archives/${archives[0].id}/restore`)).status).toBe(404);
+    });
+
+    it('deletes archives once the grace period is over', async () => {
+        const offSince = Date.now() - 40 * MS_PER_DAY;
+        await createOffUser('bob', offSince);
+
+        expect((await runRetentionJob()).purged).toEqual(['bob']);
+        const result = await runRetentionJob(Date.now() + 61 * MS_PER_DAY);
+        expect(result.expired).toEqual(['bob']);
+        expect(fs.readdirSync(path.join(dataRoot, '_archives')).filter(file => file.startsWith('bob-'))).toEqual([]);
+    });
+});
@@ -0,0 +1,149 @@
+import storage from 'node-persist';
+
+import { setupDataRoot, removeDataRoot, startTestServer, adminSession } from './helpers.js';
+
+describe('session registry', () => {
+    let server;
+    let baseUrl;
+    let dataRoot;
+    // Cookie sessions of each simulated browser, picked by the X-Device header
+    const devices = {};
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('sessions', { enableUserAccounts: true, rateLimiting: { preferRealIpHeader: true } });
+
+        const { getPasswordHash, setUserDataMiddleware } = await import('../../src/users.js');
+        for (const handle of ['alice', 'bob', 'carol']) {
+            const salt = 'salt-' + handle;
+            await storage.setItem(`user:${handle}`, { handle, name: handle, created: Date.now(), password: getPasswordHash(`${handle}-password`, salt), salt, admin: false, enabled: true });
+        }
+
+        const { sessionRegistryMiddleware } = await import('../../src/sessions.js');
+        const { router: usersRouter } = await import('../../src/endpoints/users-public.js');
+        const { router: accountRouter } = await import('../../src/endpoints/account.js');
+        const { router: adminRouter } = await import('../../src/endpoints/admin.js');
+        const { createOperator } = await import('../../src/admin-operators.js');
+        await createOperator('root', 'root-password', 'super-admin');
+
+        server = await startTestServer(app => {
+            app.use((req, _res, next) => {
+                const device = String(req.get('x-device'));
+                req.session = devices[device] ??= {};
+                next();
+            });
+            app.use(setUserDataMiddleware);
+            app.use(sessionRegistryMiddleware);
+            app.use('/api/users', usersRouter);
+            app.use('/api/account', accountRouter);
+            app.use('/api/admin', adminSession('root'), adminRouter);
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    const addresses = { laptop: '10.0.0.1', phone: '10.0.0.2', tablet: '10.0.0.3' };
+
+    function request(device, url, body) {
+        return fetch(`${baseUrl}${url}`, {
+            method: body === undefined ? 'GET' : 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Device': device,
+                // Password logins are limited per IP
+                'X-Real-IP': addresses[device] ?? '10.0.0.9',
+                'User-Agent': device === 'phone' ? 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Version/17.0 Mobile Safari/604.1' : 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/126.0 Safari/537.36',
+            },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+    }
+
+    async function login(device, handle, password = `${handle}-password`) {
+        devices[device] = {};
+        return (await request(device, '/api/users/login', { handle, password })).status;
+    }
+
+    async function getSessions(device) {
+        const res = await request(device, '/api/account/sessions');
+        return res.ok ? (await res.json()).sessions : res.status;
+    }
+
+    it('lists the devices of a user and revokes one of them', async () => {
+        expect(await login('laptop', 'alice')).toBe(200);
+        expect(await login('phone', 'alice')).toBe(200);
+
+        const sessions = await getSessions('laptop');
+        expect(sessions.map(session => [session.device, session.method, session.current])).toEqual([
+            ['Safari · iOS', 'password', false],
+            ['Chrome · Windows', 'password', true],
+        ]);
+        expect(sessions[0]).not.toHaveProperty('userAgent');
+
+        expect((await request('phone', '/api/account/sessions/revoke', { id: 'nope' })).status).toBe(404);
+        const revoked = await request('laptop', '/api/account/sessions/revoke', { id: sessions[0].id });
+        expect(await revoked.json()).toMatchObject({ success: true, current: false });
+        expect(await getSessions('phone')).toBe(401);
+        expect(devices.phone.handle).toBeNull();
+        expect(await getSessions('laptop')).toHaveLength(1);
+    });
+
+    it('signs out other devices when the password changes', async () => {
+        expect(await login('laptop', 'alice')).toBe(200);
+        expect(await login('phone', 'alice')).toBe(200);
+        expect(await login('tablet', 'alice')).toBe(200);
+
+        const changed = await request('laptop', '/api/account/change-password', { currentPassword: 'alice-password', newPassword: 'alice-new' });
+        expect(changed.status).toBe(200);
+        expect(await getSessions('phone')).toBe(401);
+        expect(await getSessions('tablet')).toBe(401);
+        expect((await getSessions('laptop')).map(session => session.current)).toEqual([true]);
+    });
+
+    it('signs out banned users for good and lets admins force a logout', async () => {
+        expect(await login('laptop', 'bob')).toBe(200);
+        expect(await login('phone', 'bob')).toBe(200);
+        expect(await (await request('admin', '/api/admin/users/bob/sessions')).json()).toMatchObject({ sessions: [{}, {}] });
+
+        expect((await request('admin', '/api/admin/users/bob/toggle-ban', {})).status).toBe(200);
+        expect((await request('admin', '/api/admin/users/bob/toggle-ban', {})).status).toBe(200);
+        expect(await getSessions('laptop')).toBe(401);
+        expect(await getSessions('phone')).toBe(401);
+
+        expect(await login('laptop', 'bob')).toBe(200);
+        const logout = await request('admin', '/api/admin/users/bob/logout', {});
+        expect(await logout.json()).toMatchObject({ success: true, count: 1 });
+        expect(await getSessions('laptop')).toBe(401);
+        expect((await request('admin', '/api/admin/users/nobody/logout', {})).status).toBe(404);
+    });
+
+    it('registers sessions from before the registry until the user is signed out everywhere', async () => {
+        devices.old = { handle: 'carol' };
+        expect(await getSessions('old')).toMatchObject([{ method: 'legacy', current: true, ip: '10.0.0.9' }]);
+        expect(devices.old.sid).toEqual(expect.any(String));
+
+        devices.stale = { handle: 'carol' };
+        const revoked = await request('old', '/api/account/sessions/revoke-others', {});
+        expect(await revoked.json()).toMatchObject({ count: 0 });
+        expect(await getSessions('stale')).toBe(401);
+        expect(await getSessions('old')).toHaveLength(1);
+    });
+
+    it('refuses requests whose session cannot be checked', async () => {
+        const getItem = storage.getItem;
+        storage.getItem = async function (key) {
+            if (String(key).startsWith('session:')) {
+                throw new Error('Storage is down');
+            }
+            return getItem.call(this, key);
+        };
+        try {
+            expect((await request('old', '/api/account/status')).status).toBe(500);
+        } finally {
+            storage.getItem = getItem;
+        }
+        expect(await getSessions('old')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,152 @@
+import path from 'node:path';
+import fs from 'node:fs';
+
+import archiver from 'archiver';
+
+import { setupDataRoot, removeDataRoot, startTestServer, createTestUser, fixedUser } from './helpers.js';
+
+describe('storage quotas', () => {
+    let server;
+    let baseUrl;
+    let dataRoot;
+    let getStorageUsage;
+    let spritesDir;
+    const held = [];
+    const handle = 'alice';
+    const KB = 1024;
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('storage-quota', { storageQuota: { defaultMb: 1 }, backups: { chat: { enabled: false } } });
+        ({ getStorageUsage } = await import('../../src/storage-quota.js'));
+
+        const directories = await createTestUser(handle);
+        fs.mkdirSync(path.join(directories.chats, 'Seraphina'));
+        spritesDir = path.join(directories.characters, 'Seraphina');
+
+        const { router: filesRouter } = await import('../../src/endpoints/files.js');
+        const { router: chatsRouter } = await import('../../src/endpoints/chats.js');
+        const { router: adminRouter } = await import('../../src/endpoints/admin.js');
+        const { router: spritesRouter } = await import('../../src/endpoints/sprites.js');
+        const { createOperator } = await import('../../src/admin-operators.js');
+        const { enforceStorageQuota } = await import('../../src/storage-quota.js');
+        await createOperator('root', 'root-password', 'super-admin');
+
+        server = await startTestServer(app => {
+            app.use(fixedUser(handle, directories, { session: { isAdmin: true, adminUser: 'root' } }));
+            app.use('/api/files', filesRouter);
+            app.use('/api/chats', chatsRouter);
+            app.use('/api/admin', adminRouter);
+            app.use('/api/sprites', spritesRouter);
+            // Writes that stay in flight until the test releases them
+            app.post('/api/held-write', enforceStorageQuota(), (_req, res) => held.push(() => res.sendStatus(204)));
+            app.post('/api/broken-write', enforceStorageQuota(() => { throw new Error('Broken target'); }), (_req, res) => res.sendStatus(204));
+        }, { jsonLimit: '10mb', uploads: true });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    function post(url, body) {
+        return server.post(url, body);
+    }
+
+    function upload(name, bytes) {
+        return post('/api/files/upload', { name, data: Buffer.alloc(bytes, 1).toString('base64') });
+    }
+
+    function saveChat(chat) {
+        return post('/api/chats/save', { avatar_url: 'Seraphina.png', file_name: 'chat', chat, force: true });
+    }
+
+    async function uploadSpriteZip(entries) {
+        const archive = archiver('zip');
+        const chunks = [];
+        archive.on('data', chunk => chunks.push(chunk));
+        for (const [name, content] of Object.entries(entries)) {
+            archive.append(content, { name });
+        }
+        await archive.finalize();
+
+        const form = new FormData();
+        form.append('avatar', new Blob([Buffer.concat(chunks)]), 'sprites.zip');
+        form.append('name', 'Seraphina');
+        return fetch(`${baseUrl}/api/sprites/upload-zip`, { method: 'POST', body: form });
+    }
+
+    it('rejects uploads over the quota and counts deleted files out', async () => {
+        expect((await upload('first.bin', 500 * KB)).status).toBe(200);
+        expect((await getStorageUsage(handle)).bytes).toBe(500 * KB);
+
+        const rejected = await upload('second.bin', 500 * KB);
+        expect(rejected.status).toBe(413);
+        expect(await rejected.json()).toMatchObject({ error: { type: 'storage_quota' }, usage: 500 * KB, quota: 1024 * KB });
+        expect(fs.existsSync(path.join(dataRoot, handle, 'user', 'files', 'second.bin'))).toBe(false);
+
+        expect((await post('/api/files/delete', { path: 'user/files/first.bin' })).status).toBe(200);
+        expect((await getStorageUsage(handle)).bytes).toBe(0);
+        expect((await upload('second.bin', 500 * KB)).status).toBe(200);
+    });
+
+    it('lets full accounts overwrite chats without growing them', async () => {
+        const chat = [{ chat_metadata: {} }, { name: 'Seraphina', mes: 'x'.repeat(200 * KB) }];
+        expect((await saveChat(chat)).status).toBe(200);
+        expect((await getStorageUsage(handle)).bytes).toBeGreaterThan(600 * KB);
+
+        expect((await saveChat([...chat, { name: handle, mes: 'y'.repeat(400 * KB) }])).status).toBe(413);
+        expect((await saveChat([chat[0], { name: 'Seraphina', mes: 'z'.repeat(200 * KB) }])).status).toBe(200);
+    });
+
+    it('applies per-user quotas and lists usage from the counter', async () => {
+        const limits = await post(`/api/admin/users/${handle}/limits`, { storageQuotaMb: 2 });
+        expect(await limits.json()).toMatchObject({ storageQuotaMb: 2, effectiveStorageQuotaMb: 2 });
+        expect((await upload('third.bin', 400 * KB)).status).toBe(200);
+
+        // Files written around the tracked endpoints only show up after a rescan
+        fs.writeFileSync(path.join(dataRoot, handle, 'user', 'files', 'untracked.bin'), Buffer.alloc(100 * KB));
+        const { users } = await (await fetch(`${baseUrl}/api/admin/users`)).json();
+        expect(users).toMatchObject([{ handle, storageSize: (await getStorageUsage(handle)).bytes, storageQuotaMb: 2, effectiveStorageQuotaMb: 2 }]);
+        expect((await post(`/api/admin/users/${handle}/limits`, { storageQuotaMb: -1 })).status).toBe(400);
+    });
+
+    it('checks sprite packs against their uncompressed size', async () => {
+        const before = (await getStorageUsage(handle)).bytes;
+        const rejected = await uploadSpriteZip({ 'joy.png': Buffer.alloc(2048 * KB) });
+        expect(rejected.status).toBe(413);
+        expect(await rejected.json()).toMatchObject({ error: { type: 'storage_quota' } });
+        expect(fs.existsSync(path.join(spritesDir, 'joy.png'))).toBe(false);
+
+        expect((await uploadSpriteZip({ 'joy.png': Buffer.alloc(100 * KB) })).status).toBe(200);
+        expect((await getStorageUsage(handle)).bytes).toBe(before + 100 * KB);
+    });
+
+    it('holds the size of a write in flight against the quota', async () => {
+        const waitForHeld = async () => {
+            for (let i = 0; i < 100 && held.length === 0; i++) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            return held.shift();
+        };
+        const free = 2048 * KB - (await getStorageUsage(handle)).bytes;
+        const body = { pad: 'x'.repeat(Math.floor(free * 0.6)) };
+
+        const first = post('/api/held-write', body);
+        const releaseFirst = await waitForHeld();
+        expect((await post('/api/held-write', body)).status).toBe(413);
+        releaseFirst();
+        expect((await first).status).toBe(204);
+
+        // The first write ended without recording anything, so its reservation is gone
+        const third = post('/api/held-write', body);
+        (await waitForHeld())();
+        expect((await third).status).toBe(204);
+    });
+
+    it('refuses writes when the quota cannot be checked', async () => {
+        const res = await post('/api/broken-write', { data: 'x' });
+        expect(res.status).toBe(500);
+        expect(held).toHaveLength(0);
+    });
+});
@@ -0,0 +1,111 @@
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { setupDataRoot, removeDataRoot, startTestServer, createTestUser, fixedUser } from './helpers.js';
+
+describe('sync events', () => {
+    let server;
+    let baseUrl;
+    let dataRoot;
+    const handle = 'alice';
+    const header = { user_name: 'You', character_name: 'Seraphina', create_date: '2024-01-01', chat_metadata: {} };
+    const chatBody = { avatar_url: 'Seraphina.png', file_name: 'chat' };
+    const streams = [];
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('sync-events', { backups: { chat: { enabled: false, checkIntegrity: false, history: { enabled: false } } } });
+
+        const directories = await createTestUser(handle);
+        fs.mkdirSync(path.join(directories.chats, 'Seraphina'));
+
+        const { router: chatsRouter } = await import('../../src/endpoints/chats.js');
+        const { router: syncRouter } = await import('../../src/endpoints/sync.js');
+        server = await startTestServer(app => {
+            app.use(fixedUser(handle, directories));
+            app.use('/api/chats', chatsRouter);
+            app.use('/api/sync', syncRouter);
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        for (const stream of streams) {
+            stream.controller.abort();
+        }
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    async function post(url, body, clientId) {
+        const response = await server.post(url, body, clientId ? { 'X-Client-Id': clientId } : {});
+        return response.status;
+    }
+
+    async function openStream(clientId, lastEventId) {
+        const controller = new AbortController();
+        const response = await fetch(`${baseUrl}/api/sync/events?client=${clientId}`, {
+            headers: lastEventId ? { 'Last-Event-ID': String(lastEventId) } : {},
+            signal: controller.signal,
+        });
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        const stream = {
+            controller,
+            response,
+            // Resolves with the next event, skipping comments
+            async next() {
+                while (true) {
+                    const end = buffer.indexOf('\n\n');
+                    if (end !== -1) {
+                        const block = buffer.slice(0, end);
+                        buffer = buffer.slice(end + 2);
+                        const fields = Object.fromEntries(block.split('\n').filter(line => !line.startsWith(':')).map(line => {
+                            const colon = line.indexOf(':');
+                            return [line.slice(0, colon), line.slice(colon + 2)];
+                        }));
+                        if (fields.event) {
+                            return { id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) };
+                        }
+                        continue;
+                    }
+                    const { value } = await reader.read();
+                    buffer += decoder.decode(value, { stream: true });
+                }
+            },
+        };
+        streams.push(stream);
+        return stream;
+    }
+
+    it('pushes chat saves and deltas to the other tabs only', async () => {
+        const phone = await openStream('phone');
+        expect(phone.response.headers.get('content-type')).toMatch(/^text\/event-stream/);
+
+        // The phone's own save is not pushed back to it
+        expect(await post('/api/chats/save', { ...chatBody, chat: [header, { name: 'A', mes: 'one' }] }, 'phone')).toBe(200);
+        expect(await post('/api/chats/save-delta', { ...chatBody, baseCount: 1, ops: [{ op: 'append', messages: [{ name: 'B', mes: 'two' }] }] }, 'desktop')).toBe(200);
+
+        const event = await phone.next();
+        expect(event).toMatchObject({
+            type: 'chat',
+            data: { avatar_url: 'Seraphina.png', file_name: 'chat', action: 'delta', baseCount: 1, count: 2, ops: [{ op: 'append', messages: [{ name: 'B', mes: 'two' }] }] },
+        });
+
+        expect(await post('/api/chats/group/save', { id: 'party', chat: [{ name: 'Aqua', mes: 'Hi' }] }, 'desktop')).toBe(200);
+        expect(await phone.next()).toMatchObject({ type: 'chat', id: event.id + 1, data: { group_chat_id: 'party', action: 'save' } });
+    });
+
+    it('replays missed events to a reconnecting tab, or asks it to resync', async () => {
+        const first = await openStream('tablet');
+        await post('/api/chats/delete', { avatar_url: 'Seraphina.png', chatfile: 'chat.jsonl' }, 'desktop');
+        const deleted = await first.next();
+        expect(deleted.data).toMatchObject({ action: 'delete', file_name: 'chat' });
+
+        const replayed = await openStream('tablet', deleted.id - 1);
+        expect(await replayed.next()).toEqual(deleted);
+
+        const tooLate = await openStream('tablet', 1);
+        expect(await tooLate.next()).toMatchObject({ type: 'resync', id: deleted.id });
+    });
+});
@@ -0,0 +1,143 @@
+import storage from 'node-persist';
+
+import { setupDataRoot, removeDataRoot, startTestServer, sessionUser } from './helpers.js';
+
+describe('two-factor authentication', () => {
+    let server;
+    let baseUrl;
+    let dataRoot;
+    let session = {};
+    let clientIp = '10.0.0.1';
+    let generateTotpCode;
+
+    const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('two-factor', { enableUserAccounts: true, perUserBasicAuth: true, sso: { autheliaAuth: true }, rateLimiting: { preferRealIpHeader: true }, adminPanel: { requireTwoFactor: true } });
+        ({ generateTotpCode } = await import('../../src/totp.js'));
+
+        const { getPasswordHash } = await import('../../src/users.js');
+        for (const handle of ['alice', 'bob']) {
+            const salt = 'salt-' + handle;
+            await storage.setItem(`user:${handle}`, { handle, name: handle, created: Date.now(), password: getPasswordHash(`${handle}-password`, salt), salt, admin: false, enabled: true });
+        }
+
+        const { router: usersRouter } = await import('../../src/endpoints/users-public.js');
+        const { router: accountRouter } = await import('../../src/endpoints/account.js');
+        const { router: adminRouter } = await import('../../src/endpoints/admin.js');
+        const { createOperator } = await import('../../src/admin-operators.js');
+        await createOperator('root', 'root-password', 'super-admin');
+
+        server = await startTestServer(app => {
+            app.use(sessionUser(() => session));
+            app.use('/api/users', usersRouter);
+            app.use('/api/account', accountRouter);
+            app.use('/api/admin', adminRouter);
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    function post(url, body) {
+        // Each test signs in from its own address, password logins are limited per IP
+        return server.post(url, body, { 'X-Real-IP': clientIp });
+    }
+
+    async function login(handle) {
+        session = {};
+        return await (await post('/api/users/login', { handle, password: `${handle}-password` })).json();
+    }
+
+    // Signs in with the password alone and turns two-factor on
+    async function enable(handle) {
+        await login(handle);
+        const { secret, uri } = await (await post('/api/account/2fa/setup')).json();
+        expect(uri).toContain(`otpauth://totp/Chloe%3A${handle}?secret=${secret}`);
+        const wrong = await post('/api/account/2fa/enable', { code: '000000' === generateTotpCode(secret) ? '111111' : '000000' });
+        expect(wrong.status).toBe(400);
+        const { recoveryCodes } = await (await post('/api/account/2fa/enable', { code: generateTotpCode(secret) })).json();
+        expect(recoveryCodes).toHaveLength(10);
+        return { secret, recoveryCodes };
+    }
+
+    it('asks for a code after the password and rejects replayed codes', async () => {
+        const { secret } = await enable('alice');
+
+        expect(await login('alice')).toEqual({ twoFactorRequired: true });
+        expect(session.handle).toBeUndefined();
+        expect((await fetch(`${baseUrl}/api/account/2fa`)).status).toBe(401);
+
+        // The enrollment code was already used
+        const replayed = await post('/api/users/login-2fa', { code: generateTotpCode(secret) });
+        expect(await replayed.json()).toEqual({ error: '验证码错误' });
+
+        const next = generateTotpCode(secret, currentStep() + 1);
+        const accepted = await post('/api/users/login-2fa', { code: next });
+        expect(await accepted.json()).toEqual({ handle: 'alice' });
+        expect(session.handle).toBe('alice');
+        expect(session.pendingLogin).toBeNull();
+
+        await login('alice');
+        expect((await post('/api/users/login-2fa', { code: next })).status).toBe(401);
+        session = {};
+        expect((await post('/api/users/login-2fa', { code: next })).status).toBe(400);
+    });
+
+    it('accepts each recovery code once and needs a code to turn two-factor off', async () => {
+        clientIp = '10.0.0.2';
+        const { recoveryCodes } = await enable('bob');
+
+        await login('bob');
+        const first = await post('/api/users/login-2fa', { code: recoveryCodes[0].toUpperCase() });
+        expect(await first.json()).toEqual({ handle: 'bob', recoveryCodesLeft: 9 });
+
+        await login('bob');
+        expect((await post('/api/users/login-2fa', { code: recoveryCodes[0] })).status).toBe(401);
+        expect((await post('/api/users/login-2fa', { code: recoveryCodes[1] })).status).toBe(200);
+
+        expect((await post('/api/account/2fa/disable', { code: recoveryCodes[1] })).status).toBe(401);
+        expect((await post('/api/account/2fa/disable', { code: recoveryCodes[2] })).status).toBe(200);
+        expect(await login('bob')).toEqual({ handle: 'bob' });
+    });
+
+    it('makes admins without two-factor enroll before their first login when it is required', async () => {
+        session = {};
+        const first = await (await post('/api/admin/login', { username: 'root', password: 'root-password' })).json();
+        expect(first).toMatchObject({ twoFactorSetupRequired: true, secret: expect.any(String) });
+        expect(session.isAdmin).toBeUndefined();
+
+        const enrolled = await (await post('/api/admin/login-2fa', { code: generateTotpCode(first.secret) })).json();
+        expect(enrolled.recoveryCodes).toHaveLength(10);
+        expect(session).toMatchObject({ isAdmin: true, adminUser: 'root', pendingLogin: null });
+        expect(await (await fetch(`${baseUrl}/api/admin/2fa`)).json()).toMatchObject({ available: true, required: true, enabled: true });
+        expect((await post('/api/admin/2fa/disable', { code: enrolled.recoveryCodes[0] })).status).toBe(400);
+
+        session = {};
+        expect(await (await post('/api/admin/login', { username: 'root', password: 'root-password' })).json()).toEqual({ twoFactorRequired: true });
+        expect((await post('/api/admin/login-2fa', { code: enrolled.recoveryCodes[1] })).status).toBe(200);
+        expect(session.isAdmin).toBe(true);
+    });
+
+    it('skips proxy header and basic auth auto-login for accounts with two-factor', async () => {
+        const { tryAutoLogin } = await import('../../src/users.js');
+        const autoLogin = async (handle, header) => {
+            const request = /** @type {any} */ ({
+                session: {},
+                query: {},
+                headers: { authorization: `Basic ${Buffer.from(`${handle}:${handle}-password`).toString('base64')}` },
+                get: (name) => name === header ? handle : undefined,
+            });
+            return [await tryAutoLogin(request, true), request.session.handle];
+        };
+
+        // Alice still has two-factor on, Bob turned it off
+        expect(await autoLogin('alice', 'Remote-User')).toEqual([false, undefined]);
+        expect(await autoLogin('alice', 'None')).toEqual([false, undefined]);
+        expect(await autoLogin('bob', 'Remote-User')).toEqual([true, 'bob']);
+        expect(await autoLogin('bob', 'None')).toEqual([true, 'bob']);
+    });
+});
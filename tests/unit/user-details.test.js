@@ -0,0 +1,86 @@
+import path from 'node:path';
+import fs from 'node:fs';
+
+import storage from 'node-persist';
+
+import { setupDataRoot, removeDataRoot, startTestServer, createTestUser, adminSession } from './helpers.js';
+
+describe('admin user details', () => {
+    let server;
+    let baseUrl;
+    let dataRoot;
+    let getCheckInStreaks;
+    const handle = 'alice';
+
+    beforeAll(async () => {
+        dataRoot = await setupDataRoot('user-details', {});
+        ({ getCheckInStreaks } = await import('../../src/user-details.js'));
+
+        const directories = await createTestUser(handle, {
+            name: 'Alice', password: 'hash',
+            identities: [{ provider: 'linuxdo', subject: '42', name: 'alice-ld', email: '', linkedAt: Date.now() }],
+        });
+        fs.writeFileSync(path.join(directories.characters, 'Seraphina.png'), Buffer.alloc(2048));
+        fs.mkdirSync(path.join(directories.chats, 'Seraphina'));
+        fs.writeFileSync(path.join(directories.chats, 'Seraphina', 'first.jsonl'), '{}\n');
+        fs.writeFileSync(path.join(directories.chats, 'Seraphina', 'second.jsonl'), '{}\n');
+        fs.writeFileSync(path.join(directories.backgrounds, 'sky.png'), Buffer.alloc(4096));
+        await storage.setItem('invite:ABC123', { code: 'ABC123', used: true, usedBy: handle, usedAt: Date.now(), createdAt: Date.now(), expiresAt: null });
+
+        const { getOrInitState } = await import('../../src/endpoints/account.js');
+        await getOrInitState(handle);
+        const { recordTransaction, LEDGER_REASONS } = await import('../../src/ledger.js');
+        await recordTransaction({ handle, delta: 5, balance: 25, reason: LEDGER_REASONS.CHECKIN, actor: handle });
+
+        const { startSession, SESSION_METHODS } = await import('../../src/sessions.js');
+        const loginRequest = { session: {}, socket: { remoteAddress: '203.0.113.7' }, connection: {}, headers: {}, get: name => name === 'user-agent' ? 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0' : undefined };
+        await startSession(/** @type {any} */ (loginRequest), handle, SESSION_METHODS.PASSWORD);
+
+        const { router: adminRouter } = await import('../../src/endpoints/admin.js');
+        const { createOperator } = await import('../../src/admin-operators.js');
+        await createOperator('root', 'root-password', 'super-admin');
+
+        server = await startTestServer(app => {
+            app.use(adminSession('root'));
+            app.use('/api/admin', adminRouter);
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    afterAll(async () => {
+        await server.close();
+        removeDataRoot(dataRoot);
+    });
+
+    it('collects profile, login, check-ins, storage and counts', async () => {
+        const response = await fetch(`${baseUrl}/api/admin/users/${handle}`);
+        expect(response.status).toBe(200);
+        const details = await response.json();
+
+        expect(details).toMatchObject({
+            profile: { handle, name: 'Alice', hasPassword: true, twoFactorEnabled: false },
+            identities: [{ provider: 'linuxdo', subject: '42' }],
+            invite: { code: 'ABC123', createdBy: null },
+            account: { points: 20, accessOn: true },
+            checkIns: { total: 1, streak: 1, longestStreak: 1 },
+            lastLogin: { method: 'password', device: 'Chrome · Windows' },
+            activeSessions: 1,
+            counts: { characters: 1, chats: 2, groups: 0, groupChats: 0 },
+        });
+        expect(details.storage.directories.slice(0, 2)).toEqual([{ name: 'backgrounds', bytes: 4096 }, { name: 'characters', bytes: 2048 }]);
+        expect(details.storage.bytes).toBe(4096 + 2048 + 6);
+    });
+
+    it('returns 404 for unknown users', async () => {
+        expect((await fetch(`${baseUrl}/api/admin/users/nobody`)).status).toBe(404);
+    });
+
+    it('counts check-in streaks by calendar day', () => {
+        const day = (offset) => new Date(2026, 0, 10 + offset, 9).getTime();
+        const checkIns = [day(0), day(1), day(1) + 1000, day(2), day(5), day(6)];
+        expect(getCheckInStreaks(checkIns, day(6))).toEqual({ streak: 2, longestStreak: 3 });
+        expect(getCheckInStreaks(checkIns, day(7))).toEqual({ streak: 2, longestStreak: 3 });
+        expect(getCheckInStreaks(checkIns, day(8))).toEqual({ streak: 0, longestStreak: 3 });
+        expect(getCheckInStreaks([], day(0))).toEqual({ streak: 0, longestStreak: 0 });
+    });
+});